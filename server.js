@@ -8,6 +8,11 @@ import helmet from 'helmet';
 import compression from 'compression';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { FileSaveStore } from './server/SaveSyncStore.js';
+import {
+  createSaveSyncRouter,
+  parsePlayerTokens
+} from './server/SaveSyncService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -57,6 +62,18 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Cloud save sync, only with player tokens configured
+// (SAVE_SYNC_TOKENS=alice:secret,bob:other)
+const saveSyncTokens = parsePlayerTokens(process.env.SAVE_SYNC_TOKENS);
+if (Object.keys(saveSyncTokens).length > 0) {
+  app.use('/api/saves', createSaveSyncRouter({
+    store: new FileSaveStore({
+      directory: process.env.SAVE_SYNC_DIR || join(__dirname, 'data', 'saves')
+    }),
+    tokens: saveSyncTokens
+  }));
+}
+
 // Serve the main HTML file
 app.get('/', (req, res) => {
   res.sendFile(join(__dirname, 'public', 'index.html'));
@@ -85,6 +102,7 @@ app.listen(PORT, () => {
   console.log(`📱 Open http://localhost:${PORT} to play`);
   console.log(`🔧 Development mode: ${isDev ? 'enabled' : 'disabled'}`);
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+  console.log(`💾 Save sync: ${Object.keys(saveSyncTokens).length > 0 ? 'enabled' : 'disabled (set SAVE_SYNC_TOKENS)'}`);
 });
 
 export default app;
\ No newline at end of file
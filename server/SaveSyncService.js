@@ -0,0 +1,290 @@
+/**
+ * SaveSyncService.js - Self-hostable cloud save sync API
+ *
+ * This service handles:
+ * - GET/PUT/DELETE /api/saves/:slot and GET /api/saves
+ * - Strong ETags with a revision counter per slot
+ * - Optimistic concurrency through If-Match and If-None-Match
+ * - Returning the current record on conflicts so clients can resolve them
+ * - Bearer tokens that each belong to one player, so a client can only
+ *   reach its own saves
+ */
+
+import { createHash } from 'crypto';
+import express from 'express';
+
+const OWNER_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SLOT_PATTERN = /^\d{1,3}$/;
+
+/**
+ * Build the ETag for a record revision
+ */
+export const createETag = (revision, data) =>
+  `"${revision}-${createHash('sha256').update(data).digest('hex').slice(0, 16)}"`;
+
+/**
+ * Parse player tokens from a "playerId:token,playerId:token" list, as
+ * given in SAVE_SYNC_TOKENS; returns { token: playerId }
+ */
+export const parsePlayerTokens = (value = '') =>
+  Object.fromEntries(
+    value
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const separator = entry.indexOf(':');
+        return [entry.slice(separator + 1), entry.slice(0, separator)];
+      })
+      .filter(([token, owner]) => token && OWNER_PATTERN.test(owner))
+  );
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Check an If-Match or If-None-Match header against an ETag
+ */
+const matchesETag = (header, etag) =>
+  header === '*' ||
+  header
+    .split(',')
+    .map((value) => value.trim().replace(/^W\//, ''))
+    .includes(etag);
+
+/**
+ * Record summary without the save payload
+ */
+const summarize = ({ slot, metadata, revision, etag, updatedAt }) => ({
+  slot,
+  metadata,
+  revision,
+  etag,
+  updatedAt,
+});
+
+export class SaveSyncService {
+  constructor(dependencies = {}) {
+    this.store = dependencies.store;
+    this.now = dependencies.now || (() => Date.now());
+
+    if (!this.store) {
+      throw new Error('SaveSyncService requires store dependency');
+    }
+  }
+
+  /**
+   * List saves for a player
+   */
+  async listSlots(owner) {
+    const records = await this.store.list(owner);
+    return { status: 200, body: { saves: records.map(summarize) } };
+  }
+
+  /**
+   * Read a save slot
+   */
+  async getSlot(owner, slot, conditions = {}) {
+    const record = await this.store.get(owner, slot);
+
+    if (!record) {
+      return { status: 404, body: { error: 'Save not found' } };
+    }
+    if (
+      conditions.ifNoneMatch &&
+      matchesETag(conditions.ifNoneMatch, record.etag)
+    ) {
+      return { status: 304, etag: record.etag };
+    }
+
+    return { status: 200, etag: record.etag, body: record };
+  }
+
+  /**
+   * Write a save slot
+   * Overwriting requires If-Match so a client never clobbers a revision it
+   * has not seen; creating can be guarded with If-None-Match: *, the only
+   * If-None-Match a write accepts
+   */
+  async putSlot(owner, slot, payload, conditions = {}) {
+    if (!payload || typeof payload.data !== 'string') {
+      return { status: 400, body: { error: 'Save data must be a string' } };
+    }
+    if (
+      payload.metadata !== undefined &&
+      typeof payload.metadata !== 'object'
+    ) {
+      return {
+        status: 400,
+        body: { error: 'Save metadata must be an object' },
+      };
+    }
+
+    return this.store.withLock(owner, slot, async () => {
+      const current = await this.store.get(owner, slot);
+      const { ifMatch, ifNoneMatch } = conditions;
+
+      if (ifNoneMatch && ifNoneMatch.trim() !== '*') {
+        return {
+          status: 400,
+          body: { error: 'If-None-Match must be * when writing a save' },
+        };
+      }
+      if (current && ifNoneMatch) {
+        return this.conflict('Save already exists', current);
+      }
+      if (ifMatch && (!current || !matchesETag(ifMatch, current.etag))) {
+        return this.conflict('Save was changed by another client', current);
+      }
+      if (current && !ifMatch) {
+        return {
+          status: 428,
+          body: { error: 'If-Match is required to overwrite a save' },
+        };
+      }
+
+      const revision = current ? current.revision + 1 : 1;
+      const record = await this.store.put(owner, slot, {
+        slot,
+        data: payload.data,
+        metadata: payload.metadata || {},
+        revision,
+        etag: createETag(revision, payload.data),
+        updatedAt: this.now(),
+      });
+
+      return { status: current ? 200 : 201, etag: record.etag, body: record };
+    });
+  }
+
+  /**
+   * Delete a save slot
+   * Like overwriting, deleting requires If-Match
+   */
+  async deleteSlot(owner, slot, conditions = {}) {
+    return this.store.withLock(owner, slot, async () => {
+      const current = await this.store.get(owner, slot);
+
+      if (!current) {
+        return { status: 404, body: { error: 'Save not found' } };
+      }
+      if (!conditions.ifMatch) {
+        return {
+          status: 428,
+          body: { error: 'If-Match is required to delete a save' },
+        };
+      }
+      if (!matchesETag(conditions.ifMatch, current.etag)) {
+        return this.conflict('Save was changed by another client', current);
+      }
+
+      await this.store.delete(owner, slot);
+      return { status: 204 };
+    });
+  }
+
+  /**
+   * Precondition failure carrying the current record
+   */
+  conflict(error, current) {
+    return {
+      status: 412,
+      etag: current ? current.etag : undefined,
+      body: { error, current },
+    };
+  }
+}
+
+/**
+ * Create the Express router for the save sync API
+ * options.tokens maps each bearer token to the player whose saves it
+ * reaches ({ token: playerId }); the router refuses to run without any
+ */
+export function createSaveSyncRouter(options = {}) {
+  // Tokens are looked up by hash so lookups do not compare secrets
+  const owners = new Map(
+    Object.entries(options.tokens || {})
+      .filter(([token, owner]) => token && OWNER_PATTERN.test(owner))
+      .map(([token, owner]) => [hashToken(token), owner])
+  );
+  if (owners.size === 0) {
+    throw new Error('Save sync requires at least one player token');
+  }
+
+  const service = options.service || new SaveSyncService(options);
+  const router = express.Router();
+
+  router.use(express.json({ limit: options.limit || '12mb' }));
+
+  router.use((req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const owner = scheme === 'Bearer' && token && owners.get(hashToken(token));
+    if (!owner) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+
+    req.saveOwner = owner;
+    next();
+  });
+
+  router.param('slot', (req, res, next, slot) => {
+    if (!SLOT_PATTERN.test(slot)) {
+      res.status(400).json({ error: 'Invalid save slot' });
+      return;
+    }
+
+    req.saveSlot = Number(slot);
+    next();
+  });
+
+  const send = (res, result) => {
+    if (result.etag) {
+      res.set('ETag', result.etag);
+    }
+    if (result.body === undefined) {
+      res.status(result.status).end();
+      return;
+    }
+    res.status(result.status).json(result.body);
+  };
+
+  const handle = (action) => async (req, res, next) => {
+    try {
+      send(res, await action(req));
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  const getConditions = (req) => ({
+    ifMatch: req.get('If-Match'),
+    ifNoneMatch: req.get('If-None-Match'),
+  });
+
+  router.get(
+    '/',
+    handle((req) => service.listSlots(req.saveOwner))
+  );
+  router.get(
+    '/:slot',
+    handle((req) =>
+      service.getSlot(req.saveOwner, req.saveSlot, getConditions(req))
+    )
+  );
+  router.put(
+    '/:slot',
+    handle((req) =>
+      service.putSlot(req.saveOwner, req.saveSlot, req.body, getConditions(req))
+    )
+  );
+  router.delete(
+    '/:slot',
+    handle((req) =>
+      service.deleteSlot(req.saveOwner, req.saveSlot, getConditions(req))
+    )
+  );
+
+  return router;
+}
+
+export default SaveSyncService;
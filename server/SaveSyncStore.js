@@ -0,0 +1,111 @@
+/**
+ * SaveSyncStore.js - File-backed storage for the save sync service
+ *
+ * This store handles:
+ * - One JSON file per player and save slot
+ * - Atomic writes through a temporary file and rename
+ * - Serialized read-modify-write access per slot
+ */
+
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+export class FileSaveStore {
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('FileSaveStore requires a directory');
+    }
+
+    this.directory = options.directory;
+    this.locks = new Map();
+  }
+
+  /**
+   * Get the file path for a slot
+   */
+  getPath(owner, slot) {
+    return join(this.directory, owner, `slot_${slot}.json`);
+  }
+
+  /**
+   * Run a task after every earlier task on the same slot has finished
+   */
+  async withLock(owner, slot, task) {
+    const key = `${owner}/${slot}`;
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.then(task, task);
+    const settled = current.catch(() => {});
+
+    this.locks.set(key, settled);
+    settled.then(() => {
+      if (this.locks.get(key) === settled) {
+        this.locks.delete(key);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Read a slot record, or null if it does not exist
+   */
+  async get(owner, slot) {
+    try {
+      return JSON.parse(await readFile(this.getPath(owner, slot), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a slot record
+   */
+  async put(owner, slot, record) {
+    const path = this.getPath(owner, slot);
+    const temporaryPath = `${path}.${process.pid}.tmp`;
+
+    await mkdir(join(this.directory, owner), { recursive: true });
+    await writeFile(temporaryPath, JSON.stringify(record));
+    await rename(temporaryPath, path);
+    return record;
+  }
+
+  /**
+   * Delete a slot record
+   * Returns false if it did not exist
+   */
+  async delete(owner, slot) {
+    const existing = await this.get(owner, slot);
+    if (!existing) return false;
+
+    await rm(this.getPath(owner, slot), { force: true });
+    return true;
+  }
+
+  /**
+   * List all slot records for a player
+   */
+  async list(owner) {
+    let files;
+    try {
+      files = await readdir(join(this.directory, owner));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const slots = files
+      .map((file) => /^slot_(\d+)\.json$/.exec(file))
+      .filter(Boolean)
+      .map((match) => Number(match[1]))
+      .sort((a, b) => a - b);
+
+    const records = await Promise.all(
+      slots.map((slot) => this.get(owner, slot))
+    );
+    return records.filter(Boolean);
+  }
+}
+
+export default FileSaveStore;
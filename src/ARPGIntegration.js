@@ -5,9 +5,15 @@
  * - ARPG UI System with skill trees and character management
  * - Enhanced combat system with hordes and fluid movement
  * - Procedural area generation and exploration
+ * - Pathfinding for enemies and click-to-move
+ * - Combat log with DPS meters and encounter reports
  * - Advanced itemization with random modifiers
+ * - Loot filter for item drops
+ * - Inventory grid, equipment slots and shared stash
  * - Endgame content with replayable maps and PvP
  * - Player-driven economy with trading
+ * - Analytics, including where currency enters and leaves the economy
+ * - Save slots with the character, bag and system settings
  * - Comprehensive error handling and validation
  * - Mobile optimization and touch controls
  * - Performance optimization and monitoring
@@ -16,35 +22,70 @@
 import { ARPGUISystem } from './systems/ARPGUISystem.js';
 import { CombatSystem } from './systems/CombatSystem.js';
 import { ProceduralAreaSystem } from './systems/ProceduralAreaSystem.js';
+import { NavigationSystem } from './systems/NavigationSystem.js';
+import { CombatLogSystem } from './systems/CombatLogSystem.js';
 import { ItemizationSystem } from './systems/ItemizationSystem.js';
+import { LootFilterSystem } from './systems/LootFilterSystem.js';
+import { InventorySystem } from './systems/InventorySystem.js';
 import { EndgameSystem } from './systems/EndgameSystem.js';
 import { TradingSystem } from './systems/TradingSystem.js';
+import { AnalyticsSystem } from './systems/AnalyticsSystem.js';
+import { SaveSystem } from './systems/SaveSystem.js';
 import { ErrorHandlingSystem } from './systems/ErrorHandlingSystem.js';
 import { MobileOptimizationSystem } from './systems/MobileOptimizationSystem.js';
 import { PerformanceOptimizationSystem } from './systems/PerformanceOptimizationSystem.js';
 import { EventBus } from './core/EventBus.js';
+import { RNGService } from './core/RNGService.js';
+import { ContentPackLoader } from './core/ContentPackLoader.js';
+import { GameLoopManager } from './GameLoop/GameLoopManager.js';
 import { Logger } from './utils/Logger.js';
 
 export class ARPGIntegration {
-  constructor(config = {}) {
+  /**
+   * Host services are optional and replace browser globals for non-browser
+   * runs: logger, storage (localStorage-like), clock ({ now() }),
+   * requestFrame/cancelFrame, fetch (used for content packs), and systems
+   * (instances or factories keyed by system name that replace the built-in
+   * ones)
+   */
+  constructor(config = {}, host = {}) {
     // Validate and normalize config
     this.config = this.validateConfig({
       debug: false,
       enableARPG: true,
       enableCombat: true,
       enableProcedural: true,
+      enableNavigation: true,
+      enableCombatLog: true,
       enableItemization: true,
+      enableLootFilter: true,
+      enableInventory: true,
       enableEndgame: true,
       enableTrading: true,
+      enableAnalytics: true,
+      enableSaving: true,
       enableErrorHandling: true,
       enableMobile: true,
       enablePerformance: true,
+      contentPacks: [], // URLs of JSON content packs, applied in order
       ...config,
     });
 
+    // Host services (browser globals unless a host provides them)
+    this.host = host;
+
     // Core systems
     this.eventBus = new EventBus();
-    this.logger = new Logger(this.config.debug);
+    this.logger = host.logger || new Logger(this.config.debug);
+    this.rng = new RNGService({ seed: this.config.seed });
+
+    // Content packs layered over the content systems define in code
+    this.content = new ContentPackLoader({
+      eventBus: this.eventBus,
+      logger: this.logger,
+      config: this.config,
+      fetch: host.fetch,
+    });
 
     // ARPG systems
     this.systems = {};
@@ -64,6 +105,20 @@ export class ARPGIntegration {
       errorCount: 0,
     };
 
+    // Fixed time step game loop
+    this.loopManager = new GameLoopManager({
+      logger: this.logger,
+      config: this.config,
+      frameRate: this.config.frameRate,
+      maxStepsPerFrame: this.config.maxStepsPerFrame,
+      now: host.clock ? () => host.clock.now() : undefined,
+      requestFrame: host.requestFrame,
+      cancelFrame: host.cancelFrame,
+      onFrame: (currentTime) => this.gameLoop(currentTime),
+      onUpdate: (deltaTime) => this.updateSystems(deltaTime),
+      onRender: (alpha) => this.render(alpha),
+    });
+
     // Event handlers
     this.setupEventHandlers();
 
@@ -78,44 +133,124 @@ export class ARPGIntegration {
       eventBus: this.eventBus,
       logger: this.logger,
       config: this.config,
+      rng: this.rng,
+      storage: this.host.storage,
     };
 
     // Initialize systems based on configuration
     if (this.config.enableErrorHandling) {
-      this.systems.errorHandling = new ErrorHandlingSystem(dependencies);
+      this.systems.errorHandling = this.createSystem('errorHandling', ErrorHandlingSystem, dependencies);
     }
 
     if (this.config.enablePerformance) {
-      this.systems.performance = new PerformanceOptimizationSystem(dependencies);
+      this.systems.performance = this.createSystem('performance', PerformanceOptimizationSystem, dependencies);
     }
 
     if (this.config.enableMobile) {
-      this.systems.mobile = new MobileOptimizationSystem(dependencies);
+      this.systems.mobile = this.createSystem('mobile', MobileOptimizationSystem, dependencies);
     }
 
     if (this.config.enableARPG) {
-      this.systems.arpgUI = new ARPGUISystem(dependencies);
+      this.systems.arpgUI = this.createSystem('arpgUI', ARPGUISystem, dependencies);
+    }
+
+    if (this.config.enableNavigation) {
+      this.systems.navigation = this.createSystem('navigation', NavigationSystem, dependencies);
     }
 
     if (this.config.enableCombat) {
-      this.systems.combat = new CombatSystem(dependencies);
+      this.systems.combat = this.createSystem('combat', CombatSystem, dependencies);
+    }
+
+    if (this.config.enableCombatLog) {
+      this.systems.combatLog = this.createSystem('combatLog', CombatLogSystem, dependencies);
     }
 
     if (this.config.enableProcedural) {
-      this.systems.procedural = new ProceduralAreaSystem(dependencies);
+      this.systems.procedural = this.createSystem('procedural', ProceduralAreaSystem, dependencies);
     }
 
     if (this.config.enableItemization) {
-      this.systems.itemization = new ItemizationSystem(dependencies);
+      this.systems.itemization = this.createSystem('itemization', ItemizationSystem, dependencies);
+    }
+
+    if (this.config.enableLootFilter) {
+      this.systems.lootFilter = this.createSystem('lootFilter', LootFilterSystem, dependencies);
+    }
+
+    if (this.config.enableInventory) {
+      this.systems.inventory = this.createSystem('inventory', InventorySystem, dependencies);
     }
 
     if (this.config.enableEndgame) {
-      this.systems.endgame = new EndgameSystem(dependencies);
+      this.systems.endgame = this.createSystem('endgame', EndgameSystem, dependencies);
     }
 
     if (this.config.enableTrading) {
-      this.systems.trading = new TradingSystem(dependencies);
+      this.systems.trading = this.createSystem('trading', TradingSystem, dependencies);
+    }
+
+    if (this.config.enableAnalytics) {
+      this.systems.analytics = this.createSystem('analytics', AnalyticsSystem, dependencies);
     }
+
+    if (this.config.enableSaving) {
+      this.systems.save = this.createSystem('save', SaveSystem, dependencies);
+    }
+
+    this.registerBuiltInContent();
+  }
+
+  /**
+   * Register the content systems define in code with the content loader
+   */
+  registerBuiltInContent() {
+    Object.values(this.systems).forEach((system) => {
+      if (!system.getBuiltInContent) return;
+
+      Object.entries(system.getBuiltInContent()).forEach(([type, entries]) => {
+        this.content.registerBuiltIn(type, entries);
+      });
+    });
+  }
+
+  /**
+   * Load the configured content packs, hot reloading them in debug mode
+   */
+  async loadContentPacks() {
+    for (const source of this.config.contentPacks) {
+      try {
+        await this.content.loadPack(source);
+      } catch (error) {
+        // A broken pack is reported and the game runs without it
+        this.logger.error(error.message);
+        this.eventBus.emit('content:error', {
+          source,
+          pack: error.pack || source,
+          errors: error.errors || [{ path: '', message: error.message }],
+        });
+      }
+
+      if (this.config.debug) {
+        this.content.watchPack(source);
+      }
+    }
+  }
+
+  /**
+   * Create a system, preferring a host-provided replacement
+   */
+  createSystem(name, SystemClass, dependencies) {
+    const override = this.host.systems && this.host.systems[name];
+
+    if (typeof override === 'function') {
+      return override(dependencies);
+    }
+    if (override) {
+      return override;
+    }
+
+    return new SystemClass(dependencies);
   }
 
   /**
@@ -147,11 +282,17 @@ export class ARPGIntegration {
         'performance',
         'mobile',
         'arpgUI',
+        'navigation',
         'combat',
+        'combatLog',
         'procedural',
         'itemization',
+        'lootFilter',
+        'inventory',
         'endgame',
-        'trading'
+        'trading',
+        'analytics',
+        'save'
       ];
 
       for (const systemName of initOrder) {
@@ -164,6 +305,9 @@ export class ARPGIntegration {
       // Set up cross-system communication
       this.setupCrossSystemCommunication();
 
+      // Apply content packs over the built-in content
+      await this.loadContentPacks();
+
       this.logger.info('ARPG Integration initialized successfully');
     } catch (error) {
       this.logger.error('Failed to initialize ARPG Integration:', error);
@@ -184,6 +328,9 @@ export class ARPGIntegration {
       this.eventBus.on('combat:playerDamaged', (data) => {
         this.systems.arpgUI.handlePlayerDamaged(data);
       });
+
+      // Player hits are worked out from the character sheet's stats
+      this.systems.combat.setPlayerStats(this.systems.arpgUI.character.stats);
     }
 
     // Itemization and UI integration
@@ -199,6 +346,11 @@ export class ARPGIntegration {
 
     // Trading and UI integration
     if (this.systems.trading && this.systems.arpgUI) {
+      // Skill respecs are paid from the trading wallet
+      this.systems.arpgUI.setCurrencyProvider(this.systems.trading);
+      // The price chart and item values read from the trading market
+      this.systems.arpgUI.setMarket(this.systems.trading);
+
       this.eventBus.on('trade:initiated', (data) => {
         this.systems.arpgUI.handleTradeInitiated(data);
       });
@@ -208,6 +360,60 @@ export class ARPGIntegration {
       });
     }
 
+    // Crafting is paid from the trading wallet
+    if (this.systems.trading && this.systems.itemization) {
+      this.systems.itemization.setCurrencyProvider(this.systems.trading);
+    }
+
+    // Trades move items in and out of the player's bag
+    if (this.systems.trading && this.systems.inventory) {
+      this.systems.trading.registerInventory('player', this.systems.inventory);
+    }
+
+    // Inventory and UI integration
+    if (this.systems.inventory && this.systems.arpgUI) {
+      // Equipment requirements are checked against the UI's character
+      this.systems.inventory.setCharacter(this.systems.arpgUI.character);
+      this.systems.arpgUI.setInventory(this.systems.inventory);
+    }
+
+    // Drops the loot filter shows lie on the ground until picked up
+    if (this.systems.lootFilter) {
+      this.eventBus.on('loot:filtered', (data) => {
+        this.handleLootFiltered(data);
+      });
+
+      this.eventBus.on('loot:pickedUp', (data) => {
+        this.handleLootPickedUp(data);
+      });
+    }
+
+    // Saves hold the bag and the loot filter
+    if (this.systems.save) {
+      if (this.systems.inventory) {
+        this.systems.save.setInventory(this.systems.inventory);
+      }
+      if (this.systems.lootFilter) {
+        this.systems.save.registerSettingsProvider('lootFilter', this.systems.lootFilter);
+      }
+    }
+
+    // Navigation and combat integration
+    if (this.systems.navigation && this.systems.combat) {
+      this.systems.combat.setNavigation(this.systems.navigation);
+    }
+
+    // Combat log integration
+    if (this.systems.combatLog) {
+      // The log panel and boss and raid reports read from the combat log
+      if (this.systems.arpgUI) {
+        this.systems.arpgUI.setCombatLog(this.systems.combatLog);
+      }
+      if (this.systems.endgame) {
+        this.systems.endgame.setCombatLog(this.systems.combatLog);
+      }
+    }
+
     // Procedural areas and combat integration
     if (this.systems.procedural && this.systems.combat) {
       this.eventBus.on('area:generated', (data) => {
@@ -313,6 +519,7 @@ export class ARPGIntegration {
     }
 
     this.gameState.isPaused = true;
+    this.loopManager.pause();
 
     // Pause all systems
     for (const [name, system] of Object.entries(this.systems)) {
@@ -337,6 +544,7 @@ export class ARPGIntegration {
     }
 
     this.gameState.isPaused = false;
+    this.loopManager.resume();
 
     // Resume all systems
     for (const [name, system] of Object.entries(this.systems)) {
@@ -384,49 +592,67 @@ export class ARPGIntegration {
    * Start game loop
    */
   startGameLoop() {
-    this.gameLoopId = requestAnimationFrame(this.gameLoop.bind(this));
+    this.loopManager.start();
   }
 
   /**
    * Stop game loop
    */
   stopGameLoop() {
-    if (this.gameLoopId) {
-      cancelAnimationFrame(this.gameLoopId);
-      this.gameLoopId = null;
-    }
+    this.loopManager.stop();
   }
 
   /**
-   * Main game loop
+   * Main game loop, called once per animation frame
    */
   gameLoop(currentTime) {
     if (!this.gameState.isRunning || this.gameState.isPaused) {
       return;
     }
 
-    const deltaTime = currentTime - (this.lastUpdateTime || currentTime);
-    this.lastUpdateTime = currentTime;
-
     try {
-      // Update all systems
-      for (const [name, system] of Object.entries(this.systems)) {
-        if (system.update) {
-          system.update(deltaTime, this.gameState);
-        }
-      }
-
-      // Update game state
-      this.updateGameState(deltaTime);
-
-      // Continue game loop
-      this.gameLoopId = requestAnimationFrame(this.gameLoop.bind(this));
+      // Run fixed simulation steps, then render
+      this.loopManager.tick(currentTime);
     } catch (error) {
       this.logger.error('Error in game loop:', error);
+      this.stopGameLoop();
       this.handleSystemError({ error, context: 'gameLoop' });
     }
   }
 
+  /**
+   * Advance all systems by one fixed time step
+   */
+  updateSystems(deltaTime) {
+    // Update all systems
+    for (const [name, system] of Object.entries(this.systems)) {
+      if (system.update) {
+        system.update(deltaTime, this.gameState);
+      }
+    }
+
+    // Update game state
+    this.updateGameState(deltaTime);
+  }
+
+  /**
+   * Emit a render event with the interpolation alpha
+   */
+  render(alpha) {
+    this.eventBus.emit('game:render', {
+      alpha,
+      gameState: this.gameState,
+      timestamp: this.loopManager.now(),
+    });
+  }
+
+  /**
+   * Set simulation speed (1 = normal, 0.5 = slow motion, 0 = frozen)
+   */
+  setTimeScale(timeScale) {
+    this.loopManager.setTimeScale(timeScale);
+  }
+
   /**
    * Update game state
    */
@@ -482,6 +708,21 @@ export class ARPGIntegration {
     }
   }
 
+  /**
+   * Handle labelled drops; those the loot filter hides never reach the
+   * ground items renderers draw
+   */
+  handleLootFiltered(data) {
+    this.gameState.items.push(...data.drops.filter((drop) => drop.label.visible));
+  }
+
+  /**
+   * Handle loot picked up off the ground
+   */
+  handleLootPickedUp(data) {
+    this.gameState.items = this.gameState.items.filter((drop) => drop.item.id !== data.lootId);
+  }
+
   /**
    * Handle system error
    */
@@ -523,6 +764,20 @@ export class ARPGIntegration {
     return this.systems[name];
   }
 
+  /**
+   * Get the shared random number service
+   */
+  getRNG() {
+    return this.rng;
+  }
+
+  /**
+   * Get the content pack loader
+   */
+  getContentLoader() {
+    return this.content;
+  }
+
   /**
    * Get game state
    */
@@ -571,6 +826,9 @@ export class ARPGIntegration {
       }
     }
 
+    // Stop content hot reload
+    this.content.cleanup();
+
     // Clear state
     this.systems = {};
     this.gameState = null;
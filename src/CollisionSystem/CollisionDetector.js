@@ -3,39 +3,67 @@
  * 
  * TODO: Extract from GameRefactored.js and systems
  * - Move collision detection logic here
- * - Implement spatial partitioning
- * - Add collision response handling
- * - Optimize collision queries
+ *
+ * Broad phase uses either a uniform hash grid (gridSize cells) or a
+ * quadtree, selected with the `broadPhase` option. Narrow phase offers
+ * swept and segment tests with time of impact, and physical responses
+ * resolve penetration and slide along static geometry.
  */
 
+import { SpatialHashGrid } from './SpatialHashGrid.js';
+import { Quadtree } from './Quadtree.js';
+
+export const BROAD_PHASE_STRATEGIES = ['grid', 'quadtree'];
+
+// Named collision layers; an object's layer selects one bit of a mask
+export const COLLISION_LAYERS = {
+  default: 0,
+  player: 1,
+  enemy: 2,
+  projectile: 3,
+  wall: 4,
+  trigger: 5,
+  item: 6
+};
+
+const ALL_LAYERS = 0xffffffff;
+
 export class CollisionDetector {
   constructor(options = {}) {
     this.collisionObjects = new Map();
-    this.spatialGrid = null;
-    this.gridSize = 64; // Grid cell size for spatial partitioning
+    this.spatialGrid = null; // Broad phase structure, created on first insert
+    this.gridSize = options.gridSize || 64; // Grid cell size for spatial partitioning
     
     // TODO: Inject dependencies
     this.eventBus = options.eventBus;
     this.logger = options.logger;
     this.config = options.config;
     
-    // TODO: Add collision configuration
     this.collisionConfig = {
       enableSpatialPartitioning: true,
       broadPhase: true,
       narrowPhase: true,
-      responseEnabled: true
+      responseEnabled: true,
+      strategy: options.broadPhase || 'grid',
+      quadtreeBounds: options.quadtreeBounds || { x: 0, y: 0, width: 4096, height: 4096 },
+      quadtreeMaxObjects: options.quadtreeMaxObjects || 8,
+      quadtreeMaxDepth: options.quadtreeMaxDepth || 6
     };
+
+    if (!BROAD_PHASE_STRATEGIES.includes(this.collisionConfig.strategy)) {
+      throw new Error(`Unknown broad phase strategy: ${this.collisionConfig.strategy}`);
+    }
+
+    this.layers = { ...COLLISION_LAYERS, ...(options.layers || {}) };
   }
 
   /**
    * Initialize collision system
-   * TODO: Set up spatial partitioning and collision groups
    */
   async initialize() {
-    // TODO: Initialize spatial grid
-    // TODO: Set up collision groups
-    // TODO: Configure collision layers
+    if (this.collisionConfig.enableSpatialPartitioning && !this.spatialGrid) {
+      this.spatialGrid = this.createSpatialGrid();
+    }
     console.log('CollisionDetector initialized');
   }
 
@@ -55,7 +83,6 @@ export class CollisionDetector {
       ...object
     });
     
-    // TODO: Add to spatial grid
     this.addToSpatialGrid(id, this.collisionObjects.get(id));
   }
 
@@ -66,7 +93,6 @@ export class CollisionDetector {
   unregisterCollisionObject(id) {
     const object = this.collisionObjects.get(id);
     if (object) {
-      // TODO: Remove from spatial grid
       this.removeFromSpatialGrid(id, object);
       this.collisionObjects.delete(id);
     }
@@ -80,7 +106,6 @@ export class CollisionDetector {
     const object = this.collisionObjects.get(id);
     if (object) {
       object.position = newPosition;
-      // TODO: Update spatial grid position
       this.updateSpatialGrid(id, object);
     }
   }
@@ -132,22 +157,101 @@ export class CollisionDetector {
 
   /**
    * Spatial partitioning collision detection
-   * TODO: Implement spatial partitioning
    */
   checkCollisionsSpatial() {
-    // TODO: Implement spatial grid collision detection
-    return [];
+    const collisions = [];
+    if (!this.spatialGrid) return collisions;
+
+    const processed = new Set();
+
+    for (const [id, obj1] of this.collisionObjects) {
+      processed.add(id);
+
+      for (const otherId of this.spatialGrid.query(this.getAABB(obj1))) {
+        if (processed.has(otherId)) continue;
+
+        const obj2 = this.collisionObjects.get(otherId);
+        if (obj2 && this.objectsCanCollide(obj1, obj2) && this.checkAABBCollision(obj1, obj2)) {
+          collisions.push({
+            object1: obj1,
+            object2: obj2,
+            collisionPoint: this.calculateCollisionPoint(obj1, obj2)
+          });
+        }
+      }
+    }
+
+    return collisions;
   }
 
   /**
    * Check if two objects can collide
-   * TODO: Implement collision layer system
+   *
+   * Each side's mask must include the other side's layer. Objects without
+   * a mask collide with every layer; two static objects never collide.
    */
   objectsCanCollide(obj1, obj2) {
-    // TODO: Check collision layers
-    // TODO: Check collision groups
-    // TODO: Check static vs dynamic
-    return true;
+    if (obj1 === obj2 || (obj1.id !== undefined && obj1.id === obj2.id)) {
+      return false;
+    }
+    if (obj1.isStatic && obj2.isStatic) {
+      return false;
+    }
+
+    return (this.getMask(obj1) & this.getLayerBit(obj2.layer)) !== 0 &&
+           (this.getMask(obj2) & this.getLayerBit(obj1.layer)) !== 0;
+  }
+
+  /**
+   * Get the bit for a layer index or layer name
+   */
+  getLayerBit(layer = 0) {
+    const index = typeof layer === 'string' ? this.layers[layer] : layer;
+    if (!Number.isInteger(index) || index < 0 || index > 31) {
+      throw new Error(`Unknown collision layer: ${layer}`);
+    }
+
+    return (1 << index) >>> 0;
+  }
+
+  /**
+   * Convert a mask (number, layer name or list of layers) to a bitfield
+   */
+  resolveMask(mask) {
+    if (mask === undefined || mask === null) return ALL_LAYERS;
+    if (typeof mask === 'number') return mask >>> 0;
+    if (typeof mask === 'string') return this.getLayerBit(mask);
+
+    return mask.reduce((bits, layer) => (bits | this.getLayerBit(layer)) >>> 0, 0);
+  }
+
+  /**
+   * Get an object's collision mask
+   */
+  getMask(object) {
+    return this.resolveMask(object.mask);
+  }
+
+  /**
+   * Get an object's axis-aligned bounding box
+   */
+  getAABB(object) {
+    return {
+      x: object.position.x,
+      y: object.position.y,
+      width: object.size.width,
+      height: object.size.height
+    };
+  }
+
+  /**
+   * Check whether two bounding boxes overlap (touching counts)
+   */
+  aabbOverlap(a, b) {
+    return a.x <= b.x + b.width &&
+           a.x + a.width >= b.x &&
+           a.y <= b.y + b.height &&
+           a.y + a.height >= b.y;
   }
 
   /**
@@ -167,17 +271,147 @@ export class CollisionDetector {
   }
 
   /**
-   * Calculate collision point
-   * TODO: Implement precise collision point calculation
+   * Calculate collision point (centre of the overlap region)
    */
   calculateCollisionPoint(obj1, obj2) {
-    // TODO: Calculate actual collision point
+    const a = this.getAABB(obj1);
+    const b = this.getAABB(obj2);
+    const left = Math.max(a.x, b.x);
+    const top = Math.max(a.y, b.y);
+    const right = Math.min(a.x + a.width, b.x + b.width);
+    const bottom = Math.min(a.y + a.height, b.y + b.height);
+
+    return {
+      x: (left + right) / 2,
+      y: (top + bottom) / 2
+    };
+  }
+
+  /**
+   * Calculate the minimum translation between two overlapping objects
+   * Returns { normal, depth } with the normal pointing from obj1 to obj2
+   */
+  calculatePenetration(obj1, obj2) {
+    return this.getAABBPenetration(this.getAABB(obj1), this.getAABB(obj2));
+  }
+
+  /**
+   * Minimum translation between two bounding boxes (depth <= 0 when apart)
+   */
+  getAABBPenetration(a, b) {
+    const dx = (b.x + b.width / 2) - (a.x + a.width / 2);
+    const dy = (b.y + b.height / 2) - (a.y + a.height / 2);
+    const overlapX = (a.width + b.width) / 2 - Math.abs(dx);
+    const overlapY = (a.height + b.height) / 2 - Math.abs(dy);
+
+    if (overlapX < overlapY) {
+      return { normal: { x: dx < 0 ? -1 : 1, y: 0 }, depth: overlapX };
+    }
+    return { normal: { x: 0, y: dy < 0 ? -1 : 1 }, depth: overlapY };
+  }
+
+  /**
+   * Segment vs box test
+   * Returns { time, normal, point } where time is in [0, 1] along the
+   * segment and normal is the face that was hit, or null on a miss.
+   * A segment starting inside the box hits at time 0 with a zero normal.
+   */
+  segmentVsAABB(start, end, aabb) {
+    const delta = { x: end.x - start.x, y: end.y - start.y };
+    const hit = this.intersectSegmentAABB(start, delta, aabb);
+    if (!hit) return null;
+
+    return {
+      ...hit,
+      point: { x: start.x + delta.x * hit.time, y: start.y + delta.y * hit.time }
+    };
+  }
+
+  /**
+   * Swept box vs box test
+   * Moves `moving` by `displacement` and returns { time, normal, position }
+   * for the first contact with `target`, or null if they never touch.
+   * Boxes that already overlap hit at time 0 with the push-out normal.
+   */
+  sweptAABB(moving, displacement, target) {
+    const start = this.getAABBPenetration(target, moving);
+    if (start.depth > 0) {
+      return {
+        time: 0,
+        normal: start.normal,
+        position: { x: moving.x, y: moving.y },
+        overlapping: true
+      };
+    }
+
+    // Minkowski sum: sweep the moving box's centre against the grown target
+    const expanded = {
+      x: target.x - moving.width / 2,
+      y: target.y - moving.height / 2,
+      width: target.width + moving.width,
+      height: target.height + moving.height
+    };
+    const centre = { x: moving.x + moving.width / 2, y: moving.y + moving.height / 2 };
+    const hit = this.intersectSegmentAABB(centre, displacement, expanded);
+    if (!hit) return null;
+
     return {
-      x: (obj1.position.x + obj2.position.x) / 2,
-      y: (obj1.position.y + obj2.position.y) / 2
+      time: hit.time,
+      normal: hit.normal,
+      position: {
+        x: moving.x + displacement.x * hit.time,
+        y: moving.y + displacement.y * hit.time
+      },
+      overlapping: false
     };
   }
 
+  /**
+   * Slab test for a segment `start + delta * t`, t in [0, 1]
+   * Grazing contact along an edge is not a hit.
+   */
+  intersectSegmentAABB(start, delta, aabb) {
+    let tEnter = -Infinity;
+    let tExit = Infinity;
+    let normal = { x: 0, y: 0 };
+
+    const axes = [
+      { origin: start.x, delta: delta.x, min: aabb.x, max: aabb.x + aabb.width, key: 'x' },
+      { origin: start.y, delta: delta.y, min: aabb.y, max: aabb.y + aabb.height, key: 'y' }
+    ];
+
+    for (const axis of axes) {
+      if (axis.delta === 0) {
+        if (axis.origin <= axis.min || axis.origin >= axis.max) return null;
+        continue;
+      }
+
+      let t1 = (axis.min - axis.origin) / axis.delta;
+      let t2 = (axis.max - axis.origin) / axis.delta;
+      let sign = -1;
+      if (t1 > t2) {
+        [t1, t2] = [t2, t1];
+        sign = 1;
+      }
+
+      if (t1 > tEnter) {
+        tEnter = t1;
+        normal = { x: 0, y: 0 };
+        normal[axis.key] = sign;
+      }
+      tExit = Math.min(tExit, t2);
+    }
+
+    if (tEnter >= tExit || tExit <= 0 || tEnter > 1) return null;
+
+    // Started inside the box
+    if (tEnter < 0) {
+      return { time: 0, normal: { x: 0, y: 0 } };
+    }
+
+    return { time: tEnter, normal };
+  }
+
   /**
    * Process collision responses
    * TODO: Extract from collision handling
@@ -216,13 +450,122 @@ export class CollisionDetector {
 
   /**
    * Handle physical collisions
-   * TODO: Extract from physics systems
+   *
+   * Pushes overlapping objects apart along the axis of least penetration.
+   * Static objects never move; two dynamic objects split the correction.
    */
   handlePhysicalCollision(obj1, obj2, collisionPoint) {
-    // TODO: Calculate collision response
-    // TODO: Apply forces
-    // TODO: Handle damage
-    console.log(`Physical collision: ${obj1.id} <-> ${obj2.id}`);
+    if (!this.collisionConfig.responseEnabled) return;
+    if (obj1.isStatic && obj2.isStatic) return;
+
+    // Earlier responses this frame may already have separated the pair
+    const { normal, depth } = this.calculatePenetration(obj1, obj2);
+    if (depth <= 0 || !this.checkAABBCollision(obj1, obj2)) return;
+
+    const share1 = obj1.isStatic ? 0 : (obj2.isStatic ? 1 : 0.5);
+    const share2 = obj2.isStatic ? 0 : 1 - share1;
+
+    if (share1 > 0) {
+      this.updateCollisionObject(obj1.id, {
+        x: obj1.position.x - normal.x * depth * share1,
+        y: obj1.position.y - normal.y * depth * share1
+      });
+      this.applySlide(obj1, { x: -normal.x, y: -normal.y });
+    }
+    if (share2 > 0) {
+      this.updateCollisionObject(obj2.id, {
+        x: obj2.position.x + normal.x * depth * share2,
+        y: obj2.position.y + normal.y * depth * share2
+      });
+      this.applySlide(obj2, normal);
+    }
+
+    this.eventBus?.emit('collision:resolved', {
+      object1: obj1.id,
+      object2: obj2.id,
+      position1: obj1.position,
+      position2: obj2.position,
+      normal,
+      depth,
+      collisionPoint
+    });
+  }
+
+  /**
+   * Remove the part of an object's velocity that points into a surface
+   * `normal` points away from the surface, towards the object
+   */
+  applySlide(object, normal) {
+    if (!object.velocity) return;
+
+    const dot = object.velocity.x * normal.x + object.velocity.y * normal.y;
+    if (dot < 0) {
+      object.velocity = {
+        x: object.velocity.x - dot * normal.x,
+        y: object.velocity.y - dot * normal.y
+      };
+    }
+  }
+
+  /**
+   * Move an object, stopping at solid objects and sliding along them
+   * Returns { position, hits } or null for an unknown id
+   */
+  moveAndSlide(id, displacement, options = {}) {
+    const object = this.collisionObjects.get(id);
+    if (!object) return null;
+
+    const maxIterations = options.maxIterations || 3;
+    const position = { ...object.position };
+    const hits = [];
+    let remaining = { ...displacement };
+
+    for (let i = 0; i < maxIterations && (remaining.x !== 0 || remaining.y !== 0); i++) {
+      const box = { x: position.x, y: position.y, width: object.size.width, height: object.size.height };
+      const bounds = {
+        x: Math.min(box.x, box.x + remaining.x),
+        y: Math.min(box.y, box.y + remaining.y),
+        width: box.width + Math.abs(remaining.x),
+        height: box.height + Math.abs(remaining.y)
+      };
+
+      let earliest = null;
+      for (const other of this.queryAABB(bounds, { exclude: id })) {
+        if (other.isTrigger || !this.objectsCanCollide(object, other)) continue;
+
+        const hit = this.sweptAABB(box, remaining, this.getAABB(other));
+        // Ignore contacts we are sliding along or moving away from
+        if (!hit || hit.normal.x * remaining.x + hit.normal.y * remaining.y >= 0) continue;
+
+        if (!earliest || hit.time < earliest.time) {
+          earliest = { ...hit, object: other };
+        }
+      }
+
+      if (!earliest) {
+        position.x += remaining.x;
+        position.y += remaining.y;
+        remaining = { x: 0, y: 0 };
+        break;
+      }
+
+      position.x += remaining.x * earliest.time;
+      position.y += remaining.y * earliest.time;
+      hits.push({ object: earliest.object, normal: earliest.normal, time: earliest.time });
+
+      // Slide: keep the leftover motion tangent to the surface
+      const leftover = { x: remaining.x * (1 - earliest.time), y: remaining.y * (1 - earliest.time) };
+      const dot = leftover.x * earliest.normal.x + leftover.y * earliest.normal.y;
+      remaining = {
+        x: leftover.x - dot * earliest.normal.x,
+        y: leftover.y - dot * earliest.normal.y
+      };
+      this.applySlide(object, earliest.normal);
+    }
+
+    this.updateCollisionObject(id, position);
+
+    return { position, hits };
   }
 
   /**
@@ -234,28 +577,188 @@ export class CollisionDetector {
     return `${obj1.type}-${obj2.type}`;
   }
 
+  /**
+   * Create the broad phase structure for the configured strategy
+   */
+  createSpatialGrid() {
+    if (this.collisionConfig.strategy === 'quadtree') {
+      return new Quadtree(this.collisionConfig.quadtreeBounds, {
+        maxObjects: this.collisionConfig.quadtreeMaxObjects,
+        maxDepth: this.collisionConfig.quadtreeMaxDepth
+      });
+    }
+
+    return new SpatialHashGrid(this.gridSize);
+  }
+
+  /**
+   * Switch broad phase strategy and rebuild the structure
+   */
+  setBroadPhaseStrategy(strategy) {
+    if (!BROAD_PHASE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown broad phase strategy: ${strategy}`);
+    }
+
+    this.collisionConfig.strategy = strategy;
+    this.rebuildSpatialGrid();
+  }
+
+  /**
+   * Rebuild the broad phase from all registered objects
+   */
+  rebuildSpatialGrid() {
+    this.spatialGrid = null;
+    for (const [id, object] of this.collisionObjects) {
+      this.addToSpatialGrid(id, object);
+    }
+  }
+
   /**
    * Add object to spatial grid
-   * TODO: Implement spatial grid
    */
   addToSpatialGrid(id, object) {
-    // TODO: Implement spatial grid insertion
+    if (!this.collisionConfig.enableSpatialPartitioning) return;
+
+    if (!this.spatialGrid) {
+      this.spatialGrid = this.createSpatialGrid();
+    }
+    this.spatialGrid.insert(id, this.getAABB(object));
   }
 
   /**
    * Remove object from spatial grid
-   * TODO: Implement spatial grid removal
    */
   removeFromSpatialGrid(id, object) {
-    // TODO: Implement spatial grid removal
+    this.spatialGrid?.remove(id);
   }
 
   /**
    * Update object in spatial grid
-   * TODO: Implement spatial grid updates
    */
   updateSpatialGrid(id, object) {
-    // TODO: Implement spatial grid updates
+    if (!this.spatialGrid) {
+      this.addToSpatialGrid(id, object);
+      return;
+    }
+    this.spatialGrid.update(id, this.getAABB(object));
+  }
+
+  /**
+   * Get broad phase candidates for a bounding box
+   */
+  getCandidates(aabb) {
+    if (!this.collisionConfig.enableSpatialPartitioning || !this.spatialGrid) {
+      return this.collisionObjects.values();
+    }
+
+    const candidates = [];
+    for (const id of this.spatialGrid.query(aabb)) {
+      const object = this.collisionObjects.get(id);
+      if (object) candidates.push(object);
+    }
+    return candidates;
+  }
+
+  /**
+   * Check an object against query options
+   */
+  matchesQuery(object, options) {
+    if (options.exclude !== undefined && object.id === options.exclude) return false;
+    if (options.mask !== undefined &&
+        (this.resolveMask(options.mask) & this.getLayerBit(object.layer)) === 0) {
+      return false;
+    }
+    if (options.filter && !options.filter(object)) return false;
+    return true;
+  }
+
+  /**
+   * Find objects overlapping a bounding box
+   * Options: mask (layers to include), exclude (object id), filter (predicate)
+   */
+  queryAABB(aabb, options = {}) {
+    const results = [];
+
+    for (const object of this.getCandidates(aabb)) {
+      if (this.matchesQuery(object, options) && this.aabbOverlap(this.getAABB(object), aabb)) {
+        results.push(object);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Find objects overlapping a circle
+   */
+  queryCircle(x, y, radius, options = {}) {
+    const bounds = { x: x - radius, y: y - radius, width: radius * 2, height: radius * 2 };
+    const radiusSquared = radius * radius;
+    const results = [];
+
+    for (const object of this.getCandidates(bounds)) {
+      if (!this.matchesQuery(object, options)) continue;
+
+      // Closest point on the box to the circle centre
+      const aabb = this.getAABB(object);
+      const closestX = Math.max(aabb.x, Math.min(x, aabb.x + aabb.width));
+      const closestY = Math.max(aabb.y, Math.min(y, aabb.y + aabb.height));
+      const dx = x - closestX;
+      const dy = y - closestY;
+
+      if (dx * dx + dy * dy <= radiusSquared) {
+        results.push(object);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Cast a ray and return the nearest hit
+   * Returns { object, distance, point, normal } or null
+   */
+  raycast(origin, direction, maxDistance, options = {}) {
+    const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+    if (length === 0 || !(maxDistance > 0)) return null;
+
+    const delta = {
+      x: direction.x / length * maxDistance,
+      y: direction.y / length * maxDistance
+    };
+    const bounds = {
+      x: Math.min(origin.x, origin.x + delta.x),
+      y: Math.min(origin.y, origin.y + delta.y),
+      width: Math.abs(delta.x),
+      height: Math.abs(delta.y)
+    };
+
+    let nearest = null;
+
+    for (const object of this.getCandidates(bounds)) {
+      if (!this.matchesQuery(object, options)) continue;
+
+      const hit = this.intersectSegmentAABB(origin, delta, this.getAABB(object));
+      if (hit && (!nearest || hit.time * maxDistance < nearest.distance)) {
+        nearest = {
+          object,
+          distance: hit.time * maxDistance,
+          point: { x: origin.x + delta.x * hit.time, y: origin.y + delta.y * hit.time },
+          normal: hit.normal
+        };
+      }
+    }
+
+    return nearest;
+  }
+
+  /**
+   * Get broad phase statistics
+   */
+  getBroadPhaseStats() {
+    return this.spatialGrid
+      ? this.spatialGrid.getStats()
+      : { strategy: this.collisionConfig.strategy, objects: 0 };
   }
 
   /**
@@ -263,7 +766,6 @@ export class CollisionDetector {
    * TODO: Extract from game update loop
    */
   update(deltaTime) {
-    // TODO: Update spatial grid
     // TODO: Check for collisions
     // TODO: Process collision responses
     this.checkCollisions();
@@ -275,8 +777,8 @@ export class CollisionDetector {
    */
   cleanup() {
     // TODO: Clear collision objects
-    // TODO: Clear spatial grid
     this.collisionObjects.clear();
+    this.spatialGrid?.clear();
     this.spatialGrid = null;
   }
 }
@@ -0,0 +1,206 @@
+/**
+ * Quadtree - Adaptive broad phase for unevenly distributed objects
+ *
+ * Each object is stored in the deepest node that fully contains its
+ * bounding box. Objects outside the tree bounds stay in the root so they
+ * are still found by queries.
+ */
+
+const intersects = (a, b) =>
+  a.x <= b.x + b.width &&
+  a.x + a.width >= b.x &&
+  a.y <= b.y + b.height &&
+  a.y + a.height >= b.y;
+
+const contains = (outer, inner) =>
+  inner.x >= outer.x &&
+  inner.y >= outer.y &&
+  inner.x + inner.width <= outer.x + outer.width &&
+  inner.y + inner.height <= outer.y + outer.height;
+
+export class Quadtree {
+  constructor(bounds, options = {}) {
+    this.bounds = bounds || { x: 0, y: 0, width: 4096, height: 4096 };
+    this.maxObjects = options.maxObjects || 8;
+    this.maxDepth = options.maxDepth || 6;
+
+    this.root = this.createNode(this.bounds, 0);
+    this.objectNodes = new Map();
+  }
+
+  /**
+   * Create a tree node
+   */
+  createNode(bounds, depth) {
+    return {
+      bounds,
+      depth,
+      objects: new Map(),
+      children: null,
+    };
+  }
+
+  /**
+   * Split a node into four children and push down contained objects
+   */
+  split(node) {
+    const { x, y, width, height } = node.bounds;
+    const halfWidth = width / 2;
+    const halfHeight = height / 2;
+    const depth = node.depth + 1;
+
+    node.children = [
+      this.createNode({ x, y, width: halfWidth, height: halfHeight }, depth),
+      this.createNode(
+        { x: x + halfWidth, y, width: halfWidth, height: halfHeight },
+        depth
+      ),
+      this.createNode(
+        { x, y: y + halfHeight, width: halfWidth, height: halfHeight },
+        depth
+      ),
+      this.createNode(
+        {
+          x: x + halfWidth,
+          y: y + halfHeight,
+          width: halfWidth,
+          height: halfHeight,
+        },
+        depth
+      ),
+    ];
+
+    for (const [id, aabb] of node.objects) {
+      const child = this.findContainingChild(node, aabb);
+      if (child) {
+        node.objects.delete(id);
+        child.objects.set(id, aabb);
+        this.objectNodes.set(id, child);
+      }
+    }
+  }
+
+  /**
+   * Find the child of a node that fully contains a bounding box
+   */
+  findContainingChild(node, aabb) {
+    if (!node.children) return null;
+    return node.children.find((child) => contains(child.bounds, aabb)) || null;
+  }
+
+  /**
+   * Insert an object
+   */
+  insert(id, aabb) {
+    if (this.objectNodes.has(id)) {
+      this.remove(id);
+    }
+
+    let node = this.root;
+    let child = this.findContainingChild(node, aabb);
+    while (child) {
+      node = child;
+      child = this.findContainingChild(node, aabb);
+    }
+
+    node.objects.set(id, { ...aabb });
+    this.objectNodes.set(id, node);
+
+    if (
+      !node.children &&
+      node.objects.size > this.maxObjects &&
+      node.depth < this.maxDepth
+    ) {
+      this.split(node);
+    }
+  }
+
+  /**
+   * Remove an object
+   */
+  remove(id) {
+    const node = this.objectNodes.get(id);
+    if (!node) return;
+
+    node.objects.delete(id);
+    this.objectNodes.delete(id);
+  }
+
+  /**
+   * Move an object
+   */
+  update(id, aabb) {
+    const node = this.objectNodes.get(id);
+
+    // Cheap path: still fits its node and cannot move deeper
+    if (
+      node &&
+      !node.children &&
+      (node === this.root || contains(node.bounds, aabb))
+    ) {
+      node.objects.set(id, { ...aabb });
+      return;
+    }
+
+    this.insert(id, aabb);
+  }
+
+  /**
+   * Get ids of objects whose bounds overlap a bounding box
+   */
+  query(aabb) {
+    const result = new Set();
+    this.queryNode(this.root, aabb, result);
+    return result;
+  }
+
+  /**
+   * Recursively query a node
+   */
+  queryNode(node, aabb, result) {
+    for (const [id, bounds] of node.objects) {
+      if (intersects(bounds, aabb)) {
+        result.add(id);
+      }
+    }
+
+    if (!node.children) return;
+
+    node.children.forEach((child) => {
+      if (intersects(child.bounds, aabb)) {
+        this.queryNode(child, aabb, result);
+      }
+    });
+  }
+
+  /**
+   * Remove all objects
+   */
+  clear() {
+    this.root = this.createNode(this.bounds, 0);
+    this.objectNodes.clear();
+  }
+
+  /**
+   * Get tree statistics
+   */
+  getStats() {
+    let nodes = 0;
+    let depth = 0;
+    const visit = (node) => {
+      nodes++;
+      depth = Math.max(depth, node.depth);
+      if (node.children) node.children.forEach(visit);
+    };
+    visit(this.root);
+
+    return {
+      strategy: 'quadtree',
+      objects: this.objectNodes.size,
+      nodes,
+      depth,
+    };
+  }
+}
+
+export default Quadtree;
@@ -0,0 +1,142 @@
+/**
+ * SpatialHashGrid - Uniform hash grid broad phase
+ *
+ * Buckets axis-aligned bounding boxes into fixed-size cells so that
+ * queries only visit objects in the cells they overlap.
+ */
+
+export class SpatialHashGrid {
+  constructor(cellSize = 64) {
+    if (!(cellSize > 0)) {
+      throw new Error('SpatialHashGrid: cellSize must be a positive number');
+    }
+
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.objectCells = new Map();
+  }
+
+  /**
+   * Get the cell coordinate range covered by a bounding box
+   */
+  getCellRange(aabb) {
+    return {
+      minX: Math.floor(aabb.x / this.cellSize),
+      minY: Math.floor(aabb.y / this.cellSize),
+      maxX: Math.floor((aabb.x + aabb.width) / this.cellSize),
+      maxY: Math.floor((aabb.y + aabb.height) / this.cellSize),
+    };
+  }
+
+  /**
+   * Get the cell keys covered by a bounding box
+   */
+  getCellKeys(aabb) {
+    const range = this.getCellRange(aabb);
+    const keys = [];
+
+    for (let cx = range.minX; cx <= range.maxX; cx++) {
+      for (let cy = range.minY; cy <= range.maxY; cy++) {
+        keys.push(`${cx},${cy}`);
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * Insert an object
+   */
+  insert(id, aabb) {
+    if (this.objectCells.has(id)) {
+      this.remove(id);
+    }
+
+    const keys = this.getCellKeys(aabb);
+
+    keys.forEach((key) => {
+      if (!this.cells.has(key)) {
+        this.cells.set(key, new Set());
+      }
+      this.cells.get(key).add(id);
+    });
+
+    this.objectCells.set(id, keys);
+  }
+
+  /**
+   * Remove an object
+   */
+  remove(id) {
+    const keys = this.objectCells.get(id);
+    if (!keys) return;
+
+    keys.forEach((key) => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+
+      cell.delete(id);
+      if (cell.size === 0) {
+        this.cells.delete(key);
+      }
+    });
+
+    this.objectCells.delete(id);
+  }
+
+  /**
+   * Move an object, skipping work if it stays in the same cells
+   */
+  update(id, aabb) {
+    const previousKeys = this.objectCells.get(id);
+    const keys = this.getCellKeys(aabb);
+
+    if (
+      previousKeys &&
+      previousKeys.length === keys.length &&
+      previousKeys.every((key, index) => key === keys[index])
+    ) {
+      return;
+    }
+
+    this.insert(id, aabb);
+  }
+
+  /**
+   * Get ids of objects in cells overlapping a bounding box
+   */
+  query(aabb) {
+    const result = new Set();
+
+    this.getCellKeys(aabb).forEach((key) => {
+      const cell = this.cells.get(key);
+      if (cell) {
+        cell.forEach((id) => result.add(id));
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Remove all objects
+   */
+  clear() {
+    this.cells.clear();
+    this.objectCells.clear();
+  }
+
+  /**
+   * Get grid statistics
+   */
+  getStats() {
+    return {
+      strategy: 'grid',
+      objects: this.objectCells.size,
+      cells: this.cells.size,
+      cellSize: this.cellSize,
+    };
+  }
+}
+
+export default SpatialHashGrid;
@@ -1,11 +1,12 @@
 /**
  * GameLoopManager - Core game loop management
- * 
- * TODO: Extract from GameRefactored.js
- * - Move main game loop logic here
- * - Implement frame rate management
- * - Add pause/resume functionality
- * - Handle delta time calculations
+ *
+ * Runs the simulation at a fixed time step using an accumulator:
+ * - Each animation frame adds the (time scaled) frame time to the accumulator
+ * - The simulation advances in whole fixed steps via onUpdate
+ * - At most maxStepsPerFrame steps run per frame (spiral-of-death guard)
+ * - Rendering receives alpha, the fraction of a step left in the accumulator,
+ *   for interpolating between the last two simulation states
  */
 
 export class GameLoopManager {
@@ -17,6 +18,26 @@ export class GameLoopManager {
     this.lastFrameTime = 0;
     this.deltaTime = 0;
     this.animationFrameId = null;
+
+    // Fixed time step simulation
+    this.fixedTimeStep = options.fixedTimeStep || this.targetFrameTime;
+    this.maxStepsPerFrame = options.maxStepsPerFrame || 5;
+    this.timeScale = options.timeScale !== undefined ? options.timeScale : 1;
+    this.accumulator = 0;
+    this.alpha = 0;
+    this.simulationTime = 0;
+    this.stepCount = 0;
+    this.droppedTime = 0;
+
+    // Callbacks: onFrame replaces tick() as the per-frame entry point
+    this.onFrame = options.onFrame || null;
+    this.onUpdate = options.onUpdate || null;
+    this.onRender = options.onRender || null;
+
+    // Clock and frame scheduling (replaceable for headless hosts)
+    this.now = options.now || (() => performance.now());
+    this.requestFrame = options.requestFrame || ((callback) => requestAnimationFrame(callback));
+    this.cancelFrame = options.cancelFrame || ((id) => cancelAnimationFrame(id));
     
     // TODO: Inject dependencies
     this.eventBus = options.eventBus;
@@ -52,7 +73,7 @@ export class GameLoopManager {
     
     this.isRunning = true;
     this.isPaused = false;
-    this.lastFrameTime = performance.now();
+    this.resetTiming();
     
     // TODO: Emit game started event
     this.eventBus?.emit('game:started', this.gameState);
@@ -62,35 +83,130 @@ export class GameLoopManager {
 
   /**
    * Main game loop
-   * TODO: Extract from GameRefactored.update()
    */
   loop() {
     if (!this.isRunning) return;
     
-    const currentTime = performance.now();
-    this.deltaTime = currentTime - this.lastFrameTime;
-    
-    if (this.deltaTime >= this.targetFrameTime) {
-      if (!this.isPaused) {
-        this.update(this.deltaTime);
-      }
-      this.lastFrameTime = currentTime;
+    const currentTime = this.now();
+    if (this.onFrame) {
+      this.onFrame(currentTime);
+    } else {
+      this.tick(currentTime);
     }
     
-    this.animationFrameId = requestAnimationFrame(() => this.loop());
+    if (this.isRunning) {
+      this.animationFrameId = this.requestFrame(() => this.loop());
+    }
   }
 
   /**
-   * Update game state
-   * TODO: Extract update logic from GameRefactored
+   * Process one frame ending at currentTime
+   * Returns the number of simulation steps run
+   */
+  tick(currentTime) {
+    this.deltaTime = currentTime - this.lastFrameTime;
+    this.lastFrameTime = currentTime;
+
+    if (this.isPaused) return 0;
+
+    return this.advance(this.deltaTime);
+  }
+
+  /**
+   * Advance the simulation by a frame time in milliseconds
+   * Returns the number of simulation steps run
+   */
+  advance(frameTime) {
+    this.accumulator += Math.max(0, frameTime) * this.timeScale;
+
+    let steps = 0;
+    while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+      this.update(this.fixedTimeStep);
+      this.accumulator -= this.fixedTimeStep;
+      this.simulationTime += this.fixedTimeStep;
+      this.stepCount++;
+      steps++;
+    }
+
+    // Spiral-of-death guard: drop whole steps we could not catch up on
+    if (this.accumulator >= this.fixedTimeStep) {
+      const dropped = this.accumulator - (this.accumulator % this.fixedTimeStep);
+      this.accumulator -= dropped;
+      this.droppedTime += dropped;
+      this.logger?.warn(`GameLoopManager: dropped ${dropped.toFixed(1)}ms of simulation time`);
+      this.eventBus?.emit('game:timeDropped', { droppedTime: dropped, steps });
+    }
+
+    this.alpha = this.accumulator / this.fixedTimeStep;
+    this.render(this.alpha);
+
+    return steps;
+  }
+
+  /**
+   * Run one fixed simulation step
    */
   update(deltaTime) {
-    // TODO: Update game systems
-    // TODO: Update game state
-    // TODO: Handle input
-    // TODO: Update physics
-    // TODO: Update audio
-    // TODO: Update UI
+    if (this.onUpdate) {
+      this.onUpdate(deltaTime, this.gameState);
+    }
+  }
+
+  /**
+   * Render with interpolation alpha in [0, 1)
+   */
+  render(alpha) {
+    if (this.onRender) {
+      this.onRender(alpha);
+      return;
+    }
+
+    this.eventBus?.emit('game:render', {
+      alpha,
+      gameState: this.gameState,
+      timestamp: this.lastFrameTime,
+    });
+  }
+
+  /**
+   * Set simulation speed (1 = normal, 0.5 = slow motion, 0 = frozen)
+   */
+  setTimeScale(timeScale) {
+    if (typeof timeScale !== 'number' || !(timeScale >= 0)) {
+      throw new Error('GameLoopManager: timeScale must be a non-negative number');
+    }
+    this.timeScale = timeScale;
+  }
+
+  /**
+   * Get simulation speed
+   */
+  getTimeScale() {
+    return this.timeScale;
+  }
+
+  /**
+   * Restart frame timing from a given time and clear the accumulator
+   */
+  resetTiming(time = this.now()) {
+    this.lastFrameTime = time;
+    this.accumulator = 0;
+    this.alpha = 0;
+  }
+
+  /**
+   * Get loop timing statistics
+   */
+  getTimingStats() {
+    return {
+      fixedTimeStep: this.fixedTimeStep,
+      timeScale: this.timeScale,
+      accumulator: this.accumulator,
+      alpha: this.alpha,
+      simulationTime: this.simulationTime,
+      stepCount: this.stepCount,
+      droppedTime: this.droppedTime,
+    };
   }
 
   /**
@@ -113,7 +229,7 @@ export class GameLoopManager {
     if (!this.isRunning || !this.isPaused) return;
     
     this.isPaused = false;
-    this.lastFrameTime = performance.now();
+    this.lastFrameTime = this.now();
     // TODO: Emit resume event
     this.eventBus?.emit('game:resumed', this.gameState);
   }
@@ -129,7 +245,7 @@ export class GameLoopManager {
     this.isPaused = false;
     
     if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
+      this.cancelFrame(this.animationFrameId);
       this.animationFrameId = null;
     }
     
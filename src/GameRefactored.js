@@ -6,6 +6,7 @@
  * - Achievements system
  * - Daily challenges
  * - Accessibility features
+ * - Deterministic replay recording and playback
  * - Modular component architecture with dependency injection
  */
 
@@ -14,9 +15,12 @@ import { AchievementManager } from './managers/AchievementManager.js';
 import { DailyChallengeManager } from './managers/DailyChallengeManager.js';
 import { AccessibilityManager } from './managers/AccessibilityManager.js';
 import { EventBus } from './core/EventBus.js';
+import { RNGService } from './core/RNGService.js';
 import { Logger } from './utils/Logger.js';
 import { PerformanceMonitor } from './core/PerformanceMonitor.js';
 import { InputManager } from './core/InputManager.js';
+import { ReplayManager } from './core/ReplayManager.js';
+import { GameLoopManager } from './GameLoop/GameLoopManager.js';
 import { MobileTesting } from './utils/MobileTesting.js';
 import { SettingsUI } from './ui/SettingsUI.js';
 import { AudioSystem } from './systems/AudioSystem.js';
@@ -63,6 +67,8 @@ export class GameRefactored {
       throw new Error('GameRefactored: Logger initialization failed');
     }
 
+    this.rng = new RNGService({ seed: this.config.seed });
+
     // Game state - with assertions
     this.gameState = {
       isRunning: false,
@@ -115,6 +121,26 @@ export class GameRefactored {
       config: this.config,
     });
 
+    // Fixed time step game loop
+    this.gameLoop = new GameLoopManager({
+      logger: this.logger,
+      config: this.config,
+      frameRate: this.config.frameRate,
+      maxStepsPerFrame: this.config.maxStepsPerFrame,
+      onFrame: (currentTime) => this.update(currentTime),
+      onUpdate: (deltaTime) => this.step(deltaTime),
+      onRender: (alpha) => this.render(alpha),
+    });
+
+    // Replay recording and playback
+    this.replayManager = new ReplayManager({
+      eventBus: this.eventBus,
+      logger: this.logger,
+      config: this.config,
+      rng: this.rng,
+      game: this,
+    });
+
     // Mobile testing
     this.mobileTesting = new MobileTesting({
       eventBus: this.eventBus,
@@ -221,6 +247,7 @@ export class GameRefactored {
       this.managers.dailyChallenges = new DailyChallengeManager({
         eventBus: this.eventBus,
         logger: this.logger,
+        rng: this.rng,
         gameState: () => this.gameState,
       });
     }
@@ -516,7 +543,7 @@ export class GameRefactored {
       this.gameState.lastUpdateTime = performance.now();
 
       // Start game loop
-      this.gameLoopId = requestAnimationFrame(this.update);
+      this.gameLoop.start();
 
       // Emit game start event
       this.eventBus.emit('game:started', {
@@ -542,7 +569,7 @@ export class GameRefactored {
   pause() {
     if (this.gameState.isRunning && !this.gameState.isPaused) {
       this.gameState.isPaused = true;
-      cancelAnimationFrame(this.gameLoopId);
+      this.gameLoop.pause();
 
       this.eventBus.emit('game:paused', {
         timestamp: Date.now(),
@@ -560,7 +587,7 @@ export class GameRefactored {
     if (this.gameState.isRunning && this.gameState.isPaused) {
       this.gameState.isPaused = false;
       this.gameState.lastUpdateTime = performance.now();
-      this.gameLoopId = requestAnimationFrame(this.update);
+      this.gameLoop.resume();
 
       this.eventBus.emit('game:resumed', {
         timestamp: Date.now(),
@@ -577,9 +604,7 @@ export class GameRefactored {
     this.gameState.isRunning = false;
     this.gameState.isPaused = false;
 
-    if (this.gameLoopId) {
-      cancelAnimationFrame(this.gameLoopId);
-    }
+    this.gameLoop.stop();
 
     // Cleanup managers
     for (const [name, manager] of Object.entries(this.managers)) {
@@ -603,6 +628,11 @@ export class GameRefactored {
       this.mobileTesting.cleanup();
     }
 
+    // Finish any replay recording
+    if (this.replayManager.isRecording()) {
+      this.replayManager.stopRecording();
+    }
+
     this.eventBus.emit('game:stopped', {
       timestamp: Date.now(),
       finalScore: this.gameState.score,
@@ -613,45 +643,56 @@ export class GameRefactored {
   }
 
   /**
-   * Main game update loop
+   * Main game update loop, called once per animation frame
    */
   update(currentTime) {
     if (!this.gameState.isRunning || this.gameState.isPaused) {
       return;
     }
 
-    const deltaTime = currentTime - this.gameState.lastUpdateTime;
     this.gameState.lastUpdateTime = currentTime;
 
+    // Record frame timing for replays
+    if (this.replayManager.isRecording()) {
+      this.replayManager.captureFrame(currentTime);
+    }
+
     try {
-      // Update all managers
-      for (const [name, manager] of Object.entries(this.managers)) {
-        if (manager.update) {
-          manager.update(deltaTime, this.gameState);
-        }
-      }
+      // Run fixed simulation steps, then render
+      this.gameLoop.tick(currentTime);
+
+      const frameTime = this.gameLoop.deltaTime;
 
       // Update performance monitoring
       if (this.performanceMonitor.update) {
-        this.performanceMonitor.update(deltaTime);
+        this.performanceMonitor.update(frameTime);
       }
 
       // Update input management
       if (this.inputManager.update) {
-        this.inputManager.update(deltaTime);
+        this.inputManager.update(frameTime);
       }
-
-      // Update game objects
-      this.updateGameObjects(deltaTime);
-
-      // Continue game loop
-      this.gameLoopId = requestAnimationFrame(this.update);
     } catch (error) {
       this.logger.error('Error in game update loop:', error);
       this.stop();
     }
   }
 
+  /**
+   * Advance the simulation by one fixed time step
+   */
+  step(deltaTime) {
+    // Update all managers
+    for (const [name, manager] of Object.entries(this.managers)) {
+      if (manager.update) {
+        manager.update(deltaTime, this.gameState);
+      }
+    }
+
+    // Update game objects
+    this.updateGameObjects(deltaTime);
+  }
+
   /**
    * Update all game objects
    */
@@ -677,15 +718,30 @@ export class GameRefactored {
   /**
    * Render the game
    */
-  render() {
+  render(alpha = this.gameLoop.alpha) {
     // This would typically be handled by a rendering system
     // For now, we'll emit render events for managers to handle
     this.eventBus.emit('game:render', {
       gameState: this.gameState,
+      alpha,
       timestamp: performance.now(),
     });
   }
 
+  /**
+   * Set simulation speed (1 = normal, 0.5 = slow motion, 0 = frozen)
+   */
+  setTimeScale(timeScale) {
+    this.gameLoop.setTimeScale(timeScale);
+  }
+
+  /**
+   * Get the game loop
+   */
+  getGameLoop() {
+    return this.gameLoop;
+  }
+
   /**
    * Handle input events
    */
@@ -764,6 +820,45 @@ export class GameRefactored {
     return this.inputManager;
   }
 
+  /**
+   * Get the shared random number service
+   */
+  getRNG() {
+    return this.rng;
+  }
+
+  /**
+   * Get replay manager
+   */
+  getReplayManager() {
+    return this.replayManager;
+  }
+
+  /**
+   * Start recording a replay of the current session
+   */
+  startReplayRecording(options = {}) {
+    this.replayManager.startRecording(options);
+  }
+
+  /**
+   * Stop recording and return the replay
+   */
+  stopReplayRecording() {
+    return this.replayManager.stopRecording();
+  }
+
+  /**
+   * Play back a replay (object or exported JSON string)
+   */
+  playReplay(replay) {
+    const loadedReplay =
+      typeof replay === 'string'
+        ? this.replayManager.importReplay(replay)
+        : replay;
+    return this.replayManager.play(loadedReplay);
+  }
+
   /**
    * Get mobile testing utility
    */
@@ -0,0 +1,141 @@
+/**
+ * AuctionBook.js - Auction house bidding and buy order rules
+ *
+ * This module handles:
+ * - Proxy bidding: each bidder gives the most they will pay, and the
+ *   visible bid only rises as far as it takes to beat the runner-up
+ * - Soft close: a bid in the last minutes pushes the end back, so an
+ *   auction cannot be sniped
+ * - Matching standing buy orders against listings
+ * - Summing up an item's sale prices
+ *
+ * Rules come from the trading configuration:
+ *   minBidIncrement     smallest step between bids
+ *   bidIncrementRate    step as a share of the bid, when that is larger
+ *   softCloseWindow     ms before the end in which a bid extends it
+ *   softCloseExtension  ms left on the clock after such a bid
+ *
+ * An auction's proxy is { bidderId, maxBid } for the leading bidder; it is
+ * kept off the public view so nobody sees how far the leader will go.
+ */
+
+/**
+ * Get the step the next bid has to rise by over an amount
+ */
+export const getBidIncrement = (amount, rules) =>
+  Math.max(rules.minBidIncrement, Math.ceil(amount * rules.bidIncrementRate));
+
+/**
+ * Get the smallest bid an auction takes next
+ */
+export const getMinimumBid = (auction, rules) =>
+  auction.proxy
+    ? auction.currentBid + getBidIncrement(auction.currentBid, rules)
+    : auction.startingPrice;
+
+/**
+ * Work out a bid. Returns { leader, currentBid, outbid }, where leader is
+ * the proxy that leads afterwards and outbid the proxy that lost, if any.
+ * Throws if the bid is too low. On equal maximums the earlier bid leads
+ */
+export const resolveProxyBid = (auction, bidderId, maxBid, rules) => {
+  const leader = auction.proxy;
+  const bid = { bidderId, maxBid };
+
+  if (leader && leader.bidderId === bidderId) {
+    if (maxBid <= leader.maxBid) {
+      throw new Error(`Your maximum bid is already ${leader.maxBid}`);
+    }
+    return { leader: bid, currentBid: auction.currentBid, outbid: null };
+  }
+
+  const minimum = getMinimumBid(auction, rules);
+  if (!(maxBid >= minimum)) {
+    throw new Error(`Bid must be at least ${minimum}`);
+  }
+
+  if (!leader) {
+    return { leader: bid, currentBid: auction.startingPrice, outbid: null };
+  }
+  if (maxBid > leader.maxBid) {
+    return {
+      leader: bid,
+      currentBid: Math.min(
+        maxBid,
+        leader.maxBid + getBidIncrement(leader.maxBid, rules)
+      ),
+      outbid: leader,
+    };
+  }
+  return {
+    leader,
+    currentBid: Math.min(leader.maxBid, maxBid + getBidIncrement(maxBid, rules)),
+    outbid: bid,
+  };
+};
+
+/**
+ * Get when an auction ends after a bid at now: later than endTime if the
+ * bid landed in the soft close window
+ */
+export const getSoftCloseEnd = (endTime, now, rules) =>
+  endTime - now <= rules.softCloseWindow
+    ? Math.max(endTime, now + rules.softCloseExtension)
+    : endTime;
+
+/**
+ * Get an auction as anyone may see it, without the leader's maximum
+ */
+export const toPublicAuction = (auction) => {
+  const copy = { ...auction };
+  delete copy.proxy;
+  return copy;
+};
+
+/**
+ * Whether a buy order wants an item: the same base, and the rarity and
+ * level it asks for, if any
+ */
+export const matchesBuyOrder = (order, item) =>
+  (item.name === order.itemName || item.template === order.itemName) &&
+  (!order.rarity || item.rarity === order.rarity) &&
+  (item.level || 1) >= (order.minLevel || 0);
+
+/**
+ * Whether a buy order can take a whole listing at its buyout price
+ */
+export const canFillBuyOrder = (order, auction) =>
+  order.status === 'active' &&
+  order.playerId !== auction.seller &&
+  order.currency === auction.currency &&
+  Boolean(auction.buyoutPrice) &&
+  order.remaining >= auction.quantity &&
+  order.maxPrice * auction.quantity >= auction.buyoutPrice &&
+  matchesBuyOrder(order, auction.item);
+
+/**
+ * Pick the buy order a listing fills: the highest price, then the oldest
+ */
+export const pickBuyOrder = (orders, auction) =>
+  orders
+    .filter((order) => canFillBuyOrder(order, auction))
+    .sort((a, b) => b.maxPrice - a.maxPrice || a.createdAt - b.createdAt)[0] ||
+  null;
+
+/**
+ * Sum up sales: { count, average, low, high, last }, by price per unit
+ */
+export const summarizeSales = (sales) => {
+  if (sales.length === 0) {
+    return { count: 0, average: null, low: null, high: null, last: null };
+  }
+
+  const prices = sales.map((sale) => sale.unitPrice);
+  return {
+    count: sales.length,
+    average: prices.reduce((sum, price) => sum + price, 0) / prices.length,
+    low: Math.min(...prices),
+    high: Math.max(...prices),
+    last: prices[prices.length - 1],
+  };
+};
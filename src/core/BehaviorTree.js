@@ -0,0 +1,312 @@
+/**
+ * BehaviorTree.js - Behavior trees defined as data
+ *
+ * This module handles:
+ * - Composite nodes: selector runs children until one does not fail,
+ *   sequence runs children until one does not succeed
+ * - Decorators: invert, succeed and cooldown
+ * - Condition and action leaves looked up by name, so trees stay plain data
+ * - A blackboard per agent for what it perceives and remembers
+ * - Recording the active node of every agent for debugging
+ *
+ * A tree looks like:
+ *   {
+ *     type: 'selector',
+ *     children: [
+ *       { type: 'sequence', label: 'flee', children: [
+ *         { type: 'condition', name: 'healthBelow', args: { percent: 0.2 } },
+ *         { type: 'action', name: 'flee' },
+ *       ] },
+ *       { type: 'cooldown', duration: 2000, child: { type: 'action', name: 'roar' } },
+ *     ],
+ *   }
+ *
+ * Leaves are called as fn(agent, blackboard, context, args). Conditions
+ * return a boolean; actions return a STATUS, or true/false for
+ * success/failure.
+ */
+
+export const STATUS = {
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  RUNNING: 'running',
+};
+
+const COMPOSITES = ['selector', 'sequence'];
+const DECORATORS = ['invert', 'succeed', 'cooldown'];
+const LEAVES = ['condition', 'action'];
+
+export const NODE_TYPES = [...COMPOSITES, ...DECORATORS, ...LEAVES];
+
+export class Blackboard {
+  constructor(values = {}) {
+    this.values = new Map(Object.entries(values));
+  }
+
+  get(key) {
+    return this.values.get(key);
+  }
+
+  has(key) {
+    return this.values.has(key);
+  }
+
+  set(key, value) {
+    this.values.set(key, value);
+    return value;
+  }
+
+  delete(key) {
+    return this.values.delete(key);
+  }
+}
+
+export class BehaviorTreeRuntime {
+  constructor(options = {}) {
+    // Compiled trees by id
+    this.trees = new Map();
+
+    // Leaf functions by name
+    this.conditions = new Map(Object.entries(options.conditions || {}));
+    this.actions = new Map(Object.entries(options.actions || {}));
+
+    // Per agent id: { tree, blackboard, elapsed, cooldowns, active, status }
+    this.agents = new Map();
+
+    Object.entries(options.trees || {}).forEach(([id, definition]) => {
+      this.defineTree(id, definition);
+    });
+  }
+
+  /**
+   * Register a condition leaf
+   */
+  registerCondition(name, condition) {
+    this.conditions.set(name, condition);
+  }
+
+  /**
+   * Register an action leaf
+   */
+  registerAction(name, action) {
+    this.actions.set(name, action);
+  }
+
+  /**
+   * Add or replace a tree; a definition is either the root node or
+   * { description, root }
+   */
+  defineTree(id, definition) {
+    const root = definition && definition.root ? definition.root : definition;
+    this.trees.set(id, { id, root: this.compileNode(id, root, 'root') });
+
+    // Agents running the old version start over
+    this.agents.forEach((state) => {
+      if (state.tree === id) {
+        state.cooldowns.clear();
+        state.active = null;
+      }
+    });
+  }
+
+  /**
+   * Check a node and copy it with its path, which keys cooldowns and
+   * debug output
+   */
+  compileNode(treeId, node, path) {
+    const fail = (message) => {
+      throw new Error(`Behavior tree ${treeId}: ${path} ${message}`);
+    };
+
+    if (!node || typeof node !== 'object') fail('must be a node');
+    if (!NODE_TYPES.includes(node.type)) {
+      fail(`has unknown node type "${node.type}"`);
+    }
+
+    const compiled = { ...node, path };
+
+    if (COMPOSITES.includes(node.type)) {
+      if (!Array.isArray(node.children) || node.children.length === 0) {
+        fail('needs children');
+      }
+      compiled.children = node.children.map((child, index) =>
+        this.compileNode(treeId, child, `${path}.children[${index}]`)
+      );
+    } else if (DECORATORS.includes(node.type)) {
+      if (!node.child) fail('needs a child');
+      if (
+        node.type === 'cooldown' &&
+        !(typeof node.duration === 'number' && node.duration > 0)
+      ) {
+        fail('needs a positive duration');
+      }
+      compiled.child = this.compileNode(treeId, node.child, `${path}.child`);
+    } else {
+      const leaves = node.type === 'condition' ? this.conditions : this.actions;
+      if (!leaves.has(node.name)) {
+        fail(`refers to unknown ${node.type} "${node.name}"`);
+      }
+      compiled.args = node.args || {};
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Check whether a tree is defined
+   */
+  hasTree(id) {
+    return this.trees.has(id);
+  }
+
+  /**
+   * Get the state of an agent, creating it on first use
+   */
+  getAgentState(agent, treeId = null) {
+    if (!this.agents.has(agent.id)) {
+      this.agents.set(agent.id, {
+        tree: treeId,
+        blackboard: new Blackboard(),
+        elapsed: 0,
+        cooldowns: new Map(),
+        active: null,
+        status: null,
+      });
+    }
+    const state = this.agents.get(agent.id);
+    if (treeId && state.tree !== treeId) {
+      state.tree = treeId;
+      state.cooldowns.clear();
+    }
+    return state;
+  }
+
+  /**
+   * Get an agent's blackboard
+   */
+  getBlackboard(agent) {
+    return this.getAgentState(agent).blackboard;
+  }
+
+  /**
+   * Run one tick of a tree for an agent and return its status
+   */
+  tick(treeId, agent, context = {}, deltaTime = 0) {
+    const tree = this.trees.get(treeId);
+    if (!tree) {
+      throw new Error(`Unknown behavior tree: ${treeId}`);
+    }
+
+    const state = this.getAgentState(agent, treeId);
+    state.elapsed += deltaTime;
+    state.active = null;
+    state.status = this.runNode(tree.root, agent, state, context, []);
+    return state.status;
+  }
+
+  /**
+   * Run a node; trail holds the labels of the branches above it
+   */
+  runNode(node, agent, state, context, trail) {
+    const branch = node.label ? [...trail, node.label] : trail;
+
+    switch (node.type) {
+      case 'selector':
+        for (const child of node.children) {
+          const status = this.runNode(child, agent, state, context, branch);
+          if (status !== STATUS.FAILURE) return status;
+        }
+        return STATUS.FAILURE;
+
+      case 'sequence':
+        for (const child of node.children) {
+          const status = this.runNode(child, agent, state, context, branch);
+          if (status !== STATUS.SUCCESS) return status;
+        }
+        return STATUS.SUCCESS;
+
+      case 'invert': {
+        const status = this.runNode(node.child, agent, state, context, branch);
+        if (status === STATUS.SUCCESS) return STATUS.FAILURE;
+        if (status === STATUS.FAILURE) return STATUS.SUCCESS;
+        return status;
+      }
+
+      case 'succeed': {
+        const status = this.runNode(node.child, agent, state, context, branch);
+        return status === STATUS.RUNNING ? STATUS.RUNNING : STATUS.SUCCESS;
+      }
+
+      case 'cooldown': {
+        // Fails while cooling down after its child last succeeded
+        const readyAt = state.cooldowns.get(node.path) || 0;
+        if (state.elapsed < readyAt) return STATUS.FAILURE;
+
+        const status = this.runNode(node.child, agent, state, context, branch);
+        if (status === STATUS.SUCCESS) {
+          state.cooldowns.set(node.path, state.elapsed + node.duration);
+        }
+        return status;
+      }
+
+      case 'condition': {
+        const condition = this.conditions.get(node.name);
+        return condition(agent, state.blackboard, context, node.args)
+          ? STATUS.SUCCESS
+          : STATUS.FAILURE;
+      }
+
+      default: {
+        const action = this.actions.get(node.name);
+        const result = action(agent, state.blackboard, context, node.args);
+        const status =
+          result === false
+            ? STATUS.FAILURE
+            : Object.values(STATUS).includes(result)
+              ? result
+              : STATUS.SUCCESS;
+
+        // The last action that did not fail is what the agent is doing
+        if (status !== STATUS.FAILURE) {
+          state.active = { node, trail: branch };
+        }
+        return status;
+      }
+    }
+  }
+
+  /**
+   * Describe what an agent is doing, e.g. 'attack > chase'
+   */
+  getDebugInfo(agentId) {
+    const state = this.agents.get(agentId);
+    if (!state) return null;
+
+    const active = state.active;
+    return {
+      tree: state.tree,
+      status: state.status,
+      node: active ? active.node.name : null,
+      path: active ? active.node.path : null,
+      description: active
+        ? [...active.trail, active.node.name].join(' > ')
+        : 'idle',
+    };
+  }
+
+  /**
+   * Forget an agent
+   */
+  removeAgent(agentId) {
+    return this.agents.delete(agentId);
+  }
+
+  /**
+   * Forget every agent
+   */
+  clearAgents() {
+    this.agents.clear();
+  }
+}
+
+export default BehaviorTreeRuntime;
@@ -0,0 +1,420 @@
+/**
+ * BossEncounter.js - Scripted multi-phase boss fights
+ *
+ * This module handles:
+ * - Phases that start when the boss's health drops below a fraction or
+ *   after a time
+ * - A rotation of abilities per phase, each telegraphed as a zone on the
+ *   ground before its damage lands
+ * - Enrage timers and waves of adds
+ * - A performance breakdown per phase
+ *
+ * A script looks like:
+ *   {
+ *     enrage: { after: 300000, damage: 2, castSpeed: 1.5 },
+ *     abilities: {
+ *       tail_sweep: {
+ *         name: 'Tail Sweep',
+ *         damage: 120,
+ *         telegraph: { shape: 'circle', radius: 90, duration: 1200 },
+ *         at: 'self',            // centre the zone on the boss or 'target'
+ *       },
+ *       meteor: {
+ *         damage: 150,
+ *         telegraph: { shape: 'circle', radius: 60, duration: 2000 },
+ *         at: 'target',
+ *         count: 3,              // zones per cast, scattered within spread
+ *         spread: 120,
+ *       },
+ *     },
+ *     phases: [
+ *       { name: 'Grounded', rotation: ['tail_sweep'], interval: 4000 },
+ *       {
+ *         name: 'Airborne',
+ *         trigger: { health: 0.6 },  // or { elapsed } / { phaseTime } in ms
+ *         rotation: ['meteor', 'tail_sweep'],
+ *         adds: [{ type: 'skeleton', count: 2, at: 0, every: 15000 }],
+ *       },
+ *     ],
+ *   }
+ *
+ * Cones and lines start at the boss and point at the target; radius is
+ * their length. The encounter reports through hooks:
+ *   telegraph(telegraph), resolve(telegraph, hit), spawnAdds(wave),
+ *   phaseChanged(phase, previous), enrage()
+ */
+
+export const TELEGRAPH_SHAPES = ['circle', 'cone', 'line'];
+
+const DEFAULT_INTERVAL = 3000;
+
+/**
+ * Check whether a point is inside a telegraphed zone
+ */
+export const isInTelegraph = (telegraph, point) => {
+  const dx = point.x - telegraph.x;
+  const dy = point.y - telegraph.y;
+  const distance = Math.hypot(dx, dy);
+
+  switch (telegraph.shape) {
+    case 'circle':
+      return distance <= telegraph.radius;
+
+    case 'cone': {
+      if (distance > telegraph.radius) return false;
+      if (distance === 0) return true;
+      const offset = Math.atan2(dy, dx) - telegraph.direction;
+      const angle = Math.abs(Math.atan2(Math.sin(offset), Math.cos(offset)));
+      return angle <= ((telegraph.angle / 2) * Math.PI) / 180;
+    }
+
+    case 'line': {
+      // Distance along and across the line
+      const along =
+        dx * Math.cos(telegraph.direction) + dy * Math.sin(telegraph.direction);
+      const across =
+        -dx * Math.sin(telegraph.direction) +
+        dy * Math.cos(telegraph.direction);
+      return (
+        along >= 0 &&
+        along <= telegraph.radius &&
+        Math.abs(across) <= telegraph.width / 2
+      );
+    }
+
+    default:
+      return false;
+  }
+};
+
+export class BossEncounter {
+  constructor(options = {}) {
+    const { id = 'boss', boss, script, hooks = {}, rng = null } = options;
+    if (!boss) {
+      throw new Error('BossEncounter requires a boss');
+    }
+    BossEncounter.validateScript(id, script);
+
+    this.id = id;
+    this.boss = boss;
+    this.script = script;
+    this.hooks = hooks;
+    this.rng = rng;
+
+    this.elapsed = 0;
+    this.enraged = false;
+    this.finished = false;
+    this.phaseIndex = -1;
+    this.telegraphs = [];
+    this.nextTelegraphId = 1;
+
+    // One performance record per phase reached
+    this.records = [];
+
+    this.startPhase(0);
+  }
+
+  /**
+   * Throw with the first problem in a script
+   */
+  static validateScript(id, script) {
+    const fail = (message) => {
+      throw new Error(`Boss encounter ${id}: ${message}`);
+    };
+
+    if (
+      !script ||
+      !Array.isArray(script.phases) ||
+      script.phases.length === 0
+    ) {
+      fail('needs at least one phase');
+    }
+    const abilities = script.abilities || {};
+
+    Object.entries(abilities).forEach(([abilityId, ability]) => {
+      const shape = ability.telegraph && ability.telegraph.shape;
+      if (!TELEGRAPH_SHAPES.includes(shape)) {
+        fail(`ability ${abilityId} has unknown telegraph shape "${shape}"`);
+      }
+    });
+
+    script.phases.forEach((phase, index) => {
+      (phase.rotation || []).forEach((abilityId) => {
+        if (!abilities[abilityId]) {
+          fail(`phase ${index + 1} uses unknown ability "${abilityId}"`);
+        }
+      });
+      if (index > 0 && !phase.trigger) {
+        fail(`phase ${index + 1} needs a trigger`);
+      }
+    });
+  }
+
+  get phase() {
+    return this.script.phases[this.phaseIndex];
+  }
+
+  get record() {
+    return this.records[this.records.length - 1];
+  }
+
+  /**
+   * Advance the fight; target is the position abilities aim at
+   */
+  update(deltaTime, target) {
+    if (this.finished) return;
+
+    this.elapsed += deltaTime;
+
+    // Burst damage can skip through several phases at once
+    while (this.shouldAdvance()) {
+      this.startPhase(this.phaseIndex + 1);
+    }
+
+    const enrage = this.script.enrage;
+    if (enrage && !this.enraged && this.elapsed >= enrage.after) {
+      this.enraged = true;
+      this.call('enrage', enrage);
+    }
+
+    this.updateRotation(target);
+    this.updateAdds();
+    this.resolveTelegraphs(target);
+  }
+
+  /**
+   * Check the next phase's trigger
+   */
+  shouldAdvance() {
+    const next = this.script.phases[this.phaseIndex + 1];
+    if (!next) return false;
+
+    const { health, elapsed, phaseTime } = next.trigger;
+    return (
+      (health !== undefined &&
+        this.boss.health / this.boss.maxHealth <= health) ||
+      (elapsed !== undefined && this.elapsed >= elapsed) ||
+      (phaseTime !== undefined &&
+        this.elapsed - this.record.startedAt >= phaseTime)
+    );
+  }
+
+  /**
+   * Close the current phase's record and open the next one
+   */
+  startPhase(index) {
+    const previous = this.records.length > 0 ? this.closeRecord() : null;
+    const phase = this.script.phases[index];
+
+    this.phaseIndex = index;
+    this.rotationIndex = 0;
+    this.nextCastAt = this.elapsed + this.getInterval();
+    this.waves = (phase.adds || []).map((wave) => ({
+      ...wave,
+      nextAt: this.elapsed + (wave.at || 0),
+    }));
+    this.records.push({
+      phase: index + 1,
+      name: phase.name || `Phase ${index + 1}`,
+      startedAt: this.elapsed,
+      duration: 0,
+      healthAtStart: this.boss.health,
+      healthAtEnd: this.boss.health,
+      damageTaken: 0,
+      abilitiesCast: 0,
+      telegraphs: 0,
+      hits: 0,
+      avoided: 0,
+      damageToTarget: 0,
+      addsSpawned: 0,
+    });
+
+    if (previous) {
+      this.call('phaseChanged', this.record, previous);
+    }
+  }
+
+  closeRecord() {
+    const record = this.record;
+    record.duration = this.elapsed - record.startedAt;
+    record.healthAtEnd = this.boss.health;
+    return record;
+  }
+
+  getInterval() {
+    const interval = this.phase.interval || DEFAULT_INTERVAL;
+    return this.enraged
+      ? interval / (this.script.enrage.castSpeed || 1)
+      : interval;
+  }
+
+  /**
+   * Cast the next ability of the rotation when it is due
+   */
+  updateRotation(target) {
+    const rotation = this.phase.rotation || [];
+    if (rotation.length === 0 || !target) return;
+
+    while (this.elapsed >= this.nextCastAt) {
+      const abilityId = rotation[this.rotationIndex % rotation.length];
+      this.rotationIndex++;
+      this.nextCastAt += this.getInterval();
+      this.cast(abilityId, target);
+    }
+  }
+
+  /**
+   * Telegraph an ability's zones; they resolve when their duration is up
+   */
+  cast(abilityId, target) {
+    const ability = this.script.abilities[abilityId];
+    const telegraph = ability.telegraph;
+    const count = ability.count || 1;
+    const direction = Math.atan2(
+      target.y - this.boss.y,
+      target.x - this.boss.x
+    );
+    const damageMultiplier = this.enraged ? this.script.enrage.damage || 1 : 1;
+
+    this.record.abilitiesCast++;
+
+    for (let i = 0; i < count; i++) {
+      // Cones and lines come from the boss; circles go where `at` says
+      const origin =
+        telegraph.shape === 'circle' && ability.at === 'target'
+          ? this.scatter(target, i === 0 && count === 1 ? 0 : ability.spread)
+          : { x: this.boss.x, y: this.boss.y };
+
+      const zone = {
+        id: `${this.id}_telegraph_${this.nextTelegraphId++}`,
+        ability: abilityId,
+        name: ability.name || abilityId,
+        shape: telegraph.shape,
+        x: origin.x,
+        y: origin.y,
+        radius: telegraph.radius,
+        angle: telegraph.angle || 60,
+        width: telegraph.width || 40,
+        direction,
+        damage: (ability.damage || 0) * damageMultiplier,
+        duration: telegraph.duration,
+        castAt: this.elapsed,
+        resolvesAt: this.elapsed + telegraph.duration,
+        phase: this.phaseIndex + 1,
+      };
+
+      this.telegraphs.push(zone);
+      this.record.telegraphs++;
+      this.call('telegraph', zone);
+    }
+  }
+
+  scatter(point, spread = 0) {
+    if (!spread || !this.rng) return { x: point.x, y: point.y };
+
+    const angle = this.rng.next() * Math.PI * 2;
+    const distance = this.rng.next() * spread;
+    return {
+      x: point.x + Math.cos(angle) * distance,
+      y: point.y + Math.sin(angle) * distance,
+    };
+  }
+
+  /**
+   * Land the damage of zones whose telegraph is over
+   */
+  resolveTelegraphs(target) {
+    const due = this.telegraphs.filter(
+      (telegraph) => telegraph.resolvesAt <= this.elapsed
+    );
+    if (due.length === 0) return;
+
+    this.telegraphs = this.telegraphs.filter(
+      (telegraph) => telegraph.resolvesAt > this.elapsed
+    );
+
+    due.forEach((telegraph) => {
+      const hit = Boolean(target) && isInTelegraph(telegraph, target);
+      // Zones count towards the phase they were cast in
+      const record = this.records[telegraph.phase - 1] || this.record;
+      if (hit) {
+        record.hits++;
+        record.damageToTarget += telegraph.damage;
+      } else {
+        record.avoided++;
+      }
+      this.call('resolve', telegraph, hit);
+    });
+  }
+
+  /**
+   * Spawn the phase's add waves that are due
+   */
+  updateAdds() {
+    this.waves.forEach((wave) => {
+      while (this.elapsed >= wave.nextAt) {
+        const count = wave.count || 1;
+        this.record.addsSpawned += count;
+        this.call('spawnAdds', {
+          type: wave.type,
+          count,
+          phase: this.phaseIndex + 1,
+        });
+        wave.nextAt = wave.every ? wave.nextAt + wave.every : Infinity;
+      }
+    });
+  }
+
+  /**
+   * Count damage the boss takes towards the current phase
+   */
+  recordDamageTaken(amount) {
+    if (!this.finished) {
+      this.record.damageTaken += amount;
+    }
+  }
+
+  /**
+   * End the fight and return the performance breakdown; zones still in
+   * telegraphs never land
+   */
+  finish(outcome = 'defeated') {
+    if (!this.finished) {
+      this.closeRecord();
+      this.finished = true;
+      this.outcome = outcome;
+    }
+    return this.getPerformance();
+  }
+
+  /**
+   * Get the performance breakdown so far
+   */
+  getPerformance() {
+    return {
+      outcome: this.outcome || 'in_progress',
+      duration: this.elapsed,
+      enraged: this.enraged,
+      phases: this.records.map((record) => {
+        const duration = this.finished
+          ? record.duration
+          : record === this.record
+            ? this.elapsed - record.startedAt
+            : record.duration;
+        return {
+          ...record,
+          duration,
+          dps: duration > 0 ? record.damageTaken / (duration / 1000) : 0,
+        };
+      }),
+    };
+  }
+
+  call(hook, ...args) {
+    if (this.hooks[hook]) {
+      this.hooks[hook](...args);
+    }
+  }
+}
+
+export default BossEncounter;
@@ -0,0 +1,126 @@
+/**
+ * BuildCode.js - Shareable skill tree build codes
+ *
+ * This module handles:
+ * - Packing the level of every skill tree node into a short URL-safe code
+ * - Reading a code back into node levels, with the reason when it cannot
+ * - Refusing codes made for a different version of the skill tree
+ *
+ * Code layout, before base64url encoding:
+ *   byte 0      format version
+ *   bytes 1-2   signature of the tree layout (tree names and node ids)
+ *   bytes 3..   one 4-bit level per node, in tree and node order
+ */
+
+export const BUILD_CODE_VERSION = 1;
+
+const HEADER_BYTES = 3;
+const MAX_NODE_LEVEL = 0xf;
+
+/**
+ * Every node of a skill tree in a stable order
+ */
+export const getTreeNodes = (skillTree) =>
+  Object.entries(skillTree).flatMap(([tree, data]) =>
+    data.nodes.map((node) => ({ tree, node }))
+  );
+
+/**
+ * 16-bit FNV-1a hash of the tree layout; changes when nodes are added,
+ * removed or moved
+ */
+export const getTreeSignature = (skillTree) => {
+  const layout = Object.entries(skillTree)
+    .map(([tree, data]) => `${tree}:${data.nodes.map((n) => n.id).join(',')}`)
+    .join(';');
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < layout.length; i++) {
+    hash ^= layout.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return (hash ^ (hash >>> 16)) & 0xffff;
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+const fromBase64Url = (code) => {
+  if (typeof code !== 'string' || !/^[A-Za-z0-9_-]+$/.test(code.trim())) {
+    throw new Error('Build code is not valid');
+  }
+  const binary = atob(code.trim().replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Encode node levels as a build code; getLevel defaults to each node's
+ * current level
+ */
+export const encodeBuild = (skillTree, getLevel = (node) => node.level) => {
+  const nodes = getTreeNodes(skillTree);
+  const bytes = new Uint8Array(HEADER_BYTES + Math.ceil(nodes.length / 2));
+  const signature = getTreeSignature(skillTree);
+
+  bytes[0] = BUILD_CODE_VERSION;
+  bytes[1] = signature >> 8;
+  bytes[2] = signature & 0xff;
+
+  nodes.forEach(({ tree, node }, index) => {
+    const level = getLevel(node, tree) || 0;
+    if (!Number.isInteger(level) || level < 0 || level > MAX_NODE_LEVEL) {
+      throw new Error(`Cannot encode level ${level} of ${node.id}`);
+    }
+    const offset = HEADER_BYTES + (index >> 1);
+    bytes[offset] |= index % 2 === 0 ? level << 4 : level;
+  });
+
+  return toBase64Url(bytes);
+};
+
+/**
+ * Decode a build code into [{ tree, node, level }] for every node; throws
+ * when the code is malformed or does not fit the tree
+ */
+export const decodeBuild = (skillTree, code) => {
+  let bytes;
+  try {
+    bytes = fromBase64Url(code);
+  } catch (error) {
+    throw new Error('Build code is not valid');
+  }
+
+  if (bytes.length < HEADER_BYTES) {
+    throw new Error('Build code is too short');
+  }
+  if (bytes[0] !== BUILD_CODE_VERSION) {
+    throw new Error(`Unsupported build code version: ${bytes[0]}`);
+  }
+  if (((bytes[1] << 8) | bytes[2]) !== getTreeSignature(skillTree)) {
+    throw new Error('Build code was made for a different skill tree');
+  }
+
+  const nodes = getTreeNodes(skillTree);
+  if (bytes.length !== HEADER_BYTES + Math.ceil(nodes.length / 2)) {
+    throw new Error('Build code is too short');
+  }
+
+  return nodes.map(({ tree, node }, index) => {
+    const byte = bytes[HEADER_BYTES + (index >> 1)];
+    const level = index % 2 === 0 ? byte >> 4 : byte & 0xf;
+    if (level > node.maxLevel) {
+      throw new Error(
+        `Build code sets ${node.name} to level ${level} of ${node.maxLevel}`
+      );
+    }
+    return { tree, node, level };
+  });
+};
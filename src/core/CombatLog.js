@@ -0,0 +1,415 @@
+/**
+ * CombatLog.js - Combat log entries, meters and encounter summaries
+ *
+ * This module handles:
+ * - A capped log of combat entries of these kinds:
+ *     hit     direct damage
+ *     crit    direct damage that was a critical hit
+ *     tick    damage from a status effect
+ *     heal    healing
+ *     resist  a status effect the target shrugged off
+ *     kill    a death
+ * - Rolling DPS and HPS meters over the last few seconds, per source
+ * - Encounters that total damage and healing per source and ability while
+ *   they are open, so their summaries outlive trimmed entries
+ * - Filtering entries and exporting them to CSV
+ *
+ * An entry looks like:
+ *   { time, kind, sourceId, sourceName, targetId, targetName, ability,
+ *     amount, overkill, resisted, damageType, effect }
+ * overkill is damage past the target's remaining health and resisted is
+ * damage its resistances took off; neither is counted in amount
+ */
+
+export const ENTRY_KINDS = ['hit', 'crit', 'tick', 'heal', 'resist', 'kill'];
+
+export const DAMAGE_KINDS = ['hit', 'crit', 'tick'];
+
+export const CSV_COLUMNS = [
+  'time',
+  'kind',
+  'sourceId',
+  'sourceName',
+  'targetId',
+  'targetName',
+  'ability',
+  'amount',
+  'overkill',
+  'resisted',
+  'damageType',
+  'effect',
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const perSecond = (amount, duration) =>
+  duration > 0 ? round(amount / (duration / 1000)) : 0;
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Get the id and name the log shows for an entity
+ */
+export const describeEntity = (entity, fallback = 'unknown') => {
+  if (!entity) return { id: fallback, name: fallback };
+  const id = entity.id || fallback;
+  return { id, name: entity.name || id };
+};
+
+export class CombatLog {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 5000;
+    this.meterWindow = options.meterWindow || 5000; // ms
+    this.maxSummaries = options.maxSummaries || 50;
+
+    this.entries = [];
+    this.nextEntryId = 1;
+
+    // Open encounters by id, and finished ones, oldest first
+    this.encounters = new Map();
+    this.finished = [];
+  }
+
+  /**
+   * Add an entry; returns it with its id
+   */
+  record(entry) {
+    if (!ENTRY_KINDS.includes(entry.kind)) {
+      throw new Error(`Unknown combat log entry kind: ${entry.kind}`);
+    }
+
+    const recorded = {
+      id: this.nextEntryId++,
+      time: entry.time,
+      kind: entry.kind,
+      sourceId: entry.sourceId || 'unknown',
+      sourceName: entry.sourceName || entry.sourceId || 'unknown',
+      targetId: entry.targetId || 'unknown',
+      targetName: entry.targetName || entry.targetId || 'unknown',
+      ability: entry.ability || null,
+      amount: entry.amount || 0,
+      overkill: entry.overkill || 0,
+      resisted: entry.resisted || 0,
+      damageType: entry.damageType || null,
+      effect: entry.effect || null,
+    };
+
+    this.entries.push(recorded);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    this.encounters.forEach((encounter) =>
+      this.accumulate(encounter, recorded)
+    );
+    return recorded;
+  }
+
+  /**
+   * Get the entries matching a filter:
+   *   { kinds, source, target, ability, since, until, encounter }
+   */
+  query(filter = {}) {
+    const { kinds, source, target, ability, since, until } = filter;
+    let from = since;
+    let to = until;
+
+    if (filter.encounter) {
+      const encounter = this.getEncounter(filter.encounter);
+      if (!encounter) return [];
+      from = Math.max(from ?? -Infinity, encounter.startedAt);
+      to = Math.min(to ?? Infinity, encounter.endedAt ?? Infinity);
+    }
+
+    return this.entries.filter(
+      (entry) =>
+        (!kinds || kinds.includes(entry.kind)) &&
+        (!source || entry.sourceId === source) &&
+        (!target || entry.targetId === target) &&
+        (!ability || entry.ability === ability) &&
+        (from === undefined || entry.time >= from) &&
+        (to === undefined || entry.time <= to)
+    );
+  }
+
+  /**
+   * Get damage and healing per second over the meter window, for every
+   * source, highest damage first
+   */
+  getMeters(now) {
+    const since = now - this.meterWindow;
+    const meters = new Map();
+
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      if (entry.time < since) break;
+      if (entry.time > now) continue;
+
+      const isDamage = DAMAGE_KINDS.includes(entry.kind);
+      if (!isDamage && entry.kind !== 'heal') continue;
+
+      if (!meters.has(entry.sourceId)) {
+        meters.set(entry.sourceId, {
+          sourceId: entry.sourceId,
+          sourceName: entry.sourceName,
+          damage: 0,
+          healing: 0,
+        });
+      }
+      const meter = meters.get(entry.sourceId);
+      if (isDamage) {
+        meter.damage += entry.amount;
+      } else {
+        meter.healing += entry.amount;
+      }
+    }
+
+    return [...meters.values()]
+      .map((meter) => ({
+        ...meter,
+        dps: perSecond(meter.damage, this.meterWindow),
+        hps: perSecond(meter.healing, this.meterWindow),
+      }))
+      .sort((a, b) => b.dps - a.dps || b.hps - a.hps);
+  }
+
+  /**
+   * Get one source's meter, or zeroes when it has done nothing lately
+   */
+  getMeter(sourceId, now) {
+    return (
+      this.getMeters(now).find((meter) => meter.sourceId === sourceId) || {
+        sourceId,
+        sourceName: sourceId,
+        damage: 0,
+        healing: 0,
+        dps: 0,
+        hps: 0,
+      }
+    );
+  }
+
+  /**
+   * Open an encounter; info (a name, boss or raid id) is kept on its
+   * summary. Reopening an open encounter does nothing
+   */
+  startEncounter(id, time, info = {}) {
+    if (this.encounters.has(id)) return this.encounters.get(id);
+
+    const encounter = {
+      id,
+      info,
+      startedAt: time,
+      endedAt: null,
+      lastEntryAt: time,
+      totals: { damage: 0, healing: 0, overkill: 0, kills: 0, resists: 0 },
+      sources: new Map(),
+    };
+    this.encounters.set(id, encounter);
+    return encounter;
+  }
+
+  /**
+   * Close an encounter; returns its summary
+   */
+  endEncounter(id, time) {
+    const encounter = this.encounters.get(id);
+    if (!encounter) return null;
+
+    this.encounters.delete(id);
+    encounter.endedAt = time;
+    this.finished.push(encounter);
+    if (this.finished.length > this.maxSummaries) {
+      this.finished.shift();
+    }
+    return this.summarize(encounter);
+  }
+
+  /**
+   * Get an open or finished encounter, the latest with that id
+   */
+  getEncounter(id) {
+    if (this.encounters.has(id)) return this.encounters.get(id);
+    for (let i = this.finished.length - 1; i >= 0; i--) {
+      if (this.finished[i].id === id) return this.finished[i];
+    }
+    return null;
+  }
+
+  /**
+   * Get the latest encounter whose info has all the given values
+   */
+  findEncounter(match) {
+    const candidates = [...this.finished, ...this.encounters.values()];
+    const matches = candidates.filter((encounter) =>
+      Object.entries(match).every(
+        ([key, value]) => encounter.info[key] === value
+      )
+    );
+    return (
+      matches.sort((a, b) => a.startedAt - b.startedAt)[matches.length - 1] ||
+      null
+    );
+  }
+
+  /**
+   * Get the summaries of finished encounters, latest first
+   */
+  getSummaries() {
+    return this.finished
+      .map((encounter) => this.summarize(encounter))
+      .reverse();
+  }
+
+  /**
+   * Total an entry into an open encounter
+   */
+  accumulate(encounter, entry) {
+    const { totals } = encounter;
+    encounter.lastEntryAt = Math.max(encounter.lastEntryAt, entry.time);
+
+    if (entry.kind === 'kill') totals.kills++;
+    if (entry.kind === 'resist') totals.resists++;
+
+    const isDamage = DAMAGE_KINDS.includes(entry.kind);
+    const isHeal = entry.kind === 'heal';
+    if (!isDamage && !isHeal && entry.kind !== 'kill') return;
+
+    if (!encounter.sources.has(entry.sourceId)) {
+      encounter.sources.set(entry.sourceId, {
+        id: entry.sourceId,
+        name: entry.sourceName,
+        damage: 0,
+        healing: 0,
+        kills: 0,
+        abilities: new Map(),
+      });
+    }
+    const source = encounter.sources.get(entry.sourceId);
+
+    if (entry.kind === 'kill') {
+      source.kills++;
+      return;
+    }
+
+    const abilityName = entry.ability || entry.effect || 'unknown';
+    if (!source.abilities.has(abilityName)) {
+      source.abilities.set(abilityName, {
+        ability: abilityName,
+        hits: 0,
+        crits: 0,
+        ticks: 0,
+        heals: 0,
+        damage: 0,
+        healing: 0,
+        max: 0,
+      });
+    }
+    const ability = source.abilities.get(abilityName);
+
+    if (isDamage) {
+      totals.damage += entry.amount;
+      totals.overkill += entry.overkill;
+      source.damage += entry.amount;
+      ability.damage += entry.amount;
+      if (entry.kind === 'tick') {
+        ability.ticks++;
+      } else {
+        ability.hits++;
+        if (entry.kind === 'crit') ability.crits++;
+      }
+    } else {
+      totals.healing += entry.amount;
+      source.healing += entry.amount;
+      ability.healing += entry.amount;
+      ability.heals++;
+    }
+    ability.max = Math.max(ability.max, entry.amount);
+  }
+
+  /**
+   * Summarize an encounter: totals, then per source and per ability
+   * breakdowns, largest first. Open encounters run to their last entry
+   */
+  summarize(encounter) {
+    const end = encounter.endedAt ?? encounter.lastEntryAt;
+    const duration = Math.max(0, end - encounter.startedAt);
+    const { totals } = encounter;
+
+    const sources = [...encounter.sources.values()]
+      .map((source) => {
+        const abilities = [...source.abilities.values()]
+          .map((ability) => {
+            const count = ability.hits + ability.ticks + ability.heals;
+            return {
+              ...ability,
+              average:
+                count > 0
+                  ? round((ability.damage + ability.healing) / count)
+                  : 0,
+              critRate:
+                ability.hits > 0 ? round(ability.crits / ability.hits) : 0,
+              share:
+                source.damage > 0 ? round(ability.damage / source.damage) : 0,
+            };
+          })
+          .sort((a, b) => b.damage - a.damage || b.healing - a.healing);
+
+        const hits = abilities.reduce((sum, ability) => sum + ability.hits, 0);
+        const crits = abilities.reduce(
+          (sum, ability) => sum + ability.crits,
+          0
+        );
+        return {
+          id: source.id,
+          name: source.name,
+          damage: source.damage,
+          healing: source.healing,
+          kills: source.kills,
+          dps: perSecond(source.damage, duration),
+          hps: perSecond(source.healing, duration),
+          critRate: hits > 0 ? round(crits / hits) : 0,
+          share: totals.damage > 0 ? round(source.damage / totals.damage) : 0,
+          abilities,
+        };
+      })
+      .sort((a, b) => b.damage - a.damage || b.healing - a.healing);
+
+    return {
+      id: encounter.id,
+      ...encounter.info,
+      startedAt: encounter.startedAt,
+      endedAt: encounter.endedAt,
+      duration,
+      ...totals,
+      dps: perSecond(totals.damage, duration),
+      hps: perSecond(totals.healing, duration),
+      sources,
+    };
+  }
+
+  /**
+   * Export entries to CSV, one row per entry
+   */
+  toCSV(entries = this.entries) {
+    const rows = entries.map((entry) =>
+      CSV_COLUMNS.map((column) => csvField(entry[column])).join(',')
+    );
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Drop every entry and encounter
+   */
+  clear() {
+    this.entries = [];
+    this.encounters.clear();
+    this.finished = [];
+  }
+}
+
+export default CombatLog;
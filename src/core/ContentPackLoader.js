@@ -0,0 +1,474 @@
+/**
+ * ContentPackLoader.js - Data-driven content from JSON packs
+ *
+ * This loader handles:
+ * - Loading content packs from URLs or parsed JSON
+ * - Validating every entry against the JSON Schema of its content type
+ * - Checking cross references against built-in and loaded content
+ * - Merging packs over the built-in content the systems ship with
+ * - Hot reloading packs while developing
+ *
+ * A pack looks like:
+ *   {
+ *     "id": "frost_expansion",
+ *     "version": "1.0.0",
+ *     "content": {
+ *       "enemies": { "frost_wolf": { ... } },
+ *       "biomes": { "tundra": { ... } }
+ *     }
+ *   }
+ */
+
+import {
+  CONTENT_TYPES,
+  collectReferences,
+  validateSchema,
+} from './ContentSchemas.js';
+
+const ID_PATTERN = /^[a-z0-9_]+$/;
+
+export class ContentPackLoader {
+  constructor(dependencies = {}) {
+    // Dependency injection
+    this.eventBus = dependencies.eventBus;
+    this.logger = dependencies.logger;
+    this.config = dependencies.config;
+    this.fetch = dependencies.fetch || ((...args) => fetch(...args));
+
+    // Validate required dependencies
+    if (!this.eventBus) {
+      throw new Error('ContentPackLoader requires eventBus dependency');
+    }
+    if (!this.logger) {
+      throw new Error('ContentPackLoader requires logger dependency');
+    }
+
+    // Loader configuration
+    this.contentConfig = {
+      hotReload: Boolean(this.config?.debug),
+      pollInterval: 1000, // ms
+    };
+
+    // Content shipped in code, by type
+    this.builtIn = new Map();
+
+    // Loaded packs by id, in load order
+    this.packs = new Map();
+
+    // Hot reload pollers by source
+    this.watchers = new Map();
+
+    this.logger.info('ContentPackLoader initialized');
+  }
+
+  /**
+   * Register the content a system defines in code
+   */
+  registerBuiltIn(type, entries) {
+    if (!CONTENT_TYPES[type]) {
+      throw new Error(`Unknown content type: ${type}`);
+    }
+
+    const values =
+      entries instanceof Map ? Object.fromEntries(entries) : entries;
+    this.builtIn.set(type, { ...values });
+  }
+
+  /**
+   * Load, validate and apply a pack
+   * Throws with an `errors` list if the pack is invalid; nothing is applied
+   */
+  async loadPack(source) {
+    const { pack, text } = await this.readPack(source);
+    return this.applyPack(pack, source, text);
+  }
+
+  /**
+   * Load several packs in order
+   */
+  async loadPacks(sources) {
+    const loaded = [];
+    for (const source of sources) {
+      loaded.push(await this.loadPack(source));
+    }
+    return loaded;
+  }
+
+  /**
+   * Fetch and parse a pack
+   */
+  async readPack(source) {
+    if (typeof source !== 'string') {
+      return { pack: source, text: null };
+    }
+
+    const response = await this.fetch(source, { cache: 'no-store' });
+    if (!response.ok) {
+      throw this.createPackError(source, [
+        { path: '', message: `could not be fetched (${response.status})` },
+      ]);
+    }
+
+    const text = await response.text();
+    try {
+      return { pack: JSON.parse(text), text };
+    } catch (error) {
+      throw this.createPackError(source, [
+        { path: '', message: `is not valid JSON (${error.message})` },
+      ]);
+    }
+  }
+
+  /**
+   * Validate a pack against everything else that is loaded and apply it,
+   * replacing an earlier version of the same pack
+   */
+  applyPack(pack, source = null, text = null) {
+    const name =
+      (pack && typeof pack.id === 'string' && pack.id) ||
+      source ||
+      'unnamed pack';
+    const headerErrors = this.validatePackHeader(pack);
+    if (headerErrors.length > 0) {
+      throw this.createPackError(name, headerErrors);
+    }
+
+    const candidate = new Map(this.packs);
+    const previous = candidate.get(pack.id);
+    candidate.set(pack.id, {
+      id: pack.id,
+      version: pack.version,
+      source,
+      text,
+      content: pack.content,
+    });
+
+    const errors = this.validatePacks(candidate);
+    if (errors.length > 0) {
+      throw this.createPackError(pack.id, errors);
+    }
+
+    this.packs = candidate;
+
+    const types = new Set(Object.keys(pack.content));
+    if (previous) {
+      Object.keys(previous.content).forEach((type) => types.add(type));
+    }
+    this.emitUpdate(pack.id, Array.from(types));
+
+    const summary = {
+      id: pack.id,
+      version: pack.version,
+      entries: Object.values(pack.content).reduce(
+        (count, entries) => count + Object.keys(entries).length,
+        0
+      ),
+      reloaded: Boolean(previous),
+    };
+    this.logger.info('Content pack loaded', summary);
+    return summary;
+  }
+
+  /**
+   * Remove a pack and restore whatever it replaced
+   */
+  unloadPack(id) {
+    const pack = this.packs.get(id);
+    if (!pack) return false;
+
+    const candidate = new Map(this.packs);
+    candidate.delete(id);
+
+    const errors = this.validatePacks(candidate);
+    if (errors.length > 0) {
+      throw this.createPackError(id, errors);
+    }
+
+    this.packs = candidate;
+    this.emitUpdate(id, Object.keys(pack.content));
+    this.logger.info(`Content pack ${id} unloaded`);
+    return true;
+  }
+
+  /**
+   * Check the id, version and content types of a pack
+   */
+  validatePackHeader(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      return [{ path: '', message: 'must be a JSON object' }];
+    }
+
+    const errors = [];
+    if (typeof pack.id !== 'string' || !ID_PATTERN.test(pack.id)) {
+      errors.push({ path: 'id', message: `must match ${ID_PATTERN}` });
+    }
+    if (typeof pack.version !== 'string') {
+      errors.push({ path: 'version', message: 'must be string' });
+    }
+    if (
+      !pack.content ||
+      typeof pack.content !== 'object' ||
+      Array.isArray(pack.content)
+    ) {
+      errors.push({ path: 'content', message: 'must be object' });
+      return errors;
+    }
+
+    Object.entries(pack.content).forEach(([type, entries]) => {
+      if (!CONTENT_TYPES[type]) {
+        errors.push({
+          path: `content.${type}`,
+          message: `is not a content type (${Object.keys(CONTENT_TYPES).join(', ')})`,
+        });
+      } else if (
+        !entries ||
+        typeof entries !== 'object' ||
+        Array.isArray(entries)
+      ) {
+        errors.push({ path: `content.${type}`, message: 'must be object' });
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Validate entries and references of a set of packs; errors name the
+   * pack that has to change
+   */
+  validatePacks(packs) {
+    const errors = [];
+    const owners = new Map();
+
+    packs.forEach((pack) => {
+      Object.entries(pack.content).forEach(([type, entries]) => {
+        Object.entries(entries).forEach(([id, entry]) => {
+          const path = `content.${type}.${id}`;
+
+          if (!ID_PATTERN.test(id)) {
+            errors.push({
+              pack: pack.id,
+              path,
+              message: `id must match ${ID_PATTERN}`,
+            });
+          }
+
+          const owner = owners.get(`${type}:${id}`);
+          if (owner) {
+            errors.push({
+              pack: pack.id,
+              path,
+              message: `is already defined by pack ${owner}`,
+            });
+          }
+          owners.set(`${type}:${id}`, pack.id);
+
+          validateSchema(entry, CONTENT_TYPES[type].schema, path).forEach(
+            (error) => errors.push({ pack: pack.id, ...error })
+          );
+        });
+      });
+    });
+
+    // References only make sense once every entry has the right shape
+    if (errors.length === 0) {
+      const catalog = new Map();
+      const getIds = (type) => {
+        if (!catalog.has(type)) {
+          catalog.set(type, Object.keys(this.mergeContent(type, packs)));
+        }
+        return catalog.get(type);
+      };
+      packs.forEach((pack) => {
+        errors.push(...this.validateReferences(pack, getIds));
+      });
+    }
+    return errors;
+  }
+
+  /**
+   * Check that every reference in a pack names existing content
+   */
+  validateReferences(pack, getIds) {
+    const errors = [];
+
+    Object.entries(pack.content).forEach(([type, entries]) => {
+      Object.entries(entries).forEach(([id, entry]) => {
+        CONTENT_TYPES[type].references.forEach((reference) => {
+          const known = reference.local
+            ? Object.keys(
+                reference.local
+                  .split('.')
+                  .reduce((value, key) => value && value[key], entry) || {}
+              )
+            : getIds(reference.type);
+
+          collectReferences(entry, reference.path).forEach(
+            ({ path, value }) => {
+              if (!known.includes(value)) {
+                errors.push({
+                  pack: pack.id,
+                  path: `content.${type}.${id}.${path}`,
+                  message: reference.local
+                    ? `refers to unknown ${reference.local} entry "${value}"`
+                    : `refers to unknown ${reference.type} entry "${value}"`,
+                });
+              }
+            }
+          );
+        });
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Built-in content with every pack applied over it in load order
+   */
+  mergeContent(type, packs = this.packs) {
+    const merged = { ...(this.builtIn.get(type) || {}) };
+    packs.forEach((pack) => {
+      Object.assign(merged, pack.content[type] || {});
+    });
+    return merged;
+  }
+
+  /**
+   * Get the merged content of a type
+   */
+  getContent(type) {
+    return this.mergeContent(type);
+  }
+
+  /**
+   * Get the pack an entry comes from, or 'built-in'
+   */
+  getEntrySource(type, id) {
+    const packs = Array.from(this.packs.values()).reverse();
+    const pack = packs.find((candidate) => candidate.content[type]?.[id]);
+    if (pack) return pack.id;
+    return this.builtIn.get(type)?.[id] ? 'built-in' : null;
+  }
+
+  /**
+   * Get the loaded packs
+   */
+  getLoadedPacks() {
+    return Array.from(this.packs.values()).map(({ id, version, source }) => ({
+      id,
+      version,
+      source,
+    }));
+  }
+
+  /**
+   * Tell the systems which content types changed
+   */
+  emitUpdate(packId, types) {
+    const content = {};
+    types.forEach((type) => {
+      content[type] = this.mergeContent(type);
+    });
+
+    this.eventBus.emit('content:updated', {
+      pack: packId,
+      types: content,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Build an error that lists every problem as "pack: path message"
+   */
+  createPackError(pack, errors) {
+    const problems = errors.map((error) => ({
+      pack: error.pack || pack,
+      ...error,
+    }));
+    const lines = problems.map(
+      (problem) =>
+        `  ${problem.pack}: ${problem.path ? `${problem.path} ` : ''}${problem.message}`
+    );
+
+    const error = new Error(
+      `Content pack ${pack} is invalid:\n${lines.join('\n')}`
+    );
+    error.pack = pack;
+    error.errors = problems;
+    return error;
+  }
+
+  /**
+   * Reload a pack whenever its file changes (development only)
+   * An invalid edit is reported and the last good version stays loaded
+   */
+  watchPack(source, options = {}) {
+    if (!this.contentConfig.hotReload) {
+      this.logger.warn('Content hot reload is only available in debug mode');
+      return false;
+    }
+    if (this.watchers.has(source)) return true;
+
+    // Start from the version loadPack already applied, if any
+    const loaded = Array.from(this.packs.values()).find(
+      (pack) => pack.source === source
+    );
+    const watcher = {
+      text: loaded ? loaded.text : null,
+      timer: null,
+      checking: false,
+    };
+    const check = async () => {
+      if (watcher.checking) return;
+      watcher.checking = true;
+
+      try {
+        const { pack, text } = await this.readPack(source);
+        if (text !== watcher.text) {
+          watcher.text = text;
+          this.applyPack(pack, source, text);
+        }
+      } catch (error) {
+        this.logger.error(error.message);
+        this.eventBus.emit('content:error', {
+          source,
+          pack: error.pack || source,
+          errors: error.errors || [{ path: '', message: error.message }],
+        });
+      } finally {
+        watcher.checking = false;
+      }
+    };
+
+    watcher.check = check;
+    watcher.timer = setInterval(
+      check,
+      options.interval || this.contentConfig.pollInterval
+    );
+    this.watchers.set(source, watcher);
+    return true;
+  }
+
+  /**
+   * Stop hot reloading one source, or all of them
+   */
+  stopWatching(source) {
+    const sources = source ? [source] : Array.from(this.watchers.keys());
+    sources.forEach((watched) => {
+      const watcher = this.watchers.get(watched);
+      if (watcher) {
+        clearInterval(watcher.timer);
+        this.watchers.delete(watched);
+      }
+    });
+  }
+
+  /**
+   * Cleanup the loader
+   */
+  cleanup() {
+    this.stopWatching();
+    this.logger.info('ContentPackLoader cleaned up');
+  }
+}
+
+export default ContentPackLoader;
@@ -0,0 +1,505 @@
+/**
+ * ContentSchemas.js - JSON Schemas for content pack entries
+ *
+ * This module handles:
+ * - One JSON Schema per content type (enemies, abilities, items, affixes,
+ *   biomes, dungeons, bosses, behaviors)
+ * - The cross references between content types
+ * - Validating values against the JSON Schema subset the schemas use
+ */
+
+import { NODE_TYPES } from './BehaviorTree.js';
+import { TELEGRAPH_SHAPES } from './BossEncounter.js';
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+const numberMap = {
+  type: 'object',
+  additionalProperties: { type: 'number' },
+};
+const size = {
+  type: 'object',
+  required: ['width', 'height'],
+  properties: {
+    width: { type: 'number', exclusiveMinimum: 0 },
+    height: { type: 'number', exclusiveMinimum: 0 },
+  },
+};
+const range = {
+  type: 'object',
+  required: ['min', 'max'],
+  properties: {
+    min: { type: 'number' },
+    max: { type: 'number' },
+  },
+};
+
+// Scripted boss fights; see BossEncounter.js for the format
+const encounter = {
+  type: 'object',
+  required: ['phases'],
+  properties: {
+    enrage: {
+      type: 'object',
+      required: ['after'],
+      properties: {
+        after: { type: 'number', exclusiveMinimum: 0 },
+        damage: { type: 'number', exclusiveMinimum: 0 },
+        castSpeed: { type: 'number', exclusiveMinimum: 0 },
+      },
+    },
+    abilities: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['telegraph'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          damage: { type: 'number', minimum: 0 },
+          at: { enum: ['self', 'target'] },
+          count: { type: 'integer', minimum: 1 },
+          spread: { type: 'number', minimum: 0 },
+          telegraph: {
+            type: 'object',
+            required: ['shape', 'radius', 'duration'],
+            properties: {
+              shape: { enum: TELEGRAPH_SHAPES },
+              radius: { type: 'number', exclusiveMinimum: 0 },
+              angle: { type: 'number', exclusiveMinimum: 0, maximum: 360 },
+              width: { type: 'number', exclusiveMinimum: 0 },
+              duration: { type: 'number', minimum: 0 },
+            },
+          },
+        },
+      },
+    },
+    phases: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          trigger: {
+            type: 'object',
+            minProperties: 1,
+            properties: {
+              health: { type: 'number', minimum: 0, maximum: 1 },
+              elapsed: { type: 'number', minimum: 0 },
+              phaseTime: { type: 'number', minimum: 0 },
+            },
+          },
+          rotation: stringList,
+          interval: { type: 'number', exclusiveMinimum: 0 },
+          adds: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['type'],
+              properties: {
+                type: { type: 'string', minLength: 1 },
+                count: { type: 'integer', minimum: 1 },
+                at: { type: 'number', minimum: 0 },
+                every: { type: 'number', exclusiveMinimum: 0 },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Phase rotations name the script's abilities; adds are enemy types
+const encounterReferences = [
+  { path: 'encounter.phases.*.rotation.*', local: 'encounter.abilities' },
+  { path: 'encounter.phases.*.adds.*.type', type: 'enemies' },
+];
+
+export const ENEMY_SCHEMA = {
+  type: 'object',
+  required: ['name', 'health', 'damage', 'speed', 'ai', 'abilities'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    health: { type: 'number', exclusiveMinimum: 0 },
+    maxHealth: { type: 'number', exclusiveMinimum: 0 },
+    damage: { type: 'number', minimum: 0 },
+    armor: { type: 'number', minimum: 0 },
+    speed: { type: 'number', minimum: 0 },
+    size,
+    ai: { type: 'string', pattern: '^[a-z0-9_]+$' },
+    sightRange: { type: 'number', exclusiveMinimum: 0 },
+    loot: {
+      type: 'object',
+      properties: {
+        gold: {
+          type: 'array',
+          items: { type: 'number', minimum: 0 },
+          minItems: 2,
+          maxItems: 2,
+        },
+        items: stringList,
+      },
+    },
+    abilities: stringList,
+    resistances: numberMap,
+    weaknesses: numberMap,
+  },
+};
+
+export const ABILITY_SCHEMA = {
+  type: 'object',
+  required: ['name', 'type', 'cooldown'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    type: {
+      enum: [
+        'melee',
+        'projectile',
+        'instant',
+        'area',
+        'support',
+        'buff',
+        'debuff',
+      ],
+    },
+    damage: { type: 'number', minimum: 0 },
+    healing: { type: 'number', minimum: 0 },
+    cooldown: { type: 'number', minimum: 0 },
+    duration: { type: 'number', minimum: 0 },
+    range: { type: 'number', minimum: 0 },
+    speed: { type: 'number', minimum: 0 },
+    effects: stringList,
+    element: { type: 'string' },
+    animation: { type: 'string' },
+  },
+};
+
+export const ITEM_SCHEMA = {
+  type: 'object',
+  required: ['name', 'type', 'slot', 'baseStats'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    type: { enum: ['weapon', 'armor', 'accessory', 'consumable'] },
+    slot: { type: 'string', minLength: 1 },
+    baseStats: {
+      type: 'object',
+      additionalProperties: { type: ['number', 'object'] },
+    },
+    requirements: numberMap,
+    allowedAffixes: stringList,
+    socketTypes: stringList,
+    maxSockets: { type: 'integer', minimum: 0, maximum: 6 },
+  },
+};
+
+export const AFFIX_SCHEMA = {
+  type: 'object',
+  required: ['name', 'type', 'rarity', 'stats', 'level', 'weight'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    type: { enum: ['prefix', 'suffix'] },
+    rarity: {
+      enum: ['common', 'uncommon', 'rare', 'epic', 'legendary', 'unique'],
+    },
+    stats: { type: 'object', additionalProperties: range },
+    level: { type: 'integer', minimum: 1 },
+    weight: { type: 'number', minimum: 0 },
+    encounter,
+  },
+};
+
+export const BIOME_SCHEMA = {
+  type: 'object',
+  required: ['name', 'terrain', 'enemies'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+    terrain: {
+      type: 'object',
+      required: ['ground'],
+      properties: {
+        ground: { type: 'string' },
+        obstacles: stringList,
+        decorations: stringList,
+      },
+    },
+    weather: {
+      type: 'object',
+      properties: {
+        type: { type: 'string' },
+        intensity: { type: 'number', minimum: 0, maximum: 1 },
+        effects: stringList,
+      },
+    },
+    loot: { type: 'object', additionalProperties: stringList },
+    enemies: { ...stringList, minItems: 1 },
+    ambientSounds: stringList,
+    music: { type: 'string' },
+  },
+};
+
+export const DUNGEON_SCHEMA = {
+  type: 'object',
+  required: ['name', 'levels', 'rooms', 'connections'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    levels: { type: 'integer', minimum: 1 },
+    rooms: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: {
+        type: 'object',
+        required: ['type', 'size'],
+        properties: {
+          type: { type: 'string', minLength: 1 },
+          size,
+          enemies: stringList,
+          loot: stringList,
+        },
+      },
+    },
+    connections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['from', 'to'],
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+export const BOSS_SCHEMA = {
+  type: 'object',
+  required: ['name', 'type', 'level', 'health', 'phases', 'abilities'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    type: { enum: ['world_boss', 'raid_boss', 'dungeon_boss'] },
+    level: { type: 'integer', minimum: 1 },
+    health: { type: 'number', exclusiveMinimum: 0 },
+    maxHealth: { type: 'number', exclusiveMinimum: 0 },
+    phases: { type: 'integer', minimum: 1 },
+    abilities: stringList,
+    rewards: {
+      type: 'object',
+      properties: {
+        experience: { type: 'number', minimum: 0 },
+        gold: { type: 'number', minimum: 0 },
+        items: stringList,
+        uniqueItems: stringList,
+      },
+    },
+    respawnTime: { type: 'number', minimum: 0 },
+    location: {
+      type: 'object',
+      properties: { x: { type: 'number' }, y: { type: 'number' } },
+    },
+    requirements: numberMap,
+    encounter,
+  },
+};
+
+// Leaf names and per-type fields are checked when the tree is defined
+const behaviorNode = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { enum: NODE_TYPES },
+    label: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    args: { type: 'object' },
+    duration: { type: 'number', exclusiveMinimum: 0 },
+  },
+};
+behaviorNode.properties.children = {
+  type: 'array',
+  items: behaviorNode,
+  minItems: 1,
+};
+behaviorNode.properties.child = behaviorNode;
+
+export const BEHAVIOR_SCHEMA = {
+  type: 'object',
+  required: ['root'],
+  properties: {
+    description: { type: 'string' },
+    root: behaviorNode,
+  },
+};
+
+/**
+ * Content types a pack may contain, with the schema for each entry and the
+ * fields that name other content. A reference `type` is looked up among
+ * every loaded entry of that type; `local` is looked up among the keys of
+ * another field (a dotted path) of the same entry
+ */
+export const CONTENT_TYPES = {
+  enemies: {
+    schema: ENEMY_SCHEMA,
+    references: [
+      { path: 'abilities.*', type: 'abilities' },
+      { path: 'ai', type: 'behaviors' },
+      ...encounterReferences,
+    ],
+  },
+  abilities: { schema: ABILITY_SCHEMA, references: [] },
+  items: { schema: ITEM_SCHEMA, references: [] },
+  affixes: { schema: AFFIX_SCHEMA, references: [] },
+  biomes: {
+    schema: BIOME_SCHEMA,
+    references: [{ path: 'enemies.*', type: 'enemies' }],
+  },
+  dungeons: {
+    schema: DUNGEON_SCHEMA,
+    references: [
+      { path: 'rooms.*.enemies.*', type: 'enemies' },
+      { path: 'connections.*.from', local: 'rooms' },
+      { path: 'connections.*.to', local: 'rooms' },
+    ],
+  },
+  bosses: { schema: BOSS_SCHEMA, references: encounterReferences },
+  behaviors: { schema: BEHAVIOR_SCHEMA, references: [] },
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const joinPath = (path, key) =>
+  typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+/**
+ * Validate a value against a schema and list every problem as
+ * { path, message }
+ */
+export const validateSchema = (value, schema, path = '') => {
+  const errors = [];
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must not be shorter than ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateSchema(item, schema.items, joinPath(path, index))
+        );
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+
+    if (
+      schema.minProperties !== undefined &&
+      keys.length < schema.minProperties
+    ) {
+      fail(`must have at least ${schema.minProperties} entries`);
+    }
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({
+          path: joinPath(path, key),
+          message: 'is required',
+        });
+      }
+    });
+    keys.forEach((key) => {
+      const childPath = joinPath(path, key);
+      if (properties[key]) {
+        errors.push(...validateSchema(value[key], properties[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(
+          ...validateSchema(value[key], schema.additionalProperties, childPath)
+        );
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Collect the values at a reference path such as 'rooms.*.enemies.*'
+ * as [{ path, value }]
+ */
+export const collectReferences = (value, path, prefix = '') => {
+  const [key, ...rest] = path.split('.');
+  if (value === null || typeof value !== 'object') return [];
+
+  const children =
+    key === '*'
+      ? Object.keys(value).map((childKey) =>
+          Array.isArray(value) ? Number(childKey) : childKey
+        )
+      : [key];
+
+  return children.flatMap((childKey) => {
+    const child = value[childKey];
+    if (child === undefined) return [];
+
+    const childPath = joinPath(prefix, childKey);
+    return rest.length
+      ? collectReferences(child, rest.join('.'), childPath)
+      : [{ path: childPath, value: child }];
+  });
+};
@@ -0,0 +1,349 @@
+/**
+ * CraftingBench.js - Currency crafting operations on generated items
+ *
+ * This module handles:
+ * - The operations of the crafting bench and what each one costs
+ * - Working out an operation's result on a copy of the item, so a failed
+ *   or unaffordable craft leaves the item untouched
+ *
+ * Operations:
+ *   reroll_affixes   replace every unlocked affix with a new roll
+ *   add_affix        add one affix, if the rarity has room for it
+ *   remove_affix     remove one unlocked affix at random
+ *   reroll_values    reroll the values of every unlocked affix
+ *   lock_affix       keep one prefix or suffix through later crafts
+ *   unlock_affix     let a locked affix change again
+ *   add_socket       add a socket, up to the base's maximum
+ *   upgrade_rarity   raise the rarity one step and add an affix
+ *   imprint          remember the item's rarity, affixes and sockets
+ *   restore_imprint  put the remembered ones back, using up the imprint
+ *
+ * New affixes come from the affixes the base allows at the item's level,
+ * never repeat one already on the item, and roll from the random stream
+ * the caller passes, so the same item and stream give the same result.
+ */
+
+// Bench method behind each operation
+const OPERATION_METHODS = {
+  reroll_affixes: 'rerollAffixes',
+  add_affix: 'addAffix',
+  remove_affix: 'removeAffix',
+  reroll_values: 'rerollValues',
+  lock_affix: 'lockAffix',
+  unlock_affix: 'unlockAffix',
+  add_socket: 'addSocket',
+  upgrade_rarity: 'upgradeRarity',
+  imprint: 'imprint',
+  restore_imprint: 'restoreImprint',
+};
+
+export const CRAFTING_OPERATIONS = Object.keys(OPERATION_METHODS);
+
+// Rarities an item can be crafted up through; uniques are never crafted to
+export const RARITY_UPGRADES = [
+  'common',
+  'uncommon',
+  'rare',
+  'epic',
+  'legendary',
+];
+
+// Prices in the trading currencies; upgrade_rarity is priced by the
+// rarity it upgrades to
+export const DEFAULT_CRAFTING_COSTS = {
+  reroll_affixes: { gold: 100 },
+  add_affix: { gold: 250 },
+  remove_affix: { gold: 150 },
+  reroll_values: { gold: 50 },
+  lock_affix: { platinum: 5 },
+  unlock_affix: {},
+  add_socket: { gold: 200 },
+  upgrade_rarity: {
+    uncommon: { gold: 100 },
+    rare: { platinum: 5 },
+    epic: { platinum: 20 },
+    legendary: { gems: 2 },
+  },
+  imprint: { gems: 1 },
+  restore_imprint: {},
+};
+
+const copyAffix = (affix) => ({ ...affix, stats: { ...affix.stats } });
+
+const copySocket = (socket) => ({ ...socket });
+
+/**
+ * Copy the parts of an item crafting changes
+ */
+const copyItem = (item) => ({
+  ...item,
+  affixes: (item.affixes || []).map(copyAffix),
+  sockets: (item.sockets || []).map(copySocket),
+});
+
+const isLockable = (affix) =>
+  affix.type === 'prefix' || affix.type === 'suffix';
+
+/**
+ * Get the next rarity up, or null at the top
+ */
+export const getNextRarity = (rarity) => {
+  const index = RARITY_UPGRADES.indexOf(rarity);
+  return index === -1 ? null : RARITY_UPGRADES[index + 1] || null;
+};
+
+export class CraftingBench {
+  /**
+   * options:
+   *   maxAffixes  the most affixes an item of each rarity can have
+   *   costs       prices per operation, over DEFAULT_CRAFTING_COSTS
+   */
+  constructor(options = {}) {
+    this.maxAffixes = options.maxAffixes || {};
+    this.costs = { ...DEFAULT_CRAFTING_COSTS, ...options.costs };
+  }
+
+  /**
+   * Get what an operation costs on an item, as { currency: amount }
+   */
+  getCost(item, operation) {
+    if (operation === 'upgrade_rarity') {
+      return { ...this.costs.upgrade_rarity[getNextRarity(item.rarity)] };
+    }
+    return { ...this.costs[operation] };
+  }
+
+  /**
+   * Work out an operation on a copy of an item. context gives:
+   *   rng          the random stream for this craft
+   *   template     the item's base, with maxSockets and socketTypes
+   *   affixes      affix definitions the base allows at the item's level
+   *   createAffix  rolls an affix instance from a definition
+   *   findAffix    finds the definition of an affix instance
+   * options.affixId picks the affix to lock or unlock. Returns
+   * { item, changes }; throws if the operation cannot be done
+   */
+  apply(item, operation, context, options = {}) {
+    if (!CRAFTING_OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown crafting operation: ${operation}`);
+    }
+    if (item.rarity === 'unique' && operation !== 'add_socket') {
+      throw new Error('Unique items can only have sockets added');
+    }
+
+    const crafted = copyItem(item);
+    const changes = this[OPERATION_METHODS[operation]](
+      crafted,
+      context,
+      options
+    );
+    return { item: crafted, changes };
+  }
+
+  /**
+   * Replace every unlocked affix
+   */
+  rerollAffixes(item, context) {
+    const removed = item.affixes.filter((affix) => !affix.locked);
+    const locked = item.affixes.filter((affix) => affix.locked);
+    const limit = this.getAffixLimit(item);
+    const count = Math.max(locked.length, context.rng.nextInt(1, limit));
+
+    item.affixes = locked;
+    const added = [];
+    while (item.affixes.length < count) {
+      const affix = this.rollNewAffix(item, context);
+      if (!affix) break;
+      item.affixes.push(affix);
+      added.push(affix);
+    }
+
+    if (added.length === 0) {
+      throw new Error('No affixes can roll on this item');
+    }
+    return { added, removed };
+  }
+
+  /**
+   * Add an affix, if there is room
+   */
+  addAffix(item, context) {
+    if (item.affixes.length >= this.getAffixLimit(item)) {
+      throw new Error(`A ${item.rarity} item has no room for another affix`);
+    }
+
+    const affix = this.rollNewAffix(item, context);
+    if (!affix) {
+      throw new Error('No affixes can roll on this item');
+    }
+    item.affixes.push(affix);
+    return { added: [affix] };
+  }
+
+  /**
+   * Remove one unlocked affix at random
+   */
+  removeAffix(item, context) {
+    const unlocked = item.affixes.filter((affix) => !affix.locked);
+    if (unlocked.length === 0) {
+      throw new Error('The item has no unlocked affixes to remove');
+    }
+
+    const affix = context.rng.pick(unlocked);
+    item.affixes = item.affixes.filter((candidate) => candidate !== affix);
+    return { removed: [affix] };
+  }
+
+  /**
+   * Reroll the values of every unlocked affix
+   */
+  rerollValues(item, context) {
+    const rerolled = [];
+    item.affixes = item.affixes.map((affix) => {
+      const definition = !affix.locked && context.findAffix(affix);
+      if (!definition) return affix;
+
+      const rolled = { ...context.createAffix(definition), locked: false };
+      rerolled.push({ id: affix.id, from: affix.stats, to: rolled.stats });
+      return rolled;
+    });
+
+    if (rerolled.length === 0) {
+      throw new Error('The item has no unlocked affixes to reroll');
+    }
+    return { rerolled };
+  }
+
+  /**
+   * Lock a prefix or suffix
+   */
+  lockAffix(item, context, options) {
+    const affix = this.findItemAffix(item, options.affixId);
+    if (!isLockable(affix)) {
+      throw new Error(
+        `Only prefixes and suffixes can be locked, not ${affix.id}`
+      );
+    }
+    if (affix.locked) {
+      throw new Error(`Affix ${affix.id} is already locked`);
+    }
+    affix.locked = true;
+    return { locked: [affix.id] };
+  }
+
+  /**
+   * Unlock a locked affix
+   */
+  unlockAffix(item, context, options) {
+    const affix = this.findItemAffix(item, options.affixId);
+    if (!affix.locked) {
+      throw new Error(`Affix ${affix.id} is not locked`);
+    }
+    affix.locked = false;
+    return { unlocked: [affix.id] };
+  }
+
+  /**
+   * Add a socket of a type the base allows
+   */
+  addSocket(item, context) {
+    const { maxSockets = 0, socketTypes = [] } = context.template;
+    if (item.sockets.length >= maxSockets || socketTypes.length === 0) {
+      throw new Error(
+        `The item already has the most sockets its base allows (${maxSockets})`
+      );
+    }
+
+    const socket = {
+      id: `socket_${item.sockets.length}`,
+      type: context.rng.pick(socketTypes),
+      gem: null,
+    };
+    item.sockets.push(socket);
+    return { sockets: [socket] };
+  }
+
+  /**
+   * Raise the rarity one step and add an affix to fill the new room
+   */
+  upgradeRarity(item, context) {
+    const rarity = getNextRarity(item.rarity);
+    if (!rarity) {
+      throw new Error(`A ${item.rarity} item cannot be upgraded`);
+    }
+
+    const from = item.rarity;
+    item.rarity = rarity;
+    const affix = this.rollNewAffix(item, context);
+    if (affix) item.affixes.push(affix);
+    return { rarity: { from, to: rarity }, added: affix ? [affix] : [] };
+  }
+
+  /**
+   * Remember the rarity, affixes and sockets
+   */
+  imprint(item) {
+    item.imprint = {
+      rarity: item.rarity,
+      affixes: item.affixes.map(copyAffix),
+      sockets: item.sockets.map(copySocket),
+    };
+    return { imprinted: true };
+  }
+
+  /**
+   * Put the imprint back and use it up
+   */
+  restoreImprint(item) {
+    if (!item.imprint) {
+      throw new Error('The item has no imprint');
+    }
+
+    const { rarity, affixes, sockets } = item.imprint;
+    item.rarity = rarity;
+    item.affixes = affixes.map(copyAffix);
+    item.sockets = sockets.map(copySocket);
+    item.imprint = null;
+    return { restored: true };
+  }
+
+  /**
+   * Get the most affixes the item's rarity allows
+   */
+  getAffixLimit(item) {
+    return this.maxAffixes[item.rarity] || 1;
+  }
+
+  /**
+   * Roll an affix the item does not have yet, by weight; null when none
+   * can roll
+   */
+  rollNewAffix(item, context) {
+    const present = new Set(item.affixes.map((affix) => affix.name));
+    const candidates = context.affixes.filter(
+      (definition) => !present.has(definition.name)
+    );
+    if (candidates.length === 0) return null;
+
+    const total = candidates.reduce((sum, affix) => sum + affix.weight, 0);
+    let roll = context.rng.next() * total;
+    const definition =
+      candidates.find((affix) => (roll -= affix.weight) < 0) ||
+      candidates[candidates.length - 1];
+
+    return { ...context.createAffix(definition), locked: false };
+  }
+
+  /**
+   * Get one of the item's affixes by id
+   */
+  findItemAffix(item, affixId) {
+    const affix = item.affixes.find((candidate) => candidate.id === affixId);
+    if (!affix) {
+      throw new Error(`The item has no affix ${affixId}`);
+    }
+    return affix;
+  }
+}
+
+export default CraftingBench;
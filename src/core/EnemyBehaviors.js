@@ -0,0 +1,353 @@
+/**
+ * EnemyBehaviors.js - Behavior trees and leaves for enemy AI
+ *
+ * This module handles:
+ * - The built-in trees enemy types name in their ai field (aggressive,
+ *   defensive, stealth, boss, scripted_boss)
+ * - Conditions over what an enemy perceives: the target, whether it is in
+ *   sight, the enemy's health and nearby allies
+ * - Actions that steer and attack through the combat system
+ * - Group tactics: surrounding the target and fleeing at low health
+ *
+ * The combat system fills each enemy's blackboard before it ticks:
+ *   target             position of the nearest player
+ *   distance           distance to the target
+ *   canSeeTarget       in sight range with a clear line of sight
+ *   lastKnownPosition  where the target was last seen
+ *   allies             other enemies within ally range
+ *
+ * Leaves get { combat, deltaTime } as their context, and move enemies with
+ * combat.moveEnemyTowards so they path around obstacles.
+ */
+
+import { STATUS } from './BehaviorTree.js';
+
+const condition = (name, args) => ({ type: 'condition', name, args });
+const action = (name, args) => ({ type: 'action', name, args });
+
+const flee = {
+  type: 'sequence',
+  label: 'flee',
+  children: [
+    condition('healthBelow', { percent: 0.2 }),
+    condition('canSeeTarget'),
+    action('flee'),
+  ],
+};
+
+const surround = {
+  type: 'sequence',
+  label: 'surround',
+  children: [
+    condition('canSeeTarget'),
+    condition('hasAllies', { count: 2 }),
+    action('surround', { radius: 40 }),
+    { type: 'succeed', child: action('meleeAttack') },
+  ],
+};
+
+const melee = {
+  type: 'sequence',
+  label: 'attack',
+  children: [
+    condition('canSeeTarget'),
+    action('chase', { stopAt: 30 }),
+    { type: 'succeed', child: action('meleeAttack') },
+  ],
+};
+
+const investigate = {
+  type: 'sequence',
+  label: 'investigate',
+  children: [condition('hasLastKnownPosition'), action('investigate')],
+};
+
+const specials = (duration, abilities) => ({
+  type: 'succeed',
+  child: {
+    type: 'cooldown',
+    duration,
+    child: action('useAbility', { abilities }),
+  },
+});
+
+/**
+ * Trees the combat system knows out of the box
+ */
+export const DEFAULT_BEHAVIOR_TREES = {
+  aggressive: {
+    description: 'Charge into melee, surrounding the target in groups',
+    root: {
+      type: 'selector',
+      children: [flee, surround, melee, investigate, action('idle')],
+    },
+  },
+  defensive: {
+    description: 'Keep at range and use ranged attacks',
+    root: {
+      type: 'selector',
+      children: [
+        flee,
+        {
+          type: 'sequence',
+          label: 'kite',
+          children: [
+            condition('canSeeTarget'),
+            action('keepDistance', { min: 50, max: 100 }),
+            {
+              type: 'succeed',
+              child: action('rangedAttack', { min: 30, max: 150 }),
+            },
+          ],
+        },
+        investigate,
+        action('idle'),
+      ],
+    },
+  },
+  stealth: {
+    description: 'Cloak, close in on the target and backstab',
+    root: {
+      type: 'selector',
+      children: [
+        flee,
+        {
+          type: 'sequence',
+          label: 'ambush',
+          children: [
+            action('cloak', { duration: 3000, cooldown: 5000, chance: 0.1 }),
+            condition('canSeeTarget'),
+            action('chase', { speedScale: 1.2, stopAt: 0 }),
+            { type: 'succeed', child: action('backstab', { range: 20 }) },
+          ],
+        },
+        investigate,
+        action('idle'),
+      ],
+    },
+  },
+  boss: {
+    description:
+      'Melee, adding special abilities and then rage as health drops',
+    root: {
+      type: 'selector',
+      children: [
+        {
+          type: 'sequence',
+          label: 'enraged',
+          children: [
+            condition('healthBelow', { percent: 0.3 }),
+            action('enrage', { speed: 1.5, damage: 1.3 }),
+            specials(2000, ['fire_breath', 'wing_beat', 'dragon_roar']),
+            melee,
+          ],
+        },
+        {
+          type: 'sequence',
+          label: 'specials',
+          children: [
+            condition('healthBelow', { percent: 0.7 }),
+            specials(5000, ['fire_breath', 'wing_beat']),
+            melee,
+          ],
+        },
+        melee,
+        investigate,
+        action('idle'),
+      ],
+    },
+  },
+  scripted_boss: {
+    description:
+      'Melee only; phases and abilities come from the encounter script',
+    root: {
+      type: 'selector',
+      children: [melee, investigate, action('idle')],
+    },
+  },
+};
+
+/**
+ * Set an enemy's velocity towards (or with a negative scale, away from)
+ * a point
+ */
+export const steer = (enemy, point, speedScale = 1) => {
+  const angle = Math.atan2(point.y - enemy.y, point.x - enemy.x);
+  enemy.velocityX = Math.cos(angle) * enemy.speed * speedScale;
+  enemy.velocityY = Math.sin(angle) * enemy.speed * speedScale;
+};
+
+const stop = (enemy) => {
+  enemy.velocityX = 0;
+  enemy.velocityY = 0;
+};
+
+const attackReady = (enemy) =>
+  Date.now() - enemy.lastAttackTime > enemy.attackCooldown;
+
+export const ENEMY_CONDITIONS = {
+  canSeeTarget: (enemy, blackboard) => Boolean(blackboard.get('canSeeTarget')),
+
+  hasLastKnownPosition: (enemy, blackboard) =>
+    Boolean(blackboard.get('lastKnownPosition')),
+
+  targetInRange: (enemy, blackboard, context, args) => {
+    const distance = blackboard.get('distance');
+    return (
+      Boolean(blackboard.get('canSeeTarget')) &&
+      distance >= (args.min || 0) &&
+      distance <= (args.max ?? Infinity)
+    );
+  },
+
+  healthBelow: (enemy, blackboard, context, args) =>
+    enemy.health / enemy.maxHealth < args.percent,
+
+  hasAllies: (enemy, blackboard, context, args) =>
+    (blackboard.get('allies') || []).length >= (args.count || 1),
+
+  isStealthed: (enemy) => Boolean(enemy.isStealthed),
+
+  chance: (enemy, blackboard, context, args) =>
+    context.combat.rng.chance(args.probability),
+};
+
+export const ENEMY_ACTIONS = {
+  idle: (enemy) => {
+    stop(enemy);
+    return STATUS.SUCCESS;
+  },
+
+  // Move towards the target until within stopAt; fails when it is out of
+  // reach
+  chase: (enemy, blackboard, context, args) => {
+    const target = blackboard.get('target');
+    if (blackboard.get('distance') > (args.stopAt ?? 30)) {
+      return context.combat.moveEnemyTowards(
+        enemy,
+        target,
+        args.speedScale || 1
+      )
+        ? STATUS.RUNNING
+        : STATUS.FAILURE;
+    }
+    stop(enemy);
+    return STATUS.SUCCESS;
+  },
+
+  // Back off when too close, close in when too far
+  keepDistance: (enemy, blackboard, context, args) => {
+    const target = blackboard.get('target');
+    const distance = blackboard.get('distance');
+    if (distance < args.min) {
+      steer(enemy, target, -(args.retreatScale || 0.5));
+    } else if (distance > args.max) {
+      context.combat.moveEnemyTowards(enemy, target, args.approachScale || 0.3);
+    } else {
+      stop(enemy);
+    }
+    return STATUS.SUCCESS;
+  },
+
+  // Run from the target
+  flee: (enemy, blackboard, context, args) => {
+    steer(enemy, blackboard.get('target'), -(args.speedScale || 1.2));
+    return STATUS.RUNNING;
+  },
+
+  // Walk to where the target was last seen and forget it on arrival
+  investigate: (enemy, blackboard, context, args) => {
+    const position = blackboard.get('lastKnownPosition');
+    const distance = Math.hypot(position.x - enemy.x, position.y - enemy.y);
+    if (
+      distance > (args.arriveAt || 10) &&
+      context.combat.moveEnemyTowards(enemy, position, args.speedScale || 0.6)
+    ) {
+      return STATUS.RUNNING;
+    }
+    // Arrived, or there is no way there
+    blackboard.delete('lastKnownPosition');
+    stop(enemy);
+    return STATUS.SUCCESS;
+  },
+
+  // Take an evenly spaced slot around the target with nearby allies;
+  // every member orders the group by id, so slots do not collide
+  surround: (enemy, blackboard, context, args) => {
+    const target = blackboard.get('target');
+    const group = [enemy, ...(blackboard.get('allies') || [])]
+      .map((member) => member.id)
+      .sort();
+    const angle = (2 * Math.PI * group.indexOf(enemy.id)) / group.length;
+    const slot = {
+      x: target.x + Math.cos(angle) * args.radius,
+      y: target.y + Math.sin(angle) * args.radius,
+    };
+    blackboard.set('slot', slot);
+
+    if (Math.hypot(slot.x - enemy.x, slot.y - enemy.y) > (args.arriveAt || 8)) {
+      return context.combat.moveEnemyTowards(enemy, slot)
+        ? STATUS.RUNNING
+        : STATUS.FAILURE;
+    }
+    stop(enemy);
+    return STATUS.SUCCESS;
+  },
+
+  meleeAttack: (enemy, blackboard, context) => {
+    if (!attackReady(enemy)) return STATUS.FAILURE;
+    context.combat.enemyAttack(enemy, blackboard.get('target'));
+    return STATUS.SUCCESS;
+  },
+
+  rangedAttack: (enemy, blackboard, context, args) => {
+    const distance = blackboard.get('distance');
+    if (distance <= args.min || distance >= args.max || !attackReady(enemy)) {
+      return STATUS.FAILURE;
+    }
+    context.combat.enemyRangedAttack(enemy, blackboard.get('target'));
+    return STATUS.SUCCESS;
+  },
+
+  backstab: (enemy, blackboard, context, args) => {
+    if (blackboard.get('distance') >= args.range) return STATUS.FAILURE;
+    context.combat.enemyBackstab(enemy, blackboard.get('target'));
+    return STATUS.SUCCESS;
+  },
+
+  // Succeeds while cloaked; cloaks by chance once the cooldown is over
+  cloak: (enemy, blackboard, context, args) => {
+    const { deltaTime = 0 } = context;
+    if (enemy.isStealthed) {
+      enemy.stealthDuration -= deltaTime;
+      if (enemy.stealthDuration <= 0) {
+        enemy.isStealthed = false;
+        enemy.stealthCooldown = args.cooldown;
+      }
+    } else if (enemy.stealthCooldown > 0) {
+      enemy.stealthCooldown -= deltaTime;
+    } else if (context.combat.rng.chance(args.chance)) {
+      enemy.isStealthed = true;
+      enemy.stealthDuration = args.duration;
+    }
+    return enemy.isStealthed ? STATUS.SUCCESS : STATUS.FAILURE;
+  },
+
+  useAbility: (enemy, blackboard, context, args) => {
+    context.combat.useEnemyAbility(
+      enemy,
+      context.combat.rng.pick(args.abilities)
+    );
+    return STATUS.SUCCESS;
+  },
+
+  // Speed and damage up, once
+  enrage: (enemy, blackboard, context, args) => {
+    if (!enemy.enraged) {
+      enemy.enraged = true;
+      enemy.speed *= args.speed;
+      enemy.damage *= args.damage;
+    }
+    return STATUS.SUCCESS;
+  },
+};
@@ -5,12 +5,14 @@
  * - Event emission and listening
  * - Event filtering and transformation
  * - Event history and debugging
+ * - Event recording for replays
  * - Performance monitoring
  */
 
 export class EventBus {
   constructor() {
     this.listeners = new Map();
+    this.recorders = [];
     this.eventHistory = [];
     this.maxHistorySize = 1000;
     this.debug = false;
@@ -102,6 +104,11 @@ export class EventBus {
   emit(event, data = {}) {
     const startTime = performance.now();
 
+    // Recorders see every event, including ones nobody listens to
+    if (this.recorders.length > 0) {
+      this.notifyRecorders(event, data);
+    }
+
     if (!this.listeners.has(event)) {
       this.log(`No listeners for event: ${event}`);
       return;
@@ -186,6 +193,59 @@ export class EventBus {
     });
   }
 
+  /**
+   * Add event recorder
+   *
+   * Recorders are called with (event, data) for every emitted event,
+   * regardless of listeners or history size.
+   */
+  addRecorder(recorder) {
+    if (typeof recorder !== 'function') {
+      throw new Error('Recorder must be a function');
+    }
+
+    if (!this.recorders.includes(recorder)) {
+      this.recorders.push(recorder);
+      this.log('Added event recorder');
+    }
+  }
+
+  /**
+   * Remove event recorder
+   */
+  removeRecorder(recorder) {
+    const index = this.recorders.indexOf(recorder);
+
+    if (index !== -1) {
+      this.recorders.splice(index, 1);
+      this.log('Removed event recorder');
+    }
+  }
+
+  /**
+   * Notify recorders of an emitted event
+   */
+  notifyRecorders(event, data) {
+    for (const recorder of [...this.recorders]) {
+      try {
+        recorder(event, data);
+      } catch (error) {
+        console.error(`Error in event recorder for ${event}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Check if an event name matches a pattern (supports trailing '*')
+   */
+  matchesPattern(event, pattern) {
+    if (pattern.endsWith('*')) {
+      return event.startsWith(pattern.slice(0, -1));
+    }
+
+    return event === pattern;
+  }
+
   /**
    * Add event to history
    */
@@ -368,6 +428,7 @@ export class EventBus {
    */
   destroy() {
     this.listeners.clear();
+    this.recorders = [];
     this.eventHistory = [];
     this.performanceMetrics = {
       totalEvents: 0,
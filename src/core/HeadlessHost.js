@@ -0,0 +1,239 @@
+/**
+ * HeadlessHost.js - Run ARPGIntegration without a browser
+ *
+ * This host provides:
+ * - A manual clock that only moves when the simulation is stepped
+ * - In-memory storage in place of localStorage
+ * - Null renderers in place of the UI and mobile systems
+ * - Frame stepping for balance simulations and server-side validation
+ */
+
+import { ARPGIntegration } from '../ARPGIntegration.js';
+import { Logger } from '../utils/Logger.js';
+
+export class ManualClock {
+  constructor(startTime = 0) {
+    this.time = startTime;
+  }
+
+  /**
+   * Current time in milliseconds
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Move time forward
+   */
+  advance(milliseconds) {
+    if (!(milliseconds >= 0)) {
+      throw new Error(
+        'ManualClock: time can only advance by a non-negative amount'
+      );
+    }
+
+    this.time += milliseconds;
+    return this.time;
+  }
+}
+
+export class MemoryStorage {
+  constructor(initialData = {}) {
+    this.data = new Map(Object.entries(initialData));
+  }
+
+  get length() {
+    return this.data.size;
+  }
+
+  key(index) {
+    const keys = Array.from(this.data.keys());
+    return index < keys.length ? keys[index] : null;
+  }
+
+  getItem(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.data.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.data.delete(key);
+  }
+
+  clear() {
+    this.data.clear();
+  }
+
+  /**
+   * Snapshot of everything stored
+   */
+  toJSON() {
+    return Object.fromEntries(this.data);
+  }
+}
+
+/**
+ * Stand-in for presentation systems; accepts every call ARPGIntegration
+ * makes on the UI and mobile systems and draws nothing
+ */
+export class NullRenderer {
+  constructor(name = 'renderer') {
+    this.name = name;
+  }
+
+  async initialize() {}
+
+  update() {}
+
+  render() {}
+
+  cleanup() {}
+
+  getMobileState() {
+    return {};
+  }
+
+  handleEnemyDefeated() {}
+
+  handlePlayerDamaged() {}
+
+  handleItemGenerated() {}
+
+  handleItemEquipped() {}
+
+  handleTradeInitiated() {}
+
+  handleTradeCompleted() {}
+
+  setCurrencyProvider() {}
+
+  setInventory() {}
+
+  setMarket() {}
+}
+
+export class HeadlessHost {
+  constructor(options = {}) {
+    this.clock = options.clock || new ManualClock();
+    this.storage = options.storage || new MemoryStorage();
+    this.logger = options.logger || this.createLogger(options.logLevel);
+
+    // Frame timing monitors measure the wall clock, analytics asks the page
+    // for consent and posts events, and save slots live in the browser's
+    // localStorage, so all three are off by default
+    this.integration = new ARPGIntegration(
+      {
+        enablePerformance: false,
+        enableAnalytics: false,
+        enableSaving: false,
+        ...options.config,
+      },
+      {
+        logger: this.logger,
+        storage: this.storage,
+        clock: this.clock,
+        fetch: options.fetch,
+        requestFrame: () => null,
+        cancelFrame: () => {},
+        systems: {
+          arpgUI: new NullRenderer('arpgUI'),
+          mobile: new NullRenderer('mobile'),
+          ...options.systems,
+        },
+      }
+    );
+
+    this.loop = this.integration.loopManager;
+    this.frameTime = options.frameTime || this.loop.fixedTimeStep;
+    this.isStarted = false;
+  }
+
+  /**
+   * Create a logger that stays quiet below the given level
+   */
+  createLogger(level = 'warn') {
+    const logger = new Logger(false);
+    logger.setLevel(level);
+    return logger;
+  }
+
+  /**
+   * Initialize all systems and start the game
+   */
+  async start() {
+    if (this.isStarted) return;
+
+    for (const system of Object.values(this.integration.systems)) {
+      if (system.initialize) {
+        await system.initialize();
+      }
+    }
+    await this.integration.loadContentPacks();
+
+    await this.integration.startGame();
+    this.isStarted = true;
+  }
+
+  /**
+   * Advance the clock by one frame and run it
+   * Returns the number of fixed simulation steps run
+   */
+  step(frameTime = this.frameTime) {
+    if (!this.isStarted) {
+      throw new Error('HeadlessHost: start() must be called before stepping');
+    }
+
+    const stepsBefore = this.loop.stepCount;
+    this.clock.advance(frameTime);
+    this.integration.gameLoop(this.clock.now());
+
+    return this.loop.stepCount - stepsBefore;
+  }
+
+  /**
+   * Run a number of frames
+   * Returns the number of fixed simulation steps run
+   */
+  run(frames, frameTime = this.frameTime) {
+    let steps = 0;
+    for (let i = 0; i < frames; i++) {
+      steps += this.step(frameTime);
+    }
+    return steps;
+  }
+
+  /**
+   * Run frames until a duration of simulated time has passed
+   */
+  runFor(duration, frameTime = this.frameTime) {
+    return this.run(Math.ceil(duration / frameTime), frameTime);
+  }
+
+  /**
+   * Get a system by name
+   */
+  getSystem(name) {
+    return this.integration.getSystem(name);
+  }
+
+  /**
+   * Get the integration game state
+   */
+  getGameState() {
+    return this.integration.getGameState();
+  }
+
+  /**
+   * Stop the game and release all system resources
+   */
+  destroy() {
+    this.integration.destroy();
+    this.isStarted = false;
+  }
+}
+
+export default HeadlessHost;
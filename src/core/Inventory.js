@@ -0,0 +1,414 @@
+/**
+ * Inventory.js - Item grids, stacks, equipment slots and requirements
+ *
+ * This module handles:
+ * - Grids where items take up a rectangle of cells by their size, and
+ *   can only be placed where nothing else is
+ * - Stacks of consumables, materials and gems up to a limit per type
+ * - Sorting a grid: largest items first, then by type, rarity and name
+ * - Which equipment slots take which items, and the level and attribute
+ *   requirements for wearing them
+ *
+ * A grid entry looks like:
+ *   { item, quantity, x, y, width, height }
+ * where x and y are the top left cell.
+ */
+
+// Cells an item takes, by the slot it is worn in; anything else takes one
+export const ITEM_SIZES = {
+  two_hand: { width: 2, height: 4 },
+  main_hand: { width: 1, height: 3 },
+  one_hand: { width: 1, height: 3 },
+  off_hand: { width: 2, height: 2 },
+  head: { width: 2, height: 2 },
+  chest: { width: 2, height: 3 },
+  hands: { width: 2, height: 2 },
+  feet: { width: 2, height: 2 },
+  ring: { width: 1, height: 1 },
+  neck: { width: 1, height: 1 },
+};
+
+// Most items in one stack, by item type; other types do not stack
+export const STACK_LIMITS = {
+  consumable: 20,
+  material: 50,
+  gem: 10,
+};
+
+// Item slots each equipment slot takes
+export const EQUIPMENT_SLOTS = {
+  main_hand: ['main_hand', 'one_hand', 'two_hand'],
+  off_hand: ['off_hand', 'one_hand'],
+  head: ['head'],
+  chest: ['chest'],
+  hands: ['hands'],
+  feet: ['feet'],
+  neck: ['neck'],
+  ring1: ['ring'],
+  ring2: ['ring'],
+};
+
+const TYPE_ORDER = [
+  'weapon',
+  'armor',
+  'accessory',
+  'gem',
+  'consumable',
+  'material',
+];
+
+const RARITY_ORDER = [
+  'common',
+  'uncommon',
+  'rare',
+  'epic',
+  'legendary',
+  'unique',
+];
+
+const rankOf = (order, value) => {
+  const index = order.indexOf(value);
+  return index === -1 ? order.length : index;
+};
+
+/**
+ * Get the cells an item takes
+ */
+export const getItemSize = (item) =>
+  item.size || ITEM_SIZES[item.slot] || { width: 1, height: 1 };
+
+/**
+ * Get the most of an item one stack holds
+ */
+export const getStackLimit = (item) =>
+  item.maxStack || STACK_LIMITS[item.type] || 1;
+
+/**
+ * Whether two items go in the same stack
+ */
+export const canStack = (a, b) =>
+  getStackLimit(a) > 1 &&
+  a.type === b.type &&
+  (a.template || a.name) === (b.template || b.name);
+
+/**
+ * Get the equipment slots that take an item
+ */
+export const getEquipmentSlots = (item) =>
+  Object.keys(EQUIPMENT_SLOTS).filter((slot) =>
+    EQUIPMENT_SLOTS[slot].includes(item.slot)
+  );
+
+/**
+ * Get the item's requirements the character does not meet, as messages
+ */
+export const getUnmetRequirements = (item, character = {}) =>
+  Object.entries(item.requirements || {})
+    .map(([stat, required]) => {
+      const value =
+        stat === 'level'
+          ? character.level || 1
+          : character.attributes?.[stat] || 0;
+      return value < required
+        ? `needs ${stat} ${required}, has ${value}`
+        : null;
+    })
+    .filter(Boolean);
+
+export class ItemGrid {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+
+    // Entries by item id
+    this.entries = new Map();
+  }
+
+  /**
+   * Get the entry covering a cell
+   */
+  getEntryAt(x, y) {
+    for (const entry of this.entries.values()) {
+      if (
+        x >= entry.x &&
+        x < entry.x + entry.width &&
+        y >= entry.y &&
+        y < entry.y + entry.height
+      ) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the entries a rectangle overlaps, leaving out one item id
+   */
+  getOverlapping(x, y, width, height, ignoreId = null) {
+    return [...this.entries.values()].filter(
+      (entry) =>
+        entry.item.id !== ignoreId &&
+        x < entry.x + entry.width &&
+        entry.x < x + width &&
+        y < entry.y + entry.height &&
+        entry.y < y + height
+    );
+  }
+
+  /**
+   * Whether an item fits at a cell without overlapping anything
+   */
+  canPlace(item, x, y, ignoreId = null) {
+    const { width, height } = getItemSize(item);
+    return (
+      x >= 0 &&
+      y >= 0 &&
+      x + width <= this.width &&
+      y + height <= this.height &&
+      this.getOverlapping(x, y, width, height, ignoreId).length === 0
+    );
+  }
+
+  /**
+   * Find the first free cell for an item, column by column; null if full
+   */
+  findSpace(item) {
+    for (let x = 0; x < this.width; x++) {
+      for (let y = 0; y < this.height; y++) {
+        if (this.canPlace(item, x, y)) return { x, y };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Put an item at a cell; throws if it does not fit there
+   */
+  place(item, x, y, quantity = 1) {
+    if (this.entries.has(item.id)) {
+      throw new Error(`${item.name || item.id} is already in this grid`);
+    }
+    if (!this.canPlace(item, x, y)) {
+      throw new Error(`${item.name || item.id} does not fit at ${x}, ${y}`);
+    }
+
+    const entry = { item, quantity, x, y, ...getItemSize(item) };
+    this.entries.set(item.id, entry);
+    return entry;
+  }
+
+  /**
+   * Add items, topping up matching stacks before taking free space;
+   * returns how many did not fit
+   */
+  add(item, quantity = 1) {
+    let left = quantity;
+    const limit = getStackLimit(item);
+    if (limit === 1 && this.entries.has(item.id)) {
+      throw new Error(`${item.name || item.id} is already in this grid`);
+    }
+
+    for (const entry of this.entries.values()) {
+      if (left === 0) break;
+      if (!canStack(entry.item, item) || entry.quantity >= limit) continue;
+
+      const moved = Math.min(left, limit - entry.quantity);
+      entry.quantity += moved;
+      left -= moved;
+    }
+
+    // The first new stack keeps the item's id, later ones get their own
+    while (left > 0) {
+      const stackItem = this.entries.has(item.id)
+        ? { ...item, id: this.getSplitId(item.id) }
+        : item;
+      const space = this.findSpace(stackItem);
+      if (!space) break;
+
+      const amount = Math.min(left, limit);
+      this.place(stackItem, space.x, space.y, amount);
+      left -= amount;
+    }
+
+    return left;
+  }
+
+  /**
+   * Get an unused id for a stack split off an item
+   */
+  getSplitId(itemId) {
+    let count = 1;
+    while (this.entries.has(`${itemId}_${count}`)) count++;
+    return `${itemId}_${count}`;
+  }
+
+  /**
+   * Take some or all of a stack out; returns the entry taken
+   */
+  remove(itemId, quantity = null) {
+    const entry = this.entries.get(itemId);
+    if (!entry) {
+      throw new Error(`Item not found: ${itemId}`);
+    }
+
+    if (quantity === null || quantity >= entry.quantity) {
+      this.entries.delete(itemId);
+      return entry;
+    }
+
+    entry.quantity -= quantity;
+    return { ...entry, quantity };
+  }
+
+  /**
+   * Get the stacks of an item: its own first, then any it stacks with
+   */
+  getMatching(item) {
+    const own = this.entries.get(item.id);
+    const others = [...this.entries.values()].filter(
+      (entry) => entry !== own && canStack(entry.item, item)
+    );
+    return own ? [own, ...others] : others;
+  }
+
+  /**
+   * Count an item over all its stacks
+   */
+  count(item) {
+    return this.getMatching(item).reduce(
+      (sum, entry) => sum + entry.quantity,
+      0
+    );
+  }
+
+  /**
+   * Take some of an item from as many of its stacks as it needs; throws,
+   * taking nothing, if there are not enough. Returns the stacks taken
+   */
+  take(item, quantity = 1) {
+    const held = this.count(item);
+    if (held < quantity) {
+      throw new Error(
+        `Not enough ${item.name || item.id}: needs ${quantity}, has ${held}`
+      );
+    }
+
+    const taken = [];
+    let left = quantity;
+    for (const entry of this.getMatching(item)) {
+      if (left === 0) break;
+      const amount = Math.min(left, entry.quantity);
+      const removed = this.remove(entry.item.id, amount);
+      taken.push({ item: removed.item, quantity: removed.quantity });
+      left -= amount;
+    }
+    return taken;
+  }
+
+  /**
+   * Move an item to a cell; dropping it on a matching stack merges them as
+   * far as the stack limit allows
+   */
+  move(itemId, x, y) {
+    const entry = this.entries.get(itemId);
+    if (!entry) {
+      throw new Error(`Item not found: ${itemId}`);
+    }
+
+    const target = this.getEntryAt(x, y);
+    if (target && target !== entry && canStack(target.item, entry.item)) {
+      const moved = Math.min(
+        entry.quantity,
+        getStackLimit(target.item) - target.quantity
+      );
+      target.quantity += moved;
+      entry.quantity -= moved;
+      if (entry.quantity === 0) this.entries.delete(itemId);
+      return target;
+    }
+
+    if (!this.canPlace(entry.item, x, y, itemId)) {
+      const [blocker] = this.getOverlapping(
+        x,
+        y,
+        entry.width,
+        entry.height,
+        itemId
+      );
+      throw new Error(
+        blocker
+          ? `${entry.item.name || itemId} would overlap ${blocker.item.name || blocker.item.id}`
+          : `${entry.item.name || itemId} does not fit at ${x}, ${y}`
+      );
+    }
+
+    entry.x = x;
+    entry.y = y;
+    return entry;
+  }
+
+  /**
+   * Merge stacks and lay the grid out again: largest items first, then by
+   * type, rarity (best first) and name. Throws, changing nothing, if the
+   * sorted layout does not fit
+   */
+  sort() {
+    const items = [];
+    [...this.entries.values()].forEach((entry) => {
+      const stack = items.find((other) => canStack(other.item, entry.item));
+      if (stack) {
+        stack.quantity += entry.quantity;
+      } else {
+        items.push({ item: entry.item, quantity: entry.quantity });
+      }
+    });
+
+    const area = ({ item }) => {
+      const { width, height } = getItemSize(item);
+      return width * height;
+    };
+    items.sort(
+      (a, b) =>
+        area(b) - area(a) ||
+        rankOf(TYPE_ORDER, a.item.type) - rankOf(TYPE_ORDER, b.item.type) ||
+        rankOf(RARITY_ORDER, b.item.rarity) -
+          rankOf(RARITY_ORDER, a.item.rarity) ||
+        String(a.item.name).localeCompare(String(b.item.name))
+    );
+
+    const sorted = new ItemGrid(this.width, this.height);
+    items.forEach(({ item, quantity }) => {
+      if (sorted.add(item, quantity) > 0) {
+        throw new Error('The items do not fit when sorted');
+      }
+    });
+
+    this.entries = sorted.entries;
+    return this.getEntries();
+  }
+
+  /**
+   * Get every entry, top left first
+   */
+  getEntries() {
+    return [...this.entries.values()].sort((a, b) => a.y - b.y || a.x - b.x);
+  }
+
+  /**
+   * Copy the grid, to try changes on without touching this one
+   */
+  clone() {
+    const copy = new ItemGrid(this.width, this.height);
+    this.entries.forEach((entry, id) => copy.entries.set(id, { ...entry }));
+    return copy;
+  }
+
+  /**
+   * Empty the grid
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default ItemGrid;
@@ -0,0 +1,404 @@
+/**
+ * LootFilter.js - Loot filter rules for item drops
+ *
+ * This module handles:
+ * - Parsing the loot filter language, reporting every problem by line
+ * - Matching items against the rules; the first block that matches
+ *   decides whether a drop is shown and how its label looks
+ *
+ * A filter is a list of blocks. Each starts with Show or Hide and is
+ * followed by conditions and actions, one per line:
+ *
+ *   # Rares with plenty of sockets get a beam
+ *   Show
+ *     Rarity >= rare
+ *     Sockets >= 3
+ *     SetColor #ffcc00
+ *     Beam gold
+ *
+ *   Hide
+ *     Rarity common
+ *     ItemLevel < 10
+ *
+ * Conditions:
+ *   Rarity [op] rarity...   common, uncommon, rare, epic, legendary, unique
+ *   BaseType name...        the item's base, such as Sword
+ *   Class name...           the item's type, such as weapon or armor
+ *   ItemLevel op number
+ *   Sockets op number
+ *   HasAffix name...        an affix with that name or id
+ *   Affix stat op number    the stat summed over the item's affixes
+ *   SetItem [set...]        part of any set, or of one of those named
+ *   Unique [name...]        any unique, or one of those named
+ *
+ * Actions:
+ *   SetColor color          #rgb, #rrggbb or a color name
+ *   SetLabelSize size       small, normal, large or a scale from 0.5 to 3
+ *   PlaySound sound [volume]
+ *   Beam color              a light beam over the drop
+ *
+ * op is one of = != < <= > >= and = when left out; = and != take a list
+ * of values and match any of them. Names are matched ignoring case and
+ * go in double quotes when they have spaces. # starts a comment unless
+ * it is a color. Drops no block matches are shown with the default label.
+ */
+
+export const RARITIES = [
+  'common',
+  'uncommon',
+  'rare',
+  'epic',
+  'legendary',
+  'unique',
+];
+
+export const COLOR_NAMES = [
+  'white',
+  'grey',
+  'red',
+  'orange',
+  'yellow',
+  'gold',
+  'green',
+  'cyan',
+  'blue',
+  'purple',
+  'pink',
+  'brown',
+];
+
+export const LABEL_SIZES = { small: 0.75, normal: 1, large: 1.5 };
+
+export const DEFAULT_LABEL = {
+  visible: true,
+  rule: null,
+  color: null,
+  labelSize: 1,
+  sound: null,
+  beam: null,
+};
+
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const lower = (value) => String(value).toLowerCase();
+
+/**
+ * Split a line into words; quoted names stay whole and a # that is not
+ * a color ends the line
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index++;
+      continue;
+    }
+
+    if (text[index] === '"') {
+      const end = text.indexOf('"', index + 1);
+      if (end === -1) throw new Error('unterminated quote');
+      tokens.push(text.slice(index + 1, end));
+      index = end + 1;
+      continue;
+    }
+
+    let end = index;
+    while (end < text.length && !/\s/.test(text[end])) end++;
+    const word = text.slice(index, end);
+    if (word.startsWith('#') && !COLOR_PATTERN.test(word)) break;
+    tokens.push(word);
+    index = end;
+  }
+
+  return tokens;
+};
+
+const expectArgs = (keyword, args, min, max = min) => {
+  if (args.length < min || args.length > max) {
+    const count = min === max ? `${min}` : `${min} to ${max}`;
+    throw new Error(
+      `${keyword} takes ${count} value${max === 1 ? '' : 's'}, got ${args.length}`
+    );
+  }
+};
+
+const parseNumber = (keyword) => (value) => {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) {
+    throw new Error(`${keyword} expects a number, got "${value}"`);
+  }
+  return number;
+};
+
+const parseRarity = (value) => {
+  const index = RARITIES.indexOf(lower(value));
+  if (index === -1) {
+    throw new Error(
+      `unknown rarity "${value}", expected one of ${RARITIES.join(', ')}`
+    );
+  }
+  return index;
+};
+
+const parseColor = (keyword, value) => {
+  if (COLOR_PATTERN.test(value) || COLOR_NAMES.includes(lower(value))) {
+    return lower(value);
+  }
+  throw new Error(
+    `${keyword} expects #rgb, #rrggbb or a color name, got "${value}"`
+  );
+};
+
+/**
+ * Read an optional operator and the values after it
+ */
+const readComparison = (keyword, args, parseValue) => {
+  const operator = OPERATORS.includes(args[0]) ? args[0] : '=';
+  const values = (operator === args[0] ? args.slice(1) : args).map(parseValue);
+
+  if (values.length === 0) {
+    throw new Error(`${keyword} needs a value`);
+  }
+  if (values.length > 1 && operator !== '=' && operator !== '!=') {
+    throw new Error(`${keyword} ${operator} takes one value`);
+  }
+  return { operator, values };
+};
+
+const compare = (value, operator, values) => {
+  switch (operator) {
+    case '!=':
+      return !values.includes(value);
+    case '<':
+      return value < values[0];
+    case '<=':
+      return value <= values[0];
+    case '>':
+      return value > values[0];
+    case '>=':
+      return value >= values[0];
+    default:
+      return values.includes(value);
+  }
+};
+
+/**
+ * Match any of a list of names, ignoring case
+ */
+const matchNames = (keyword, args, getNames) => {
+  const { operator, values } = readComparison(keyword, args, lower);
+  if (operator !== '=' && operator !== '!=') {
+    throw new Error(`${keyword} only takes = or !=`);
+  }
+  return (item) => {
+    const names = getNames(item).filter(Boolean).map(lower);
+    const found = values.some((value) => names.includes(value));
+    return operator === '=' ? found : !found;
+  };
+};
+
+/**
+ * Match membership of a set or uniques, optionally naming which
+ */
+const matchMembership = (args, getMembership) => {
+  const names = args.map(lower);
+  return (item) => {
+    const membership = getMembership(item);
+    if (!membership) return false;
+    return names.length === 0 || names.includes(lower(membership));
+  };
+};
+
+/**
+ * Conditions by keyword; each compiles its values into a test of an item
+ */
+const CONDITIONS = {
+  Rarity: (args) => {
+    const { operator, values } = readComparison('Rarity', args, parseRarity);
+    return (item) =>
+      compare(RARITIES.indexOf(lower(item.rarity)), operator, values);
+  },
+
+  BaseType: (args) => matchNames('BaseType', args, (item) => [item.template]),
+
+  Class: (args) => matchNames('Class', args, (item) => [item.type]),
+
+  ItemLevel: (args) => {
+    const { operator, values } = readComparison(
+      'ItemLevel',
+      args,
+      parseNumber('ItemLevel')
+    );
+    return (item) => compare(item.level || 1, operator, values);
+  },
+
+  Sockets: (args) => {
+    const { operator, values } = readComparison(
+      'Sockets',
+      args,
+      parseNumber('Sockets')
+    );
+    return (item) => compare((item.sockets || []).length, operator, values);
+  },
+
+  HasAffix: (args) =>
+    matchNames('HasAffix', args, (item) =>
+      (item.affixes || []).flatMap((affix) => [affix.name, affix.id])
+    ),
+
+  Affix: (args) => {
+    if (args.length === 0 || OPERATORS.includes(args[0])) {
+      throw new Error('Affix needs a stat name first');
+    }
+    const [stat, ...rest] = args;
+    const { operator, values } = readComparison(
+      'Affix',
+      rest,
+      parseNumber('Affix')
+    );
+    return (item) => {
+      const total = (item.affixes || []).reduce(
+        (sum, affix) => sum + (affix.stats?.[stat] || 0),
+        0
+      );
+      return compare(total, operator, values);
+    };
+  },
+
+  SetItem: (args) => matchMembership(args, (item) => item.setBonus),
+
+  Unique: (args) =>
+    matchMembership(args, (item) =>
+      lower(item.rarity) === 'unique' ? item.name : null
+    ),
+};
+
+/**
+ * Actions by keyword; each returns the label fields it sets
+ */
+const ACTIONS = {
+  SetColor: (args) => {
+    expectArgs('SetColor', args, 1);
+    return { color: parseColor('SetColor', args[0]) };
+  },
+
+  SetLabelSize: (args) => {
+    expectArgs('SetLabelSize', args, 1);
+    const size = LABEL_SIZES[lower(args[0])] ?? Number(args[0]);
+    if (!(size >= 0.5 && size <= 3)) {
+      throw new Error(
+        `SetLabelSize expects small, normal, large or 0.5 to 3, got "${args[0]}"`
+      );
+    }
+    return { labelSize: size };
+  },
+
+  PlaySound: (args) => {
+    expectArgs('PlaySound', args, 1, 2);
+    const volume = args.length > 1 ? parseNumber('PlaySound')(args[1]) : 1;
+    if (volume < 0 || volume > 1) {
+      throw new Error(`PlaySound volume must be 0 to 1, got ${volume}`);
+    }
+    return { sound: { id: args[0], volume } };
+  },
+
+  Beam: (args) => {
+    expectArgs('Beam', args, 1);
+    return { beam: parseColor('Beam', args[0]) };
+  },
+};
+
+/**
+ * Parse a filter; returns its rules and every problem found as
+ * { line, message }
+ */
+export const parseLootFilter = (source) => {
+  const rules = [];
+  const errors = [];
+  let block = null;
+
+  String(source)
+    .split(/\r?\n/)
+    .forEach((text, index) => {
+      const line = index + 1;
+      try {
+        const tokens = tokenize(text);
+        if (tokens.length === 0) return;
+        const [keyword, ...args] = tokens;
+
+        if (keyword === 'Show' || keyword === 'Hide') {
+          expectArgs(keyword, args, 0);
+          block = {
+            line,
+            visible: keyword === 'Show',
+            conditions: [],
+            style: {},
+          };
+          rules.push(block);
+        } else if (!CONDITIONS[keyword] && !ACTIONS[keyword]) {
+          throw new Error(`unknown keyword "${keyword}"`);
+        } else if (!block) {
+          throw new Error(`${keyword} must be inside a Show or Hide block`);
+        } else if (CONDITIONS[keyword]) {
+          block.conditions.push(CONDITIONS[keyword](args));
+        } else {
+          Object.assign(block.style, ACTIONS[keyword](args));
+        }
+      } catch (error) {
+        errors.push({ line, message: error.message });
+      }
+    });
+
+  return { rules, errors };
+};
+
+export class LootFilter {
+  /**
+   * Throws with an `errors` list if the source does not parse
+   */
+  constructor(source = '') {
+    const { rules, errors } = parseLootFilter(source);
+    if (errors.length > 0) {
+      const lines = errors.map(
+        (error) => `  line ${error.line}: ${error.message}`
+      );
+      const error = new Error(`Loot filter is invalid:\n${lines.join('\n')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    this.source = source;
+    this.rules = rules;
+  }
+
+  /**
+   * Get the problems with a filter's source, an empty list when it is valid
+   */
+  static check(source) {
+    return parseLootFilter(source).errors;
+  }
+
+  /**
+   * Get the label for an item: whether it is shown, and its color, size,
+   * sound and beam
+   */
+  evaluate(item) {
+    const rule = this.rules.find((candidate) =>
+      candidate.conditions.every((test) => test(item))
+    );
+    if (!rule) return { ...DEFAULT_LABEL };
+
+    return {
+      ...DEFAULT_LABEL,
+      visible: rule.visible,
+      rule: rule.line,
+      ...rule.style,
+    };
+  }
+}
+
+export default LootFilter;
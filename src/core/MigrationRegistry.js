@@ -0,0 +1,289 @@
+/**
+ * MigrationRegistry.js - Versioned, declarative data migrations
+ *
+ * This registry handles:
+ * - A version chain per schema, from its baseline to its current version
+ * - Declarative steps to add, rename, drop and transform fields
+ * - Refusing to downgrade data written by a newer version
+ * - Dry runs that report what would change without touching the input
+ */
+
+/**
+ * Compare dotted version strings numerically
+ */
+export const compareVersions = (a, b) => {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  const length = Math.max(left.length, right.length);
+
+  for (let i = 0; i < length; i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return Math.sign(difference);
+  }
+  return 0;
+};
+
+// Migrated data is always persisted as JSON, so a JSON copy is enough
+const cloneData = (value) =>
+  value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+const getPath = (data, path) =>
+  path
+    .split('.')
+    .reduce(
+      (value, key) =>
+        value !== null && typeof value === 'object' ? value[key] : undefined,
+      data
+    );
+
+const hasPath = (data, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.length ? getPath(data, keys.join('.')) : data;
+  return parent !== null && typeof parent === 'object' && last in parent;
+};
+
+const setPath = (data, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = data;
+  keys.forEach((key) => {
+    if (target[key] === null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  target[last] = value;
+};
+
+const deletePath = (data, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.length ? getPath(data, keys.join('.')) : data;
+  if (parent !== null && typeof parent === 'object') {
+    delete parent[last];
+  }
+};
+
+/**
+ * Add a field if it is missing; the default may be a function of the data
+ */
+export const addField = (path, defaultValue) => ({
+  type: 'add',
+  path,
+  defaultValue,
+});
+
+/**
+ * Move a field to a new path
+ */
+export const renameField = (from, to) => ({ type: 'rename', from, to });
+
+/**
+ * Remove a field
+ */
+export const dropField = (path) => ({ type: 'drop', path });
+
+/**
+ * Replace a field with transform(value, data)
+ */
+export const transformField = (path, transform) => ({
+  type: 'transform',
+  path,
+  transform,
+});
+
+/**
+ * Replace the whole document with transform(data)
+ */
+export const transformData = (transform) => ({
+  type: 'transformData',
+  transform,
+});
+
+/**
+ * Apply one step to data in place and describe what it did, or return
+ * null if the step had nothing to do
+ */
+const applyStep = (data, step) => {
+  switch (step.type) {
+    case 'add':
+      if (hasPath(data, step.path)) return { data, change: null };
+      setPath(
+        data,
+        step.path,
+        typeof step.defaultValue === 'function'
+          ? step.defaultValue(data)
+          : cloneData(step.defaultValue)
+      );
+      return { data, change: `add ${step.path}` };
+    case 'rename':
+      if (!hasPath(data, step.from)) return { data, change: null };
+      setPath(data, step.to, getPath(data, step.from));
+      deletePath(data, step.from);
+      return { data, change: `rename ${step.from} to ${step.to}` };
+    case 'drop':
+      if (!hasPath(data, step.path)) return { data, change: null };
+      deletePath(data, step.path);
+      return { data, change: `drop ${step.path}` };
+    case 'transform':
+      setPath(data, step.path, step.transform(getPath(data, step.path), data));
+      return { data, change: `transform ${step.path}` };
+    case 'transformData':
+      return { data: step.transform(data), change: 'transform data' };
+    default:
+      throw new Error(`Unknown migration step type: ${step.type}`);
+  }
+};
+
+export class MigrationRegistry {
+  constructor() {
+    this.schemas = new Map();
+  }
+
+  /**
+   * Declare a schema and the version its first data was written at
+   */
+  define(schema, options = {}) {
+    if (this.schemas.has(schema)) {
+      throw new Error(`Migration schema already defined: ${schema}`);
+    }
+
+    const baseline = options.version || '1.0.0';
+    this.schemas.set(schema, {
+      baseline,
+      current: baseline,
+      migrations: new Map(),
+    });
+    return this;
+  }
+
+  /**
+   * Register a migration from one version to the next
+   */
+  register(schema, migration) {
+    if (!this.schemas.has(schema)) {
+      this.define(schema, { version: migration.from });
+    }
+
+    const entry = this.schemas.get(schema);
+    const { from, to } = migration;
+
+    if (compareVersions(to, from) <= 0) {
+      throw new Error(
+        `Migration for ${schema} must move to a newer version (${from} -> ${to})`
+      );
+    }
+    if (entry.migrations.has(from)) {
+      throw new Error(
+        `Migration for ${schema} from ${from} already registered`
+      );
+    }
+
+    entry.migrations.set(from, {
+      from,
+      to,
+      description: migration.description || '',
+      steps: migration.steps || [],
+    });
+    if (compareVersions(to, entry.current) > 0) {
+      entry.current = to;
+    }
+    return this;
+  }
+
+  /**
+   * Check whether a schema is registered
+   */
+  has(schema) {
+    return this.schemas.has(schema);
+  }
+
+  /**
+   * Get the version new data for a schema is written at
+   */
+  getCurrentVersion(schema) {
+    const entry = this.schemas.get(schema);
+    return entry ? entry.current : null;
+  }
+
+  /**
+   * List the migrations needed to bring a version up to date
+   * Data without a version is treated as the baseline version
+   */
+  plan(schema, fromVersion) {
+    const entry = this.schemas.get(schema);
+    if (!entry) {
+      throw new Error(`Unknown migration schema: ${schema}`);
+    }
+
+    let version = fromVersion || entry.baseline;
+    if (compareVersions(version, entry.current) > 0) {
+      throw new Error(
+        `Refusing to downgrade ${schema} from ${version} to ${entry.current}`
+      );
+    }
+
+    const chain = [];
+    while (compareVersions(version, entry.current) < 0) {
+      const migration = entry.migrations.get(version);
+      if (!migration) {
+        throw new Error(
+          `No migration path for ${schema} from ${version} to ${entry.current}`
+        );
+      }
+      chain.push(migration);
+      version = migration.to;
+    }
+    return chain;
+  }
+
+  /**
+   * Check whether data at a version can be loaded
+   */
+  canMigrate(schema, fromVersion) {
+    try {
+      this.plan(schema, fromVersion);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Bring data up to the current version
+   * The input is never modified; with dryRun the report is the same but
+   * callers know not to persist the result
+   */
+  migrate(schema, data, fromVersion, options = {}) {
+    const chain = this.plan(schema, fromVersion);
+    let migrated = cloneData(data);
+    const applied = [];
+
+    chain.forEach((migration) => {
+      const changes = [];
+      migration.steps.forEach((step) => {
+        const result = applyStep(migrated, step);
+        migrated = result.data;
+        if (result.change) changes.push(result.change);
+      });
+      applied.push({
+        from: migration.from,
+        to: migration.to,
+        description: migration.description,
+        changes,
+      });
+    });
+
+    return {
+      schema,
+      data: migrated,
+      fromVersion: fromVersion || this.schemas.get(schema).baseline,
+      version: this.getCurrentVersion(schema),
+      applied,
+      dryRun: Boolean(options.dryRun),
+    };
+  }
+}
+
+export default MigrationRegistry;
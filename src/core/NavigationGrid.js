@@ -0,0 +1,565 @@
+/**
+ * NavigationGrid.js - Walkable grid with A* paths and flow fields
+ *
+ * This module handles:
+ * - A grid of walkable and blocked cells built from area terrain or
+ *   dungeon rooms
+ * - A* paths over eight neighbours without cutting blocked corners
+ * - Smoothing paths down to the turns that line of sight needs
+ * - Flow fields towards a goal, cached so a horde chasing one target shares
+ *   a single search
+ *
+ * Points are in world coordinates. The grid only knows about the space it
+ * covers: anything outside it counts as walkable and open to sight.
+ */
+
+const NEIGHBOURS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+];
+
+/**
+ * Binary min-heap of cell indices by priority
+ */
+class CellHeap {
+  constructor() {
+    this.cells = [];
+    this.priorities = [];
+  }
+
+  get size() {
+    return this.cells.length;
+  }
+
+  push(cell, priority) {
+    this.cells.push(cell);
+    this.priorities.push(priority);
+
+    let index = this.cells.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.priorities[parent] <= priority) break;
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  pop() {
+    const top = this.cells[0];
+    const lastCell = this.cells.pop();
+    const lastPriority = this.priorities.pop();
+
+    if (this.cells.length > 0) {
+      this.cells[0] = lastCell;
+      this.priorities[0] = lastPriority;
+
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (
+          left < this.cells.length &&
+          this.priorities[left] < this.priorities[smallest]
+        ) {
+          smallest = left;
+        }
+        if (
+          right < this.cells.length &&
+          this.priorities[right] < this.priorities[smallest]
+        ) {
+          smallest = right;
+        }
+        if (smallest === index) break;
+        this.swap(index, smallest);
+        index = smallest;
+      }
+    }
+
+    return top;
+  }
+
+  swap(a, b) {
+    [this.cells[a], this.cells[b]] = [this.cells[b], this.cells[a]];
+    [this.priorities[a], this.priorities[b]] = [
+      this.priorities[b],
+      this.priorities[a],
+    ];
+  }
+}
+
+export class NavigationGrid {
+  constructor(options = {}) {
+    const { width, height, cellSize = 20, origin = { x: 0, y: 0 } } = options;
+    if (!(width > 0) || !(height > 0)) {
+      throw new Error('NavigationGrid: width and height must be positive');
+    }
+    if (!(cellSize > 0)) {
+      throw new Error('NavigationGrid: cellSize must be a positive number');
+    }
+
+    this.cellSize = cellSize;
+    this.origin = { x: origin.x, y: origin.y };
+    this.cols = Math.ceil(width / cellSize);
+    this.rows = Math.ceil(height / cellSize);
+    this.blocked = new Uint8Array(this.cols * this.rows);
+
+    // Bumped on every change so callers can drop paths planned before it
+    this.version = 0;
+
+    // Flow fields by goal cell, least recently used first
+    this.flowFields = new Map();
+    this.maxFlowFields = options.maxFlowFields || 8;
+  }
+
+  /**
+   * Build a grid over a generated area, blocking its obstacles and water
+   */
+  static fromArea(area, options = {}) {
+    const origin = { x: area.x || 0, y: area.y || 0 };
+    const grid = new NavigationGrid({
+      ...options,
+      width: area.size.width,
+      height: area.size.height,
+      origin,
+    });
+    const terrain = area.terrain || {};
+
+    (terrain.obstacles || []).forEach((obstacle) => {
+      grid.setRect(
+        {
+          x: origin.x + obstacle.x,
+          y: origin.y + obstacle.y,
+          width: obstacle.width,
+          height: obstacle.height,
+        },
+        true
+      );
+    });
+    (terrain.waterSources || []).forEach((water) => {
+      grid.setCircle(
+        { x: origin.x + water.x, y: origin.y + water.y },
+        water.size / 2,
+        true
+      );
+    });
+
+    return grid;
+  }
+
+  /**
+   * Build a grid over a dungeon instance: everything is wall except its
+   * rooms and the corridors between connected rooms
+   */
+  static fromDungeon(dungeon, options = {}) {
+    const rooms = Object.values(dungeon.rooms).filter((room) => room.bounds);
+    if (rooms.length === 0) {
+      throw new Error(`Dungeon ${dungeon.id} has no room layout`);
+    }
+
+    const width = Math.max(
+      ...rooms.map((room) => room.bounds.x + room.bounds.width)
+    );
+    const height = Math.max(
+      ...rooms.map((room) => room.bounds.y + room.bounds.height)
+    );
+    const grid = new NavigationGrid({ ...options, width, height });
+    const corridorWidth = options.corridorWidth || 40;
+
+    grid.blocked.fill(1);
+    rooms.forEach((room) => grid.setRect(room.bounds, false));
+
+    (dungeon.connections || []).forEach(({ from, to }) => {
+      const a = dungeon.rooms[from];
+      const b = dungeon.rooms[to];
+      if (!a || !a.bounds || !b || !b.bounds) return;
+
+      // An L-shaped corridor between room centres
+      const start = NavigationGrid.getCenter(a.bounds);
+      const end = NavigationGrid.getCenter(b.bounds);
+      const half = corridorWidth / 2;
+      grid.setRect(
+        {
+          x: Math.min(start.x, end.x) - half,
+          y: start.y - half,
+          width: Math.abs(end.x - start.x) + corridorWidth,
+          height: corridorWidth,
+        },
+        false
+      );
+      grid.setRect(
+        {
+          x: end.x - half,
+          y: Math.min(start.y, end.y) - half,
+          width: corridorWidth,
+          height: Math.abs(end.y - start.y) + corridorWidth,
+        },
+        false
+      );
+    });
+
+    return grid;
+  }
+
+  static getCenter(rect) {
+    return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+  }
+
+  /**
+   * Get the column and row of a point
+   */
+  toCell(point) {
+    return {
+      col: Math.floor((point.x - this.origin.x) / this.cellSize),
+      row: Math.floor((point.y - this.origin.y) / this.cellSize),
+    };
+  }
+
+  /**
+   * Get the index of the cell holding a point, or -1 outside the grid
+   */
+  toCellIndex(point) {
+    const { col, row } = this.toCell(point);
+    return this.inBounds(col, row) ? row * this.cols + col : -1;
+  }
+
+  /**
+   * Get the world position of a cell's centre
+   */
+  getCellCenter(index) {
+    return {
+      x: this.origin.x + ((index % this.cols) + 0.5) * this.cellSize,
+      y: this.origin.y + (Math.floor(index / this.cols) + 0.5) * this.cellSize,
+    };
+  }
+
+  inBounds(col, row) {
+    return col >= 0 && row >= 0 && col < this.cols && row < this.rows;
+  }
+
+  /**
+   * Check whether the grid covers a point
+   */
+  contains(point) {
+    return this.toCellIndex(point) !== -1;
+  }
+
+  isWalkableCell(col, row) {
+    return !this.inBounds(col, row) || !this.blocked[row * this.cols + col];
+  }
+
+  /**
+   * Check whether a point can be walked on
+   */
+  isWalkable(point) {
+    const { col, row } = this.toCell(point);
+    return this.isWalkableCell(col, row);
+  }
+
+  /**
+   * Block or clear every cell a rectangle overlaps
+   */
+  setRect(rect, blocked) {
+    const min = this.toCell(rect);
+    // Cells the far edge only touches stay as they are
+    const max = this.toCell({
+      x: rect.x + rect.width - 1e-6,
+      y: rect.y + rect.height - 1e-6,
+    });
+
+    for (
+      let row = Math.max(min.row, 0);
+      row <= Math.min(max.row, this.rows - 1);
+      row++
+    ) {
+      for (
+        let col = Math.max(min.col, 0);
+        col <= Math.min(max.col, this.cols - 1);
+        col++
+      ) {
+        this.blocked[row * this.cols + col] = blocked ? 1 : 0;
+      }
+    }
+    this.changed();
+  }
+
+  /**
+   * Block or clear every cell whose centre is within a circle
+   */
+  setCircle(center, radius, blocked) {
+    const min = this.toCell({ x: center.x - radius, y: center.y - radius });
+    const max = this.toCell({ x: center.x + radius, y: center.y + radius });
+
+    for (
+      let row = Math.max(min.row, 0);
+      row <= Math.min(max.row, this.rows - 1);
+      row++
+    ) {
+      for (
+        let col = Math.max(min.col, 0);
+        col <= Math.min(max.col, this.cols - 1);
+        col++
+      ) {
+        const cell = this.getCellCenter(row * this.cols + col);
+        if (Math.hypot(cell.x - center.x, cell.y - center.y) <= radius) {
+          this.blocked[row * this.cols + col] = blocked ? 1 : 0;
+        }
+      }
+    }
+    this.changed();
+  }
+
+  changed() {
+    this.version++;
+    this.flowFields.clear();
+  }
+
+  /**
+   * Check whether a straight line between two points crosses only
+   * walkable cells
+   */
+  hasLineOfSight(from, to) {
+    // Walk every cell the segment passes through (Amanatides & Woo)
+    let { col, row } = this.toCell(from);
+    const end = this.toCell(to);
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const stepCol = Math.sign(dx);
+    const stepRow = Math.sign(dy);
+    const cellLeft = this.origin.x + col * this.cellSize;
+    const cellTop = this.origin.y + row * this.cellSize;
+    const deltaX = stepCol ? Math.abs(this.cellSize / dx) : Infinity;
+    const deltaY = stepRow ? Math.abs(this.cellSize / dy) : Infinity;
+    let maxX = stepCol
+      ? ((stepCol > 0 ? cellLeft + this.cellSize : cellLeft) - from.x) / dx
+      : Infinity;
+    let maxY = stepRow
+      ? ((stepRow > 0 ? cellTop + this.cellSize : cellTop) - from.y) / dy
+      : Infinity;
+    let steps = Math.abs(end.col - col) + Math.abs(end.row - row);
+
+    if (!this.isWalkableCell(col, row)) return false;
+    while (steps-- > 0) {
+      if (maxX < maxY) {
+        maxX += deltaX;
+        col += stepCol;
+      } else {
+        maxY += deltaY;
+        row += stepRow;
+      }
+      if (!this.isWalkableCell(col, row)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Find the walkable cell nearest to a point, searching outwards up to
+   * maxRadius cells; -1 when there is none
+   */
+  findNearestWalkable(point, maxRadius = 3) {
+    const { col, row } = this.toCell(point);
+    let best = -1;
+    let bestDistance = Infinity;
+
+    for (let radius = 0; radius <= maxRadius && best === -1; radius++) {
+      for (let r = row - radius; r <= row + radius; r++) {
+        for (let c = col - radius; c <= col + radius; c++) {
+          const onRing =
+            Math.abs(r - row) === radius || Math.abs(c - col) === radius;
+          if (
+            !onRing ||
+            !this.inBounds(c, r) ||
+            this.blocked[r * this.cols + c]
+          ) {
+            continue;
+          }
+          const center = this.getCellCenter(r * this.cols + c);
+          const distance = Math.hypot(center.x - point.x, center.y - point.y);
+          if (distance < bestDistance) {
+            best = r * this.cols + c;
+            bestDistance = distance;
+          }
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Call fn(neighbour, cost) for the walkable neighbours of a cell;
+   * diagonals need both cells beside them open
+   */
+  forEachNeighbour(index, fn) {
+    const col = index % this.cols;
+    const row = Math.floor(index / this.cols);
+
+    NEIGHBOURS.forEach(([dc, dr]) => {
+      const c = col + dc;
+      const r = row + dr;
+      if (!this.inBounds(c, r) || this.blocked[r * this.cols + c]) return;
+      if (
+        dc &&
+        dr &&
+        (this.blocked[row * this.cols + c] || this.blocked[r * this.cols + col])
+      ) {
+        return;
+      }
+      fn(r * this.cols + c, dc && dr ? Math.SQRT2 : 1);
+    });
+  }
+
+  /**
+   * Find a path between two points and return the waypoints to walk
+   * through, ending at the goal; null when the goal cannot be reached.
+   * A goal inside an obstacle is moved to the nearest walkable cell.
+   */
+  findPath(from, to, options = {}) {
+    const { smooth = true } = options;
+    const start = this.findNearestWalkable(from);
+    const goal = this.toCellIndex(to);
+    const end =
+      goal !== -1 && !this.blocked[goal] ? goal : this.findNearestWalkable(to);
+    if (start === -1 || end === -1) return null;
+
+    const goalPoint =
+      end === goal ? { x: to.x, y: to.y } : this.getCellCenter(end);
+    if (start === end) return [goalPoint];
+
+    const size = this.cols * this.rows;
+    const costs = new Float64Array(size).fill(Infinity);
+    const cameFrom = new Int32Array(size).fill(-1);
+    const closed = new Uint8Array(size);
+    const endCol = end % this.cols;
+    const endRow = Math.floor(end / this.cols);
+    const heuristic = (index) => {
+      // Octile distance
+      const dc = Math.abs((index % this.cols) - endCol);
+      const dr = Math.abs(Math.floor(index / this.cols) - endRow);
+      return Math.max(dc, dr) + (Math.SQRT2 - 1) * Math.min(dc, dr);
+    };
+
+    const open = new CellHeap();
+    costs[start] = 0;
+    open.push(start, heuristic(start));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === end) break;
+      if (closed[current]) continue;
+      closed[current] = 1;
+
+      this.forEachNeighbour(current, (neighbour, cost) => {
+        const next = costs[current] + cost;
+        if (next < costs[neighbour]) {
+          costs[neighbour] = next;
+          cameFrom[neighbour] = current;
+          open.push(neighbour, next + heuristic(neighbour));
+        }
+      });
+    }
+
+    if (cameFrom[end] === -1) return null;
+
+    const cells = [];
+    for (let index = end; index !== start; index = cameFrom[index]) {
+      cells.unshift(index);
+    }
+    const points = [
+      { x: from.x, y: from.y },
+      ...cells.slice(0, -1).map((index) => this.getCellCenter(index)),
+      goalPoint,
+    ];
+
+    return (smooth ? this.smoothPath(points) : points).slice(1);
+  }
+
+  /**
+   * Drop the waypoints that can be skipped by walking straight past them
+   */
+  smoothPath(points) {
+    if (points.length <= 2) return points;
+
+    const smoothed = [points[0]];
+    let current = 0;
+    while (current < points.length - 1) {
+      let next = points.length - 1;
+      while (
+        next > current + 1 &&
+        !this.hasLineOfSight(points[current], points[next])
+      ) {
+        next--;
+      }
+      smoothed.push(points[next]);
+      current = next;
+    }
+    return smoothed;
+  }
+
+  /**
+   * Get the flow field towards a point: the path cost from every cell to
+   * the goal cell, computed once and cached per goal cell
+   */
+  getFlowField(to) {
+    const goal = this.toCellIndex(to);
+    const end =
+      goal !== -1 && !this.blocked[goal] ? goal : this.findNearestWalkable(to);
+    if (end === -1) return null;
+
+    if (this.flowFields.has(end)) {
+      const field = this.flowFields.get(end);
+      // Move to the back as the most recently used
+      this.flowFields.delete(end);
+      this.flowFields.set(end, field);
+      return field;
+    }
+
+    const costs = new Float64Array(this.cols * this.rows).fill(Infinity);
+    const open = new CellHeap();
+    costs[end] = 0;
+    open.push(end, 0);
+
+    while (open.size > 0) {
+      const current = open.pop();
+      this.forEachNeighbour(current, (neighbour, cost) => {
+        const next = costs[current] + cost;
+        if (next < costs[neighbour]) {
+          costs[neighbour] = next;
+          open.push(neighbour, next);
+        }
+      });
+    }
+
+    const field = { goal: end, costs };
+    this.flowFields.set(end, field);
+    if (this.flowFields.size > this.maxFlowFields) {
+      this.flowFields.delete(this.flowFields.keys().next().value);
+    }
+    return field;
+  }
+
+  /**
+   * Get where to head next from a point to follow the flow field towards
+   * a goal; null when the goal cannot be reached from there
+   */
+  getFlowWaypoint(from, to) {
+    const field = this.getFlowField(to);
+    const start = this.findNearestWalkable(from);
+    if (!field || start === -1 || field.costs[start] === Infinity) return null;
+    if (start === field.goal) return { x: to.x, y: to.y };
+
+    let best = start;
+    this.forEachNeighbour(start, (neighbour) => {
+      if (field.costs[neighbour] < field.costs[best]) best = neighbour;
+    });
+    return this.getCellCenter(best);
+  }
+}
+
+export default NavigationGrid;
@@ -6,16 +6,28 @@
  * - Data serialization and deserialization
  * - Data validation and migration
  * - Backup and restore functionality
+ * - Signed .tottrots bundle export and import
  * - Cross-session data persistence
  * - Data compression and encryption
  */
 
+import { SaveCodec } from './SaveCodec.js';
+import { compareVersions } from './MigrationRegistry.js';
+import { createSaveMigrations } from './SaveMigrations.js';
+import {
+  BUNDLE_SECTIONS,
+  createBundle,
+  getSectionForKey,
+  readBundle,
+} from './SaveBundle.js';
+
 export class PersistenceManager {
   constructor(dependencies = {}) {
     // Dependency injection
     this.eventBus = dependencies.eventBus;
     this.logger = dependencies.logger;
     this.config = dependencies.config;
+    this.storageBackend = dependencies.storage || globalThis.localStorage;
 
     // Validate required dependencies
     if (!this.eventBus) {
@@ -31,6 +43,7 @@ export class PersistenceManager {
       version: '1.0.0',
       compression: true,
       encryption: false,
+      passphrase: null,
       backupCount: 5,
       maxSize: 5 * 1024 * 1024, // 5MB
       autoSave: true,
@@ -39,7 +52,7 @@ export class PersistenceManager {
 
     // Data schemas
     this.schemas = new Map();
-    this.migrations = new Map();
+    this.migrations = dependencies.migrations || createSaveMigrations();
 
     // Storage state
     this.storage = {
@@ -49,6 +62,9 @@ export class PersistenceManager {
       remaining: 0,
     };
 
+    // Compression and encryption codec
+    this.codec = new SaveCodec();
+
     // Auto-save timer
     this.autoSaveTimer = null;
     this.pendingChanges = new Set();
@@ -56,7 +72,6 @@ export class PersistenceManager {
     // Initialize storage
     this.initializeStorage();
     this.setupDataSchemas();
-    this.setupMigrations();
 
     this.logger.info('PersistenceManager initialized');
   }
@@ -102,8 +117,8 @@ export class PersistenceManager {
     try {
       // Test localStorage availability
       const testKey = '__storage_test__';
-      localStorage.setItem(testKey, 'test');
-      localStorage.removeItem(testKey);
+      this.storageBackend.setItem(testKey, 'test');
+      this.storageBackend.removeItem(testKey);
       this.storage.available = true;
     } catch (error) {
       this.storage.available = false;
@@ -117,7 +132,7 @@ export class PersistenceManager {
   setupDataSchemas() {
     // Game state schema
     this.schemas.set('gameState', {
-      version: '1.0.0',
+      version: '1.1.0',
       fields: {
         currentLevel: { type: 'number', required: true, default: 1 },
         score: { type: 'number', required: true, default: 0 },
@@ -152,7 +167,7 @@ export class PersistenceManager {
 
     // Achievement data schema
     this.schemas.set('achievementData', {
-      version: '1.0.0',
+      version: '1.1.0',
       fields: {
         unlocked: { type: 'array', required: true, default: [] },
         progress: { type: 'object', required: true, default: {} },
@@ -185,40 +200,6 @@ export class PersistenceManager {
     });
   }
 
-  /**
-   * Set up data migrations
-   */
-  setupMigrations() {
-    // Game state migrations
-    this.migrations.set('gameState', {
-      '1.0.0': (data) => {
-        // Initial version, no migration needed
-        return data;
-      },
-      '1.1.0': (data) => {
-        // Add new fields
-        return {
-          ...data,
-          playTime: data.playTime || 0,
-          lastPlayed: data.lastPlayed || Date.now(),
-        };
-      },
-    });
-
-    // Achievement data migrations
-    this.migrations.set('achievementData', {
-      '1.0.0': (data) => {
-        return data;
-      },
-      '1.1.0': (data) => {
-        return {
-          ...data,
-          totalUnlocked: data.unlocked ? data.unlocked.length : 0,
-        };
-      },
-    });
-  }
-
   /**
    * Check storage availability
    */
@@ -285,14 +266,14 @@ export class PersistenceManager {
       // Add metadata
       const dataWithMetadata = {
         data,
-        version: this.storageConfig.version,
+        version: this.getSchemaVersion(key),
         timestamp: Date.now(),
         key,
       };
 
-      // Compress data if enabled
+      // Compress and encrypt data if enabled
       let serializedData;
-      if (this.storageConfig.compression) {
+      if (this.storageConfig.compression || this.storageConfig.encryption) {
         serializedData = await this.compressData(
           JSON.stringify(dataWithMetadata)
         );
@@ -312,7 +293,7 @@ export class PersistenceManager {
 
       // Save to localStorage
       const storageKey = this.getStorageKey(key);
-      localStorage.setItem(storageKey, serializedData);
+      this.storageBackend.setItem(storageKey, serializedData);
 
       // Create backup
       if (options.createBackup !== false) {
@@ -344,42 +325,43 @@ export class PersistenceManager {
 
     try {
       const storageKey = this.getStorageKey(key);
-      const serializedData = localStorage.getItem(storageKey);
+      const serializedData = this.storageBackend.getItem(storageKey);
 
       if (!serializedData) {
         this.logger.info('No data found for key:', key);
         return null;
       }
 
-      // Decompress data if needed
-      let dataWithMetadata;
-      if (this.storageConfig.compression) {
-        dataWithMetadata = JSON.parse(
-          await this.decompressData(serializedData)
-        );
-      } else {
-        dataWithMetadata = JSON.parse(serializedData);
-      }
+      // Decrypt and decompress data as its envelope says, whatever the
+      // current settings
+      const dataWithMetadata = JSON.parse(
+        await this.decompressData(serializedData)
+      );
 
       // Check version and migrate if needed
       const migratedData = await this.migrateData(key, dataWithMetadata);
 
       // Validate migrated data
       const schema = this.schemas.get(key);
+      let loadedData = migratedData.data;
       if (schema) {
-        const validatedData = this.validateData(migratedData.data, schema);
-        if (!validatedData) {
+        loadedData = this.validateData(migratedData.data, schema);
+        if (!loadedData) {
           this.logger.error(
             'Data validation failed after migration for key:',
             key
           );
           return null;
         }
-        return validatedData;
+      }
+
+      // Store the upgrade so the data is not migrated on every load
+      if (migratedData.migration?.applied.length > 0) {
+        await this.save(key, loadedData, { createBackup: false });
       }
 
       this.logger.info('Data loaded successfully', { key });
-      return migratedData.data;
+      return loadedData;
     } catch (error) {
       this.logger.error('Failed to load data:', error);
 
@@ -403,7 +385,7 @@ export class PersistenceManager {
 
     try {
       const storageKey = this.getStorageKey(key);
-      localStorage.removeItem(storageKey);
+      this.storageBackend.removeItem(storageKey);
 
       // Delete backups
       await this.deleteBackups(key);
@@ -425,7 +407,7 @@ export class PersistenceManager {
     if (!this.storage.available) return false;
 
     const storageKey = this.getStorageKey(key);
-    return localStorage.getItem(storageKey) !== null;
+    return this.storageBackend.getItem(storageKey) !== null;
   }
 
   /**
@@ -435,7 +417,7 @@ export class PersistenceManager {
     if (!this.storage.available) return 0;
 
     const storageKey = this.getStorageKey(key);
-    const data = localStorage.getItem(storageKey);
+    const data = this.storageBackend.getItem(storageKey);
     return data ? data.length : 0;
   }
 
@@ -448,8 +430,8 @@ export class PersistenceManager {
     const keys = [];
     const prefix = this.storageConfig.prefix;
 
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
+    for (let i = 0; i < this.storageBackend.length; i++) {
+      const key = this.storageBackend.key(i);
       if (key && key.startsWith(prefix)) {
         keys.push(key.substring(prefix.length));
       }
@@ -529,6 +511,199 @@ export class PersistenceManager {
     }
   }
 
+  /**
+   * Export save slots, settings, achievements, tutorial and endgame data
+   * as a signed .tottrots bundle
+   */
+  async exportBundle(options = {}) {
+    const sectionNames = options.sections || Object.keys(BUNDLE_SECTIONS);
+    const sections = {};
+    sectionNames.forEach((name) => {
+      if (!BUNDLE_SECTIONS[name]) {
+        throw new Error(`Unknown bundle section: ${name}`);
+      }
+      sections[name] = {};
+    });
+
+    for (let i = 0; i < this.storageBackend.length; i++) {
+      const key = this.storageBackend.key(i);
+      const section = getSectionForKey(key);
+      if (section && sections[section]) {
+        sections[section][key] = this.storageBackend.getItem(key);
+      }
+    }
+
+    const bundle = await createBundle(sections, {
+      passphrase: options.passphrase,
+      appVersion: this.storageConfig.version,
+    });
+
+    this.logger.info('Bundle exported', {
+      sections: sectionNames,
+      entries: Object.values(sections).reduce(
+        (count, entries) => count + Object.keys(entries).length,
+        0
+      ),
+    });
+    return JSON.stringify(bundle);
+  }
+
+  /**
+   * Verify and migrate a bundle and compare it with what is stored
+   */
+  async prepareBundleImport(input, options = {}) {
+    const bundle = await readBundle(input, options);
+    const changes = [];
+    const values = new Map();
+
+    for (const [name, entries] of Object.entries(bundle.sections)) {
+      const { version } = bundle.manifest.sections[name];
+      const supported = BUNDLE_SECTIONS[name].version;
+      if (compareVersions(version, supported) > 0) {
+        throw new Error(
+          `Bundle section ${name} is from a newer version (${version})`
+        );
+      }
+
+      for (const [key, value] of Object.entries(entries)) {
+        const incoming = await this.migrateBundleEntry(key, value, version);
+        const current = this.storageBackend.getItem(key);
+
+        let status = 'changed';
+        if (current === null || current === undefined) {
+          status = 'added';
+        } else if (current === incoming) {
+          status = 'unchanged';
+        }
+
+        changes.push({
+          section: name,
+          key,
+          status,
+          fields:
+            status === 'changed' ? this.diffFields(current, incoming) : [],
+          currentSize: current ? current.length : 0,
+          incomingSize: incoming.length,
+        });
+        values.set(key, incoming);
+      }
+    }
+
+    return { bundle, changes, values };
+  }
+
+  /**
+   * Run a bundle entry through the migration pipeline for its key
+   */
+  async migrateBundleEntry(key, value, version) {
+    if (!this.migrations.has(key)) return value;
+
+    const migrated = await this.migrateData(key, {
+      data: JSON.parse(value),
+      version,
+    });
+    return JSON.stringify(migrated.data);
+  }
+
+  /**
+   * List the top-level fields that differ between two JSON values
+   */
+  diffFields(current, incoming) {
+    let before;
+    let after;
+    try {
+      before = JSON.parse(current);
+      after = JSON.parse(incoming);
+    } catch (error) {
+      return [];
+    }
+    if (!before || !after || typeof before !== 'object') return [];
+
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(fields)
+      .filter(
+        (field) =>
+          JSON.stringify(before[field]) !== JSON.stringify(after[field])
+      )
+      .map((field) => {
+        if (!(field in before)) return { field, status: 'added' };
+        if (!(field in after)) return { field, status: 'removed' };
+        return { field, status: 'changed' };
+      });
+  }
+
+  /**
+   * Preview what importing a bundle would change, without writing anything
+   */
+  async previewBundle(input, options = {}) {
+    const { bundle, changes } = await this.prepareBundleImport(input, options);
+    const summary = { added: 0, changed: 0, unchanged: 0 };
+    changes.forEach((change) => summary[change.status]++);
+
+    return {
+      manifest: bundle.manifest,
+      changes,
+      summary,
+    };
+  }
+
+  /**
+   * Import a bundle
+   * New entries are always written; entries that differ from what is stored
+   * are only overwritten with options.overwrite, so callers can show
+   * previewBundle() first
+   */
+  async importBundle(input, options = {}) {
+    const applied = [];
+    const skipped = [];
+    const previous = new Map();
+
+    try {
+      const { changes, values } = await this.prepareBundleImport(
+        input,
+        options
+      );
+      const sections = options.sections || null;
+
+      changes.forEach((change) => {
+        if (sections && !sections.includes(change.section)) return;
+        if (change.status === 'unchanged') return;
+        if (change.status === 'changed' && !options.overwrite) {
+          skipped.push(change.key);
+          return;
+        }
+
+        previous.set(change.key, this.storageBackend.getItem(change.key));
+        this.storageBackend.setItem(change.key, values.get(change.key));
+        applied.push(change.key);
+      });
+
+      this.eventBus.emit('persistence:bundleImported', {
+        applied,
+        skipped,
+        timestamp: Date.now(),
+      });
+
+      this.logger.info('Bundle imported', {
+        applied: applied.length,
+        skipped: skipped.length,
+      });
+      return { success: true, applied, skipped };
+    } catch (error) {
+      // Put back anything already written so a failed import changes nothing
+      previous.forEach((value, key) => {
+        if (value === null || value === undefined) {
+          this.storageBackend.removeItem(key);
+        } else {
+          this.storageBackend.setItem(key, value);
+        }
+      });
+
+      this.logger.error('Failed to import bundle:', error);
+      return { success: false, error: error.message, applied: [], skipped };
+    }
+  }
+
   /**
    * Mark data as changed
    */
@@ -614,8 +789,8 @@ export class PersistenceManager {
           return null;
         }
         if (
-          (fieldConfig.type === 'object' && typeof value !== 'object') ||
-          Array.isArray(value)
+          fieldConfig.type === 'object' &&
+          (typeof value !== 'object' || Array.isArray(value))
         ) {
           this.logger.error(
             'Invalid type for field:',
@@ -634,72 +809,99 @@ export class PersistenceManager {
   }
 
   /**
-   * Migrate data to current version
+   * Get the version data for a key is written at
    */
-  async migrateData(key, dataWithMetadata) {
-    const migrations = this.migrations.get(key);
-    if (!migrations) return dataWithMetadata;
-
-    let currentVersion = dataWithMetadata.version;
-    const targetVersion = this.storageConfig.version;
-
-    while (currentVersion !== targetVersion) {
-      const nextVersion = this.getNextVersion(
-        currentVersion,
-        Object.keys(migrations)
-      );
-      if (!nextVersion) break;
+  getSchemaVersion(key) {
+    return this.migrations.has(key)
+      ? this.migrations.getCurrentVersion(key)
+      : this.storageConfig.version;
+  }
 
-      const migration = migrations[nextVersion];
-      if (migration) {
-        dataWithMetadata.data = migration(dataWithMetadata.data);
-        dataWithMetadata.version = nextVersion;
-        currentVersion = nextVersion;
+  /**
+   * Migrate data to current version
+   * Throws if the data was written by a newer version
+   */
+  async migrateData(key, dataWithMetadata, options = {}) {
+    if (!this.migrations.has(key)) return dataWithMetadata;
+
+    const result = this.migrations.migrate(
+      key,
+      dataWithMetadata.data,
+      dataWithMetadata.version,
+      options
+    );
 
-        this.logger.info('Data migrated', {
-          key,
-          from: currentVersion,
-          to: nextVersion,
-        });
-      } else {
-        break;
-      }
+    if (result.applied.length > 0) {
+      this.logger.info('Data migrated', {
+        key,
+        from: result.fromVersion,
+        to: result.version,
+        dryRun: result.dryRun,
+      });
     }
 
-    return dataWithMetadata;
+    return {
+      ...dataWithMetadata,
+      data: result.data,
+      version: result.version,
+      migration: result,
+    };
   }
 
   /**
-   * Get next version in migration chain
+   * Upgrade stored data for a key and write it back
+   * With dryRun the upgrade is only reported
    */
-  getNextVersion(currentVersion, availableVersions) {
-    const sortedVersions = availableVersions.sort((a, b) =>
-      a.localeCompare(b, undefined, { numeric: true })
+  async migrateStoredData(key, options = {}) {
+    const serializedData = this.storageBackend.getItem(this.getStorageKey(key));
+    if (!serializedData || !this.migrations.has(key)) return null;
+
+    const dataWithMetadata = JSON.parse(
+      await this.decompressData(serializedData)
+    );
+    const { migration } = await this.migrateData(
+      key,
+      dataWithMetadata,
+      options
     );
-    const currentIndex = sortedVersions.indexOf(currentVersion);
 
-    if (currentIndex === -1 || currentIndex >= sortedVersions.length - 1) {
-      return null;
+    if (!options.dryRun && migration.applied.length > 0) {
+      await this.save(key, migration.data);
     }
-
-    return sortedVersions[currentIndex + 1];
+    return migration;
   }
 
   /**
-   * Compress data
+   * Compress data, or only wrap it for encryption with compression off
    */
   async compressData(data) {
-    // Simple compression using built-in methods
-    // In a real application, you might use a library like pako or lz-string
-    return btoa(data);
+    if (this.storageConfig.encryption && !this.storageConfig.passphrase) {
+      throw new Error('PersistenceManager encryption requires a passphrase');
+    }
+
+    return this.codec.encode(data, {
+      codec: this.storageConfig.compression ? undefined : 'none',
+      passphrase: this.storageConfig.encryption
+        ? this.storageConfig.passphrase
+        : null,
+    });
   }
 
   /**
-   * Decompress data
+   * Decompress data, going by what was stored rather than the settings
    */
   async decompressData(compressedData) {
-    // Simple decompression using built-in methods
-    return atob(compressedData);
+    if (!SaveCodec.isEnvelope(compressedData)) {
+      // Data saved with compression off is plain JSON; data written
+      // before the codec envelope was base64 only
+      return compressedData.startsWith('{')
+        ? compressedData
+        : atob(compressedData);
+    }
+
+    return this.codec.decode(compressedData, {
+      passphrase: this.storageConfig.passphrase,
+    });
   }
 
   /**
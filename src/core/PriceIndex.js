@@ -0,0 +1,172 @@
+/**
+ * PriceIndex.js - Market prices worked out from completed sales
+ *
+ * This module handles:
+ * - Keying items the way the market prices them ('Iron Sword' is
+ *   'iron_sword')
+ * - Pricing a completed trade, when it was items for currency
+ * - Setting aside outliers: sales far from the median, as when players
+ *   trade an item back and forth at a silly price to move the market
+ * - The price index over a window of sales: a volume-weighted average
+ *   and the median, and whether it rose or fell since the window before
+ * - Candlestick (open, high, low, close) buckets for a price chart
+ *
+ * A sale looks like { unitPrice, quantity, source, timestamp }, priced in
+ * gold. Rules come from the trading configuration:
+ *   priceWindow           ms of sales the index is worked out over
+ *   outlierRatio          how many times above or below the median a sale
+ *                         may be before it is set aside
+ *   minSalesForOutliers   fewer sales than this are all kept
+ *   trendThreshold        share the index must move by to be a trend
+ */
+
+/**
+ * Get the key the market prices an item under; item may also be its name
+ * or the key itself
+ */
+export const getMarketKey = (item) => {
+  if (item.marketKey) return item.marketKey;
+  return (typeof item === 'string' ? item : item.template || item.name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_');
+};
+
+/**
+ * Get the middle of some numbers; null if there are none
+ */
+export const getMedian = (values) => {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Get the average price per unit, weighted by how many units each sale
+ * moved; null if there are no sales
+ */
+export const getVolumeWeightedAverage = (sales) => {
+  const volume = sales.reduce((sum, sale) => sum + sale.quantity, 0);
+  if (volume === 0) return null;
+
+  return (
+    sales.reduce((sum, sale) => sum + sale.unitPrice * sale.quantity, 0) /
+    volume
+  );
+};
+
+/**
+ * Split sales into those the index uses and the outliers it sets aside
+ */
+export const rejectOutliers = (sales, rules) => {
+  if (sales.length < rules.minSalesForOutliers) {
+    return { kept: sales, rejected: [] };
+  }
+
+  const median = getMedian(sales.map((sale) => sale.unitPrice));
+  const isOutlier = (sale) =>
+    sale.unitPrice > median * rules.outlierRatio ||
+    sale.unitPrice < median / rules.outlierRatio;
+  return {
+    kept: sales.filter((sale) => !isOutlier(sale)),
+    rejected: sales.filter(isOutlier),
+  };
+};
+
+/**
+ * Work out an item's price over the window of sales before now:
+ * { price, median, volume, saleCount, rejected, previousPrice, trend }.
+ * price is the volume-weighted average, or null with no sales
+ */
+export const computePriceIndex = (sales, now, rules) => {
+  const within = (from, to) =>
+    sales.filter((sale) => sale.timestamp > from && sale.timestamp <= to);
+  const current = rejectOutliers(within(now - rules.priceWindow, now), rules);
+  const previous = rejectOutliers(
+    within(now - 2 * rules.priceWindow, now - rules.priceWindow),
+    rules
+  ).kept;
+
+  const price = getVolumeWeightedAverage(current.kept);
+  const previousPrice = getVolumeWeightedAverage(previous);
+  let trend = 'stable';
+  if (price !== null && previousPrice !== null) {
+    const change = (price - previousPrice) / previousPrice;
+    if (change >= rules.trendThreshold) trend = 'rising';
+    if (change <= -rules.trendThreshold) trend = 'falling';
+  }
+
+  return {
+    price,
+    median: getMedian(current.kept.map((sale) => sale.unitPrice)),
+    volume: current.kept.reduce((sum, sale) => sum + sale.quantity, 0),
+    saleCount: current.kept.length,
+    rejected: current.rejected.length,
+    previousPrice,
+    trend,
+  };
+};
+
+/**
+ * Bucket sales into candles of interval ms, oldest first:
+ * [{ time, open, high, low, close, volume }], where time is the start of
+ * the bucket. Buckets without sales are left out
+ */
+export const buildCandles = (sales, interval) => {
+  const candles = new Map();
+  [...sales]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach((sale) => {
+      const time = Math.floor(sale.timestamp / interval) * interval;
+      const candle = candles.get(time);
+      if (!candle) {
+        candles.set(time, {
+          time,
+          open: sale.unitPrice,
+          high: sale.unitPrice,
+          low: sale.unitPrice,
+          close: sale.unitPrice,
+          volume: sale.quantity,
+        });
+        return;
+      }
+      candle.high = Math.max(candle.high, sale.unitPrice);
+      candle.low = Math.min(candle.low, sale.unitPrice);
+      candle.close = sale.unitPrice;
+      candle.volume += sale.quantity;
+    });
+  return [...candles.values()];
+};
+
+/**
+ * Price a committed trade as a sale, when one side gave a single kind of
+ * item and the other side only currency: { item, quantity, unitPrice },
+ * with the currency valued in gold by valueOf(type). null for swaps the
+ * market cannot read a price from
+ */
+export const priceTrade = (transfers, valueOf) => {
+  const goods = transfers.filter(
+    (transfer) =>
+      transfer.items.length > 0 && Object.keys(transfer.currency).length === 0
+  );
+  const payments = transfers.filter(
+    (transfer) =>
+      transfer.items.length === 0 && Object.keys(transfer.currency).length > 0
+  );
+  if (goods.length !== 1 || payments.length !== 1) return null;
+
+  const { items } = goods[0];
+  const key = getMarketKey(items[0].item);
+  if (items.some(({ item }) => getMarketKey(item) !== key)) return null;
+
+  const quantity = items.reduce((sum, stack) => sum + stack.quantity, 0);
+  const value = Object.entries(payments[0].currency).reduce(
+    (sum, [type, amount]) => sum + amount * valueOf(type),
+    0
+  );
+  return { item: items[0].item, quantity, unitPrice: value / quantity };
+};
@@ -0,0 +1,247 @@
+/**
+ * RNGService.js - Seeded pseudo-random number generation
+ *
+ * This service provides:
+ * - xoshiro128** generators seeded through splitmix32
+ * - Named streams (world, loot, combat, challenges) derived from one seed
+ * - Forkable streams for order-independent generation
+ * - State snapshots for saves and replays
+ */
+
+export const DEFAULT_STREAMS = ['world', 'loot', 'combat', 'challenges'];
+
+const UINT32_RANGE = 4294967296;
+
+/**
+ * Hash a number or string into a 32-bit seed (FNV-1a)
+ */
+function hashSeed(value) {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Rotate a 32-bit integer left
+ */
+function rotl(x, k) {
+  return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * Expand a 32-bit seed into xoshiro128 state using splitmix32
+ */
+function expandSeed(seed) {
+  let a = seed >>> 0;
+  const state = new Uint32Array(4);
+
+  for (let i = 0; i < 4; i++) {
+    a = (a + 0x9e3779b9) | 0;
+    let z = a;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    state[i] = (z ^ (z >>> 16)) >>> 0;
+  }
+
+  // xoshiro must never run from an all-zero state
+  if (state[0] === 0 && state[1] === 0 && state[2] === 0 && state[3] === 0) {
+    state[0] = 1;
+  }
+
+  return state;
+}
+
+export class RandomStream {
+  constructor(seed, name = 'default') {
+    this.name = name;
+    this.reseed(seed);
+  }
+
+  /**
+   * Reset the stream to the start of a new seed
+   */
+  reseed(seed) {
+    this.seed = hashSeed(seed);
+    this.state = expandSeed(this.seed);
+  }
+
+  /**
+   * Next raw 32-bit unsigned integer (xoshiro128**)
+   */
+  nextUint32() {
+    const s = this.state;
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+
+    return result;
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    return this.nextUint32() / UINT32_RANGE;
+  }
+
+  /**
+   * Next integer in [min, max] (inclusive)
+   */
+  nextInt(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Next float in [min, max)
+   */
+  nextFloat(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  /**
+   * Roll against a probability in [0, 1]
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element from an array
+   */
+  pick(array) {
+    if (!array || array.length === 0) return undefined;
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Return a shuffled copy of an array (Fisher-Yates)
+   */
+  shuffle(array) {
+    const result = [...array];
+
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+
+    return result;
+  }
+
+  /**
+   * Create a child stream
+   *
+   * Forks derive from this stream's seed and the fork name, not its
+   * current position, so the same name always yields the same sequence.
+   */
+  fork(name) {
+    return new RandomStream(`${this.seed}:${name}`, `${this.name}/${name}`);
+  }
+
+  /**
+   * Get generator state
+   */
+  getState() {
+    return Array.from(this.state);
+  }
+
+  /**
+   * Restore generator state
+   */
+  setState(state) {
+    if (!Array.isArray(state) || state.length !== 4) {
+      throw new Error(`RandomStream: invalid state for stream ${this.name}`);
+    }
+
+    this.state = Uint32Array.from(state);
+  }
+}
+
+export class RNGService {
+  constructor(options = {}) {
+    this.seed = options.seed !== undefined ? options.seed : Date.now();
+    this.streams = new Map();
+
+    // Create default streams up front so snapshots always include them
+    DEFAULT_STREAMS.forEach((name) => this.stream(name));
+  }
+
+  /**
+   * Get (or lazily create) a named stream
+   */
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new RandomStream(this.getStreamSeed(name), name));
+    }
+
+    return this.streams.get(name);
+  }
+
+  /**
+   * Derive the seed for a named stream
+   */
+  getStreamSeed(name) {
+    return `${this.seed}:${name}`;
+  }
+
+  /**
+   * Get the master seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Reseed every stream from a new master seed
+   *
+   * Streams are updated in place so systems holding references keep working.
+   */
+  reseed(seed) {
+    this.seed = seed;
+
+    for (const [name, stream] of this.streams) {
+      stream.reseed(this.getStreamSeed(name));
+    }
+  }
+
+  /**
+   * Snapshot the master seed and the position of every stream
+   */
+  getState() {
+    const streams = {};
+
+    for (const [name, stream] of this.streams) {
+      streams[name] = stream.getState();
+    }
+
+    return { seed: this.seed, streams };
+  }
+
+  /**
+   * Restore a snapshot taken with getState()
+   */
+  setState(snapshot) {
+    if (!snapshot || snapshot.seed === undefined) {
+      throw new Error('RNGService: invalid state snapshot');
+    }
+
+    this.reseed(snapshot.seed);
+
+    for (const [name, state] of Object.entries(snapshot.streams || {})) {
+      this.stream(name).setState(state);
+    }
+  }
+}
+
+export default RNGService;
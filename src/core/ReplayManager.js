@@ -0,0 +1,505 @@
+/**
+ * ReplayManager.js - Deterministic replay recording and playback
+ *
+ * This manager handles:
+ * - Recording input events with frame timestamps
+ * - Capturing initial RNG seeds and game state
+ * - Playing sessions back through the game update loop
+ * - Verifying that playback reproduces the recorded game state
+ * - Versioned JSON export and import
+ */
+
+export const REPLAY_FORMAT = 'tottrots-replay';
+export const REPLAY_VERSION = 1;
+
+export class ReplayManager {
+  constructor(dependencies = {}) {
+    // Dependency injection
+    this.eventBus = dependencies.eventBus;
+    this.logger = dependencies.logger;
+    this.config = dependencies.config;
+    this.rng = dependencies.rng;
+    this.game = dependencies.game;
+
+    // Validate required dependencies
+    if (!this.eventBus) {
+      throw new Error('ReplayManager requires eventBus dependency');
+    }
+    if (!this.logger) {
+      throw new Error('ReplayManager requires logger dependency');
+    }
+
+    // Replay configuration
+    this.replayConfig = {
+      recordedEvents: ['input:*', 'game:input'],
+      volatileKeys: ['startTime', 'lastUpdateTime', 'timestamp', 'id'],
+      // Services that game objects hold on to, which are not game state
+      serviceKeys: ['logger', 'eventBus'],
+    };
+
+    // Replay state
+    this.recording = null;
+    this.playback = null;
+    this.lastReplay = null;
+
+    this.handleRecordedEvent = this.handleRecordedEvent.bind(this);
+
+    this.logger.info('ReplayManager initialized');
+  }
+
+  /**
+   * Cleanup the manager
+   */
+  cleanup() {
+    if (this.recording) {
+      this.stopRecording();
+    }
+  }
+
+  /**
+   * Start recording a session
+   */
+  startRecording(options = {}) {
+    if (this.recording) {
+      this.logger.warn('Replay recording already in progress');
+      return;
+    }
+    if (this.playback) {
+      throw new Error('ReplayManager: cannot record during playback');
+    }
+
+    const gameState = this.getGameState();
+
+    this.recording = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      createdAt: Date.now(),
+      seeds: options.seeds || (this.rng ? this.rng.getState() : {}),
+      config: this.serialize(options.config || this.config || {}),
+      initialState: this.serializeState(gameState),
+      startTime: gameState ? gameState.lastUpdateTime || 0 : 0,
+      frames: [],
+      events: [],
+      finalState: null,
+    };
+
+    // Fixed step simulation must start from an empty accumulator
+    this.resetGameLoop(this.recording.startTime);
+
+    this.eventBus.addRecorder(this.handleRecordedEvent);
+
+    this.eventBus.emit('replay:recordingStarted', {
+      seeds: this.recording.seeds,
+      timestamp: this.recording.createdAt,
+    });
+
+    this.logger.info('Replay recording started');
+  }
+
+  /**
+   * Stop recording and return the finished replay
+   */
+  stopRecording() {
+    if (!this.recording) {
+      this.logger.warn('No replay recording in progress');
+      return null;
+    }
+
+    this.eventBus.removeRecorder(this.handleRecordedEvent);
+
+    const replay = this.recording;
+    replay.finalState = this.serializeState(this.getGameState());
+
+    this.recording = null;
+    this.lastReplay = replay;
+
+    this.eventBus.emit('replay:recordingStopped', {
+      frames: replay.frames.length,
+      events: replay.events.length,
+      timestamp: Date.now(),
+    });
+
+    this.logger.info('Replay recording stopped', {
+      frames: replay.frames.length,
+      events: replay.events.length,
+    });
+
+    return replay;
+  }
+
+  /**
+   * Record the timestamp of a game update frame
+   */
+  captureFrame(currentTime) {
+    if (!this.recording) return;
+
+    this.recording.frames.push(currentTime - this.recording.startTime);
+  }
+
+  /**
+   * Record an emitted event if it matches the recorded patterns
+   */
+  handleRecordedEvent(event, data) {
+    if (!this.recording) return;
+
+    const shouldRecord = this.replayConfig.recordedEvents.some((pattern) =>
+      this.eventBus.matchesPattern(event, pattern)
+    );
+    if (!shouldRecord) return;
+
+    // Events are tagged with the number of frames started so far,
+    // so playback can re-emit them at the same frame boundary
+    this.recording.events.push({
+      frame: this.recording.frames.length,
+      event,
+      data: this.serialize(data),
+    });
+  }
+
+  /**
+   * Restart the game loop's frame timing, if the game has one
+   */
+  resetGameLoop(time) {
+    const gameLoop = this.game && this.game.gameLoop;
+    if (gameLoop && gameLoop.resetTiming) {
+      gameLoop.resetTiming(time);
+    }
+  }
+
+  /**
+   * Play a replay back through the game update loop
+   */
+  play(replay = this.lastReplay) {
+    if (!this.game) {
+      throw new Error('ReplayManager: playback requires a game dependency');
+    }
+    if (this.recording) {
+      throw new Error('ReplayManager: cannot play back while recording');
+    }
+
+    this.validateReplay(replay);
+
+    const gameState = this.game.gameState;
+    const wasRunning = gameState.isRunning;
+    const wasPaused = gameState.isPaused;
+
+    this.playback = { replay, frame: 0 };
+
+    // Live input must not leak into the simulation during playback
+    const inputManager = this.game.inputManager;
+    const inputWasEnabled = inputManager ? inputManager.isEnabled : false;
+    if (inputManager && inputManager.disable) {
+      inputManager.disable();
+    }
+
+    this.restoreState(replay.initialState);
+    if (this.rng && replay.seeds && replay.seeds.seed !== undefined) {
+      this.rng.setState(replay.seeds);
+    }
+    gameState.isRunning = true;
+    gameState.isPaused = false;
+    gameState.lastUpdateTime = 0;
+    this.resetGameLoop(0);
+
+    this.eventBus.emit('replay:playbackStarted', {
+      seeds: replay.seeds,
+      frames: replay.frames.length,
+      timestamp: Date.now(),
+    });
+
+    try {
+      const eventsByFrame = this.groupEventsByFrame(replay.events);
+
+      for (let frame = 0; frame <= replay.frames.length; frame++) {
+        this.playback.frame = frame;
+
+        const frameEvents = eventsByFrame.get(frame) || [];
+        frameEvents.forEach((entry) => this.replayEvent(entry));
+
+        if (frame < replay.frames.length) {
+          this.game.update(replay.frames[frame]);
+        }
+      }
+    } finally {
+      this.playback = null;
+      gameState.isRunning = wasRunning;
+      gameState.isPaused = wasPaused;
+      this.resetGameLoop(performance.now());
+
+      if (inputManager && inputWasEnabled && inputManager.enable) {
+        inputManager.enable();
+      }
+    }
+
+    const actualState = this.serializeState(gameState);
+    const result = {
+      frames: replay.frames.length,
+      events: replay.events.length,
+      matches:
+        replay.finalState === null ||
+        JSON.stringify(actualState) === JSON.stringify(replay.finalState),
+      expectedState: replay.finalState,
+      actualState,
+    };
+
+    this.eventBus.emit('replay:playbackCompleted', {
+      frames: result.frames,
+      matches: result.matches,
+      timestamp: Date.now(),
+    });
+
+    if (!result.matches) {
+      this.logger.warn('Replay playback diverged from recorded state');
+    } else {
+      this.logger.info('Replay playback completed', { frames: result.frames });
+    }
+
+    return result;
+  }
+
+  /**
+   * Re-emit a single recorded event
+   */
+  replayEvent(entry) {
+    // game:input goes back through the game so player input handling runs
+    if (entry.event === 'game:input' && this.game.handleInput) {
+      this.game.handleInput(entry.data.type, entry.data.data);
+      return;
+    }
+
+    this.eventBus.emit(entry.event, entry.data);
+  }
+
+  /**
+   * Group recorded events by frame
+   */
+  groupEventsByFrame(events) {
+    const eventsByFrame = new Map();
+
+    events.forEach((entry) => {
+      if (!eventsByFrame.has(entry.frame)) {
+        eventsByFrame.set(entry.frame, []);
+      }
+      eventsByFrame.get(entry.frame).push(entry);
+    });
+
+    return eventsByFrame;
+  }
+
+  /**
+   * Restore game state from a snapshot, in place
+   *
+   * Nested objects, arrays, Maps and Sets are restored into the live
+   * values, so objects like the player keep their class and methods.
+   */
+  restoreState(snapshot) {
+    const gameState = this.game.gameState;
+
+    // Run flags are not part of a snapshot; playback sets them itself
+    this.restoreValue(gameState, {
+      ...snapshot,
+      isRunning: gameState.isRunning,
+      isPaused: gameState.isPaused,
+    });
+  }
+
+  /**
+   * Restore one value from its serialized form, reusing the live value
+   * where it has a matching shape; returns the restored value
+   */
+  restoreValue(current, snapshot) {
+    if (snapshot === null || typeof snapshot !== 'object') return snapshot;
+
+    if (current instanceof Map) {
+      const previous = new Map(current);
+      current.clear();
+      for (const [key, value] of Object.entries(snapshot)) {
+        current.set(key, this.restoreValue(previous.get(key), value));
+      }
+      return current;
+    }
+
+    if (current instanceof Set) {
+      current.clear();
+      snapshot.forEach((value) => current.add(this.restoreValue(null, value)));
+      return current;
+    }
+
+    if (Array.isArray(snapshot)) {
+      const target = Array.isArray(current) ? current : [];
+      const previous = [...target];
+      target.length = 0;
+      snapshot.forEach((value, index) =>
+        target.push(this.restoreValue(previous[index], value))
+      );
+      return target;
+    }
+
+    const target =
+      current && typeof current === 'object' && !Array.isArray(current)
+        ? current
+        : {};
+
+    // Drop fields added since the snapshot; omitted fields and those that
+    // cannot be serialized (functions, DOM nodes) were never in it
+    const omittedKeys = this.getOmittedKeys();
+    for (const [key, value] of Object.entries(target)) {
+      if (
+        !(key in snapshot) &&
+        !omittedKeys.includes(key) &&
+        this.serialize(value) !== undefined
+      ) {
+        delete target[key];
+      }
+    }
+    for (const [key, value] of Object.entries(snapshot)) {
+      target[key] = this.restoreValue(target[key], value);
+    }
+    return target;
+  }
+
+  /**
+   * Export a replay as a versioned JSON string
+   */
+  exportReplay(replay = this.lastReplay) {
+    this.validateReplay(replay);
+    return JSON.stringify(replay);
+  }
+
+  /**
+   * Import a replay from a JSON string or object
+   */
+  importReplay(input) {
+    let replay;
+    try {
+      replay = typeof input === 'string' ? JSON.parse(input) : input;
+    } catch (error) {
+      throw new Error(`ReplayManager: invalid replay JSON: ${error.message}`);
+    }
+
+    this.validateReplay(replay);
+    this.lastReplay = replay;
+
+    this.logger.info('Replay imported', {
+      version: replay.version,
+      frames: replay.frames.length,
+    });
+
+    return replay;
+  }
+
+  /**
+   * Validate replay structure and version
+   */
+  validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') {
+      throw new Error('ReplayManager: no replay available');
+    }
+    if (replay.format !== REPLAY_FORMAT) {
+      throw new Error(`ReplayManager: unknown replay format: ${replay.format}`);
+    }
+    if (typeof replay.version !== 'number' || replay.version > REPLAY_VERSION) {
+      throw new Error(
+        `ReplayManager: unsupported replay version: ${replay.version}`
+      );
+    }
+    if (!Array.isArray(replay.frames) || !Array.isArray(replay.events)) {
+      throw new Error('ReplayManager: replay is missing frames or events');
+    }
+  }
+
+  /**
+   * Get the live game state, if a game is attached
+   */
+  getGameState() {
+    return this.game ? this.game.gameState : null;
+  }
+
+  /**
+   * Keys left out of state snapshots: wall-clock fields and services
+   */
+  getOmittedKeys() {
+    return [
+      ...this.replayConfig.volatileKeys,
+      ...this.replayConfig.serviceKeys,
+    ];
+  }
+
+  /**
+   * Serialize game state without wall-clock fields or services
+   */
+  serializeState(gameState) {
+    if (!gameState) return null;
+
+    const state = { ...gameState };
+    delete state.isRunning;
+    delete state.isPaused;
+
+    return this.serialize(state, this.getOmittedKeys());
+  }
+
+  /**
+   * Deep-copy a value into plain JSON data
+   *
+   * Functions, DOM nodes and events are dropped; Maps become objects.
+   */
+  serialize(value, omitKeys = []) {
+    if (value === null || value === undefined) return value ?? null;
+
+    const type = typeof value;
+    if (type === 'number' || type === 'string' || type === 'boolean') {
+      return value;
+    }
+    if (type !== 'object') return undefined;
+
+    if (Array.isArray(value)) {
+      return value.map((item) => {
+        const serialized = this.serialize(item, omitKeys);
+        return serialized === undefined ? null : serialized;
+      });
+    }
+
+    if (value instanceof Map) {
+      return this.serialize(Object.fromEntries(value), omitKeys);
+    }
+
+    if (value instanceof Set) {
+      return this.serialize([...value], omitKeys);
+    }
+
+    if (
+      (typeof Node !== 'undefined' && value instanceof Node) ||
+      (typeof Event !== 'undefined' && value instanceof Event)
+    ) {
+      return undefined;
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (omitKeys.includes(key)) continue;
+
+      const serialized = this.serialize(item, omitKeys);
+      if (serialized !== undefined) {
+        result[key] = serialized;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check if a recording is in progress
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Check if playback is in progress
+   */
+  isPlaying() {
+    return this.playback !== null;
+  }
+}
+
+export default ReplayManager;
@@ -0,0 +1,204 @@
+/**
+ * SaveBundle.js - Portable .tottrots bundles of all player data
+ *
+ * This module handles:
+ * - Collecting save slots, settings, achievements, tutorial and endgame data
+ * - A manifest with a schema version per section
+ * - HMAC-SHA-256 signatures over a canonical encoding of the bundle
+ * - Parsing and verifying bundles before anything is imported
+ */
+
+export const BUNDLE_FORMAT = 'tottrots-bundle';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_EXTENSION = '.tottrots';
+
+// Without a passphrase the signature still detects corrupt or hand-edited
+// bundles; a passphrase also stops anyone without it from re-signing one
+const DEFAULT_SIGNING_KEY = 'tottrots-bundle-signature';
+
+/**
+ * Storage keys covered by each section and the schema version they are at
+ */
+export const BUNDLE_SECTIONS = {
+  saves: {
+    version: '1.0.0',
+    match: (key) => /^save_\d+(_meta)?$/.test(key),
+  },
+  settings: {
+    version: '1.0.0',
+    keys: [
+      'gameConfig',
+      'gameSettings',
+      'accessibilitySettings',
+      'preferredLanguage',
+    ],
+  },
+  // The achievement systems write achievementData straight to storage in
+  // its 1.0.0 shape, so imports migrate it from there
+  achievements: {
+    version: '1.0.0',
+    keys: ['achievementData'],
+  },
+  tutorial: {
+    version: '1.0.0',
+    keys: ['tutorialData'],
+  },
+  endgame: {
+    version: '1.0.0',
+    keys: ['endgameData'],
+  },
+};
+
+/**
+ * Find the section a storage key belongs to
+ */
+export const getSectionForKey = (key) =>
+  Object.keys(BUNDLE_SECTIONS).find((name) => {
+    const section = BUNDLE_SECTIONS[name];
+    return section.match ? section.match(key) : section.keys.includes(key);
+  }) || null;
+
+/**
+ * JSON encoding with sorted object keys so signatures do not depend on
+ * property order
+ */
+export const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const getSubtle = () => {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) {
+    throw new Error('SaveBundle: WebCrypto is not available');
+  }
+  return subtle;
+};
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+/**
+ * Sign the unsigned part of a bundle
+ */
+export async function signBundle(bundle, passphrase) {
+  const subtle = getSubtle();
+  const encoder = new TextEncoder();
+  const key = await subtle.importKey(
+    'raw',
+    encoder.encode(passphrase || DEFAULT_SIGNING_KEY),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+
+  const { format, version, manifest, sections } = bundle;
+  const signature = await subtle.sign(
+    'HMAC',
+    key,
+    encoder.encode(canonicalize({ format, version, manifest, sections }))
+  );
+
+  return toHex(signature);
+}
+
+/**
+ * Build a signed bundle from entries grouped by section
+ */
+export async function createBundle(sections, options = {}) {
+  const manifest = {
+    createdAt: options.createdAt || Date.now(),
+    appVersion: options.appVersion || null,
+    sections: {},
+  };
+
+  Object.entries(sections).forEach(([name, entries]) => {
+    manifest.sections[name] = {
+      version: BUNDLE_SECTIONS[name].version,
+      keys: Object.keys(entries).sort(),
+    };
+  });
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    manifest,
+    sections,
+  };
+
+  bundle.signature = {
+    algorithm: 'HMAC-SHA-256',
+    protected: Boolean(options.passphrase),
+    value: await signBundle(bundle, options.passphrase),
+  };
+
+  return bundle;
+}
+
+/**
+ * Parse bundle text and verify its structure and signature
+ */
+export async function readBundle(input, options = {}) {
+  let bundle = input;
+  if (typeof input === 'string') {
+    try {
+      bundle = JSON.parse(input);
+    } catch (error) {
+      throw new Error('SaveBundle: invalid bundle JSON');
+    }
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error('SaveBundle: unknown bundle format');
+  }
+  if (!(bundle.version <= BUNDLE_VERSION)) {
+    throw new Error(`SaveBundle: unsupported bundle version ${bundle.version}`);
+  }
+  if (!bundle.manifest || !bundle.sections || !bundle.signature) {
+    throw new Error('SaveBundle: bundle is missing its manifest or signature');
+  }
+
+  const expected = await signBundle(bundle, options.passphrase);
+  if (expected !== bundle.signature.value) {
+    throw new Error(
+      bundle.signature.protected && !options.passphrase
+        ? 'SaveBundle: bundle is passphrase protected'
+        : 'SaveBundle: signature mismatch (bundle was modified or the passphrase is wrong)'
+    );
+  }
+
+  Object.entries(bundle.sections).forEach(([name, entries]) => {
+    const described = bundle.manifest.sections[name];
+    if (!described) {
+      throw new Error(`SaveBundle: section ${name} is not in the manifest`);
+    }
+    if (!BUNDLE_SECTIONS[name]) {
+      throw new Error(`SaveBundle: unknown section ${name}`);
+    }
+
+    Object.entries(entries).forEach(([key, value]) => {
+      if (getSectionForKey(key) !== name || typeof value !== 'string') {
+        throw new Error(`SaveBundle: invalid entry ${key} in section ${name}`);
+      }
+    });
+  });
+
+  return bundle;
+}
+
+/**
+ * Default file name for a bundle
+ */
+export const getBundleFileName = (date = new Date()) =>
+  `tottrots-${date.toISOString().slice(0, 10)}${BUNDLE_EXTENSION}`;
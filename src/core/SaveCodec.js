@@ -0,0 +1,481 @@
+/**
+ * SaveCodec.js - Compression and encryption for persisted data
+ *
+ * This module handles:
+ * - Deflate compression through CompressionStream when the platform has it
+ * - An LZ77 byte codec in plain JS for platforms that do not
+ * - AES-GCM encryption with a PBKDF2 key derived from a passphrase
+ * - A versioned envelope recording how the payload was encoded
+ * - Passing plain legacy saves through unchanged
+ */
+
+export const SAVE_ENVELOPE_FORMAT = 'tottrots-save';
+export const SAVE_CODEC_VERSION = 1;
+export const SAVE_CODECS = ['none', 'lz', 'deflate'];
+export const PBKDF2_ITERATIONS = 100000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// LZ codec token layout: a control byte below 0x80 starts a run of
+// (control + 1) literal bytes; otherwise it is a back reference of
+// (control & 0x7f) + LZ_MIN_MATCH bytes followed by a 16-bit distance.
+const LZ_MIN_MATCH = 4;
+const LZ_MAX_MATCH = 0x7f + LZ_MIN_MATCH;
+const LZ_MAX_LITERALS = 0x80;
+const LZ_WINDOW = 0xffff;
+const LZ_HASH_BITS = 15;
+
+/**
+ * Compress bytes with the LZ codec
+ * Higher levels search longer match chains
+ */
+export function lzCompress(input, level = 6) {
+  const length = input.length;
+  const maxChain = Math.max(1, level) * 4;
+  const head = new Int32Array(1 << LZ_HASH_BITS).fill(-1);
+  const previous = new Int32Array(length);
+  const output = [];
+
+  const hashAt = (position) =>
+    Math.imul(
+      input[position] |
+        (input[position + 1] << 8) |
+        (input[position + 2] << 16) |
+        (input[position + 3] << 24),
+      0x9e3779b1
+    ) >>>
+    (32 - LZ_HASH_BITS);
+
+  const insert = (position) => {
+    const hash = hashAt(position);
+    previous[position] = head[hash];
+    head[hash] = position;
+  };
+
+  let literalStart = 0;
+  const flushLiterals = (end) => {
+    while (literalStart < end) {
+      const run = Math.min(LZ_MAX_LITERALS, end - literalStart);
+      output.push(run - 1);
+      for (let k = 0; k < run; k++) {
+        output.push(input[literalStart + k]);
+      }
+      literalStart += run;
+    }
+  };
+
+  let position = 0;
+  while (position + LZ_MIN_MATCH <= length) {
+    const limit = Math.min(LZ_MAX_MATCH, length - position);
+    let bestLength = 0;
+    let bestDistance = 0;
+    let candidate = head[hashAt(position)];
+    let chain = maxChain;
+
+    while (candidate >= 0 && position - candidate <= LZ_WINDOW && chain-- > 0) {
+      let matchLength = 0;
+      while (
+        matchLength < limit &&
+        input[candidate + matchLength] === input[position + matchLength]
+      ) {
+        matchLength++;
+      }
+      if (matchLength > bestLength) {
+        bestLength = matchLength;
+        bestDistance = position - candidate;
+        if (matchLength === limit) break;
+      }
+      candidate = previous[candidate];
+    }
+
+    if (bestLength >= LZ_MIN_MATCH) {
+      flushLiterals(position);
+      output.push(
+        0x80 | (bestLength - LZ_MIN_MATCH),
+        bestDistance >> 8,
+        bestDistance & 0xff
+      );
+      const end = position + bestLength;
+      for (; position < end; position++) {
+        if (position + LZ_MIN_MATCH <= length) insert(position);
+      }
+      literalStart = position;
+    } else {
+      insert(position);
+      position++;
+    }
+  }
+
+  flushLiterals(length);
+  return Uint8Array.from(output);
+}
+
+/**
+ * Decompress bytes produced by lzCompress
+ */
+export function lzDecompress(input) {
+  const output = [];
+  let position = 0;
+
+  while (position < input.length) {
+    const control = input[position++];
+
+    if (control < 0x80) {
+      const run = control + 1;
+      if (position + run > input.length) {
+        throw new Error('SaveCodec: truncated LZ literal run');
+      }
+      for (let k = 0; k < run; k++) {
+        output.push(input[position++]);
+      }
+      continue;
+    }
+
+    if (position + 2 > input.length) {
+      throw new Error('SaveCodec: truncated LZ back reference');
+    }
+    const matchLength = (control & 0x7f) + LZ_MIN_MATCH;
+    const distance = (input[position] << 8) | input[position + 1];
+    position += 2;
+    if (distance === 0 || distance > output.length) {
+      throw new Error('SaveCodec: invalid LZ back reference');
+    }
+
+    const start = output.length - distance;
+    for (let k = 0; k < matchLength; k++) {
+      output.push(output[start + k]);
+    }
+  }
+
+  return Uint8Array.from(output);
+}
+
+const encodeText = (text) => new TextEncoder().encode(text);
+
+const decodeText = (bytes) => new TextDecoder().decode(bytes);
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const getSubtle = () => {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) {
+    throw new Error('SaveCodec: WebCrypto is not available');
+  }
+  return subtle;
+};
+
+const isStreamCodecAvailable = () =>
+  typeof globalThis.CompressionStream === 'function' &&
+  typeof globalThis.DecompressionStream === 'function';
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ */
+const transformBytes = async (bytes, stream) => {
+  const writer = stream.writable.getWriter();
+  // Write errors surface through the reader below
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+
+  const output = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+};
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ */
+const deriveKey = async (passphrase, salt, iterations) => {
+  const subtle = getSubtle();
+  const baseKey = await subtle.importKey(
+    'raw',
+    encodeText(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Authenticate the envelope header so the codec cannot be swapped
+const getAdditionalData = (envelope) =>
+  encodeText(`${envelope.format}:${envelope.version}:${envelope.codec}`);
+
+export class SaveCodec {
+  constructor(options = {}) {
+    this.codec = options.codec || 'auto';
+    this.level = options.level ?? 6;
+    this.iterations = options.iterations || PBKDF2_ITERATIONS;
+
+    if (this.codec !== 'auto' && !SAVE_CODECS.includes(this.codec)) {
+      throw new Error(`SaveCodec: unknown codec ${this.codec}`);
+    }
+  }
+
+  /**
+   * Parse a stored string into an envelope, or null for plain data
+   */
+  static parseEnvelope(stored) {
+    if (typeof stored !== 'string' || !stored.startsWith('{')) {
+      return null;
+    }
+
+    let envelope;
+    try {
+      envelope = JSON.parse(stored);
+    } catch (error) {
+      return null;
+    }
+
+    if (!envelope || envelope.format !== SAVE_ENVELOPE_FORMAT) {
+      return null;
+    }
+    if (!(envelope.version <= SAVE_CODEC_VERSION)) {
+      throw new Error(
+        `SaveCodec: unsupported save codec version ${envelope.version}`
+      );
+    }
+    if (!SAVE_CODECS.includes(envelope.codec)) {
+      throw new Error(`SaveCodec: unknown codec ${envelope.codec}`);
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Check whether stored data is an envelope
+   */
+  static isEnvelope(stored) {
+    return SaveCodec.parseEnvelope(stored) !== null;
+  }
+
+  /**
+   * Check whether stored data is an encrypted envelope
+   */
+  static isEncrypted(stored) {
+    const envelope = SaveCodec.parseEnvelope(stored);
+    return Boolean(envelope && envelope.encryption);
+  }
+
+  /**
+   * Pick the codec used for new envelopes
+   */
+  resolveCodec() {
+    if (this.codec !== 'auto') return this.codec;
+    return isStreamCodecAvailable() ? 'deflate' : 'lz';
+  }
+
+  /**
+   * Compress bytes with a codec
+   */
+  async compressBytes(bytes, codec) {
+    switch (codec) {
+      case 'none':
+        return bytes;
+      case 'lz':
+        return lzCompress(bytes, this.level);
+      case 'deflate':
+        if (!isStreamCodecAvailable()) {
+          throw new Error('SaveCodec: deflate codec is not available');
+        }
+        return transformBytes(bytes, new CompressionStream('deflate'));
+      default:
+        throw new Error(`SaveCodec: unknown codec ${codec}`);
+    }
+  }
+
+  /**
+   * Decompress bytes with a codec
+   */
+  async decompressBytes(bytes, codec) {
+    switch (codec) {
+      case 'none':
+        return bytes;
+      case 'lz':
+        return lzDecompress(bytes);
+      case 'deflate':
+        if (!isStreamCodecAvailable()) {
+          throw new Error('SaveCodec: deflate codec is not available');
+        }
+        return transformBytes(bytes, new DecompressionStream('deflate'));
+      default:
+        throw new Error(`SaveCodec: unknown codec ${codec}`);
+    }
+  }
+
+  /**
+   * Compress text into an unencrypted envelope string
+   */
+  async compress(text, codec = this.resolveCodec()) {
+    return JSON.stringify(await this.createEnvelope(text, codec));
+  }
+
+  /**
+   * Build an unencrypted envelope around text
+   */
+  async createEnvelope(text, codec) {
+    const data = await this.compressBytes(encodeText(text), codec);
+
+    return {
+      format: SAVE_ENVELOPE_FORMAT,
+      version: SAVE_CODEC_VERSION,
+      codec,
+      encryption: null,
+      data: toBase64(data),
+    };
+  }
+
+  /**
+   * Decompress an envelope string back to text
+   * Plain data that is not an envelope is returned unchanged
+   */
+  async decompress(stored) {
+    const envelope = SaveCodec.parseEnvelope(stored);
+    if (!envelope) return stored;
+
+    if (envelope.encryption) {
+      throw new Error('SaveCodec: data is encrypted');
+    }
+
+    const bytes = await this.decompressBytes(
+      fromBase64(envelope.data),
+      envelope.codec
+    );
+    return decodeText(bytes);
+  }
+
+  /**
+   * Encrypt an envelope string, wrapping plain text first
+   */
+  async encrypt(stored, passphrase) {
+    if (!passphrase) {
+      throw new Error('SaveCodec: passphrase required for encryption');
+    }
+
+    const envelope =
+      SaveCodec.parseEnvelope(stored) ||
+      (await this.createEnvelope(stored, 'none'));
+    if (envelope.encryption) {
+      throw new Error('SaveCodec: data is already encrypted');
+    }
+
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt, this.iterations);
+    const ciphertext = await getSubtle().encrypt(
+      { name: 'AES-GCM', iv, additionalData: getAdditionalData(envelope) },
+      key,
+      fromBase64(envelope.data)
+    );
+
+    return JSON.stringify({
+      ...envelope,
+      encryption: {
+        algorithm: 'AES-GCM',
+        kdf: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: this.iterations,
+        salt: toBase64(salt),
+        iv: toBase64(iv),
+      },
+      data: toBase64(new Uint8Array(ciphertext)),
+    });
+  }
+
+  /**
+   * Decrypt an envelope string into an unencrypted envelope string
+   * Plain data and unencrypted envelopes are returned unchanged
+   */
+  async decrypt(stored, passphrase) {
+    const envelope = SaveCodec.parseEnvelope(stored);
+    if (!envelope || !envelope.encryption) return stored;
+
+    if (!passphrase) {
+      throw new Error('SaveCodec: passphrase required for decryption');
+    }
+
+    const { salt, iv, iterations } = envelope.encryption;
+    const key = await deriveKey(passphrase, fromBase64(salt), iterations);
+
+    let plaintext;
+    try {
+      plaintext = await getSubtle().decrypt(
+        {
+          name: 'AES-GCM',
+          iv: fromBase64(iv),
+          additionalData: getAdditionalData(envelope),
+        },
+        key,
+        fromBase64(envelope.data)
+      );
+    } catch (error) {
+      throw new Error(
+        'SaveCodec: decryption failed (wrong passphrase or tampered data)'
+      );
+    }
+
+    return JSON.stringify({
+      ...envelope,
+      encryption: null,
+      data: toBase64(new Uint8Array(plaintext)),
+    });
+  }
+
+  /**
+   * Compress and optionally encrypt text
+   * options.codec overrides the codec, as 'none' to only encrypt
+   */
+  async encode(text, options = {}) {
+    const compressed = await this.compress(text, options.codec);
+    return options.passphrase
+      ? this.encrypt(compressed, options.passphrase)
+      : compressed;
+  }
+
+  /**
+   * Decrypt and decompress stored data back to text
+   */
+  async decode(stored, options = {}) {
+    const decrypted = await this.decrypt(stored, options.passphrase);
+    return this.decompress(decrypted);
+  }
+}
+
+export default SaveCodec;
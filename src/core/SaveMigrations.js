@@ -0,0 +1,47 @@
+/**
+ * SaveMigrations.js - Migration history of persisted data
+ *
+ * This module handles:
+ * - The schemas written by PersistenceManager (gameState, achievementData)
+ * - The save slot schema written by SaveSystem (saveData)
+ *
+ * Every change to a persisted shape gets a new entry here, and a snapshot
+ * of the old shape in tests/fixtures/saves so its upgrade stays covered.
+ */
+
+import {
+  MigrationRegistry,
+  addField,
+  transformField,
+} from './MigrationRegistry.js';
+
+/**
+ * Build a registry with every known migration
+ */
+export const createSaveMigrations = () => {
+  const registry = new MigrationRegistry();
+
+  registry.register('gameState', {
+    from: '1.0.0',
+    to: '1.1.0',
+    description: 'Track play time',
+    steps: [addField('playTime', 0), addField('lastPlayed', () => Date.now())],
+  });
+
+  registry.register('achievementData', {
+    from: '1.0.0',
+    to: '1.1.0',
+    description: 'Count unlocked achievements',
+    steps: [
+      transformField('totalUnlocked', (value, data) =>
+        Array.isArray(data.unlocked) ? data.unlocked.length : 0
+      ),
+    ],
+  });
+
+  registry.define('saveData', { version: '1.0.0' });
+
+  return registry;
+};
+
+export default createSaveMigrations;
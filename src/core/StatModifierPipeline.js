@@ -0,0 +1,297 @@
+/**
+ * StatModifierPipeline.js - Character stats from layered modifiers
+ *
+ * This module handles:
+ * - Base stats plus modifiers grouped by source (skill nodes, items,
+ *   socketed gems, buffs)
+ * - The four modifier types, applied in order:
+ *     flat        added to the base
+ *     increased   summed, then applied once: (1 + total)
+ *     more        each one multiplies: (1 + a) * (1 + b)
+ *     conversion  moves a share of the stat into another stat
+ * - Recomputing stats when a source changes and reporting what changed
+ * - A per-stat breakdown of where the final value comes from
+ *
+ * A modifier looks like:
+ *   { stat: 'damage', type: 'increased', value: 0.15 }
+ *   { stat: 'damage', type: 'conversion', value: 0.5, to: 'fireDamage' }
+ */
+
+export const MODIFIER_TYPES = ['flat', 'increased', 'more', 'conversion'];
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+export class StatModifierPipeline {
+  constructor(options = {}) {
+    // Base value per stat
+    this.base = new Map();
+
+    // Modifier sources by id: { id, name, kind, modifiers }
+    this.sources = new Map();
+
+    // Computed values and breakdowns by stat
+    this.stats = new Map();
+    this.breakdowns = new Map();
+
+    if (options.base) {
+      this.setBase(options.base);
+    }
+  }
+
+  /**
+   * Set base stats; returns the stats whose final value changed
+   */
+  setBase(stats) {
+    let dirty = false;
+    Object.entries(stats).forEach(([stat, value]) => {
+      if (this.base.get(stat) !== value) {
+        this.base.set(stat, value);
+        dirty = true;
+      }
+    });
+    return dirty ? this.recompute() : {};
+  }
+
+  /**
+   * Add or replace the modifiers of a source; returns the stats whose final
+   * value changed
+   */
+  setSource(id, source) {
+    const modifiers = (source.modifiers || []).map((modifier) =>
+      this.validateModifier(id, modifier)
+    );
+
+    this.sources.set(id, {
+      id,
+      name: source.name || id,
+      kind: source.kind || 'other',
+      modifiers,
+    });
+    return this.recompute();
+  }
+
+  /**
+   * Remove a source; returns the stats whose final value changed
+   */
+  removeSource(id) {
+    if (!this.sources.delete(id)) return {};
+    return this.recompute();
+  }
+
+  /**
+   * Replace every source of the given kinds at once, e.g. all items and
+   * their gems after an equipment change; returns the stats whose final
+   * value changed
+   */
+  replaceSources(kinds, sources) {
+    const replaced = Array.isArray(kinds) ? kinds : [kinds];
+    const validated = sources.map((source) => ({
+      id: source.id,
+      name: source.name || source.id,
+      kind: source.kind,
+      modifiers: (source.modifiers || []).map((modifier) =>
+        this.validateModifier(source.id, modifier)
+      ),
+    }));
+
+    this.sources.forEach((source, id) => {
+      if (replaced.includes(source.kind)) this.sources.delete(id);
+    });
+    validated.forEach((source) => this.sources.set(source.id, source));
+    return this.recompute();
+  }
+
+  /**
+   * Check a modifier and fill in defaults
+   */
+  validateModifier(sourceId, modifier) {
+    const type = modifier.type || 'flat';
+    if (!MODIFIER_TYPES.includes(type)) {
+      throw new Error(`Unknown modifier type in ${sourceId}: ${type}`);
+    }
+    if (typeof modifier.stat !== 'string' || !modifier.stat) {
+      throw new Error(`Modifier in ${sourceId} needs a stat`);
+    }
+    if (typeof modifier.value !== 'number' || Number.isNaN(modifier.value)) {
+      throw new Error(
+        `Modifier ${modifier.stat} in ${sourceId} needs a numeric value`
+      );
+    }
+    if (type === 'conversion' && !modifier.to) {
+      throw new Error(
+        `Conversion of ${modifier.stat} in ${sourceId} needs a target stat`
+      );
+    }
+    return { ...modifier, type };
+  }
+
+  /**
+   * Recompute every stat; returns { stat: value } for those that changed
+   * Converted amounts are not converted again
+   */
+  recompute() {
+    const statNames = new Set(this.base.keys());
+    this.sources.forEach((source) => {
+      source.modifiers.forEach((modifier) => {
+        statNames.add(modifier.stat);
+        if (modifier.to) statNames.add(modifier.to);
+      });
+    });
+
+    const breakdowns = new Map();
+    statNames.forEach((stat) => {
+      breakdowns.set(stat, {
+        stat,
+        base: this.base.get(stat) || 0,
+        flat: [],
+        increased: [],
+        more: [],
+        convertedOut: [],
+        convertedIn: [],
+        beforeConversion: 0,
+        total: 0,
+      });
+    });
+
+    this.sources.forEach((source) => {
+      source.modifiers.forEach((modifier) => {
+        const entry = { source: source.name, kind: source.kind };
+        const breakdown = breakdowns.get(modifier.stat);
+        if (modifier.type === 'conversion') {
+          breakdown.convertedOut.push({
+            ...entry,
+            to: modifier.to,
+            percent: modifier.value,
+          });
+        } else {
+          breakdown[modifier.type].push({ ...entry, value: modifier.value });
+        }
+      });
+    });
+
+    // Scale every stat before moving anything between stats
+    breakdowns.forEach((breakdown) => {
+      const sum = (entries) =>
+        entries.reduce((total, entry) => total + entry.value, 0);
+      const flat = breakdown.base + sum(breakdown.flat);
+      const increased = 1 + sum(breakdown.increased);
+      const more = breakdown.more.reduce(
+        (total, entry) => total * (1 + entry.value),
+        1
+      );
+      breakdown.beforeConversion = round(flat * increased * more);
+      breakdown.total = breakdown.beforeConversion;
+    });
+
+    breakdowns.forEach((breakdown) => {
+      const requested = breakdown.convertedOut.reduce(
+        (total, entry) => total + entry.percent,
+        0
+      );
+      // More than 100% conversion is shared out proportionally
+      const scale = requested > 1 ? 1 / requested : 1;
+
+      breakdown.convertedOut.forEach((entry) => {
+        entry.amount = round(
+          breakdown.beforeConversion * entry.percent * scale
+        );
+        breakdown.total = round(breakdown.total - entry.amount);
+
+        const target = breakdowns.get(entry.to);
+        target.convertedIn.push({
+          source: entry.source,
+          kind: entry.kind,
+          from: breakdown.stat,
+          amount: entry.amount,
+        });
+        target.total = round(target.total + entry.amount);
+      });
+    });
+
+    const changed = {};
+    breakdowns.forEach((breakdown, stat) => {
+      if (this.stats.get(stat) !== breakdown.total) {
+        changed[stat] = breakdown.total;
+      }
+    });
+    this.stats.forEach((value, stat) => {
+      if (!breakdowns.has(stat)) changed[stat] = 0;
+    });
+
+    this.breakdowns = breakdowns;
+    this.stats = new Map(
+      Array.from(breakdowns.values()).map((breakdown) => [
+        breakdown.stat,
+        breakdown.total,
+      ])
+    );
+    return changed;
+  }
+
+  /**
+   * Get the final value of a stat
+   */
+  getStat(stat) {
+    return this.stats.get(stat) || 0;
+  }
+
+  /**
+   * Get every final stat as an object
+   */
+  getStats() {
+    return Object.fromEntries(this.stats);
+  }
+
+  /**
+   * Get where the final value of a stat comes from
+   */
+  getBreakdown(stat) {
+    return this.breakdowns.get(stat) || null;
+  }
+
+  /**
+   * Get the registered sources
+   */
+  getSources() {
+    return Array.from(this.sources.values());
+  }
+}
+
+const percent = (value) => `${round(value * 100)}%`;
+
+/**
+ * Describe a breakdown as display lines, e.g.
+ *   ['Base: 10', '+5 from Iron Sword', '+15% increased from Weapon Mastery']
+ */
+export const describeBreakdown = (breakdown) => {
+  if (!breakdown) return [];
+
+  const lines = [`Base: ${breakdown.base}`];
+  breakdown.flat.forEach((entry) => {
+    lines.push(
+      `${entry.value < 0 ? '' : '+'}${round(entry.value)} from ${entry.source}`
+    );
+  });
+  breakdown.increased.forEach((entry) => {
+    lines.push(
+      `${entry.value < 0 ? '' : '+'}${percent(entry.value)} increased from ${entry.source}`
+    );
+  });
+  breakdown.more.forEach((entry) => {
+    lines.push(
+      `${percent(Math.abs(entry.value))} ${entry.value < 0 ? 'less' : 'more'} from ${entry.source}`
+    );
+  });
+  breakdown.convertedOut.forEach((entry) => {
+    lines.push(`-${entry.amount} converted to ${entry.to} by ${entry.source}`);
+  });
+  breakdown.convertedIn.forEach((entry) => {
+    lines.push(
+      `+${entry.amount} converted from ${entry.from} by ${entry.source}`
+    );
+  });
+  lines.push(`Total: ${breakdown.total}`);
+  return lines;
+};
+
+export default StatModifierPipeline;
@@ -0,0 +1,564 @@
+/**
+ * StatusEffectEngine.js - Status effects with stacking and tick scheduling
+ *
+ * This engine handles:
+ * - A registry of status effect definitions (duration, tick interval,
+ *   stack behavior, max stacks, stat modifiers)
+ * - Interactions between effects, such as frozen and burning cancelling
+ * - Immunities granted by skill nodes and duration scaling from resilience
+ * - Ticking damage over time on a fixed schedule instead of every frame
+ *
+ * A definition looks like:
+ *   {
+ *     duration: 3000,          // ms
+ *     tickInterval: 500,       // ms between ticks, 0 for none
+ *     stacking: 'intensify',   // 'refresh' | 'intensify' | 'independent'
+ *     maxStacks: 5,
+ *     tickDamage: 5,           // per stack and tick
+ *     modifiers: { speedMultiplier: 0.5 },
+ *     tags: ['crowd_control'], // matched against immunities
+ *     harmful: true,           // scaled by resilience
+ *     onApply, onTick, onRemove // optional (target, instance, engine) hooks
+ *   }
+ */
+
+export const STACK_BEHAVIORS = ['refresh', 'intensify', 'independent'];
+
+/**
+ * Effects the combat system knows out of the box
+ */
+export const DEFAULT_STATUS_EFFECTS = {
+  burning: {
+    duration: 3000,
+    tickInterval: 500,
+    stacking: 'intensify',
+    maxStacks: 5,
+    tickDamage: 5,
+    tags: ['damage_over_time', 'fire'],
+  },
+  poisoned: {
+    duration: 5000,
+    tickInterval: 1000,
+    stacking: 'independent',
+    maxStacks: 10,
+    tickDamage: 3,
+    tags: ['damage_over_time', 'poison'],
+  },
+  frozen: {
+    duration: 2000,
+    stacking: 'refresh',
+    modifiers: { speedMultiplier: 0.1 },
+    tags: ['crowd_control', 'freeze'],
+  },
+  shocked: {
+    duration: 2000,
+    stacking: 'refresh',
+    stunChance: 0.3,
+    tags: ['lightning'],
+    onApply: (target, instance, engine) => {
+      if (engine.rng && engine.rng.chance(instance.definition.stunChance)) {
+        engine.apply(target, 'stunned', { source: instance.source });
+      }
+    },
+  },
+  stunned: {
+    duration: 1000,
+    stacking: 'refresh',
+    modifiers: { speedMultiplier: 0 },
+    tags: ['crowd_control', 'stun'],
+    onApply: (target) => {
+      target.velocityX = 0;
+      target.velocityY = 0;
+    },
+  },
+  slowed: {
+    duration: 3000,
+    stacking: 'refresh',
+    modifiers: { speedMultiplier: 0.5 },
+    tags: ['crowd_control', 'slow'],
+  },
+  feared: {
+    duration: 2000,
+    stacking: 'refresh',
+    tags: ['crowd_control', 'fear'],
+  },
+  charmed: {
+    duration: 2000,
+    stacking: 'refresh',
+    tags: ['crowd_control', 'charm'],
+  },
+  slow: {
+    duration: 5000,
+    stacking: 'refresh',
+    modifiers: { speedMultiplier: 0.5 },
+    tags: ['slow'],
+  },
+  damage_boost: {
+    duration: 5000,
+    stacking: 'refresh',
+    harmful: false,
+    modifiers: { damageMultiplier: 1.2 },
+  },
+  speed_boost: {
+    duration: 5000,
+    stacking: 'refresh',
+    harmful: false,
+    modifiers: { speedMultiplier: 1.2 },
+  },
+};
+
+/**
+ * Applying one effect of a pair while the other is active removes
+ * everything in `remove` and then applies `apply`, if set
+ */
+export const DEFAULT_INTERACTIONS = [
+  { effects: ['frozen', 'burning'], remove: ['frozen', 'burning'] },
+];
+
+/**
+ * Tags each skill node makes its owner immune to
+ */
+export const SKILL_IMMUNITIES = {
+  unstoppable_force: ['stun', 'crowd_control'],
+  immovable: ['stun', 'knockback'],
+  iron_will: ['fear', 'charm'],
+};
+
+export class StatusEffectEngine {
+  constructor(dependencies = {}) {
+    // Dependency injection
+    this.eventBus = dependencies.eventBus;
+    this.logger = dependencies.logger;
+    this.config = dependencies.config;
+    this.rng = dependencies.rng;
+    this.dealDamage = dependencies.dealDamage || (() => {});
+
+    // Validate required dependencies
+    if (!this.eventBus) {
+      throw new Error('StatusEffectEngine requires eventBus dependency');
+    }
+    if (!this.logger) {
+      throw new Error('StatusEffectEngine requires logger dependency');
+    }
+
+    // Engine configuration
+    this.effectConfig = {
+      skillImmunities: SKILL_IMMUNITIES,
+      durationSkill: 'resilience',
+      // Three levels reach the 50% the skill node describes
+      durationReductionPerLevel: 0.5 / 3,
+    };
+
+    // Effect definitions by type
+    this.definitions = new Map();
+
+    // Interactions between effect types
+    this.interactions = [];
+
+    // Target properties the definitions modify
+    this.modifierKeys = new Set();
+
+    // Each target's own values of modified properties, kept while effects
+    // modify them: target -> { key: value }
+    this.baseValues = new WeakMap();
+
+    // Active effect instances by id, in the order they were applied
+    this.effects = new Map();
+    this.nextId = 0;
+
+    Object.entries(dependencies.definitions || DEFAULT_STATUS_EFFECTS).forEach(
+      ([type, definition]) => this.define(type, definition)
+    );
+    (dependencies.interactions || DEFAULT_INTERACTIONS).forEach((interaction) =>
+      this.registerInteraction(interaction)
+    );
+
+    this.logger.info('StatusEffectEngine initialized');
+  }
+
+  /**
+   * Define or replace an effect type
+   */
+  define(type, definition) {
+    const stacking = definition.stacking || 'refresh';
+    if (!STACK_BEHAVIORS.includes(stacking)) {
+      throw new Error(`Unknown stack behavior for ${type}: ${stacking}`);
+    }
+    if (!(definition.duration > 0)) {
+      throw new Error(`Status effect ${type} needs a positive duration`);
+    }
+
+    this.definitions.set(type, {
+      tickInterval: 0,
+      maxStacks: 1,
+      tickDamage: 0,
+      modifiers: {},
+      tags: [],
+      harmful: true,
+      ...definition,
+      type,
+      stacking,
+    });
+    Object.keys(definition.modifiers || {}).forEach((key) =>
+      this.modifierKeys.add(key)
+    );
+    return this;
+  }
+
+  /**
+   * Check if an effect type is defined
+   */
+  has(type) {
+    return this.definitions.has(type);
+  }
+
+  /**
+   * Get an effect definition
+   */
+  getDefinition(type) {
+    return this.definitions.get(type) || null;
+  }
+
+  /**
+   * Add an interaction between effect types
+   */
+  registerInteraction(interaction) {
+    const { effects, remove = effects, apply = null } = interaction;
+    if (!Array.isArray(effects) || effects.length < 2) {
+      throw new Error('Status effect interactions need at least two effects');
+    }
+
+    this.interactions.push({ effects, remove, apply });
+    return this;
+  }
+
+  /**
+   * Apply an effect to a target
+   * Returns the affected instance, or null if the target resisted it or an
+   * interaction consumed it
+   */
+  apply(target, type, options = {}) {
+    const definition = this.definitions.get(type);
+    if (!definition) {
+      throw new Error(`Unknown status effect: ${type}`);
+    }
+
+    if (this.isImmune(target, type)) {
+      this.eventBus.emit('status:resisted', {
+        target,
+        type,
+        source: options.source || null,
+        reason: 'immune',
+      });
+      return null;
+    }
+
+    const duration =
+      (options.duration || definition.duration) *
+      this.getDurationScale(target, definition);
+    if (duration <= 0) return null;
+
+    if (this.resolveInteractions(target, type, options)) return null;
+
+    const existing = this.getEffects(target).filter(
+      (instance) => instance.type === type
+    );
+    let instance;
+
+    if (definition.stacking === 'independent' || existing.length === 0) {
+      if (existing.length >= definition.maxStacks) {
+        this.removeInstance(existing[0], 'replaced');
+      }
+      instance = this.createInstance(target, definition, duration, options);
+      this.effects.set(instance.id, instance);
+    } else {
+      instance = existing[0];
+      if (definition.stacking === 'intensify') {
+        instance.stacks = Math.min(instance.stacks + 1, definition.maxStacks);
+      }
+      instance.duration = duration;
+      instance.remaining = Math.max(instance.remaining, duration);
+      instance.source = options.source || instance.source;
+    }
+
+    this.syncTarget(target);
+    if (definition.onApply) {
+      definition.onApply(target, instance, this);
+    }
+
+    this.eventBus.emit('status:applied', {
+      target,
+      type,
+      stacks: this.getStacks(target, type),
+      duration: instance.remaining,
+      modifiers: definition.modifiers,
+    });
+    return instance;
+  }
+
+  /**
+   * Create a new effect instance
+   */
+  createInstance(target, definition, duration, options) {
+    this.nextId++;
+    return {
+      id: `status_${this.nextId}`,
+      type: definition.type,
+      definition,
+      target,
+      source: options.source || null,
+      stacks: 1,
+      duration,
+      remaining: duration,
+      sinceTick: 0,
+    };
+  }
+
+  /**
+   * Run the interactions the incoming effect triggers
+   * Returns true if the incoming effect was consumed
+   */
+  resolveInteractions(target, type, options) {
+    const active = new Set(
+      this.getEffects(target).map((effect) => effect.type)
+    );
+    let consumed = false;
+
+    this.interactions.forEach((interaction) => {
+      if (!interaction.effects.includes(type)) return;
+      const others = interaction.effects.filter((effect) => effect !== type);
+      if (!others.every((effect) => active.has(effect))) return;
+
+      interaction.remove.forEach((effect) => {
+        if (effect === type) {
+          consumed = true;
+        } else {
+          this.remove(target, effect, 'interaction');
+          active.delete(effect);
+        }
+      });
+
+      this.eventBus.emit('status:interaction', {
+        target,
+        effects: interaction.effects,
+        removed: interaction.remove,
+        applied: interaction.apply,
+      });
+
+      if (interaction.apply) {
+        this.apply(target, interaction.apply, { source: options.source });
+      }
+    });
+
+    return consumed;
+  }
+
+  /**
+   * Remove every instance of an effect type from a target
+   */
+  remove(target, type, reason = 'cleansed') {
+    const instances = this.getEffects(target).filter(
+      (instance) => instance.type === type
+    );
+    instances.forEach((instance) => this.removeInstance(instance, reason));
+    return instances.length;
+  }
+
+  /**
+   * Remove a single effect instance
+   */
+  removeInstance(instance, reason) {
+    if (!this.effects.delete(instance.id)) return;
+
+    this.syncTarget(instance.target);
+    if (instance.definition.onRemove) {
+      instance.definition.onRemove(instance.target, instance, this);
+    }
+
+    this.eventBus.emit('status:removed', {
+      target: instance.target,
+      type: instance.type,
+      stacks: this.getStacks(instance.target, instance.type),
+      reason,
+    });
+  }
+
+  /**
+   * Advance every effect, ticking on schedule and expiring finished ones
+   */
+  update(deltaTime) {
+    Array.from(this.effects.values()).forEach((instance) => {
+      // Effects removed by an earlier tick this frame are skipped
+      if (!this.effects.has(instance.id)) return;
+
+      const { definition } = instance;
+      const step = Math.min(deltaTime, instance.remaining);
+      instance.remaining -= step;
+
+      if (definition.tickInterval > 0) {
+        instance.sinceTick += step;
+        while (
+          instance.sinceTick >= definition.tickInterval &&
+          this.effects.has(instance.id)
+        ) {
+          instance.sinceTick -= definition.tickInterval;
+          this.tick(instance);
+        }
+      }
+
+      if (instance.remaining <= 0) {
+        this.removeInstance(instance, 'expired');
+      }
+    });
+  }
+
+  /**
+   * Run one tick of an effect
+   */
+  tick(instance) {
+    const { definition, target } = instance;
+
+    if (definition.tickDamage > 0) {
+      this.dealDamage(
+        target,
+        definition.tickDamage * instance.stacks,
+        instance.source,
+        { effect: instance.type }
+      );
+    }
+    if (definition.onTick) {
+      definition.onTick(target, instance, this);
+    }
+  }
+
+  /**
+   * Keep the target's statusEffects set and modified stats in step with
+   * its active effects
+   */
+  syncTarget(target) {
+    const effects = this.getEffects(target);
+
+    target.statusEffects = target.statusEffects || new Set();
+    target.statusEffects.clear();
+    effects.forEach((effect) => target.statusEffects.add(effect.type));
+
+    const baseValues = this.baseValues.get(target) || {};
+    this.modifierKeys.forEach((key) => {
+      const modifiers = effects
+        .map((effect) => effect.definition.modifiers[key])
+        .filter((value) => value !== undefined);
+
+      if (modifiers.length === 0) {
+        // Put the target's own value back once nothing modifies it; targets
+        // without one are left unmodified, at 1
+        if (!(key in baseValues)) return;
+        target[key] = baseValues[key] ?? 1;
+        delete baseValues[key];
+        return;
+      }
+
+      if (!(key in baseValues)) {
+        baseValues[key] = target[key];
+      }
+      target[key] = modifiers.reduce(
+        (total, value) => total * value,
+        baseValues[key] ?? 1
+      );
+    });
+    this.baseValues.set(target, baseValues);
+  }
+
+  /**
+   * Get the active effect instances on a target
+   */
+  getEffects(target) {
+    return Array.from(this.effects.values()).filter(
+      (instance) => instance.target === target
+    );
+  }
+
+  /**
+   * Get the stack count of an effect type on a target
+   */
+  getStacks(target, type) {
+    return this.getEffects(target)
+      .filter((instance) => instance.type === type)
+      .reduce((total, instance) => total + instance.stacks, 0);
+  }
+
+  /**
+   * Get the level a target has in a skill node
+   */
+  getSkillLevel(target, skillId) {
+    const skills = target && target.skills;
+    if (!skills) return 0;
+    const level = skills instanceof Map ? skills.get(skillId) : skills[skillId];
+    return level || 0;
+  }
+
+  /**
+   * Get the tags and effect types a target is immune to
+   */
+  getImmunities(target) {
+    const immunities = new Set((target && target.immunities) || []);
+
+    Object.entries(this.effectConfig.skillImmunities).forEach(
+      ([skillId, tags]) => {
+        if (this.getSkillLevel(target, skillId) > 0) {
+          tags.forEach((tag) => immunities.add(tag));
+        }
+      }
+    );
+    return immunities;
+  }
+
+  /**
+   * Check if a target is immune to an effect type or tag
+   */
+  isImmune(target, typeOrTag) {
+    const immunities = this.getImmunities(target);
+    if (immunities.has(typeOrTag)) return true;
+
+    const definition = this.definitions.get(typeOrTag);
+    return Boolean(
+      definition && definition.tags.some((tag) => immunities.has(tag))
+    );
+  }
+
+  /**
+   * Duration multiplier for an effect on a target
+   */
+  getDurationScale(target, definition) {
+    if (!definition.harmful) return 1;
+
+    const level = this.getSkillLevel(target, this.effectConfig.durationSkill);
+    return Math.max(0, 1 - level * this.effectConfig.durationReductionPerLevel);
+  }
+
+  /**
+   * Remove the effects a target has become immune to
+   */
+  purgeImmune(target) {
+    let removed = 0;
+    this.getEffects(target).forEach((instance) => {
+      if (this.isImmune(target, instance.type)) {
+        this.removeInstance(instance, 'immune');
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Remove every effect without running hooks
+   */
+  clear() {
+    const targets = new Set(
+      Array.from(this.effects.values()).map((instance) => instance.target)
+    );
+    this.effects.clear();
+    targets.forEach((target) => this.syncTarget(target));
+  }
+}
+
+export default StatusEffectEngine;
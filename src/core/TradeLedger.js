@@ -0,0 +1,120 @@
+/**
+ * TradeLedger.js - Append-only record of player trades
+ *
+ * This module handles:
+ * - Recording every step of a trade as an entry that is never changed
+ *   or removed afterwards
+ * - Reading a trade's entries back: who took part, where it got to and
+ *   what changed hands when it was committed
+ *
+ * An entry looks like:
+ *   { seq, tradeId, type, status, playerId, ..., timestamp }
+ * where status is the trade's state after the step. Types:
+ *   proposed     a trade was opened; players lists both sides
+ *   escrowed     a player's offer went into escrow: items and currency
+ *   released     a player's offer came back out of escrow
+ *   locked       a player locked their offer
+ *   confirmed    a player confirmed the locked offers
+ *   committed    the offers changed hands; transfers lists each direction
+ *                and taxes what each player paid on the currency received
+ *   cancelled, declined, timeout   the trade ended without a commit
+ *   rolled_back  the committed transfers were reversed
+ *
+ * Entries are copied and frozen as they are appended, so later changes to
+ * items or trades cannot rewrite history.
+ */
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+export class TradeLedger {
+  /**
+   * entries restores a ledger saved with toJSON()
+   */
+  constructor(entries = []) {
+    this.entries = entries.map((entry) => deepFreeze(copy(entry)));
+  }
+
+  /**
+   * Add an entry for a step of a trade; returns the frozen entry
+   */
+  append(type, tradeId, details = {}) {
+    const entry = deepFreeze(
+      copy({
+        seq: this.entries.length + 1,
+        tradeId,
+        type,
+        ...details,
+        timestamp: Date.now(),
+      })
+    );
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Get every entry, or only those of one trade, oldest first
+   */
+  getEntries(tradeId = null) {
+    return tradeId === null
+      ? [...this.entries]
+      : this.entries.filter((entry) => entry.tradeId === tradeId);
+  }
+
+  /**
+   * Get the ids of the trades a player took part in, oldest first
+   */
+  getTradeIds(playerId) {
+    return this.entries
+      .filter(
+        (entry) => entry.type === 'proposed' && entry.players.includes(playerId)
+      )
+      .map((entry) => entry.tradeId);
+  }
+
+  /**
+   * Get the state a trade is in after its last entry; null if unknown
+   */
+  getStatus(tradeId) {
+    const entries = this.getEntries(tradeId);
+    return entries.length > 0 ? entries[entries.length - 1].status : null;
+  }
+
+  /**
+   * Get what changed hands when a trade was committed, one transfer per
+   * direction; null if it never was
+   */
+  getTransfers(tradeId) {
+    const committed = this.getEntries(tradeId).find(
+      (entry) => entry.type === 'committed'
+    );
+    return committed ? committed.transfers : null;
+  }
+
+  /**
+   * Get the tax each player paid when a trade was committed, as
+   * { playerId: { gold: 15 } }; empty if none was
+   */
+  getTaxes(tradeId) {
+    const committed = this.getEntries(tradeId).find(
+      (entry) => entry.type === 'committed'
+    );
+    return (committed && committed.taxes) || {};
+  }
+
+  /**
+   * Get the entries for saving
+   */
+  toJSON() {
+    return this.getEntries();
+  }
+}
+
+export default TradeLedger;
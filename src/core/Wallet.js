@@ -0,0 +1,129 @@
+/**
+ * Wallet.js - Player currency balances and exchange rules
+ *
+ * This module handles:
+ * - A player's balance of each currency, which never goes below zero
+ * - Telling currency that enters or leaves the economy (sources and sinks)
+ *   from currency that only moves between players or kinds
+ * - Quoting currency exchanges, with the spread taken as a fee
+ * - Rounding amounts to the decimals a currency is counted in
+ *
+ * Every balance change gives a reason, which decides its flow:
+ *   transfer   moves between players or in and out of escrow: trade,
+ *              escrow, refund, bid, auction, buy_order
+ *   exchange   turns one currency into another: exchange
+ *   source     any other credit, such as loot, quest rewards or grants
+ *   sink       any other debit, such as taxes, fees, crafting or respecs
+ */
+
+// Reasons that do not change how much currency there is
+export const CURRENCY_FLOWS = {
+  trade: 'transfer',
+  escrow: 'transfer',
+  refund: 'transfer',
+  bid: 'transfer',
+  auction: 'transfer',
+  buy_order: 'transfer',
+  exchange: 'exchange',
+};
+
+// Floating point slack when rounding, so 8 / 0.1 still rounds to 80
+const EPSILON = 1e-9;
+
+/**
+ * Get the flow of a balance change: 'transfer', 'exchange', 'source' or
+ * 'sink'
+ */
+export const getCurrencyFlow = (reason, amount) =>
+  CURRENCY_FLOWS[reason] || (amount > 0 ? 'source' : 'sink');
+
+/**
+ * Round an amount down to a number of decimals
+ */
+export const roundDown = (amount, decimals = 0) =>
+  Math.floor(amount * 10 ** decimals + EPSILON) / 10 ** decimals;
+
+/**
+ * Round an amount up to a number of decimals
+ */
+export const roundUp = (amount, decimals = 0) =>
+  Math.ceil(amount * 10 ** decimals - EPSILON) / 10 ** decimals;
+
+/**
+ * Quote exchanging an amount of one currency for another, given both
+ * currencies' rates ({ baseValue, decimals }) and the spread. What is
+ * left after the spread converts at the base values, rounded down to the
+ * new currency's decimals; the fee is whatever of the amount did not
+ * convert, so the spread and any rounding remainder. Returns { fee,
+ * converted, received, rate, value }, with value the amount's worth in
+ * gold
+ */
+export const quoteExchange = (amount, fromRate, toRate, spread) => {
+  const rate = fromRate.baseValue / toRate.baseValue;
+  const received = roundDown(amount * (1 - spread) * rate, toRate.decimals);
+  const converted = Math.min(
+    amount,
+    roundUp(received / rate, fromRate.decimals)
+  );
+  return {
+    fee: roundDown(amount - converted, fromRate.decimals),
+    converted,
+    received,
+    rate,
+    value: amount * fromRate.baseValue,
+  };
+};
+
+export class Wallet {
+  /**
+   * balances restores a wallet saved with toJSON()
+   */
+  constructor(playerId, balances = {}) {
+    this.playerId = playerId;
+    this.balances = new Map(Object.entries(balances));
+  }
+
+  /**
+   * Get the balance of one currency
+   */
+  getBalance(currency) {
+    return this.balances.get(currency) || 0;
+  }
+
+  /**
+   * Whether the wallet holds every one of some costs, as { gold: 10 }
+   */
+  canAfford(costs) {
+    return Object.entries(costs).every(
+      ([currency, amount]) => this.getBalance(currency) >= amount
+    );
+  }
+
+  /**
+   * Add to (or with a negative amount, take from) a balance; returns the
+   * new balance. Throws rather than overdraw
+   */
+  apply(currency, amount) {
+    if (typeof amount !== 'number' || Number.isNaN(amount)) {
+      throw new Error(`Invalid ${currency} amount: ${amount}`);
+    }
+
+    const balance = this.getBalance(currency) + amount;
+    if (balance < 0) {
+      throw new Error(
+        `Insufficient ${currency}: ${this.playerId} has ${this.getBalance(currency)}, needs ${-amount}`
+      );
+    }
+    this.balances.set(currency, balance);
+    return balance;
+  }
+
+  /**
+   * Get the balances for saving, as { gold: 100 }
+   */
+  toJSON() {
+    return Object.fromEntries(this.balances);
+  }
+}
+
+export default Wallet;
@@ -8,12 +8,15 @@
  * - Integration with gameplay events
  */
 
+import { RNGService } from '../core/RNGService.js';
+
 export class DailyChallengeManager {
   constructor(dependencies = {}) {
     // Dependency injection
     this.eventBus = dependencies.eventBus;
     this.logger = dependencies.logger;
     this.gameState = dependencies.gameState;
+    this.rngService = dependencies.rng || new RNGService();
 
     // Validate required dependencies
     if (!this.eventBus) {
@@ -23,6 +26,9 @@ export class DailyChallengeManager {
       throw new Error('DailyChallengeManager requires logger dependency');
     }
 
+    // Challenge selection stream
+    this.rng = this.rngService.stream('challenges');
+
     // Challenge state
     this.challenges = new Map();
     this.activeChallenges = [];
@@ -324,12 +330,16 @@ export class DailyChallengeManager {
     this.completedChallenges.clear();
     this.challengeProgress.clear();
 
-    // Generate 3 random challenges
+    // Generate 3 random challenges (same seed and day, same challenges)
+    const dayRng = this.rng.fork(today);
     const challengeTypes = Object.keys(this.challengeTemplates);
-    const selectedTypes = this.getRandomElements(challengeTypes, 3);
+    const selectedTypes = this.getRandomElements(challengeTypes, 3, dayRng);
 
     selectedTypes.forEach((type, index) => {
-      const template = this.getRandomElement(this.challengeTemplates[type]);
+      const template = this.getRandomElement(
+        this.challengeTemplates[type],
+        dayRng
+      );
       const challenge = this.createChallenge(template, index);
       this.activeChallenges.push(challenge);
       this.challenges.set(challenge.id, challenge);
@@ -620,16 +630,15 @@ export class DailyChallengeManager {
   /**
    * Get random elements from array
    */
-  getRandomElements(array, count) {
-    const shuffled = array.sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, count);
+  getRandomElements(array, count, rng = this.rng) {
+    return rng.shuffle(array).slice(0, count);
   }
 
   /**
    * Get random element from array
    */
-  getRandomElement(array) {
-    return array[Math.floor(Math.random() * array.length)];
+  getRandomElement(array, rng = this.rng) {
+    return rng.pick(array);
   }
 
   /**
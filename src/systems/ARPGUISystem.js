@@ -6,18 +6,80 @@
  * - Skill gem system with socketing
  * - Character customization and stats
  * - Inventory management
- * - Trading system
+ * - Trading system with a price chart and estimated item values
  * - Item socketing interface
  * - Combat UI enhancements
+ * - Combat log panel with DPS meters and CSV export
  */
 
+import { StatModifierPipeline, describeBreakdown } from '../core/StatModifierPipeline.js';
+import { encodeBuild, decodeBuild, getTreeNodes } from '../core/BuildCode.js';
+
+// How item stats map onto character stats; anything else is a flat bonus
+// to the camelCased stat
+const ITEM_STAT_MODIFIERS = {
+  health: { stat: 'maxHealth', type: 'flat' },
+  mana: { stat: 'maxMana', type: 'flat' },
+  critical_chance: { stat: 'criticalChance', type: 'flat' },
+  attack_speed: { stat: 'attackSpeed', type: 'increased' },
+  movement_speed: { stat: 'movementSpeed', type: 'increased' }
+};
+
+// Status effect multipliers that count as "more" stat modifiers
+const BUFF_STAT_MODIFIERS = {
+  damageMultiplier: 'damage',
+  speedMultiplier: 'movementSpeed'
+};
+
+// Entry kinds shown by each combat log filter; null shows everything
+const COMBAT_LOG_FILTERS = {
+  all: null,
+  damage: ['hit', 'crit', 'tick'],
+  healing: ['heal'],
+  crits: ['crit'],
+  effects: ['tick', 'resist'],
+  kills: ['kill']
+};
+
+// Equipment slots on the character panel, in the inventory's slot ids
+const EQUIPMENT_SLOT_LABELS = {
+  head: 'Helmet',
+  main_hand: 'Main Hand',
+  off_hand: 'Off Hand',
+  chest: 'Armor',
+  hands: 'Gloves',
+  feet: 'Boots',
+  ring1: 'Ring 1',
+  ring2: 'Ring 2',
+  neck: 'Amulet'
+};
+
+// Item types each inventory tab shows; null shows the rest
+const INVENTORY_TAB_TYPES = {
+  items: null,
+  gems: ['gem'],
+  materials: ['material']
+};
+
 export class ARPGUISystem {
   constructor(dependencies = {}) {
     // Dependency injection
     this.eventBus = dependencies.eventBus;
     this.logger = dependencies.logger;
     this.config = dependencies.config;
+    
+    // Wallet that pays for respecs, usually the TradingSystem
+    this.currency = dependencies.currency || null;
+
+    // Combat log behind the log panel, usually the CombatLogSystem
+    this.combatLog = dependencies.combatLog || null;
+
+    // Bag and equipment behind the inventory panel, usually the InventorySystem
+    this.inventory = dependencies.inventory || null;
 
+    // Market prices behind the price chart and item values, usually the TradingSystem
+    this.market = dependencies.market || null;
+    
     // Validate required dependencies
     if (!this.eventBus) {
       throw new Error('ARPGUISystem requires eventBus dependency');
@@ -36,10 +98,24 @@ export class ARPGUISystem {
       gemSocketingOpen: false,
       selectedItem: null,
       selectedGem: null,
+      combatLogOpen: false,
+      combatLogFilter: 'all',
+      inventoryTab: 'items',
+      priceChartItem: null, // market key of the charted item
+      priceChartName: null, // and the name it was looked up by
+    };
+
+    // Combat log panel configuration
+    this.combatLogConfig = {
+      refreshInterval: 500, // ms between redraws while the panel is open
+      maxRows: 100,
+      ...this.config?.combatLogPanel
     };
+    this.combatLogRefresh = 0;
 
     // Character stats and progression
     this.character = {
+      id: 'player', // the player's combat entity id; its buffs count here
       level: 1,
       experience: 0,
       experienceToNext: 100,
@@ -71,6 +147,17 @@ export class ARPGUISystem {
       equippedItems: new Map(),
       inventory: [],
       gems: [],
+      loadouts: [],
+    };
+    
+    // Refunding skill points costs currency per point refunded
+    this.respecConfig = {
+      playerId: 'player',
+      currency: 'gold',
+      costPerPoint: 10,
+      fullRespecCostPerPoint: 5,
+      maxLoadouts: 5,
+      ...this.config?.respec
     };
 
     // Passive skill tree data (100+ nodes)
@@ -88,6 +175,11 @@ export class ARPGUISystem {
     // UI elements cache
     this.uiElements = new Map();
     
+    // Character stats from attributes, skill nodes, items, gems and buffs
+    this.statPipeline = new StatModifierPipeline();
+    this.buffModifiers = new Map(); // status type -> stat modifiers per stack
+    this.updateCharacterStats();
+    
     // Event handlers
     this.setupEventHandlers();
 
@@ -142,12 +234,22 @@ export class ARPGUISystem {
     
     // Update skill cooldowns
     this.updateSkillCooldowns(deltaTime);
+    
+    // Redraw the combat log now and then while it is open
+    if (this.uiState.combatLogOpen) {
+      this.combatLogRefresh += deltaTime;
+      if (this.combatLogRefresh >= this.combatLogConfig.refreshInterval) {
+        this.combatLogRefresh = 0;
+        this.renderCombatLog();
+      }
+    }
   }
 
   /**
    * Initialize the passive skill tree with 100+ nodes
    */
   initializeSkillTree() {
+    // Node modifiers are per level and feed the stat pipeline
     return {
       // Combat tree (30 nodes)
       combat: {
@@ -155,11 +257,11 @@ export class ARPGUISystem {
         description: 'Enhance your combat abilities',
         nodes: [
           // Basic combat nodes
-          { id: 'basic_attack', name: 'Basic Attack', description: 'Increases basic attack damage by 10%', cost: 1, maxLevel: 5, level: 0, prerequisites: [] },
-          { id: 'weapon_mastery', name: 'Weapon Mastery', description: 'Increases weapon damage by 15%', cost: 2, maxLevel: 3, level: 0, prerequisites: ['basic_attack'] },
-          { id: 'critical_strike', name: 'Critical Strike', description: 'Increases critical hit chance by 5%', cost: 2, maxLevel: 5, level: 0, prerequisites: ['basic_attack'] },
-          { id: 'critical_damage', name: 'Critical Damage', description: 'Increases critical hit damage by 25%', cost: 3, maxLevel: 3, level: 0, prerequisites: ['critical_strike'] },
-          { id: 'attack_speed', name: 'Attack Speed', description: 'Increases attack speed by 10%', cost: 2, maxLevel: 5, level: 0, prerequisites: ['weapon_mastery'] },
+          { id: 'basic_attack', name: 'Basic Attack', description: 'Increases basic attack damage by 10%', cost: 1, maxLevel: 5, level: 0, prerequisites: [], modifiers: [{ stat: 'damage', type: 'increased', value: 0.1 }] },
+          { id: 'weapon_mastery', name: 'Weapon Mastery', description: 'Increases weapon damage by 15%', cost: 2, maxLevel: 3, level: 0, prerequisites: ['basic_attack'], modifiers: [{ stat: 'damage', type: 'increased', value: 0.15 }] },
+          { id: 'critical_strike', name: 'Critical Strike', description: 'Increases critical hit chance by 5%', cost: 2, maxLevel: 5, level: 0, prerequisites: ['basic_attack'], modifiers: [{ stat: 'criticalChance', type: 'flat', value: 0.05 }] },
+          { id: 'critical_damage', name: 'Critical Damage', description: 'Increases critical hit damage by 25%', cost: 3, maxLevel: 3, level: 0, prerequisites: ['critical_strike'], modifiers: [{ stat: 'criticalMultiplier', type: 'flat', value: 0.25 }] },
+          { id: 'attack_speed', name: 'Attack Speed', description: 'Increases attack speed by 10%', cost: 2, maxLevel: 5, level: 0, prerequisites: ['weapon_mastery'], modifiers: [{ stat: 'attackSpeed', type: 'increased', value: 0.1 }] },
           { id: 'dual_wield', name: 'Dual Wield', description: 'Allows dual wielding weapons', cost: 5, maxLevel: 1, level: 0, prerequisites: ['weapon_mastery', 'attack_speed'] },
           { id: 'berserker', name: 'Berserker', description: 'Damage increases as health decreases', cost: 4, maxLevel: 3, level: 0, prerequisites: ['critical_damage'] },
           { id: 'executioner', name: 'Executioner', description: 'Deal 50% more damage to enemies below 25% health', cost: 5, maxLevel: 1, level: 0, prerequisites: ['berserker'] },
@@ -176,7 +278,7 @@ export class ARPGUISystem {
           
           // Mastery nodes
           { id: 'combat_mastery', name: 'Combat Mastery', description: 'All combat skills gain +1 level', cost: 15, maxLevel: 1, level: 0, prerequisites: ['lethal_precision'] },
-          { id: 'weapon_legend', name: 'Weapon Legend', description: 'Weapon damage increased by 50%', cost: 12, maxLevel: 1, level: 0, prerequisites: ['weapon_specialization', 'combat_mastery'] },
+          { id: 'weapon_legend', name: 'Weapon Legend', description: 'Weapon damage increased by 50%', cost: 12, maxLevel: 1, level: 0, prerequisites: ['weapon_specialization', 'combat_mastery'], modifiers: [{ stat: 'damage', type: 'more', value: 0.5 }] },
           { id: 'death_dealer', name: 'Death Dealer', description: 'Killing an enemy grants 50% damage for 10 seconds', cost: 15, maxLevel: 1, level: 0, prerequisites: ['bloodthirst', 'combat_mastery'] },
           { id: 'unstoppable_force', name: 'Unstoppable Force', description: 'Cannot be stunned, immune to crowd control', cost: 20, maxLevel: 1, level: 0, prerequisites: ['weapon_legend', 'death_dealer'] },
           
@@ -200,10 +302,10 @@ export class ARPGUISystem {
         description: 'Enhance your defensive capabilities',
         nodes: [
           // Basic defense nodes
-          { id: 'armor_mastery', name: 'Armor Mastery', description: 'Increases armor by 20%', cost: 1, maxLevel: 5, level: 0, prerequisites: [] },
+          { id: 'armor_mastery', name: 'Armor Mastery', description: 'Increases armor by 20%', cost: 1, maxLevel: 5, level: 0, prerequisites: [], modifiers: [{ stat: 'armor', type: 'increased', value: 0.2 }] },
           { id: 'shield_block', name: 'Shield Block', description: '25% chance to block incoming attacks', cost: 2, maxLevel: 3, level: 0, prerequisites: ['armor_mastery'] },
-          { id: 'damage_reduction', name: 'Damage Reduction', description: 'Reduces all damage by 5%', cost: 2, maxLevel: 5, level: 0, prerequisites: ['armor_mastery'] },
-          { id: 'health_boost', name: 'Health Boost', description: 'Increases maximum health by 15%', cost: 2, maxLevel: 5, level: 0, prerequisites: [] },
+          { id: 'damage_reduction', name: 'Damage Reduction', description: 'Reduces all damage by 5%', cost: 2, maxLevel: 5, level: 0, prerequisites: ['armor_mastery'], modifiers: [{ stat: 'damageReduction', type: 'flat', value: 0.05 }] },
+          { id: 'health_boost', name: 'Health Boost', description: 'Increases maximum health by 15%', cost: 2, maxLevel: 5, level: 0, prerequisites: [], modifiers: [{ stat: 'maxHealth', type: 'increased', value: 0.15 }] },
           { id: 'regeneration', name: 'Regeneration', description: 'Regenerate 2% health per second', cost: 3, maxLevel: 3, level: 0, prerequisites: ['health_boost'] },
           { id: 'tough_skin', name: 'Tough Skin', description: 'Reduces physical damage by 10%', cost: 3, maxLevel: 3, level: 0, prerequisites: ['damage_reduction'] },
           { id: 'magic_resistance', name: 'Magic Resistance', description: 'Reduces magical damage by 15%', cost: 3, maxLevel: 3, level: 0, prerequisites: ['damage_reduction'] },
@@ -238,7 +340,7 @@ export class ARPGUISystem {
         description: 'Enhance your utility and support abilities',
         nodes: [
           // Basic utility nodes
-          { id: 'movement_speed', name: 'Movement Speed', description: 'Increases movement speed by 10%', cost: 1, maxLevel: 5, level: 0, prerequisites: [] },
+          { id: 'movement_speed', name: 'Movement Speed', description: 'Increases movement speed by 10%', cost: 1, maxLevel: 5, level: 0, prerequisites: [], modifiers: [{ stat: 'movementSpeed', type: 'increased', value: 0.1 }] },
           { id: 'jump_height', name: 'Jump Height', description: 'Increases jump height by 20%', cost: 1, maxLevel: 3, level: 0, prerequisites: ['movement_speed'] },
           { id: 'climbing', name: 'Climbing', description: 'Can climb walls and obstacles', cost: 3, maxLevel: 1, level: 0, prerequisites: ['jump_height'] },
           { id: 'swimming', name: 'Swimming', description: 'Move faster in water', cost: 2, maxLevel: 3, level: 0, prerequisites: ['movement_speed'] },
@@ -419,6 +521,10 @@ export class ARPGUISystem {
     const socketingPanel = this.createSocketingPanel();
     mainContainer.appendChild(socketingPanel);
 
+    // Combat log panel
+    const combatLogPanel = this.createCombatLogPanel();
+    mainContainer.appendChild(combatLogPanel);
+
     document.body.appendChild(mainContainer);
     this.uiElements.set('mainContainer', mainContainer);
   }
@@ -476,26 +582,16 @@ export class ARPGUISystem {
       <div class="stats-section">
         <h3>Stats</h3>
         <div class="stat-list">
-          ${Object.entries(this.character.stats).map(([stat, value]) => `
-            <div class="stat-item">
-              <span class="stat-name">${stat.charAt(0).toUpperCase() + stat.slice(1)}:</span>
-              <span class="stat-value">${value}</span>
-            </div>
-          `).join('')}
+          ${this.renderStatList()}
         </div>
       </div>
       
       <div class="equipment-section">
         <h3>Equipment</h3>
         <div class="equipment-grid">
-          <div class="equipment-slot" data-slot="helmet">Helmet</div>
-          <div class="equipment-slot" data-slot="weapon">Weapon</div>
-          <div class="equipment-slot" data-slot="armor">Armor</div>
-          <div class="equipment-slot" data-slot="gloves">Gloves</div>
-          <div class="equipment-slot" data-slot="boots">Boots</div>
-          <div class="equipment-slot" data-slot="ring1">Ring 1</div>
-          <div class="equipment-slot" data-slot="ring2">Ring 2</div>
-          <div class="equipment-slot" data-slot="amulet">Amulet</div>
+          ${Object.entries(EQUIPMENT_SLOT_LABELS).map(([slot, label]) => `
+            <div class="equipment-slot" data-slot="${slot}">${label}</div>
+          `).join('')}
         </div>
       </div>
     `;
@@ -585,6 +681,7 @@ export class ARPGUISystem {
           <button class="inv-tab" data-tab="gems">Gems</button>
           <button class="inv-tab" data-tab="materials">Materials</button>
         </div>
+        <button class="inv-sort" id="inventory-sort">Sort</button>
       </div>
       
       <div class="inventory-grid" id="inventory-grid">
@@ -650,6 +747,15 @@ export class ARPGUISystem {
             <button id="create-trade-btn">Create Offer</button>
           </div>
         </div>
+        
+        <div class="price-chart-section">
+          <h4>Price History</h4>
+          <input type="text" placeholder="Item name" id="price-chart-item">
+          <div class="price-chart-summary" id="price-chart-summary"></div>
+          <div class="price-chart" id="price-chart" style="display: flex; align-items: stretch; gap: 2px; height: 120px;">
+            <!-- Candles will be drawn here -->
+          </div>
+        </div>
       </div>
     `;
 
@@ -712,6 +818,59 @@ export class ARPGUISystem {
     return panel;
   }
 
+  /**
+   * Create combat log panel
+   */
+  createCombatLogPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'combat-log-panel';
+    panel.className = 'combat-log-panel';
+    panel.style.cssText = `
+      position: absolute;
+      bottom: 50px;
+      right: 50px;
+      width: 500px;
+      height: 400px;
+      background: linear-gradient(135deg, #2c3e50, #34495e);
+      border: 2px solid #e74c3c;
+      border-radius: 10px;
+      padding: 20px;
+      color: white;
+      font-family: 'Arial', sans-serif;
+      display: none;
+    `;
+
+    const filterButtons = Object.keys(COMBAT_LOG_FILTERS).map(filter => `
+          <button class="combat-log-filter${filter === this.uiState.combatLogFilter ? ' active' : ''}" data-log-filter="${filter}">${filter.charAt(0).toUpperCase() + filter.slice(1)}</button>`).join('');
+
+    const combatLogHTML = `
+      <div class="combat-log-header">
+        <h3>Combat Log</h3>
+        <button class="close-combat-log">×</button>
+      </div>
+      
+      <div class="combat-log-content">
+        <div class="combat-log-filters">${filterButtons}
+        </div>
+        
+        <div class="combat-log-meters" id="combat-log-meters">
+          <!-- DPS and HPS meters will be listed here -->
+        </div>
+        
+        <div class="combat-log-entries" id="combat-log-entries">
+          <!-- Log entries will be listed here -->
+        </div>
+        
+        <div class="combat-log-actions">
+          <button id="export-combat-log">Export CSV</button>
+        </div>
+      </div>
+    `;
+
+    panel.innerHTML = combatLogHTML;
+    return panel;
+  }
+
   /**
    * Set up event handlers
    */
@@ -725,14 +884,21 @@ export class ARPGUISystem {
     this.eventBus.on('item:equipped', this.handleItemEquipped.bind(this));
     this.eventBus.on('item:unequipped', this.handleItemUnequipped.bind(this));
     this.eventBus.on('item:gemSocketed', this.handleGemSocketed.bind(this));
+    this.eventBus.on('inventory:changed', this.handleInventoryChanged.bind(this));
+    
+    // Status events
+    this.eventBus.on('status:applied', this.handleStatusApplied.bind(this));
+    this.eventBus.on('status:removed', this.handleStatusRemoved.bind(this));
     
     // Trading events
     this.eventBus.on('trade:offerCreated', this.handleTradeOfferCreated.bind(this));
     this.eventBus.on('trade:offerAccepted', this.handleTradeOfferAccepted.bind(this));
+    this.eventBus.on('market:priceUpdated', this.handleMarketPriceUpdated.bind(this));
     
     // UI events
     this.eventBus.on('ui:openARPG', this.openARPGUI.bind(this));
     this.eventBus.on('ui:closeARPG', this.closeARPGUI.bind(this));
+    this.eventBus.on('ui:toggleCombatLog', this.toggleCombatLogPanel.bind(this));
   }
 
   /**
@@ -745,10 +911,15 @@ export class ARPGUISystem {
     this.eventBus.removeListener('item:equipped', this.handleItemEquipped.bind(this));
     this.eventBus.removeListener('item:unequipped', this.handleItemUnequipped.bind(this));
     this.eventBus.removeListener('item:gemSocketed', this.handleGemSocketed.bind(this));
+    this.eventBus.removeListener('inventory:changed', this.handleInventoryChanged.bind(this));
+    this.eventBus.removeListener('status:applied', this.handleStatusApplied.bind(this));
+    this.eventBus.removeListener('status:removed', this.handleStatusRemoved.bind(this));
     this.eventBus.removeListener('trade:offerCreated', this.handleTradeOfferCreated.bind(this));
     this.eventBus.removeListener('trade:offerAccepted', this.handleTradeOfferAccepted.bind(this));
+    this.eventBus.removeListener('market:priceUpdated', this.handleMarketPriceUpdated.bind(this));
     this.eventBus.removeListener('ui:openARPG', this.openARPGUI.bind(this));
     this.eventBus.removeListener('ui:closeARPG', this.closeARPGUI.bind(this));
+    this.eventBus.removeListener('ui:toggleCombatLog', this.toggleCombatLogPanel.bind(this));
   }
 
   /**
@@ -779,6 +950,9 @@ export class ARPGUISystem {
     
     // Socketing interactions
     this.setupSocketingInteractions();
+    
+    // Combat log interactions
+    this.setupCombatLogInteractions();
   }
 
   /**
@@ -830,6 +1004,29 @@ export class ARPGUISystem {
       });
     });
 
+    // Sorting merges stacks and packs the bag
+    const sortButton = document.getElementById('inventory-sort');
+    if (sortButton) {
+      sortButton.addEventListener('click', () => this.inventory?.sortBag());
+    }
+
+    // Drop items on equipment slots to wear them, double click to take off
+    document.querySelectorAll('.equipment-slot').forEach(slot => {
+      slot.addEventListener('dragover', (e) => e.preventDefault());
+      slot.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const itemId = e.dataTransfer?.getData('text/plain');
+        if (itemId && this.inventory) {
+          this.inventory.equipItem(itemId, slot.dataset.slot);
+        }
+      });
+      slot.addEventListener('dblclick', () => {
+        if (this.inventory?.getEquippedItem(slot.dataset.slot)) {
+          this.inventory.unequipItem(slot.dataset.slot);
+        }
+      });
+    });
+
     // Generate inventory grid
     this.generateInventoryGrid();
   }
@@ -852,6 +1049,12 @@ export class ARPGUISystem {
     if (createTradeBtn) {
       createTradeBtn.addEventListener('click', this.createTradeOffer.bind(this));
     }
+    
+    // Price chart
+    const priceChartInput = document.getElementById('price-chart-item');
+    if (priceChartInput) {
+      priceChartInput.addEventListener('change', (e) => this.renderPriceChart(e.target.value));
+    }
 
     // Close trading
     const closeTrading = document.querySelector('.close-trading');
@@ -883,6 +1086,31 @@ export class ARPGUISystem {
     }
   }
 
+  /**
+   * Set up combat log interactions
+   */
+  setupCombatLogInteractions() {
+    // Filter switching
+    const filterBtns = document.querySelectorAll('.combat-log-filter');
+    filterBtns.forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.setCombatLogFilter(e.target.dataset.logFilter);
+      });
+    });
+
+    // Export
+    const exportBtn = document.getElementById('export-combat-log');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.exportCombatLog());
+    }
+
+    // Close combat log
+    const closeCombatLog = document.querySelector('.close-combat-log');
+    if (closeCombatLog) {
+      closeCombatLog.addEventListener('click', this.closeCombatLogPanel.bind(this));
+    }
+  }
+
   /**
    * Generate skill tree nodes
    */
@@ -910,6 +1138,10 @@ export class ARPGUISystem {
       `;
       
       nodeElement.addEventListener('click', () => this.learnSkill(node.id));
+      nodeElement.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        this.refundSkill(node.id);
+      });
       nodesContainer.appendChild(nodeElement);
     });
   }
@@ -922,6 +1154,11 @@ export class ARPGUISystem {
     if (!grid) return;
 
     grid.innerHTML = '';
+
+    if (this.inventory) {
+      this.renderInventoryBag(grid);
+      return;
+    }
     
     // Create 40 inventory slots (5x8 grid)
     for (let i = 0; i < 40; i++) {
@@ -945,6 +1182,105 @@ export class ARPGUISystem {
     }
   }
 
+  /**
+   * Draw the inventory's bag: a cell per grid square to drop on, and each
+   * item spanning the cells it takes
+   */
+  renderInventoryBag(grid) {
+    const { bag } = this.inventory.getInventoryState();
+    grid.style.display = 'grid';
+    grid.style.gridTemplateColumns = `repeat(${bag.width}, 1fr)`;
+    grid.style.gridTemplateRows = `repeat(${bag.height}, 1fr)`;
+
+    const allowDrop = (element, x, y) => {
+      element.addEventListener('dragover', (e) => e.preventDefault());
+      element.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const itemId = e.dataTransfer?.getData('text/plain');
+        if (itemId) {
+          this.inventory.moveItem(itemId, x, y);
+        }
+      });
+    };
+
+    for (let y = 0; y < bag.height; y++) {
+      for (let x = 0; x < bag.width; x++) {
+        const cell = document.createElement('div');
+        cell.className = 'inventory-slot';
+        cell.dataset.x = x;
+        cell.dataset.y = y;
+        cell.style.gridColumn = `${x + 1}`;
+        cell.style.gridRow = `${y + 1}`;
+        allowDrop(cell, x, y);
+        grid.appendChild(cell);
+      }
+    }
+
+    bag.entries.forEach(entry => {
+      const { item } = entry;
+      const element = document.createElement('div');
+      element.className = 'inventory-item';
+      element.dataset.itemId = item.id;
+      element.draggable = true;
+      element.style.gridColumn = `${entry.x + 1} / span ${entry.width}`;
+      element.style.gridRow = `${entry.y + 1} / span ${entry.height}`;
+      element.style.backgroundColor = this.getItemRarityColor(item.rarity);
+      element.title = this.getItemValueTooltip(item, entry.quantity);
+      if (!this.isInInventoryTab(item, this.uiState.inventoryTab)) {
+        element.style.opacity = '0.3';
+      }
+      element.innerHTML = `
+        <div class="item-icon">${item.name.charAt(0)}</div>
+        ${entry.quantity > 1 ? `<div class="item-count">${entry.quantity}</div>` : ''}
+      `;
+
+      element.addEventListener('dragstart', (e) => {
+        e.dataTransfer?.setData('text/plain', item.id);
+      });
+      // Dropping on an item aims at its top left cell, which merges stacks
+      allowDrop(element, entry.x, entry.y);
+      element.addEventListener('click', () => this.selectItem(item, `${entry.x},${entry.y}`));
+      element.addEventListener('dblclick', () => this.inventory.equipItem(item.id));
+      grid.appendChild(element);
+    });
+  }
+
+  /**
+   * Whether an inventory tab shows an item
+   */
+  isInInventoryTab(item, tabName) {
+    const types = INVENTORY_TAB_TYPES[tabName];
+    if (types) return types.includes(item.type);
+    return !Object.values(INVENTORY_TAB_TYPES).some(other => other?.includes(item.type));
+  }
+
+  /**
+   * Show what is worn in each equipment slot
+   */
+  updateEquipmentSlots() {
+    document.querySelectorAll('.equipment-slot').forEach(element => {
+      const item = this.inventory?.getEquippedItem(element.dataset.slot);
+      element.textContent = item ? item.name : EQUIPMENT_SLOT_LABELS[element.dataset.slot];
+      element.style.color = item ? this.getItemRarityColor(item.rarity) : '';
+    });
+  }
+
+  /**
+   * Redraw the bag and equipment after the inventory changes
+   */
+  handleInventoryChanged() {
+    this.generateInventoryGrid();
+    this.updateEquipmentSlots();
+  }
+
+  /**
+   * Set the inventory the inventory panel and equipment slots show
+   */
+  setInventory(inventory) {
+    this.inventory = inventory;
+    this.handleInventoryChanged();
+  }
+
   /**
    * Open ARPG UI
    */
@@ -1084,11 +1420,268 @@ export class ARPGUISystem {
    * Apply skill effects
    */
   applySkillEffects(skill) {
-    // This would apply the actual skill effects to character stats
-    // Implementation depends on specific skill effects
+    // Track learned levels; combat reads immunities and resilience from here
+    this.character.skills.set(skill.id, skill.level);
+    
+    // Stat modifiers of the node
+    this.refreshSkillModifiers();
+    
     this.logger.info(`Applied effects for skill: ${skill.name}`);
   }
 
+  /**
+   * Set the wallet that pays for respecs
+   */
+  setCurrencyProvider(provider) {
+    this.currency = provider;
+  }
+
+  /**
+   * Refund levels of a skill in the current tree
+   */
+  refundSkill(skillId, levels = 1) {
+    if (!Number.isInteger(levels) || levels <= 0) {
+      this.logger.warn(`Cannot refund ${levels} levels of skill: ${skillId}`);
+      return false;
+    }
+    
+    const currentTree = this.getCurrentSkillTree();
+    const skill = currentTree.nodes.find(n => n.id === skillId);
+    
+    if (!skill || skill.level === 0) {
+      this.logger.warn(`Cannot refund skill: ${skillId}`);
+      return false;
+    }
+    
+    const targets = new Map([[skill, Math.max(0, skill.level - levels)]]);
+    return this.commitSkillPlan(this.planSkillLevels(targets), 'refund');
+  }
+
+  /**
+   * Refund every skill point at the full respec rate
+   */
+  respecAll() {
+    const targets = new Map(getTreeNodes(this.skillTree).map(({ node }) => [node, 0]));
+    const plan = this.planSkillLevels(targets, this.respecConfig.fullRespecCostPerPoint);
+    return this.commitSkillPlan(plan, 'respec');
+  }
+
+  /**
+   * Work out moving skill nodes to new levels without changing anything:
+   * which nodes change, the points refunded and spent, the currency cost and
+   * why the move is not allowed, if it is not. Target levels are held
+   * between 0 and each node's maxLevel
+   */
+  planSkillLevels(targets, costPerPoint = this.respecConfig.costPerPoint) {
+    const levelOf = node => (targets.has(node) ? Math.min(Math.max(targets.get(node), 0), node.maxLevel) : node.level);
+    const plan = {
+      changes: [],
+      refundedPoints: 0,
+      spentPoints: 0,
+      cost: { currency: this.respecConfig.currency, amount: 0 },
+      errors: []
+    };
+    const missing = new Map();
+    
+    for (const { tree, node } of getTreeNodes(this.skillTree)) {
+      const level = levelOf(node);
+      if (level !== node.level) {
+        plan.changes.push({ tree, skillId: node.id, skill: node, from: node.level, to: level });
+        if (level < node.level) {
+          plan.refundedPoints += (node.level - level) * node.cost;
+        } else {
+          plan.spentPoints += (level - node.level) * node.cost;
+        }
+      }
+      
+      // Every allocated node keeps its prerequisites allocated
+      if (level === 0) continue;
+      for (const prereqId of node.prerequisites) {
+        const prereq = this.findSkillById(prereqId);
+        if (prereq && levelOf(prereq) > 0) continue;
+        if (!missing.has(prereqId)) missing.set(prereqId, { prereq, dependents: [] });
+        missing.get(prereqId).dependents.push(node.name);
+      }
+    }
+    
+    missing.forEach(({ prereq, dependents }, prereqId) => {
+      const name = prereq ? prereq.name : prereqId;
+      if (prereq && prereq.level > 0) {
+        const verb = dependents.length === 1 ? 'depends' : 'depend';
+        plan.errors.push(`Cannot refund ${name}: ${dependents.join(', ')} ${verb} on it`);
+      } else {
+        plan.errors.push(`${dependents.join(', ')} ${dependents.length === 1 ? 'requires' : 'require'} ${name}`);
+      }
+    });
+    
+    const available = this.character.skillPoints + plan.refundedPoints;
+    if (plan.spentPoints > available) {
+      plan.errors.push(`Needs ${plan.spentPoints} skill points, ${available} available`);
+    }
+    
+    plan.cost.amount = plan.refundedPoints * costPerPoint;
+    return plan;
+  }
+
+  /**
+   * Pay for and apply a skill plan
+   */
+  commitSkillPlan(plan, reason) {
+    if (plan.errors.length > 0) {
+      plan.errors.forEach(error => this.logger.warn(error));
+      return false;
+    }
+    if (!this.payForRespec(plan.cost.amount)) {
+      return false;
+    }
+    
+    plan.changes.forEach(change => {
+      change.skill.level = change.to;
+      if (change.to > 0) {
+        this.character.skills.set(change.skillId, change.to);
+      } else {
+        this.character.skills.delete(change.skillId);
+      }
+    });
+    this.character.skillPoints += plan.refundedPoints - plan.spentPoints;
+    this.refreshSkillModifiers();
+    
+    // Update UI
+    if (this.uiElements.has('mainContainer')) {
+      this.updateCharacterDisplay();
+      this.generateSkillTreeNodes();
+    }
+    
+    this.eventBus.emit('character:skillsRespecced', {
+      reason: reason,
+      changes: plan.changes,
+      cost: plan.cost,
+      character: this.character
+    });
+    
+    this.logger.info(`Skill ${reason}: ${plan.refundedPoints} points refunded for ${plan.cost.amount} ${plan.cost.currency}`);
+    return true;
+  }
+
+  /**
+   * Take the respec cost from the player's wallet
+   */
+  payForRespec(amount) {
+    if (amount <= 0) return true;
+    
+    if (!this.currency) {
+      this.logger.warn('Cannot pay for respec: no currency provider');
+      return false;
+    }
+    return this.currency.spendCurrency(this.respecConfig.playerId, this.respecConfig.currency, amount, 'respec');
+  }
+
+  /**
+   * Export the allocated skill nodes as a shareable build code
+   */
+  exportBuild() {
+    return encodeBuild(this.skillTree);
+  }
+
+  /**
+   * Show what importing a build code would change, cost and do to stats;
+   * throws when the code is malformed or made for another skill tree
+   */
+  previewBuild(code) {
+    const nodes = decodeBuild(this.skillTree, code);
+    const plan = this.planSkillLevels(new Map(nodes.map(({ node, level }) => [node, level])));
+    
+    // Price the build with a copy of the pipeline so the character is untouched
+    const pipeline = new StatModifierPipeline({ base: Object.fromEntries(this.statPipeline.base) });
+    const otherSources = this.statPipeline.getSources().filter(source => source.kind !== 'skill');
+    pipeline.replaceSources(otherSources.map(source => source.kind), otherSources);
+    pipeline.replaceSources('skill', this.getSkillModifierSources(nodes.map(({ node, level }) => [node.id, level])));
+    
+    const stats = pipeline.getStats();
+    const statChanges = {};
+    Object.entries(stats).forEach(([stat, value]) => {
+      const current = this.statPipeline.getStat(stat);
+      if (current !== value) {
+        statChanges[stat] = { from: current, to: value };
+      }
+    });
+    
+    return { code, ...plan, stats, statChanges };
+  }
+
+  /**
+   * Replace the allocated skill nodes with a build code
+   */
+  importBuild(code) {
+    let preview;
+    try {
+      preview = this.previewBuild(code);
+    } catch (error) {
+      this.logger.warn(`Cannot import build: ${error.message}`);
+      return false;
+    }
+    return this.commitSkillPlan(preview, 'build');
+  }
+
+  /**
+   * Save the allocated skill nodes under a name, replacing a loadout with
+   * the same name
+   */
+  saveLoadout(name) {
+    const loadoutName = typeof name === 'string' ? name.trim() : '';
+    if (!loadoutName) {
+      this.logger.warn('Loadout needs a name');
+      return null;
+    }
+    
+    const loadouts = this.character.loadouts;
+    const index = loadouts.findIndex(loadout => loadout.name === loadoutName);
+    if (index === -1 && loadouts.length >= this.respecConfig.maxLoadouts) {
+      this.logger.warn(`Cannot save more than ${this.respecConfig.maxLoadouts} loadouts`);
+      return null;
+    }
+    
+    const loadout = { name: loadoutName, code: this.exportBuild(), savedAt: Date.now() };
+    if (index === -1) {
+      loadouts.push(loadout);
+    } else {
+      loadouts[index] = loadout;
+    }
+    
+    this.eventBus.emit('character:loadoutSaved', { loadout: loadout });
+    return loadout;
+  }
+
+  /**
+   * Switch to a saved loadout, paying for the points it refunds
+   */
+  applyLoadout(name) {
+    const loadout = this.character.loadouts.find(l => l.name === name);
+    if (!loadout) {
+      this.logger.warn(`Loadout not found: ${name}`);
+      return false;
+    }
+    return this.importBuild(loadout.code);
+  }
+
+  /**
+   * Delete a saved loadout
+   */
+  deleteLoadout(name) {
+    const index = this.character.loadouts.findIndex(l => l.name === name);
+    if (index === -1) return false;
+    
+    this.character.loadouts.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Get saved loadouts
+   */
+  getLoadouts() {
+    return this.character.loadouts.map(loadout => ({ ...loadout }));
+  }
+
   /**
    * Get current skill tree
    */
@@ -1129,27 +1722,180 @@ export class ARPGUISystem {
       }
     });
     
-    // Update stats
-    Object.entries(this.character.stats).forEach(([stat, value]) => {
-      const statElement = document.querySelector(`[data-stat="${stat}"]`);
-      if (statElement) {
-        statElement.textContent = value;
-      }
-    });
+    // Update stats and their breakdowns
+    const statList = document.querySelector('.stat-list');
+    if (statList) {
+      statList.innerHTML = this.renderStatList();
+    }
+  }
+
+  /**
+   * Render the stat list with a breakdown under each stat
+   */
+  renderStatList() {
+    return Object.entries(this.character.stats).map(([stat, value]) => {
+      const breakdown = this.getStatBreakdown(stat);
+      return `
+            <div class="stat-item" title="${breakdown.join('\n')}">
+              <span class="stat-name">${stat.charAt(0).toUpperCase() + stat.slice(1)}:</span>
+              <span class="stat-value" data-stat="${stat}">${value}</span>
+              <div class="stat-breakdown" data-stat-breakdown="${stat}">${breakdown.join('<br>')}</div>
+            </div>
+          `;
+    }).join('');
+  }
+
+  /**
+   * Get the breakdown of a stat as display lines
+   */
+  getStatBreakdown(stat) {
+    return describeBreakdown(this.statPipeline.getBreakdown(stat));
   }
 
   /**
    * Update character stats based on attributes
    */
   updateCharacterStats() {
-    // Recalculate stats based on attributes
-    this.character.stats.maxHealth = 100 + (this.character.attributes.vitality * 10);
-    this.character.stats.maxMana = 50 + (this.character.attributes.intelligence * 5);
-    this.character.stats.damage = 10 + (this.character.attributes.strength * 2);
-    this.character.stats.armor = this.character.attributes.vitality * 0.5;
-    this.character.stats.criticalChance = 0.05 + (this.character.attributes.dexterity * 0.01);
-    this.character.stats.attackSpeed = 1.0 + (this.character.attributes.dexterity * 0.02);
-    this.character.stats.movementSpeed = 1.0 + (this.character.attributes.strength * 0.01);
+    const { attributes } = this.character;
+    
+    // Attributes set the base; modifier sources build on top of it
+    const changed = this.statPipeline.setBase({
+      maxHealth: 100 + (attributes.vitality * 10),
+      maxMana: 50 + (attributes.intelligence * 5),
+      damage: 10 + (attributes.strength * 2),
+      armor: attributes.vitality * 0.5,
+      criticalChance: 0.05 + (attributes.dexterity * 0.01),
+      criticalMultiplier: 1.5,
+      attackSpeed: 1.0 + (attributes.dexterity * 0.02),
+      movementSpeed: 1.0 + (attributes.strength * 0.01),
+      manaRegen: 1.0,
+      healthRegen: 0.5
+    });
+    this.applyStatChanges(changed);
+  }
+
+  /**
+   * Copy recomputed stats to the character and announce them
+   */
+  applyStatChanges(changed) {
+    if (Object.keys(changed).length === 0) return;
+    
+    Object.assign(this.character.stats, changed);
+    
+    this.eventBus.emit('character:statsChanged', {
+      changed,
+      stats: this.character.stats,
+      character: this.character
+    });
+    
+    if (this.uiElements.has('mainContainer')) {
+      this.updateCharacterDisplay();
+    }
+  }
+
+  /**
+   * Rebuild skill node modifiers from learned levels
+   */
+  refreshSkillModifiers() {
+    const sources = this.getSkillModifierSources(this.character.skills);
+    this.applyStatChanges(this.statPipeline.replaceSources('skill', sources));
+  }
+
+  /**
+   * Stat modifier sources for [skillId, level] pairs
+   */
+  getSkillModifierSources(levels) {
+    const sources = [];
+    
+    for (const [skillId, level] of levels) {
+      const skill = this.findSkillById(skillId);
+      if (!skill || !skill.modifiers || level <= 0) continue;
+      
+      sources.push({
+        id: `skill:${skillId}`,
+        name: skill.name,
+        kind: 'skill',
+        modifiers: skill.modifiers.map(modifier => ({ ...modifier, value: modifier.value * level }))
+      });
+    }
+    
+    return sources;
+  }
+
+  /**
+   * Rebuild item and socketed gem modifiers from equipped items
+   */
+  refreshEquipmentModifiers() {
+    const sources = [];
+    
+    for (const [slot, item] of this.character.equippedItems) {
+      sources.push({
+        id: `item:${slot}`,
+        name: item.name,
+        kind: 'item',
+        modifiers: this.getItemModifiers(item)
+      });
+      
+      this.getSocketedGems(item).forEach((gem, index) => {
+        if (!gem.modifiers) return;
+        sources.push({
+          id: `gem:${slot}:${index}`,
+          name: gem.name,
+          kind: 'gem',
+          modifiers: gem.modifiers
+        });
+      });
+    }
+    
+    this.applyStatChanges(this.statPipeline.replaceSources(['item', 'gem'], sources));
+  }
+
+  /**
+   * Turn the stats of an item (affixes included) into modifiers
+   */
+  getItemModifiers(item) {
+    const stats = item.finalStats || item.baseStats || {};
+    const modifiers = [];
+    
+    Object.entries(stats).forEach(([key, value]) => {
+      const amount = typeof value === 'object' && value !== null
+        ? (value.min + value.max) / 2
+        : value;
+      if (typeof amount !== 'number' || Number.isNaN(amount)) return;
+      
+      const mapping = ITEM_STAT_MODIFIERS[key] || {
+        stat: key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()),
+        type: 'flat'
+      };
+      modifiers.push({ ...mapping, value: amount });
+    });
+    
+    // Uniques may carry modifiers of their own, such as conversions
+    return modifiers.concat(item.modifiers || []);
+  }
+
+  /**
+   * Get the gems socketed into an item
+   */
+  getSocketedGems(item) {
+    const gems = [...(item.gems || [])];
+    
+    (item.sockets || []).forEach(socket => {
+      const gem = socket.gem && this.findGemById(socket.gem);
+      if (gem) gems.push(gem);
+    });
+    return gems;
+  }
+
+  /**
+   * Find skill gem by ID across all tiers
+   */
+  findGemById(gemId) {
+    for (const tier of Object.values(this.skillGems)) {
+      const gem = tier.find(g => g.id === gemId);
+      if (gem) return gem;
+    }
+    return null;
   }
 
   /**
@@ -1199,11 +1945,22 @@ export class ARPGUISystem {
     this.logger.info(`Skill learned: ${data.skill.name}`);
   }
 
+  /**
+   * Handle damage the player took; combat has already taken it off the
+   * character's health, so only the display is refreshed
+   */
+  handlePlayerDamaged() {
+    if (this.uiElements.has('mainContainer')) {
+      this.updateCharacterDisplay();
+    }
+  }
+
   /**
    * Handle item equipped
    */
   handleItemEquipped(data) {
     this.character.equippedItems.set(data.slot, data.item);
+    this.refreshEquipmentModifiers();
     this.updateCharacterDisplay();
     this.logger.info(`Item equipped: ${data.item.name}`);
   }
@@ -1213,6 +1970,7 @@ export class ARPGUISystem {
    */
   handleItemUnequipped(data) {
     this.character.equippedItems.delete(data.slot);
+    this.refreshEquipmentModifiers();
     this.updateCharacterDisplay();
     this.logger.info(`Item unequipped: ${data.item.name}`);
   }
@@ -1221,9 +1979,57 @@ export class ARPGUISystem {
    * Handle gem socketed
    */
   handleGemSocketed(data) {
+    const { item, gem } = data;
+    
+    // Keep the gem on the equipped item so its modifiers count
+    const equipped = Array.from(this.character.equippedItems.values())
+      .find(candidate => candidate.id === item.id) || item;
+    equipped.gems = [...(equipped.gems || []), gem];
+    this.refreshEquipmentModifiers();
+    
     this.logger.info(`Gem socketed: ${data.gem.name}`);
   }
 
+  /**
+   * Handle status applied (buffs on the character modify its stats)
+   */
+  handleStatusApplied(data) {
+    if (data.target?.id !== this.character.id) return;
+    
+    const modifiers = Object.entries(data.modifiers || {})
+      .filter(([key]) => BUFF_STAT_MODIFIERS[key])
+      .map(([key, value]) => ({ stat: BUFF_STAT_MODIFIERS[key], type: 'more', value: value - 1 }));
+    if (modifiers.length === 0) return;
+    
+    this.buffModifiers.set(data.type, modifiers);
+    this.applyBuff(data.type, data.stacks);
+  }
+
+  /**
+   * Handle status removed
+   */
+  handleStatusRemoved(data) {
+    if (data.target?.id !== this.character.id || !this.buffModifiers.has(data.type)) return;
+    
+    if (data.stacks > 0) {
+      this.applyBuff(data.type, data.stacks);
+      return;
+    }
+    
+    this.buffModifiers.delete(data.type);
+    this.applyStatChanges(this.statPipeline.removeSource(`buff:${data.type}`));
+  }
+
+  /**
+   * Set a buff's stat modifiers, scaled by its stacks
+   */
+  applyBuff(type, stacks = 1) {
+    const modifiers = this.buffModifiers.get(type)
+      .map(modifier => ({ ...modifier, value: modifier.value * stacks }));
+    const name = type.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    this.applyStatChanges(this.statPipeline.setSource(`buff:${type}`, { name, kind: 'buff', modifiers }));
+  }
+
   /**
    * Handle trade offer created
    */
@@ -1264,6 +2070,86 @@ export class ARPGUISystem {
     wantedInput.value = '';
   }
 
+  /**
+   * Set the market the price chart and item values read from
+   */
+  setMarket(market) {
+    this.market = market;
+  }
+
+  /**
+   * Describe what an item would fetch on the market, for its tooltip
+   */
+  getItemValueTooltip(item, quantity = 1) {
+    const value = this.market ? this.market.calculateTradeValue([{ item, quantity }], {}) : 0;
+    if (!value) {
+      return `${item.name}\nEstimated value: unknown`;
+    }
+    
+    const each = quantity > 1 ? ` (${this.formatPrice(value / quantity)} each)` : '';
+    return `${item.name}\nEstimated value: ${this.formatPrice(value)} gold${each}`;
+  }
+
+  /**
+   * Round a price for display
+   */
+  formatPrice(price) {
+    return Math.round(price * 100) / 100;
+  }
+
+  /**
+   * Draw an item's price candles and index in the trading panel
+   */
+  renderPriceChart(itemName) {
+    const chart = document.getElementById('price-chart');
+    const summary = document.getElementById('price-chart-summary');
+    if (!chart || !summary || !this.market || !itemName) return;
+    
+    const { item, index, candles } = this.market.getPriceChart(itemName);
+    this.uiState.priceChartItem = item;
+    this.uiState.priceChartName = itemName;
+    
+    if (candles.length === 0) {
+      summary.textContent = `No sales of ${itemName} yet`;
+      chart.innerHTML = '';
+      return;
+    }
+    
+    const outliers = index.rejected > 0 ? ` · ${index.rejected} outliers ignored` : '';
+    summary.textContent = index.price === null
+      ? `No sales of ${itemName} in the last day`
+      : `Index ${this.formatPrice(index.price)} · Median ${this.formatPrice(index.median)} · ` +
+        `Volume ${index.volume} · ${index.trend}${outliers}`;
+    
+    // Candles are scaled between the lowest and highest price on the chart
+    const low = Math.min(...candles.map(candle => candle.low));
+    const range = Math.max(...candles.map(candle => candle.high)) - low || 1;
+    const percent = (price) => `${((price - low) / range) * 100}%`;
+    const height = (from, to) => `${Math.max(((to - from) / range) * 100, 1)}%`;
+    
+    chart.innerHTML = candles.map(candle => {
+      const top = Math.max(candle.open, candle.close);
+      const bottom = Math.min(candle.open, candle.close);
+      const color = candle.close >= candle.open ? '#2ecc71' : '#e74c3c';
+      return `
+          <div class="price-candle" data-time="${candle.time}" style="position: relative; flex: 1;"
+               title="${new Date(candle.time).toLocaleString()}\nOpen ${this.formatPrice(candle.open)} · High ${this.formatPrice(candle.high)}\nLow ${this.formatPrice(candle.low)} · Close ${this.formatPrice(candle.close)}\nVolume ${candle.volume}">
+            <div class="candle-wick" style="position: absolute; left: 50%; width: 1px; bottom: ${percent(candle.low)}; height: ${height(candle.low, candle.high)}; background: ${color};"></div>
+            <div class="candle-body" style="position: absolute; left: 20%; width: 60%; bottom: ${percent(bottom)}; height: ${height(bottom, top)}; background: ${color};"></div>
+          </div>
+        `;
+    }).join('');
+  }
+
+  /**
+   * Redraw the price chart when the item it shows changes price
+   */
+  handleMarketPriceUpdated(data) {
+    if (data.item === this.uiState.priceChartItem) {
+      this.renderPriceChart(this.uiState.priceChartName);
+    }
+  }
+
   /**
    * Load trade offers
    */
@@ -1317,6 +2203,132 @@ export class ARPGUISystem {
     document.getElementById('socketing-panel').style.display = 'none';
   }
 
+  /**
+   * Set the combat log the log panel reads from
+   */
+  setCombatLog(combatLog) {
+    this.combatLog = combatLog;
+  }
+
+  /**
+   * Open or close the combat log panel
+   */
+  toggleCombatLogPanel() {
+    const panel = document.getElementById('combat-log-panel');
+    if (!panel) return;
+    
+    this.uiState.combatLogOpen = !this.uiState.combatLogOpen;
+    panel.style.display = this.uiState.combatLogOpen ? 'block' : 'none';
+    if (this.uiState.combatLogOpen) {
+      this.renderCombatLog();
+    }
+  }
+
+  /**
+   * Close combat log panel
+   */
+  closeCombatLogPanel() {
+    document.getElementById('combat-log-panel').style.display = 'none';
+    this.uiState.combatLogOpen = false;
+  }
+
+  /**
+   * Show only some kinds of combat log entries
+   */
+  setCombatLogFilter(filter) {
+    if (!(filter in COMBAT_LOG_FILTERS)) {
+      this.logger.warn(`Unknown combat log filter: ${filter}`);
+      return;
+    }
+    
+    this.uiState.combatLogFilter = filter;
+    document.querySelectorAll('.combat-log-filter').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.logFilter === filter);
+    });
+    this.renderCombatLog();
+  }
+
+  /**
+   * Get the combat log entries the current filter shows, latest first
+   */
+  getCombatLogEntries() {
+    if (!this.combatLog) return [];
+    
+    const kinds = COMBAT_LOG_FILTERS[this.uiState.combatLogFilter];
+    return this.combatLog.getEntries(kinds ? { kinds } : {})
+      .slice(-this.combatLogConfig.maxRows)
+      .reverse();
+  }
+
+  /**
+   * Describe a combat log entry as one line
+   */
+  formatCombatLogEntry(entry) {
+    const by = entry.ability ? `${entry.sourceName}'s ${entry.ability}` : entry.sourceName;
+    
+    switch (entry.kind) {
+      case 'crit':
+        return `${by} crits ${entry.targetName} for ${entry.amount}`;
+      case 'tick':
+        return `${entry.targetName} takes ${entry.amount} from ${entry.effect}`;
+      case 'heal':
+        return `${by} heals ${entry.targetName} for ${entry.amount}`;
+      case 'resist':
+        return `${entry.targetName} resists ${entry.effect}`;
+      case 'kill':
+        return `${by} kills ${entry.targetName}`;
+      default:
+        return `${by} hits ${entry.targetName} for ${entry.amount}`;
+    }
+  }
+
+  /**
+   * Redraw the combat log meters and entries
+   */
+  renderCombatLog(now = Date.now()) {
+    const metersContainer = document.getElementById('combat-log-meters');
+    const entriesContainer = document.getElementById('combat-log-entries');
+    if (!metersContainer || !entriesContainer || !this.combatLog) return;
+    
+    metersContainer.innerHTML = this.combatLog.getMeters(now).map(meter => `
+          <div class="combat-meter" data-source="${meter.sourceId}">
+            <span class="meter-name">${meter.sourceName}</span>
+            <span class="meter-dps">${meter.dps} DPS</span>
+            <span class="meter-hps">${meter.hps} HPS</span>
+          </div>
+        `).join('');
+    
+    entriesContainer.innerHTML = this.getCombatLogEntries().map(entry => `
+          <div class="combat-log-entry ${entry.kind}">${this.formatCombatLogEntry(entry)}</div>
+        `).join('');
+  }
+
+  /**
+   * Export the entries the current filter shows to CSV, downloading it
+   * where the browser allows; returns the CSV
+   */
+  exportCombatLog() {
+    if (!this.combatLog) return null;
+    
+    const kinds = COMBAT_LOG_FILTERS[this.uiState.combatLogFilter];
+    const csv = this.combatLog.exportCSV(kinds ? { kinds } : {});
+    
+    if (typeof URL !== 'undefined' && URL.createObjectURL) {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+      link.download = `combat-log-${Date.now()}.csv`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    }
+    
+    this.eventBus.emit('ui:combatLogExported', {
+      filter: this.uiState.combatLogFilter,
+      rows: csv.split('\n').length - 1,
+      timestamp: Date.now()
+    });
+    return csv;
+  }
+
   /**
    * Select item
    */
@@ -1346,7 +2358,10 @@ export class ARPGUISystem {
    * Update inventory content
    */
   updateInventoryContent(tabName) {
-    // Update inventory content based on selected tab
+    // Items outside the tab are dimmed rather than hidden, so the grid keeps
+    // its layout
+    this.uiState.inventoryTab = tabName;
+    this.generateInventoryGrid();
     this.logger.info(`Switched to inventory tab: ${tabName}`);
   }
 
@@ -1372,7 +2387,18 @@ export class ARPGUISystem {
       const savedData = localStorage.getItem('arpgCharacter');
       if (savedData) {
         const data = JSON.parse(savedData);
-        this.character = { ...this.character, ...data };
+        this.character = {
+          ...this.character,
+          ...data,
+          // Learned skill levels are stored as [id, level] pairs
+          skills: new Map(Array.isArray(data.skills) ? data.skills : []),
+          loadouts: Array.isArray(data.loadouts) ? data.loadouts : []
+        };
+        getTreeNodes(this.skillTree).forEach(({ node }) => {
+          node.level = this.character.skills.get(node.id) || 0;
+        });
+        this.refreshSkillModifiers();
+        Object.assign(this.character.stats, this.statPipeline.getStats());
         this.logger.info('Character data loaded');
       }
     } catch (error) {
@@ -1385,7 +2411,10 @@ export class ARPGUISystem {
    */
   saveCharacterData() {
     try {
-      localStorage.setItem('arpgCharacter', JSON.stringify(this.character));
+      localStorage.setItem('arpgCharacter', JSON.stringify({
+        ...this.character,
+        skills: Array.from(this.character.skills)
+      }));
       this.logger.info('Character data saved');
     } catch (error) {
       this.logger.error('Failed to save character data:', error);
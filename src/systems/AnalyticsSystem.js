@@ -7,6 +7,7 @@
  * - User engagement and retention analytics
  * - Error tracking and crash reporting
  * - A/B testing and feature flagging
+ * - Economy telemetry: where currency enters the game and where it leaves
  * - Privacy-compliant data collection
  */
 
@@ -58,7 +59,13 @@ export class AnalyticsSystem {
       flushInterval: 30000, // 30 seconds
       maxRetries: 3,
       currentSession: null,
-      lastFlush: 0
+      lastFlush: 0,
+      // Currency that entered (sources) and left (sinks) the economy, as
+      // { gold: { loot: 120 } }
+      economy: {
+        sources: {},
+        sinks: {}
+      }
     };
 
     // Analytics system configuration
@@ -145,6 +152,7 @@ export class AnalyticsSystem {
     this.analyticsState.users.clear();
     this.analyticsState.experiments.clear();
     this.analyticsState.featureFlags.clear();
+    this.analyticsState.economy = { sources: {}, sinks: {} };
     
     // Remove event listeners
     this.removeEventHandlers();
@@ -252,6 +260,16 @@ export class AnalyticsSystem {
         description: 'Player completed a trade',
         properties: ['partner', 'items', 'value', 'timestamp']
       },
+      currencySource: {
+        name: 'Currency Source',
+        description: 'Currency entered the economy',
+        properties: ['playerId', 'currency', 'amount', 'value', 'reason', 'timestamp']
+      },
+      currencySink: {
+        name: 'Currency Sink',
+        description: 'Currency left the economy',
+        properties: ['playerId', 'currency', 'amount', 'value', 'reason', 'timestamp']
+      },
       
       // Performance events
       performance: {
@@ -393,6 +411,9 @@ export class AnalyticsSystem {
     this.eventBus.on('player:itemPickup', this.handleItemPickup.bind(this));
     this.eventBus.on('player:skillUsed', this.handleSkillUsed.bind(this));
     
+    // Economy events
+    this.eventBus.on('currency:changed', this.handleCurrencyChanged.bind(this));
+    
     // UI events
     this.eventBus.on('ui:click', this.handleUIClick.bind(this));
     this.eventBus.on('ui:hover', this.handleUIHover.bind(this));
@@ -425,6 +446,7 @@ export class AnalyticsSystem {
     this.eventBus.removeListener('player:death', this.handlePlayerDeath.bind(this));
     this.eventBus.removeListener('player:itemPickup', this.handleItemPickup.bind(this));
     this.eventBus.removeListener('player:skillUsed', this.handleSkillUsed.bind(this));
+    this.eventBus.removeListener('currency:changed', this.handleCurrencyChanged.bind(this));
     this.eventBus.removeListener('ui:click', this.handleUIClick.bind(this));
     this.eventBus.removeListener('ui:hover', this.handleUIHover.bind(this));
     this.eventBus.removeListener('ui:scroll', this.handleUIScroll.bind(this));
@@ -970,6 +992,51 @@ export class AnalyticsSystem {
     });
   }
 
+  /**
+   * Handle a wallet balance change. Only sources and sinks are tracked;
+   * trades, escrow and exchanges move currency without making or
+   * destroying any
+   */
+  handleCurrencyChanged(data) {
+    if (!this.isEnabled() || (data.flow !== 'source' && data.flow !== 'sink')) {
+      return;
+    }
+    
+    const amount = Math.abs(data.amount);
+    const flows = this.analyticsState.economy[data.flow === 'source' ? 'sources' : 'sinks'];
+    flows[data.currency] = flows[data.currency] || {};
+    flows[data.currency][data.reason] = (flows[data.currency][data.reason] || 0) + amount;
+    
+    this.trackEvent({
+      type: 'economy',
+      name: data.flow === 'source' ? 'Currency Source' : 'Currency Sink',
+      properties: {
+        playerId: data.playerId,
+        currency: data.currency,
+        amount,
+        value: Math.abs(data.value),
+        reason: data.reason,
+        timestamp: data.timestamp
+      }
+    });
+  }
+
+  /**
+   * Get the currency that entered and left the economy, by currency and
+   * reason, and the net change of each currency
+   */
+  getEconomyReport() {
+    const { sources, sinks } = this.analyticsState.economy;
+    const total = flows => Object.values(flows || {}).reduce((sum, amount) => sum + amount, 0);
+    const currencies = new Set([...Object.keys(sources), ...Object.keys(sinks)]);
+    
+    return {
+      sources: JSON.parse(JSON.stringify(sources)),
+      sinks: JSON.parse(JSON.stringify(sinks)),
+      net: Object.fromEntries([...currencies].map(currency => [currency, total(sources[currency]) - total(sinks[currency])]))
+    };
+  }
+
   /**
    * Handle UI click
    */
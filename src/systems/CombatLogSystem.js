@@ -0,0 +1,304 @@
+/**
+ * CombatLogSystem.js - Combat log, DPS meters and encounter reports
+ *
+ * This system handles:
+ * - Recording hits, crits, effect ticks, heals, resists and kills from
+ *   combat events, with their source and ability
+ * - Rolling DPS and HPS meters per source
+ * - Summaries per encounter (a fight, a boss or a raid) broken down by
+ *   source and ability
+ * - Filtering the log and exporting it to CSV
+ */
+
+import { CombatLog, describeEntity } from '../core/CombatLog.js';
+
+export class CombatLogSystem {
+  constructor(dependencies = {}) {
+    // Dependency injection
+    this.eventBus = dependencies.eventBus;
+    this.logger = dependencies.logger;
+    this.config = dependencies.config;
+
+    // Validate required dependencies
+    if (!this.eventBus) {
+      throw new Error('CombatLogSystem requires eventBus dependency');
+    }
+    if (!this.logger) {
+      throw new Error('CombatLogSystem requires logger dependency');
+    }
+
+    // Combat log configuration
+    this.combatLogConfig = {
+      maxEntries: 5000,
+      meterWindow: 5000, // ms the meters average over
+      maxSummaries: 50, // finished encounters kept
+      ...this.config?.combatLog
+    };
+
+    this.log = new CombatLog(this.combatLogConfig);
+
+    // Id of the open fight started by combat:started
+    this.currentCombat = null;
+
+    // Event handlers
+    this.setupEventHandlers();
+
+    this.logger.info('CombatLogSystem initialized');
+  }
+
+  /**
+   * Initialize the system
+   */
+  async initialize() {
+    this.logger.info('Initializing CombatLogSystem...');
+    this.logger.info('CombatLogSystem initialized successfully');
+  }
+
+  /**
+   * Cleanup the system
+   */
+  cleanup() {
+    this.logger.info('Cleaning up CombatLogSystem...');
+
+    this.log.clear();
+    this.currentCombat = null;
+
+    // Remove event listeners
+    this.removeEventHandlers();
+
+    this.logger.info('CombatLogSystem cleaned up');
+  }
+
+  /**
+   * Update the system
+   */
+  update() {
+    // Everything is recorded as events arrive
+  }
+
+  /**
+   * Set up event handlers
+   */
+  setupEventHandlers() {
+    // Combat events
+    this.eventBus.on('combat:damage', this.handleDamage.bind(this));
+    this.eventBus.on('combat:healing', this.handleHealing.bind(this));
+    this.eventBus.on('combat:death', this.handleDeath.bind(this));
+    this.eventBus.on('status:resisted', this.handleResisted.bind(this));
+
+    // Encounter events
+    this.eventBus.on('combat:started', this.handleCombatStarted.bind(this));
+    this.eventBus.on('combat:ended', this.handleCombatEnded.bind(this));
+    this.eventBus.on('boss:encounterStarted', this.handleBossEncounterStarted.bind(this));
+    this.eventBus.on('boss:encounterCompleted', this.handleBossEncounterCompleted.bind(this));
+    this.eventBus.on('raid:started', this.handleRaidStarted.bind(this));
+    this.eventBus.on('raid:completed', this.handleRaidCompleted.bind(this));
+  }
+
+  /**
+   * Remove event handlers
+   */
+  removeEventHandlers() {
+    this.eventBus.removeListener('combat:damage', this.handleDamage.bind(this));
+    this.eventBus.removeListener('combat:healing', this.handleHealing.bind(this));
+    this.eventBus.removeListener('combat:death', this.handleDeath.bind(this));
+    this.eventBus.removeListener('status:resisted', this.handleResisted.bind(this));
+    this.eventBus.removeListener('combat:started', this.handleCombatStarted.bind(this));
+    this.eventBus.removeListener('combat:ended', this.handleCombatEnded.bind(this));
+    this.eventBus.removeListener('boss:encounterStarted', this.handleBossEncounterStarted.bind(this));
+    this.eventBus.removeListener('boss:encounterCompleted', this.handleBossEncounterCompleted.bind(this));
+    this.eventBus.removeListener('raid:started', this.handleRaidStarted.bind(this));
+    this.eventBus.removeListener('raid:completed', this.handleRaidCompleted.bind(this));
+  }
+
+  /**
+   * Handle damage; effect ticks and crits get their own kinds
+   */
+  handleDamage(data) {
+    const overkill = data.overkill || 0;
+    const kind = data.effect ? 'tick' : data.critical ? 'crit' : 'hit';
+
+    this.record(kind, data, {
+      ability: data.ability,
+      effect: data.effect,
+      amount: data.damage - overkill,
+      overkill,
+      resisted: data.resisted,
+      damageType: data.element || (data.effect ? null : 'physical')
+    });
+  }
+
+  /**
+   * Handle healing
+   */
+  handleHealing(data) {
+    this.record('heal', data, {
+      ability: data.ability,
+      amount: data.healing
+    });
+  }
+
+  /**
+   * Handle death
+   */
+  handleDeath(data) {
+    this.record('kill', { ...data, target: data.entity }, {
+      ability: data.ability
+    });
+  }
+
+  /**
+   * Handle a status effect the target was immune to
+   */
+  handleResisted(data) {
+    this.record('resist', data, {
+      effect: data.type
+    });
+  }
+
+  /**
+   * Turn an event into a log entry
+   */
+  record(kind, data, fields) {
+    const source = describeEntity(data.source, 'environment');
+    const target = describeEntity(data.target);
+
+    return this.log.record({
+      time: data.timestamp || Date.now(),
+      kind,
+      sourceId: source.id,
+      sourceName: source.name,
+      targetId: target.id,
+      targetName: target.name,
+      ...fields
+    });
+  }
+
+  /**
+   * Handle combat started
+   */
+  handleCombatStarted(data) {
+    this.currentCombat = `combat_${data.timestamp}`;
+    this.log.startEncounter(this.currentCombat, data.timestamp, {
+      kind: 'combat',
+      areaId: data.areaId
+    });
+  }
+
+  /**
+   * Handle combat ended
+   */
+  handleCombatEnded(data) {
+    if (!this.currentCombat) return;
+
+    this.finishEncounter(this.currentCombat, data.timestamp);
+    this.currentCombat = null;
+  }
+
+  /**
+   * Handle boss encounter started
+   */
+  handleBossEncounterStarted(data) {
+    this.log.startEncounter(`boss_${data.enemyId}`, data.timestamp, {
+      kind: 'boss',
+      bossId: data.bossId,
+      name: data.name
+    });
+  }
+
+  /**
+   * Handle boss encounter completed
+   */
+  handleBossEncounterCompleted(data) {
+    this.finishEncounter(`boss_${data.enemyId}`, data.timestamp);
+  }
+
+  /**
+   * Handle raid started
+   */
+  handleRaidStarted(data) {
+    this.log.startEncounter(`raid_${data.raidId}`, data.timestamp, {
+      kind: 'raid',
+      raidId: data.raidId,
+      name: data.raidInstance?.name
+    });
+  }
+
+  /**
+   * Handle raid completed
+   */
+  handleRaidCompleted(data) {
+    this.finishEncounter(`raid_${data.raidId}`, data.timestamp);
+  }
+
+  /**
+   * Close an encounter and announce its summary
+   */
+  finishEncounter(id, time = Date.now()) {
+    const summary = this.log.endEncounter(id, time);
+    if (!summary) return null;
+
+    this.logger.info(`Encounter ${id}: ${summary.damage} damage over ${summary.duration}ms`);
+
+    this.eventBus.emit('combatLog:encounterSummary', {
+      summary,
+      timestamp: Date.now()
+    });
+    return summary;
+  }
+
+  /**
+   * Get log entries matching a filter:
+   *   { kinds, source, target, ability, since, until, encounter }
+   */
+  getEntries(filter = {}) {
+    return this.log.query(filter);
+  }
+
+  /**
+   * Get the rolling DPS and HPS meters, highest damage first
+   */
+  getMeters(now = Date.now()) {
+    return this.log.getMeters(now);
+  }
+
+  /**
+   * Get one source's rolling meter
+   */
+  getMeter(sourceId, now = Date.now()) {
+    return this.log.getMeter(sourceId, now);
+  }
+
+  /**
+   * Get the summary of an open or finished encounter
+   */
+  getSummary(id) {
+    const encounter = this.log.getEncounter(id);
+    return encounter ? this.log.summarize(encounter) : null;
+  }
+
+  /**
+   * Get the summary of the latest encounter matching some info, such
+   * as { bossId } or { raidId }
+   */
+  findSummary(match) {
+    const encounter = this.log.findEncounter(match);
+    return encounter ? this.log.summarize(encounter) : null;
+  }
+
+  /**
+   * Get the summaries of finished encounters, latest first
+   */
+  getSummaries() {
+    return this.log.getSummaries();
+  }
+
+  /**
+   * Export the entries matching a filter to CSV
+   */
+  exportCSV(filter = {}) {
+    return this.log.toCSV(this.log.query(filter));
+  }
+}
+
+export default CombatLogSystem;
@@ -10,12 +10,21 @@
  * - Combat effects and animations
  */
 
+import { RNGService } from '../core/RNGService.js';
+import { CollisionDetector } from '../CollisionSystem/CollisionDetector.js';
+import { StatusEffectEngine } from '../core/StatusEffectEngine.js';
+import { BehaviorTreeRuntime } from '../core/BehaviorTree.js';
+import { DEFAULT_BEHAVIOR_TREES, ENEMY_CONDITIONS, ENEMY_ACTIONS, steer } from '../core/EnemyBehaviors.js';
+import { BehaviorDebugOverlay } from '../ui/BehaviorDebugOverlay.js';
+import { BossEncounter } from '../core/BossEncounter.js';
+
 export class CombatSystem {
   constructor(dependencies = {}) {
     // Dependency injection
     this.eventBus = dependencies.eventBus;
     this.logger = dependencies.logger;
     this.config = dependencies.config;
+    this.rngService = dependencies.rng || new RNGService({ seed: this.config?.seed });
 
     // Validate required dependencies
     if (!this.eventBus) {
@@ -25,14 +34,47 @@ export class CombatSystem {
       throw new Error('CombatSystem requires logger dependency');
     }
 
+    // Random streams for combat rolls and loot drops
+    this.rng = this.rngService.stream('combat');
+    this.lootRng = this.rngService.stream('loot');
+
+    // Spatial index for range and projectile queries
+    this.collisionDetector = dependencies.collisionDetector || new CollisionDetector({
+      eventBus: this.eventBus,
+      logger: this.logger,
+      config: this.config,
+      broadPhase: this.config?.collisionBroadPhase
+    });
+
+    // Status effects with stacking, immunities and tick scheduling
+    this.statusEffects = dependencies.statusEffects || new StatusEffectEngine({
+      eventBus: this.eventBus,
+      logger: this.logger,
+      config: this.config,
+      rng: this.rng,
+      dealDamage: (target, damage, source, details) => this.dealDamage(target, damage, source, details)
+    });
+
+    // Enemy behavior trees, named by each enemy type's ai field
+    this.behaviorTrees = { ...DEFAULT_BEHAVIOR_TREES };
+    this.behaviors = dependencies.behaviors || new BehaviorTreeRuntime({
+      conditions: ENEMY_CONDITIONS,
+      actions: ENEMY_ACTIONS,
+      trees: this.behaviorTrees
+    });
+
+    // Pathfinding around obstacles; enemies move in straight lines without it
+    this.navigation = dependencies.navigation || null;
+
     // Combat state
     this.combatState = {
       isInCombat: false,
       combatStartTime: null,
       enemies: new Map(),
       projectiles: new Map(),
-      effects: new Map(),
+      effects: this.statusEffects.effects,
       combos: new Map(),
+      encounters: new Map(), // boss enemy id -> { encounter, bossId, players }
       lastAttackTime: 0,
       attackCooldown: 100, // ms
     };
@@ -42,12 +84,42 @@ export class CombatSystem {
       maxEnemies: 50,
       enemySpawnRate: 2000, // ms
       projectileSpeed: 300, // pixels per second
+      projectileRadius: 8, // half-extent of the projectile hitbox
       effectDuration: 1000, // ms
       comboWindow: 2000, // ms
       criticalHitChance: 0.05,
       criticalHitMultiplier: 1.5,
+      maxDamageReduction: 0.75,
+      sightRange: 300, // default enemy perception range
+      allyRange: 200, // enemies this close act as a group
+      debugAI: this.config?.debugAI || false, // label enemies with their active behavior node
       damageTypes: ['physical', 'magical', 'fire', 'ice', 'lightning', 'poison'],
-      statusEffects: ['burning', 'frozen', 'shocked', 'poisoned', 'stunned', 'slowed'],
+      statusEffects: ['burning', 'frozen', 'shocked', 'poisoned', 'stunned', 'slowed', 'feared', 'charmed'],
+    };
+
+    // The player as a combat entity; its stats are the character sheet's
+    // once setPlayerStats is called
+    this.player = {
+      id: 'player',
+      type: 'player',
+      name: 'Player',
+      x: 400,
+      y: 300,
+      stats: {
+        health: 100,
+        maxHealth: 100,
+        damage: 10,
+        armor: 0,
+        criticalChance: this.combatConfig.criticalHitChance,
+        criticalMultiplier: this.combatConfig.criticalHitMultiplier
+      },
+      // Health is kept on the stats, so hits come off the character sheet
+      get health() {
+        return this.stats.health;
+      },
+      set health(value) {
+        this.stats.health = value;
+      }
     };
 
     // Enemy types and behaviors
@@ -59,6 +131,9 @@ export class CombatSystem {
     // Damage calculation system
     this.damageCalculator = this.initializeDamageCalculator();
 
+    // Active behavior node per enemy, for debugging
+    this.aiDebugOverlay = this.combatConfig.debugAI ? new BehaviorDebugOverlay() : null;
+
     // Event handlers
     this.setupEventHandlers();
 
@@ -89,6 +164,12 @@ export class CombatSystem {
     // Clear all combat entities
     this.clearAllCombatEntities();
     
+    // Remove the AI debug overlay
+    if (this.aiDebugOverlay) {
+      this.aiDebugOverlay.destroy();
+      this.aiDebugOverlay = null;
+    }
+    
     // Remove event listeners
     this.removeEventHandlers();
     
@@ -104,6 +185,14 @@ export class CombatSystem {
     // Update enemies
     this.updateEnemies(deltaTime);
     
+    // Update boss encounters
+    this.updateEncounters(deltaTime);
+    
+    // Update AI debug overlay
+    if (this.aiDebugOverlay) {
+      this.aiDebugOverlay.render(this.getAIDebugInfo());
+    }
+    
     // Update projectiles
     this.updateProjectiles(deltaTime);
     
@@ -190,11 +279,54 @@ export class CombatSystem {
         damage: 80,
         speed: 100,
         size: { width: 64, height: 64 },
-        ai: 'boss',
+        ai: 'scripted_boss',
+        sightRange: 600,
         loot: { gold: [100, 200], items: ['dragon_scale', 'dragon_heart'] },
         abilities: ['fire_breath', 'wing_beat', 'dragon_roar', 'flight'],
         resistances: { physical: 0.6, magical: 0.4, fire: 0.8 },
-        weaknesses: { ice: 0.4 }
+        weaknesses: { ice: 0.4 },
+        encounter: {
+          enrage: { after: 180000, damage: 1.5, castSpeed: 1.5 },
+          abilities: {
+            fire_breath: {
+              name: 'Fire Breath',
+              damage: 60,
+              telegraph: { shape: 'cone', radius: 220, angle: 60, duration: 1500 }
+            },
+            wing_beat: {
+              name: 'Wing Beat',
+              damage: 40,
+              telegraph: { shape: 'circle', radius: 120, duration: 1200 }
+            },
+            flight: {
+              name: 'Flight',
+              damage: 90,
+              at: 'target',
+              telegraph: { shape: 'circle', radius: 70, duration: 2000 }
+            },
+            dragon_roar: {
+              name: 'Dragon Roar',
+              damage: 50,
+              telegraph: { shape: 'circle', radius: 200, duration: 2500 }
+            }
+          },
+          phases: [
+            { name: 'Grounded', rotation: ['fire_breath', 'wing_beat'], interval: 5000 },
+            {
+              name: 'Airborne',
+              trigger: { health: 0.6 },
+              rotation: ['flight', 'flight', 'fire_breath'],
+              interval: 4000,
+              adds: [{ type: 'skeleton', count: 2, every: 20000 }]
+            },
+            {
+              name: 'Cornered',
+              trigger: { health: 0.25 },
+              rotation: ['dragon_roar', 'fire_breath', 'wing_beat'],
+              interval: 3000
+            }
+          ]
+        }
       },
       
       // Special enemies
@@ -336,9 +468,14 @@ export class CombatSystem {
    * Initialize damage calculator
    */
   initializeDamageCalculator() {
-    return {
-      calculateDamage: (attacker, target, ability) => {
+    const calculator = {
+      calculateDamage: (attacker, target, ability) => calculator.calculateHit(attacker, target, ability).damage,
+      
+      // The damage of a hit, whether it was critical and how much resistances took off
+      calculateHit: (attacker, target, ability) => {
         let baseDamage = attacker.stats.damage || 10;
+        let critical = false;
+        let resisted = 0;
         
         // Apply ability damage multiplier
         if (ability.damage) {
@@ -349,8 +486,9 @@ export class CombatSystem {
         const critChance = attacker.stats.criticalChance || 0.05;
         const critMultiplier = attacker.stats.criticalMultiplier || 1.5;
         
-        if (Math.random() < critChance) {
+        if (this.rng.chance(critChance)) {
           baseDamage *= critMultiplier;
+          critical = true;
           this.eventBus.emit('combat:criticalHit', { attacker, target, damage: baseDamage });
         }
         
@@ -358,6 +496,7 @@ export class CombatSystem {
         if (ability.element) {
           const resistance = target.resistances?.[ability.element] || 0;
           const weakness = target.weaknesses?.[ability.element] || 0;
+          resisted = baseDamage * resistance;
           baseDamage *= (1 - resistance + weakness);
         }
         
@@ -366,7 +505,15 @@ export class CombatSystem {
         const damageReduction = armor / (armor + 100);
         baseDamage *= (1 - damageReduction);
         
-        return Math.max(1, Math.floor(baseDamage));
+        // Apply flat damage reduction from skills and items
+        const reduction = Math.min(target.stats.damageReduction || 0, this.combatConfig.maxDamageReduction);
+        baseDamage *= (1 - reduction);
+        
+        return {
+          damage: Math.max(1, Math.floor(baseDamage)),
+          critical,
+          resisted: Math.floor(resisted)
+        };
       },
       
       calculateHealing: (healer, target, ability) => {
@@ -379,6 +526,8 @@ export class CombatSystem {
         return Math.floor(baseHealing);
       }
     };
+    
+    return calculator;
   }
 
   /**
@@ -396,6 +545,12 @@ export class CombatSystem {
     // Player events
     this.eventBus.on('player:move', this.handlePlayerMove.bind(this));
     this.eventBus.on('player:ability', this.handlePlayerAbility.bind(this));
+    
+    // Character events
+    this.eventBus.on('character:skillLearned', this.handleSkillLearned.bind(this));
+    
+    // Content events
+    this.eventBus.on('content:updated', this.handleContentUpdated.bind(this));
   }
 
   /**
@@ -410,6 +565,53 @@ export class CombatSystem {
     this.eventBus.removeListener('combat:death', this.handleDeath.bind(this));
     this.eventBus.removeListener('player:move', this.handlePlayerMove.bind(this));
     this.eventBus.removeListener('player:ability', this.handlePlayerAbility.bind(this));
+    this.eventBus.removeListener('character:skillLearned', this.handleSkillLearned.bind(this));
+    this.eventBus.removeListener('content:updated', this.handleContentUpdated.bind(this));
+  }
+
+  /**
+   * Get the content this system defines in code
+   */
+  getBuiltInContent() {
+    return {
+      enemies: this.enemyTypes,
+      abilities: this.abilities,
+      behaviors: this.behaviorTrees
+    };
+  }
+
+  /**
+   * Handle content updated (built-in content merged with content packs)
+   */
+  handleContentUpdated(data) {
+    const { types } = data;
+    
+    if (types.enemies) {
+      this.enemyTypes = types.enemies;
+    }
+    if (types.abilities) {
+      this.abilities = types.abilities;
+    }
+    if (types.behaviors) {
+      this.behaviorTrees = types.behaviors;
+      Object.entries(types.behaviors).forEach(([id, tree]) => {
+        try {
+          this.behaviors.defineTree(id, tree);
+        } catch (error) {
+          this.logger.error(error.message);
+        }
+      });
+    }
+  }
+
+  /**
+   * Handle skill learned (immunity nodes end effects already running)
+   */
+  handleSkillLearned(data) {
+    const { character } = data;
+    if (!character) return;
+    
+    this.statusEffects.purgeImmune(character);
   }
 
   /**
@@ -517,7 +719,7 @@ export class CombatSystem {
       // Check if enemy is dead
       if (enemy.health <= 0) {
         this.handleEnemyDeath(enemy);
-        this.combatState.enemies.delete(id);
+        this.removeEnemy(id);
       }
     }
   }
@@ -526,177 +728,115 @@ export class CombatSystem {
    * Update enemy AI
    */
   updateEnemyAI(enemy, deltaTime) {
+    // Bosses spawned by the endgame have no enemy type of their own
     const enemyType = this.enemyTypes[enemy.type];
-    if (!enemyType) return;
+    const ai = enemyType ? enemyType.ai : enemy.ai;
+    if (!this.behaviors.hasTree(ai)) return;
     
-    switch (enemyType.ai) {
-      case 'aggressive':
-        this.updateAggressiveAI(enemy, deltaTime);
-        break;
-      case 'defensive':
-        this.updateDefensiveAI(enemy, deltaTime);
-        break;
-      case 'stealth':
-        this.updateStealthAI(enemy, deltaTime);
-        break;
-      case 'boss':
-        this.updateBossAI(enemy, deltaTime);
-        break;
-    }
+    this.perceive(enemy, this.behaviors.getBlackboard(enemy));
+    this.behaviors.tick(ai, enemy, { combat: this, deltaTime }, deltaTime);
   }
 
   /**
-   * Update aggressive AI
+   * Fill an enemy's blackboard with what it can perceive
    */
-  updateAggressiveAI(enemy, deltaTime) {
-    // Find nearest player
-    const nearestPlayer = this.findNearestPlayer(enemy);
-    if (!nearestPlayer) return;
-    
-    const distance = this.getDistance(enemy, nearestPlayer);
+  perceive(enemy, blackboard) {
+    const target = this.findNearestPlayer(enemy);
+    const distance = this.getDistance(enemy, target);
+    const sightRange = enemy.sightRange || this.combatConfig.sightRange;
+    const canSeeTarget = distance <= sightRange && this.hasLineOfSight(enemy, target);
     
-    // Move towards player
-    if (distance > 30) {
-      const angle = Math.atan2(nearestPlayer.y - enemy.y, nearestPlayer.x - enemy.x);
-      enemy.velocityX = Math.cos(angle) * enemy.speed;
-      enemy.velocityY = Math.sin(angle) * enemy.speed;
-    } else {
-      enemy.velocityX = 0;
-      enemy.velocityY = 0;
-      
-      // Attack if in range
-      if (Date.now() - enemy.lastAttackTime > enemy.attackCooldown) {
-        this.enemyAttack(enemy, nearestPlayer);
-      }
+    blackboard.set('target', target);
+    blackboard.set('distance', distance);
+    blackboard.set('canSeeTarget', canSeeTarget);
+    if (canSeeTarget) {
+      blackboard.set('lastKnownPosition', { x: target.x, y: target.y });
     }
+    blackboard.set('allies', this.findAllies(enemy));
   }
 
   /**
-   * Update defensive AI
+   * Check that no wall blocks the line between two points
    */
-  updateDefensiveAI(enemy, deltaTime) {
-    // Find nearest player
-    const nearestPlayer = this.findNearestPlayer(enemy);
-    if (!nearestPlayer) return;
-    
-    const distance = this.getDistance(enemy, nearestPlayer);
+  hasLineOfSight(from, to) {
+    const direction = { x: to.x - from.x, y: to.y - from.y };
+    const distance = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+    if (distance === 0) return true;
     
-    // Keep distance from player
-    if (distance < 50) {
-      const angle = Math.atan2(enemy.y - nearestPlayer.y, enemy.x - nearestPlayer.x);
-      enemy.velocityX = Math.cos(angle) * enemy.speed * 0.5;
-      enemy.velocityY = Math.sin(angle) * enemy.speed * 0.5;
-    } else if (distance > 100) {
-      const angle = Math.atan2(nearestPlayer.y - enemy.y, nearestPlayer.x - enemy.x);
-      enemy.velocityX = Math.cos(angle) * enemy.speed * 0.3;
-      enemy.velocityY = Math.sin(angle) * enemy.speed * 0.3;
-    } else {
-      enemy.velocityX = 0;
-      enemy.velocityY = 0;
-    }
-    
-    // Use ranged attacks
-    if (distance > 30 && distance < 150 && Date.now() - enemy.lastAttackTime > enemy.attackCooldown) {
-      this.enemyRangedAttack(enemy, nearestPlayer);
-    }
+    return !this.collisionDetector.raycast(from, direction, distance, { mask: 'wall' });
   }
 
   /**
-   * Update stealth AI
+   * Share the character's stats with the player entity, so skill, item,
+   * gem and buff modifiers reach the damage calculator
    */
-  updateStealthAI(enemy, deltaTime) {
-    // Stealth behavior - move unpredictably and attack from behind
-    if (enemy.stealthCooldown > 0) {
-      enemy.stealthCooldown -= deltaTime;
-    } else if (Math.random() < 0.1) {
-      // Enter stealth
-      enemy.isStealthed = true;
-      enemy.stealthDuration = 3000;
-    }
-    
-    if (enemy.isStealthed) {
-      enemy.stealthDuration -= deltaTime;
-      if (enemy.stealthDuration <= 0) {
-        enemy.isStealthed = false;
-        enemy.stealthCooldown = 5000;
-      }
-    }
-    
-    // Move towards player when stealthed
-    if (enemy.isStealthed) {
-      const nearestPlayer = this.findNearestPlayer(enemy);
-      if (nearestPlayer) {
-        const angle = Math.atan2(nearestPlayer.y - enemy.y, nearestPlayer.x - enemy.x);
-        enemy.velocityX = Math.cos(angle) * enemy.speed * 1.2;
-        enemy.velocityY = Math.sin(angle) * enemy.speed * 1.2;
-        
-        // Backstab if close enough
-        const distance = this.getDistance(enemy, nearestPlayer);
-        if (distance < 20) {
-          this.enemyBackstab(enemy, nearestPlayer);
-        }
-      }
-    }
+  setPlayerStats(stats) {
+    this.player.stats = stats;
   }
 
   /**
-   * Update boss AI
+   * Set the navigation system enemies path through
    */
-  updateBossAI(enemy, deltaTime) {
-    // Boss has multiple phases and special abilities
-    const healthPercentage = enemy.health / enemy.maxHealth;
-    
-    if (healthPercentage > 0.7) {
-      // Phase 1: Basic attacks
-      this.updateAggressiveAI(enemy, deltaTime);
-    } else if (healthPercentage > 0.3) {
-      // Phase 2: Special abilities
-      this.updateBossPhase2(enemy, deltaTime);
-    } else {
-      // Phase 3: Enraged
-      this.updateBossPhase3(enemy, deltaTime);
-    }
+  setNavigation(navigation) {
+    this.navigation = navigation;
   }
 
   /**
-   * Update boss phase 2
+   * Steer an enemy towards a point, around obstacles when navigation is
+   * set; stops it and returns false when the point cannot be reached
    */
-  updateBossPhase2(enemy, deltaTime) {
-    // Use special abilities more frequently
-    if (Date.now() - enemy.lastSpecialAbility > 5000) {
-      const abilities = ['fire_breath', 'wing_beat'];
-      const ability = abilities[Math.floor(Math.random() * abilities.length)];
-      this.useEnemyAbility(enemy, ability);
-      enemy.lastSpecialAbility = Date.now();
+  moveEnemyTowards(enemy, point, speedScale = 1) {
+    const waypoint = this.navigation ? this.navigation.getWaypoint(enemy, point) : point;
+    if (!waypoint) {
+      enemy.velocityX = 0;
+      enemy.velocityY = 0;
+      return false;
     }
     
-    this.updateAggressiveAI(enemy, deltaTime);
+    steer(enemy, waypoint, speedScale);
+    return true;
   }
 
   /**
-   * Update boss phase 3
+   * Find other enemies close enough to act as a group
    */
-  updateBossPhase3(enemy, deltaTime) {
-    // Enraged - faster, stronger, more abilities
-    enemy.speed *= 1.5;
-    enemy.damage *= 1.3;
-    
-    if (Date.now() - enemy.lastSpecialAbility > 2000) {
-      const abilities = ['fire_breath', 'wing_beat', 'dragon_roar'];
-      const ability = abilities[Math.floor(Math.random() * abilities.length)];
-      this.useEnemyAbility(enemy, ability);
-      enemy.lastSpecialAbility = Date.now();
+  findAllies(enemy) {
+    return this.collisionDetector
+      .queryCircle(enemy.x, enemy.y, this.combatConfig.allyRange, { mask: 'enemy', exclude: enemy.id })
+      .map(object => object.entity)
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the active behavior node of every enemy
+   */
+  getAIDebugInfo() {
+    const entries = [];
+    for (const enemy of this.combatState.enemies.values()) {
+      const info = this.behaviors.getDebugInfo(enemy.id);
+      if (!info) continue;
+      
+      entries.push({ id: enemy.id, name: enemy.name, x: enemy.x, y: enemy.y, ...info });
     }
-    
-    this.updateAggressiveAI(enemy, deltaTime);
+    return entries;
   }
 
   /**
    * Update enemy position
    */
   updateEnemyPosition(enemy, deltaTime) {
-    enemy.x += enemy.velocityX * deltaTime / 1000;
-    enemy.y += enemy.velocityY * deltaTime / 1000;
+    // Slows, freezes and stuns scale movement
+    const speedMultiplier = enemy.speedMultiplier ?? 1;
+    const x = enemy.x + enemy.velocityX * speedMultiplier * deltaTime / 1000;
+    const y = enemy.y + enemy.velocityY * speedMultiplier * deltaTime / 1000;
+    
+    // Blocked terrain stops each axis on its own, so enemies slide along it
+    if (!this.navigation || this.navigation.isWalkable({ x, y: enemy.y })) {
+      enemy.x = x;
+    }
+    if (!this.navigation || this.navigation.isWalkable({ x: enemy.x, y })) {
+      enemy.y = y;
+    }
     
     // Keep enemy within bounds
     const area = this.enemySpawner.currentArea;
@@ -704,6 +844,8 @@ export class CombatSystem {
       enemy.x = Math.max(area.bounds.x, Math.min(area.bounds.x + area.bounds.width, enemy.x));
       enemy.y = Math.max(area.bounds.y, Math.min(area.bounds.y + area.bounds.height, enemy.y));
     }
+
+    this.collisionDetector.updateCollisionObject(enemy.id, this.getEnemyColliderPosition(enemy));
   }
 
   /**
@@ -725,12 +867,14 @@ export class CombatSystem {
    */
   updateProjectiles(deltaTime) {
     for (const [id, projectile] of this.combatState.projectiles) {
+      const previousPosition = { x: projectile.x, y: projectile.y };
+
       // Update position
       projectile.x += projectile.velocityX * deltaTime / 1000;
       projectile.y += projectile.velocityY * deltaTime / 1000;
       
-      // Check for collisions
-      this.checkProjectileCollisions(projectile);
+      // Check for collisions along the path travelled this frame
+      this.checkProjectileCollisions(projectile, previousPosition);
       
       // Remove if out of bounds or expired
       if (this.isProjectileExpired(projectile)) {
@@ -743,18 +887,8 @@ export class CombatSystem {
    * Update effects
    */
   updateEffects(deltaTime) {
-    for (const [id, effect] of this.combatState.effects) {
-      effect.duration -= deltaTime;
-      
-      // Apply effect
-      this.applyEffect(effect);
-      
-      // Remove if expired
-      if (effect.duration <= 0) {
-        this.removeEffect(effect);
-        this.combatState.effects.delete(id);
-      }
-    }
+    // Ticks damage over time on schedule and expires finished effects
+    this.statusEffects.update(deltaTime);
   }
 
   /**
@@ -793,15 +927,58 @@ export class CombatSystem {
    */
   spawnEnemy() {
     const area = this.enemySpawner.currentArea;
-    const enemyType = area.enemyTypes[Math.floor(Math.random() * area.enemyTypes.length)];
-    const spawnPoint = area.spawnPoints[Math.floor(Math.random() * area.spawnPoints.length)];
+    const enemyType = this.rng.pick(area.enemyTypes);
+    const spawnPoint = this.rng.pick(area.spawnPoints);
     
     const enemy = this.createEnemy(enemyType, spawnPoint.x, spawnPoint.y);
-    this.combatState.enemies.set(enemy.id, enemy);
+    this.addEnemy(enemy);
     
     this.logger.info(`Spawned ${enemyType} at (${spawnPoint.x}, ${spawnPoint.y})`);
   }
 
+  /**
+   * Add an enemy to combat and the spatial index
+   */
+  addEnemy(enemy) {
+    this.combatState.enemies.set(enemy.id, enemy);
+    this.collisionDetector.registerCollisionObject(enemy.id, {
+      type: 'enemy',
+      layer: 'enemy',
+      position: this.getEnemyColliderPosition(enemy),
+      size: enemy.size,
+      entity: enemy
+    });
+    
+    // Scripted bosses start their encounter as they enter combat
+    const enemyType = this.enemyTypes[enemy.type];
+    if (enemyType && enemyType.encounter) {
+      this.startEncounter(enemy, enemyType.encounter);
+    }
+  }
+
+  /**
+   * Remove an enemy from combat and the spatial index
+   */
+  removeEnemy(id) {
+    this.combatState.enemies.delete(id);
+    this.combatState.encounters.delete(id);
+    this.collisionDetector.unregisterCollisionObject(id);
+    this.behaviors.removeAgent(id);
+    if (this.navigation) {
+      this.navigation.forgetAgent(id);
+    }
+  }
+
+  /**
+   * Get the top-left corner of an enemy's collider (enemy x/y is its centre)
+   */
+  getEnemyColliderPosition(enemy) {
+    return {
+      x: enemy.x - enemy.size.width / 2,
+      y: enemy.y - enemy.size.height / 2
+    };
+  }
+
   /**
    * Create enemy
    */
@@ -811,6 +988,13 @@ export class CombatSystem {
       throw new Error(`Unknown enemy type: ${type}`);
     }
     
+    return this.createEnemyFromDefinition(type, enemyType, x, y);
+  }
+
+  /**
+   * Create an enemy from a definition shaped like an enemy type
+   */
+  createEnemyFromDefinition(type, enemyType, x, y) {
     return {
       id: `enemy_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       type: type,
@@ -820,11 +1004,17 @@ export class CombatSystem {
       health: enemyType.health,
       maxHealth: enemyType.maxHealth,
       damage: enemyType.damage,
+      // What the damage calculator reads when the enemy hits or is hit
+      stats: {
+        damage: enemyType.damage,
+        armor: enemyType.armor || 0
+      },
       speed: enemyType.speed,
       velocityX: 0,
       velocityY: 0,
       size: enemyType.size,
       ai: enemyType.ai,
+      sightRange: enemyType.sightRange,
       abilities: [...enemyType.abilities],
       resistances: { ...enemyType.resistances },
       weaknesses: { ...enemyType.weaknesses },
@@ -847,8 +1037,8 @@ export class CombatSystem {
     
     if (!this.canAttack(attacker, target)) return;
     
-    const damage = this.damageCalculator.calculateDamage(attacker, target, ability);
-    this.dealDamage(target, damage, attacker);
+    const hit = this.damageCalculator.calculateHit(attacker, target, ability);
+    this.dealDamage(target, hit.damage, attacker, this.getHitDetails(ability, hit));
     
     // Update attack cooldown
     attacker.lastAttackTime = Date.now();
@@ -862,7 +1052,7 @@ export class CombatSystem {
     this.eventBus.emit('combat:attackExecuted', {
       attacker,
       target,
-      damage,
+      damage: hit.damage,
       ability
     });
   }
@@ -890,19 +1080,17 @@ export class CombatSystem {
   }
 
   /**
-   * Handle damage
+   * Handle damage (dealDamage has already taken it off the target's health)
    */
   handleDamage(data) {
     const { target, damage, source, type } = data;
     
-    target.health = Math.max(0, target.health - damage);
-    
     // Create damage effect
     this.createDamageEffect(target, damage);
     
     // Apply status effects
     if (type && this.combatConfig.statusEffects.includes(type)) {
-      this.applyStatusEffect(target, type);
+      this.applyStatusEffect(target, type, source);
     }
     
     this.eventBus.emit('combat:damageDealt', {
@@ -925,8 +1113,10 @@ export class CombatSystem {
     // Create death effect
     this.createDeathEffect(entity);
     
-    // Award experience
-    this.awardExperience(entity);
+    // Award experience; the player's own death gives none
+    if (entity !== this.player) {
+      this.awardExperience(entity);
+    }
     
     this.eventBus.emit('combat:entityDied', {
       entity,
@@ -939,7 +1129,8 @@ export class CombatSystem {
    */
   handlePlayerMove(data) {
     // Update player position for enemy AI
-    this.playerPosition = { x: data.x, y: data.y };
+    this.player.x = data.x;
+    this.player.y = data.y;
   }
 
   /**
@@ -965,9 +1156,14 @@ export class CombatSystem {
    * Clear all combat entities
    */
   clearAllCombatEntities() {
+    for (const id of this.combatState.enemies.keys()) {
+      this.collisionDetector.unregisterCollisionObject(id);
+    }
     this.combatState.enemies.clear();
+    this.combatState.encounters.clear();
+    this.behaviors.clearAgents();
     this.combatState.projectiles.clear();
-    this.combatState.effects.clear();
+    this.statusEffects.clear();
     this.combatState.combos.clear();
   }
 
@@ -975,9 +1171,9 @@ export class CombatSystem {
    * Find nearest player
    */
   findNearestPlayer(enemy) {
-    // This would find the nearest player in the game
-    // For now, return a mock player position
-    return this.playerPosition || { x: 400, y: 300 };
+    // There is one player; enemies hit its combat entity, so the
+    // character's armor and damage reduction apply
+    return this.player;
   }
 
   /**
@@ -1013,22 +1209,56 @@ export class CombatSystem {
   }
 
   /**
-   * Deal damage to target
+   * Describe a calculated hit for the damage event
+   */
+  getHitDetails(ability, hit) {
+    return {
+      ability: ability?.name,
+      element: ability?.element,
+      critical: hit.critical,
+      resisted: hit.resisted
+    };
+  }
+
+  /**
+   * Deal damage to target; details describe the hit for the combat log
+   * ({ ability, element, critical, resisted, effect })
    */
-  dealDamage(target, damage, source) {
+  dealDamage(target, damage, source, details = {}) {
+    const overkill = Math.max(0, damage - target.health);
+    
+    // Overkill does not count towards a boss's phase breakdown
+    const encounter = this.combatState.encounters.get(target.id);
+    if (encounter) {
+      encounter.encounter.recordDamageTaken(damage - overkill);
+    }
+    
     target.health = Math.max(0, target.health - damage);
     
     this.eventBus.emit('combat:damage', {
       target,
       damage,
       source,
+      ...details,
+      overkill,
       timestamp: Date.now()
     });
     
+    if (target === this.player) {
+      this.eventBus.emit('combat:playerDamaged', {
+        damage,
+        source,
+        ability: details.ability,
+        health: target.health,
+        timestamp: Date.now()
+      });
+    }
+    
     if (target.health <= 0) {
       this.eventBus.emit('combat:death', {
         entity: target,
         source,
+        ability: details.ability || details.effect,
         timestamp: Date.now()
       });
     }
@@ -1072,11 +1302,11 @@ export class CombatSystem {
   useMeleeAbility(caster, ability, target) {
     if (!target) return;
     
-    const damage = this.damageCalculator.calculateDamage(caster, target, ability);
-    this.dealDamage(target, damage, caster);
+    const hit = this.damageCalculator.calculateHit(caster, target, ability);
+    this.dealDamage(target, hit.damage, caster, this.getHitDetails(ability, hit));
     
     // Apply effects
-    this.applyAbilityEffects(ability, target);
+    this.applyAbilityEffects(ability, target, caster);
   }
 
   /**
@@ -1093,11 +1323,11 @@ export class CombatSystem {
   useInstantAbility(caster, ability, target) {
     if (!target) return;
     
-    const damage = this.damageCalculator.calculateDamage(caster, target, ability);
-    this.dealDamage(target, damage, caster);
+    const hit = this.damageCalculator.calculateHit(caster, target, ability);
+    this.dealDamage(target, hit.damage, caster, this.getHitDetails(ability, hit));
     
     // Apply effects
-    this.applyAbilityEffects(ability, target);
+    this.applyAbilityEffects(ability, target, caster);
   }
 
   /**
@@ -1111,9 +1341,9 @@ export class CombatSystem {
     const entitiesInRange = this.getEntitiesInRange(centerX, centerY, ability.range);
     
     entitiesInRange.forEach(entity => {
-      const damage = this.damageCalculator.calculateDamage(caster, entity, ability);
-      this.dealDamage(entity, damage, caster);
-      this.applyAbilityEffects(ability, entity);
+      const hit = this.damageCalculator.calculateHit(caster, entity, ability);
+      this.dealDamage(entity, hit.damage, caster, this.getHitDetails(ability, hit));
+      this.applyAbilityEffects(ability, entity, caster);
     });
   }
 
@@ -1130,6 +1360,7 @@ export class CombatSystem {
       target,
       healing,
       source: caster,
+      ability: ability.name,
       timestamp: Date.now()
     });
   }
@@ -1140,8 +1371,7 @@ export class CombatSystem {
   useBuffAbility(caster, ability, target) {
     if (!target) return;
     
-    const effect = this.createEffect(ability, target, caster);
-    this.combatState.effects.set(effect.id, effect);
+    this.applyAbilityStatusEffects(ability, target, caster);
   }
 
   /**
@@ -1150,8 +1380,7 @@ export class CombatSystem {
   useDebuffAbility(caster, ability, target) {
     if (!target) return;
     
-    const effect = this.createEffect(ability, target, caster);
-    this.combatState.effects.set(effect.id, effect);
+    this.applyAbilityStatusEffects(ability, target, caster);
   }
 
   /**
@@ -1177,76 +1406,32 @@ export class CombatSystem {
   }
 
   /**
-   * Create effect
+   * Apply the status effects of a buff or debuff for the ability's duration
    */
-  createEffect(ability, target, caster) {
-    return {
-      id: `effect_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      type: ability.id,
-      target: target,
-      caster: caster,
-      duration: ability.duration || 5000,
-      effects: ability.effects || [],
-      createdAt: Date.now()
-    };
-  }
-
-  /**
-   * Apply effect
-   */
-  applyEffect(effect) {
-    // Apply effect to target based on effect type
-    effect.effects.forEach(effectType => {
-      switch (effectType) {
-        case 'damage_boost':
-          effect.target.damageMultiplier = (effect.target.damageMultiplier || 1) * 1.2;
-          break;
-        case 'speed_boost':
-          effect.target.speedMultiplier = (effect.target.speedMultiplier || 1) * 1.2;
-          break;
-        case 'slow':
-          effect.target.speedMultiplier = (effect.target.speedMultiplier || 1) * 0.5;
-          break;
-        case 'burning':
-          this.applyBurningEffect(effect.target);
-          break;
-        case 'frozen':
-          this.applyFrozenEffect(effect.target);
-          break;
-        case 'shocked':
-          this.applyShockedEffect(effect.target);
-          break;
-        case 'poisoned':
-          this.applyPoisonedEffect(effect.target);
-          break;
+  applyAbilityStatusEffects(ability, target, caster) {
+    (ability.effects || []).forEach(effectType => {
+      if (this.statusEffects.has(effectType)) {
+        this.statusEffects.apply(target, effectType, {
+          source: caster,
+          duration: ability.duration
+        });
       }
     });
   }
 
   /**
-   * Remove effect
+   * Apply a status effect to a target
    */
-  removeEffect(effect) {
-    // Remove effect from target
-    effect.effects.forEach(effectType => {
-      switch (effectType) {
-        case 'damage_boost':
-          effect.target.damageMultiplier = (effect.target.damageMultiplier || 1) / 1.2;
-          break;
-        case 'speed_boost':
-          effect.target.speedMultiplier = (effect.target.speedMultiplier || 1) / 1.2;
-          break;
-        case 'slow':
-          effect.target.speedMultiplier = (effect.target.speedMultiplier || 1) / 0.5;
-          break;
-      }
-    });
+  applyStatusEffect(target, type, source = null) {
+    if (!this.statusEffects.has(type)) return null;
+    
+    return this.statusEffects.apply(target, type, { source });
   }
 
   /**
    * Apply ability effects
    */
-  applyAbilityEffects(ability, target) {
+  applyAbilityEffects(ability, target, caster = null) {
     if (!ability.effects) return;
     
     ability.effects.forEach(effect => {
@@ -1254,23 +1439,8 @@ export class CombatSystem {
         case 'knockback':
           this.applyKnockback(target, ability.knockbackForce || 100);
           break;
-        case 'burning':
-          this.applyBurningEffect(target);
-          break;
-        case 'frozen':
-          this.applyFrozenEffect(target);
-          break;
-        case 'shocked':
-          this.applyShockedEffect(target);
-          break;
-        case 'poisoned':
-          this.applyPoisonedEffect(target);
-          break;
-        case 'stunned':
-          this.applyStunnedEffect(target);
-          break;
-        case 'slowed':
-          this.applySlowedEffect(target);
+        default:
+          this.applyStatusEffect(target, effect, caster);
           break;
       }
     });
@@ -1280,77 +1450,14 @@ export class CombatSystem {
    * Apply knockback
    */
   applyKnockback(target, force) {
+    if (this.statusEffects.isImmune(target, 'knockback')) return;
+    
     // Calculate knockback direction and apply velocity
-    const angle = Math.atan2(target.y - this.playerPosition.y, target.x - this.playerPosition.x);
+    const angle = Math.atan2(target.y - this.player.y, target.x - this.player.x);
     target.velocityX = Math.cos(angle) * force;
     target.velocityY = Math.sin(angle) * force;
   }
 
-  /**
-   * Apply burning effect
-   */
-  applyBurningEffect(target) {
-    target.statusEffects = target.statusEffects || new Set();
-    target.statusEffects.add('burning');
-    
-    // Apply damage over time
-    const burnDamage = 5;
-    this.dealDamage(target, burnDamage, null);
-  }
-
-  /**
-   * Apply frozen effect
-   */
-  applyFrozenEffect(target) {
-    target.statusEffects = target.statusEffects || new Set();
-    target.statusEffects.add('frozen');
-    target.speedMultiplier = 0.1;
-  }
-
-  /**
-   * Apply shocked effect
-   */
-  applyShockedEffect(target) {
-    target.statusEffects = target.statusEffects || new Set();
-    target.statusEffects.add('shocked');
-    
-    // Chance to stun
-    if (Math.random() < 0.3) {
-      this.applyStunnedEffect(target);
-    }
-  }
-
-  /**
-   * Apply poisoned effect
-   */
-  applyPoisonedEffect(target) {
-    target.statusEffects = target.statusEffects || new Set();
-    target.statusEffects.add('poisoned');
-    
-    // Apply damage over time
-    const poisonDamage = 3;
-    this.dealDamage(target, poisonDamage, null);
-  }
-
-  /**
-   * Apply stunned effect
-   */
-  applyStunnedEffect(target) {
-    target.statusEffects = target.statusEffects || new Set();
-    target.statusEffects.add('stunned');
-    target.velocityX = 0;
-    target.velocityY = 0;
-  }
-
-  /**
-   * Apply slowed effect
-   */
-  applySlowedEffect(target) {
-    target.statusEffects = target.statusEffects || new Set();
-    target.statusEffects.add('slowed');
-    target.speedMultiplier = 0.5;
-  }
-
   /**
    * Update combo
    */
@@ -1399,8 +1506,9 @@ export class CombatSystem {
   getEntitiesInRange(x, y, range) {
     const entities = [];
     
-    // Check enemies
-    for (const enemy of this.combatState.enemies.values()) {
+    // Broad phase: enemies whose collider touches the range circle
+    const candidates = this.collisionDetector.queryCircle(x, y, range, { mask: 'enemy' });
+    for (const { entity: enemy } of candidates) {
       const distance = this.getDistance({ x, y }, enemy);
       if (distance <= range) {
         entities.push(enemy);
@@ -1412,17 +1520,47 @@ export class CombatSystem {
 
   /**
    * Check projectile collisions
-   */
-  checkProjectileCollisions(projectile) {
-    // Check collision with enemies
-    for (const enemy of this.combatState.enemies.values()) {
-      const distance = this.getDistance(projectile, enemy);
-      if (distance < 20) {
-        this.dealDamage(enemy, projectile.damage, projectile.caster);
-        this.combatState.projectiles.delete(projectile.id);
-        return;
+   *
+   * Sweeps the projectile hitbox from its previous position so fast
+   * projectiles cannot pass through small enemies between frames.
+   */
+  checkProjectileCollisions(projectile, previousPosition = projectile) {
+    const radius = projectile.radius || this.combatConfig.projectileRadius;
+    const hitbox = {
+      x: previousPosition.x - radius,
+      y: previousPosition.y - radius,
+      width: radius * 2,
+      height: radius * 2
+    };
+    const displacement = {
+      x: projectile.x - previousPosition.x,
+      y: projectile.y - previousPosition.y
+    };
+    const sweepBounds = {
+      x: Math.min(hitbox.x, hitbox.x + displacement.x),
+      y: Math.min(hitbox.y, hitbox.y + displacement.y),
+      width: hitbox.width + Math.abs(displacement.x),
+      height: hitbox.height + Math.abs(displacement.y)
+    };
+
+    // Hit the enemy reached first along the path
+    let target = null;
+    let earliest = Infinity;
+    for (const collider of this.collisionDetector.queryAABB(sweepBounds, { mask: 'enemy' })) {
+      const hit = this.collisionDetector.sweptAABB(hitbox, displacement, this.collisionDetector.getAABB(collider));
+      if (hit && hit.time < earliest) {
+        target = collider.entity;
+        earliest = hit.time;
       }
     }
+
+    if (target) {
+      this.dealDamage(target, projectile.damage, projectile.caster, {
+        ability: projectile.ability?.name,
+        element: projectile.ability?.element
+      });
+      this.combatState.projectiles.delete(projectile.id);
+    }
   }
 
   /**
@@ -1491,7 +1629,7 @@ export class CombatSystem {
    */
   calculateLootAmount(lootRange) {
     if (!lootRange || lootRange.length !== 2) return 0;
-    return Math.floor(Math.random() * (lootRange[1] - lootRange[0] + 1)) + lootRange[0];
+    return this.lootRng.nextInt(lootRange[0], lootRange[1]);
   }
 
   /**
@@ -1504,7 +1642,7 @@ export class CombatSystem {
     const dropChance = 0.3; // 30% chance to drop an item
     
     itemList.forEach(item => {
-      if (Math.random() < dropChance) {
+      if (this.lootRng.chance(dropChance)) {
         items.push(item);
       }
     });
@@ -1593,9 +1731,213 @@ export class CombatSystem {
    * Handle enemy death
    */
   handleEnemyDeath(enemy) {
+    this.finishEncounter(enemy, 'defeated');
     this.handleDeath({ entity: enemy });
   }
 
+  /**
+   * Start a boss encounter script for an enemy
+   */
+  startEncounter(enemy, script, options = {}) {
+    const { bossId = null, players = [] } = options;
+    
+    let encounter;
+    try {
+      encounter = new BossEncounter({
+        id: bossId || enemy.type,
+        boss: enemy,
+        script,
+        rng: this.rng,
+        hooks: {
+          telegraph: telegraph => this.eventBus.emit('combat:telegraph', {
+            ...telegraph,
+            enemyId: enemy.id,
+            timestamp: Date.now()
+          }),
+          resolve: (telegraph, hit) => this.resolveTelegraph(enemy, telegraph, hit),
+          spawnAdds: wave => this.spawnAdds(enemy, wave, bossId),
+          phaseChanged: (phase, previous) => this.eventBus.emit('boss:phaseChanged', {
+            bossId,
+            enemyId: enemy.id,
+            phase: phase.phase,
+            name: phase.name,
+            previous: previous.phase,
+            timestamp: Date.now()
+          }),
+          enrage: enrage => this.enrageBoss(enemy, enrage, bossId)
+        }
+      });
+    } catch (error) {
+      this.logger.error(error.message);
+      return null;
+    }
+    
+    this.combatState.encounters.set(enemy.id, { encounter, bossId, players });
+    this.eventBus.emit('boss:encounterStarted', {
+      bossId,
+      enemyId: enemy.id,
+      name: enemy.name,
+      timestamp: Date.now()
+    });
+    return encounter;
+  }
+
+  /**
+   * Update boss encounters, aiming at the nearest player
+   */
+  updateEncounters(deltaTime) {
+    for (const [id, { encounter }] of this.combatState.encounters) {
+      const enemy = this.combatState.enemies.get(id);
+      if (!enemy || enemy.health <= 0) continue;
+      
+      encounter.update(deltaTime, this.findNearestPlayer(enemy));
+    }
+  }
+
+  /**
+   * Land a telegraphed ability; the player takes its damage when inside
+   */
+  resolveTelegraph(enemy, telegraph, hit) {
+    this.eventBus.emit('combat:telegraphResolved', {
+      ...telegraph,
+      enemyId: enemy.id,
+      hit,
+      timestamp: Date.now()
+    });
+    
+    if (hit) {
+      this.dealDamage(this.player, telegraph.damage, enemy, { ability: telegraph.ability });
+    }
+  }
+
+  /**
+   * Spawn a wave of adds in a ring around their boss
+   */
+  spawnAdds(boss, wave, bossId) {
+    if (!this.enemyTypes[wave.type]) {
+      this.logger.warn(`Unknown add type: ${wave.type}`);
+      return;
+    }
+    
+    const radius = Math.max(boss.size.width, boss.size.height) + 40;
+    const adds = [];
+    for (let i = 0; i < wave.count; i++) {
+      const angle = (i / wave.count) * Math.PI * 2;
+      const add = this.createEnemy(
+        wave.type,
+        boss.x + Math.cos(angle) * radius,
+        boss.y + Math.sin(angle) * radius
+      );
+      add.summonedBy = boss.id;
+      this.addEnemy(add);
+      adds.push(add);
+    }
+    
+    this.eventBus.emit('boss:addsSpawned', {
+      bossId,
+      enemyId: boss.id,
+      phase: wave.phase,
+      adds,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Enrage a boss: it hits harder and moves faster for the rest of the fight
+   */
+  enrageBoss(enemy, enrage, bossId) {
+    enemy.damage *= enrage.damage || 1;
+    enemy.speed *= enrage.castSpeed || 1;
+    
+    this.eventBus.emit('boss:enraged', {
+      bossId,
+      enemyId: enemy.id,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * End a boss encounter, removing its adds and cancelling zones that have
+   * not landed. Bosses spawned by the endgame report their defeat back to it
+   */
+  finishEncounter(enemy, outcome) {
+    const entry = this.combatState.encounters.get(enemy.id);
+    if (!entry) return null;
+    
+    this.combatState.encounters.delete(enemy.id);
+    const { encounter, bossId, players } = entry;
+    const performance = encounter.finish(outcome);
+    
+    encounter.telegraphs.forEach(telegraph => {
+      this.eventBus.emit('combat:telegraphCancelled', {
+        id: telegraph.id,
+        enemyId: enemy.id,
+        timestamp: Date.now()
+      });
+    });
+    
+    for (const add of [...this.combatState.enemies.values()]) {
+      if (add.summonedBy === enemy.id) {
+        this.removeEnemy(add.id);
+      }
+    }
+    
+    this.eventBus.emit('boss:encounterCompleted', {
+      bossId,
+      enemyId: enemy.id,
+      performance,
+      timestamp: Date.now()
+    });
+    
+    if (bossId && outcome === 'defeated') {
+      this.eventBus.emit('boss:defeat', { bossId, players, performance });
+    }
+    
+    return performance;
+  }
+
+  /**
+   * Handle boss spawned: bring the endgame boss into combat with its script
+   */
+  handleBossSpawned(data) {
+    const { bossId, boss, players = [] } = data;
+    
+    const enemy = this.createEnemyFromDefinition(bossId, {
+      name: boss.name,
+      health: boss.health,
+      maxHealth: boss.maxHealth,
+      damage: boss.damage || 150,
+      speed: boss.speed || 80,
+      size: boss.size || { width: 96, height: 96 },
+      ai: boss.ai || 'scripted_boss',
+      sightRange: boss.sightRange || 800,
+      abilities: [],
+      resistances: boss.resistances,
+      weaknesses: boss.weaknesses,
+      loot: null
+    }, boss.location.x, boss.location.y);
+    
+    this.addEnemy(enemy);
+    if (boss.encounter) {
+      this.startEncounter(enemy, boss.encounter, { bossId, players });
+    }
+    
+    this.logger.info(`Boss entered combat: ${bossId}`);
+    return enemy;
+  }
+
+  /**
+   * Handle boss defeated: drop the boss if it is still in combat
+   */
+  handleBossDefeated(data) {
+    for (const enemy of [...this.combatState.enemies.values()]) {
+      if (enemy.type === data.bossId) {
+        this.finishEncounter(enemy, 'ended');
+        this.removeEnemy(enemy.id);
+      }
+    }
+  }
+
   /**
    * Get combat state
    */
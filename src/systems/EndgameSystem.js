@@ -16,6 +16,10 @@ export class EndgameSystem {
     this.eventBus = dependencies.eventBus;
     this.logger = dependencies.logger;
     this.config = dependencies.config;
+    this.storage = dependencies.storage || globalThis.localStorage;
+
+    // Combat log that boss and raid reports are taken from
+    this.combatLog = dependencies.combatLog || null;
 
     // Validate required dependencies
     if (!this.eventBus) {
@@ -243,6 +247,70 @@ export class EndgameSystem {
       requirements: {
         level: 80,
         groupSize: 4
+      },
+      encounter: {
+        enrage: { after: 600000, damage: 2, castSpeed: 1.5 },
+        abilities: {
+          dragon_breath: {
+            name: 'Dragon Breath',
+            damage: 400,
+            telegraph: { shape: 'cone', radius: 300, angle: 70, duration: 1500 }
+          },
+          wing_beat: {
+            name: 'Wing Beat',
+            damage: 250,
+            telegraph: { shape: 'circle', radius: 150, duration: 1200 }
+          },
+          tail_sweep: {
+            name: 'Tail Sweep',
+            damage: 300,
+            telegraph: { shape: 'line', radius: 250, width: 80, duration: 1000 }
+          },
+          dragon_roar: {
+            name: 'Dragon Roar',
+            damage: 200,
+            telegraph: { shape: 'circle', radius: 300, duration: 2500 }
+          },
+          meteor_storm: {
+            name: 'Meteor Storm',
+            damage: 500,
+            at: 'target',
+            count: 4,
+            spread: 200,
+            telegraph: { shape: 'circle', radius: 80, duration: 2000 }
+          },
+          dragon_rage: {
+            name: 'Dragon Rage',
+            damage: 600,
+            telegraph: { shape: 'circle', radius: 400, duration: 3000 }
+          }
+        },
+        phases: [
+          {
+            name: 'Sovereign',
+            rotation: ['dragon_breath', 'tail_sweep', 'wing_beat'],
+            interval: 4000
+          },
+          {
+            name: 'Skyfire',
+            trigger: { health: 0.75 },
+            rotation: ['meteor_storm', 'dragon_breath'],
+            interval: 4000,
+            adds: [{ type: 'troll', count: 2, every: 60000 }]
+          },
+          {
+            name: 'Wrath',
+            trigger: { health: 0.5 },
+            rotation: ['dragon_roar', 'tail_sweep', 'meteor_storm'],
+            interval: 3500
+          },
+          {
+            name: 'Last Flame',
+            trigger: { health: 0.25 },
+            rotation: ['dragon_rage', 'meteor_storm', 'dragon_breath'],
+            interval: 3000
+          }
+        ]
       }
     });
 
@@ -276,6 +344,83 @@ export class EndgameSystem {
       requirements: {
         level: 90,
         groupSize: 8
+      },
+      encounter: {
+        enrage: { after: 900000, damage: 2.5, castSpeed: 2 },
+        abilities: {
+          void_blast: {
+            name: 'Void Blast',
+            damage: 500,
+            at: 'target',
+            telegraph: { shape: 'circle', radius: 100, duration: 1500 }
+          },
+          dimensional_tear: {
+            name: 'Dimensional Tear',
+            damage: 600,
+            telegraph: { shape: 'line', radius: 500, width: 60, duration: 1800 }
+          },
+          reality_break: {
+            name: 'Reality Break',
+            damage: 450,
+            at: 'target',
+            count: 6,
+            spread: 300,
+            telegraph: { shape: 'circle', radius: 70, duration: 2200 }
+          },
+          void_nova: {
+            name: 'Void Nova',
+            damage: 700,
+            telegraph: { shape: 'circle', radius: 250, duration: 2500 }
+          },
+          cosmic_storm: {
+            name: 'Cosmic Storm',
+            damage: 400,
+            at: 'target',
+            count: 8,
+            spread: 400,
+            telegraph: { shape: 'circle', radius: 90, duration: 2000 }
+          },
+          void_consumption: {
+            name: 'Void Consumption',
+            damage: 1000,
+            telegraph: { shape: 'cone', radius: 600, angle: 120, duration: 3500 }
+          }
+        },
+        phases: [
+          { name: 'Emergence', rotation: ['void_blast', 'dimensional_tear'], interval: 4000 },
+          {
+            name: 'Fracture',
+            trigger: { health: 0.85 },
+            rotation: ['reality_break', 'void_blast'],
+            interval: 4000,
+            adds: [{ type: 'shadow_assassin', count: 2, every: 45000 }]
+          },
+          {
+            name: 'Collapse',
+            trigger: { health: 0.7 },
+            rotation: ['void_nova', 'dimensional_tear', 'void_blast'],
+            interval: 3500
+          },
+          {
+            name: 'Singularity',
+            trigger: { health: 0.5 },
+            rotation: ['cosmic_storm', 'void_nova'],
+            interval: 3500,
+            adds: [{ type: 'shadow_assassin', count: 4, every: 40000 }]
+          },
+          {
+            name: 'Event Horizon',
+            trigger: { health: 0.3 },
+            rotation: ['void_consumption', 'reality_break', 'dimensional_tear'],
+            interval: 3000
+          },
+          {
+            name: 'Oblivion',
+            trigger: { health: 0.1 },
+            rotation: ['void_consumption', 'cosmic_storm', 'void_nova'],
+            interval: 2500
+          }
+        ]
       }
     });
 
@@ -308,6 +453,58 @@ export class EndgameSystem {
       requirements: {
         level: 85,
         groupSize: 6
+      },
+      encounter: {
+        enrage: { after: 480000, damage: 2, castSpeed: 1.5 },
+        abilities: {
+          time_stop: {
+            name: 'Time Stop',
+            damage: 150,
+            telegraph: { shape: 'circle', radius: 350, duration: 3000 }
+          },
+          temporal_blast: {
+            name: 'Temporal Blast',
+            damage: 350,
+            telegraph: { shape: 'line', radius: 400, width: 70, duration: 1200 }
+          },
+          time_rewind: {
+            name: 'Time Rewind',
+            damage: 250,
+            at: 'target',
+            telegraph: { shape: 'circle', radius: 120, duration: 1800 }
+          },
+          chrono_storm: {
+            name: 'Chrono Storm',
+            damage: 300,
+            at: 'target',
+            count: 5,
+            spread: 250,
+            telegraph: { shape: 'circle', radius: 80, duration: 2000 }
+          },
+          temporal_prison: {
+            name: 'Temporal Prison',
+            damage: 400,
+            at: 'target',
+            telegraph: { shape: 'circle', radius: 60, duration: 1500 }
+          }
+        },
+        phases: [
+          { name: 'Present', rotation: ['temporal_blast', 'time_rewind'], interval: 4000 },
+          // Holding out long enough in the present tears time open too
+          {
+            name: 'Past',
+            trigger: { health: 0.6, phaseTime: 180000 },
+            rotation: ['chrono_storm', 'temporal_prison', 'temporal_blast'],
+            interval: 3500,
+            adds: [{ type: 'skeleton', count: 3, every: 30000 }]
+          },
+          {
+            name: 'Future',
+            trigger: { health: 0.3 },
+            rotation: ['time_stop', 'chrono_storm', 'temporal_blast'],
+            interval: 3000
+          }
+        ]
       }
     });
   }
@@ -514,6 +711,7 @@ export class EndgameSystem {
     // Boss events
     this.eventBus.on('boss:spawn', this.spawnBoss.bind(this));
     this.eventBus.on('boss:defeat', this.defeatBoss.bind(this));
+    this.eventBus.on('boss:phaseChanged', this.handleBossPhaseChanged.bind(this));
     
     // PvP events
     this.eventBus.on('pvp:join', this.joinPvP.bind(this));
@@ -523,6 +721,9 @@ export class EndgameSystem {
     // Raid events
     this.eventBus.on('raid:start', this.startRaid.bind(this));
     this.eventBus.on('raid:complete', this.completeRaid.bind(this));
+    
+    // Content events
+    this.eventBus.on('content:updated', this.handleContentUpdated.bind(this));
   }
 
   /**
@@ -535,11 +736,45 @@ export class EndgameSystem {
     this.eventBus.removeListener('map:complete', this.completeMap.bind(this));
     this.eventBus.removeListener('boss:spawn', this.spawnBoss.bind(this));
     this.eventBus.removeListener('boss:defeat', this.defeatBoss.bind(this));
+    this.eventBus.removeListener('boss:phaseChanged', this.handleBossPhaseChanged.bind(this));
     this.eventBus.removeListener('pvp:join', this.joinPvP.bind(this));
     this.eventBus.removeListener('pvp:leave', this.leavePvP.bind(this));
     this.eventBus.removeListener('pvp:match', this.startPvPMatch.bind(this));
     this.eventBus.removeListener('raid:start', this.startRaid.bind(this));
     this.eventBus.removeListener('raid:complete', this.completeRaid.bind(this));
+    this.eventBus.removeListener('content:updated', this.handleContentUpdated.bind(this));
+  }
+
+  /**
+   * Get the content this system defines in code
+   */
+  getBuiltInContent() {
+    return {
+      bosses: this.endgameState.bossEncounters
+    };
+  }
+
+  /**
+   * Handle content updated (built-in content merged with content packs)
+   */
+  handleContentUpdated(data) {
+    const { types } = data;
+    if (!types.bosses) return;
+    
+    // Keep the progress of bosses that are still defined
+    const bossEncounters = new Map();
+    Object.entries(types.bosses).forEach(([bossId, definition]) => {
+      const current = this.endgameState.bossEncounters.get(bossId);
+      bossEncounters.set(bossId, {
+        ...definition,
+        id: bossId,
+        maxHealth: definition.maxHealth || definition.health,
+        currentPhase: current ? current.currentPhase : 1,
+        lastKilled: current ? current.lastKilled : null
+      });
+    });
+    
+    this.endgameState.bossEncounters = bossEncounters;
   }
 
   /**
@@ -639,7 +874,7 @@ export class EndgameSystem {
    * Spawn boss
    */
   spawnBoss(data) {
-    const { bossId, location } = data;
+    const { bossId, location, players = [] } = data;
     const boss = this.endgameState.bossEncounters.get(bossId);
     
     if (!boss) {
@@ -661,15 +896,26 @@ export class EndgameSystem {
     this.eventBus.emit('boss:spawned', {
       bossId,
       boss,
+      players,
       timestamp: Date.now()
     });
   }
 
   /**
-   * Defeat boss
+   * Handle boss phase changed (reported by the boss's encounter script)
+   */
+  handleBossPhaseChanged(data) {
+    const boss = this.endgameState.bossEncounters.get(data.bossId);
+    if (boss) {
+      boss.currentPhase = data.phase;
+    }
+  }
+
+  /**
+   * Defeat boss; performance is the encounter's per-phase breakdown
    */
   defeatBoss(data) {
-    const { bossId, players } = data;
+    const { bossId, players, performance = null } = data;
     const boss = this.endgameState.bossEncounters.get(bossId);
     
     if (!boss) {
@@ -682,15 +928,19 @@ export class EndgameSystem {
     
     // Update boss state
     boss.lastKilled = Date.now();
+    boss.lastPerformance = performance;
+    boss.lastReport = this.getCombatReport({ bossId });
     
     // Update leaderboards
-    this.updateBossLeaderboard(bossId, players);
+    this.updateBossLeaderboard(bossId, players, performance);
     
     this.eventBus.emit('boss:defeated', {
       bossId,
       boss,
       rewards,
       players,
+      performance,
+      report: boss.lastReport,
       timestamp: Date.now()
     });
   }
@@ -808,10 +1058,26 @@ export class EndgameSystem {
       raidInstance,
       rewards,
       completionTime,
+      report: this.getCombatReport({ raidId }),
       timestamp: Date.now()
     });
   }
 
+  /**
+   * Set the combat log boss and raid reports are taken from
+   */
+  setCombatLog(combatLog) {
+    this.combatLog = combatLog;
+  }
+
+  /**
+   * Get the combat log's summary of the latest matching encounter, with
+   * damage and healing per player and ability; null without a combat log
+   */
+  getCombatReport(match) {
+    return this.combatLog ? this.combatLog.findSummary(match) : null;
+  }
+
   /**
    * Update active raids
    */
@@ -998,12 +1264,13 @@ export class EndgameSystem {
   /**
    * Update boss leaderboard
    */
-  updateBossLeaderboard(bossId, players) {
+  updateBossLeaderboard(bossId, players, performance) {
     const leaderboard = this.endgameState.leaderboards.get('raid');
     
     const entry = {
       bossId: bossId,
       players: players.map(p => p.id),
+      duration: performance ? performance.duration : null,
       timestamp: Date.now()
     };
     
@@ -1206,7 +1473,7 @@ export class EndgameSystem {
    */
   async loadEndgameData() {
     try {
-      const savedData = localStorage.getItem('endgameData');
+      const savedData = this.storage.getItem('endgameData');
       if (savedData) {
         const data = JSON.parse(savedData);
         this.endgameState = { ...this.endgameState, ...data };
@@ -1228,7 +1495,7 @@ export class EndgameSystem {
         endgameUnlocked: this.endgameState.endgameUnlocked,
         timestamp: Date.now()
       };
-      localStorage.setItem('endgameData', JSON.stringify(data));
+      this.storage.setItem('endgameData', JSON.stringify(data));
       this.logger.info('Endgame data saved to storage');
     } catch (error) {
       this.logger.error('Failed to save endgame data:', error);
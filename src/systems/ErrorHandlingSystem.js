@@ -16,6 +16,7 @@ export class ErrorHandlingSystem {
     this.eventBus = dependencies.eventBus;
     this.logger = dependencies.logger;
     this.config = dependencies.config;
+    this.storage = dependencies.storage || globalThis.localStorage;
 
     // Validate required dependencies
     if (!this.eventBus) {
@@ -103,7 +104,7 @@ export class ErrorHandlingSystem {
     this.removeGlobalErrorHandlers();
     
     // Clear state
-    this.errorState.errorHistory.clear();
+    this.errorState.errorHistory = [];
     this.errorState.performanceMetrics.clear();
     this.errorState.validationRules.clear();
     this.errorState.recoveryStrategies.clear();
@@ -356,6 +357,9 @@ export class ErrorHandlingSystem {
    * Set up global error handlers
    */
   setupGlobalErrorHandlers() {
+    // Headless hosts have no window to listen on
+    if (typeof window === 'undefined') return;
+
     // Window error handler
     window.addEventListener('error', (event) => {
       this.handleGlobalError(event.error, event.filename, event.lineno, event.colno);
@@ -378,6 +382,8 @@ export class ErrorHandlingSystem {
    * Remove global error handlers
    */
   removeGlobalErrorHandlers() {
+    if (typeof window === 'undefined') return;
+
     // Remove event listeners
     window.removeEventListener('error', this.handleGlobalError);
     window.removeEventListener('unhandledrejection', this.handleUnhandledRejection);
@@ -428,16 +434,23 @@ export class ErrorHandlingSystem {
       line: lineno,
       column: colno,
       timestamp: Date.now(),
-      context: {
-        userAgent: navigator.userAgent,
-        url: window.location.href,
-        timestamp: Date.now()
-      }
+      context: this.getEnvironmentContext()
     };
     
     this.handleError({ error: errorRecord });
   }
 
+  /**
+   * Describe the runtime environment for error records
+   */
+  getEnvironmentContext() {
+    return {
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : 'headless',
+      url: typeof window !== 'undefined' ? window.location.href : null,
+      timestamp: Date.now()
+    };
+  }
+
   /**
    * Handle unhandled rejection
    */
@@ -450,11 +463,7 @@ export class ErrorHandlingSystem {
       stack: reason.stack,
       promise: promise,
       timestamp: Date.now(),
-      context: {
-        userAgent: navigator.userAgent,
-        url: window.location.href,
-        timestamp: Date.now()
-      }
+      context: this.getEnvironmentContext()
     };
     
     this.handleError({ error: errorRecord });
@@ -470,11 +479,7 @@ export class ErrorHandlingSystem {
       category: this.errorCategories.GAME_LOGIC,
       message: args.join(' '),
       timestamp: Date.now(),
-      context: {
-        userAgent: navigator.userAgent,
-        url: window.location.href,
-        timestamp: Date.now()
-      }
+      context: this.getEnvironmentContext()
     };
     
     this.handleError({ error: errorRecord });
@@ -1021,7 +1026,7 @@ export class ErrorHandlingSystem {
    */
   async loadErrorData() {
     try {
-      const savedData = localStorage.getItem('errorData');
+      const savedData = this.storage.getItem('errorData');
       if (savedData) {
         const data = JSON.parse(savedData);
         this.errorState.errorCount = data.errorCount || 0;
@@ -1043,7 +1048,7 @@ export class ErrorHandlingSystem {
         errorHistory: this.errorState.errorHistory.slice(-100), // Keep only recent errors
         timestamp: Date.now()
       };
-      localStorage.setItem('errorData', JSON.stringify(data));
+      this.storage.setItem('errorData', JSON.stringify(data));
       this.logger.info('Error data saved to storage');
     } catch (error) {
       this.logger.error('Failed to save error data:', error);
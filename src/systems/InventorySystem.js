@@ -0,0 +1,545 @@
+/**
+ * InventorySystem.js - Character inventory, equipment and shared stash
+ *
+ * This system handles:
+ * - The bag: a grid where items take space by size and stack by type
+ * - Moving items around the bag, with collision, and sorting it
+ * - Equipping and unequipping with slot, hand and requirement checks
+ * - A stash with named tabs, shared by every character and kept in storage
+ * - Saving the bag and equipment with the character
+ */
+
+import {
+  ItemGrid,
+  EQUIPMENT_SLOTS,
+  getEquipmentSlots,
+  getUnmetRequirements
+} from '../core/Inventory.js';
+
+export class InventorySystem {
+  constructor(dependencies = {}) {
+    // Dependency injection
+    this.eventBus = dependencies.eventBus;
+    this.logger = dependencies.logger;
+    this.config = dependencies.config;
+    this.storage = dependencies.storage || globalThis.localStorage;
+
+    // Validate required dependencies
+    if (!this.eventBus) {
+      throw new Error('InventorySystem requires eventBus dependency');
+    }
+    if (!this.logger) {
+      throw new Error('InventorySystem requires logger dependency');
+    }
+
+    // Inventory configuration
+    this.inventoryConfig = {
+      bagWidth: 8,
+      bagHeight: 5,
+      stashWidth: 12,
+      stashHeight: 12,
+      stashTabs: ['Main'],
+      maxStashTabs: 8,
+      stashStorageKey: 'sharedStash',
+      ...this.config?.inventory
+    };
+
+    // Character whose level and attributes gate equipment, usually the
+    // ARPG UI's character
+    this.character = dependencies.character || null;
+
+    this.bag = new ItemGrid(this.inventoryConfig.bagWidth, this.inventoryConfig.bagHeight);
+    this.equipment = new Map();
+    this.stash = this.inventoryConfig.stashTabs.map(name => this.createStashTab(name));
+
+    // Event handlers
+    this.setupEventHandlers();
+
+    this.logger.info('InventorySystem initialized');
+  }
+
+  /**
+   * Initialize the system
+   */
+  async initialize() {
+    this.logger.info('Initializing InventorySystem...');
+
+    // The stash outlives any one character
+    this.loadStash();
+
+    this.logger.info('InventorySystem initialized successfully');
+  }
+
+  /**
+   * Cleanup the system
+   */
+  cleanup() {
+    this.logger.info('Cleaning up InventorySystem...');
+
+    this.saveStash();
+
+    // Remove event listeners
+    this.removeEventHandlers();
+
+    this.logger.info('InventorySystem cleaned up');
+  }
+
+  /**
+   * Update the system
+   */
+  update() {
+    // Inventory only changes through its methods
+  }
+
+  /**
+   * Set up event handlers
+   */
+  setupEventHandlers() {
+    // Item events
+    this.eventBus.on('item:equip', this.handleEquipRequest.bind(this));
+    this.eventBus.on('item:unequip', this.handleUnequipRequest.bind(this));
+  }
+
+  /**
+   * Remove event handlers
+   */
+  removeEventHandlers() {
+    this.eventBus.removeListener('item:equip', this.handleEquipRequest.bind(this));
+    this.eventBus.removeListener('item:unequip', this.handleUnequipRequest.bind(this));
+  }
+
+  /**
+   * Handle a request to equip an item from the bag
+   */
+  handleEquipRequest(data) {
+    this.equipItem(data.itemId, data.slot);
+  }
+
+  /**
+   * Handle a request to unequip a slot
+   */
+  handleUnequipRequest(data) {
+    this.unequipItem(data.slot);
+  }
+
+  /**
+   * Set the character whose level and attributes gate equipment
+   */
+  setCharacter(character) {
+    this.character = character;
+  }
+
+  /**
+   * Run a change; returns { success, ... } and announces it, or
+   * { success: false, error } and logs why it was refused
+   */
+  attempt(action, change, container = 'bag') {
+    try {
+      const result = change();
+      this.eventBus.emit('inventory:changed', {
+        action,
+        container,
+        timestamp: Date.now()
+      });
+      return { success: true, ...result };
+    } catch (error) {
+      this.logger.warn(`Cannot ${action}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Add items to the bag; leftover is how many did not fit
+   */
+  addItem(item, quantity = 1) {
+    return this.attempt('add item', () => {
+      const leftover = this.bag.add(item, quantity);
+      if (leftover === quantity) {
+        throw new Error('The bag is full');
+      }
+      return { leftover };
+    });
+  }
+
+  /**
+   * Take items out of the bag
+   */
+  removeItem(itemId, quantity = null) {
+    return this.attempt('remove item', () => ({ entry: this.bag.remove(itemId, quantity) }));
+  }
+
+  /**
+   * Whether the bag has room for every one of some { item, quantity } stacks
+   */
+  canAddItems(stacks) {
+    const bag = this.bag.clone();
+    try {
+      return stacks.every(({ item, quantity }) => bag.add(item, quantity) === 0);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Take { item, quantity } stacks out of the bag from wherever they lie,
+   * all of them or none
+   */
+  takeItems(stacks) {
+    return this.attempt('take items', () => {
+      // Try it on a copy first so a missing item leaves the bag alone
+      const bag = this.bag.clone();
+      stacks.forEach(({ item, quantity }) => bag.take(item, quantity));
+
+      return { taken: stacks.flatMap(({ item, quantity }) => this.bag.take(item, quantity)) };
+    });
+  }
+
+  /**
+   * Move an item to a cell of the bag
+   */
+  moveItem(itemId, x, y) {
+    return this.attempt('move item', () => ({ entry: this.bag.move(itemId, x, y) }));
+  }
+
+  /**
+   * Merge stacks and sort the bag
+   */
+  sortBag() {
+    return this.attempt('sort bag', () => ({ entries: this.bag.sort() }));
+  }
+
+  /**
+   * Equip an item from the bag, in the given slot or the best free one.
+   * Whatever it replaces goes back to the bag, so there must be room
+   */
+  equipItem(itemId, slot = null) {
+    return this.attempt('equip item', () => {
+      const entry = this.bag.entries.get(itemId);
+      if (!entry) {
+        throw new Error(`Item not found in bag: ${itemId}`);
+      }
+
+      const { item } = entry;
+      const slots = getEquipmentSlots(item);
+      const target = slot || slots.find(candidate => !this.equipment.has(candidate)) || slots[0];
+      if (!target || !slots.includes(target)) {
+        throw new Error(`${item.name} cannot be worn in ${target || 'any slot'}`);
+      }
+
+      const unmet = getUnmetRequirements(item, this.character || undefined);
+      if (unmet.length > 0) {
+        throw new Error(`${item.name} ${unmet.join(', ')}`);
+      }
+
+      const mainHand = this.equipment.get('main_hand');
+      if (target === 'off_hand' && mainHand?.slot === 'two_hand') {
+        throw new Error(`${mainHand.name} needs both hands`);
+      }
+
+      // A two-handed weapon also takes the off hand
+      const replaced = [target];
+      if (item.slot === 'two_hand' && this.equipment.has('off_hand')) {
+        replaced.push('off_hand');
+      }
+      const removed = replaced.filter(name => this.equipment.has(name))
+        .map(name => ({ slot: name, item: this.equipment.get(name) }));
+
+      this.bag.remove(itemId);
+      try {
+        this.returnToBag(removed.map(({ item: removedItem }) => removedItem));
+      } catch (error) {
+        this.bag.place(item, entry.x, entry.y, entry.quantity);
+        throw error;
+      }
+
+      removed.forEach(({ slot: name, item: removedItem }) => {
+        this.equipment.delete(name);
+        this.eventBus.emit('item:unequipped', {
+          item: removedItem,
+          slot: name,
+          timestamp: Date.now()
+        });
+      });
+
+      this.equipment.set(target, item);
+      this.eventBus.emit('item:equipped', {
+        item,
+        slot: target,
+        timestamp: Date.now()
+      });
+
+      return { item, slot: target, unequipped: removed };
+    }, 'equipment');
+  }
+
+  /**
+   * Move an equipped item back to the bag
+   */
+  unequipItem(slot) {
+    return this.attempt('unequip item', () => {
+      const item = this.equipment.get(slot);
+      if (!item) {
+        throw new Error(`Nothing is equipped in ${slot}`);
+      }
+
+      this.returnToBag([item]);
+      this.equipment.delete(slot);
+
+      this.eventBus.emit('item:unequipped', {
+        item,
+        slot,
+        timestamp: Date.now()
+      });
+
+      return { item, slot };
+    }, 'equipment');
+  }
+
+  /**
+   * Put items in the bag, all of them or none
+   */
+  returnToBag(items) {
+    const placed = [];
+    for (const item of items) {
+      const space = this.bag.findSpace(item);
+      if (!space) {
+        placed.forEach(id => this.bag.remove(id));
+        throw new Error(`No room in the bag for ${item.name}`);
+      }
+      this.bag.place(item, space.x, space.y);
+      placed.push(item.id);
+    }
+  }
+
+  /**
+   * Get the item in an equipment slot
+   */
+  getEquippedItem(slot) {
+    return this.equipment.get(slot) || null;
+  }
+
+  /**
+   * Create an empty stash tab
+   */
+  createStashTab(name) {
+    return {
+      name,
+      grid: new ItemGrid(this.inventoryConfig.stashWidth, this.inventoryConfig.stashHeight)
+    };
+  }
+
+  /**
+   * Get a stash tab by index
+   */
+  getStashTab(index) {
+    const tab = this.stash[index];
+    if (!tab) {
+      throw new Error(`No stash tab ${index}`);
+    }
+    return tab;
+  }
+
+  /**
+   * Add a stash tab
+   */
+  addStashTab(name) {
+    return this.attempt('add stash tab', () => {
+      if (this.stash.length >= this.inventoryConfig.maxStashTabs) {
+        throw new Error(`The stash has the most tabs it can (${this.inventoryConfig.maxStashTabs})`);
+      }
+      this.stash.push(this.createStashTab(name));
+      this.saveStash();
+      return { tab: this.stash.length - 1 };
+    }, 'stash');
+  }
+
+  /**
+   * Rename a stash tab
+   */
+  renameStashTab(index, name) {
+    return this.attempt('rename stash tab', () => {
+      this.getStashTab(index).name = name;
+      this.saveStash();
+      return { tab: index };
+    }, 'stash');
+  }
+
+  /**
+   * Move an item from the bag to a stash tab, at a cell or the first free one
+   */
+  moveToStash(itemId, tabIndex, x = null, y = null) {
+    return this.attempt('move item to stash', () => {
+      const entry = this.transfer(this.bag, this.getStashTab(tabIndex).grid, itemId, x, y);
+      this.saveStash();
+      return { entry };
+    }, 'stash');
+  }
+
+  /**
+   * Move an item from a stash tab to the bag, at a cell or the first free one
+   */
+  moveFromStash(itemId, tabIndex, x = null, y = null) {
+    return this.attempt('move item from stash', () => {
+      const entry = this.transfer(this.getStashTab(tabIndex).grid, this.bag, itemId, x, y);
+      this.saveStash();
+      return { entry };
+    }, 'stash');
+  }
+
+  /**
+   * Move an item within a stash tab
+   */
+  moveInStash(itemId, tabIndex, x, y) {
+    return this.attempt('move item in stash', () => {
+      const entry = this.getStashTab(tabIndex).grid.move(itemId, x, y);
+      this.saveStash();
+      return { entry };
+    }, 'stash');
+  }
+
+  /**
+   * Merge stacks and sort a stash tab
+   */
+  sortStashTab(tabIndex) {
+    return this.attempt('sort stash tab', () => {
+      const entries = this.getStashTab(tabIndex).grid.sort();
+      this.saveStash();
+      return { entries };
+    }, 'stash');
+  }
+
+  /**
+   * Move a whole stack between grids; it stays where it was if it does not
+   * fit
+   */
+  transfer(from, to, itemId, x, y) {
+    const entry = from.remove(itemId);
+    try {
+      if (x === null || y === null) {
+        if (to.add(entry.item, entry.quantity) > 0) {
+          throw new Error(`No room for ${entry.item.name}`);
+        }
+        return to.entries.get(entry.item.id) || entry;
+      }
+      return to.place(entry.item, x, y, entry.quantity);
+    } catch (error) {
+      from.place(entry.item, entry.x, entry.y, entry.quantity);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the bag, equipment and stash for display
+   */
+  getInventoryState() {
+    return {
+      bag: {
+        width: this.bag.width,
+        height: this.bag.height,
+        entries: this.bag.getEntries()
+      },
+      equipment: Object.keys(EQUIPMENT_SLOTS).map(slot => ({
+        slot,
+        item: this.equipment.get(slot) || null
+      })),
+      stash: this.stash.map(tab => ({ name: tab.name, entries: tab.grid.getEntries() }))
+    };
+  }
+
+  /**
+   * Get the bag and equipment as save data, one record per item:
+   *   { container: 'bag', item, quantity, x, y }
+   *   { container: 'equipment', item, slot }
+   */
+  serialize() {
+    return [
+      ...this.bag.getEntries().map(entry => ({
+        container: 'bag',
+        item: entry.item,
+        quantity: entry.quantity,
+        x: entry.x,
+        y: entry.y
+      })),
+      ...Array.from(this.equipment.entries()).map(([slot, item]) => ({
+        container: 'equipment',
+        item,
+        slot
+      }))
+    ];
+  }
+
+  /**
+   * Restore the bag and equipment from save data. Items whose cell is taken
+   * or gone go to the first free one
+   */
+  deserialize(records = []) {
+    this.equipment.forEach((item, slot) => {
+      this.eventBus.emit('item:unequipped', { item, slot, timestamp: Date.now() });
+    });
+    this.equipment.clear();
+    this.bag.clear();
+
+    records.forEach(record => {
+      if (record.container === 'equipment') {
+        this.equipment.set(record.slot, record.item);
+        this.eventBus.emit('item:equipped', {
+          item: record.item,
+          slot: record.slot,
+          timestamp: Date.now()
+        });
+        return;
+      }
+
+      if (this.bag.canPlace(record.item, record.x, record.y)) {
+        this.bag.place(record.item, record.x, record.y, record.quantity);
+      } else if (this.bag.add(record.item, record.quantity) > 0) {
+        this.logger.warn(`No room in the bag for saved item ${record.item.name}`);
+      }
+    });
+
+    this.eventBus.emit('inventory:changed', {
+      action: 'load',
+      container: 'bag',
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Load the shared stash from storage
+   */
+  loadStash() {
+    try {
+      const saved = this.storage?.getItem(this.inventoryConfig.stashStorageKey);
+      if (!saved) return;
+
+      const tabs = JSON.parse(saved);
+      this.stash = tabs.map(tab => {
+        const stashTab = this.createStashTab(tab.name);
+        tab.entries.forEach(entry => {
+          stashTab.grid.place(entry.item, entry.x, entry.y, entry.quantity);
+        });
+        return stashTab;
+      });
+      this.logger.info('Shared stash loaded from storage');
+    } catch (error) {
+      this.logger.error('Failed to load shared stash:', error);
+    }
+  }
+
+  /**
+   * Save the shared stash to storage
+   */
+  saveStash() {
+    try {
+      const tabs = this.stash.map(tab => ({
+        name: tab.name,
+        entries: tab.grid.getEntries().map(({ item, quantity, x, y }) => ({ item, quantity, x, y }))
+      }));
+      this.storage?.setItem(this.inventoryConfig.stashStorageKey, JSON.stringify(tabs));
+    } catch (error) {
+      this.logger.error('Failed to save shared stash:', error);
+    }
+  }
+}
+
+export default InventorySystem;
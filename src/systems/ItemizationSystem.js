@@ -7,15 +7,24 @@
  * - Item socketing and gem integration
  * - Loot tables and drop rates
  * - Item enhancement and crafting
+ * - Currency crafting bench: rerolls, locks, sockets, upgrades and imprints
  * - Set items and unique properties
  */
 
+import { RNGService } from '../core/RNGService.js';
+import { CraftingBench } from '../core/CraftingBench.js';
+
 export class ItemizationSystem {
   constructor(dependencies = {}) {
     // Dependency injection
     this.eventBus = dependencies.eventBus;
     this.logger = dependencies.logger;
     this.config = dependencies.config;
+    this.storage = dependencies.storage || globalThis.localStorage;
+    this.rngService = dependencies.rng || new RNGService({ seed: this.config?.seed });
+    
+    // Wallet that pays for crafting, usually the TradingSystem
+    this.currency = dependencies.currency || null;
 
     // Validate required dependencies
     if (!this.eventBus) {
@@ -25,6 +34,9 @@ export class ItemizationSystem {
       throw new Error('ItemizationSystem requires logger dependency');
     }
 
+    // Loot stream for rarity, affix, socket and drop rolls
+    this.rng = this.rngService.stream('loot');
+
     // Item generation state
     this.itemState = {
       generatedItems: new Map(),
@@ -63,6 +75,18 @@ export class ItemizationSystem {
       }
     };
 
+    // Crafting bench configuration
+    this.craftingConfig = {
+      playerId: 'player',
+      costs: {}, // per operation, over the bench's default prices
+      ...this.config?.crafting
+    };
+    
+    this.craftingBench = new CraftingBench({
+      maxAffixes: this.itemConfig.maxAffixes,
+      costs: this.craftingConfig.costs
+    });
+
     // Initialize item systems
     this.initializeItemTemplates();
     this.initializeAffixDatabase();
@@ -143,7 +167,7 @@ export class ItemizationSystem {
     this.itemState.itemTemplates.set('bow', {
       name: 'Bow',
       type: 'weapon',
-      slot: 'main_hand',
+      slot: 'two_hand',
       baseStats: {
         damage: { min: 8, max: 16 },
         attackSpeed: 1.2,
@@ -161,7 +185,7 @@ export class ItemizationSystem {
     this.itemState.itemTemplates.set('staff', {
       name: 'Staff',
       type: 'weapon',
-      slot: 'main_hand',
+      slot: 'two_hand',
       baseStats: {
         damage: { min: 6, max: 12 },
         attackSpeed: 0.8,
@@ -225,6 +249,23 @@ export class ItemizationSystem {
       maxSockets: 2
     });
 
+    this.itemState.itemTemplates.set('shield', {
+      name: 'Shield',
+      type: 'armor',
+      slot: 'off_hand',
+      baseStats: {
+        armor: 12,
+        blockChance: 0.1
+      },
+      requirements: {
+        level: 1,
+        strength: 12
+      },
+      allowedAffixes: ['armor', 'health', 'resistance', 'damage_reduction'],
+      socketTypes: ['armor'],
+      maxSockets: 3
+    });
+
     // Accessory templates
     this.itemState.itemTemplates.set('ring', {
       name: 'Ring',
@@ -643,6 +684,7 @@ export class ItemizationSystem {
     this.eventBus.on('item:identify', this.identifyItem.bind(this));
     this.eventBus.on('item:enhance', this.enhanceItem.bind(this));
     this.eventBus.on('item:socket', this.socketItem.bind(this));
+    this.eventBus.on('item:craft', this.craftItem.bind(this));
     
     // Crafting events
     this.eventBus.on('crafting:start', this.startCrafting.bind(this));
@@ -651,6 +693,9 @@ export class ItemizationSystem {
     // Loot events
     this.eventBus.on('loot:drop', this.dropLoot.bind(this));
     this.eventBus.on('loot:pickup', this.pickupLoot.bind(this));
+    
+    // Content events
+    this.eventBus.on('content:updated', this.handleContentUpdated.bind(this));
   }
 
   /**
@@ -661,10 +706,36 @@ export class ItemizationSystem {
     this.eventBus.removeListener('item:identify', this.identifyItem.bind(this));
     this.eventBus.removeListener('item:enhance', this.enhanceItem.bind(this));
     this.eventBus.removeListener('item:socket', this.socketItem.bind(this));
+    this.eventBus.removeListener('item:craft', this.craftItem.bind(this));
     this.eventBus.removeListener('crafting:start', this.startCrafting.bind(this));
     this.eventBus.removeListener('crafting:complete', this.completeCrafting.bind(this));
     this.eventBus.removeListener('loot:drop', this.dropLoot.bind(this));
     this.eventBus.removeListener('loot:pickup', this.pickupLoot.bind(this));
+    this.eventBus.removeListener('content:updated', this.handleContentUpdated.bind(this));
+  }
+
+  /**
+   * Get the content this system defines in code
+   */
+  getBuiltInContent() {
+    return {
+      items: this.itemState.itemTemplates,
+      affixes: this.itemState.affixDatabase
+    };
+  }
+
+  /**
+   * Handle content updated (built-in content merged with content packs)
+   */
+  handleContentUpdated(data) {
+    const { types } = data;
+    
+    if (types.items) {
+      this.itemState.itemTemplates = new Map(Object.entries(types.items));
+    }
+    if (types.affixes) {
+      this.itemState.affixDatabase = new Map(Object.entries(types.affixes));
+    }
   }
 
   /**
@@ -736,7 +807,7 @@ export class ItemizationSystem {
    * Determine item rarity
    */
   determineRarity() {
-    const roll = Math.random() * 100;
+    const roll = this.rng.next() * 100;
     
     if (roll < 60) return 'common';
     if (roll < 85) return 'uncommon';
@@ -749,7 +820,7 @@ export class ItemizationSystem {
    * Determine item quality
    */
   determineQuality() {
-    const roll = Math.random() * 100;
+    const roll = this.rng.next() * 100;
     
     if (roll < 40) return 'normal';
     if (roll < 70) return 'superior';
@@ -762,7 +833,7 @@ export class ItemizationSystem {
    */
   generateAffixes(item, template) {
     const maxAffixes = this.itemConfig.maxAffixes[item.rarity];
-    const affixCount = Math.floor(Math.random() * maxAffixes) + 1;
+    const affixCount = this.rng.nextInt(1, maxAffixes);
     
     const availableAffixes = this.getAvailableAffixes(template.allowedAffixes, item.level);
     
@@ -801,11 +872,11 @@ export class ItemizationSystem {
   /**
    * Select random affix
    */
-  selectRandomAffix(availableAffixes, level) {
+  selectRandomAffix(availableAffixes, level, rng = this.rng) {
     if (availableAffixes.length === 0) return null;
     
     const totalWeight = availableAffixes.reduce((sum, affix) => sum + affix.weight, 0);
-    let randomWeight = Math.random() * totalWeight;
+    let randomWeight = rng.next() * totalWeight;
     
     for (const affix of availableAffixes) {
       randomWeight -= affix.weight;
@@ -820,7 +891,7 @@ export class ItemizationSystem {
   /**
    * Create affix instance
    */
-  createAffixInstance(affix, level) {
+  createAffixInstance(affix, level, rng = this.rng) {
     const instance = {
       id: affix.name.toLowerCase().replace(/\s+/g, '_'),
       name: affix.name,
@@ -833,7 +904,7 @@ export class ItemizationSystem {
     Object.entries(affix.stats).forEach(([stat, range]) => {
       const min = range.min * (1 + level * 0.1);
       const max = range.max * (1 + level * 0.1);
-      instance.stats[stat] = Math.floor(Math.random() * (max - min + 1)) + min;
+      instance.stats[stat] = Math.floor(rng.next() * (max - min + 1)) + min;
     });
     
     return instance;
@@ -845,13 +916,13 @@ export class ItemizationSystem {
   generateSockets(item, template) {
     const socketChance = this.itemConfig.socketChances[item.rarity];
     
-    if (Math.random() < socketChance) {
-      const socketCount = Math.floor(Math.random() * template.maxSockets) + 1;
+    if (this.rng.chance(socketChance)) {
+      const socketCount = this.rng.nextInt(1, template.maxSockets);
       
       for (let i = 0; i < socketCount; i++) {
         item.sockets.push({
           id: `socket_${i}`,
-          type: template.socketTypes[Math.floor(Math.random() * template.socketTypes.length)],
+          type: this.rng.pick(template.socketTypes),
           gem: null
         });
       }
@@ -900,7 +971,10 @@ export class ItemizationSystem {
    * Calculate final stats
    */
   calculateFinalStats(item) {
-    item.finalStats = { ...item.baseStats };
+    // Copy ranges too, so recalculating never changes the base stats
+    item.finalStats = Object.fromEntries(Object.entries(item.baseStats).map(([stat, value]) => (
+      [stat, typeof value === 'object' ? { ...value } : value]
+    )));
     
     // Apply affix stats
     item.affixes.forEach(affix => {
@@ -1063,6 +1137,120 @@ export class ItemizationSystem {
     this.logger.info(`Applied gem effects: ${gemId}`);
   }
 
+  /**
+   * Set the wallet that pays for crafting
+   */
+  setCurrencyProvider(provider) {
+    this.currency = provider;
+  }
+
+  /**
+   * Get the template an item was made from
+   */
+  findItemTemplate(item) {
+    for (const template of this.itemState.itemTemplates.values()) {
+      if (template.name === item.template) {
+        return template;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get what a crafting operation costs on an item, as { currency: amount }
+   */
+  getCraftingCost(itemId, operation) {
+    const item = this.itemState.generatedItems.get(itemId);
+    return item ? this.craftingBench.getCost(item, operation) : null;
+  }
+
+  /**
+   * Craft an item on the bench; pays for the operation only when it works.
+   * Returns { success, item, cost, changes } or { success: false, error }
+   */
+  craftItem(data) {
+    const { itemId, operation, affixId } = data;
+    const item = this.itemState.generatedItems.get(itemId);
+    
+    try {
+      if (!item) {
+        throw new Error(`Item not found: ${itemId}`);
+      }
+      
+      const template = this.findItemTemplate(item);
+      if (!template) {
+        throw new Error(`Unknown item template: ${item.template}`);
+      }
+      
+      const cost = this.craftingBench.getCost(item, operation);
+      const result = this.craftingBench.apply(item, operation, this.createCraftingContext(item, template), { affixId });
+      
+      this.payCraftingCost(cost);
+      
+      // The craft count names the next craft's random stream
+      Object.assign(item, result.item, { craftCount: (item.craftCount || 0) + 1 });
+      this.calculateFinalStats(item);
+      
+      this.eventBus.emit('item:crafted', {
+        item,
+        operation,
+        cost,
+        changes: result.changes,
+        timestamp: Date.now()
+      });
+      
+      return { success: true, item, cost, changes: result.changes };
+    } catch (error) {
+      this.logger.warn(`Cannot craft ${operation} on ${itemId}: ${error.message}`);
+      
+      this.eventBus.emit('item:craftFailed', {
+        itemId,
+        operation,
+        error: error.message,
+        timestamp: Date.now()
+      });
+      
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get what the crafting bench needs to know about an item
+   */
+  createCraftingContext(item, template) {
+    const rng = this.rng.fork(`craft_${item.id}_${item.craftCount || 0}`);
+    
+    return {
+      rng,
+      template,
+      affixes: this.getAvailableAffixes(template.allowedAffixes, item.level),
+      createAffix: affix => this.createAffixInstance(affix, item.level, rng),
+      findAffix: affix => [...this.itemState.affixDatabase.values()].find(definition => definition.name === affix.name)
+    };
+  }
+
+  /**
+   * Take a crafting cost from the wallet, all of it or none
+   */
+  payCraftingCost(cost) {
+    const entries = Object.entries(cost).filter(([, amount]) => amount > 0);
+    if (entries.length === 0) return;
+    
+    if (!this.currency) {
+      throw new Error('No currency provider to pay for crafting');
+    }
+    
+    const { playerId } = this.craftingConfig;
+    for (const [currency, amount] of entries) {
+      const balance = this.currency.getBalance(playerId, currency);
+      if (balance < amount) {
+        throw new Error(`Needs ${amount} ${currency}, has ${balance}`);
+      }
+    }
+    
+    entries.forEach(([currency, amount]) => this.currency.spendCurrency(playerId, currency, amount, 'crafting'));
+  }
+
   /**
    * Start crafting
    */
@@ -1167,7 +1355,7 @@ export class ItemizationSystem {
     const loot = [];
     
     for (const entry of lootTable) {
-      if (Math.random() < entry.chance) {
+      if (this.rng.chance(entry.chance)) {
         const item = this.generateItem({
           template: entry.item,
           level: level || entry.level,
@@ -1222,7 +1410,7 @@ export class ItemizationSystem {
    */
   async loadItemData() {
     try {
-      const savedData = localStorage.getItem('itemizationData');
+      const savedData = this.storage.getItem('itemizationData');
       if (savedData) {
         const data = JSON.parse(savedData);
         // Restore item state
@@ -1242,7 +1430,7 @@ export class ItemizationSystem {
         generatedItems: Array.from(this.itemState.generatedItems.entries()),
         timestamp: Date.now()
       };
-      localStorage.setItem('itemizationData', JSON.stringify(data));
+      this.storage.setItem('itemizationData', JSON.stringify(data));
       this.logger.info('Item data saved to storage');
     } catch (error) {
       this.logger.error('Failed to save item data:', error);
@@ -0,0 +1,296 @@
+/**
+ * LootFilterSystem.js - User-editable loot filter for item drops
+ *
+ * This system handles:
+ * - Labelling every drop from the itemization and combat systems with the
+ *   filter's verdict: hidden, or shown with a color, size, sound and beam
+ * - Playing the sounds of shown drops
+ * - Replacing the filter, with line-numbered errors for bad sources
+ * - Previewing a filter against the most recent drops
+ * - Keeping the filter in the save's settings
+ */
+
+import { LootFilter, DEFAULT_LABEL } from '../core/LootFilter.js';
+
+// Shown until the player writes their own filter
+export const DEFAULT_LOOT_FILTER = `# Legendaries and uniques stand out
+Show
+  Rarity >= legendary
+  SetColor orange
+  SetLabelSize large
+  PlaySound legendary_drop
+  Beam orange
+
+# Set pieces
+Show
+  SetItem
+  SetColor green
+  Beam green
+
+Show
+  Rarity epic
+  SetColor purple
+
+Show
+  Rarity rare
+  SetColor yellow
+`;
+
+export class LootFilterSystem {
+  constructor(dependencies = {}) {
+    // Dependency injection
+    this.eventBus = dependencies.eventBus;
+    this.logger = dependencies.logger;
+    this.config = dependencies.config;
+
+    // Validate required dependencies
+    if (!this.eventBus) {
+      throw new Error('LootFilterSystem requires eventBus dependency');
+    }
+    if (!this.logger) {
+      throw new Error('LootFilterSystem requires logger dependency');
+    }
+
+    // Loot filter configuration
+    this.lootFilterConfig = {
+      source: DEFAULT_LOOT_FILTER,
+      recentDrops: 50, // drops kept for previews
+      ...this.config?.lootFilter
+    };
+
+    this.filter = new LootFilter(this.lootFilterConfig.source);
+    this.enabled = true;
+
+    // Latest drops, oldest first: { item, quantity, position, source }
+    this.recentDrops = [];
+
+    // Event handlers
+    this.setupEventHandlers();
+
+    this.logger.info('LootFilterSystem initialized');
+  }
+
+  /**
+   * Initialize the system
+   */
+  async initialize() {
+    this.logger.info('Initializing LootFilterSystem...');
+    this.logger.info('LootFilterSystem initialized successfully');
+  }
+
+  /**
+   * Cleanup the system
+   */
+  cleanup() {
+    this.logger.info('Cleaning up LootFilterSystem...');
+
+    this.recentDrops = [];
+
+    // Remove event listeners
+    this.removeEventHandlers();
+
+    this.logger.info('LootFilterSystem cleaned up');
+  }
+
+  /**
+   * Update the system
+   */
+  update() {
+    // Drops are labelled as they happen
+  }
+
+  /**
+   * Set up event handlers
+   */
+  setupEventHandlers() {
+    // Loot events
+    this.eventBus.on('loot:dropped', this.handleLootDropped.bind(this));
+    this.eventBus.on('combat:lootDropped', this.handleCombatLootDropped.bind(this));
+  }
+
+  /**
+   * Remove event handlers
+   */
+  removeEventHandlers() {
+    this.eventBus.removeListener('loot:dropped', this.handleLootDropped.bind(this));
+    this.eventBus.removeListener('combat:lootDropped', this.handleCombatLootDropped.bind(this));
+  }
+
+  /**
+   * Handle loot generated from a loot table
+   */
+  handleLootDropped(data) {
+    this.labelDrops(data.loot.map(entry => ({
+      item: entry.item,
+      quantity: entry.quantity || 1,
+      position: data.position || entry.position,
+      source: 'itemization'
+    })));
+  }
+
+  /**
+   * Handle loot dropped by a dead enemy; its items are plain ids
+   */
+  handleCombatLootDropped(data) {
+    const level = data.entity?.level || 1;
+
+    this.labelDrops(data.loot.items.map(itemId => ({
+      item: typeof itemId === 'string' ? this.describeLootItem(itemId, level) : itemId,
+      quantity: 1,
+      position: data.position,
+      source: 'combat'
+    })));
+  }
+
+  /**
+   * Describe a plain item id as an item the filter can match
+   */
+  describeLootItem(itemId, level) {
+    return {
+      id: itemId,
+      name: itemId,
+      template: itemId,
+      type: 'material',
+      rarity: 'common',
+      level,
+      sockets: [],
+      affixes: []
+    };
+  }
+
+  /**
+   * Label drops, remember them for previews and announce them
+   */
+  labelDrops(drops) {
+    if (drops.length === 0) return [];
+
+    const labelled = drops.map(drop => ({ ...drop, label: this.evaluate(drop.item) }));
+
+    this.recentDrops.push(...drops);
+    if (this.recentDrops.length > this.lootFilterConfig.recentDrops) {
+      this.recentDrops.splice(0, this.recentDrops.length - this.lootFilterConfig.recentDrops);
+    }
+
+    labelled.forEach(drop => {
+      if (drop.label.visible && drop.label.sound) {
+        this.eventBus.emit('sound:play', {
+          soundId: drop.label.sound.id,
+          options: { volume: drop.label.sound.volume, position: drop.position }
+        });
+      }
+    });
+
+    this.eventBus.emit('loot:filtered', {
+      drops: labelled,
+      hidden: labelled.filter(drop => !drop.label.visible).length,
+      timestamp: Date.now()
+    });
+    return labelled;
+  }
+
+  /**
+   * Get the label of an item; everything is shown plainly while the
+   * filter is off
+   */
+  evaluate(item) {
+    return this.enabled ? this.filter.evaluate(item) : { ...DEFAULT_LABEL };
+  }
+
+  /**
+   * Replace the filter; returns the problems with the source, and keeps
+   * the current filter when there are any
+   */
+  setFilter(source) {
+    const errors = LootFilter.check(source);
+    if (errors.length > 0) {
+      this.logger.warn(`Loot filter has ${errors.length} error(s)`);
+      return errors;
+    }
+
+    this.filter = new LootFilter(source);
+
+    this.eventBus.emit('lootFilter:changed', {
+      source,
+      rules: this.filter.rules.length,
+      timestamp: Date.now()
+    });
+    return [];
+  }
+
+  /**
+   * Get the filter's source
+   */
+  getFilterSource() {
+    return this.filter.source;
+  }
+
+  /**
+   * Get the problems with a source without applying it
+   */
+  checkFilter(source) {
+    return LootFilter.check(source);
+  }
+
+  /**
+   * Turn filtering on or off
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+  }
+
+  /**
+   * Label the recent drops with a filter that is being edited, newest
+   * first, next to how the current filter labels them
+   */
+  preview(source = this.filter.source) {
+    const errors = LootFilter.check(source);
+    if (errors.length > 0) {
+      return { errors, drops: [], shown: 0, hidden: 0 };
+    }
+
+    const filter = new LootFilter(source);
+    const drops = [...this.recentDrops].reverse().map(drop => ({
+      ...drop,
+      label: filter.evaluate(drop.item),
+      current: this.evaluate(drop.item)
+    }));
+    const hidden = drops.filter(drop => !drop.label.visible).length;
+
+    return { errors: [], drops, shown: drops.length - hidden, hidden };
+  }
+
+  /**
+   * Get the latest drops, oldest first
+   */
+  getRecentDrops() {
+    return [...this.recentDrops];
+  }
+
+  /**
+   * Get the settings the save system keeps
+   */
+  getSettings() {
+    return {
+      source: this.filter.source,
+      enabled: this.enabled
+    };
+  }
+
+  /**
+   * Restore saved settings; a saved filter that no longer parses is
+   * ignored
+   */
+  applySettings(settings = {}) {
+    if (typeof settings.enabled === 'boolean') {
+      this.enabled = settings.enabled;
+    }
+    if (typeof settings.source === 'string') {
+      const errors = this.setFilter(settings.source);
+      if (errors.length > 0) {
+        this.logger.warn('Saved loot filter is invalid; keeping the current one');
+      }
+    }
+  }
+}
+
+export default LootFilterSystem;
@@ -0,0 +1,349 @@
+/**
+ * NavigationSystem.js - Pathfinding for enemies and the player
+ *
+ * This system handles:
+ * - Building a navigation grid for each generated area and dungeon
+ * - Steering agents around obstacles with smoothed A* paths
+ * - Switching to shared flow fields when a horde chases one target
+ * - Click-to-move for the player
+ */
+
+import { NavigationGrid } from '../core/NavigationGrid.js';
+
+export class NavigationSystem {
+  constructor(dependencies = {}) {
+    // Dependency injection
+    this.eventBus = dependencies.eventBus;
+    this.logger = dependencies.logger;
+    this.config = dependencies.config;
+
+    // Validate required dependencies
+    if (!this.eventBus) {
+      throw new Error('NavigationSystem requires eventBus dependency');
+    }
+    if (!this.logger) {
+      throw new Error('NavigationSystem requires logger dependency');
+    }
+
+    // Navigation configuration
+    this.navigationConfig = {
+      cellSize: 20,
+      corridorWidth: 40,
+      maxFlowFields: 8,
+      flowFieldThreshold: 6, // agents sharing a goal before they use a flow field
+      clickToMove: true,
+      playerSpeed: 200, // pixels per second
+      ...this.config?.navigation
+    };
+
+    // Grid in use, and the area grid to go back to after a dungeon
+    this.grid = null;
+    this.areaGrid = null;
+
+    // Planned route per agent id: { goal, version, waypoints }
+    this.routes = new Map();
+
+    // Agents heading to each goal cell, this frame and last frame
+    this.goalDemand = new Map();
+    this.lastGoalDemand = new Map();
+
+    // Player position, camera offset and click-to-move route
+    this.playerPosition = { x: 400, y: 300 };
+    this.view = { x: 0, y: 0 };
+    this.playerRoute = null;
+
+    // Event handlers
+    this.setupEventHandlers();
+
+    this.logger.info('NavigationSystem initialized');
+  }
+
+  /**
+   * Initialize the system
+   */
+  async initialize() {
+    this.logger.info('Initializing NavigationSystem...');
+    this.logger.info('NavigationSystem initialized successfully');
+  }
+
+  /**
+   * Cleanup the system
+   */
+  cleanup() {
+    this.logger.info('Cleaning up NavigationSystem...');
+
+    this.grid = null;
+    this.areaGrid = null;
+    this.routes.clear();
+    this.goalDemand.clear();
+    this.lastGoalDemand.clear();
+    this.playerRoute = null;
+
+    // Remove event listeners
+    this.removeEventHandlers();
+
+    this.logger.info('NavigationSystem cleaned up');
+  }
+
+  /**
+   * Update the system
+   */
+  update(deltaTime) {
+    // Horde sizes are judged on the previous frame's demand
+    this.lastGoalDemand = this.goalDemand;
+    this.goalDemand = new Map();
+
+    this.updatePlayerRoute(deltaTime);
+  }
+
+  /**
+   * Set up event handlers
+   */
+  setupEventHandlers() {
+    // Area events
+    this.eventBus.on('area:generated', this.handleAreaGenerated.bind(this));
+    this.eventBus.on('dungeon:entered', this.handleDungeonEntered.bind(this));
+    this.eventBus.on('dungeon:exited', this.handleDungeonExited.bind(this));
+
+    // Player events
+    this.eventBus.on('player:move', this.handlePlayerMove.bind(this));
+
+    // Input events
+    this.eventBus.on('input:mouseDown', this.handleMouseDown.bind(this));
+  }
+
+  /**
+   * Remove event handlers
+   */
+  removeEventHandlers() {
+    this.eventBus.removeListener('area:generated', this.handleAreaGenerated.bind(this));
+    this.eventBus.removeListener('dungeon:entered', this.handleDungeonEntered.bind(this));
+    this.eventBus.removeListener('dungeon:exited', this.handleDungeonExited.bind(this));
+    this.eventBus.removeListener('player:move', this.handlePlayerMove.bind(this));
+    this.eventBus.removeListener('input:mouseDown', this.handleMouseDown.bind(this));
+  }
+
+  /**
+   * Handle area generated
+   */
+  handleAreaGenerated(data) {
+    this.areaGrid = NavigationGrid.fromArea(data.area, this.navigationConfig);
+    this.setGrid(this.areaGrid);
+    this.logger.info(`Navigation grid built for area: ${data.area.id}`);
+  }
+
+  /**
+   * Handle dungeon entered
+   */
+  handleDungeonEntered(data) {
+    try {
+      this.setGrid(NavigationGrid.fromDungeon(data.dungeon, this.navigationConfig));
+      this.logger.info(`Navigation grid built for dungeon: ${data.dungeonId}`);
+    } catch (error) {
+      this.logger.error(error.message);
+    }
+  }
+
+  /**
+   * Handle dungeon exited
+   */
+  handleDungeonExited() {
+    this.setGrid(this.areaGrid);
+  }
+
+  /**
+   * Replace the grid; planned routes are dropped
+   */
+  setGrid(grid) {
+    this.grid = grid;
+    this.routes.clear();
+    this.playerRoute = null;
+  }
+
+  /**
+   * Get the grid in use
+   */
+  getGrid() {
+    return this.grid;
+  }
+
+  /**
+   * Check whether a point can be walked on
+   */
+  isWalkable(point) {
+    return !this.grid || this.grid.isWalkable(point);
+  }
+
+  /**
+   * Find the waypoints from one point to another, null when unreachable
+   */
+  findPath(from, to) {
+    if (!this.covers(from, to)) return [{ x: to.x, y: to.y }];
+    return this.grid.findPath(from, to);
+  }
+
+  /**
+   * Check whether the grid covers both points; outside it agents go
+   * straight
+   */
+  covers(from, to) {
+    return Boolean(this.grid && this.grid.contains(from) && this.grid.contains(to));
+  }
+
+  /**
+   * Get the point an agent should head for to reach a target, or null
+   * when the target cannot be reached
+   */
+  getWaypoint(agent, target) {
+    if (!this.covers(agent, target) || this.grid.hasLineOfSight(agent, target)) {
+      this.routes.delete(agent.id);
+      return target;
+    }
+
+    const goal = this.grid.toCellIndex(target);
+    this.goalDemand.set(goal, (this.goalDemand.get(goal) || 0) + 1);
+
+    // A horde shares one flow field instead of searching per agent
+    if ((this.lastGoalDemand.get(goal) || 0) >= this.navigationConfig.flowFieldThreshold) {
+      this.routes.delete(agent.id);
+      return this.grid.getFlowWaypoint(agent, target);
+    }
+
+    let route = this.routes.get(agent.id);
+    if (!route || route.goal !== goal || route.version !== this.grid.version) {
+      route = {
+        goal,
+        version: this.grid.version,
+        waypoints: this.grid.findPath(agent, target)
+      };
+      this.routes.set(agent.id, route);
+    }
+    if (!route.waypoints) return null;
+
+    return this.nextWaypoint(agent, route.waypoints);
+  }
+
+  /**
+   * Drop the waypoints a position has reached and return the next one
+   */
+  nextWaypoint(position, waypoints) {
+    const reach = this.grid ? this.grid.cellSize / 2 : 1;
+    while (
+      waypoints.length > 1 &&
+      Math.hypot(waypoints[0].x - position.x, waypoints[0].y - position.y) <= reach
+    ) {
+      waypoints.shift();
+    }
+    return waypoints[0] || null;
+  }
+
+  /**
+   * Forget an agent's route
+   */
+  forgetAgent(agentId) {
+    this.routes.delete(agentId);
+  }
+
+  /**
+   * Handle player move; moves from anything but click-to-move cancel it
+   */
+  handlePlayerMove(data) {
+    this.playerPosition = { x: data.x, y: data.y };
+    if (data.source !== 'navigation') {
+      this.playerRoute = null;
+    }
+  }
+
+  /**
+   * Set the world position shown at the top left of the screen
+   */
+  setView(view) {
+    this.view = { x: view.x, y: view.y };
+  }
+
+  /**
+   * Convert a screen position to the world
+   */
+  screenToWorld(x, y) {
+    return { x: x + this.view.x, y: y + this.view.y };
+  }
+
+  /**
+   * Handle mouse down: a left click walks the player there
+   */
+  handleMouseDown(data) {
+    if (!this.navigationConfig.clickToMove || data.button !== 0) return;
+
+    this.movePlayerTo(this.screenToWorld(data.x, data.y));
+  }
+
+  /**
+   * Walk the player to a world position
+   */
+  movePlayerTo(destination) {
+    const waypoints = this.findPath(this.playerPosition, destination);
+
+    if (!waypoints) {
+      this.playerRoute = null;
+      this.eventBus.emit('navigation:unreachable', {
+        destination,
+        timestamp: Date.now()
+      });
+      return false;
+    }
+
+    this.playerRoute = { destination, waypoints };
+    this.eventBus.emit('navigation:moveStarted', {
+      destination,
+      waypoints: [...waypoints],
+      timestamp: Date.now()
+    });
+    return true;
+  }
+
+  /**
+   * Stop click-to-move
+   */
+  stopPlayer() {
+    this.playerRoute = null;
+  }
+
+  /**
+   * Advance the player along its click-to-move route
+   */
+  updatePlayerRoute(deltaTime) {
+    const route = this.playerRoute;
+    if (!route) return;
+
+    let step = this.navigationConfig.playerSpeed * deltaTime / 1000;
+    const position = { ...this.playerPosition };
+
+    while (step > 0 && route.waypoints.length > 0) {
+      const waypoint = route.waypoints[0];
+      const distance = Math.hypot(waypoint.x - position.x, waypoint.y - position.y);
+
+      if (distance <= step) {
+        position.x = waypoint.x;
+        position.y = waypoint.y;
+        route.waypoints.shift();
+        step -= distance;
+      } else {
+        position.x += (waypoint.x - position.x) / distance * step;
+        position.y += (waypoint.y - position.y) / distance * step;
+        step = 0;
+      }
+    }
+
+    this.eventBus.emit('player:move', { x: position.x, y: position.y, source: 'navigation' });
+
+    if (route.waypoints.length === 0) {
+      this.playerRoute = null;
+      this.eventBus.emit('navigation:arrived', {
+        destination: route.destination,
+        timestamp: Date.now()
+      });
+    }
+  }
+}
+
+export default NavigationSystem;
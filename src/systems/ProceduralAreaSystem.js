@@ -10,12 +10,15 @@
  * - Exploration mechanics
  */
 
+import { RNGService } from '../core/RNGService.js';
+
 export class ProceduralAreaSystem {
   constructor(dependencies = {}) {
     // Dependency injection
     this.eventBus = dependencies.eventBus;
     this.logger = dependencies.logger;
     this.config = dependencies.config;
+    this.rngService = dependencies.rng || new RNGService({ seed: this.config?.seed });
 
     // Validate required dependencies
     if (!this.eventBus) {
@@ -25,13 +28,17 @@ export class ProceduralAreaSystem {
       throw new Error('ProceduralAreaSystem requires logger dependency');
     }
 
+    // World generation stream; each area and dungeon forks its own
+    this.worldRng = this.rngService.stream('world');
+    this.rng = this.worldRng;
+
     // Area generation state
     this.generationState = {
       currentArea: null,
       generatedAreas: new Map(),
       activeDungeons: new Map(),
       explorationData: new Map(),
-      seed: Date.now(),
+      seed: this.rngService.getSeed(),
     };
 
     // Generation configuration
@@ -43,6 +50,7 @@ export class ProceduralAreaSystem {
       biomeTransitionSmoothness: 0.3,
       lootDensity: 0.1,
       enemyDensity: 0.05,
+      roomSpacing: 80
     };
 
     // Biome definitions
@@ -69,9 +77,6 @@ export class ProceduralAreaSystem {
   async initialize() {
     this.logger.info('Initializing ProceduralAreaSystem...');
     
-    // Set up random number generator with seed
-    this.rng = this.createSeededRNG(this.generationState.seed);
-    
     // Generate initial area
     await this.generateArea('starting_forest', 0, 0);
     
@@ -453,6 +458,9 @@ export class ProceduralAreaSystem {
     // Exploration events
     this.eventBus.on('exploration:discover', this.handleDiscovery.bind(this));
     this.eventBus.on('exploration:loot', this.handleLootDiscovery.bind(this));
+    
+    // Content events
+    this.eventBus.on('content:updated', this.handleContentUpdated.bind(this));
   }
 
   /**
@@ -467,27 +475,33 @@ export class ProceduralAreaSystem {
     this.eventBus.removeListener('dungeon:complete', this.completeDungeon.bind(this));
     this.eventBus.removeListener('exploration:discover', this.handleDiscovery.bind(this));
     this.eventBus.removeListener('exploration:loot', this.handleLootDiscovery.bind(this));
+    this.eventBus.removeListener('content:updated', this.handleContentUpdated.bind(this));
   }
 
   /**
-   * Create seeded random number generator
+   * Get the content this system defines in code
    */
-  createSeededRNG(seed) {
-    let state = seed;
+  getBuiltInContent() {
     return {
-      next: () => {
-        state = (state * 9301 + 49297) % 233280;
-        return state / 233280;
-      },
-      nextInt: (min, max) => {
-        return Math.floor(this.rng.next() * (max - min + 1)) + min;
-      },
-      nextFloat: (min, max) => {
-        return this.rng.next() * (max - min) + min;
-      }
+      biomes: this.biomes,
+      dungeons: this.dungeonTemplates
     };
   }
 
+  /**
+   * Handle content updated (built-in content merged with content packs)
+   */
+  handleContentUpdated(data) {
+    const { types } = data;
+    
+    if (types.biomes) {
+      this.biomes = types.biomes;
+    }
+    if (types.dungeons) {
+      this.dungeonTemplates = types.dungeons;
+    }
+  }
+
   /**
    * Generate area
    */
@@ -500,6 +514,9 @@ export class ProceduralAreaSystem {
     
     this.logger.info(`Generating area: ${areaType} at (${x}, ${y})`);
     
+    // Same seed and area id always produce the same area
+    this.rng = this.worldRng.fork(areaId);
+    
     const area = {
       id: areaId,
       type: areaType,
@@ -796,7 +813,7 @@ export class ProceduralAreaSystem {
     const template = this.dungeonTemplates[templateKey];
     
     return {
-      id: `dungeon_${x}_${y}_${Date.now()}`,
+      id: `dungeon_${x}_${y}_${this.rng.nextUint32().toString(36)}`,
       template: templateKey,
       name: template.name,
       description: template.description,
@@ -951,10 +968,12 @@ export class ProceduralAreaSystem {
    */
   createDungeonInstance(dungeon) {
     const template = this.dungeonTemplates[dungeon.template];
+    this.rng = this.worldRng.fork(dungeon.id);
     
     return {
       ...dungeon,
       rooms: this.generateDungeonRooms(template),
+      connections: [...(template.connections || [])],
       currentRoom: 'entrance',
       completedRooms: [],
       enemies: this.generateDungeonEnemies(template),
@@ -963,15 +982,27 @@ export class ProceduralAreaSystem {
   }
 
   /**
-   * Generate dungeon rooms
+   * Generate dungeon rooms, laid out left to right in template order and
+   * centred on one line
    */
   generateDungeonRooms(template) {
     const rooms = {};
+    const height = Math.max(...Object.values(template.rooms).map(room => room.size.height));
+    let x = 0;
     
     Object.entries(template.rooms).forEach(([roomId, roomData]) => {
+      const bounds = {
+        x,
+        y: (height - roomData.size.height) / 2,
+        width: roomData.size.width,
+        height: roomData.size.height
+      };
+      x += bounds.width + this.generationConfig.roomSpacing;
+      
       rooms[roomId] = {
         ...roomData,
         id: roomId,
+        bounds,
         explored: false,
         enemies: [...roomData.enemies],
         loot: [...roomData.loot]
@@ -10,6 +10,12 @@
  * - Cross-platform save compatibility
  */
 
+import { SaveCodec } from '../core/SaveCodec.js';
+import { createSaveMigrations } from '../core/SaveMigrations.js';
+
+// Marks a merge with no last-synced copy to compare against
+const UNKNOWN_BASE = Symbol('unknownBase');
+
 export class SaveSystem {
   constructor(dependencies = {}) {
     // Dependency injection
@@ -24,6 +30,9 @@ export class SaveSystem {
     if (!this.logger) {
       throw new Error('SaveSystem requires logger dependency');
     }
+    
+    // Save data migrations, shared with PersistenceManager
+    this.migrations = dependencies.migrations || createSaveMigrations();
 
     // Save system state
     this.saveState = {
@@ -36,7 +45,7 @@ export class SaveSystem {
       encryptionEnabled: false,
       validationEnabled: true,
       maxSaveSlots: 10,
-      saveDataVersion: '1.0.0',
+      saveDataVersion: this.migrations.getCurrentVersion('saveData'),
       lastSaveTime: 0,
       lastLoadTime: 0,
       saveInProgress: false,
@@ -44,6 +53,7 @@ export class SaveSystem {
       cloudSyncInProgress: false,
       saveData: new Map(),
       cloudData: new Map(),
+      cloudConflicts: new Map(),
       backupData: new Map()
     };
 
@@ -52,8 +62,9 @@ export class SaveSystem {
       storageType: 'localStorage', // localStorage, indexedDB, cloud
       compressionLevel: 6,
       encryptionKey: null,
-      cloudProvider: 'firebase', // firebase, aws, azure
+      cloudProvider: 'http', // http (self-hosted save sync service)
       cloudConfig: {},
+      conflictPolicy: 'newest-wins', // newest-wins, local, remote, manual, merge
       autoSaveTriggers: [
         'player:levelUp',
         'player:itemPickup',
@@ -81,6 +92,15 @@ export class SaveSystem {
       }
     };
 
+    // In-flight cloud syncs by slot
+    this.cloudSyncs = new Map();
+
+    // Systems whose settings are saved, by settings key
+    this.settingsProviders = new Map();
+
+    // Bag and equipment saved with the character, usually the InventorySystem
+    this.inventory = dependencies.inventory || null;
+
     // Initialize save system
     this.initializeStorage();
     this.initializeSaveSlots();
@@ -132,6 +152,7 @@ export class SaveSystem {
     this.saveState.saveSlots.clear();
     this.saveState.saveData.clear();
     this.saveState.cloudData.clear();
+    this.saveState.cloudConflicts.clear();
     this.saveState.backupData.clear();
     
     // Remove event listeners
@@ -216,6 +237,7 @@ export class SaveSystem {
     } catch (error) {
       this.logger.error('Failed to initialize cloud sync:', error);
       this.saveState.cloudSyncEnabled = false;
+      this.cloudProvider = null;
     }
   }
 
@@ -230,18 +252,15 @@ export class SaveSystem {
    * Initialize compression
    */
   initializeCompression() {
-    if (this.saveState.compressionEnabled) {
-      this.compressor = new SaveDataCompressor(this.saveConfig.compressionLevel);
-    }
+    // Always created so saves written with compression still load after it is turned off
+    this.compressor = new SaveDataCompressor(this.saveConfig.compressionLevel);
   }
 
   /**
    * Initialize encryption
    */
   initializeEncryption() {
-    if (this.saveState.encryptionEnabled) {
-      this.encryptor = new SaveDataEncryptor(this.saveConfig.encryptionKey);
-    }
+    this.encryptor = new SaveDataEncryptor(this.saveConfig.encryptionKey);
   }
 
   /**
@@ -313,33 +332,11 @@ export class SaveSystem {
       // Prepare save data
       const saveData = this.prepareSaveData(gameData, options);
       
-      // Compress save data
-      if (this.saveState.compressionEnabled) {
-        saveData.compressed = await this.compressor.compress(saveData.raw);
-      }
-      
-      // Encrypt save data
-      if (this.saveState.encryptionEnabled) {
-        saveData.encrypted = await this.encryptor.encrypt(saveData.compressed || saveData.raw);
-      }
-      
-      // Calculate checksum
-      const checksum = await this.calculateChecksum(saveData.encrypted || saveData.compressed || saveData.raw);
-      
-      // Create save metadata
-      const metadata = {
-        slotNumber: slotNumber,
-        timestamp: Date.now(),
-        version: this.saveState.saveDataVersion,
-        size: saveData.raw.length,
-        checksum: checksum,
-        compressed: this.saveState.compressionEnabled,
-        encrypted: this.saveState.encryptionEnabled,
-        cloudSynced: false
-      };
+      // Compress, encrypt and checksum save data
+      const { storedData, metadata } = await this.encodeSaveData(slotNumber, saveData);
       
       // Save to storage
-      await this.storage.save(`save_${slotNumber}`, saveData.encrypted || saveData.compressed || saveData.raw);
+      await this.storage.save(`save_${slotNumber}`, storedData);
       await this.storage.save(`save_${slotNumber}_meta`, metadata);
       
       // Update save slot info
@@ -347,7 +344,7 @@ export class SaveSystem {
       
       // Cloud sync if enabled
       if (this.saveState.cloudSyncEnabled) {
-        this.syncToCloud(slotNumber, saveData, metadata);
+        this.syncToCloud(slotNumber);
       }
       
       this.saveState.lastSaveTime = Date.now();
@@ -389,7 +386,7 @@ export class SaveSystem {
     try {
       // Load save data
       const saveData = await this.storage.load(`save_${slotNumber}`);
-      const metadata = await this.storage.load(`save_${slotNumber}_meta`);
+      const metadata = await this.loadSaveMetadata(slotNumber);
       
       if (!saveData || !metadata) {
         throw new Error(`Save slot ${slotNumber} not found`);
@@ -403,20 +400,10 @@ export class SaveSystem {
         }
       }
       
-      // Decrypt save data
-      let decryptedData = saveData;
-      if (metadata.encrypted) {
-        decryptedData = await this.encryptor.decrypt(saveData);
-      }
-      
-      // Decompress save data
-      let decompressedData = decryptedData;
-      if (metadata.compressed) {
-        decompressedData = await this.compressor.decompress(decryptedData);
-      }
-      
-      // Parse save data
-      const gameData = JSON.parse(decompressedData);
+      // Decrypt, decompress and parse save data, then upgrade older saves
+      const decodedData = await this.decodeSaveData(saveData);
+      const { data: gameData, version } = this.migrations.migrate('saveData', decodedData, decodedData.version);
+      gameData.version = version;
       
       // Validate loaded data
       if (this.saveState.validationEnabled) {
@@ -428,6 +415,12 @@ export class SaveSystem {
       
       this.saveState.lastLoadTime = Date.now();
       
+      // Hand saved settings back to their systems
+      this.applySettingsData(gameData.settings);
+      if (this.inventory) {
+        this.inventory.deserialize(gameData.inventory);
+      }
+      
       this.eventBus.emit('load:completed', {
         slotNumber: slotNumber,
         gameData: gameData,
@@ -457,8 +450,17 @@ export class SaveSystem {
    */
   async deleteSave(slotNumber) {
     try {
+      // Delete the synced copy too so the next sync does not restore it
+      if (this.saveState.cloudSyncEnabled && this.cloudProvider) {
+        const syncState = await this.loadSyncState(slotNumber);
+        if (syncState.etag) {
+          await this.cloudProvider.delete(slotNumber, syncState.etag);
+        }
+      }
+      
       await this.storage.delete(`save_${slotNumber}`);
       await this.storage.delete(`save_${slotNumber}_meta`);
+      await this.storage.delete(`save_${slotNumber}_sync`);
       
       // Update save slot info
       this.updateSaveSlotInfo(slotNumber, { exists: false });
@@ -523,6 +525,89 @@ export class SaveSystem {
     };
   }
 
+  /**
+   * Compress and encrypt prepared save data and build its metadata
+   */
+  async encodeSaveData(slotNumber, saveData) {
+    if (this.saveState.compressionEnabled) {
+      saveData.compressed = await this.compressor.compress(saveData.raw);
+    }
+    
+    if (this.saveState.encryptionEnabled) {
+      saveData.encrypted = await this.encryptor.encrypt(saveData.compressed || saveData.raw);
+    }
+    
+    const storedData = saveData.encrypted || saveData.compressed || saveData.raw;
+    const envelope = SaveCodec.parseEnvelope(storedData);
+    
+    const metadata = {
+      slotNumber: slotNumber,
+      timestamp: Date.now(),
+      version: this.saveState.saveDataVersion,
+      size: saveData.raw.length,
+      storedSize: storedData.length,
+      checksum: await this.calculateChecksum(storedData),
+      compressed: this.saveState.compressionEnabled,
+      encrypted: this.saveState.encryptionEnabled,
+      codec: envelope ? envelope.codec : 'none',
+      codecVersion: envelope ? envelope.version : null,
+      cloudSynced: false
+    };
+    
+    return { storedData, metadata };
+  }
+
+  /**
+   * Decode stored save data back to game data
+   */
+  async decodeSaveData(storedData) {
+    // The envelope records how the data was encoded, so these steps are
+    // driven by the stored data; plain saves pass through unchanged
+    const decryptedData = await this.encryptor.decrypt(storedData);
+    const decompressedData = await this.compressor.decompress(decryptedData);
+    return JSON.parse(decompressedData);
+  }
+
+  /**
+   * Upgrade a stored save slot to the current save data version
+   * With dryRun the upgrade is only reported
+   */
+  async migrateSaveSlot(slotNumber, options = {}) {
+    const local = await this.readLocalSlot(slotNumber);
+    if (!local) {
+      throw new Error(`Save slot ${slotNumber} not found`);
+    }
+    
+    const gameData = await this.decodeSaveData(local.data);
+    const result = this.migrations.migrate('saveData', gameData, gameData.version, options);
+    
+    if (!options.dryRun && result.applied.length > 0) {
+      result.data.version = result.version;
+      const { storedData, metadata } = await this.encodeSaveData(slotNumber, {
+        raw: JSON.stringify(result.data),
+        compressed: null,
+        encrypted: null
+      });
+      metadata.timestamp = local.metadata.timestamp;
+      
+      await this.storage.save(`save_${slotNumber}`, storedData);
+      await this.storage.save(`save_${slotNumber}_meta`, metadata);
+      this.updateSaveSlotInfo(slotNumber, metadata);
+      
+      this.logger.info(`Save slot ${slotNumber} migrated to ${result.version}`);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Load slot metadata, parsing it if the adapter stored it as text
+   */
+  async loadSaveMetadata(slotNumber) {
+    const metadata = await this.storage.load(`save_${slotNumber}_meta`);
+    return typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+  }
+
   /**
    * Calculate checksum
    */
@@ -556,7 +641,7 @@ export class SaveSystem {
   async loadSaveSlots() {
     for (let i = 1; i <= this.saveState.maxSaveSlots; i++) {
       try {
-        const metadata = await this.storage.load(`save_${i}_meta`);
+        const metadata = await this.loadSaveMetadata(i);
         if (metadata) {
           this.updateSaveSlotInfo(i, metadata);
         }
@@ -647,8 +732,37 @@ export class SaveSystem {
    * Get settings data
    */
   getSettingsData() {
-    // This would get settings data from the settings system
-    return {};
+    const settings = {};
+    this.settingsProviders.forEach((provider, key) => {
+      settings[key] = provider.getSettings();
+    });
+    return settings;
+  }
+
+  /**
+   * Register a system whose settings are saved under a key; it provides
+   * getSettings() and applySettings(settings)
+   */
+  registerSettingsProvider(key, provider) {
+    if (typeof provider?.getSettings !== 'function' || typeof provider?.applySettings !== 'function') {
+      throw new Error(`Settings provider ${key} must implement getSettings and applySettings`);
+    }
+    this.settingsProviders.set(key, provider);
+  }
+
+  /**
+   * Apply loaded settings to the registered systems
+   */
+  applySettingsData(settings = {}) {
+    this.settingsProviders.forEach((provider, key) => {
+      if (!settings || settings[key] === undefined) return;
+      
+      try {
+        provider.applySettings(settings[key]);
+      } catch (error) {
+        this.logger.warn(`Failed to apply ${key} settings: ${error.message}`);
+      }
+    });
   }
 
   /**
@@ -663,8 +777,14 @@ export class SaveSystem {
    * Get inventory data
    */
   getInventoryData() {
-    // This would get inventory data from the inventory system
-    return [];
+    return this.inventory ? this.inventory.serialize() : [];
+  }
+
+  /**
+   * Set the system whose bag and equipment are saved
+   */
+  setInventory(inventory) {
+    this.inventory = inventory;
   }
 
   /**
@@ -694,56 +814,279 @@ export class SaveSystem {
   /**
    * Sync to cloud
    */
-  async syncToCloud(slotNumber, saveData, metadata) {
+  async syncToCloud(slotNumber) {
+    return this.syncSlot(slotNumber);
+  }
+
+  /**
+   * Sync from cloud
+   */
+  async syncFromCloud(slotNumber) {
+    const result = await this.syncSlot(slotNumber);
+    return result !== null && result !== 'failed';
+  }
+
+  /**
+   * Sync a slot with the cloud in both directions
+   * Compares local and remote state against the last synced state to tell
+   * which side changed; when both did, the conflict policy decides
+   */
+  async syncSlot(slotNumber) {
     if (!this.saveState.cloudSyncEnabled || !this.cloudProvider) {
-      return;
+      return null;
     }
     
+    // Callers arriving while a slot is syncing share the running sync
+    if (this.cloudSyncs.has(slotNumber)) {
+      return this.cloudSyncs.get(slotNumber);
+    }
+    
+    const sync = this.performSlotSync(slotNumber).finally(() => {
+      this.cloudSyncs.delete(slotNumber);
+      this.saveState.cloudSyncInProgress = this.cloudSyncs.size > 0;
+    });
+    
+    this.cloudSyncs.set(slotNumber, sync);
+    this.saveState.cloudSyncInProgress = true;
+    return sync;
+  }
+
+  /**
+   * Run one sync of a slot
+   */
+  async performSlotSync(slotNumber, attempt = 0) {
     try {
-      await this.cloudProvider.upload(`save_${slotNumber}`, saveData.encrypted || saveData.compressed || saveData.raw);
-      await this.cloudProvider.upload(`save_${slotNumber}_meta`, metadata);
+      const local = await this.readLocalSlot(slotNumber);
+      const remote = await this.cloudProvider.download(slotNumber);
+      const syncState = await this.loadSyncState(slotNumber);
+      
+      const localChanged = Boolean(local) && local.metadata.checksum !== syncState.checksum;
+      const remoteChanged = Boolean(remote) && remote.etag !== syncState.etag;
       
-      // Update cloud sync status
-      const slotInfo = this.saveState.saveSlots.get(slotNumber);
-      if (slotInfo) {
-        slotInfo.cloudSynced = true;
+      let result = 'unchanged';
+      if (!local && !remote) {
+        // Nothing saved in this slot on either side
+      } else if (local && (!remote || (localChanged && !remoteChanged))) {
+        // Remote slots that disappeared are restored from the local copy
+        result = await this.pushSlot(slotNumber, local, remote ? remote.etag : null);
+      } else if (remote && (!local || (remoteChanged && !localChanged))) {
+        result = await this.pullSlot(slotNumber, remote);
+      } else if (local.metadata.checksum === remote.record.metadata.checksum) {
+        // Both sides already hold the same save
+        if (remoteChanged) {
+          await this.recordSyncState(slotNumber, remote.etag, local.data, local.metadata);
+        }
+      } else if (localChanged && remoteChanged) {
+        result = await this.resolveSyncConflict(slotNumber, local, remote, syncState);
       }
       
-      this.logger.info(`Save slot ${slotNumber} synced to cloud`);
+      this.eventBus.emit('cloud:synced', {
+        slotNumber: slotNumber,
+        result: result,
+        timestamp: Date.now()
+      });
+      
+      this.logger.info(`Save slot ${slotNumber} cloud sync: ${result}`);
+      return result;
     } catch (error) {
-      this.logger.error('Failed to sync to cloud:', error);
+      // Another client wrote between our download and upload; sync again
+      if (error.status === 412 && attempt === 0) {
+        return this.performSlotSync(slotNumber, attempt + 1);
+      }
+      
+      this.logger.error('Failed to sync with cloud:', error);
+      return 'failed';
     }
   }
 
   /**
-   * Sync from cloud
+   * Read the stored data and metadata of a local slot
    */
-  async syncFromCloud(slotNumber) {
-    if (!this.saveState.cloudSyncEnabled || !this.cloudProvider) {
-      return null;
+  async readLocalSlot(slotNumber) {
+    const data = await this.storage.load(`save_${slotNumber}`);
+    const metadata = await this.loadSaveMetadata(slotNumber);
+    return data && metadata ? { data, metadata } : null;
+  }
+
+  /**
+   * Load what was last synced for a slot
+   */
+  async loadSyncState(slotNumber) {
+    const syncState = await this.storage.load(`save_${slotNumber}_sync`);
+    if (!syncState) return {};
+    return typeof syncState === 'string' ? JSON.parse(syncState) : syncState;
+  }
+
+  /**
+   * Upload a local slot, guarded by the remote ETag it replaces
+   */
+  async pushSlot(slotNumber, local, etag) {
+    const metadata = { ...local.metadata, cloudSynced: true };
+    const uploaded = await this.cloudProvider.upload(slotNumber, { data: local.data, metadata }, etag);
+    
+    await this.storage.save(`save_${slotNumber}_meta`, metadata);
+    await this.recordSyncState(slotNumber, uploaded.etag, local.data, metadata);
+    return 'uploaded';
+  }
+
+  /**
+   * Replace a local slot with the remote copy
+   */
+  async pullSlot(slotNumber, remote) {
+    const metadata = { ...remote.record.metadata, cloudSynced: true };
+    
+    await this.storage.save(`save_${slotNumber}`, remote.record.data);
+    await this.storage.save(`save_${slotNumber}_meta`, metadata);
+    await this.recordSyncState(slotNumber, remote.etag, remote.record.data, metadata);
+    
+    this.eventBus.emit('save:cloudUpdated', {
+      slotNumber: slotNumber,
+      metadata: metadata,
+      timestamp: Date.now()
+    });
+    return 'downloaded';
+  }
+
+  /**
+   * Remember what was last synced so the next sync can tell which side changed
+   * The synced data is kept as the base for field-level merges
+   */
+  async recordSyncState(slotNumber, etag, data, metadata) {
+    await this.storage.save(`save_${slotNumber}_sync`, {
+      etag: etag,
+      checksum: metadata.checksum,
+      data: data
+    });
+    this.saveState.cloudConflicts.delete(slotNumber);
+    this.updateSaveSlotInfo(slotNumber, metadata);
+  }
+
+  /**
+   * Resolve a slot changed both locally and remotely
+   */
+  async resolveSyncConflict(slotNumber, local, remote, syncState, policy = this.saveConfig.conflictPolicy) {
+    const localNewer = local.metadata.timestamp >= (remote.record.metadata.timestamp || 0);
+    
+    switch (policy) {
+      case 'newest-wins':
+        return localNewer
+          ? this.pushSlot(slotNumber, local, remote.etag)
+          : this.pullSlot(slotNumber, remote);
+      case 'local':
+        return this.pushSlot(slotNumber, local, remote.etag);
+      case 'remote':
+        return this.pullSlot(slotNumber, remote);
+      case 'merge':
+        return this.mergeSlot(slotNumber, local, remote, syncState, localNewer);
+      case 'manual':
+        this.saveState.cloudConflicts.set(slotNumber, { local, remote, syncState });
+        this.eventBus.emit('save:conflict', {
+          slotNumber: slotNumber,
+          local: local.metadata,
+          remote: remote.record.metadata,
+          timestamp: Date.now()
+        });
+        return 'conflict';
+      default:
+        throw new Error(`Unknown conflict policy: ${policy}`);
+    }
+  }
+
+  /**
+   * Resolve a conflict held for a manual pick
+   * Choice is 'local', 'remote' or 'merge'
+   */
+  async resolveCloudConflict(slotNumber, choice) {
+    const conflict = this.saveState.cloudConflicts.get(slotNumber);
+    if (!conflict) {
+      throw new Error(`No cloud conflict for save slot ${slotNumber}`);
+    }
+    if (!['local', 'remote', 'merge'].includes(choice)) {
+      throw new Error(`Unknown conflict choice: ${choice}`);
     }
     
     try {
-      const saveData = await this.cloudProvider.download(`save_${slotNumber}`);
-      const metadata = await this.cloudProvider.download(`save_${slotNumber}_meta`);
+      return await this.resolveSyncConflict(slotNumber, conflict.local, conflict.remote, conflict.syncState, choice);
+    } catch (error) {
+      if (error.status === 412) {
+        // The remote moved on while the player was choosing
+        this.saveState.cloudConflicts.delete(slotNumber);
+        return this.syncSlot(slotNumber);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Merge both sides field by field against the last synced copy
+   */
+  async mergeSlot(slotNumber, local, remote, syncState, localNewer) {
+    const localData = await this.decodeSaveData(local.data);
+    const remoteData = await this.decodeSaveData(remote.record.data);
+    
+    let baseData = UNKNOWN_BASE;
+    if (syncState.data) {
+      try {
+        baseData = await this.decodeSaveData(syncState.data);
+      } catch (error) {
+        this.logger.warn('Could not decode last synced save, merging without it:', error);
+      }
+    }
+    
+    const merged = this.mergeSaveData(baseData, localData, remoteData, localNewer);
+    const { storedData, metadata } = await this.encodeSaveData(slotNumber, {
+      raw: JSON.stringify(merged),
+      compressed: null,
+      encrypted: null
+    });
+    
+    await this.storage.save(`save_${slotNumber}`, storedData);
+    await this.pushSlot(slotNumber, { data: storedData, metadata }, remote.etag);
+    
+    this.eventBus.emit('save:cloudUpdated', {
+      slotNumber: slotNumber,
+      metadata: metadata,
+      timestamp: Date.now()
+    });
+    return 'merged';
+  }
+
+  /**
+   * Three-way merge of save data
+   * A field changed on one side only takes that side's value; a field
+   * changed on both sides takes the newer side's value. Plain objects are
+   * merged recursively, arrays and other values are replaced whole.
+   */
+  mergeSaveData(base, local, remote, preferLocal) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    
+    if (same(local, remote)) return local;
+    if (base !== UNKNOWN_BASE) {
+      if (same(base, local)) return remote;
+      if (same(base, remote)) return local;
+    }
+    
+    if (isObject(local) && isObject(remote)) {
+      const merged = {};
+      const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
       
-      if (saveData && metadata) {
-        // Save to local storage
-        await this.storage.save(`save_${slotNumber}`, saveData);
-        await this.storage.save(`save_${slotNumber}_meta`, metadata);
-        
-        // Update save slot info
-        this.updateSaveSlotInfo(slotNumber, metadata);
+      keys.forEach(key => {
+        let fieldBase = UNKNOWN_BASE;
+        if (base !== UNKNOWN_BASE) {
+          fieldBase = isObject(base) ? base[key] : undefined;
+        }
         
-        this.logger.info(`Save slot ${slotNumber} synced from cloud`);
-        return true;
-      }
+        const value = this.mergeSaveData(fieldBase, local[key], remote[key], preferLocal);
+        if (value !== undefined) {
+          merged[key] = value;
+        }
+      });
       
-      return false;
-    } catch (error) {
-      this.logger.error('Failed to sync from cloud:', error);
-      return false;
+      return merged;
     }
+    
+    return preferLocal ? local : remote;
   }
 
   /**
@@ -926,6 +1269,20 @@ export class SaveSystem {
    */
   setCloudSyncEnabled(enabled) {
     this.saveState.cloudSyncEnabled = enabled;
+    
+    if (enabled && !this.cloudProvider) {
+      return this.initializeCloudSync();
+    }
+  }
+
+  /**
+   * Set the policy used when a slot changed both locally and remotely
+   */
+  setConflictPolicy(policy) {
+    if (!['newest-wins', 'local', 'remote', 'manual', 'merge'].includes(policy)) {
+      throw new Error(`Unknown conflict policy: ${policy}`);
+    }
+    this.saveConfig.conflictPolicy = policy;
   }
 
   /**
@@ -938,10 +1295,21 @@ export class SaveSystem {
   /**
    * Set encryption enabled
    */
-  setEncryptionEnabled(enabled) {
+  setEncryptionEnabled(enabled, passphrase) {
+    if (passphrase !== undefined) {
+      this.setEncryptionPassphrase(passphrase);
+    }
     this.saveState.encryptionEnabled = enabled;
   }
 
+  /**
+   * Set the passphrase save encryption keys are derived from
+   */
+  setEncryptionPassphrase(passphrase) {
+    this.saveConfig.encryptionKey = passphrase;
+    this.encryptor = new SaveDataEncryptor(passphrase);
+  }
+
   /**
    * Set validation enabled
    */
@@ -982,11 +1350,11 @@ export class SaveSystem {
   }
 
   /**
-   * Is save data compatible
+   * Is save data compatible (current, or old enough to be migrated)
    */
   isSaveDataCompatible(slotNumber) {
     const version = this.getSaveDataVersion(slotNumber);
-    return version === this.saveState.saveDataVersion;
+    return Boolean(version) && this.migrations.canMigrate('saveData', version);
   }
 }
 
@@ -997,7 +1365,7 @@ class LocalStorageAdapter {
   }
   
   async save(key, data) {
-    localStorage.setItem(key, data);
+    localStorage.setItem(key, typeof data === 'string' ? data : JSON.stringify(data));
   }
   
   async load(key) {
@@ -1065,24 +1433,73 @@ class CloudStorageAdapter {
   constructor(config) {
     this.config = config;
     this.provider = null;
+    this.etags = new Map();
+    this.pendingData = new Map();
+    this.localData = new Map();
   }
   
   async initialize() {
     // Initialize cloud provider
-    this.provider = new CloudProvider(this.config.provider, this.config);
+    this.provider = new CloudProvider(this.config.provider || 'http', this.config);
     await this.provider.initialize();
   }
   
+  parseKey(key) {
+    const match = /^save_(\d+)(_meta)?$/.exec(key);
+    return match ? { slotNumber: Number(match[1]), isMeta: Boolean(match[2]) } : null;
+  }
+  
   async save(key, data) {
-    return this.provider.upload(key, data);
+    const slot = this.parseKey(key);
+    if (!slot) {
+      // Sync bookkeeping and other keys stay on this device
+      this.localData.set(key, data);
+      return;
+    }
+    
+    // Slot data is written before its metadata; upload both together
+    if (!slot.isMeta) {
+      this.pendingData.set(slot.slotNumber, data);
+      return;
+    }
+    
+    let pending = this.pendingData.get(slot.slotNumber);
+    if (pending === undefined) {
+      const remote = await this.provider.download(slot.slotNumber);
+      if (!remote) return;
+      pending = remote.record.data;
+    }
+    
+    const record = { data: pending, metadata: data };
+    const uploaded = await this.provider.upload(slot.slotNumber, record, this.etags.get(slot.slotNumber) || null);
+    
+    this.pendingData.delete(slot.slotNumber);
+    this.etags.set(slot.slotNumber, uploaded.etag);
   }
   
   async load(key) {
-    return this.provider.download(key);
+    const slot = this.parseKey(key);
+    if (!slot) {
+      return this.localData.has(key) ? this.localData.get(key) : null;
+    }
+    
+    const remote = await this.provider.download(slot.slotNumber);
+    if (!remote) return null;
+    
+    this.etags.set(slot.slotNumber, remote.etag);
+    return slot.isMeta ? remote.record.metadata : remote.record.data;
   }
   
   async delete(key) {
-    return this.provider.delete(key);
+    const slot = this.parseKey(key);
+    if (!slot) {
+      this.localData.delete(key);
+      return;
+    }
+    if (slot.isMeta) return;
+    
+    await this.provider.delete(slot.slotNumber, this.etags.get(slot.slotNumber));
+    this.etags.delete(slot.slotNumber);
   }
 }
 
@@ -1126,56 +1543,98 @@ class SaveDataValidator {
 class SaveDataCompressor {
   constructor(level) {
     this.level = level;
+    this.codec = new SaveCodec({ level });
   }
   
   async compress(data) {
-    // Implement compression using a compression library
-    // This is a placeholder implementation
-    return data;
+    return this.codec.compress(data);
   }
   
   async decompress(data) {
-    // Implement decompression
-    return data;
+    return this.codec.decompress(data);
   }
 }
 
 class SaveDataEncryptor {
   constructor(key) {
     this.key = key;
+    this.codec = new SaveCodec();
   }
   
   async encrypt(data) {
-    // Implement encryption
-    return data;
+    return this.codec.encrypt(data, this.key);
   }
   
   async decrypt(data) {
-    // Implement decryption
-    return data;
+    return this.codec.decrypt(data, this.key);
   }
 }
 
 class CloudProvider {
-  constructor(provider, config) {
+  constructor(provider, config = {}) {
     this.provider = provider;
     this.config = config;
+    this.baseUrl = (config.baseUrl || '/api/saves').replace(/\/$/, '');
+    this.fetch = config.fetch || ((...args) => fetch(...args));
   }
   
   async initialize() {
-    // Initialize cloud provider
+    if (this.provider !== 'http') {
+      throw new Error(`Unsupported cloud provider: ${this.provider}`);
+    }
   }
   
-  async upload(key, data) {
-    // Upload to cloud
+  getHeaders(extra = {}) {
+    const headers = { 'Content-Type': 'application/json', ...extra };
+    if (this.config.token) {
+      headers.Authorization = `Bearer ${this.config.token}`;
+    }
+    return headers;
   }
   
-  async download(key) {
-    // Download from cloud
+  async request(method, slotNumber, options = {}) {
+    const response = await this.fetch(`${this.baseUrl}/${slotNumber}`, {
+      method,
+      headers: this.getHeaders(options.headers),
+      body: options.body === undefined ? undefined : JSON.stringify(options.body)
+    });
+    
+    if (response.status === 404 || response.status === 204) {
+      return { response, body: null };
+    }
+    
+    const body = await response.json();
+    if (!response.ok) {
+      const error = new Error(body.error || `Cloud request failed with status ${response.status}`);
+      error.status = response.status;
+      error.remote = body.current ? { etag: body.current.etag, record: body.current } : null;
+      throw error;
+    }
+    
+    return { response, body };
   }
   
-  async delete(key) {
-    // Delete from cloud
+  /**
+   * Upload a slot; pass the ETag it replaces, or null to only create it
+   * Rejects with status 412 if the remote slot has changed since
+   */
+  async upload(slotNumber, record, etag) {
+    const { response, body } = await this.request('PUT', slotNumber, {
+      body: record,
+      headers: etag ? { 'If-Match': etag } : { 'If-None-Match': '*' }
+    });
+    return { etag: response.headers.get('ETag'), record: body };
+  }
+  
+  async download(slotNumber) {
+    const { response, body } = await this.request('GET', slotNumber);
+    return body ? { etag: response.headers.get('ETag'), record: body } : null;
+  }
+  
+  async delete(slotNumber, etag) {
+    await this.request('DELETE', slotNumber, {
+      headers: { 'If-Match': etag }
+    });
   }
 }
 
@@ -2,20 +2,48 @@
  * TradingSystem.js - Player-Driven Economy and Trading System
  *
  * This system handles:
- * - Player-to-player trading
- * - Auction house functionality
+ * - Player-to-player trading: both players put an offer in escrow, lock
+ *   it, then confirm; any change to an offer undoes both locks. A
+ *   confirmed trade commits all at once against the players' bags and
+ *   wallets, or not at all
+ * - An append-only ledger of every trade step, which the trade history
+ *   is read from and committed trades can be rolled back with
+ * - Auction house: bids are held in escrow up to each bidder's maximum
+ *   and refunded when outbid, a late bid extends the auction, and
+ *   standing buy orders fill from matching listings as they appear
+ * - Price history of auction sales per item
+ * - Market prices read from completed trades and auction sales: a
+ *   volume-weighted index with outliers set aside, and candles for charts
  * - Market pricing and valuation
  * - Trade history and reputation
- * - Currency exchange
+ * - A wallet per player that cannot be overdrawn, with a record of every
+ *   balance change telling currency sources and sinks apart
+ * - Currency exchange with a spread and a daily limit per player
+ * - Trade and auction taxes taken from the currency received
  * - Item valuation and appraisal
  */
 
+import { TradeLedger } from '../core/TradeLedger.js';
+import {
+  resolveProxyBid,
+  getSoftCloseEnd,
+  toPublicAuction,
+  canFillBuyOrder,
+  pickBuyOrder,
+  summarizeSales
+} from '../core/AuctionBook.js';
+import { getMarketKey, computePriceIndex, rejectOutliers, buildCandles, priceTrade } from '../core/PriceIndex.js';
+import { Wallet, getCurrencyFlow, quoteExchange, roundDown } from '../core/Wallet.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 export class TradingSystem {
   constructor(dependencies = {}) {
     // Dependency injection
     this.eventBus = dependencies.eventBus;
     this.logger = dependencies.logger;
     this.config = dependencies.config;
+    this.storage = dependencies.storage || globalThis.localStorage;
 
     // Validate required dependencies
     if (!this.eventBus) {
@@ -35,8 +63,25 @@ export class TradingSystem {
       currencyRates: new Map(),
       tradeChannels: new Map(),
       pendingTrades: new Map(),
+      wallets: new Map(),
+      walletTransactions: [],
+      exchangeOrders: new Map(),
+      exchangeUsage: new Map(),
+      buyOrders: new Map(),
+      priceHistory: new Map(),
+      auctionClaims: new Map(),
+      marketSales: new Map(),
     };
 
+    // Every step of every trade, never rewritten
+    this.ledger = new TradeLedger();
+
+    // Bags players trade items from and into, by player id
+    this.inventories = new Map();
+    
+    // Numbers balance changes in the order they happened
+    this.walletTransactionSeq = 0;
+
     // Trading configuration
     this.tradingConfig = {
       maxTradeValue: 1000000,
@@ -47,6 +92,25 @@ export class TradingSystem {
       reputationDecay: 0.01, // 1% reputation decay per day
       maxPendingTrades: 10,
       tradeTimeout: 300000, // 5 minutes
+      minBidIncrement: 1,
+      bidIncrementRate: 0.05, // bids rise by 5% of the current bid
+      softCloseWindow: 2 * 60 * 1000, // a bid in the last 2 minutes...
+      softCloseExtension: 2 * 60 * 1000, // ...leaves 2 minutes on the clock
+      maxBuyOrders: 20,
+      priceHistoryLimit: 100, // sales kept per item
+      priceWindow: 24 * 60 * 60 * 1000, // the index covers a day of sales
+      candleInterval: 60 * 60 * 1000, // hourly candles
+      outlierRatio: 3, // sales 3x off the median are set aside
+      minSalesForOutliers: 4,
+      trendThreshold: 0.05, // a 5% move is a trend
+      marketSalesLimit: 500, // sales kept per item for the index
+      exchangeSpread: 0.02, // 2% of each exchange is kept as a fee
+      exchangeSpreads: {}, // spreads for some currencies, as { gems: 0.05 }
+      exchangeDailyLimit: 100000, // gold worth a player may exchange a day
+      walletTransactionLimit: 1000, // balance changes kept for telemetry
+      exchangeOrderLimit: 1000, // exchanges kept in the order history
+      rewardPlayerId: 'player', // the wallet rewards and loot are paid into
+      ...this.config?.trading
     };
 
     // Initialize trading systems
@@ -82,6 +146,11 @@ export class TradingSystem {
   cleanup() {
     this.logger.info('Cleaning up TradingSystem...');
     
+    // Give back whatever trades still hold in escrow; trades that cannot be
+    // given back, open auctions and buy orders with their escrow, and items
+    // held for claim are saved below
+    this.getActiveTrades().forEach(trade => this.timeoutTrade(trade));
+    
     // Save trading data
     this.saveTradingData();
     
@@ -97,6 +166,12 @@ export class TradingSystem {
     this.tradingState.currencyRates.clear();
     this.tradingState.tradeChannels.clear();
     this.tradingState.pendingTrades.clear();
+    this.tradingState.wallets.clear();
+    this.tradingState.walletTransactions = [];
+    this.tradingState.exchangeOrders.clear();
+    this.tradingState.exchangeUsage.clear();
+    this.tradingState.buyOrders.clear();
+    this.tradingState.auctionClaims.clear();
     
     // Remove event listeners
     this.removeEventHandlers();
@@ -114,9 +189,6 @@ export class TradingSystem {
     // Update auction house
     this.updateAuctionHouse(deltaTime);
     
-    // Update market prices
-    this.updateMarketPrices(deltaTime);
-    
     // Update reputation decay
     this.updateReputationDecay(deltaTime);
   }
@@ -282,14 +354,24 @@ export class TradingSystem {
     this.eventBus.on('trade:accept', this.acceptTrade.bind(this));
     this.eventBus.on('trade:decline', this.declineTrade.bind(this));
     this.eventBus.on('trade:modify', this.modifyTrade.bind(this));
+    this.eventBus.on('trade:lock', this.lockTrade.bind(this));
     this.eventBus.on('trade:complete', this.completeTrade.bind(this));
     this.eventBus.on('trade:cancel', this.cancelTrade.bind(this));
+    this.eventBus.on('trade:rollback', this.rollbackTrade.bind(this));
     
     // Auction events
     this.eventBus.on('auction:list', this.listAuction.bind(this));
     this.eventBus.on('auction:bid', this.placeBid.bind(this));
     this.eventBus.on('auction:buyout', this.buyoutAuction.bind(this));
     this.eventBus.on('auction:expire', this.expireAuction.bind(this));
+    this.eventBus.on('buyOrder:place', this.placeBuyOrder.bind(this));
+    this.eventBus.on('buyOrder:cancel', this.cancelBuyOrder.bind(this));
+    
+    // Currency events
+    this.eventBus.on('currency:exchange', this.exchangeCurrency.bind(this));
+    this.eventBus.on('achievement:rewardGiven', this.handleAchievementReward.bind(this));
+    this.eventBus.on('dungeon:rewards', this.handleDungeonRewards.bind(this));
+    this.eventBus.on('combat:lootDropped', this.handleLootDropped.bind(this));
     
     // Market events
     this.eventBus.on('market:priceUpdate', this.updateItemPrice.bind(this));
@@ -307,256 +389,401 @@ export class TradingSystem {
     this.eventBus.removeListener('trade:accept', this.acceptTrade.bind(this));
     this.eventBus.removeListener('trade:decline', this.declineTrade.bind(this));
     this.eventBus.removeListener('trade:modify', this.modifyTrade.bind(this));
+    this.eventBus.removeListener('trade:lock', this.lockTrade.bind(this));
     this.eventBus.removeListener('trade:complete', this.completeTrade.bind(this));
     this.eventBus.removeListener('trade:cancel', this.cancelTrade.bind(this));
+    this.eventBus.removeListener('trade:rollback', this.rollbackTrade.bind(this));
     this.eventBus.removeListener('auction:list', this.listAuction.bind(this));
     this.eventBus.removeListener('auction:bid', this.placeBid.bind(this));
     this.eventBus.removeListener('auction:buyout', this.buyoutAuction.bind(this));
     this.eventBus.removeListener('auction:expire', this.expireAuction.bind(this));
+    this.eventBus.removeListener('buyOrder:place', this.placeBuyOrder.bind(this));
+    this.eventBus.removeListener('buyOrder:cancel', this.cancelBuyOrder.bind(this));
+    this.eventBus.removeListener('currency:exchange', this.exchangeCurrency.bind(this));
+    this.eventBus.removeListener('achievement:rewardGiven', this.handleAchievementReward.bind(this));
+    this.eventBus.removeListener('dungeon:rewards', this.handleDungeonRewards.bind(this));
+    this.eventBus.removeListener('combat:lootDropped', this.handleLootDropped.bind(this));
     this.eventBus.removeListener('market:priceUpdate', this.updateItemPrice.bind(this));
     this.eventBus.removeListener('market:search', this.searchMarket.bind(this));
     this.eventBus.removeListener('reputation:update', this.updateReputation.bind(this));
   }
 
   /**
-   * Initiate trade
+   * Open a trade between two players, with the first player's offer if one
+   * is given. data: { fromPlayer, toPlayer, channel, items, currency }, with
+   * items as [{ itemId, quantity }] from the bag and currency as
+   * { gold: 100 }
    */
   initiateTrade(data) {
-    const { fromPlayer, toPlayer, items, currency, channel } = data;
+    const { fromPlayer, toPlayer, items = [], currency = {}, channel } = data;
     
-    // Validate trade
-    if (!this.validateTrade(fromPlayer, toPlayer, items, currency)) {
-      this.logger.warn('Invalid trade request');
-      return;
-    }
-    
-    // Check if players can trade
-    if (!this.canPlayersTrade(fromPlayer, toPlayer)) {
-      this.logger.warn('Players cannot trade');
-      return;
-    }
+    return this.runTradeStep('initiate', null, () => {
+      if (!this.validateTrade(fromPlayer, toPlayer)) {
+        throw new Error('Invalid trade request');
+      }
+      if (!this.canPlayersTrade(fromPlayer, toPlayer)) {
+        throw new Error('Players cannot trade');
+      }
     
-    // Create trade
-    const trade = this.createTrade(fromPlayer, toPlayer, items, currency, channel);
+      const trade = this.createTrade(fromPlayer, toPlayer, channel);
+      this.ledger.append('proposed', trade.id, {
+        status: trade.status,
+        players: [fromPlayer.id, toPlayer.id],
+        channel: channel || null
+      });
+      if (items.length > 0 || Object.keys(currency).length > 0) {
+        this.escrowOffer(trade, fromPlayer.id, items, currency);
+      }
     
-    this.tradingState.activeTrades.set(trade.id, trade);
+      this.tradingState.activeTrades.set(trade.id, trade);
     
-    this.eventBus.emit('trade:initiated', {
-      trade,
-      timestamp: Date.now()
+      this.eventBus.emit('trade:initiated', {
+        trade,
+        timestamp: Date.now()
+      });
+      return trade;
     });
   }
 
   /**
-   * Accept trade
+   * Replace a player's offer. What they offered before comes out of escrow
+   * and the new offer goes in; both players have to lock and confirm again
    */
-  acceptTrade(data) {
-    const { tradeId, playerId } = data;
-    const trade = this.tradingState.activeTrades.get(tradeId);
-    
-    if (!trade) {
-      this.logger.error(`Trade not found: ${tradeId}`);
-      return;
-    }
-    
-    if (trade.toPlayer.id !== playerId) {
-      this.logger.warn('Player cannot accept this trade');
-      return;
-    }
-    
-    trade.status = 'accepted';
-    trade.acceptedAt = Date.now();
+  modifyTrade(data) {
+    const { tradeId, playerId, items = [], currency = {} } = data;
+    
+    return this.runTradeStep('modify', tradeId, () => {
+      const trade = this.getOpenTrade(tradeId, playerId);
+      const previous = trade.offers[playerId];
+    
+      this.releaseOffers(trade, [playerId]);
+      try {
+        this.escrowOffer(trade, playerId, items, currency);
+      } catch (error) {
+        // Put the old offer back as it was
+        this.escrowStacks(trade, playerId, previous);
+        throw error;
+      }
     
-    // Start trade completion timer
-    this.startTradeCompletionTimer(trade);
+      this.resetAgreement(trade);
+      trade.modifiedAt = Date.now();
     
-    this.eventBus.emit('trade:accepted', {
-      trade,
-      timestamp: Date.now()
+      this.eventBus.emit('trade:modified', {
+        trade,
+        playerId,
+        timestamp: Date.now()
+      });
+      return trade;
     });
   }
 
   /**
-   * Decline trade
+   * Lock a player's offer; once both are locked the trade can be confirmed
    */
-  declineTrade(data) {
-    const { tradeId, playerId, reason } = data;
-    const trade = this.tradingState.activeTrades.get(tradeId);
-    
-    if (!trade) {
-      this.logger.error(`Trade not found: ${tradeId}`);
-      return;
-    }
-    
-    if (trade.toPlayer.id !== playerId) {
-      this.logger.warn('Player cannot decline this trade');
-      return;
-    }
+  lockTrade(data) {
+    const { tradeId, playerId } = data;
     
-    trade.status = 'declined';
-    trade.declinedAt = Date.now();
-    trade.declineReason = reason;
+    return this.runTradeStep('lock', tradeId, () => {
+      const trade = this.getOpenTrade(tradeId, playerId);
+      if (trade.status !== 'proposed') {
+        throw new Error(`Trade is already ${trade.status}`);
+      }
     
-    // Remove from active trades
-    this.tradingState.activeTrades.delete(tradeId);
+      trade.locked[playerId] = true;
+      if (Object.values(trade.locked).every(Boolean)) {
+        trade.status = 'locked';
+      }
+      this.ledger.append('locked', trade.id, { status: trade.status, playerId });
     
-    this.eventBus.emit('trade:declined', {
-      trade,
-      reason,
-      timestamp: Date.now()
+      this.eventBus.emit('trade:locked', {
+        trade,
+        playerId,
+        timestamp: Date.now()
+      });
+      return trade;
     });
   }
 
   /**
-   * Modify trade
+   * Confirm the locked offers; once both players confirm the trade commits
    */
-  modifyTrade(data) {
-    const { tradeId, playerId, newItems, newCurrency } = data;
-    const trade = this.tradingState.activeTrades.get(tradeId);
+  acceptTrade(data) {
+    const { tradeId, playerId } = data;
     
-    if (!trade) {
-      this.logger.error(`Trade not found: ${tradeId}`);
-      return;
-    }
+    return this.runTradeStep('accept', tradeId, () => {
+      const trade = this.getOpenTrade(tradeId, playerId);
+      if (trade.status !== 'locked') {
+        throw new Error('Both offers must be locked first');
+      }
     
-    if (trade.fromPlayer.id !== playerId) {
-      this.logger.warn('Player cannot modify this trade');
-      return;
-    }
+      trade.confirmed[playerId] = true;
+      if (Object.values(trade.confirmed).every(Boolean)) {
+        trade.status = 'confirmed';
+      }
+      this.ledger.append('confirmed', trade.id, { status: trade.status, playerId });
     
-    // Update trade
-    trade.items = newItems;
-    trade.currency = newCurrency;
-    trade.modifiedAt = Date.now();
+      this.eventBus.emit('trade:accepted', {
+        trade,
+        playerId,
+        timestamp: Date.now()
+      });
     
-    this.eventBus.emit('trade:modified', {
-      trade,
-      timestamp: Date.now()
+      if (trade.status === 'confirmed') {
+        this.commitTrade(trade);
+      }
+      return trade;
     });
   }
 
   /**
-   * Complete trade
+   * Commit a confirmed trade
    */
   completeTrade(data) {
     const { tradeId } = data;
-    const trade = this.tradingState.activeTrades.get(tradeId);
-    
-    if (!trade) {
-      this.logger.error(`Trade not found: ${tradeId}`);
-      return;
-    }
-    
-    if (trade.status !== 'accepted') {
-      this.logger.warn('Trade not accepted');
-      return;
-    }
     
-    // Execute trade
-    this.executeTrade(trade);
+    return this.runTradeStep('complete', tradeId, () => {
+      const trade = this.tradingState.activeTrades.get(tradeId);
+      if (!trade) {
+        throw new Error(`Trade not found: ${tradeId}`);
+      }
+      if (trade.status !== 'confirmed') {
+        throw new Error('Both players must confirm first');
+      }
     
-    // Update reputation
-    this.updateTradeReputation(trade);
+      this.commitTrade(trade);
+      return trade;
+    });
+  }
+
+  /**
+   * Decline a trade; only the invited player can
+   */
+  declineTrade(data) {
+    const { tradeId, playerId, reason } = data;
     
-    // Add to trade history
-    this.addToTradeHistory(trade);
+    return this.runTradeStep('decline', tradeId, () => {
+      const trade = this.getOpenTrade(tradeId, playerId);
+      if (trade.toPlayer.id !== playerId) {
+        throw new Error('Player cannot decline this trade');
+      }
     
-    // Remove from active trades
-    this.tradingState.activeTrades.delete(tradeId);
+      this.closeTrade(trade, 'declined', reason);
+      trade.declinedAt = Date.now();
+      trade.declineReason = reason;
     
-    this.eventBus.emit('trade:completed', {
-      trade,
-      timestamp: Date.now()
+      this.eventBus.emit('trade:declined', {
+        trade,
+        reason,
+        timestamp: Date.now()
+      });
+      return trade;
     });
   }
 
   /**
-   * Cancel trade
+   * Cancel a trade; either player can walk away before it commits
    */
   cancelTrade(data) {
     const { tradeId, playerId, reason } = data;
-    const trade = this.tradingState.activeTrades.get(tradeId);
     
-    if (!trade) {
-      this.logger.error(`Trade not found: ${tradeId}`);
-      return;
-    }
+    return this.runTradeStep('cancel', tradeId, () => {
+      const trade = this.getOpenTrade(tradeId, playerId);
     
-    if (trade.fromPlayer.id !== playerId) {
-      this.logger.warn('Player cannot cancel this trade');
-      return;
-    }
+      this.closeTrade(trade, 'cancelled', reason);
+      trade.cancelledAt = Date.now();
+      trade.cancelReason = reason;
     
-    trade.status = 'cancelled';
-    trade.cancelledAt = Date.now();
-    trade.cancelReason = reason;
+      this.eventBus.emit('trade:cancelled', {
+        trade,
+        reason,
+        timestamp: Date.now()
+      });
+      return trade;
+    });
+  }
+
+  /**
+   * Reverse a committed trade from its ledger entry: each player gives back
+   * what they received and gets back what they gave, or nothing moves
+   */
+  rollbackTrade(data) {
+    const { tradeId, reason } = data;
     
-    // Remove from active trades
-    this.tradingState.activeTrades.delete(tradeId);
+    return this.runTradeStep('roll back', tradeId, () => {
+      const transfers = this.ledger.getTransfers(tradeId);
+      if (!transfers || this.ledger.getStatus(tradeId) !== 'committed') {
+        throw new Error(`Trade ${tradeId} has no committed transfers to roll back`);
+      }
     
-    this.eventBus.emit('trade:cancelled', {
-      trade,
-      reason,
-      timestamp: Date.now()
+      // Players give back what they kept after tax; the tax is refunded
+      const taxes = this.ledger.getTaxes(tradeId);
+      const reversed = transfers.map(transfer => ({
+        from: transfer.to,
+        to: transfer.from,
+        items: transfer.items,
+        currency: Object.fromEntries(Object.entries(transfer.currency)
+          .map(([type, amount]) => [type, amount - (taxes[transfer.to]?.[type] || 0)])),
+        taxes: taxes[transfer.to] || {}
+      }));
+      reversed.forEach(({ from, currency }) => {
+        Object.entries(currency).forEach(([type, amount]) => {
+          if (this.getBalance(from, type) < amount) {
+            throw new Error(`${from} no longer has ${amount} ${type}`);
+          }
+        });
+      });
+    
+      // Take the items back first, so their room counts when checking the
+      // other side's bag
+      const taken = [];
+      try {
+        reversed.forEach(transfer => {
+          if (transfer.items.length === 0) return;
+          const result = this.getInventory(transfer.from).takeItems(transfer.items);
+          if (!result.success) {
+            throw new Error(`${transfer.from} no longer has the traded items: ${result.error}`);
+          }
+          taken.push({ ...transfer, items: result.taken });
+        });
+        taken.forEach(transfer => {
+          if (!this.getInventory(transfer.to).canAddItems(transfer.items)) {
+            throw new Error(`${transfer.to} has no room for the returned items`);
+          }
+        });
+      } catch (error) {
+        taken.forEach(transfer => this.deliverStacks(transfer.from, transfer.items));
+        throw error;
+      }
+    
+      reversed.forEach(({ from, currency }) => {
+        Object.entries(currency).forEach(([type, amount]) => this.addCurrency(from, type, -amount, 'trade'));
+      });
+      taken.forEach(transfer => this.deliverStacks(transfer.to, transfer.items));
+      reversed.forEach(({ to, currency, taxes: paid }) => {
+        Object.entries(currency).forEach(([type, amount]) => this.addCurrency(to, type, amount, 'trade'));
+        Object.entries(paid).forEach(([type, amount]) => this.addCurrency(to, type, amount, 'tax_refund'));
+      });
+    
+      this.ledger.append('rolled_back', tradeId, { status: 'rolled_back', reason: reason || null });
+      const trade = this.tradingState.tradeHistory.get(tradeId);
+      if (trade) {
+        trade.status = 'rolled_back';
+        trade.rolledBackAt = Date.now();
+      }
+    
+      this.eventBus.emit('trade:rolledBack', {
+        tradeId,
+        transfers: reversed,
+        reason,
+        timestamp: Date.now()
+      });
+      return trade || null;
     });
   }
 
   /**
-   * List auction
+   * List an item from the seller's bag. data: { playerId, itemId, quantity,
+   * startingPrice, buyoutPrice, duration, channel, currency }; a missing
+   * quantity lists the whole stack
    */
   listAuction(data) {
-    const { playerId, item, startingPrice, buyoutPrice, duration, channel } = data;
+    const { playerId, itemId, quantity = null, startingPrice, buyoutPrice, duration, channel, currency = 'gold' } = data;
     
-    // Validate auction
-    if (!this.validateAuction(playerId, item, startingPrice, buyoutPrice, duration)) {
-      this.logger.warn('Invalid auction request');
-      return;
-    }
+    return this.runAuctionStep('list', null, () => {
+      // Validate auction
+      if (!this.validateAuction(playerId, itemId, startingPrice, buyoutPrice, duration)) {
+        throw new Error('Invalid auction request');
+      }
+      if (!this.tradingState.currencyRates.has(currency)) {
+        throw new Error(`Unknown currency: ${currency}`);
+      }
     
-    // Create auction
-    const auction = this.createAuction(playerId, item, startingPrice, buyoutPrice, duration, channel);
+      // The auction house holds the item until it sells or comes back
+      const result = this.getInventory(playerId).removeItem(itemId, quantity);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
     
-    this.tradingState.auctionHouse.set(auction.id, auction);
+      const auction = this.createAuction(playerId, result.entry.item, result.entry.quantity, startingPrice, buyoutPrice, duration, channel, currency);
+      this.tradingState.auctionHouse.set(auction.id, auction);
     
-    this.eventBus.emit('auction:listed', {
-      auction,
-      timestamp: Date.now()
+      this.eventBus.emit('auction:listed', {
+        auction: toPublicAuction(auction),
+        timestamp: Date.now()
+      });
+    
+      // A standing buy order may take it straight away
+      const order = pickBuyOrder(Array.from(this.tradingState.buyOrders.values()), auction);
+      if (order) {
+        this.fillBuyOrder(order, auction);
+      }
+    
+      return { auction: toPublicAuction(auction) };
     });
   }
 
   /**
-   * Place bid
+   * Bid on an auction. maxBid is the most the bidder will pay and is held in
+   * escrow; the bid only rises as far as it must to lead. A bid in the last
+   * minutes extends the auction
    */
   placeBid(data) {
-    const { auctionId, playerId, bidAmount } = data;
-    const auction = this.tradingState.auctionHouse.get(auctionId);
+    const { auctionId, playerId, bidAmount, maxBid = bidAmount } = data;
     
-    if (!auction) {
-      this.logger.error(`Auction not found: ${auctionId}`);
-      return;
-    }
+    return this.runAuctionStep('bid on', auctionId, () => {
+      const auction = this.getActiveAuction(auctionId);
+      if (auction.seller === playerId) {
+        throw new Error('Sellers cannot bid on their own auctions');
+      }
     
-    if (auction.status !== 'active') {
-      this.logger.warn('Auction not active');
-      return;
-    }
+      const result = resolveProxyBid(auction, playerId, maxBid, this.tradingConfig);
     
-    if (bidAmount <= auction.currentBid) {
-      this.logger.warn('Bid too low');
-      return;
-    }
+      // A leader raising their maximum only adds the difference
+      const held = auction.proxy?.bidderId === playerId ? auction.proxy.maxBid : 0;
+      this.addCurrency(playerId, auction.currency, -(maxBid - held), 'bid');
+      if (result.outbid) {
+        this.addCurrency(result.outbid.bidderId, auction.currency, result.outbid.maxBid, 'refund');
+      }
+    
+      const now = Date.now();
+      auction.proxy = result.leader;
+      auction.currentBid = result.currentBid;
+      auction.currentBidder = result.leader.bidderId;
+      auction.bidCount++;
+      auction.lastBidAt = now;
+    
+      const endTime = getSoftCloseEnd(auction.endTime, now, this.tradingConfig);
+      if (endTime !== auction.endTime) {
+        auction.endTime = endTime;
+        auction.extensions++;
+        this.eventBus.emit('auction:extended', {
+          auction: toPublicAuction(auction),
+          endTime,
+          timestamp: now
+        });
+      }
     
-    // Update auction
-    auction.currentBid = bidAmount;
-    auction.currentBidder = playerId;
-    auction.bidCount++;
-    auction.lastBidAt = Date.now();
+      this.eventBus.emit('auction:bidPlaced', {
+        auction: toPublicAuction(auction),
+        bidAmount: auction.currentBid,
+        playerId,
+        leading: auction.currentBidder === playerId,
+        timestamp: now
+      });
+    
+      if (result.outbid) {
+        this.eventBus.emit('auction:outbid', {
+          auction: toPublicAuction(auction),
+          playerId: result.outbid.bidderId,
+          refunded: result.outbid.maxBid,
+          timestamp: now
+        });
+      }
     
-    this.eventBus.emit('auction:bidPlaced', {
-      auction,
-      bidAmount,
-      playerId,
-      timestamp: Date.now()
+      return {
+        auction: toPublicAuction(auction),
+        leading: auction.currentBidder === playerId
+      };
     });
   }
 
@@ -565,35 +792,35 @@ export class TradingSystem {
    */
   buyoutAuction(data) {
     const { auctionId, playerId } = data;
-    const auction = this.tradingState.auctionHouse.get(auctionId);
     
-    if (!auction) {
-      this.logger.error(`Auction not found: ${auctionId}`);
-      return;
-    }
+    return this.runAuctionStep('buy out', auctionId, () => {
+      const auction = this.getActiveAuction(auctionId);
+      if (!auction.buyoutPrice) {
+        throw new Error('Auction has no buyout price');
+      }
+      if (auction.seller === playerId) {
+        throw new Error('Sellers cannot buy their own auctions');
+      }
     
-    if (auction.status !== 'active') {
-      this.logger.warn('Auction not active');
-      return;
-    }
+      this.addCurrency(playerId, auction.currency, -auction.buyoutPrice, 'bid');
+      this.refundLeader(auction);
     
-    if (!auction.buyoutPrice) {
-      this.logger.warn('Auction has no buyout price');
-      return;
-    }
+      // Complete auction
+      this.completeAuction(auction, playerId, auction.buyoutPrice, 'buyout');
     
-    // Complete auction
-    this.completeAuction(auction, playerId, auction.buyoutPrice);
+      this.eventBus.emit('auction:buyout', {
+        auction: toPublicAuction(auction),
+        playerId,
+        timestamp: Date.now()
+      });
     
-    this.eventBus.emit('auction:buyout', {
-      auction,
-      playerId,
-      timestamp: Date.now()
+      return { auction: toPublicAuction(auction) };
     });
   }
 
   /**
-   * Expire auction
+   * End an auction: the leader pays their current bid and gets the rest of
+   * their maximum back, or the item goes back to the seller
    */
   expireAuction(data) {
     const { auctionId } = data;
@@ -604,56 +831,130 @@ export class TradingSystem {
       return;
     }
     
+    if (auction.status !== 'active') {
+      this.logger.warn('Auction not active');
+      return;
+    }
+    
     auction.status = 'expired';
     auction.expiredAt = Date.now();
     
     // Process auction result
-    if (auction.currentBidder) {
-      this.completeAuction(auction, auction.currentBidder, auction.currentBid);
+    if (auction.proxy) {
+      this.addCurrency(auction.proxy.bidderId, auction.currency, auction.proxy.maxBid - auction.currentBid, 'refund');
+      this.completeAuction(auction, auction.proxy.bidderId, auction.currentBid, 'auction');
     } else {
       this.returnAuctionItem(auction);
     }
     
     this.eventBus.emit('auction:expired', {
-      auction,
+      auction: toPublicAuction(auction),
       timestamp: Date.now()
     });
   }
 
   /**
-   * Update item price
+   * Place a standing order to buy an item at up to maxPrice each. The whole
+   * amount is held in escrow, and the order fills from listings whose
+   * buyout is within it, the cheapest already listed first.
+   * data: { playerId, itemName, rarity, minLevel, maxPrice, quantity,
+   * duration, currency }
+   */
+  placeBuyOrder(data) {
+    const {
+      playerId,
+      itemName,
+      rarity = null,
+      minLevel = 0,
+      maxPrice,
+      quantity = 1,
+      duration = this.tradingConfig.maxAuctionDuration,
+      currency = 'gold'
+    } = data;
+    
+    return this.runAuctionStep('place buy order', null, () => {
+      if (!playerId || !itemName) {
+        throw new Error('A buy order needs a player and an item');
+      }
+      if (!(maxPrice > 0) || !Number.isInteger(quantity) || quantity < 1) {
+        throw new Error('A buy order needs a positive price and quantity');
+      }
+      if (this.getBuyOrders({ playerId }).length >= this.tradingConfig.maxBuyOrders) {
+        throw new Error(`A player can have at most ${this.tradingConfig.maxBuyOrders} buy orders`);
+      }
+    
+      this.addCurrency(playerId, currency, -maxPrice * quantity, 'buy_order');
+    
+      const now = Date.now();
+      const order = {
+        id: `order_${now}_${Math.random().toString(36).substr(2, 9)}`,
+        playerId,
+        itemName,
+        rarity,
+        minLevel,
+        maxPrice,
+        quantity,
+        remaining: quantity,
+        currency,
+        escrow: maxPrice * quantity,
+        status: 'active',
+        createdAt: now,
+        expiresAt: now + duration
+      };
+      this.tradingState.buyOrders.set(order.id, order);
+    
+      this.eventBus.emit('buyOrder:placed', {
+        order: { ...order },
+        timestamp: now
+      });
+    
+      const listings = Array.from(this.tradingState.auctionHouse.values())
+        .filter(auction => auction.status === 'active')
+        .sort((a, b) => a.buyoutPrice / a.quantity - b.buyoutPrice / b.quantity);
+      for (const auction of listings) {
+        if (order.status !== 'active') break;
+        if (canFillBuyOrder(order, auction)) {
+          this.fillBuyOrder(order, auction);
+        }
+      }
+    
+      return { order: { ...order } };
+    });
+  }
+
+  /**
+   * Cancel a buy order and give back what is left of its escrow
+   */
+  cancelBuyOrder(data) {
+    const { orderId, playerId } = data;
+    
+    return this.runAuctionStep('cancel buy order', orderId, () => {
+      const order = this.tradingState.buyOrders.get(orderId);
+      if (!order) {
+        throw new Error(`Buy order not found: ${orderId}`);
+      }
+      if (order.playerId !== playerId) {
+        throw new Error('Player cannot cancel this buy order');
+      }
+    
+      this.closeBuyOrder(order, 'cancelled');
+      return { order: { ...order } };
+    });
+  }
+
+  /**
+   * Take a reported sale into the item's price. data: { item, newPrice,
+   * volume }, with newPrice per unit in gold
    */
   updateItemPrice(data) {
     const { item, newPrice, volume } = data;
-    const priceData = this.tradingState.marketPrices.get(item);
     
-    if (!priceData) {
-      this.logger.error(`Price data not found for item: ${item}`);
+    if (!item || !(newPrice > 0)) {
+      this.logger.warn(`Invalid price report for item: ${item}`);
       return;
     }
     
-    // Update price with market dynamics
-    const oldPrice = priceData.currentPrice;
-    priceData.currentPrice = newPrice;
-    priceData.volume += volume || 1;
-    priceData.lastUpdate = Date.now();
-    
-    // Calculate trend
-    if (newPrice > oldPrice) {
-      priceData.trend = 'rising';
-    } else if (newPrice < oldPrice) {
-      priceData.trend = 'falling';
-    } else {
-      priceData.trend = 'stable';
-    }
-    
-    this.eventBus.emit('market:priceUpdated', {
-      item,
-      oldPrice,
-      newPrice,
-      trend: priceData.trend,
-      timestamp: Date.now()
-    });
+    this.recordMarketSale(item, newPrice, volume || 1, 'report');
   }
 
   /**
@@ -664,20 +965,6 @@ export class TradingSystem {
     
     let results = [];
     
-    // Search active trades
-    for (const trade of this.tradingState.activeTrades.values()) {
-      if (this.matchesSearchCriteria(trade, query, filters)) {
-        results.push({
-          type: 'trade',
-          id: trade.id,
-          item: trade.items[0],
-          price: trade.currency,
-          player: trade.fromPlayer,
-          timestamp: trade.createdAt
-        });
-      }
-    }
-    
     // Search auctions
     for (const auction of this.tradingState.auctionHouse.values()) {
       if (auction.status === 'active' && this.matchesSearchCriteria(auction, query, filters)) {
@@ -687,6 +974,8 @@ export class TradingSystem {
           item: auction.item,
           price: auction.currentBid,
           buyoutPrice: auction.buyoutPrice,
+          currency: auction.currency,
+          quantity: auction.quantity,
           player: auction.seller,
           timeLeft: auction.endTime - Date.now(),
           timestamp: auction.createdAt
@@ -739,9 +1028,9 @@ export class TradingSystem {
   updateActiveTrades(deltaTime) {
     const now = Date.now();
     
-    for (const [tradeId, trade] of this.tradingState.activeTrades) {
+    for (const trade of this.tradingState.activeTrades.values()) {
       // Check for trade timeout
-      if (now - trade.createdAt > this.tradingConfig.tradeTimeout) {
+      if (now >= trade.expiresAt) {
         this.timeoutTrade(trade);
       }
     }
@@ -758,15 +1047,11 @@ export class TradingSystem {
         this.expireAuction({ auctionId });
       }
     }
-  }
-
-  /**
-   * Update market prices
-   */
-  updateMarketPrices(deltaTime) {
-    // Update market prices based on supply and demand
-    for (const [item, priceData] of this.tradingState.marketPrices) {
-      this.updateMarketPrice(priceData, deltaTime);
+    
+    for (const order of this.tradingState.buyOrders.values()) {
+      if (now >= order.expiresAt) {
+        this.closeBuyOrder(order, 'expired');
+      }
     }
   }
 
@@ -791,7 +1076,7 @@ export class TradingSystem {
   /**
    * Validate trade
    */
-  validateTrade(fromPlayer, toPlayer, items, currency) {
+  validateTrade(fromPlayer, toPlayer) {
     // Check if players exist
     if (!fromPlayer || !toPlayer) {
       return false;
@@ -802,22 +1087,6 @@ export class TradingSystem {
       return false;
     }
     
-    // Check if items are valid
-    if (!items || items.length === 0) {
-      return false;
-    }
-    
-    // Check if currency is valid
-    if (!currency || currency.amount <= 0) {
-      return false;
-    }
-    
-    // Check trade value limits
-    const totalValue = this.calculateTradeValue(items, currency);
-    if (totalValue > this.tradingConfig.maxTradeValue) {
-      return false;
-    }
-    
     return true;
   }
 
@@ -846,17 +1115,23 @@ export class TradingSystem {
   /**
    * Create trade
    */
-  createTrade(fromPlayer, toPlayer, items, currency, channel) {
+  createTrade(fromPlayer, toPlayer, channel) {
+    const now = Date.now();
+    const sides = (value) => ({ [fromPlayer.id]: value(), [toPlayer.id]: value() });
+    
     return {
-      id: `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      id: `trade_${now}_${Math.random().toString(36).substr(2, 9)}`,
       fromPlayer: fromPlayer,
       toPlayer: toPlayer,
-      items: items,
-      currency: currency,
       channel: channel,
-      status: 'pending',
-      createdAt: Date.now(),
-      acceptedAt: null,
+      status: 'proposed',
+      // What each player has put in escrow
+      offers: sides(() => ({ items: [], currency: {} })),
+      locked: sides(() => false),
+      confirmed: sides(() => false),
+      createdAt: now,
+      expiresAt: now + this.tradingConfig.tradeTimeout,
+      modifiedAt: null,
       declinedAt: null,
       completedAt: null,
       cancelledAt: null
@@ -864,64 +1139,485 @@ export class TradingSystem {
   }
 
   /**
-   * Execute trade
+   * Run a step of a trade; returns { success, trade }, or logs and
+   * announces why it failed and returns { success: false, error }
    */
-  executeTrade(trade) {
-    // Transfer items from seller to buyer
-    this.transferItems(trade.fromPlayer, trade.toPlayer, trade.items);
-    
-    // Transfer currency from buyer to seller
-    this.transferCurrency(trade.toPlayer, trade.fromPlayer, trade.currency);
-    
-    // Apply trade tax
-    this.applyTradeTax(trade);
-    
-    trade.status = 'completed';
-    trade.completedAt = Date.now();
+  runTradeStep(action, tradeId, step) {
+    try {
+      return { success: true, trade: step() };
+    } catch (error) {
+      this.logger.warn(`Cannot ${action} trade${tradeId ? ` ${tradeId}` : ''}: ${error.message}`);
+      this.eventBus.emit('trade:failed', {
+        tradeId,
+        action,
+        error: error.message,
+        timestamp: Date.now()
+      });
+      return { success: false, error: error.message };
+    }
   }
 
   /**
-   * Transfer items
+   * Get an uncommitted trade a player is part of
    */
-  transferItems(fromPlayer, toPlayer, items) {
-    // This would transfer items between players
-    this.logger.info(`Transferred ${items.length} items from ${fromPlayer.id} to ${toPlayer.id}`);
+  getOpenTrade(tradeId, playerId) {
+    const trade = this.tradingState.activeTrades.get(tradeId);
+    if (!trade) {
+      throw new Error(`Trade not found: ${tradeId}`);
+    }
+    if (!(playerId in trade.offers)) {
+      throw new Error(`${playerId} is not part of this trade`);
+    }
+    return trade;
   }
 
   /**
-   * Transfer currency
+   * Clear both locks and confirmations after an offer changes
    */
-  transferCurrency(fromPlayer, toPlayer, currency) {
-    // This would transfer currency between players
-    this.logger.info(`Transferred ${currency.amount} ${currency.type} from ${fromPlayer.id} to ${toPlayer.id}`);
+  resetAgreement(trade) {
+    Object.keys(trade.offers).forEach(playerId => {
+      trade.locked[playerId] = false;
+      trade.confirmed[playerId] = false;
+    });
+    trade.status = 'proposed';
   }
 
   /**
-   * Apply trade tax
+   * Register the bag a player trades items from and into; it provides
+   * removeItem, addItem, canAddItems and takeItems like the InventorySystem
    */
-  applyTradeTax(trade) {
-    const channel = this.tradingState.tradeChannels.get(trade.channel);
-    if (channel) {
-      const taxAmount = trade.currency.amount * channel.taxRate;
-      // Apply tax to the trade
-      this.logger.info(`Applied ${taxAmount} tax to trade ${trade.id}`);
+  registerInventory(playerId, inventory) {
+    const missing = ['removeItem', 'addItem', 'canAddItems', 'takeItems']
+      .filter(method => typeof inventory?.[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Inventory for ${playerId} must implement ${missing.join(', ')}`);
     }
+    this.inventories.set(playerId, inventory);
   }
 
   /**
-   * Update trade reputation
+   * Get the bag a player trades with
    */
-  updateTradeReputation(trade) {
-    // Update reputation based on trade completion
-    this.updateReputation({
-      playerId: trade.fromPlayer.id,
-      change: 10,
-      reason: 'successful_trade'
-    });
-    
-    this.updateReputation({
-      playerId: trade.toPlayer.id,
-      change: 10,
+  getInventory(playerId) {
+    const inventory = this.inventories.get(playerId);
+    if (!inventory) {
+      throw new Error(`${playerId} has no inventory to trade with`);
+    }
+    return inventory;
+  }
+
+  /**
+   * Move a player's offer out of their bag and wallet into escrow. items are
+   * [{ itemId, quantity }]; a missing quantity offers the whole stack
+   */
+  escrowOffer(trade, playerId, items, currency) {
+    const offer = { items: [], currency: {} };
+    
+    try {
+      Object.entries(currency).forEach(([type, amount]) => {
+        if (!(amount > 0)) {
+          throw new Error(`Invalid ${type} amount: ${amount}`);
+        }
+        this.addCurrency(playerId, type, -amount, 'escrow');
+        offer.currency[type] = amount;
+      });
+    
+      items.forEach(({ itemId, quantity = null }) => {
+        const result = this.getInventory(playerId).removeItem(itemId, quantity);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        offer.items.push({ item: result.entry.item, quantity: result.entry.quantity });
+      });
+    
+      if (this.calculateTradeValue(offer.items, offer.currency) > this.tradingConfig.maxTradeValue) {
+        throw new Error(`Offer is worth more than ${this.tradingConfig.maxTradeValue}`);
+      }
+    } catch (error) {
+      // Give back whatever was already taken
+      this.deliverStacks(playerId, offer.items);
+      Object.entries(offer.currency).forEach(([type, amount]) => this.addCurrency(playerId, type, amount, 'refund'));
+      throw error;
+    }
+    
+    trade.offers[playerId] = offer;
+    this.ledger.append('escrowed', trade.id, { status: trade.status, playerId, ...offer });
+  }
+
+  /**
+   * Put an offer that was released back into escrow, taking the same items
+   * and currency again
+   */
+  escrowStacks(trade, playerId, offer) {
+    if (offer.items.length > 0) {
+      const result = this.getInventory(playerId).takeItems(offer.items);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    }
+    Object.entries(offer.currency).forEach(([type, amount]) => this.addCurrency(playerId, type, -amount, 'escrow'));
+    
+    trade.offers[playerId] = offer;
+    this.ledger.append('escrowed', trade.id, { status: trade.status, playerId, ...offer });
+  }
+
+  /**
+   * Give players' offers back out of escrow; throws, returning nothing, if
+   * any of their bags lacks the room
+   */
+  releaseOffers(trade, playerIds = Object.keys(trade.offers)) {
+    playerIds.forEach(playerId => {
+      const { items } = trade.offers[playerId];
+      if (items.length > 0 && !this.getInventory(playerId).canAddItems(items)) {
+        throw new Error(`${playerId} has no room in their bag for the items in escrow`);
+      }
+    });
+    
+    playerIds.forEach(playerId => {
+      const offer = trade.offers[playerId];
+      if (offer.items.length === 0 && Object.keys(offer.currency).length === 0) return;
+    
+      this.deliverStacks(playerId, offer.items);
+      Object.entries(offer.currency).forEach(([type, amount]) => this.addCurrency(playerId, type, amount, 'refund'));
+      trade.offers[playerId] = { items: [], currency: {} };
+      this.ledger.append('released', trade.id, { status: trade.status, playerId, ...offer });
+    });
+  }
+
+  /**
+   * End an uncommitted trade, returning both offers from escrow
+   */
+  closeTrade(trade, status, reason = null) {
+    this.releaseOffers(trade);
+    
+    trade.status = status;
+    this.tradingState.activeTrades.delete(trade.id);
+    this.ledger.append(status, trade.id, { status, reason: reason || null });
+  }
+
+  /**
+   * Hand each offer in escrow to the other player. Every bag is checked for
+   * room before anything moves, so either the whole trade goes through or
+   * none of it does
+   */
+  commitTrade(trade) {
+    const [first, second] = Object.keys(trade.offers);
+    const transfers = [
+      { from: first, to: second, ...trade.offers[first] },
+      { from: second, to: first, ...trade.offers[second] }
+    ];
+    
+    try {
+      transfers.forEach(({ to, items }) => {
+        if (items.length > 0 && !this.getInventory(to).canAddItems(items)) {
+          throw new Error(`${to} has no room in their bag for the traded items`);
+        }
+      });
+    } catch (error) {
+      // Nothing moved; the players can make room and confirm again
+      Object.keys(trade.confirmed).forEach(playerId => {
+        trade.confirmed[playerId] = false;
+      });
+      trade.status = 'locked';
+      this.ledger.append('locked', trade.id, { status: trade.status, reason: error.message });
+      throw error;
+    }
+    
+    transfers.forEach(({ to, items, currency }) => {
+      this.deliverStacks(to, items);
+      Object.entries(currency).forEach(([type, amount]) => this.addCurrency(to, type, amount, 'trade'));
+    });
+    
+    // Apply trade tax
+    const taxes = this.applyTradeTax(trade, transfers);
+    
+    trade.status = 'committed';
+    trade.completedAt = Date.now();
+    this.ledger.append('committed', trade.id, { status: trade.status, transfers, taxes });
+    this.recordTradePrice(transfers);
+    
+    // Update reputation
+    this.updateTradeReputation(trade);
+    
+    // Add to trade history
+    this.addToTradeHistory(trade);
+    
+    // Remove from active trades
+    this.tradingState.activeTrades.delete(trade.id);
+    
+    this.eventBus.emit('trade:completed', {
+      trade,
+      transfers,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Put { item, quantity } stacks in a player's bag
+   */
+  deliverStacks(playerId, stacks) {
+    if (stacks.length === 0) return;
+    
+    const inventory = this.getInventory(playerId);
+    stacks.forEach(({ item, quantity }) => inventory.addItem(item, quantity));
+  }
+
+  /**
+   * Get a player's wallet, opening an empty one the first time
+   */
+  getWallet(playerId) {
+    if (!this.tradingState.wallets.has(playerId)) {
+      this.tradingState.wallets.set(playerId, new Wallet(playerId));
+    }
+    return this.tradingState.wallets.get(playerId);
+  }
+
+  /**
+   * Get a player's balance of one currency
+   */
+  getBalance(playerId, currency = 'gold') {
+    const wallet = this.tradingState.wallets.get(playerId);
+    return wallet ? wallet.getBalance(currency) : 0;
+  }
+
+  /**
+   * Add to (or with a negative amount, take from) a player's balance,
+   * recording why; throws rather than overdraw. Returns the new balance
+   */
+  addCurrency(playerId, currency, amount, reason = 'grant') {
+    const rate = this.tradingState.currencyRates.get(currency);
+    if (!rate) {
+      throw new Error(`Unknown currency: ${currency}`);
+    }
+    
+    const balance = this.getWallet(playerId).apply(currency, amount);
+    const transaction = {
+      id: ++this.walletTransactionSeq,
+      playerId,
+      currency,
+      amount,
+      balance,
+      reason,
+      flow: getCurrencyFlow(reason, amount),
+      value: amount * rate.baseValue,
+      timestamp: Date.now()
+    };
+    const transactions = this.tradingState.walletTransactions;
+    transactions.push(transaction);
+    if (transactions.length > this.tradingConfig.walletTransactionLimit) {
+      transactions.splice(0, transactions.length - this.tradingConfig.walletTransactionLimit);
+    }
+    
+    this.eventBus.emit('currency:changed', { ...transaction });
+    
+    return balance;
+  }
+
+  /**
+   * Pay currency the game hands out into the rewarded player's wallet
+   */
+  creditReward(currency, amount, reason) {
+    if (!(amount > 0)) return;
+    
+    this.addCurrency(this.tradingConfig.rewardPlayerId, currency, amount, reason);
+  }
+
+  /**
+   * Handle an achievement reward; only gold goes to the wallet
+   */
+  handleAchievementReward(data) {
+    if (data.type === 'gold') {
+      this.creditReward('gold', data.amount, 'achievement');
+    }
+  }
+
+  /**
+   * Handle the rewards for clearing a dungeon
+   */
+  handleDungeonRewards(data) {
+    this.creditReward('gold', data.rewards.gold, 'dungeon');
+  }
+
+  /**
+   * Handle loot dropped by a dead enemy; its gold is picked up as it drops
+   */
+  handleLootDropped(data) {
+    this.creditReward('gold', data.loot.gold, 'loot');
+  }
+
+  /**
+   * Spend currency if the player can afford it
+   */
+  spendCurrency(playerId, currency, amount, reason = 'spend') {
+    if (amount > this.getBalance(playerId, currency)) {
+      this.logger.warn(`${playerId} cannot afford ${amount} ${currency}`);
+      return false;
+    }
+    
+    this.addCurrency(playerId, currency, -amount, reason);
+    return true;
+  }
+
+  /**
+   * Get recorded balance changes, oldest first, optionally only one
+   * player's, currency's or flow's, or those since a time
+   */
+  getWalletTransactions({ playerId = null, currency = null, flow = null, since = 0 } = {}) {
+    return this.tradingState.walletTransactions
+      .filter(transaction => (!playerId || transaction.playerId === playerId) &&
+        (!currency || transaction.currency === currency) &&
+        (!flow || transaction.flow === flow) &&
+        transaction.timestamp >= since)
+      .map(transaction => ({ ...transaction }));
+  }
+
+  /**
+   * Quote exchanging an amount of one currency for another:
+   * { from, to, amount, fee, received, rate, spread, value }, with the fee
+   * in the currency given and value the amount's worth in gold
+   */
+  getExchangeQuote(from, to, amount) {
+    const fromRate = this.tradingState.currencyRates.get(from);
+    const toRate = this.tradingState.currencyRates.get(to);
+    if (!fromRate || !toRate) {
+      throw new Error(`Unknown currency: ${fromRate ? to : from}`);
+    }
+    if (from === to) {
+      throw new Error('Cannot exchange a currency for itself');
+    }
+    if (!(amount > 0)) {
+      throw new Error(`Invalid ${from} amount: ${amount}`);
+    }
+    
+    // The dearer of the two spreads applies
+    const { exchangeSpread, exchangeSpreads } = this.tradingConfig;
+    const spread = Math.max(exchangeSpreads[from] ?? exchangeSpread, exchangeSpreads[to] ?? exchangeSpread);
+    const quote = quoteExchange(amount, fromRate, toRate, spread);
+    if (!(quote.received > 0)) {
+      throw new Error(`${amount} ${from} is too little to exchange for ${to}`);
+    }
+    
+    return { from, to, amount, fee: quote.fee, received: quote.received, rate: quote.rate, spread, value: quote.value };
+  }
+
+  /**
+   * Get how much a player may still exchange today, in gold worth:
+   * { limit, used, remaining }
+   */
+  getExchangeAllowance(playerId) {
+    const limit = this.tradingConfig.exchangeDailyLimit;
+    const usage = this.tradingState.exchangeUsage.get(playerId);
+    const used = usage && usage.day === Math.floor(Date.now() / DAY_MS) ? usage.value : 0;
+    return { limit, used, remaining: Math.max(0, limit - used) };
+  }
+
+  /**
+   * Exchange one currency for another at the quoted rate, the fee going
+   * out of the economy. data: { playerId, from, to, amount }. Returns
+   * { success, order }, or { success: false, error } with nothing changed
+   */
+  exchangeCurrency(data) {
+    const { playerId, from, to, amount } = data;
+    
+    try {
+      const quote = this.getExchangeQuote(from, to, amount);
+    
+      const allowance = this.getExchangeAllowance(playerId);
+      if (quote.value > allowance.remaining) {
+        throw new Error(`Daily exchange limit reached: ${playerId} can exchange ${allowance.remaining} more gold worth today`);
+      }
+      if (!this.getWallet(playerId).canAfford({ [from]: amount })) {
+        throw new Error(`Insufficient ${from}: ${playerId} has ${this.getBalance(playerId, from)}, needs ${amount}`);
+      }
+    
+      this.addCurrency(playerId, from, -(amount - quote.fee), 'exchange');
+      if (quote.fee > 0) {
+        this.addCurrency(playerId, from, -quote.fee, 'exchange_fee');
+      }
+      this.addCurrency(playerId, to, quote.received, 'exchange');
+    
+      const now = Date.now();
+      this.tradingState.exchangeUsage.set(playerId, {
+        day: Math.floor(now / DAY_MS),
+        value: allowance.used + quote.value
+      });
+    
+      const order = {
+        id: `exchange_${now}_${Math.random().toString(36).substr(2, 9)}`,
+        playerId,
+        ...quote,
+        status: 'filled',
+        timestamp: now
+      };
+      const orders = this.tradingState.exchangeOrders;
+      orders.set(order.id, order);
+      if (orders.size > this.tradingConfig.exchangeOrderLimit) {
+        orders.delete(orders.keys().next().value);
+      }
+    
+      this.eventBus.emit('currency:exchanged', {
+        order: { ...order },
+        timestamp: now
+      });
+      return { success: true, order: { ...order } };
+    } catch (error) {
+      this.logger.warn(`Cannot exchange ${amount} ${from} for ${to}: ${error.message}`);
+      this.eventBus.emit('currency:exchangeFailed', {
+        playerId,
+        from,
+        to,
+        amount,
+        error: error.message,
+        timestamp: Date.now()
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a player's exchange orders, oldest first
+   */
+  getExchangeOrders(playerId) {
+    return Array.from(this.tradingState.exchangeOrders.values())
+      .filter(order => order.playerId === playerId)
+      .map(order => ({ ...order }));
+  }
+
+  /**
+   * Take the channel's tax out of the currency each player received in a
+   * trade; returns what each paid, as { playerId: { gold: 15 } }
+   */
+  applyTradeTax(trade, transfers) {
+    const taxes = {};
+    const channel = this.tradingState.tradeChannels.get(trade.channel);
+    if (!channel) return taxes;
+    
+    transfers.forEach(({ to, currency }) => {
+      Object.entries(currency).forEach(([type, amount]) => {
+        const tax = roundDown(amount * channel.taxRate, this.tradingState.currencyRates.get(type).decimals);
+        if (tax <= 0) return;
+    
+        this.addCurrency(to, type, -tax, 'tax');
+        taxes[to] = { ...taxes[to], [type]: tax };
+      });
+    });
+    return taxes;
+  }
+
+  /**
+   * Update trade reputation
+   */
+  updateTradeReputation(trade) {
+    // Update reputation based on trade completion
+    this.updateReputation({
+      playerId: trade.fromPlayer.id,
+      change: 10,
+      reason: 'successful_trade'
+    });
+    
+    this.updateReputation({
+      playerId: trade.toPlayer.id,
+      change: 10,
       reason: 'successful_trade'
     });
   }
@@ -936,27 +1632,20 @@ export class TradingSystem {
     });
   }
 
-  /**
-   * Start trade completion timer
-   */
-  startTradeCompletionTimer(trade) {
-    // Start timer for trade completion
-    setTimeout(() => {
-      if (trade.status === 'accepted') {
-        this.completeTrade({ tradeId: trade.id });
-      }
-    }, 30000); // 30 seconds
-  }
-
   /**
    * Timeout trade
    */
   timeoutTrade(trade) {
-    trade.status = 'timeout';
+    try {
+      this.closeTrade(trade, 'timeout');
+    } catch (error) {
+      // Keep the escrow rather than lose it, and try again later
+      trade.expiresAt = Date.now() + this.tradingConfig.tradeTimeout;
+      this.logger.warn(`Cannot time out trade ${trade.id}: ${error.message}`);
+      return;
+    }
     trade.timeoutAt = Date.now();
     
-    this.tradingState.activeTrades.delete(trade.id);
-    
     this.eventBus.emit('trade:timeout', {
       trade,
       timestamp: Date.now()
@@ -998,16 +1687,21 @@ export class TradingSystem {
   /**
    * Create auction
    */
-  createAuction(playerId, item, startingPrice, buyoutPrice, duration, channel) {
+  createAuction(playerId, item, quantity, startingPrice, buyoutPrice, duration, channel, currency) {
     return {
       id: `auction_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       seller: playerId,
       item: item,
+      quantity: quantity,
+      currency: currency,
       startingPrice: startingPrice,
       currentBid: startingPrice,
       buyoutPrice: buyoutPrice,
       currentBidder: null,
+      // The leader's maximum, kept off the public view
+      proxy: null,
       bidCount: 0,
+      extensions: 0,
       channel: channel,
       status: 'active',
       createdAt: Date.now(),
@@ -1019,13 +1713,110 @@ export class TradingSystem {
   }
 
   /**
-   * Complete auction
+   * Run an auction house action; returns { success, ... }, or logs and
+   * announces why it failed and returns { success: false, error }
+   */
+  runAuctionStep(action, id, step) {
+    try {
+      return { success: true, ...step() };
+    } catch (error) {
+      this.logger.warn(`Cannot ${action}${id ? ` ${id}` : ''}: ${error.message}`);
+      this.eventBus.emit('auction:failed', {
+        id,
+        action,
+        error: error.message,
+        timestamp: Date.now()
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get an auction that still takes bids
    */
-  completeAuction(auction, buyerId, finalPrice) {
+  getActiveAuction(auctionId) {
+    const auction = this.tradingState.auctionHouse.get(auctionId);
+    if (!auction) {
+      throw new Error(`Auction not found: ${auctionId}`);
+    }
+    if (auction.status !== 'active' || Date.now() >= auction.endTime) {
+      throw new Error('Auction not active');
+    }
+    return auction;
+  }
+
+  /**
+   * Give the leading bidder their escrowed maximum back
+   */
+  refundLeader(auction) {
+    if (!auction.proxy) return;
+    
+    this.addCurrency(auction.proxy.bidderId, auction.currency, auction.proxy.maxBid, 'refund');
+    this.eventBus.emit('auction:outbid', {
+      auction: toPublicAuction(auction),
+      playerId: auction.proxy.bidderId,
+      refunded: auction.proxy.maxBid,
+      timestamp: Date.now()
+    });
+    auction.proxy = null;
+  }
+
+  /**
+   * Sell a listing to a buy order at its buyout price. The order held its
+   * maximum, so the difference goes back to the buyer
+   */
+  fillBuyOrder(order, auction) {
+    const reserved = order.maxPrice * auction.quantity;
+    order.remaining -= auction.quantity;
+    order.escrow -= reserved;
+    if (reserved > auction.buyoutPrice) {
+      this.addCurrency(order.playerId, order.currency, reserved - auction.buyoutPrice, 'refund');
+    }
+    
+    this.refundLeader(auction);
+    this.completeAuction(auction, order.playerId, auction.buyoutPrice, 'buy_order');
+    
+    if (order.remaining === 0) {
+      this.closeBuyOrder(order, 'filled');
+    }
+    
+    this.eventBus.emit('buyOrder:filled', {
+      order: { ...order },
+      auction: toPublicAuction(auction),
+      price: auction.buyoutPrice,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * End a buy order, giving back what is left of its escrow
+   */
+  closeBuyOrder(order, status) {
+    if (order.escrow > 0) {
+      this.addCurrency(order.playerId, order.currency, order.escrow, 'refund');
+      order.escrow = 0;
+    }
+    order.status = status;
+    this.tradingState.buyOrders.delete(order.id);
+    
+    // Fills are announced as they happen
+    if (status === 'filled') return;
+    
+    this.eventBus.emit(`buyOrder:${status}`, {
+      order: { ...order },
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Complete auction; the buyer's payment is already in escrow
+   */
+  completeAuction(auction, buyerId, finalPrice, source) {
     auction.status = 'completed';
     auction.completedAt = Date.now();
     auction.finalPrice = finalPrice;
     auction.buyer = buyerId;
+    auction.proxy = null;
     
     // Transfer item and currency
     this.transferAuctionItem(auction);
@@ -1033,38 +1824,106 @@ export class TradingSystem {
     
     // Apply auction tax
     this.applyAuctionTax(auction);
+    
+    this.recordSale(auction, source);
   }
 
   /**
    * Return auction item
    */
   returnAuctionItem(auction) {
-    // Return item to seller
-    this.logger.info(`Returned auction item to seller ${auction.seller}`);
+    this.deliverOrHold(auction.seller, [{ item: auction.item, quantity: auction.quantity }]);
   }
 
   /**
    * Transfer auction item
    */
   transferAuctionItem(auction) {
-    // Transfer item from seller to buyer
-    this.logger.info(`Transferred auction item from ${auction.seller} to ${auction.buyer}`);
+    this.deliverOrHold(auction.buyer, [{ item: auction.item, quantity: auction.quantity }]);
   }
 
   /**
    * Transfer auction currency
    */
   transferAuctionCurrency(auction) {
-    // Transfer currency from buyer to seller
-    this.logger.info(`Transferred ${auction.finalPrice} currency for auction ${auction.id}`);
+    this.addCurrency(auction.seller, auction.currency, auction.finalPrice, 'auction');
   }
 
   /**
-   * Apply auction tax
+   * Take the auction house's cut out of the seller's proceeds
    */
   applyAuctionTax(auction) {
-    const taxAmount = auction.finalPrice * this.tradingConfig.auctionTax;
-    this.logger.info(`Applied ${taxAmount} tax to auction ${auction.id}`);
+    const { decimals } = this.tradingState.currencyRates.get(auction.currency);
+    auction.tax = roundDown(auction.finalPrice * this.tradingConfig.auctionTax, decimals);
+    if (auction.tax > 0) {
+      this.addCurrency(auction.seller, auction.currency, -auction.tax, 'tax');
+    }
+  }
+
+  /**
+   * Put auction items in a player's bag, or hold them for the player to
+   * claim when the bag is full or not registered
+   */
+  deliverOrHold(playerId, stacks) {
+    const inventory = this.inventories.get(playerId);
+    if (inventory && inventory.canAddItems(stacks)) {
+      this.deliverStacks(playerId, stacks);
+      return;
+    }
+    
+    const held = this.tradingState.auctionClaims.get(playerId) || [];
+    this.tradingState.auctionClaims.set(playerId, [...held, ...stacks]);
+    this.eventBus.emit('auction:itemHeld', {
+      playerId,
+      items: stacks,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Move items the auction house is holding for a player into their bag, as
+   * many as fit
+   */
+  claimAuctionItems(playerId) {
+    return this.runAuctionStep('claim items for', playerId, () => {
+      const inventory = this.getInventory(playerId);
+      const held = this.tradingState.auctionClaims.get(playerId) || [];
+    
+      const remaining = held.filter(stack => {
+        if (!inventory.canAddItems([stack])) return true;
+        this.deliverStacks(playerId, [stack]);
+        return false;
+      });
+      this.tradingState.auctionClaims.set(playerId, remaining);
+    
+      return { claimed: held.length - remaining.length, remaining: remaining.length };
+    });
+  }
+
+  /**
+   * Record a sale in the item's price history
+   */
+  recordSale(auction, source) {
+    const name = auction.item.name;
+    const sales = this.tradingState.priceHistory.get(name) || [];
+    sales.push({
+      auctionId: auction.id,
+      price: auction.finalPrice,
+      quantity: auction.quantity,
+      unitPrice: auction.finalPrice / auction.quantity,
+      currency: auction.currency,
+      rarity: auction.item.rarity || null,
+      level: auction.item.level || null,
+      source,
+      timestamp: auction.completedAt
+    });
+    if (sales.length > this.tradingConfig.priceHistoryLimit) {
+      sales.splice(0, sales.length - this.tradingConfig.priceHistoryLimit);
+    }
+    this.tradingState.priceHistory.set(name, sales);
+    
+    const rate = this.tradingState.currencyRates.get(auction.currency);
+    this.recordMarketSale(auction.item, auction.finalPrice / auction.quantity * rate.baseValue, auction.quantity, source);
   }
 
   /**
@@ -1074,15 +1933,18 @@ export class TradingSystem {
     let totalValue = 0;
     
     // Add item values
-    items.forEach(item => {
-      const priceData = this.tradingState.marketPrices.get(item.type);
+    items.forEach(({ item, quantity }) => {
+      const priceData = this.tradingState.marketPrices.get(getMarketKey(item));
       if (priceData) {
-        totalValue += priceData.currentPrice * item.quantity;
+        totalValue += priceData.currentPrice * quantity;
       }
     });
     
     // Add currency value
-    totalValue += currency.amount;
+    Object.entries(currency).forEach(([type, amount]) => {
+      const rate = this.tradingState.currencyRates.get(type);
+      totalValue += amount * (rate ? rate.baseValue : 1);
+    });
     
     return totalValue;
   }
@@ -1136,17 +1998,6 @@ export class TradingSystem {
     }
   }
 
-  /**
-   * Update market price
-   */
-  updateMarketPrice(priceData, deltaTime) {
-    // Simple market dynamics simulation
-    const volatility = priceData.volatility;
-    const change = (Math.random() - 0.5) * volatility * deltaTime / 1000;
-    
-    priceData.currentPrice = Math.max(1, priceData.currentPrice + change);
-  }
-
   /**
    * Start market updates
    */
@@ -1169,8 +2020,91 @@ export class TradingSystem {
    * Update all market prices
    */
   updateAllMarketPrices() {
-    for (const [item, priceData] of this.tradingState.marketPrices) {
-      this.updateMarketPrice(priceData, 60000);
+    // The window moves on even when nothing sells
+    for (const item of this.tradingState.marketPrices.keys()) {
+      this.refreshMarketPrice(item);
+    }
+  }
+
+  /**
+   * Add a sale to an item's market history and work its price out again
+   */
+  recordMarketSale(item, unitPrice, quantity, source) {
+    const key = getMarketKey(item);
+    const sales = this.tradingState.marketSales.get(key) || [];
+    sales.push({
+      unitPrice,
+      quantity,
+      source,
+      timestamp: Date.now()
+    });
+    if (sales.length > this.tradingConfig.marketSalesLimit) {
+      sales.splice(0, sales.length - this.tradingConfig.marketSalesLimit);
+    }
+    this.tradingState.marketSales.set(key, sales);
+    
+    this.refreshMarketPrice(key);
+  }
+
+  /**
+   * Work an item's price out from its sales in the window. With no sales
+   * in it the price stays where it was
+   */
+  refreshMarketPrice(key) {
+    const sales = this.tradingState.marketSales.get(key) || [];
+    const index = computePriceIndex(sales, Date.now(), this.tradingConfig);
+    
+    let priceData = this.tradingState.marketPrices.get(key);
+    if (!priceData) {
+      if (index.price === null) return;
+    
+      priceData = {
+        item: key,
+        basePrice: index.price,
+        currentPrice: null,
+        volatility: 0,
+        lastUpdate: Date.now(),
+        volume: 0,
+        trend: 'stable'
+      };
+      this.tradingState.marketPrices.set(key, priceData);
+    }
+    
+    const oldPrice = priceData.currentPrice;
+    const oldTrend = priceData.trend;
+    if (index.price !== null) {
+      priceData.currentPrice = index.price;
+    }
+    priceData.median = index.median;
+    priceData.volume = index.volume;
+    priceData.saleCount = index.saleCount;
+    priceData.rejected = index.rejected;
+    priceData.trend = index.trend;
+    priceData.lastUpdate = Date.now();
+    
+    if (priceData.currentPrice !== oldPrice || priceData.trend !== oldTrend) {
+      this.eventBus.emit('market:priceUpdated', {
+        item: key,
+        oldPrice,
+        newPrice: priceData.currentPrice,
+        trend: priceData.trend,
+        index,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Price a committed trade into the market when it was items for
+   * currency
+   */
+  recordTradePrice(transfers) {
+    const sale = priceTrade(transfers, type => {
+      const rate = this.tradingState.currencyRates.get(type);
+      return rate ? rate.baseValue : 1;
+    });
+    if (sale) {
+      this.recordMarketSale(sale.item, sale.unitPrice, sale.quantity, 'trade');
     }
   }
 
@@ -1179,10 +2113,25 @@ export class TradingSystem {
    */
   async loadTradingData() {
     try {
-      const savedData = localStorage.getItem('tradingData');
+      const savedData = this.storage.getItem('tradingData');
       if (savedData) {
         const data = JSON.parse(savedData);
-        this.tradingState = { ...this.tradingState, ...data };
+        this.tradingState.tradeHistory = new Map(data.tradeHistory || []);
+        this.tradingState.marketPrices = new Map(data.marketPrices || this.tradingState.marketPrices);
+        this.tradingState.playerReputation = new Map(data.playerReputation || []);
+        this.ledger = new TradeLedger(data.ledger || []);
+        this.tradingState.priceHistory = new Map(data.priceHistory || []);
+        this.tradingState.marketSales = new Map(data.marketSales || []);
+        this.tradingState.wallets = new Map((data.wallets || [])
+          .map(([playerId, balances]) => [playerId, new Wallet(playerId, balances)]));
+        // Escrow that could not be handed back yet, and items held for claim
+        this.tradingState.activeTrades = new Map(data.activeTrades || []);
+        this.tradingState.auctionClaims = new Map(data.auctionClaims || []);
+        // Open auctions and buy orders, still holding their escrow
+        this.tradingState.auctionHouse = new Map(data.auctionHouse || []);
+        this.tradingState.buyOrders = new Map(data.buyOrders || []);
+        this.tradingState.exchangeOrders = new Map(data.exchangeOrders || []);
+        this.tradingState.exchangeUsage = new Map(data.exchangeUsage || []);
         this.logger.info('Trading data loaded from storage');
       }
     } catch (error) {
@@ -1199,9 +2148,21 @@ export class TradingSystem {
         tradeHistory: Array.from(this.tradingState.tradeHistory.entries()),
         marketPrices: Array.from(this.tradingState.marketPrices.entries()),
         playerReputation: Array.from(this.tradingState.playerReputation.entries()),
+        ledger: this.ledger.toJSON(),
+        priceHistory: Array.from(this.tradingState.priceHistory.entries()),
+        marketSales: Array.from(this.tradingState.marketSales.entries()),
+        wallets: Array.from(this.tradingState.wallets.entries())
+          .map(([playerId, wallet]) => [playerId, wallet.toJSON()]),
+        activeTrades: Array.from(this.tradingState.activeTrades.entries()),
+        auctionClaims: Array.from(this.tradingState.auctionClaims.entries()),
+        auctionHouse: Array.from(this.tradingState.auctionHouse.entries())
+          .filter(([, auction]) => auction.status === 'active'),
+        buyOrders: Array.from(this.tradingState.buyOrders.entries()),
+        exchangeOrders: Array.from(this.tradingState.exchangeOrders.entries()),
+        exchangeUsage: Array.from(this.tradingState.exchangeUsage.entries()),
         timestamp: Date.now()
       };
-      localStorage.setItem('tradingData', JSON.stringify(data));
+      this.storage.setItem('tradingData', JSON.stringify(data));
       this.logger.info('Trading data saved to storage');
     } catch (error) {
       this.logger.error('Failed to save trading data:', error);
@@ -1219,7 +2180,30 @@ export class TradingSystem {
    * Get auction house
    */
   getAuctionHouse() {
-    return Array.from(this.tradingState.auctionHouse.values());
+    return Array.from(this.tradingState.auctionHouse.values()).map(toPublicAuction);
+  }
+
+  /**
+   * Get open buy orders, optionally only one player's or one item's
+   */
+  getBuyOrders({ playerId = null, itemName = null } = {}) {
+    return Array.from(this.tradingState.buyOrders.values())
+      .filter(order => (!playerId || order.playerId === playerId) && (!itemName || order.itemName === itemName))
+      .map(order => ({ ...order }));
+  }
+
+  /**
+   * Get an item's auction sales, oldest first, with a summary of their
+   * prices per unit; since and rarity narrow the sales down
+   */
+  getPriceHistory(itemName, { since = 0, rarity = null } = {}) {
+    const sales = (this.tradingState.priceHistory.get(itemName) || [])
+      .filter(sale => sale.timestamp >= since && (!rarity || sale.rarity === rarity));
+    return {
+      itemName,
+      sales,
+      ...summarizeSales(sales)
+    };
   }
 
   /**
@@ -1229,6 +2213,22 @@ export class TradingSystem {
     return Array.from(this.tradingState.marketPrices.values());
   }
 
+  /**
+   * Get an item's price chart: the index now, and candles of its sales
+   * without the outliers, oldest first; interval and since change the
+   * buckets and how far back they go
+   */
+  getPriceChart(item, { interval = this.tradingConfig.candleInterval, since = 0 } = {}) {
+    const key = getMarketKey(item);
+    const sales = this.tradingState.marketSales.get(key) || [];
+    const { kept } = rejectOutliers(sales.filter(sale => sale.timestamp >= since), this.tradingConfig);
+    return {
+      item: key,
+      index: computePriceIndex(sales, Date.now(), this.tradingConfig),
+      candles: buildCandles(kept, interval)
+    };
+  }
+
   /**
    * Get player reputation
    */
@@ -1237,16 +2237,26 @@ export class TradingSystem {
   }
 
   /**
-   * Get trade history
+   * Get the trades a player took part in, oldest first, read from the
+   * ledger: { tradeId, players, status, entries }
    */
   getTradeHistory(playerId) {
-    const history = [];
-    for (const trade of this.tradingState.tradeHistory.values()) {
-      if (trade.fromPlayer.id === playerId || trade.toPlayer.id === playerId) {
-        history.push(trade);
-      }
-    }
-    return history;
+    return this.ledger.getTradeIds(playerId).map(tradeId => {
+      const entries = this.ledger.getEntries(tradeId);
+      return {
+        tradeId,
+        players: entries[0].players,
+        status: this.ledger.getStatus(tradeId),
+        entries
+      };
+    });
+  }
+
+  /**
+   * Get the ledger entries of one trade, or of every trade
+   */
+  getTradeLedger(tradeId = null) {
+    return this.ledger.getEntries(tradeId);
   }
 }
 
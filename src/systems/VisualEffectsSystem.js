@@ -169,6 +169,7 @@ export class VisualEffectsSystem {
       HEALING_AURA: 'healing_aura',
       SHIELD_BARRIER: 'shield_barrier',
       TELEPORT: 'teleport',
+      TELEGRAPH: 'telegraph',
       
       // Environmental effects
       RAIN: 'rain',
@@ -518,6 +519,9 @@ export class VisualEffectsSystem {
     this.eventBus.on('combat:damageDealt', this.handleDamageDealt.bind(this));
     this.eventBus.on('combat:healing', this.handleHealing.bind(this));
     this.eventBus.on('combat:explosion', this.handleExplosion.bind(this));
+    this.eventBus.on('combat:telegraph', this.handleTelegraph.bind(this));
+    this.eventBus.on('combat:telegraphResolved', this.handleTelegraphEnded.bind(this));
+    this.eventBus.on('combat:telegraphCancelled', this.handleTelegraphEnded.bind(this));
     
     // Environmental effects
     this.eventBus.on('environment:weatherChange', this.handleWeatherChange.bind(this));
@@ -542,6 +546,9 @@ export class VisualEffectsSystem {
     this.eventBus.removeListener('combat:damageDealt', this.handleDamageDealt.bind(this));
     this.eventBus.removeListener('combat:healing', this.handleHealing.bind(this));
     this.eventBus.removeListener('combat:explosion', this.handleExplosion.bind(this));
+    this.eventBus.removeListener('combat:telegraph', this.handleTelegraph.bind(this));
+    this.eventBus.removeListener('combat:telegraphResolved', this.handleTelegraphEnded.bind(this));
+    this.eventBus.removeListener('combat:telegraphCancelled', this.handleTelegraphEnded.bind(this));
     this.eventBus.removeListener('environment:weatherChange', this.handleWeatherChange.bind(this));
     this.eventBus.removeListener('environment:areaEnter', this.handleAreaEnter.bind(this));
     this.eventBus.removeListener('ui:elementShow', this.handleElementShow.bind(this));
@@ -644,6 +651,9 @@ export class VisualEffectsSystem {
       case this.effectTypes.TELEPORT:
         this.createTeleportEffect(effect);
         break;
+      case this.effectTypes.TELEGRAPH:
+        // Only drawn, until the attack lands
+        break;
       default:
         this.logger.warn(`Unknown effect type: ${effect.type}`);
     }
@@ -1111,6 +1121,9 @@ export class VisualEffectsSystem {
       case this.effectTypes.LIGHTNING:
         this.renderLightning(effect);
         break;
+      case this.effectTypes.TELEGRAPH:
+        this.renderTelegraph(effect);
+        break;
       // Add more effect rendering methods
     }
   }
@@ -1149,6 +1162,49 @@ export class VisualEffectsSystem {
     this.ctx.restore();
   }
 
+  /**
+   * Render telegraph: the zone's outline, filling up as the attack gets
+   * closer to landing
+   */
+  renderTelegraph(effect) {
+    const { shape, radius, angle, width, direction } = effect.options;
+    const progress = Math.min(1, (Date.now() - effect.startTime) / effect.duration);
+    
+    this.ctx.save();
+    this.ctx.translate(effect.position.x, effect.position.y);
+    this.ctx.rotate(direction || 0);
+    this.ctx.strokeStyle = '#ff2200';
+    this.ctx.fillStyle = '#ff2200';
+    this.ctx.lineWidth = 2;
+    
+    this.ctx.globalAlpha = 0.8;
+    this.traceTelegraph(shape, radius, angle, width);
+    this.ctx.stroke();
+    
+    this.ctx.globalAlpha = 0.35;
+    this.traceTelegraph(shape, radius * progress, angle, width);
+    this.ctx.fill();
+    this.ctx.restore();
+  }
+
+  /**
+   * Trace a telegraph's shape around the origin, pointing along x
+   */
+  traceTelegraph(shape, radius, angle, width) {
+    this.ctx.beginPath();
+    
+    if (shape === 'cone') {
+      const halfAngle = angle / 2 * Math.PI / 180;
+      this.ctx.moveTo(0, 0);
+      this.ctx.arc(0, 0, radius, -halfAngle, halfAngle);
+      this.ctx.closePath();
+    } else if (shape === 'line') {
+      this.ctx.rect(0, -width / 2, radius, width);
+    } else {
+      this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    }
+  }
+
   /**
    * Render lightning
    */
@@ -1300,6 +1356,35 @@ export class VisualEffectsSystem {
     });
   }
 
+  /**
+   * Handle telegraph: mark where a boss attack will land
+   */
+  handleTelegraph(data) {
+    const { id, x, y, shape, radius, angle, width, direction, duration } = data;
+    
+    this.createEffect(this.effectTypes.TELEGRAPH, { x, y }, {
+      telegraphId: id,
+      shape,
+      radius,
+      angle,
+      width,
+      direction,
+      duration
+    });
+  }
+
+  /**
+   * Handle telegraph resolved or cancelled: clear its marker
+   */
+  handleTelegraphEnded(data) {
+    for (const [id, effect] of this.effectsState.activeEffects) {
+      if (effect.options.telegraphId === data.id) {
+        effect.active = false;
+        this.effectsState.activeEffects.delete(id);
+      }
+    }
+  }
+
   /**
    * Handle weather change
    */
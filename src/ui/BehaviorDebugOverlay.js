@@ -0,0 +1,71 @@
+/**
+ * BehaviorDebugOverlay.js - Shows what every enemy's behavior tree is doing
+ *
+ * Draws one label per enemy at its position with its tree and active node,
+ * e.g. "Goblin [aggressive] surround > surround". Enabled with the combat
+ * system's debugAI config flag.
+ */
+
+export class BehaviorDebugOverlay {
+  constructor(options = {}) {
+    this.container = options.container || document.body;
+    this.labels = new Map();
+
+    this.element = document.createElement('div');
+    this.element.className = 'ai-debug-overlay';
+    this.element.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      pointer-events: none;
+      font: 11px monospace;
+      color: #0f0;
+      z-index: 900;
+    `;
+    this.container.appendChild(this.element);
+  }
+
+  /**
+   * Update labels from [{ id, name, x, y, tree, description, status }]
+   */
+  render(entries) {
+    const seen = new Set();
+
+    entries.forEach(entry => {
+      seen.add(entry.id);
+
+      let label = this.labels.get(entry.id);
+      if (!label) {
+        label = document.createElement('div');
+        label.className = 'ai-debug-label';
+        label.style.position = 'absolute';
+        label.style.whiteSpace = 'nowrap';
+        this.labels.set(entry.id, label);
+        this.element.appendChild(label);
+      }
+
+      label.dataset.status = entry.status || '';
+      label.style.left = `${Math.round(entry.x)}px`;
+      label.style.top = `${Math.round(entry.y)}px`;
+      label.textContent = `${entry.name} [${entry.tree}] ${entry.description}`;
+    });
+
+    // Drop labels of enemies that are gone
+    for (const [id, label] of this.labels) {
+      if (!seen.has(id)) {
+        label.remove();
+        this.labels.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Remove the overlay
+   */
+  destroy() {
+    this.element.remove();
+    this.labels.clear();
+  }
+}
+
+export default BehaviorDebugOverlay;
@@ -11,7 +11,7 @@
 
 export class Logger {
   constructor(debug = false) {
-    this.debug = debug;
+    this.debugMode = debug;
     this.logLevel = debug ? 'debug' : 'info';
     this.logHistory = [];
     this.maxHistorySize = 1000;
@@ -49,7 +49,7 @@ export class Logger {
    * Enable debug mode
    */
   enableDebug() {
-    this.debug = true;
+    this.debugMode = true;
     this.setLevel('debug');
   }
 
@@ -57,7 +57,7 @@ export class Logger {
    * Disable debug mode
    */
   disableDebug() {
-    this.debug = false;
+    this.debugMode = false;
     this.setLevel('info');
   }
 
@@ -455,7 +455,7 @@ export class Logger {
    * Create a child logger with context
    */
   child(context) {
-    const childLogger = new Logger(this.debug);
+    const childLogger = new Logger(this.debugMode);
     childLogger.logLevel = this.logLevel;
     childLogger.context = context;
     return childLogger;
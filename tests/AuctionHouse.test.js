@@ -0,0 +1,375 @@
+/**
+ * Auction House Tests
+ */
+
+import { TradingSystem } from '../src/systems/TradingSystem.js';
+import { InventorySystem } from '../src/systems/InventorySystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger, createStorage, has } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const sword = {
+  id: 'sword_1',
+  name: 'Sword',
+  type: 'weapon',
+  slot: 'main_hand',
+  rarity: 'rare',
+  level: 10,
+};
+
+const createAuctionHouse = (bags = {}) => {
+  const eventBus = new EventBus();
+  const storage = createStorage();
+  const trading = new TradingSystem({
+    eventBus,
+    logger: createLogger(),
+    storage,
+  });
+  const inventories = {};
+  ['seller', 'alice', 'bob'].forEach((id) => {
+    inventories[id] = new InventorySystem({
+      eventBus,
+      logger: createLogger(),
+      storage,
+      config: { inventory: bags[id] },
+    });
+    trading.registerInventory(id, inventories[id]);
+    trading.addCurrency(id, 'gold', 1000);
+  });
+
+  inventories.seller.addItem({ ...sword });
+  return { eventBus, storage, trading, inventories };
+};
+
+const listSword = (trading, options = {}) =>
+  trading.listAuction({
+    playerId: 'seller',
+    itemId: 'sword_1',
+    startingPrice: 100,
+    buyoutPrice: 500,
+    duration: HOUR,
+    channel: 'global',
+    ...options,
+  }).auction;
+
+describe('TradingSystem auction house', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should hold bids in escrow up to each maximum and refund the outbid', () => {
+    const { eventBus, trading, inventories } = createAuctionHouse();
+    const outbid = jest.fn();
+    eventBus.on('auction:outbid', outbid);
+    const auction = listSword(trading);
+    expect(has(inventories.seller, 'sword_1')).toBe(false);
+
+    trading.placeBid({
+      auctionId: auction.id,
+      playerId: 'alice',
+      bidAmount: 100,
+      maxBid: 300,
+    });
+    expect(trading.getBalance('alice', 'gold')).toBe(700);
+    expect(trading.getAuctionHouse()[0]).toMatchObject({
+      currentBid: 100,
+      currentBidder: 'alice',
+    });
+    expect(trading.getAuctionHouse()[0].proxy).toBeUndefined();
+
+    // Bob's bid is beaten by alice's maximum without her doing anything
+    expect(
+      trading.placeBid({
+        auctionId: auction.id,
+        playerId: 'bob',
+        bidAmount: 200,
+      })
+    ).toMatchObject({ success: true, leading: false });
+    expect(trading.getAuctionHouse()[0]).toMatchObject({
+      currentBid: 210,
+      currentBidder: 'alice',
+    });
+    expect(trading.getBalance('bob', 'gold')).toBe(1000);
+
+    trading.placeBid({
+      auctionId: auction.id,
+      playerId: 'bob',
+      bidAmount: 400,
+      maxBid: 450,
+    });
+    expect(trading.getAuctionHouse()[0]).toMatchObject({
+      currentBid: 315,
+      currentBidder: 'bob',
+    });
+    expect(trading.getBalance('alice', 'gold')).toBe(1000);
+    expect(trading.getBalance('bob', 'gold')).toBe(550);
+    expect(outbid).toHaveBeenLastCalledWith(
+      expect.objectContaining({ playerId: 'alice', refunded: 300 }),
+      expect.anything()
+    );
+
+    expect(
+      trading.placeBid({
+        auctionId: auction.id,
+        playerId: 'alice',
+        bidAmount: 320,
+      }).error
+    ).toBe('Bid must be at least 331');
+    expect(
+      trading.placeBid({
+        auctionId: auction.id,
+        playerId: 'seller',
+        bidAmount: 400,
+      }).error
+    ).toBe('Sellers cannot bid on their own auctions');
+  });
+
+  test('should extend an auction when a bid lands in its last minutes', () => {
+    const { eventBus, trading, inventories } = createAuctionHouse();
+    const extended = jest.fn();
+    eventBus.on('auction:extended', extended);
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const auction = listSword(trading);
+    const endTime = 1000000 + HOUR;
+
+    now.mockReturnValue(endTime - 30 * 1000);
+    trading.placeBid({
+      auctionId: auction.id,
+      playerId: 'alice',
+      bidAmount: 100,
+      maxBid: 150,
+    });
+    expect(trading.getAuctionHouse()[0].endTime).toBe(endTime + 90 * 1000);
+    expect(extended).toHaveBeenCalledTimes(1);
+
+    // The old end has passed, but the auction is still open
+    now.mockReturnValue(endTime + 1000);
+    trading.update(16);
+    expect(trading.getAuctionHouse()[0].status).toBe('active');
+
+    now.mockReturnValue(endTime + 90 * 1000);
+    trading.update(16);
+    expect(trading.getAuctionHouse()[0]).toMatchObject({
+      status: 'completed',
+      buyer: 'alice',
+      finalPrice: 100,
+    });
+    expect(has(inventories.alice, 'sword_1')).toBe(true);
+    expect(trading.getBalance('alice', 'gold')).toBe(900);
+    // less the auction house's 10% cut
+    expect(trading.getBalance('seller', 'gold')).toBe(1090);
+  });
+
+  test('should refund the leader on buyout and return unsold items', () => {
+    const { trading, inventories } = createAuctionHouse();
+    const auction = listSword(trading);
+    trading.placeBid({
+      auctionId: auction.id,
+      playerId: 'alice',
+      bidAmount: 150,
+    });
+
+    expect(
+      trading.buyoutAuction({ auctionId: auction.id, playerId: 'bob' }).success
+    ).toBe(true);
+    expect(has(inventories.bob, 'sword_1')).toBe(true);
+    expect(trading.getBalance('alice', 'gold')).toBe(1000);
+    expect(trading.getBalance('bob', 'gold')).toBe(500);
+    expect(trading.getBalance('seller', 'gold')).toBe(1450);
+    expect(
+      trading.placeBid({
+        auctionId: auction.id,
+        playerId: 'alice',
+        bidAmount: 200,
+      }).error
+    ).toBe('Auction not active');
+
+    inventories.bob.removeItem('sword_1');
+    inventories.bob.addItem({ ...sword });
+    const unsold = trading.listAuction({
+      playerId: 'bob',
+      itemId: 'sword_1',
+      startingPrice: 100,
+      duration: HOUR,
+    }).auction;
+    trading.expireAuction({ auctionId: unsold.id });
+    expect(has(inventories.bob, 'sword_1')).toBe(true);
+  });
+
+  test('should fill standing buy orders from new and existing listings', () => {
+    const { eventBus, trading, inventories } = createAuctionHouse();
+    const filled = jest.fn();
+    eventBus.on('buyOrder:filled', filled);
+
+    trading.placeBuyOrder({
+      playerId: 'alice',
+      itemName: 'Sword',
+      rarity: 'rare',
+      maxPrice: 600,
+    });
+    trading.placeBuyOrder({
+      playerId: 'bob',
+      itemName: 'Sword',
+      maxPrice: 550,
+    });
+    expect(trading.getBalance('alice', 'gold')).toBe(400);
+
+    const auction = listSword(trading);
+    expect(auction.status).toBe('completed');
+    expect(auction.buyer).toBe('alice');
+    expect(filled).toHaveBeenCalledTimes(1);
+    expect(has(inventories.alice, 'sword_1')).toBe(true);
+    // She held 600 for it and paid the 500 buyout
+    expect(trading.getBalance('alice', 'gold')).toBe(500);
+    expect(trading.getBuyOrders({ playerId: 'alice' })).toEqual([]);
+    expect(trading.getBuyOrders()).toEqual([
+      expect.objectContaining({ playerId: 'bob', remaining: 1 }),
+    ]);
+
+    // A listing that is already up fills a new order straight away
+    inventories.alice.removeItem('sword_1');
+    inventories.seller.addItem({ ...sword, id: 'sword_2' });
+    trading.cancelBuyOrder({
+      orderId: trading.getBuyOrders()[0].id,
+      playerId: 'bob',
+    });
+    expect(trading.getBalance('bob', 'gold')).toBe(1000);
+    listSword(trading, { itemId: 'sword_2', buyoutPrice: 350 });
+    expect(
+      trading.placeBuyOrder({
+        playerId: 'bob',
+        itemName: 'Sword',
+        maxPrice: 300,
+      }).order.status
+    ).toBe('active');
+    expect(
+      trading.placeBuyOrder({
+        playerId: 'alice',
+        itemName: 'Sword',
+        rarity: 'magic',
+        maxPrice: 100,
+      }).order.remaining
+    ).toBe(1);
+    expect(
+      trading.placeBuyOrder({
+        playerId: 'alice',
+        itemName: 'Sword',
+        maxPrice: 400,
+      }).order.status
+    ).toBe('filled');
+    expect(has(inventories.alice, 'sword_2')).toBe(true);
+    expect(trading.getBalance('alice', 'gold')).toBe(50);
+  });
+
+  test('should hold won items the buyer has no room for until claimed', async () => {
+    const { eventBus, trading, storage, inventories } = createAuctionHouse({
+      alice: { bagWidth: 1, bagHeight: 3 },
+    });
+    inventories.alice.addItem({ id: 'ring_1', name: 'Ring', slot: 'ring' });
+    const held = jest.fn();
+    eventBus.on('auction:itemHeld', held);
+    const auction = listSword(trading);
+
+    trading.buyoutAuction({ auctionId: auction.id, playerId: 'alice' });
+    expect(held).toHaveBeenCalledTimes(1);
+    expect(has(inventories.alice, 'sword_1')).toBe(false);
+    expect(trading.claimAuctionItems('alice')).toEqual({
+      success: true,
+      claimed: 0,
+      remaining: 1,
+    });
+
+    // Held items outlive the trading system
+    trading.cleanup();
+    const restored = new TradingSystem({
+      eventBus,
+      logger: createLogger(),
+      storage,
+    });
+    await restored.loadTradingData();
+    restored.registerInventory('alice', inventories.alice);
+
+    inventories.alice.removeItem('ring_1');
+    expect(restored.claimAuctionItems('alice').claimed).toBe(1);
+    expect(has(inventories.alice, 'sword_1')).toBe(true);
+  });
+
+  test('should keep open auctions and buy orders with their escrow across a reload', async () => {
+    const { eventBus, trading, storage, inventories } = createAuctionHouse();
+    const auction = listSword(trading);
+    trading.placeBid({
+      auctionId: auction.id,
+      playerId: 'bob',
+      bidAmount: 100,
+      maxBid: 300,
+    });
+    trading.placeBuyOrder({
+      playerId: 'alice',
+      itemName: 'Sword',
+      maxPrice: 100,
+    });
+    const auctions = trading.getAuctionHouse();
+    const orders = trading.getBuyOrders();
+
+    trading.cleanup();
+    const restored = new TradingSystem({
+      eventBus,
+      logger: createLogger(),
+      storage,
+    });
+    await restored.loadTradingData();
+    expect(restored.getAuctionHouse()).toEqual(auctions);
+    expect(restored.getBuyOrders()).toEqual(orders);
+    expect(restored.getBalance('bob', 'gold')).toBe(700);
+    expect(restored.getBalance('alice', 'gold')).toBe(900);
+
+    // The escrow is still there to settle the auction
+    restored.registerInventory('bob', inventories.bob);
+    restored.expireAuction({ auctionId: auction.id });
+    expect(has(inventories.bob, 'sword_1')).toBe(true);
+    expect(restored.getBalance('bob', 'gold')).toBe(900);
+    expect(restored.getBalance('seller', 'gold')).toBe(1090);
+  });
+
+  test('should keep a price history of sales that survives a reload', async () => {
+    const { eventBus, trading, storage, inventories } = createAuctionHouse();
+    const first = listSword(trading);
+    trading.buyoutAuction({ auctionId: first.id, playerId: 'alice' });
+
+    inventories.seller.addItem({ ...sword, id: 'sword_2', rarity: 'magic' });
+    const second = listSword(trading, {
+      itemId: 'sword_2',
+      startingPrice: 200,
+    });
+    trading.placeBid({ auctionId: second.id, playerId: 'bob', bidAmount: 200 });
+    trading.expireAuction({ auctionId: second.id });
+
+    expect(trading.getPriceHistory('Sword')).toMatchObject({
+      itemName: 'Sword',
+      count: 2,
+      average: 350,
+      low: 200,
+      high: 500,
+      last: 200,
+    });
+    expect(trading.getPriceHistory('Sword').sales[1]).toMatchObject({
+      auctionId: second.id,
+      price: 200,
+      source: 'auction',
+    });
+    expect(trading.getPriceHistory('Sword', { rarity: 'magic' }).count).toBe(1);
+    expect(trading.getPriceHistory('Axe').count).toBe(0);
+
+    trading.saveTradingData();
+    const restored = new TradingSystem({
+      eventBus,
+      logger: createLogger(),
+      storage,
+    });
+    await restored.loadTradingData();
+    expect(restored.getPriceHistory('Sword')).toEqual(
+      trading.getPriceHistory('Sword')
+    );
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Behavior Tree and Enemy AI Tests
+ */
+
+import { BehaviorTreeRuntime, STATUS } from '../src/core/BehaviorTree.js';
+import { CombatSystem } from '../src/systems/CombatSystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger } from './helpers.js';
+
+describe('BehaviorTreeRuntime', () => {
+  const createRuntime = () => {
+    const calls = [];
+    const runtime = new BehaviorTreeRuntime({
+      conditions: {
+        hungry: (agent) => agent.hunger > 5,
+      },
+      actions: {
+        eat: (agent) => {
+          calls.push('eat');
+          agent.hunger = 0;
+          return STATUS.SUCCESS;
+        },
+        walk: () => {
+          calls.push('walk');
+          return STATUS.RUNNING;
+        },
+        howl: (agent, blackboard) => {
+          calls.push('howl');
+          blackboard.set('howls', (blackboard.get('howls') || 0) + 1);
+          return true;
+        },
+      },
+    });
+    return { runtime, calls };
+  };
+
+  test('should run selectors, sequences and decorators', () => {
+    const { runtime, calls } = createRuntime();
+    runtime.defineTree('wolf', {
+      type: 'selector',
+      children: [
+        {
+          type: 'sequence',
+          label: 'feed',
+          children: [
+            { type: 'condition', name: 'hungry' },
+            { type: 'action', name: 'eat' },
+          ],
+        },
+        {
+          type: 'sequence',
+          label: 'roam',
+          children: [
+            {
+              type: 'succeed',
+              child: {
+                type: 'cooldown',
+                duration: 1000,
+                child: { type: 'action', name: 'howl' },
+              },
+            },
+            {
+              type: 'invert',
+              child: { type: 'condition', name: 'hungry' },
+            },
+            { type: 'action', name: 'walk' },
+          ],
+        },
+      ],
+    });
+    const wolf = { id: 'wolf_1', hunger: 10 };
+
+    expect(runtime.tick('wolf', wolf, {}, 100)).toBe(STATUS.SUCCESS);
+    expect(runtime.getDebugInfo('wolf_1').description).toBe('feed > eat');
+
+    expect(runtime.tick('wolf', wolf, {}, 100)).toBe(STATUS.RUNNING);
+    expect(runtime.tick('wolf', wolf, {}, 500)).toBe(STATUS.RUNNING);
+    expect(runtime.tick('wolf', wolf, {}, 600)).toBe(STATUS.RUNNING);
+    expect(runtime.getDebugInfo('wolf_1')).toMatchObject({
+      tree: 'wolf',
+      status: STATUS.RUNNING,
+      node: 'walk',
+      description: 'roam > walk',
+    });
+
+    // The cooldown let the howl through on the first roam and after 1000ms
+    expect(calls).toEqual(['eat', 'howl', 'walk', 'walk', 'howl', 'walk']);
+    expect(runtime.getBlackboard(wolf).get('howls')).toBe(2);
+  });
+
+  test('should name the node that makes a tree invalid', () => {
+    const { runtime } = createRuntime();
+
+    expect(() =>
+      runtime.defineTree('bad', {
+        type: 'selector',
+        children: [{ type: 'parallel', children: [] }],
+      })
+    ).toThrow('Behavior tree bad: root.children[0] has unknown node type');
+    expect(() =>
+      runtime.defineTree('bad', {
+        root: {
+          type: 'sequence',
+          children: [{ type: 'action', name: 'fly' }],
+        },
+      })
+    ).toThrow(
+      'Behavior tree bad: root.children[0] refers to unknown action "fly"'
+    );
+    expect(() =>
+      runtime.defineTree('bad', {
+        type: 'cooldown',
+        child: { type: 'action', name: 'walk' },
+      })
+    ).toThrow('Behavior tree bad: root needs a positive duration');
+    expect(() => runtime.tick('missing', { id: 'a' })).toThrow(
+      'Unknown behavior tree: missing'
+    );
+  });
+});
+
+describe('Enemy AI', () => {
+  let combat;
+
+  beforeEach(() => {
+    combat = new CombatSystem({
+      eventBus: new EventBus(),
+      logger: createLogger(),
+      config: { seed: 5 },
+    });
+    combat.handlePlayerMove({ x: 200, y: 100 });
+  });
+
+  afterEach(() => {
+    combat.cleanup();
+  });
+
+  const spawn = (type, x, y) => {
+    const enemy = combat.createEnemy(type, x, y);
+    combat.addEnemy(enemy);
+    return enemy;
+  };
+
+  const describeAI = (enemy) =>
+    combat.behaviors.getDebugInfo(enemy.id).description;
+
+  test('should only chase targets it can see', () => {
+    const goblin = spawn('goblin', 100, 100);
+    const distant = spawn('goblin', 700, 500);
+
+    combat.updateEnemyAI(goblin, 16);
+    combat.updateEnemyAI(distant, 16);
+
+    expect(describeAI(goblin)).toBe('attack > chase');
+    expect(goblin.velocityX).toBe(80);
+    expect(describeAI(distant)).toBe('idle');
+    expect(distant.velocityX).toBe(0);
+  });
+
+  test('should lose sight behind walls and search the last known position', () => {
+    const goblin = spawn('goblin', 100, 100);
+    combat.updateEnemyAI(goblin, 16);
+
+    combat.collisionDetector.registerCollisionObject('wall_1', {
+      type: 'wall',
+      layer: 'wall',
+      isStatic: true,
+      position: { x: 150, y: 0 },
+      size: { width: 10, height: 400 },
+    });
+    combat.handlePlayerMove({ x: 200, y: 300 });
+    combat.updateEnemyAI(goblin, 16);
+
+    const blackboard = combat.behaviors.getBlackboard(goblin);
+    expect(blackboard.get('canSeeTarget')).toBe(false);
+    expect(describeAI(goblin)).toBe('investigate > investigate');
+    expect(blackboard.get('lastKnownPosition')).toEqual({ x: 200, y: 100 });
+
+    // Arriving with the target long gone, it gives up
+    combat.handlePlayerMove({ x: 800, y: 600 });
+    goblin.x = 195;
+    combat.updateEnemyAI(goblin, 16);
+    expect(blackboard.has('lastKnownPosition')).toBe(false);
+  });
+
+  test('should surround the target in groups', () => {
+    const pack = [
+      spawn('goblin', 100, 100),
+      spawn('goblin', 110, 100),
+      spawn('goblin', 100, 110),
+    ];
+
+    pack.forEach((goblin) => combat.updateEnemyAI(goblin, 16));
+
+    const slots = pack.map((goblin) =>
+      combat.behaviors.getBlackboard(goblin).get('slot')
+    );
+    slots.forEach((slot) => {
+      expect(Math.hypot(slot.x - 200, slot.y - 100)).toBeCloseTo(40);
+    });
+    expect(new Set(slots.map((slot) => `${slot.x},${slot.y}`)).size).toBe(3);
+    expect(describeAI(pack[0])).toBe('surround > surround');
+
+    // Once in its slot a goblin attacks and hits the player
+    jest.spyOn(combat.rng, 'chance').mockReturnValue(false);
+    const attack = jest.spyOn(combat, 'enemyAttack');
+    Object.assign(pack[0], slots[0]);
+    combat.updateEnemyAI(pack[0], 16);
+    expect(describeAI(pack[0])).toBe('surround > meleeAttack');
+    expect(attack).toHaveBeenCalledWith(pack[0], combat.player);
+    expect(combat.player.health).toBe(90);
+  });
+
+  test('should flee at low health', () => {
+    const goblin = spawn('goblin', 150, 100);
+    goblin.health = 5;
+
+    combat.updateEnemyAI(goblin, 16);
+
+    expect(describeAI(goblin)).toBe('flee > flee');
+    expect(goblin.velocityX).toBeLessThan(0);
+  });
+
+  test('should enrage bosses once as their health drops', () => {
+    // The built-in dragon is scripted, so use an unscripted one
+    combat.enemyTypes.wyrm = {
+      ...combat.enemyTypes.dragon,
+      ai: 'boss',
+      encounter: undefined,
+    };
+    const dragon = spawn('wyrm', 150, 100);
+    const abilities = jest.spyOn(combat, 'useEnemyAbility');
+    dragon.health = 200;
+
+    combat.updateEnemyAI(dragon, 16);
+    combat.updateEnemyAI(dragon, 16);
+
+    expect(dragon.speed).toBe(150);
+    expect(abilities).toHaveBeenCalledTimes(1);
+    expect(describeAI(dragon)).toBe('enraged > attack > chase');
+
+    combat.updateEnemyAI(dragon, 2000);
+    expect(abilities).toHaveBeenCalledTimes(2);
+  });
+
+  test('should take trees from content and log broken ones', () => {
+    combat.handleContentUpdated({
+      types: {
+        behaviors: {
+          coward: {
+            root: { type: 'action', name: 'flee' },
+          },
+          broken: {
+            root: { type: 'action', name: 'dance' },
+          },
+        },
+        enemies: {
+          ...combat.enemyTypes,
+          imp: { ...combat.enemyTypes.goblin, name: 'Imp', ai: 'coward' },
+        },
+      },
+    });
+    const imp = spawn('imp', 150, 100);
+
+    combat.updateEnemyAI(imp, 16);
+
+    expect(describeAI(imp)).toBe('flee');
+    expect(combat.logger.error).toHaveBeenCalledWith(
+      'Behavior tree broken: root refers to unknown action "dance"'
+    );
+  });
+});
+
+describe('AI debug overlay', () => {
+  beforeAll(() => {
+    // tests/setup.js stubs these; the overlay needs jsdom's own
+    [
+      'createElement',
+      'querySelector',
+      'querySelectorAll',
+      'getElementById',
+      'getElementsByClassName',
+      'getElementsByTagName',
+    ].forEach((method) => delete document[method]);
+  });
+
+  test('should label every enemy with its active node', () => {
+    const combat = new CombatSystem({
+      eventBus: new EventBus(),
+      logger: createLogger(),
+      config: { seed: 5, debugAI: true },
+    });
+    combat.combatState.isInCombat = true;
+    combat.initializeEnemySpawner();
+    combat.handlePlayerMove({ x: 200, y: 100 });
+    const goblin = combat.createEnemy('goblin', 100, 100);
+    combat.addEnemy(goblin);
+
+    combat.update(16);
+
+    const labels = document.querySelectorAll('.ai-debug-label');
+    expect(labels).toHaveLength(1);
+    expect(labels[0].textContent).toBe('Goblin [aggressive] attack > chase');
+
+    combat.removeEnemy(goblin.id);
+    combat.update(16);
+    expect(document.querySelectorAll('.ai-debug-label')).toHaveLength(0);
+
+    combat.cleanup();
+    expect(document.querySelector('.ai-debug-overlay')).toBeNull();
+  });
+});
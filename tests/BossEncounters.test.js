@@ -0,0 +1,480 @@
+/**
+ * Scripted Boss Encounter Tests
+ */
+
+import { BossEncounter, isInTelegraph } from '../src/core/BossEncounter.js';
+import { ContentPackLoader } from '../src/core/ContentPackLoader.js';
+import { DEFAULT_BEHAVIOR_TREES } from '../src/core/EnemyBehaviors.js';
+import { CombatSystem } from '../src/systems/CombatSystem.js';
+import { EndgameSystem } from '../src/systems/EndgameSystem.js';
+import { VisualEffectsSystem } from '../src/systems/VisualEffectsSystem.js';
+import { ARPGIntegration } from '../src/ARPGIntegration.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger } from './helpers.js';
+
+const SCRIPT = {
+  enrage: { after: 20000, damage: 2, castSpeed: 2 },
+  abilities: {
+    slam: {
+      damage: 50,
+      telegraph: { shape: 'circle', radius: 60, duration: 1000 },
+    },
+    meteor: {
+      name: 'Meteor',
+      damage: 80,
+      at: 'target',
+      telegraph: { shape: 'circle', radius: 40, duration: 1500 },
+    },
+  },
+  phases: [
+    { name: 'Opening', rotation: ['slam'], interval: 2000 },
+    {
+      name: 'Burning',
+      trigger: { health: 0.5, phaseTime: 30000 },
+      rotation: ['meteor', 'slam'],
+      interval: 2000,
+      adds: [{ type: 'skeleton', count: 2, at: 500, every: 5000 }],
+    },
+    { name: 'Last Stand', trigger: { health: 0.2 }, rotation: ['meteor'] },
+  ],
+};
+
+const createEncounter = () => {
+  const boss = { x: 0, y: 0, health: 1000, maxHealth: 1000 };
+  const hooks = {
+    telegraph: jest.fn(),
+    resolve: jest.fn(),
+    spawnAdds: jest.fn(),
+    phaseChanged: jest.fn(),
+    enrage: jest.fn(),
+  };
+  const encounter = new BossEncounter({ boss, script: SCRIPT, hooks });
+  return { boss, hooks, encounter };
+};
+
+describe('BossEncounter', () => {
+  test('should change phases on health thresholds and timers', () => {
+    const { boss, hooks, encounter } = createEncounter();
+    const target = { x: 500, y: 0 };
+
+    encounter.update(29000, target);
+    expect(encounter.phase.name).toBe('Opening');
+
+    // Holding out in a phase long enough also moves the fight on
+    encounter.update(1000, target);
+    expect(encounter.phase.name).toBe('Burning');
+    expect(hooks.phaseChanged).toHaveBeenCalledWith(
+      expect.objectContaining({ phase: 2, name: 'Burning' }),
+      expect.objectContaining({ phase: 1, duration: 30000 })
+    );
+
+    // Burst damage skips straight through a threshold
+    const fresh = createEncounter();
+    fresh.boss.health = 100;
+    fresh.encounter.update(16, target);
+    expect(fresh.encounter.phase.name).toBe('Last Stand');
+    expect(fresh.hooks.phaseChanged).toHaveBeenCalledTimes(2);
+    expect(boss.health).toBe(1000);
+  });
+
+  test('should telegraph abilities before resolving hits and misses', () => {
+    const { hooks, encounter } = createEncounter();
+
+    encounter.update(2000, { x: 30, y: 0 });
+    expect(hooks.telegraph).toHaveBeenCalledWith(
+      expect.objectContaining({ ability: 'slam', x: 0, y: 0, radius: 60 })
+    );
+    expect(hooks.resolve).not.toHaveBeenCalled();
+
+    // The target walks out before the slam lands
+    encounter.update(1000, { x: 100, y: 0 });
+    expect(hooks.resolve).toHaveBeenCalledWith(
+      expect.objectContaining({ ability: 'slam', damage: 50 }),
+      false
+    );
+
+    encounter.update(2000, { x: 20, y: 0 });
+    encounter.update(1000, { x: 20, y: 0 });
+    expect(hooks.resolve).toHaveBeenLastCalledWith(
+      expect.objectContaining({ ability: 'slam' }),
+      true
+    );
+    expect(encounter.getPerformance().phases[0]).toMatchObject({
+      abilitiesCast: 3,
+      hits: 1,
+      avoided: 1,
+      damageToTarget: 50,
+    });
+  });
+
+  test('should match points against cones and lines', () => {
+    const cone = {
+      shape: 'cone',
+      x: 0,
+      y: 0,
+      radius: 100,
+      angle: 90,
+      direction: 0,
+    };
+    expect(isInTelegraph(cone, { x: 80, y: 30 })).toBe(true);
+    expect(isInTelegraph(cone, { x: 30, y: 80 })).toBe(false);
+    expect(isInTelegraph(cone, { x: 120, y: 0 })).toBe(false);
+
+    const line = {
+      shape: 'line',
+      x: 0,
+      y: 0,
+      radius: 200,
+      width: 40,
+      direction: Math.PI / 2,
+    };
+    expect(isInTelegraph(line, { x: 10, y: 150 })).toBe(true);
+    expect(isInTelegraph(line, { x: 30, y: 150 })).toBe(false);
+    expect(isInTelegraph(line, { x: 0, y: -10 })).toBe(false);
+  });
+
+  test('should enrage on its timer and spawn add waves', () => {
+    const { boss, hooks, encounter } = createEncounter();
+    const target = { x: 500, y: 0 };
+    boss.health = 500;
+
+    encounter.update(16, target);
+    encounter.update(500, target);
+    expect(hooks.spawnAdds).toHaveBeenCalledWith({
+      type: 'skeleton',
+      count: 2,
+      phase: 2,
+    });
+    encounter.update(5000, target);
+    expect(hooks.spawnAdds).toHaveBeenCalledTimes(2);
+
+    encounter.update(15000, target);
+    expect(hooks.enrage).toHaveBeenCalledTimes(1);
+    hooks.telegraph.mockClear();
+
+    // Enraged, it casts twice as often and hits twice as hard
+    encounter.update(2000, target);
+    expect(hooks.telegraph).toHaveBeenCalledTimes(2);
+    hooks.telegraph.mock.calls.forEach(([telegraph]) => {
+      expect(telegraph.damage).toBe(
+        SCRIPT.abilities[telegraph.ability].damage * 2
+      );
+    });
+    expect(encounter.getPerformance().enraged).toBe(true);
+  });
+
+  test('should name the phase and ability that make a script invalid', () => {
+    const boss = { x: 0, y: 0, health: 10, maxHealth: 10 };
+
+    expect(
+      () =>
+        new BossEncounter({
+          id: 'ogre',
+          boss,
+          script: { ...SCRIPT, phases: [{ rotation: ['stomp'] }] },
+        })
+    ).toThrow('Boss encounter ogre: phase 1 uses unknown ability "stomp"');
+    expect(
+      () =>
+        new BossEncounter({
+          id: 'ogre',
+          boss,
+          script: { phases: [{}, { rotation: [] }] },
+        })
+    ).toThrow('Boss encounter ogre: phase 2 needs a trigger');
+  });
+});
+
+describe('Boss encounters in combat', () => {
+  let eventBus;
+  let combat;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    combat = new CombatSystem({
+      eventBus,
+      logger: createLogger(),
+      config: { seed: 5 },
+    });
+    combat.combatState.isInCombat = true;
+    combat.initializeEnemySpawner();
+    combat.handlePlayerMove({ x: 400, y: 300 });
+  });
+
+  afterEach(() => {
+    combat.cleanup();
+  });
+
+  test('should hit players standing in telegraphs and clean up on death', () => {
+    const damaged = jest.fn();
+    const cancelled = jest.fn();
+    const completed = jest.fn();
+    eventBus.on('combat:playerDamaged', damaged);
+    eventBus.on('combat:telegraphCancelled', cancelled);
+    eventBus.on('boss:encounterCompleted', completed);
+
+    // Keep the dragon where it is so the player stays in its breath
+    combat.behaviors.defineTree('scripted_boss', {
+      root: { type: 'action', name: 'idle' },
+    });
+    const dragon = combat.createEnemy('dragon', 300, 300);
+    combat.addEnemy(dragon);
+
+    for (let frame = 0; frame < 7; frame++) {
+      combat.update(1000);
+    }
+    expect(damaged).toHaveBeenCalledWith(
+      expect.objectContaining({ damage: 60, ability: 'fire_breath' }),
+      expect.anything()
+    );
+
+    // Under 60% the dragon takes off and calls skeletons
+    combat.dealDamage(dragon, 500, { id: 'player' });
+    combat.update(16);
+    const adds = [...combat.combatState.enemies.values()].filter(
+      (enemy) => enemy.summonedBy === dragon.id
+    );
+    expect(adds.map((add) => add.type)).toEqual(['skeleton', 'skeleton']);
+
+    combat.update(4000);
+    combat.dealDamage(dragon, 300, { id: 'player' });
+    combat.update(16);
+    combat.dealDamage(dragon, 200, { id: 'player' });
+    combat.update(16);
+
+    expect(combat.getEnemyCount()).toBe(0);
+    expect(cancelled).toHaveBeenCalled();
+    const { performance } = completed.mock.calls[0][0];
+    expect(performance.outcome).toBe('defeated');
+    expect(performance.phases.map((phase) => phase.name)).toEqual([
+      'Grounded',
+      'Airborne',
+      'Cornered',
+    ]);
+    expect(performance.phases.map((phase) => phase.damageTaken)).toEqual([
+      500, 300, 200,
+    ]);
+    expect(performance.phases[1].addsSpawned).toBe(2);
+  });
+
+  test('should report the per-phase breakdown to the endgame', () => {
+    const endgame = new EndgameSystem({ eventBus, logger: createLogger() });
+    const defeated = jest.fn();
+    eventBus.on('boss:defeated', defeated);
+    // Wired like ARPGIntegration does
+    eventBus.on('boss:spawned', (data) => combat.handleBossSpawned(data));
+    eventBus.on('boss:defeated', (data) => combat.handleBossDefeated(data));
+    const players = [{ id: 'p1' }, { id: 'p2' }];
+
+    eventBus.emit('boss:spawn', {
+      bossId: 'time_guardian',
+      location: { x: 300, y: 300 },
+      players,
+    });
+    const [guardian] = combat.combatState.enemies.values();
+    expect(guardian).toMatchObject({ type: 'time_guardian', health: 750000 });
+
+    combat.update(5000);
+    combat.dealDamage(guardian, 400000, { id: 'p1' });
+    combat.update(16);
+    expect(
+      endgame.endgameState.bossEncounters.get('time_guardian')
+    ).toMatchObject({ currentPhase: 2 });
+
+    combat.dealDamage(guardian, 200000, { id: 'p2' });
+    combat.update(16);
+    combat.dealDamage(guardian, 150000, { id: 'p2' });
+    combat.update(16);
+
+    expect(defeated).toHaveBeenCalledTimes(1);
+    const { bossId, performance } = defeated.mock.calls[0][0];
+    expect(bossId).toBe('time_guardian');
+    expect(performance.phases).toHaveLength(3);
+    expect(performance.phases[0]).toMatchObject({
+      name: 'Present',
+      damageTaken: 400000,
+      duration: 5016,
+    });
+    expect(performance.phases[0].dps).toBeCloseTo(400000 / 5.016);
+    expect(endgame.getBossEncounters()[2].lastPerformance).toBe(performance);
+    expect(
+      endgame.endgameState.leaderboards.get('raid').entries[0]
+    ).toMatchObject({
+      bossId: 'time_guardian',
+      players: ['p1', 'p2'],
+      duration: 5032,
+    });
+    expect(combat.getEnemyCount()).toBe(0);
+    endgame.stopBackgroundProcesses();
+  });
+});
+
+describe('Telegraph effects', () => {
+  test('should mark telegraphs until they land or are cancelled', () => {
+    const eventBus = new EventBus();
+    const effects = new VisualEffectsSystem({
+      eventBus,
+      logger: createLogger(),
+    });
+    const telegraph = {
+      id: 'dragon_telegraph_1',
+      shape: 'cone',
+      x: 100,
+      y: 50,
+      radius: 200,
+      angle: 60,
+      direction: 0,
+      duration: 1500,
+    };
+
+    eventBus.emit('combat:telegraph', telegraph);
+    eventBus.emit('combat:telegraph', {
+      ...telegraph,
+      id: 'dragon_telegraph_2',
+    });
+    const [effect] = effects.effectsState.activeEffects.values();
+    expect(effect).toMatchObject({
+      type: 'telegraph',
+      position: { x: 100, y: 50 },
+      duration: 1500,
+      options: { telegraphId: 'dragon_telegraph_1', shape: 'cone', angle: 60 },
+    });
+
+    eventBus.emit('combat:telegraphResolved', { ...telegraph, hit: false });
+    eventBus.emit('combat:telegraphCancelled', { id: 'dragon_telegraph_2' });
+    expect(effects.getActiveEffectsCount()).toBe(0);
+  });
+});
+
+describe('Encounter content', () => {
+  const expectPackErrors = (action, errors) => {
+    let thrown;
+    try {
+      action();
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown).toBeDefined();
+    expect(thrown.errors).toEqual(errors);
+  };
+
+  test('should check rotations against the script and adds against enemies', () => {
+    const loader = new ContentPackLoader({
+      eventBus: new EventBus(),
+      logger: createLogger(),
+      config: {},
+    });
+    loader.registerBuiltIn('behaviors', DEFAULT_BEHAVIOR_TREES);
+
+    const stomp = { telegraph: { shape: 'square', radius: 80, duration: 900 } };
+    const createPack = () => ({
+      id: 'ogre_pack',
+      version: '1.0.0',
+      content: {
+        bosses: {
+          ogre_king: {
+            name: 'Ogre King',
+            type: 'dungeon_boss',
+            level: 40,
+            health: 50000,
+            phases: 2,
+            abilities: ['stomp'],
+            encounter: {
+              abilities: { stomp },
+              phases: [
+                { rotation: ['stomp', 'club'] },
+                { trigger: { health: 0.5 }, adds: [{ type: 'ogre' }] },
+              ],
+            },
+          },
+        },
+      },
+    });
+    const path = 'content.bosses.ogre_king.encounter';
+
+    expectPackErrors(
+      () => loader.applyPack(createPack()),
+      [
+        {
+          pack: 'ogre_pack',
+          path: `${path}.abilities.stomp.telegraph.shape`,
+          message: 'must be one of circle, cone, line',
+        },
+      ]
+    );
+
+    stomp.telegraph.shape = 'circle';
+    expectPackErrors(
+      () => loader.applyPack(createPack()),
+      [
+        {
+          pack: 'ogre_pack',
+          path: `${path}.phases[0].rotation[1]`,
+          message: 'refers to unknown encounter.abilities entry "club"',
+        },
+        {
+          pack: 'ogre_pack',
+          path: `${path}.phases[1].adds[0].type`,
+          message: 'refers to unknown enemies entry "ogre"',
+        },
+      ]
+    );
+  });
+});
+
+describe('ARPGIntegration boss encounters', () => {
+  beforeAll(() => {
+    // tests/setup.js stubs these; the character panel needs jsdom's own
+    [
+      'createElement',
+      'querySelector',
+      'querySelectorAll',
+      'getElementById',
+      'getElementsByClassName',
+      'getElementsByTagName',
+    ].forEach((method) => delete document[method]);
+  });
+
+  test('should take telegraph hits off the character health', async () => {
+    // Only the character sheet and combat take part
+    const integration = new ARPGIntegration(
+      Object.fromEntries(
+        [
+          'Procedural',
+          'Navigation',
+          'CombatLog',
+          'Itemization',
+          'LootFilter',
+          'Inventory',
+          'Endgame',
+          'Trading',
+          'Analytics',
+          'Saving',
+          'ErrorHandling',
+          'Mobile',
+          'Performance',
+        ].map((name) => [`enable${name}`, false])
+      ),
+      { logger: createLogger() }
+    );
+    await integration.initialize();
+    const { eventBus } = integration;
+    const { combat, arpgUI } = integration.systems;
+    const hits = [];
+    eventBus.on('combat:playerDamaged', (data) => hits.push(data.damage));
+
+    combat.behaviors.defineTree('scripted_boss', {
+      root: { type: 'action', name: 'idle' },
+    });
+    combat.combatState.isInCombat = true;
+    eventBus.emit('player:move', { x: 400, y: 300 });
+    combat.addEnemy(combat.createEnemy('dragon', 300, 300));
+    for (let frame = 0; frame < 7; frame++) {
+      combat.update(1000);
+    }
+
+    expect(hits).toEqual([60]);
+    expect(arpgUI.character.stats.health).toBe(40);
+    integration.destroy();
+  });
+});
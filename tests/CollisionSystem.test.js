@@ -4,6 +4,7 @@
  */
 
 import { CollisionDetector } from '../src/CollisionSystem/CollisionDetector.js';
+import { CombatSystem } from '../src/systems/CombatSystem.js';
 
 describe('CollisionDetector', () => {
   let collisionDetector;
@@ -142,8 +143,266 @@ describe('CollisionDetector', () => {
     expect(collisionType).toBe('player-enemy');
   });
 
+  test('should respect collision layers and masks', () => {
+    const player = { id: 'p', layer: 'player', mask: ['enemy', 'wall'] };
+    const enemy = { id: 'e', layer: 'enemy' };
+    const item = { id: 'i', layer: 'item' };
+    const wall = { id: 'w', layer: 4, isStatic: true };
+    const otherWall = { id: 'w2', layer: 4, isStatic: true };
+
+    expect(collisionDetector.objectsCanCollide(player, enemy)).toBe(true);
+    expect(collisionDetector.objectsCanCollide(player, item)).toBe(false);
+    expect(collisionDetector.objectsCanCollide(player, wall)).toBe(true);
+    expect(collisionDetector.objectsCanCollide(wall, otherWall)).toBe(false);
+    expect(() => collisionDetector.objectsCanCollide(player, { layer: 'unknown' })).toThrow('Unknown collision layer');
+  });
+
+  test('should reject unknown broad phase strategies', () => {
+    expect(() => new CollisionDetector({ broadPhase: 'octree' })).toThrow('Unknown broad phase strategy');
+  });
+
+  describe.each(['grid', 'quadtree'])('%s broad phase', (strategy) => {
+    let detector;
+
+    beforeEach(() => {
+      detector = new CollisionDetector({
+        eventBus: mockEventBus,
+        broadPhase: strategy,
+        quadtreeMaxObjects: 4
+      });
+    });
+
+    afterEach(() => {
+      detector.cleanup();
+    });
+
+    const pairKeys = (collisions) =>
+      collisions.map(({ object1, object2 }) => [object1.id, object2.id].sort().join('|')).sort();
+
+    test('should find the same pairs as brute force', () => {
+      for (let i = 0; i < 60; i++) {
+        detector.registerCollisionObject(`obj_${i}`, {
+          position: { x: (i * 37) % 500, y: (i * 53) % 500 },
+          size: { width: 20 + (i % 3) * 30, height: 24 }
+        });
+      }
+
+      const spatial = detector.checkCollisionsSpatial();
+      const bruteForce = detector.checkCollisionsBruteForce();
+
+      expect(detector.getBroadPhaseStats().strategy).toBe(strategy);
+      expect(spatial.length).toBeGreaterThan(0);
+      expect(pairKeys(spatial)).toEqual(pairKeys(bruteForce));
+    });
+
+    test('should track moved and removed objects', () => {
+      detector.registerCollisionObject('a', { position: { x: 0, y: 0 } });
+      detector.registerCollisionObject('b', { position: { x: 1000, y: 1000 } });
+
+      expect(detector.queryAABB({ x: 990, y: 990, width: 10, height: 10 }).map((o) => o.id)).toEqual(['b']);
+
+      detector.updateCollisionObject('b', { x: 10, y: 10 });
+      expect(detector.queryAABB({ x: 990, y: 990, width: 10, height: 10 })).toEqual([]);
+      expect(detector.checkCollisionsSpatial()).toHaveLength(1);
+
+      detector.unregisterCollisionObject('a');
+      expect(detector.queryAABB({ x: 0, y: 0, width: 5, height: 5 })).toEqual([]);
+    });
+
+    test('should find objects outside the quadtree bounds', () => {
+      detector.registerCollisionObject('far', { position: { x: -500, y: 9000 } });
+
+      expect(detector.queryCircle(-490, 9010, 5).map((o) => o.id)).toEqual(['far']);
+    });
+
+    test('should query circles with mask and exclude options', () => {
+      detector.registerCollisionObject('enemy', { layer: 'enemy', position: { x: 100, y: 100 } });
+      detector.registerCollisionObject('item', { layer: 'item', position: { x: 100, y: 100 } });
+      detector.registerCollisionObject('corner', { layer: 'enemy', position: { x: 140, y: 140 } });
+
+      // Circle reaches the first box but not the diagonal corner box
+      const hits = detector.queryCircle(90, 90, 15, { mask: 'enemy' });
+      expect(hits.map((o) => o.id)).toEqual(['enemy']);
+
+      const excluded = detector.queryCircle(116, 116, 40, { mask: ['enemy'], exclude: 'enemy' });
+      expect(excluded.map((o) => o.id)).toEqual(['corner']);
+    });
+
+    test('should raycast to the nearest object with a contact normal', () => {
+      detector.registerCollisionObject('near', { position: { x: 100, y: 0 }, size: { width: 20, height: 40 } });
+      detector.registerCollisionObject('far', { position: { x: 200, y: 0 }, size: { width: 20, height: 40 } });
+
+      const hit = detector.raycast({ x: 0, y: 10 }, { x: 1, y: 0 }, 500);
+      expect(hit.object.id).toBe('near');
+      expect(hit.distance).toBeCloseTo(100);
+      expect(hit.point).toEqual({ x: 100, y: 10 });
+      expect(hit.normal).toEqual({ x: -1, y: 0 });
+
+      expect(detector.raycast({ x: 0, y: 10 }, { x: 1, y: 0 }, 50)).toBeNull();
+      expect(detector.raycast({ x: 0, y: 10 }, { x: 1, y: 0 }, 500, { exclude: 'near' }).object.id).toBe('far');
+      expect(detector.raycast({ x: 0, y: 100 }, { x: 1, y: 0 }, 500)).toBeNull();
+    });
+  });
+
+  test('should rebuild the broad phase when switching strategy', () => {
+    collisionDetector.registerCollisionObject('a', { position: { x: 0, y: 0 } });
+    collisionDetector.registerCollisionObject('b', { position: { x: 16, y: 16 } });
+
+    collisionDetector.setBroadPhaseStrategy('quadtree');
+
+    expect(collisionDetector.getBroadPhaseStats()).toMatchObject({ strategy: 'quadtree', objects: 2 });
+    expect(collisionDetector.checkCollisionsSpatial()).toHaveLength(1);
+  });
+
+  test('should answer combat range and projectile queries from the spatial index', () => {
+    const combatSystem = new CombatSystem({
+      eventBus: { on: jest.fn(), off: jest.fn(), emit: jest.fn() },
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      config: { seed: 1 },
+      collisionDetector
+    });
+    const near = combatSystem.createEnemy('goblin', 100, 100);
+    const far = combatSystem.createEnemy('goblin', 600, 600);
+    combatSystem.addEnemy(near);
+    combatSystem.addEnemy(far);
+    const queryCircle = jest.spyOn(collisionDetector, 'queryCircle');
+    const queryAABB = jest.spyOn(collisionDetector, 'queryAABB');
+    const dealDamage = jest.spyOn(combatSystem, 'dealDamage').mockImplementation(() => {});
+
+    expect(combatSystem.getEntitiesInRange(120, 100, 50)).toEqual([near]);
+
+    combatSystem.combatState.projectiles.set('proj', { id: 'proj', x: 605, y: 600, damage: 5 });
+    combatSystem.checkProjectileCollisions(combatSystem.combatState.projectiles.get('proj'));
+
+    expect(queryCircle).toHaveBeenCalledTimes(1);
+    expect(queryAABB).toHaveBeenCalledTimes(1);
+    expect(dealDamage).toHaveBeenCalledWith(far, 5, undefined, expect.any(Object));
+    expect(combatSystem.combatState.projectiles.has('proj')).toBe(false);
+
+    combatSystem.removeEnemy(near.id);
+    expect(combatSystem.getEntitiesInRange(120, 100, 50)).toEqual([]);
+  });
+
+  test('should intersect segments with boxes', () => {
+    const box = { x: 10, y: 0, width: 10, height: 10 };
+
+    const hit = collisionDetector.segmentVsAABB({ x: 0, y: 5 }, { x: 40, y: 5 }, box);
+    expect(hit.time).toBeCloseTo(0.25);
+    expect(hit.normal).toEqual({ x: -1, y: 0 });
+    expect(hit.point).toEqual({ x: 10, y: 5 });
+
+    expect(collisionDetector.segmentVsAABB({ x: 0, y: 5 }, { x: 5, y: 5 }, box)).toBeNull();
+    expect(collisionDetector.segmentVsAABB({ x: 0, y: 10 }, { x: 40, y: 10 }, box)).toBeNull();
+    expect(collisionDetector.segmentVsAABB({ x: 15, y: 5 }, { x: 40, y: 5 }, box).time).toBe(0);
+  });
+
+  test('should return time of impact and normal for swept boxes', () => {
+    const moving = { x: 0, y: 0, width: 10, height: 10 };
+    const wall = { x: 0, y: 50, width: 100, height: 10 };
+
+    const hit = collisionDetector.sweptAABB(moving, { x: 0, y: 80 }, wall);
+    expect(hit.time).toBeCloseTo(0.5);
+    expect(hit.normal).toEqual({ x: 0, y: -1 });
+    expect(hit.position).toEqual({ x: 0, y: 40 });
+
+    expect(collisionDetector.sweptAABB(moving, { x: 0, y: 30 }, wall)).toBeNull();
+
+    const overlapping = collisionDetector.sweptAABB({ x: 0, y: 45, width: 10, height: 10 }, { x: 0, y: 0 }, wall);
+    expect(overlapping).toMatchObject({ time: 0, overlapping: true, normal: { x: 0, y: -1 } });
+  });
+
+  test('should resolve penetration against static objects and slide', () => {
+    collisionDetector.registerCollisionObject('wall', {
+      position: { x: 0, y: 100 },
+      size: { width: 200, height: 20 },
+      isStatic: true
+    });
+    collisionDetector.registerCollisionObject('player', {
+      position: { x: 50, y: 90 },
+      size: { width: 20, height: 20 },
+      velocity: { x: 30, y: 40 }
+    });
+
+    const collisions = collisionDetector.checkCollisions();
+    const player = collisionDetector.collisionObjects.get('player');
+
+    expect(collisions).toHaveLength(1);
+    expect(player.position).toEqual({ x: 50, y: 80 });
+    expect(player.velocity).toEqual({ x: 30, y: 0 });
+    expect(collisionDetector.collisionObjects.get('wall').position).toEqual({ x: 0, y: 100 });
+    expect(mockEventBus.emit).toHaveBeenCalledWith('collision:resolved', expect.objectContaining({
+      object1: 'wall',
+      object2: 'player',
+      depth: 10
+    }));
+  });
+
+  test('should split penetration between dynamic objects', () => {
+    collisionDetector.registerCollisionObject('a', { position: { x: 0, y: 0 } });
+    collisionDetector.registerCollisionObject('b', { position: { x: 24, y: 0 } });
+
+    collisionDetector.checkCollisions();
+
+    expect(collisionDetector.collisionObjects.get('a').position.x).toBe(-4);
+    expect(collisionDetector.collisionObjects.get('b').position.x).toBe(28);
+  });
+
+  test('should stop at walls and slide along them when moving', () => {
+    collisionDetector.registerCollisionObject('wall', {
+      layer: 'wall',
+      position: { x: 100, y: 0 },
+      size: { width: 20, height: 200 },
+      isStatic: true
+    });
+    collisionDetector.registerCollisionObject('player', {
+      layer: 'player',
+      position: { x: 50, y: 50 },
+      size: { width: 20, height: 20 }
+    });
+
+    const result = collisionDetector.moveAndSlide('player', { x: 60, y: 40 });
+
+    expect(result.hits).toHaveLength(1);
+    expect(result.hits[0].normal).toEqual({ x: -1, y: 0 });
+    expect(result.position.x).toBeCloseTo(80);
+    expect(result.position.y).toBeCloseTo(90);
+    expect(collisionDetector.collisionObjects.get('player').position).toEqual(result.position);
+
+    // Moving along the wall face is not blocked
+    const along = collisionDetector.moveAndSlide('player', { x: 0, y: 50 });
+    expect(along.hits).toHaveLength(0);
+    expect(along.position.y).toBeCloseTo(140);
+  });
+
+  test('should not let fast projectiles tunnel through small enemies', () => {
+    const combatSystem = new CombatSystem({
+      eventBus: { on: jest.fn(), off: jest.fn(), emit: jest.fn() },
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      config: { seed: 1 },
+      collisionDetector
+    });
+    const assassin = combatSystem.createEnemy('shadow_assassin', 300, 100);
+    combatSystem.addEnemy(assassin);
+    const dealDamage = jest.spyOn(combatSystem, 'dealDamage').mockImplementation(() => {});
+
+    // 1200 px/s for 100 ms jumps from well before to well past the enemy
+    combatSystem.combatState.projectiles.set('bolt', {
+      id: 'bolt',
+      x: 200,
+      y: 100,
+      velocityX: 1200,
+      velocityY: 0,
+      damage: 12,
+      createdAt: Date.now(),
+      lifetime: 5000
+    });
+    combatSystem.updateProjectiles(100);
+
+    expect(dealDamage).toHaveBeenCalledWith(assassin, 12, undefined, expect.any(Object));
+    expect(combatSystem.combatState.projectiles.size).toBe(0);
+  });
+
   // TODO: Add more comprehensive tests
-  // - Test spatial partitioning
   // - Test collision response handling
   // - Test trigger collisions
   // - Test physical collisions
@@ -0,0 +1,415 @@
+/**
+ * Combat Log, DPS Meter and Encounter Report Tests
+ */
+
+import { CombatLog } from '../src/core/CombatLog.js';
+import { CombatLogSystem } from '../src/systems/CombatLogSystem.js';
+import { CombatSystem } from '../src/systems/CombatSystem.js';
+import { EndgameSystem } from '../src/systems/EndgameSystem.js';
+import { ARPGUISystem } from '../src/systems/ARPGUISystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger } from './helpers.js';
+
+const hit = (time, sourceId, ability, amount, extra = {}) => ({
+  time,
+  kind: 'hit',
+  sourceId,
+  targetId: 'goblin_1',
+  ability,
+  amount,
+  ...extra,
+});
+
+describe('CombatLog', () => {
+  test('should record, cap and filter entries', () => {
+    const log = new CombatLog({ maxEntries: 3 });
+
+    log.record(hit(0, 'p1', 'Slash', 10));
+    log.record(hit(100, 'p2', 'Fireball', 20, { kind: 'crit' }));
+    log.record({
+      time: 200,
+      kind: 'heal',
+      sourceId: 'p2',
+      ability: 'Mend',
+      amount: 15,
+    });
+    log.record(hit(300, 'p1', 'Slash', 12));
+
+    expect(log.entries.map((entry) => entry.time)).toEqual([100, 200, 300]);
+    expect(log.query({ source: 'p1' })).toHaveLength(1);
+    expect(log.query({ kinds: ['crit', 'heal'] })).toHaveLength(2);
+    expect(log.query({ since: 150, until: 250 })[0]).toMatchObject({
+      kind: 'heal',
+      sourceName: 'p2',
+      targetId: 'unknown',
+    });
+    expect(() => log.record({ time: 0, kind: 'dodge' })).toThrow(
+      'Unknown combat log entry kind: dodge'
+    );
+  });
+
+  test('should keep rolling DPS and HPS meters per source', () => {
+    const log = new CombatLog({ meterWindow: 2000 });
+
+    log.record(hit(0, 'p1', 'Slash', 500));
+    log.record(hit(1500, 'p1', 'Slash', 100));
+    log.record(hit(2500, 'p2', 'Fireball', 300, { kind: 'tick' }));
+    log.record({ time: 3000, kind: 'heal', sourceId: 'p1', amount: 40 });
+    log.record({ time: 3000, kind: 'kill', sourceId: 'p2' });
+
+    // The opening hit has rolled out of the window
+    expect(log.getMeters(3000)).toEqual([
+      {
+        sourceId: 'p2',
+        sourceName: 'p2',
+        damage: 300,
+        healing: 0,
+        dps: 150,
+        hps: 0,
+      },
+      {
+        sourceId: 'p1',
+        sourceName: 'p1',
+        damage: 100,
+        healing: 40,
+        dps: 50,
+        hps: 20,
+      },
+    ]);
+    expect(log.getMeter('p3', 3000).dps).toBe(0);
+  });
+
+  test('should break encounters down by source and ability', () => {
+    const log = new CombatLog({ maxEntries: 2 });
+    log.record(hit(0, 'p1', 'Slash', 999));
+    log.startEncounter('fight', 1000, { kind: 'combat' });
+
+    log.record(hit(1000, 'p1', 'Slash', 100));
+    log.record(hit(1500, 'p1', 'Slash', 200, { kind: 'crit', overkill: 50 }));
+    log.record({
+      ...hit(2000, 'p1', null, 40, { kind: 'tick' }),
+      effect: 'burning',
+    });
+    log.record(hit(2000, 'p2', 'Fireball', 60));
+    log.record({
+      time: 2500,
+      kind: 'heal',
+      sourceId: 'p2',
+      ability: 'Mend',
+      amount: 30,
+    });
+    log.record({ time: 3000, kind: 'kill', sourceId: 'p1', ability: 'Slash' });
+    log.record({
+      time: 3000,
+      kind: 'resist',
+      targetId: 'p2',
+      effect: 'frozen',
+    });
+
+    const open = log.summarize(log.getEncounter('fight'));
+    expect(open).toMatchObject({ duration: 2000, endedAt: null });
+
+    const summary = log.endEncounter('fight', 5000);
+    expect(summary).toMatchObject({
+      id: 'fight',
+      kind: 'combat',
+      duration: 4000,
+      damage: 400,
+      healing: 30,
+      overkill: 50,
+      kills: 1,
+      resists: 1,
+      dps: 100,
+    });
+
+    const [p1, p2] = summary.sources;
+    expect(p1).toMatchObject({
+      id: 'p1',
+      damage: 340,
+      kills: 1,
+      critRate: 0.5,
+      share: 0.85,
+    });
+    expect(p1.abilities).toEqual([
+      expect.objectContaining({
+        ability: 'Slash',
+        hits: 2,
+        crits: 1,
+        damage: 300,
+        max: 200,
+        average: 150,
+        share: 0.88,
+      }),
+      expect.objectContaining({ ability: 'burning', ticks: 1, damage: 40 }),
+    ]);
+    expect(p2).toMatchObject({ damage: 60, healing: 30, hps: 7.5 });
+
+    // Totals outlive the capped entries, and the entry before is left out
+    expect(log.entries).toHaveLength(2);
+    expect(log.getSummaries()[0]).toEqual(summary);
+    expect(log.query({ encounter: 'fight' })).toHaveLength(2);
+  });
+
+  test('should export CSV with quoted fields', () => {
+    const log = new CombatLog();
+    log.record(hit(0, 'p1', 'Slash, Heavy', 10, { sourceName: 'The "Axe"' }));
+
+    const [header, row] = log.toCSV().split('\n');
+    expect(header).toBe(
+      'time,kind,sourceId,sourceName,targetId,targetName,ability,amount,overkill,resisted,damageType,effect'
+    );
+    expect(row).toBe(
+      '0,hit,p1,"The ""Axe""",goblin_1,goblin_1,"Slash, Heavy",10,0,0,,'
+    );
+  });
+});
+
+describe('CombatLogSystem', () => {
+  let eventBus;
+  let combatLog;
+  let combat;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    combatLog = new CombatLogSystem({
+      eventBus,
+      logger: createLogger(),
+      config: {},
+    });
+    combat = new CombatSystem({
+      eventBus,
+      logger: createLogger(),
+      config: { seed: 5 },
+    });
+    combat.initializeEnemySpawner();
+  });
+
+  afterEach(() => {
+    combat.cleanup();
+    combatLog.cleanup();
+  });
+
+  test('should log hits, crits, ticks, resists and kills from combat', () => {
+    const player = { id: 'player', name: 'Hero' };
+    const goblin = combat.createEnemy('goblin', 100, 100);
+    goblin.health = 100;
+    combat.addEnemy(goblin);
+
+    combat.dealDamage(goblin, 20, player, {
+      ability: 'Fireball',
+      element: 'fire',
+      critical: true,
+      resisted: 5,
+    });
+    combat.statusEffects.apply(goblin, 'burning', { source: player });
+    combat.statusEffects.update(500);
+    combat.dealDamage(goblin, 200, player, {
+      ability: 'Slash',
+      critical: false,
+    });
+
+    const entries = combatLog.getEntries();
+    expect(entries.map((entry) => entry.kind)).toEqual([
+      'crit',
+      'tick',
+      'hit',
+      'kill',
+    ]);
+    expect(entries[0]).toMatchObject({
+      sourceId: 'player',
+      sourceName: 'Hero',
+      targetId: goblin.id,
+      ability: 'Fireball',
+      amount: 20,
+      resisted: 5,
+      damageType: 'fire',
+    });
+    expect(entries[1]).toMatchObject({
+      effect: 'burning',
+      amount: 5,
+      damageType: null,
+    });
+    expect(entries[2]).toMatchObject({
+      ability: 'Slash',
+      amount: 75,
+      overkill: 125,
+    });
+    expect(entries[3]).toMatchObject({ ability: 'Slash', targetId: goblin.id });
+
+    eventBus.emit('status:resisted', {
+      target: goblin,
+      type: 'frozen',
+      source: player,
+      reason: 'immune',
+    });
+    expect(combatLog.getEntries({ kinds: ['resist'] })[0]).toMatchObject({
+      sourceId: 'player',
+      effect: 'frozen',
+    });
+
+    expect(
+      combatLog.exportCSV({ source: 'player', kinds: ['crit'] }).split('\n')
+    ).toHaveLength(2);
+  });
+
+  test('should summarize each fight when combat ends', () => {
+    const summaries = [];
+    eventBus.on('combatLog:encounterSummary', (data) =>
+      summaries.push(data.summary)
+    );
+
+    combat.setupCombatAreas();
+    combat.startCombat('forest_clearing');
+    const goblin = combat.createEnemy('goblin', 100, 100);
+    combat.addEnemy(goblin);
+    const player = { id: 'player', stats: {}, health: 50, maxHealth: 100 };
+    combat.dealDamage(goblin, 10, player, { ability: 'Slash' });
+    combat.useSupportAbility(player, { name: 'Mend', healing: 20 }, player);
+    combat.endCombat();
+
+    expect(summaries).toHaveLength(1);
+    expect(summaries[0]).toMatchObject({
+      kind: 'combat',
+      areaId: 'forest_clearing',
+      damage: 10,
+    });
+    expect(
+      summaries[0].sources[0].abilities.map((ability) => ability.ability)
+    ).toEqual(['Slash', 'Mend']);
+    expect(combatLog.getSummaries()).toEqual(summaries);
+  });
+
+  test('should give the endgame a damage report per boss kill', () => {
+    const endgame = new EndgameSystem({ eventBus, logger: createLogger() });
+    endgame.setCombatLog(combatLog);
+    const defeated = jest.fn();
+    eventBus.on('boss:defeated', defeated);
+    eventBus.on('boss:spawned', (data) => combat.handleBossSpawned(data));
+    combat.combatState.isInCombat = true;
+    combat.handlePlayerMove({ x: 400, y: 300 });
+
+    eventBus.emit('boss:spawn', {
+      bossId: 'time_guardian',
+      location: { x: 300, y: 300 },
+      players: [{ id: 'p1' }, { id: 'p2' }],
+    });
+    const [guardian] = combat.combatState.enemies.values();
+    combat.dealDamage(guardian, 400000, { id: 'p1' }, { ability: 'Cleave' });
+    combat.update(16);
+    combat.dealDamage(guardian, 200000, { id: 'p2' }, { ability: 'Fireball' });
+    combat.update(16);
+    combat.dealDamage(guardian, 150000, { id: 'p2' }, { ability: 'Fireball' });
+    combat.update(16);
+
+    const { report } = defeated.mock.calls[0][0];
+    expect(report).toMatchObject({
+      id: `boss_${guardian.id}`,
+      kind: 'boss',
+      bossId: 'time_guardian',
+      kills: 1,
+    });
+    // The guardian's own abilities are in the report too
+    const players = report.sources.filter((source) =>
+      ['p1', 'p2'].includes(source.id)
+    );
+    expect(
+      players.map((source) => [
+        source.id,
+        source.damage,
+        source.abilities[0].ability,
+      ])
+    ).toEqual([
+      ['p1', 400000, 'Cleave'],
+      ['p2', 350000, 'Fireball'],
+    ]);
+    expect(endgame.getBossEncounters()[2].lastReport).toBe(report);
+    expect(combatLog.findSummary({ bossId: 'time_guardian' })).toEqual(report);
+    endgame.stopBackgroundProcesses();
+  });
+});
+
+describe('Combat log panel', () => {
+  let eventBus;
+  let combatLog;
+  let ui;
+
+  beforeAll(() => {
+    // tests/setup.js stubs these; the panel needs jsdom's own
+    [
+      'createElement',
+      'querySelector',
+      'querySelectorAll',
+      'getElementById',
+      'getElementsByClassName',
+      'getElementsByTagName',
+    ].forEach((method) => delete document[method]);
+  });
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    combatLog = new CombatLogSystem({ eventBus, logger: createLogger() });
+    ui = new ARPGUISystem({ eventBus, logger: createLogger(), config: {} });
+    ui.setCombatLog(combatLog);
+    ui.createUIElements();
+    ui.setupCombatLogInteractions();
+  });
+
+  afterEach(() => {
+    ui.clearUIElements();
+    combatLog.cleanup();
+  });
+
+  test('should filter the log, show meters and export CSV', () => {
+    const now = Date.now();
+    const player = { id: 'player', name: 'Hero' };
+    const goblin = { id: 'goblin_1', name: 'Goblin' };
+    eventBus.emit('combat:damage', {
+      target: goblin,
+      source: player,
+      damage: 50,
+      ability: 'Slash',
+      critical: true,
+      timestamp: now,
+    });
+    eventBus.emit('combat:healing', {
+      target: player,
+      source: player,
+      healing: 25,
+      ability: 'Mend',
+      timestamp: now,
+    });
+
+    eventBus.emit('ui:toggleCombatLog');
+    expect(document.getElementById('combat-log-panel').style.display).toBe(
+      'block'
+    );
+    expect(document.querySelectorAll('.combat-log-entry')).toHaveLength(2);
+    expect(document.querySelector('.combat-log-entry').textContent).toBe(
+      "Hero's Mend heals Hero for 25"
+    );
+    expect(document.querySelector('.meter-dps').textContent).toBe('10 DPS');
+
+    document.querySelector('[data-log-filter="crits"]').click();
+    expect(ui.uiState.combatLogFilter).toBe('crits');
+    expect(
+      document
+        .querySelector('[data-log-filter="crits"]')
+        .classList.contains('active')
+    ).toBe(true);
+    const rows = [...document.querySelectorAll('.combat-log-entry')].map(
+      (row) => row.textContent
+    );
+    expect(rows).toEqual(["Hero's Slash crits Goblin for 50"]);
+
+    const exported = jest.fn();
+    eventBus.on('ui:combatLogExported', exported);
+    const csv = ui.exportCombatLog();
+    expect(csv.split('\n')[1]).toMatch(
+      /,crit,player,Hero,goblin_1,Goblin,Slash,50,/
+    );
+    expect(exported).toHaveBeenCalledWith(
+      expect.objectContaining({ filter: 'crits', rows: 1 }),
+      expect.anything()
+    );
+  });
+});
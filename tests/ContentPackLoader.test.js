@@ -0,0 +1,399 @@
+/**
+ * ContentPackLoader Tests
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { ContentPackLoader } from '../src/core/ContentPackLoader.js';
+import { validateSchema, ENEMY_SCHEMA } from '../src/core/ContentSchemas.js';
+import { HeadlessHost } from '../src/core/HeadlessHost.js';
+import { DEFAULT_BEHAVIOR_TREES } from '../src/core/EnemyBehaviors.js';
+import { EventBus } from '../src/core/EventBus.js';
+
+const PACK_URL = '/content/frost_expansion.json';
+const packText = readFileSync(
+  join(__dirname, 'fixtures', 'content', 'frost_expansion.json'),
+  'utf8'
+);
+const createPack = () => JSON.parse(packText);
+
+// Serves files from a map the test can change between requests
+const createFileFetch = (files) =>
+  jest.fn(async (url) => ({
+    ok: files.has(url),
+    status: files.has(url) ? 200 : 404,
+    text: async () => files.get(url),
+  }));
+
+const createLoader = (options = {}) => {
+  const loader = new ContentPackLoader({
+    eventBus: new EventBus(),
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    config: options.config || {},
+    fetch: options.fetch,
+  });
+  loader.registerBuiltIn('abilities', {
+    basic_attack: { name: 'Basic Attack', type: 'melee', cooldown: 1000 },
+  });
+  loader.registerBuiltIn('behaviors', DEFAULT_BEHAVIOR_TREES);
+  loader.registerBuiltIn('enemies', {
+    skeleton: {
+      name: 'Skeleton',
+      health: 80,
+      damage: 15,
+      speed: 70,
+      ai: 'defensive',
+      abilities: ['basic_attack'],
+    },
+  });
+  return loader;
+};
+
+const expectPackError = (action, errors) => {
+  let thrown;
+  try {
+    action();
+  } catch (error) {
+    thrown = error;
+  }
+  expect(thrown).toBeDefined();
+  expect(thrown.errors).toEqual(errors);
+  return thrown;
+};
+
+describe('ContentSchemas', () => {
+  test('should report every schema problem with its path', () => {
+    const errors = validateSchema(
+      {
+        name: '',
+        health: 'lots',
+        damage: -1,
+        speed: 10,
+        ai: 'Confused',
+        abilities: ['bite', 3],
+        loot: { gold: [1] },
+      },
+      ENEMY_SCHEMA,
+      'goblin'
+    );
+
+    expect(errors).toEqual([
+      {
+        path: 'goblin.name',
+        message: 'must not be shorter than 1 characters',
+      },
+      { path: 'goblin.health', message: 'must be number, got string' },
+      { path: 'goblin.damage', message: 'must be at least 0' },
+      { path: 'goblin.ai', message: 'must match ^[a-z0-9_]+$' },
+      {
+        path: 'goblin.abilities[1]',
+        message: 'must be string, got integer',
+      },
+      { path: 'goblin.loot.gold', message: 'must have at least 2 items' },
+    ]);
+  });
+});
+
+describe('ContentPackLoader', () => {
+  test('should merge packs over built-in content', () => {
+    const loader = createLoader();
+    const updates = [];
+    loader.eventBus.on('content:updated', (data) => updates.push(data));
+
+    const summary = loader.applyPack(createPack());
+
+    expect(summary).toMatchObject({ id: 'frost_expansion', entries: 7 });
+    expect(Object.keys(loader.getContent('enemies'))).toEqual([
+      'skeleton',
+      'frost_wolf',
+    ]);
+    expect(loader.getEntrySource('enemies', 'frost_wolf')).toBe(
+      'frost_expansion'
+    );
+    expect(loader.getEntrySource('enemies', 'skeleton')).toBe('built-in');
+    expect(updates).toHaveLength(1);
+    expect(Object.keys(updates[0].types).sort()).toEqual([
+      'abilities',
+      'affixes',
+      'biomes',
+      'bosses',
+      'dungeons',
+      'enemies',
+      'items',
+    ]);
+  });
+
+  test('should name the pack and path of schema errors', () => {
+    const loader = createLoader();
+    const pack = createPack();
+    pack.content.enemies.frost_wolf.health = 'lots';
+    pack.content.biomes.tundra.color = 'blue';
+
+    const error = expectPackError(
+      () => loader.applyPack(pack),
+      [
+        {
+          pack: 'frost_expansion',
+          path: 'content.enemies.frost_wolf.health',
+          message: 'must be number, got string',
+        },
+        {
+          pack: 'frost_expansion',
+          path: 'content.biomes.tundra.color',
+          message: 'must match ^#[0-9a-fA-F]{6}$',
+        },
+      ]
+    );
+
+    expect(error.message).toContain(
+      'frost_expansion: content.enemies.frost_wolf.health must be number'
+    );
+    expect(loader.getLoadedPacks()).toEqual([]);
+    expect(loader.getContent('enemies').frost_wolf).toBeUndefined();
+  });
+
+  test('should reject unknown content types and malformed headers', () => {
+    expectPackError(
+      () =>
+        createLoader().applyPack({
+          id: 'Bad Pack',
+          content: { spells: {} },
+        }),
+      [
+        {
+          pack: 'Bad Pack',
+          path: 'id',
+          message: 'must match /^[a-z0-9_]+$/',
+        },
+        { pack: 'Bad Pack', path: 'version', message: 'must be string' },
+        {
+          pack: 'Bad Pack',
+          path: 'content.spells',
+          message:
+            'is not a content type (enemies, abilities, items, affixes, biomes, dungeons, bosses, behaviors)',
+        },
+      ]
+    );
+  });
+
+  test('should check references across content types and packs', () => {
+    const loader = createLoader();
+    const pack = createPack();
+    pack.content.enemies.frost_wolf.abilities.push('ice_lance');
+    pack.content.biomes.tundra.enemies.push('yeti');
+    pack.content.dungeons.frozen_crypt.connections.push({
+      from: 'ice_throne',
+      to: 'vault',
+    });
+
+    expectPackError(
+      () => loader.applyPack(pack),
+      [
+        {
+          pack: 'frost_expansion',
+          path: 'content.enemies.frost_wolf.abilities[2]',
+          message: 'refers to unknown abilities entry "ice_lance"',
+        },
+        {
+          pack: 'frost_expansion',
+          path: 'content.biomes.tundra.enemies[2]',
+          message: 'refers to unknown enemies entry "yeti"',
+        },
+        {
+          pack: 'frost_expansion',
+          path: 'content.dungeons.frozen_crypt.connections[1].to',
+          message: 'refers to unknown rooms entry "vault"',
+        },
+      ]
+    );
+
+    // A later pack may use what an earlier one added
+    loader.applyPack(createPack());
+    loader.applyPack({
+      id: 'yeti_pack',
+      version: '1.0.0',
+      content: {
+        biomes: {
+          glacier: {
+            name: 'Glacier',
+            terrain: { ground: 'ice' },
+            enemies: ['frost_wolf'],
+          },
+        },
+      },
+    });
+
+    expectPackError(
+      () => loader.unloadPack('frost_expansion'),
+      [
+        {
+          pack: 'yeti_pack',
+          path: 'content.biomes.glacier.enemies[0]',
+          message: 'refers to unknown enemies entry "frost_wolf"',
+        },
+      ]
+    );
+  });
+
+  test('should let packs override built-ins but not each other', () => {
+    const loader = createLoader();
+    const buff = {
+      id: 'skeleton_buff',
+      version: '1.0.0',
+      content: {
+        enemies: {
+          skeleton: {
+            name: 'Skeleton',
+            health: 160,
+            damage: 15,
+            speed: 70,
+            ai: 'defensive',
+            abilities: ['basic_attack'],
+          },
+        },
+      },
+    };
+
+    loader.applyPack(buff);
+    expect(loader.getContent('enemies').skeleton.health).toBe(160);
+
+    expectPackError(
+      () => loader.applyPack({ ...buff, id: 'skeleton_nerf' }),
+      [
+        {
+          pack: 'skeleton_nerf',
+          path: 'content.enemies.skeleton',
+          message: 'is already defined by pack skeleton_buff',
+        },
+      ]
+    );
+
+    expect(loader.unloadPack('skeleton_buff')).toBe(true);
+    expect(loader.getContent('enemies').skeleton.health).toBe(80);
+  });
+
+  test('should name the source when a pack cannot be read', async () => {
+    const files = new Map([['/content/broken.json', '{ "id": ']]);
+    const loader = createLoader({ fetch: createFileFetch(files) });
+
+    await expect(loader.loadPack('/content/broken.json')).rejects.toThrow(
+      'Content pack /content/broken.json is invalid'
+    );
+    await expect(loader.loadPack('/content/missing.json')).rejects.toThrow(
+      '/content/missing.json: could not be fetched (404)'
+    );
+  });
+
+  describe('hot reload', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should only watch packs in debug mode', () => {
+      const loader = createLoader();
+
+      expect(loader.watchPack(PACK_URL)).toBe(false);
+      expect(loader.watchers.size).toBe(0);
+    });
+
+    test('should reload edited packs and keep the last good version', async () => {
+      const files = new Map([[PACK_URL, packText]]);
+      const loader = createLoader({
+        config: { debug: true },
+        fetch: createFileFetch(files),
+      });
+      const errors = [];
+      loader.eventBus.on('content:error', (data) => errors.push(data));
+
+      await loader.loadPack(PACK_URL);
+      loader.watchPack(PACK_URL);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(loader.fetch).toHaveBeenCalledTimes(2);
+
+      const edited = createPack();
+      edited.content.enemies.frost_wolf.damage = 20;
+      files.set(PACK_URL, JSON.stringify(edited));
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(loader.getContent('enemies').frost_wolf.damage).toBe(20);
+
+      edited.content.enemies.frost_wolf.ai = 'confused';
+      files.set(PACK_URL, JSON.stringify(edited));
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(errors).toHaveLength(1);
+      expect(errors[0].errors[0].path).toBe('content.enemies.frost_wolf.ai');
+      expect(loader.getContent('enemies').frost_wolf.damage).toBe(20);
+
+      loader.cleanup();
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+});
+
+describe('Content packs in the game', () => {
+  let host;
+
+  afterEach(() => {
+    host.destroy();
+  });
+
+  test('should feed pack content to every system', async () => {
+    host = new HeadlessHost({
+      config: { seed: 7, contentPacks: [PACK_URL] },
+      fetch: createFileFetch(new Map([[PACK_URL, packText]])),
+    });
+    await host.start();
+
+    const combat = host.getSystem('combat');
+    const wolf = combat.createEnemy('frost_wolf', 10, 20);
+    expect(wolf.abilities).toEqual(['basic_attack', 'ice_shard']);
+    expect(combat.abilities.ice_shard.element).toBe('ice');
+    expect(combat.enemyTypes.goblin).toBeDefined();
+
+    expect(host.getSystem('procedural').biomes.tundra.name).toBe('Tundra');
+    expect(
+      host.getSystem('procedural').dungeonTemplates.frozen_crypt.levels
+    ).toBe(2);
+
+    const itemization = host.getSystem('itemization');
+    expect(itemization.itemState.itemTemplates.get('frost_blade').slot).toBe(
+      'main_hand'
+    );
+    expect(itemization.itemState.affixDatabase.has('glacial')).toBe(true);
+    expect(itemization.itemState.itemTemplates.has('sword')).toBe(true);
+
+    const boss = host
+      .getSystem('endgame')
+      .endgameState.bossEncounters.get('frost_wyrm');
+    expect(boss).toMatchObject({
+      id: 'frost_wyrm',
+      maxHealth: 400000,
+      currentPhase: 1,
+      lastKilled: null,
+    });
+  });
+
+  test('should keep running without a broken pack', async () => {
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const broken = createPack();
+    delete broken.content.enemies.frost_wolf.abilities;
+    host = new HeadlessHost({
+      logger,
+      config: { contentPacks: [PACK_URL] },
+      fetch: createFileFetch(new Map([[PACK_URL, JSON.stringify(broken)]])),
+    });
+
+    await host.start();
+
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining(
+        'frost_expansion: content.enemies.frost_wolf.abilities is required'
+      )
+    );
+    expect(host.getSystem('combat').enemyTypes.frost_wolf).toBeUndefined();
+    expect(host.getSystem('combat').enemyTypes.goblin).toBeDefined();
+  });
+});
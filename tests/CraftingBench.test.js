@@ -0,0 +1,262 @@
+/**
+ * Crafting Bench Tests
+ */
+
+import { CraftingBench } from '../src/core/CraftingBench.js';
+import { ItemizationSystem } from '../src/systems/ItemizationSystem.js';
+import { TradingSystem } from '../src/systems/TradingSystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger } from './helpers.js';
+
+const createBench = (seed = 42) => {
+  const eventBus = new EventBus();
+  const logger = createLogger();
+  const trading = new TradingSystem({ eventBus, logger });
+  const itemization = new ItemizationSystem({
+    eventBus,
+    logger,
+    config: { seed },
+  });
+  itemization.setCurrencyProvider(trading);
+  return { eventBus, trading, itemization };
+};
+
+const fund = (trading, balances) =>
+  Object.entries(balances).forEach(([currency, amount]) =>
+    trading.addCurrency('player', currency, amount)
+  );
+
+const SWORD_AFFIX_STATS = [
+  'damage',
+  'attack_speed',
+  'critical_chance',
+  'critical_damage',
+  'elemental_damage',
+];
+
+describe('CraftingBench', () => {
+  test('should roll only affixes the base allows at its item level', () => {
+    const { trading, itemization } = createBench();
+    fund(trading, { gold: 1000 });
+    const sword = itemization.generateItem({
+      template: 'sword',
+      level: 1,
+      rarity: 'rare',
+    });
+
+    for (let i = 0; i < 5; i++) {
+      expect(
+        itemization.craftItem({
+          itemId: sword.id,
+          operation: 'reroll_affixes',
+        }).success
+      ).toBe(true);
+
+      const names = sword.affixes.map((affix) => affix.name);
+      expect(new Set(names).size).toBe(names.length);
+      sword.affixes.forEach((affix) => {
+        expect(
+          Object.keys(affix.stats).some((stat) =>
+            SWORD_AFFIX_STATS.includes(stat)
+          )
+        ).toBe(true);
+      });
+      expect(names.length).toBeLessThanOrEqual(4);
+      // Mighty, Sharp and of Power are the only level 1 sword affixes
+      names.forEach((name) =>
+        expect(['Mighty', 'Sharp', 'of Power']).toContain(name)
+      );
+    }
+
+    expect(trading.getBalance('player', 'gold')).toBe(500);
+  });
+
+  test('should keep locked affixes through rerolls and removals', () => {
+    const { trading, itemization } = createBench();
+    fund(trading, { gold: 5000, platinum: 5 });
+    const sword = itemization.generateItem({
+      template: 'sword',
+      level: 20,
+      rarity: 'legendary',
+    });
+    const [kept] = sword.affixes;
+
+    expect(
+      itemization.craftItem({
+        itemId: sword.id,
+        operation: 'lock_affix',
+        affixId: kept.id,
+      })
+    ).toMatchObject({ success: true, cost: { platinum: 5 } });
+
+    for (let i = 0; i < 4; i++) {
+      itemization.craftItem({ itemId: sword.id, operation: 'reroll_affixes' });
+      itemization.craftItem({ itemId: sword.id, operation: 'reroll_values' });
+      expect(sword.affixes[0]).toEqual({ ...kept, locked: true });
+    }
+
+    while (sword.affixes.length > 1) {
+      itemization.craftItem({ itemId: sword.id, operation: 'remove_affix' });
+    }
+    expect(
+      itemization.craftItem({ itemId: sword.id, operation: 'remove_affix' })
+    ).toEqual({
+      success: false,
+      error: 'The item has no unlocked affixes to remove',
+    });
+
+    itemization.craftItem({
+      itemId: sword.id,
+      operation: 'unlock_affix',
+      affixId: kept.id,
+    });
+    expect(
+      itemization.craftItem({ itemId: sword.id, operation: 'remove_affix' })
+        .success
+    ).toBe(true);
+    expect(sword.affixes).toEqual([]);
+  });
+
+  test('should give the same results for the same item whatever else was rolled', () => {
+    const craft = (itemization, item) => {
+      itemization.itemState.generatedItems.set(item.id, item);
+      ['reroll_affixes', 'remove_affix', 'add_affix', 'reroll_values'].forEach(
+        (operation) => itemization.craftItem({ itemId: item.id, operation })
+      );
+      return item.affixes;
+    };
+
+    const first = createBench(7);
+    const second = createBench(7);
+    fund(first.trading, { gold: 5000 });
+    fund(second.trading, { gold: 5000 });
+
+    const sword = first.itemization.generateItem({
+      template: 'sword',
+      level: 20,
+      rarity: 'epic',
+    });
+    const copy = JSON.parse(JSON.stringify(sword));
+
+    // Loot rolled in between must not change the crafts
+    second.itemization.generateLootFromTable([{ item: 'bow', chance: 1 }], 10);
+
+    expect(craft(second.itemization, copy)).toEqual(
+      craft(first.itemization, sword)
+    );
+  });
+
+  test('should charge trading currencies and leave the item alone when unaffordable', () => {
+    const { eventBus, trading, itemization } = createBench();
+    const failed = jest.fn();
+    eventBus.on('item:craftFailed', failed);
+
+    const sword = itemization.generateItem({
+      template: 'sword',
+      level: 10,
+      rarity: 'common',
+    });
+    const before = JSON.parse(JSON.stringify(sword));
+
+    expect(itemization.getCraftingCost(sword.id, 'upgrade_rarity')).toEqual({
+      gold: 100,
+    });
+    expect(
+      itemization.craftItem({ itemId: sword.id, operation: 'upgrade_rarity' })
+    ).toEqual({ success: false, error: 'Needs 100 gold, has 0' });
+    expect(JSON.parse(JSON.stringify(sword))).toEqual(before);
+    expect(failed).toHaveBeenCalledWith(
+      expect.objectContaining({
+        itemId: sword.id,
+        operation: 'upgrade_rarity',
+      }),
+      expect.anything()
+    );
+
+    fund(trading, { gold: 100, platinum: 5 });
+    const crafted = jest.fn();
+    eventBus.on('item:crafted', crafted);
+
+    expect(
+      itemization.craftItem({ itemId: sword.id, operation: 'upgrade_rarity' })
+        .changes.rarity
+    ).toEqual({ from: 'common', to: 'uncommon' });
+    expect(
+      itemization.craftItem({ itemId: sword.id, operation: 'upgrade_rarity' })
+        .changes.rarity
+    ).toEqual({ from: 'uncommon', to: 'rare' });
+    expect(trading.getBalance('player', 'gold')).toBe(0);
+    expect(trading.getBalance('player', 'platinum')).toBe(0);
+    expect(crafted).toHaveBeenCalledTimes(2);
+    expect(sword.craftCount).toBe(2);
+
+    expect(
+      itemization.craftItem({ itemId: sword.id, operation: 'polish' })
+    ).toEqual({
+      success: false,
+      error: 'Unknown crafting operation: polish',
+    });
+  });
+
+  test('should add sockets up to the base maximum and restore imprints', () => {
+    const { trading, itemization } = createBench();
+    fund(trading, { gold: 5000, gems: 1 });
+    const sword = itemization.generateItem({
+      template: 'sword',
+      level: 20,
+      rarity: 'rare',
+    });
+    sword.sockets = [];
+
+    expect(
+      itemization.craftItem({ itemId: sword.id, operation: 'imprint' }).cost
+    ).toEqual({ gems: 1 });
+    const imprinted = JSON.parse(JSON.stringify(sword.affixes));
+
+    while (
+      itemization.craftItem({ itemId: sword.id, operation: 'add_socket' })
+        .success
+    );
+    expect(sword.sockets).toHaveLength(6);
+    sword.sockets.forEach((socket) => expect(socket.type).toBe('weapon'));
+
+    itemization.craftItem({ itemId: sword.id, operation: 'reroll_affixes' });
+    expect(
+      itemization.craftItem({ itemId: sword.id, operation: 'restore_imprint' })
+        .success
+    ).toBe(true);
+    expect(sword.affixes).toEqual(imprinted);
+    expect(sword.sockets).toEqual([]);
+    expect(sword.imprint).toBeNull();
+    expect(
+      itemization.craftItem({ itemId: sword.id, operation: 'restore_imprint' })
+        .error
+    ).toBe('The item has no imprint');
+  });
+
+  test('should not stack base stats when final stats are recalculated', () => {
+    const { trading, itemization } = createBench();
+    fund(trading, { gold: 1000 });
+    const sword = itemization.generateItem({
+      template: 'sword',
+      level: 5,
+      rarity: 'rare',
+      quality: 'perfect',
+    });
+
+    itemization.craftItem({ itemId: sword.id, operation: 'reroll_values' });
+    itemization.craftItem({ itemId: sword.id, operation: 'reroll_values' });
+
+    expect(sword.baseStats.damage).toEqual({ min: 10, max: 20 });
+    expect(
+      itemization.itemState.itemTemplates.get('sword').baseStats.damage
+    ).toEqual({ min: 10, max: 20 });
+  });
+
+  test('should refuse to craft uniques beyond sockets', () => {
+    const bench = new CraftingBench({ maxAffixes: { unique: 10 } });
+    expect(() =>
+      bench.apply({ rarity: 'unique', affixes: [] }, 'add_affix', {})
+    ).toThrow('Unique items can only have sockets added');
+  });
+});
@@ -99,9 +99,89 @@ describe('GameLoopManager', () => {
     expect(state.lives).toBe(2);
   });
 
+  describe('fixed time step', () => {
+    let onUpdate;
+    let onRender;
+    let fixedLoop;
+
+    beforeEach(() => {
+      onUpdate = jest.fn();
+      onRender = jest.fn();
+      fixedLoop = new GameLoopManager({
+        fixedTimeStep: 10,
+        maxStepsPerFrame: 4,
+        onUpdate,
+        onRender,
+        eventBus: mockEventBus,
+        logger: mockLogger,
+        config: mockConfig
+      });
+      fixedLoop.resetTiming(0);
+    });
+
+    test('should run whole fixed steps and carry the remainder', () => {
+      expect(fixedLoop.tick(25)).toBe(2);
+      expect(onUpdate).toHaveBeenCalledTimes(2);
+      expect(onUpdate).toHaveBeenCalledWith(10, fixedLoop.gameState);
+      expect(onRender).toHaveBeenLastCalledWith(0.5);
+
+      expect(fixedLoop.tick(31)).toBe(1);
+      expect(fixedLoop.accumulator).toBeCloseTo(1);
+      expect(fixedLoop.getTimingStats()).toMatchObject({ stepCount: 3, simulationTime: 30 });
+    });
+
+    test('should emit game:render with alpha when no render callback is set', () => {
+      const loop = new GameLoopManager({ fixedTimeStep: 10, eventBus: mockEventBus });
+      loop.resetTiming(0);
+      loop.tick(17);
+
+      expect(mockEventBus.emit).toHaveBeenCalledWith('game:render', expect.objectContaining({ alpha: 0.7 }));
+    });
+
+    test('should cap steps per frame and drop the backlog', () => {
+      expect(fixedLoop.tick(1000)).toBe(4);
+      expect(fixedLoop.accumulator).toBe(0);
+      expect(fixedLoop.droppedTime).toBe(960);
+      expect(mockLogger.warn).toHaveBeenCalled();
+      expect(mockEventBus.emit).toHaveBeenCalledWith('game:timeDropped', { droppedTime: 960, steps: 4 });
+
+      // Next frame runs normally again
+      expect(fixedLoop.tick(1010)).toBe(1);
+    });
+
+    test('should scale simulation time', () => {
+      fixedLoop.setTimeScale(0.5);
+      expect(fixedLoop.tick(40)).toBe(2);
+
+      fixedLoop.setTimeScale(0);
+      expect(fixedLoop.tick(100)).toBe(0);
+      expect(onRender).toHaveBeenCalledTimes(2);
+
+      expect(() => fixedLoop.setTimeScale(-1)).toThrow('timeScale must be a non-negative number');
+    });
+
+    test('should not simulate while paused', () => {
+      fixedLoop.start();
+      fixedLoop.pause();
+      onUpdate.mockClear();
+
+      expect(fixedLoop.tick(performance.now() + 100)).toBe(0);
+      expect(onUpdate).not.toHaveBeenCalled();
+      fixedLoop.stop();
+    });
+
+    test('should hand frames to onFrame when provided', () => {
+      const onFrame = jest.fn();
+      const loop = new GameLoopManager({ onFrame, onUpdate });
+
+      loop.start();
+      loop.stop();
+
+      expect(onFrame).toHaveBeenCalledTimes(1);
+      expect(onUpdate).not.toHaveBeenCalled();
+    });
+  });
+
   // TODO: Add more comprehensive tests
-  // - Test game loop timing
-  // - Test event emission
-  // - Test delta time calculations
   // - Test performance monitoring
 });
\ No newline at end of file
@@ -467,6 +467,32 @@ describe('GameRefactored Enhanced', () => {
     });
   });
 
+  describe('Fixed Time Step Loop', () => {
+    test('should update managers in fixed steps and render with alpha', () => {
+      const renderSpy = jest.fn();
+      game.eventBus.on('game:render', renderSpy);
+      game.gameState.isRunning = true;
+      game.gameLoop.resetTiming(0);
+
+      game.update(40);
+
+      const step = 1000 / 60;
+      expect(game.managers.game.update).toHaveBeenCalledTimes(2);
+      expect(game.managers.game.update).toHaveBeenCalledWith(step, game.gameState);
+      expect(renderSpy.mock.calls[0][0].alpha).toBeCloseTo((40 - 2 * step) / step);
+    });
+
+    test('should freeze the simulation at time scale zero', () => {
+      game.gameState.isRunning = true;
+      game.gameLoop.resetTiming(0);
+      game.setTimeScale(0);
+
+      game.update(100);
+
+      expect(game.managers.game.update).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Enhanced Destroy Method', () => {
     test('should cleanup UI and audio systems', () => {
       const settingsCleanupSpy = jest.spyOn(game.ui.settings, 'cleanup');
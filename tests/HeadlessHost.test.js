@@ -0,0 +1,118 @@
+/**
+ * HeadlessHost Tests
+ */
+
+import {
+  HeadlessHost,
+  ManualClock,
+  MemoryStorage,
+  NullRenderer,
+} from '../src/core/HeadlessHost.js';
+
+describe('ManualClock', () => {
+  test('should only move when advanced', () => {
+    const clock = new ManualClock(100);
+
+    expect(clock.now()).toBe(100);
+    expect(clock.advance(16)).toBe(116);
+    expect(clock.now()).toBe(116);
+    expect(() => clock.advance(-1)).toThrow('non-negative');
+  });
+});
+
+describe('MemoryStorage', () => {
+  test('should implement the localStorage interface', () => {
+    const storage = new MemoryStorage({ existing: '1' });
+
+    storage.setItem('count', 5);
+
+    expect(storage.getItem('count')).toBe('5');
+    expect(storage.getItem('missing')).toBeNull();
+    expect(storage.length).toBe(2);
+    expect(storage.key(0)).toBe('existing');
+    expect(storage.key(5)).toBeNull();
+
+    storage.removeItem('existing');
+    expect(storage.toJSON()).toEqual({ count: '5' });
+
+    storage.clear();
+    expect(storage.length).toBe(0);
+  });
+});
+
+describe('HeadlessHost', () => {
+  let host;
+
+  beforeEach(async () => {
+    requestAnimationFrame.mockClear();
+    host = new HeadlessHost({ config: { seed: 42 } });
+    await host.start();
+  });
+
+  afterEach(() => {
+    host.destroy();
+  });
+
+  test('should replace presentation systems with null renderers', () => {
+    expect(host.getSystem('arpgUI')).toBeInstanceOf(NullRenderer);
+    expect(host.getSystem('mobile')).toBeInstanceOf(NullRenderer);
+    expect(host.getSystem('performance')).toBeUndefined();
+    expect(host.getSystem('analytics')).toBeUndefined();
+    expect(host.getSystem('save')).toBeUndefined();
+    expect(host.getSystem('combat')).toBeDefined();
+  });
+
+  test('should step the fixed time step loop from the manual clock', () => {
+    const steps = host.run(120);
+
+    expect(steps).toBeGreaterThanOrEqual(119);
+    expect(steps).toBeLessThanOrEqual(120);
+    expect(host.clock.now()).toBeCloseTo(2000);
+    expect(requestAnimationFrame).not.toHaveBeenCalled();
+  });
+
+  test('should run simulation ticks for combat', () => {
+    const combat = host.getSystem('combat');
+    combat.combatState.isInCombat = true;
+    // Within sight range of the default player position at (400, 300)
+    const goblin = combat.createEnemy('goblin', 150, 150);
+    combat.addEnemy(goblin);
+
+    host.runFor(1000);
+
+    // Aggressive AI chases the player
+    expect(goblin.x).toBeGreaterThan(150);
+    expect(goblin.y).toBeGreaterThan(150);
+    expect(combat.getEntitiesInRange(goblin.x, goblin.y, 1)).toEqual([goblin]);
+  });
+
+  test('should persist system data to in-memory storage', () => {
+    host.destroy();
+
+    expect(Object.keys(host.storage.toJSON())).toEqual(
+      expect.arrayContaining(['itemizationData', 'endgameData', 'tradingData'])
+    );
+
+    // afterEach destroys again; a fresh host keeps that safe
+    host = new HeadlessHost();
+  });
+
+  test('should generate identical loot for the same seed', async () => {
+    const other = new HeadlessHost({ config: { seed: 42 } });
+    await other.start();
+
+    const roll = (h) =>
+      Array.from({ length: 10 }, () =>
+        h.getSystem('itemization').determineRarity()
+      );
+
+    expect(roll(host)).toEqual(roll(other));
+    other.destroy();
+  });
+
+  test('should require start before stepping', () => {
+    const idle = new HeadlessHost();
+
+    expect(() => idle.step()).toThrow('start() must be called');
+  });
+});
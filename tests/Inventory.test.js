@@ -0,0 +1,348 @@
+/**
+ * Inventory Tests
+ */
+
+import { ItemGrid, getUnmetRequirements } from '../src/core/Inventory.js';
+import { InventorySystem } from '../src/systems/InventorySystem.js';
+import { ItemizationSystem } from '../src/systems/ItemizationSystem.js';
+import { SaveSystem } from '../src/systems/SaveSystem.js';
+import { ARPGUISystem } from '../src/systems/ARPGUISystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger, createStorage } from './helpers.js';
+
+const createInventory = (options = {}) => {
+  const eventBus = options.eventBus || new EventBus();
+  const itemization = new ItemizationSystem({
+    eventBus,
+    logger: createLogger(),
+    config: { seed: 1 },
+  });
+  const inventory = new InventorySystem({
+    eventBus,
+    logger: createLogger(),
+    storage: options.storage || createStorage(),
+    config: { inventory: options.config },
+  });
+  inventory.setCharacter({
+    level: 10,
+    attributes: { strength: 20, dexterity: 20, intelligence: 20 },
+    ...options.character,
+  });
+
+  const give = (template) => {
+    const item = itemization.generateItem({
+      template,
+      level: 1,
+      rarity: 'common',
+    });
+    inventory.addItem(item);
+    return item;
+  };
+  return { eventBus, inventory, give };
+};
+
+const potion = (id = 'potion') => ({
+  id,
+  name: 'Health Potion',
+  type: 'consumable',
+  rarity: 'common',
+});
+
+describe('ItemGrid', () => {
+  test('should place items by size and refuse overlapping moves', () => {
+    const grid = new ItemGrid(4, 4);
+    const sword = { id: 'sword', name: 'Sword', slot: 'main_hand' };
+    const bow = { id: 'bow', name: 'Bow', slot: 'two_hand' };
+
+    grid.place(sword, 0, 0);
+    expect(grid.findSpace(bow)).toEqual({ x: 1, y: 0 });
+    grid.place(bow, 1, 0);
+
+    expect(grid.getEntryAt(2, 3).item).toBe(bow);
+    expect(() => grid.move('sword', 1, 1)).toThrow('Sword would overlap Bow');
+    expect(() => grid.move('sword', 3, 2)).toThrow(
+      'Sword does not fit at 3, 2'
+    );
+    expect(grid.move('sword', 3, 1)).toMatchObject({ x: 3, y: 1 });
+    expect(grid.findSpace(bow)).toBeNull();
+  });
+
+  test('should fill stacks up to their limit and merge them on drop', () => {
+    const grid = new ItemGrid(4, 2);
+
+    expect(grid.add(potion(), 45)).toBe(0);
+    expect(
+      grid.getEntries().map(({ item, quantity }) => [item.id, quantity])
+    ).toEqual([
+      ['potion', 20],
+      ['potion_2', 5],
+      ['potion_1', 20],
+    ]);
+
+    grid.remove('potion', 8);
+    grid.move('potion_2', 0, 0);
+    expect(grid.entries.get('potion').quantity).toBe(17);
+    expect(grid.entries.has('potion_2')).toBe(false);
+
+    // Matching potions top up the stack before taking new space
+    expect(grid.add(potion('other'), 30)).toBe(0);
+    expect(grid.entries.get('potion').quantity).toBe(20);
+  });
+
+  test('should sort largest items first and merge stacks', () => {
+    const grid = new ItemGrid(4, 4);
+    grid.place(potion('a'), 0, 3, 5);
+    grid.place(
+      { id: 'ring', name: 'Ring', type: 'accessory', slot: 'ring' },
+      0,
+      0
+    );
+    grid.place(potion('b'), 1, 0, 7);
+    grid.place(
+      { id: 'bow', name: 'Bow', type: 'weapon', slot: 'two_hand' },
+      2,
+      0
+    );
+
+    expect(
+      grid.sort().map(({ item, quantity, x, y }) => [item.id, quantity, x, y])
+    ).toEqual([
+      ['bow', 1, 0, 0],
+      ['ring', 1, 2, 0],
+      ['a', 12, 2, 1],
+    ]);
+
+    // Both tall items sort first and leave no row for the wide one
+    const crowded = new ItemGrid(2, 4);
+    const tall = { width: 1, height: 2 };
+    crowded.place(
+      { id: 'wide', name: 'Cloak', size: { width: 2, height: 1 } },
+      0,
+      0
+    );
+    crowded.place({ id: 'a', name: 'Amulet', size: tall }, 0, 1);
+    crowded.place({ id: 'b', name: 'Belt', size: tall }, 1, 1);
+    expect(() => crowded.sort()).toThrow('The items do not fit when sorted');
+    expect(crowded.entries.get('wide')).toMatchObject({ x: 0, y: 0 });
+  });
+
+  test('should describe unmet requirements', () => {
+    expect(
+      getUnmetRequirements(
+        { requirements: { level: 5, strength: 10 } },
+        { level: 3, attributes: { strength: 12 } }
+      )
+    ).toEqual(['needs level 5, has 3']);
+  });
+});
+
+describe('InventorySystem', () => {
+  test('should check requirements before equipping', () => {
+    const { eventBus, inventory, give } = createInventory({
+      character: { attributes: { strength: 5 } },
+    });
+    const equipped = jest.fn();
+    eventBus.on('item:equipped', equipped);
+    const sword = give('sword');
+
+    expect(inventory.equipItem(sword.id)).toEqual({
+      success: false,
+      error: 'Sword needs strength 10, has 5',
+    });
+    expect(inventory.equipItem(sword.id, 'head').error).toBe(
+      'Sword cannot be worn in head'
+    );
+
+    inventory.setCharacter({ level: 1, attributes: { strength: 10 } });
+    expect(inventory.equipItem(sword.id)).toMatchObject({
+      success: true,
+      slot: 'main_hand',
+    });
+    expect(equipped).toHaveBeenCalledWith(
+      expect.objectContaining({ item: sword, slot: 'main_hand' }),
+      expect.anything()
+    );
+    expect(inventory.bag.entries.has(sword.id)).toBe(false);
+  });
+
+  test('should free the off hand for two-handed weapons and fill ring slots in turn', () => {
+    const { eventBus, inventory, give } = createInventory();
+    const unequipped = jest.fn();
+    eventBus.on('item:unequipped', unequipped);
+
+    const sword = give('sword');
+    const shield = give('shield');
+    const bow = give('bow');
+    inventory.equipItem(sword.id);
+    inventory.equipItem(shield.id);
+
+    expect(inventory.equipItem(bow.id).unequipped).toEqual([
+      { slot: 'main_hand', item: sword },
+      { slot: 'off_hand', item: shield },
+    ]);
+    expect(unequipped).toHaveBeenCalledTimes(2);
+    expect(inventory.getEquippedItem('off_hand')).toBeNull();
+    expect(inventory.equipItem(shield.id).error).toBe('Bow needs both hands');
+
+    const rings = [give('ring'), give('ring'), give('ring')];
+    expect(inventory.equipItem(rings[0].id).slot).toBe('ring1');
+    expect(inventory.equipItem(rings[1].id).slot).toBe('ring2');
+    expect(inventory.equipItem(rings[2].id, 'ring1').unequipped).toEqual([
+      { slot: 'ring1', item: rings[0] },
+    ]);
+    expect(inventory.bag.entries.has(rings[0].id)).toBe(true);
+  });
+
+  test('should swap through the bag and refuse to unequip into a full one', () => {
+    const { inventory, give } = createInventory({
+      config: { bagWidth: 2, bagHeight: 4 },
+    });
+    const bow = give('bow');
+    inventory.equipItem(bow.id);
+    const staff = give('staff');
+    expect(inventory.equipItem(staff.id).success).toBe(true);
+
+    // The bow fills the bag, so the staff cannot come off
+    const chest = { id: 'chest', name: 'Chestplate', slot: 'chest' };
+    expect(inventory.addItem(chest)).toEqual({
+      success: false,
+      error: 'The bag is full',
+    });
+    expect(inventory.unequipItem('main_hand').error).toBe(
+      'No room in the bag for Staff'
+    );
+    expect(inventory.getEquippedItem('main_hand')).toBe(staff);
+  });
+
+  test('should share stash tabs between characters through storage', async () => {
+    const storage = createStorage();
+    const first = createInventory({ storage });
+    const sword = first.give('sword');
+
+    expect(first.inventory.addStashTab('Weapons')).toMatchObject({
+      success: true,
+      tab: 1,
+    });
+    expect(first.inventory.moveToStash(sword.id, 1, 2, 3).success).toBe(true);
+    expect(first.inventory.moveToStash('missing', 1).error).toBe(
+      'Item not found: missing'
+    );
+
+    const second = createInventory({ storage });
+    await second.inventory.initialize();
+    const { stash } = second.inventory.getInventoryState();
+    expect(stash.map((tab) => tab.name)).toEqual(['Main', 'Weapons']);
+    expect(stash[1].entries[0]).toMatchObject({ x: 2, y: 3 });
+
+    expect(second.inventory.moveFromStash(sword.id, 1, 0, 0).success).toBe(
+      true
+    );
+    expect(second.inventory.bag.entries.get(sword.id)).toMatchObject({
+      x: 0,
+      y: 0,
+    });
+    expect(second.inventory.moveInStash(sword.id, 1, 0, 0).success).toBe(false);
+  });
+
+  test('should save the bag and equipment through the save system', async () => {
+    const { inventory, give } = createInventory();
+    const sword = give('sword');
+    inventory.addItem(potion(), 25);
+    inventory.equipItem(sword.id);
+    inventory.moveItem('potion_1', 7, 4);
+
+    const createSaveSystem = (eventBus) =>
+      new SaveSystem({ eventBus, logger: createLogger(), config: {} });
+    const saveSystem = createSaveSystem(new EventBus());
+    saveSystem.setInventory(inventory);
+    const storage = new Map();
+    saveSystem.storage = {
+      save: async (key, value) => storage.set(key, value),
+      load: async (key) => storage.get(key) ?? null,
+      delete: async (key) => storage.delete(key),
+    };
+    await saveSystem.saveGame(1, {
+      ...saveSystem.getCurrentGameData(),
+      version: '1.0.0',
+      timestamp: Date.now(),
+      player: { name: 'Hero', level: 1 },
+    });
+
+    const restored = createInventory();
+    const equipped = jest.fn();
+    restored.eventBus.on('item:equipped', equipped);
+    const otherSave = createSaveSystem(restored.eventBus);
+    otherSave.setInventory(restored.inventory);
+    otherSave.storage = saveSystem.storage;
+    await otherSave.loadGame(1);
+
+    expect(restored.inventory.serialize()).toEqual(inventory.serialize());
+    expect(restored.inventory.bag.entries.get('potion_1')).toMatchObject({
+      quantity: 5,
+      x: 7,
+      y: 4,
+    });
+    expect(equipped).toHaveBeenCalledWith(
+      expect.objectContaining({ slot: 'main_hand' }),
+      expect.anything()
+    );
+  });
+});
+
+describe('Inventory panel', () => {
+  let ui;
+
+  beforeAll(() => {
+    // tests/setup.js stubs these; the panel needs jsdom's own
+    [
+      'createElement',
+      'querySelector',
+      'querySelectorAll',
+      'getElementById',
+      'getElementsByClassName',
+      'getElementsByTagName',
+    ].forEach((method) => delete document[method]);
+  });
+
+  afterEach(() => {
+    ui.clearUIElements();
+  });
+
+  const drop = (element, itemId) => {
+    // tests/setup.js replaces Event with a class jsdom cannot dispatch
+    const event = document.createEvent('Event');
+    event.initEvent('drop', true, true);
+    event.dataTransfer = { getData: () => itemId };
+    element.dispatchEvent(event);
+  };
+
+  test('should move and equip items dropped on the grid and slots', () => {
+    const { eventBus, inventory, give } = createInventory();
+    ui = new ARPGUISystem({ eventBus, logger: createLogger(), config: {} });
+    ui.createUIElements();
+    ui.setupInventoryInteractions();
+    ui.setInventory(inventory);
+
+    const sword = give('sword');
+    expect(document.querySelectorAll('.inventory-slot')).toHaveLength(40);
+    expect(
+      document.querySelector(`[data-item-id="${sword.id}"]`).style.gridRow
+    ).toBe('1 / span 3');
+
+    drop(document.querySelector('[data-x="4"][data-y="2"]'), sword.id);
+    expect(inventory.bag.entries.get(sword.id)).toMatchObject({ x: 4, y: 2 });
+    expect(
+      document.querySelector(`[data-item-id="${sword.id}"]`).style.gridColumn
+    ).toBe('5 / span 1');
+
+    drop(document.querySelector('[data-slot="head"]'), sword.id);
+    expect(inventory.getEquippedItem('head')).toBeNull();
+
+    drop(document.querySelector('[data-slot="main_hand"]'), sword.id);
+    expect(inventory.getEquippedItem('main_hand')).toBe(sword);
+    expect(document.querySelector('[data-slot="main_hand"]').textContent).toBe(
+      'Sword'
+    );
+    expect(document.querySelector(`[data-item-id="${sword.id}"]`)).toBeNull();
+  });
+});
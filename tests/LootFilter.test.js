@@ -0,0 +1,362 @@
+/**
+ * Loot Filter Tests
+ */
+
+import { LootFilter, parseLootFilter } from '../src/core/LootFilter.js';
+import { LootFilterSystem } from '../src/systems/LootFilterSystem.js';
+import { ItemizationSystem } from '../src/systems/ItemizationSystem.js';
+import { SaveSystem } from '../src/systems/SaveSystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { ARPGIntegration } from '../src/ARPGIntegration.js';
+import { createLogger } from './helpers.js';
+
+const createItem = (overrides = {}) => ({
+  id: 'item_1',
+  template: 'Sword',
+  type: 'weapon',
+  name: 'Sword',
+  level: 20,
+  rarity: 'rare',
+  affixes: [],
+  sockets: [],
+  setBonus: null,
+  ...overrides,
+});
+
+describe('LootFilter', () => {
+  test('should report every error with its line number', () => {
+    const source = [
+      'SetColor red',
+      'Show',
+      '  Rarity shiny',
+      '  Sockets >= many',
+      '  Glow blue',
+      '  SetLabelSize 9',
+      '  BaseType "Great Sword',
+      'Hide',
+      '  ItemLevel < 10 # early junk',
+    ].join('\n');
+
+    const { rules, errors } = parseLootFilter(source);
+
+    expect(rules).toHaveLength(2);
+    expect(errors).toEqual([
+      { line: 1, message: 'SetColor must be inside a Show or Hide block' },
+      {
+        line: 3,
+        message:
+          'unknown rarity "shiny", expected one of common, uncommon, rare, epic, legendary, unique',
+      },
+      { line: 4, message: 'Sockets expects a number, got "many"' },
+      { line: 5, message: 'unknown keyword "Glow"' },
+      {
+        line: 6,
+        message:
+          'SetLabelSize expects small, normal, large or 0.5 to 3, got "9"',
+      },
+      { line: 7, message: 'unterminated quote' },
+    ]);
+    expect(LootFilter.check(source)).toEqual(errors);
+    expect(() => new LootFilter(source)).toThrow(
+      /Loot filter is invalid:\n {2}line 1: SetColor/
+    );
+  });
+
+  test('should match conditions and apply the first matching block', () => {
+    const filter = new LootFilter(
+      [
+        'Show',
+        '  Unique "Soul Reaver"',
+        '  Beam orange',
+        'Show',
+        '  SetItem',
+        '  SetColor green',
+        'Show',
+        '  HasAffix "of Haste"',
+        '  Affix attackSpeed >= 10',
+        '  PlaySound haste_drop 0.5',
+        'Show',
+        '  Rarity >= rare',
+        '  BaseType sword bow',
+        '  Class weapon',
+        '  Sockets >= 3',
+        '  SetColor #ffcc00',
+        '  SetLabelSize large',
+        'Hide',
+        '  Rarity common uncommon',
+        '  ItemLevel < 10',
+      ].join('\n')
+    );
+
+    expect(
+      filter.evaluate(createItem({ rarity: 'unique', name: 'Soul Reaver' }))
+    ).toMatchObject({ visible: true, rule: 1, beam: 'orange' });
+    expect(filter.evaluate(createItem({ setBonus: 'warlord' }))).toMatchObject({
+      rule: 4,
+      color: 'green',
+    });
+
+    const hasted = createItem({
+      affixes: [
+        { id: 'haste', name: 'of Haste', stats: { attackSpeed: 6 } },
+        { id: 'swift', name: 'Swift', stats: { attackSpeed: 5 } },
+      ],
+    });
+    expect(filter.evaluate(hasted).sound).toEqual({
+      id: 'haste_drop',
+      volume: 0.5,
+    });
+    expect(
+      filter.evaluate({ ...hasted, affixes: hasted.affixes.slice(0, 1) }).rule
+    ).toBeNull();
+
+    const socketed = createItem({ sockets: [null, null, null] });
+    expect(filter.evaluate(socketed)).toMatchObject({
+      rule: 11,
+      color: '#ffcc00',
+      labelSize: 1.5,
+    });
+    expect(
+      filter.evaluate({ ...socketed, rarity: 'uncommon' }).rule
+    ).toBeNull();
+
+    expect(
+      filter.evaluate(createItem({ rarity: 'common', level: 5 }))
+    ).toMatchObject({ visible: false, rule: 18 });
+    expect(
+      filter.evaluate(createItem({ rarity: 'common', level: 15 }))
+    ).toEqual({
+      visible: true,
+      rule: null,
+      color: null,
+      labelSize: 1,
+      sound: null,
+      beam: null,
+    });
+  });
+});
+
+describe('LootFilterSystem', () => {
+  const source = [
+    'Hide',
+    '  Rarity common',
+    'Show',
+    '  Rarity legendary',
+    '  PlaySound legendary_drop 0.8',
+  ].join('\n');
+
+  test('should label drops from loot tables and enemies', () => {
+    const eventBus = new EventBus();
+    const logger = createLogger();
+    const lootFilter = new LootFilterSystem({
+      eventBus,
+      logger,
+      config: { lootFilter: { source } },
+    });
+    new ItemizationSystem({ eventBus, logger, config: { seed: 7 } });
+
+    const filtered = [];
+    const sounds = [];
+    eventBus.on('loot:filtered', (data) => filtered.push(data));
+    eventBus.on('sound:play', (data) => sounds.push(data));
+
+    eventBus.emit('loot:drop', {
+      position: { x: 10, y: 20 },
+      level: 30,
+      lootTable: [
+        { item: 'sword', chance: 1, rarity: 'legendary' },
+        { item: 'sword', chance: 1, rarity: 'common' },
+      ],
+    });
+    eventBus.emit('combat:lootDropped', {
+      entity: { id: 'goblin_1', level: 3 },
+      loot: { gold: 5, items: ['goblin_ear'] },
+      position: { x: 40, y: 50 },
+    });
+
+    expect(filtered).toHaveLength(2);
+    expect(filtered[0].hidden).toBe(1);
+    expect(filtered[0].drops.map((drop) => drop.label.visible)).toEqual([
+      true,
+      false,
+    ]);
+    expect(sounds).toEqual([
+      {
+        soundId: 'legendary_drop',
+        options: { volume: 0.8, position: { x: 10, y: 20 } },
+      },
+    ]);
+
+    const [earDrop] = filtered[1].drops;
+    expect(earDrop.item).toMatchObject({
+      id: 'goblin_ear',
+      rarity: 'common',
+      level: 3,
+    });
+    expect(earDrop.label.visible).toBe(false);
+    expect(lootFilter.getRecentDrops()).toHaveLength(3);
+
+    lootFilter.setEnabled(false);
+    expect(lootFilter.evaluate(earDrop.item).visible).toBe(true);
+  });
+
+  test('should preview edits against recent drops and keep valid filters', () => {
+    const eventBus = new EventBus();
+    const lootFilter = new LootFilterSystem({
+      eventBus,
+      logger: createLogger(),
+      config: { lootFilter: { source, recentDrops: 2 } },
+    });
+    const changed = jest.fn();
+    eventBus.on('lootFilter:changed', changed);
+
+    ['common', 'rare', 'legendary'].forEach((rarity, index) =>
+      eventBus.emit('loot:dropped', {
+        loot: [{ item: createItem({ id: `item_${index}`, rarity }) }],
+        position: { x: 0, y: 0 },
+      })
+    );
+
+    const preview = lootFilter.preview('Hide\n  Rarity < legendary');
+    expect(preview.errors).toEqual([]);
+    expect(preview.drops.map((drop) => drop.item.id)).toEqual([
+      'item_2',
+      'item_1',
+    ]);
+    expect(preview.drops.map((drop) => drop.label.visible)).toEqual([
+      true,
+      false,
+    ]);
+    expect(preview.drops[1].current.visible).toBe(true);
+    expect(preview).toMatchObject({ shown: 1, hidden: 1 });
+
+    expect(lootFilter.preview('Show\n  Rarity >')).toMatchObject({
+      errors: [{ line: 2, message: 'Rarity needs a value' }],
+      drops: [],
+    });
+
+    expect(lootFilter.setFilter('Hide\n  Beam')).toEqual([
+      { line: 2, message: 'Beam takes 1 value, got 0' },
+    ]);
+    expect(lootFilter.getFilterSource()).toBe(source);
+    expect(changed).not.toHaveBeenCalled();
+
+    expect(lootFilter.setFilter('Hide\n  Rarity rare')).toEqual([]);
+    expect(changed).toHaveBeenCalledWith(
+      expect.objectContaining({ rules: 1 }),
+      expect.anything()
+    );
+  });
+
+  test('should persist the filter through save settings', async () => {
+    const createSaveSystem = (eventBus, lootFilter) => {
+      const saveSystem = new SaveSystem({
+        eventBus,
+        logger: createLogger(),
+        config: {},
+      });
+      saveSystem.registerSettingsProvider('lootFilter', lootFilter);
+      return saveSystem;
+    };
+
+    const eventBus = new EventBus();
+    const lootFilter = new LootFilterSystem({
+      eventBus,
+      logger: createLogger(),
+    });
+    const saveSystem = createSaveSystem(eventBus, lootFilter);
+    const storage = new Map();
+    saveSystem.storage = {
+      save: async (key, value) => storage.set(key, value),
+      load: async (key) => storage.get(key) ?? null,
+      delete: async (key) => storage.delete(key),
+    };
+
+    lootFilter.setFilter(source);
+    lootFilter.setEnabled(false);
+    await saveSystem.saveGame(1, {
+      ...saveSystem.getCurrentGameData(),
+      version: '1.0.0',
+      timestamp: Date.now(),
+      player: { name: 'Hero', level: 1 },
+    });
+
+    const otherBus = new EventBus();
+    const restored = new LootFilterSystem({
+      eventBus: otherBus,
+      logger: createLogger(),
+    });
+    const otherSave = createSaveSystem(otherBus, restored);
+    otherSave.storage = saveSystem.storage;
+
+    await otherSave.loadGame(1);
+    expect(restored.getFilterSource()).toBe(source);
+    expect(restored.getSettings().enabled).toBe(false);
+
+    expect(() =>
+      otherSave.registerSettingsProvider('broken', { getSettings() {} })
+    ).toThrow('Settings provider broken must implement');
+
+    restored.applySettings({ source: 'Show\n  Rarity shiny' });
+    expect(restored.getFilterSource()).toBe(source);
+    expect(restored.logger.warn).toHaveBeenCalledWith(
+      'Saved loot filter is invalid; keeping the current one'
+    );
+  });
+});
+
+describe('ARPGIntegration loot filter', () => {
+  test('should put shown drops on the ground and save the filter', async () => {
+    // Only the systems drops and saves go through
+    const integration = new ARPGIntegration(
+      {
+        ...Object.fromEntries(
+          [
+            'ARPG',
+            'Combat',
+            'Procedural',
+            'Navigation',
+            'CombatLog',
+            'Endgame',
+            'Trading',
+            'ErrorHandling',
+            'Mobile',
+            'Performance',
+            'Analytics',
+          ].map((name) => [`enable${name}`, false])
+        ),
+        lootFilter: { source: 'Hide\n  Rarity common' },
+      },
+      { logger: createLogger() }
+    );
+    await integration.initialize();
+    const { eventBus, gameState } = integration;
+
+    eventBus.emit('loot:dropped', {
+      loot: [
+        { item: createItem({ id: 'junk', rarity: 'common' }) },
+        { item: createItem({ id: 'keeper', rarity: 'legendary' }) },
+      ],
+      position: { x: 10, y: 20 },
+    });
+    expect(gameState.items).toEqual([
+      expect.objectContaining({
+        item: expect.objectContaining({ id: 'keeper' }),
+        position: { x: 10, y: 20 },
+        label: expect.objectContaining({ visible: true }),
+      }),
+    ]);
+
+    eventBus.emit('loot:pickup', { lootId: 'keeper' });
+    expect(integration.gameState.items).toEqual([]);
+
+    expect(
+      integration.getSystem('save').getCurrentGameData().settings.lootFilter
+    ).toEqual(integration.getSystem('lootFilter').getSettings());
+    expect(integration.getSystem('save').inventory).toBe(
+      integration.getSystem('inventory')
+    );
+
+    integration.destroy();
+  });
+});
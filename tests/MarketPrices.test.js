@@ -0,0 +1,313 @@
+/**
+ * Market Price Tests
+ */
+
+import {
+  getMarketKey,
+  computePriceIndex,
+  buildCandles,
+  priceTrade,
+} from '../src/core/PriceIndex.js';
+import { TradingSystem } from '../src/systems/TradingSystem.js';
+import { InventorySystem } from '../src/systems/InventorySystem.js';
+import { ARPGUISystem } from '../src/systems/ARPGUISystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger, createStorage } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const rules = {
+  priceWindow: DAY,
+  outlierRatio: 3,
+  minSalesForOutliers: 4,
+  trendThreshold: 0.05,
+};
+
+const sale = (unitPrice, timestamp, quantity = 1) => ({
+  unitPrice,
+  quantity,
+  source: 'trade',
+  timestamp,
+});
+
+const potion = {
+  id: 'potion_1',
+  name: 'Health Potion',
+  type: 'consumable',
+  rarity: 'common',
+};
+
+const createMarket = () => {
+  const eventBus = new EventBus();
+  const storage = createStorage();
+  const trading = new TradingSystem({
+    eventBus,
+    logger: createLogger(),
+    storage,
+  });
+  const inventories = {};
+  ['alice', 'bob'].forEach((id) => {
+    inventories[id] = new InventorySystem({
+      eventBus,
+      logger: createLogger(),
+      storage,
+    });
+    trading.registerInventory(id, inventories[id]);
+    trading.addCurrency(id, 'gold', 1000);
+  });
+  return { eventBus, trading, inventories };
+};
+
+describe('PriceIndex', () => {
+  test('should weight prices by volume and set price-fixing outliers aside', () => {
+    const now = 10 * DAY;
+    const sales = [
+      sale(8, now - DAY - HOUR, 3),
+      sale(10, now - 3 * HOUR, 2),
+      sale(12, now - 2 * HOUR),
+      sale(11, now - HOUR),
+      sale(100, now - 1000),
+    ];
+
+    expect(computePriceIndex(sales, now, rules)).toEqual({
+      price: 10.75,
+      median: 11,
+      volume: 4,
+      saleCount: 3,
+      rejected: 1,
+      previousPrice: 8,
+      trend: 'rising',
+    });
+    expect(computePriceIndex([], now, rules)).toMatchObject({
+      price: null,
+      trend: 'stable',
+    });
+  });
+
+  test('should bucket sales into candles and price items-for-currency trades', () => {
+    expect(
+      buildCandles(
+        [sale(6, 900), sale(5, 0, 2), sale(7, 500), sale(4, 1500)],
+        1000
+      )
+    ).toEqual([
+      { time: 0, open: 5, high: 7, low: 5, close: 6, volume: 4 },
+      { time: 1000, open: 4, high: 4, low: 4, close: 4, volume: 1 },
+    ]);
+
+    const valueOf = (type) => ({ gold: 1, platinum: 10 })[type];
+    expect(
+      priceTrade(
+        [
+          {
+            from: 'a',
+            to: 'b',
+            items: [{ item: potion, quantity: 5 }],
+            currency: {},
+          },
+          {
+            from: 'b',
+            to: 'a',
+            items: [],
+            currency: { gold: 30, platinum: 2 },
+          },
+        ],
+        valueOf
+      )
+    ).toEqual({ item: potion, quantity: 5, unitPrice: 10 });
+    expect(
+      priceTrade(
+        [
+          {
+            from: 'a',
+            to: 'b',
+            items: [{ item: potion, quantity: 1 }],
+            currency: {},
+          },
+          {
+            from: 'b',
+            to: 'a',
+            items: [{ item: { name: 'Ring' }, quantity: 1 }],
+            currency: {},
+          },
+        ],
+        valueOf
+      )
+    ).toBeNull();
+    expect(getMarketKey({ name: 'Iron Sword' })).toBe('iron_sword');
+  });
+});
+
+describe('TradingSystem market prices', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should price items from reported sales instead of drifting', () => {
+    const { eventBus, trading } = createMarket();
+    const updated = jest.fn();
+    eventBus.on('market:priceUpdated', updated);
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10 * DAY);
+
+    [100, 110, 105, 1000].forEach((newPrice) =>
+      eventBus.emit('market:priceUpdate', { item: 'iron_sword', newPrice })
+    );
+    const [sword] = trading
+      .getMarketPrices()
+      .filter((price) => price.item === 'iron_sword');
+    expect(sword).toMatchObject({
+      currentPrice: 105,
+      median: 105,
+      saleCount: 3,
+      rejected: 1,
+    });
+    // The outlier left the price where it was
+    expect(updated).toHaveBeenCalledTimes(1);
+    expect(updated).toHaveBeenCalledWith(
+      expect.objectContaining({
+        item: 'iron_sword',
+        oldPrice: 100,
+        newPrice: 105,
+      }),
+      expect.anything()
+    );
+    expect(
+      trading.calculateTradeValue(
+        [{ item: { name: 'Iron Sword' }, quantity: 2 }],
+        {
+          gold: 10,
+        }
+      )
+    ).toBe(220);
+
+    // Prices hold when nothing sells, and the volume leaves the window
+    now.mockReturnValue(12 * DAY);
+    trading.updateAllMarketPrices();
+    expect(sword).toMatchObject({ currentPrice: 105, volume: 0 });
+    expect(
+      trading.getMarketPrices().find((price) => price.item === 'mana_potion')
+        .currentPrice
+    ).toBe(15);
+  });
+
+  test('should feed completed trades and auction sales into the price chart', () => {
+    const { trading, inventories } = createMarket();
+    jest.spyOn(Date, 'now').mockReturnValue(10 * DAY);
+    inventories.alice.addItem({ ...potion }, 10);
+
+    const { trade } = trading.initiateTrade({
+      fromPlayer: { id: 'alice', online: true, areaId: 'town' },
+      toPlayer: { id: 'bob', online: true, areaId: 'town' },
+      items: [{ itemId: 'potion_1', quantity: 5 }],
+      channel: 'global',
+    });
+    trading.modifyTrade({
+      tradeId: trade.id,
+      playerId: 'bob',
+      currency: { gold: 60 },
+    });
+    ['alice', 'bob'].forEach((playerId) =>
+      trading.lockTrade({ tradeId: trade.id, playerId })
+    );
+    ['alice', 'bob'].forEach((playerId) =>
+      trading.acceptTrade({ tradeId: trade.id, playerId })
+    );
+
+    Date.now.mockReturnValue(10 * DAY + 2 * HOUR);
+    const { auction } = trading.listAuction({
+      playerId: 'alice',
+      itemId: 'potion_1',
+      startingPrice: 40,
+      buyoutPrice: 50,
+      duration: HOUR,
+    });
+    trading.buyoutAuction({ auctionId: auction.id, playerId: 'bob' });
+
+    const chart = trading.getPriceChart('Health Potion');
+    expect(chart.item).toBe('health_potion');
+    expect(chart.index).toMatchObject({ price: 11, volume: 10, saleCount: 2 });
+    expect(chart.candles).toEqual([
+      { time: 10 * DAY, open: 12, high: 12, low: 12, close: 12, volume: 5 },
+      {
+        time: 10 * DAY + 2 * HOUR,
+        open: 10,
+        high: 10,
+        low: 10,
+        close: 10,
+        volume: 5,
+      },
+    ]);
+    expect(
+      trading.getMarketPrices().find((price) => price.item === 'health_potion')
+        .currentPrice
+    ).toBe(11);
+  });
+});
+
+describe('Trading panel price chart', () => {
+  let ui;
+
+  beforeAll(() => {
+    // tests/setup.js stubs these; the panel needs jsdom's own
+    [
+      'createElement',
+      'querySelector',
+      'querySelectorAll',
+      'getElementById',
+      'getElementsByClassName',
+      'getElementsByTagName',
+    ].forEach((method) => delete document[method]);
+  });
+
+  afterEach(() => {
+    ui.clearUIElements();
+    jest.restoreAllMocks();
+  });
+
+  test('should draw candles for an item and show estimated values', () => {
+    const { eventBus, trading, inventories } = createMarket();
+    jest.spyOn(Date, 'now').mockReturnValue(10 * DAY);
+    ui = new ARPGUISystem({ eventBus, logger: createLogger(), config: {} });
+    ui.createUIElements();
+    ui.setupTradingInteractions();
+    ui.setMarket(trading);
+
+    const input = document.getElementById('price-chart-item');
+    input.value = 'Health Potion';
+    const change = document.createEvent('Event');
+    change.initEvent('change', true, true);
+    input.dispatchEvent(change);
+    expect(document.getElementById('price-chart-summary').textContent).toBe(
+      'No sales of Health Potion yet'
+    );
+
+    eventBus.emit('market:priceUpdate', { item: potion, newPrice: 12 });
+    Date.now.mockReturnValue(10 * DAY + HOUR);
+    eventBus.emit('market:priceUpdate', {
+      item: potion,
+      newPrice: 9,
+      volume: 3,
+    });
+    expect(document.querySelectorAll('.price-candle')).toHaveLength(2);
+    expect(document.getElementById('price-chart-summary').textContent).toBe(
+      'Index 9.75 · Median 10.5 · Volume 4 · stable'
+    );
+
+    // Redraws go by the market key but keep the name typed in
+    Date.now.mockReturnValue(12 * DAY);
+    eventBus.emit('market:priceUpdated', { item: ui.uiState.priceChartItem });
+    expect(document.getElementById('price-chart-summary').textContent).toBe(
+      'No sales of Health Potion in the last day'
+    );
+
+    ui.setInventory(inventories.alice);
+    inventories.alice.addItem({ ...potion }, 4);
+    expect(document.querySelector('[data-item-id="potion_1"]').title).toBe(
+      'Health Potion\nEstimated value: 39 gold (9.75 each)'
+    );
+    expect(ui.getItemValueTooltip({ name: 'Odd Rock' })).toBe(
+      'Odd Rock\nEstimated value: unknown'
+    );
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * MigrationRegistry Tests
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import {
+  MigrationRegistry,
+  addField,
+  compareVersions,
+  dropField,
+  renameField,
+  transformData,
+  transformField,
+} from '../src/core/MigrationRegistry.js';
+import { createSaveMigrations } from '../src/core/SaveMigrations.js';
+import { PersistenceManager } from '../src/core/PersistenceManager.js';
+import { MemoryStorage } from '../src/core/HeadlessHost.js';
+import { SaveSystem } from '../src/systems/SaveSystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger } from './helpers.js';
+
+const FIXTURE_DIR = join(__dirname, 'fixtures', 'saves');
+const fixtures = readdirSync(FIXTURE_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .map((file) => ({
+    file,
+    ...JSON.parse(readFileSync(join(FIXTURE_DIR, file), 'utf8')),
+  }));
+
+const createPersistence = (storage, migrations) =>
+  new PersistenceManager({
+    eventBus: new EventBus(),
+    logger: createLogger(),
+    config: {},
+    storage,
+    migrations,
+  });
+
+// Keeps stored values as they are, like the JSON slot adapters do
+const createSlotStorage = (entries = {}) => {
+  const data = new Map(Object.entries(entries));
+  return {
+    data,
+    save: async (key, value) => data.set(key, value),
+    load: async (key) => (data.has(key) ? data.get(key) : null),
+    delete: async (key) => data.delete(key),
+  };
+};
+
+const createSaveSystem = (entries, migrations) => {
+  const saveSystem = new SaveSystem({
+    eventBus: new EventBus(),
+    logger: createLogger(),
+    config: {},
+    migrations,
+  });
+  saveSystem.storage = createSlotStorage(entries);
+  return saveSystem;
+};
+
+describe('MigrationRegistry', () => {
+  const createRegistry = () =>
+    new MigrationRegistry()
+      .register('profile', {
+        from: '1.0.0',
+        to: '1.1.0',
+        steps: [
+          renameField('name', 'player.name'),
+          addField('player.title', 'Novice'),
+          dropField('legacyFlags'),
+        ],
+      })
+      .register('profile', {
+        from: '1.1.0',
+        to: '2.0.0',
+        steps: [
+          transformField('gold', (gold) => ({ coins: gold || 0 })),
+          transformData((data) => ({ ...data, migrated: true })),
+        ],
+      });
+
+  test('should compare versions numerically', () => {
+    expect(compareVersions('1.10.0', '1.9.0')).toBe(1);
+    expect(compareVersions('1.0', '1.0.0')).toBe(0);
+    expect(compareVersions('0.9.9', '1.0.0')).toBe(-1);
+  });
+
+  test('should apply declarative steps along the version chain', () => {
+    const registry = createRegistry();
+    const input = { name: 'Hero', gold: 40, legacyFlags: 3 };
+
+    const result = registry.migrate('profile', input, '1.0.0');
+
+    expect(result.version).toBe('2.0.0');
+    expect(result.data).toEqual({
+      player: { name: 'Hero', title: 'Novice' },
+      gold: { coins: 40 },
+      migrated: true,
+    });
+    expect(result.applied.map((step) => step.changes)).toEqual([
+      ['rename name to player.name', 'add player.title', 'drop legacyFlags'],
+      ['transform gold', 'transform data'],
+    ]);
+    expect(input).toEqual({ name: 'Hero', gold: 40, legacyFlags: 3 });
+  });
+
+  test('should report a dry run without touching the input', () => {
+    const registry = createRegistry();
+    const input = { name: 'Hero' };
+
+    const result = registry.migrate('profile', input, '1.1.0', {
+      dryRun: true,
+    });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.applied).toHaveLength(1);
+    expect(input).toEqual({ name: 'Hero' });
+    expect(registry.migrate('profile', input, '2.0.0').applied).toEqual([]);
+  });
+
+  test('should treat unversioned data as the baseline version', () => {
+    const result = createRegistry().migrate('profile', { name: 'Hero' });
+
+    expect(result.fromVersion).toBe('1.0.0');
+    expect(result.data.player.name).toBe('Hero');
+  });
+
+  test('should refuse downgrades and broken chains', () => {
+    const registry = createRegistry();
+
+    expect(() => registry.migrate('profile', {}, '2.1.0')).toThrow(
+      'Refusing to downgrade profile from 2.1.0 to 2.0.0'
+    );
+    expect(() => registry.migrate('profile', {}, '1.0.5')).toThrow(
+      'No migration path for profile from 1.0.5'
+    );
+    expect(registry.canMigrate('profile', '1.1.0')).toBe(true);
+    expect(registry.canMigrate('profile', '3.0.0')).toBe(false);
+    expect(() => registry.migrate('unknown', {}, '1.0.0')).toThrow(
+      'Unknown migration schema'
+    );
+  });
+
+  test('should reject invalid registrations', () => {
+    const registry = createRegistry();
+
+    expect(() =>
+      registry.register('profile', { from: '1.0.0', to: '1.2.0' })
+    ).toThrow('already registered');
+    expect(() =>
+      registry.register('profile', { from: '2.0.0', to: '1.5.0' })
+    ).toThrow('must move to a newer version');
+    expect(() => registry.define('profile')).toThrow('already defined');
+  });
+});
+
+describe('Historical save fixtures', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(fixtures.map((fixture) => [fixture.file, fixture]))(
+    '%s should upgrade to the current schema',
+    async (file, fixture) => {
+      // Load the snapshot as if shortly after it was written so age
+      // limits do not depend on when the tests run
+      jest.spyOn(Date, 'now').mockReturnValue(fixture.savedAt + 60000);
+      const migrations = createSaveMigrations();
+
+      let loaded;
+      if (fixture.loader === 'persistence') {
+        const persistence = createPersistence(
+          new MemoryStorage(fixture.storage),
+          migrations
+        );
+        loaded = await persistence.load(fixture.schema);
+        expect(
+          persistence.validateData(
+            loaded,
+            persistence.schemas.get(fixture.schema)
+          )
+        ).toEqual(loaded);
+      } else {
+        const saveSystem = createSaveSystem(fixture.storage, migrations);
+        loaded = await saveSystem.loadGame(1);
+        expect(saveSystem.validator.validate(loaded).valid).toBe(true);
+      }
+
+      expect(loaded).toMatchObject(fixture.expected);
+      expect(migrations.canMigrate(fixture.schema, fixture.version)).toBe(true);
+    }
+  );
+
+  test('should cover every registered schema', () => {
+    const registry = createSaveMigrations();
+    const covered = new Set(fixtures.map((fixture) => fixture.schema));
+
+    Array.from(registry.schemas.keys()).forEach((schema) => {
+      expect(covered.has(schema)).toBe(true);
+    });
+  });
+});
+
+describe('Persistence migrations', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const loadFixture = (schema) =>
+    fixtures.find((fixture) => fixture.schema === schema);
+
+  test('should dry run stored data before writing the upgrade', async () => {
+    const fixture = loadFixture('achievementData');
+    const storage = new MemoryStorage(fixture.storage);
+    const persistence = createPersistence(storage);
+    const before = storage.getItem('tottrots_achievementData');
+
+    const preview = await persistence.migrateStoredData('achievementData', {
+      dryRun: true,
+    });
+    expect(preview.dryRun).toBe(true);
+    expect(preview.applied[0].changes).toEqual(['transform totalUnlocked']);
+    expect(storage.getItem('tottrots_achievementData')).toBe(before);
+
+    await persistence.migrateStoredData('achievementData');
+    const stored = JSON.parse(
+      await persistence.decompressData(
+        storage.getItem('tottrots_achievementData')
+      )
+    );
+    expect(stored.version).toBe('1.1.0');
+    expect(stored.data.totalUnlocked).toBe(2);
+    expect(
+      (await persistence.migrateStoredData('achievementData')).applied
+    ).toEqual([]);
+  });
+
+  test('should store upgrades on load and mark loaded saves current', async () => {
+    const fixture = loadFixture('gameState');
+    jest.spyOn(Date, 'now').mockReturnValue(fixture.savedAt + 60000);
+    const storage = new MemoryStorage(fixture.storage);
+    const persistence = createPersistence(storage);
+
+    await persistence.load('gameState');
+    const stored = JSON.parse(
+      await persistence.decompressData(storage.getItem('tottrots_gameState'))
+    );
+    expect(stored.version).toBe(persistence.getSchemaVersion('gameState'));
+    expect((await persistence.migrateStoredData('gameState')).applied).toEqual(
+      []
+    );
+
+    const saveSystem = createSaveSystem(
+      loadFixture('saveData').storage,
+      createSaveMigrations().register('saveData', {
+        from: '1.0.0',
+        to: '1.1.0',
+        steps: [renameField('stats.kills', 'stats.enemiesDefeated')],
+      })
+    );
+    expect(await saveSystem.loadGame(1)).toMatchObject({
+      version: '1.1.0',
+      stats: { enemiesDefeated: 340 },
+    });
+  });
+
+  test('should upgrade save slots and refuse saves from newer builds', async () => {
+    const fixture = loadFixture('saveData');
+    jest.spyOn(Date, 'now').mockReturnValue(fixture.savedAt + 60000);
+    const migrations = createSaveMigrations().register('saveData', {
+      from: '1.0.0',
+      to: '1.1.0',
+      steps: [renameField('stats.kills', 'stats.enemiesDefeated')],
+    });
+    const saveSystem = createSaveSystem(fixture.storage, migrations);
+    await saveSystem.loadSaveSlots();
+    expect(saveSystem.saveState.saveDataVersion).toBe('1.1.0');
+    expect(saveSystem.isSaveDataCompatible(1)).toBe(true);
+
+    const preview = await saveSystem.migrateSaveSlot(1, { dryRun: true });
+    expect(preview.data.stats).toEqual({ enemiesDefeated: 340 });
+    expect(saveSystem.storage.data.get('save_1')).toBe(fixture.storage.save_1);
+
+    await saveSystem.migrateSaveSlot(1);
+    expect(saveSystem.getSaveDataVersion(1)).toBe('1.1.0');
+    expect((await saveSystem.loadGame(1)).stats.enemiesDefeated).toBe(340);
+
+    // The original build only knows 1.0.0 and must not load the upgrade
+    const older = createSaveSystem(Object.fromEntries(saveSystem.storage.data));
+    await older.loadSaveSlots();
+    expect(older.isSaveDataCompatible(1)).toBe(false);
+    expect(await older.loadGame(1)).toBeNull();
+  });
+});
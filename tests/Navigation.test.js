@@ -0,0 +1,263 @@
+/**
+ * Navigation Grid, Pathfinding and Click-to-Move Tests
+ */
+
+import { NavigationGrid } from '../src/core/NavigationGrid.js';
+import { NavigationSystem } from '../src/systems/NavigationSystem.js';
+import { CombatSystem } from '../src/systems/CombatSystem.js';
+import { ProceduralAreaSystem } from '../src/systems/ProceduralAreaSystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger } from './helpers.js';
+
+// 400x400 with a wall down x 180-220 that leaves a gap at the bottom
+const createWalledGrid = () => {
+  const grid = new NavigationGrid({ width: 400, height: 400, cellSize: 20 });
+  grid.setRect({ x: 180, y: 0, width: 40, height: 340 }, true);
+  return grid;
+};
+
+// Every straight segment of a path stays on walkable cells
+const expectWalkable = (grid, from, waypoints) => {
+  [from, ...waypoints].slice(1).forEach((point, index) => {
+    const previous = index === 0 ? from : waypoints[index - 1];
+    expect(grid.hasLineOfSight(previous, point)).toBe(true);
+  });
+};
+
+describe('NavigationGrid', () => {
+  test('should find a smoothed path around obstacles', () => {
+    const grid = createWalledGrid();
+    const from = { x: 50, y: 50 };
+    const to = { x: 350, y: 50 };
+
+    expect(grid.hasLineOfSight(from, to)).toBe(false);
+
+    const raw = grid.findPath(from, to, { smooth: false });
+    const path = grid.findPath(from, to);
+
+    expect(path[path.length - 1]).toEqual(to);
+    expect(path.length).toBeLessThan(raw.length);
+    expect(path.length).toBeLessThanOrEqual(4);
+    expectWalkable(grid, from, path);
+    // The path goes through the gap
+    expect(Math.max(...path.map((point) => point.y))).toBeGreaterThan(340);
+  });
+
+  test('should move blocked goals aside and report unreachable ones', () => {
+    const grid = createWalledGrid();
+
+    const path = grid.findPath({ x: 50, y: 50 }, { x: 200, y: 100 });
+    expect(grid.isWalkable(path[path.length - 1])).toBe(true);
+
+    grid.setRect({ x: 180, y: 340, width: 40, height: 60 }, true);
+    expect(grid.findPath({ x: 50, y: 50 }, { x: 350, y: 50 })).toBeNull();
+  });
+
+  test('should share cached flow fields that lead to the goal', () => {
+    const grid = createWalledGrid();
+    const goal = { x: 350, y: 50 };
+
+    expect(grid.getFlowField(goal)).toBe(grid.getFlowField({ x: 345, y: 55 }));
+
+    let position = { x: 30, y: 30 };
+    for (let step = 0; step < 60 && position !== goal; step++) {
+      const next = grid.getFlowWaypoint(position, goal);
+      expect(grid.isWalkable(next)).toBe(true);
+      position = next;
+    }
+    expect(position).toEqual(goal);
+
+    // Changing the grid drops its flow fields
+    const field = grid.getFlowField(goal);
+    grid.setRect({ x: 0, y: 380, width: 20, height: 20 }, true);
+    expect(grid.getFlowField(goal)).not.toBe(field);
+  });
+
+  test('should build grids from area terrain and dungeon rooms', () => {
+    const area = {
+      x: 1000,
+      y: 0,
+      size: { width: 500, height: 500 },
+      terrain: {
+        obstacles: [{ type: 'rock', x: 40, y: 40, width: 40, height: 40 }],
+        waterSources: [{ x: 200, y: 200, size: 60, type: 'pond' }],
+      },
+    };
+    const areaGrid = NavigationGrid.fromArea(area);
+    expect(areaGrid.isWalkable({ x: 1060, y: 60 })).toBe(false);
+    expect(areaGrid.isWalkable({ x: 1200, y: 200 })).toBe(false);
+    expect(areaGrid.isWalkable({ x: 1100, y: 100 })).toBe(true);
+
+    const procedural = new ProceduralAreaSystem({
+      eventBus: new EventBus(),
+      logger: createLogger(),
+      config: { seed: 3 },
+    });
+    const dungeon = procedural.createDungeonInstance({
+      id: 'dungeon_test',
+      template: 'ancient_tomb',
+    });
+    const { entrance, main_chamber, treasure_room } = dungeon.rooms;
+    expect(main_chamber.bounds.x).toBe(
+      entrance.bounds.x + entrance.bounds.width + 80
+    );
+
+    const dungeonGrid = NavigationGrid.fromDungeon(dungeon);
+    const center = (room) => NavigationGrid.getCenter(room.bounds);
+    // Outside the rooms and corridors is wall
+    expect(dungeonGrid.isWalkable({ x: 240, y: 10 })).toBe(false);
+    expect(
+      dungeonGrid.findPath(center(entrance), center(treasure_room))
+    ).not.toBeNull();
+    procedural.cleanup();
+  });
+});
+
+describe('NavigationSystem', () => {
+  let eventBus;
+  let navigation;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    navigation = new NavigationSystem({
+      eventBus,
+      logger: createLogger(),
+      config: { navigation: { flowFieldThreshold: 3 } },
+    });
+    navigation.setGrid(createWalledGrid());
+  });
+
+  afterEach(() => {
+    navigation.cleanup();
+  });
+
+  test('should route agents around walls and hordes through a flow field', () => {
+    const target = { x: 350, y: 50 };
+    const grid = navigation.getGrid();
+    const findPath = jest.spyOn(grid, 'findPath');
+    const getFlowWaypoint = jest.spyOn(grid, 'getFlowWaypoint');
+
+    expect(navigation.getWaypoint({ id: 'a', x: 300, y: 100 }, target)).toBe(
+      target
+    );
+
+    const horde = [1, 2, 3].map((n) => ({ id: `e${n}`, x: 50, y: 40 + n }));
+    horde.forEach((agent) => {
+      expect(navigation.getWaypoint(agent, target).y).toBeGreaterThan(50);
+    });
+    // Routes are planned once per agent
+    horde.forEach((agent) => navigation.getWaypoint(agent, target));
+    expect(findPath).toHaveBeenCalledTimes(3);
+
+    // Next frame the horde is big enough to share a flow field
+    navigation.update(16);
+    horde.forEach((agent) => navigation.getWaypoint(agent, target));
+    expect(findPath).toHaveBeenCalledTimes(3);
+    expect(getFlowWaypoint).toHaveBeenCalledTimes(3);
+  });
+
+  test('should walk the player to a clicked point', () => {
+    const moves = [];
+    const arrived = jest.fn();
+    eventBus.on('player:move', (data) => moves.push(data));
+    eventBus.on('navigation:arrived', arrived);
+    eventBus.emit('player:move', { x: 50, y: 50 });
+
+    navigation.setView({ x: 100, y: 0 });
+    eventBus.emit('input:mouseDown', { button: 2, x: 250, y: 50 });
+    expect(navigation.playerRoute).toBeNull();
+    eventBus.emit('input:mouseDown', { button: 0, x: 250, y: 50 });
+
+    for (let frame = 0; frame < 200 && !arrived.mock.calls.length; frame++) {
+      navigation.update(50);
+    }
+
+    expect(arrived.mock.calls[0][0]).toMatchObject({
+      destination: { x: 350, y: 50 },
+    });
+    expect(moves[moves.length - 1]).toMatchObject({
+      x: 350,
+      y: 50,
+      source: 'navigation',
+    });
+    moves.forEach((move) => {
+      expect(navigation.isWalkable(move)).toBe(true);
+    });
+  });
+
+  test('should stop click-to-move for other movement and unreachable clicks', () => {
+    const unreachable = jest.fn();
+    eventBus.on('navigation:unreachable', unreachable);
+    eventBus.emit('player:move', { x: 50, y: 50 });
+
+    expect(navigation.movePlayerTo({ x: 350, y: 50 })).toBe(true);
+    eventBus.emit('player:move', { x: 60, y: 50 });
+    expect(navigation.playerRoute).toBeNull();
+
+    navigation
+      .getGrid()
+      .setRect({ x: 180, y: 340, width: 40, height: 60 }, true);
+    expect(navigation.movePlayerTo({ x: 350, y: 50 })).toBe(false);
+    expect(unreachable).toHaveBeenCalledTimes(1);
+  });
+
+  test('should swap grids when entering and leaving dungeons', async () => {
+    const procedural = new ProceduralAreaSystem({
+      eventBus,
+      logger: createLogger(),
+      config: { seed: 3 },
+    });
+    const area = await procedural.generateArea('forest', 0, 0);
+    const areaGrid = navigation.getGrid();
+    expect(areaGrid.cols).toBe(Math.ceil(area.size.width / 20));
+
+    const dungeon = procedural.createDungeonInstance({
+      id: 'dungeon_test',
+      template: 'goblin_cave',
+    });
+    eventBus.emit('dungeon:entered', { dungeonId: dungeon.id, dungeon });
+    expect(navigation.getGrid()).not.toBe(areaGrid);
+
+    eventBus.emit('dungeon:exited', { dungeonId: dungeon.id });
+    expect(navigation.getGrid()).toBe(areaGrid);
+    procedural.cleanup();
+  });
+});
+
+describe('Enemy pathfinding', () => {
+  test('should chase the player around walls without entering them', () => {
+    const eventBus = new EventBus();
+    const navigation = new NavigationSystem({
+      eventBus,
+      logger: createLogger(),
+    });
+    navigation.setGrid(createWalledGrid());
+    const combat = new CombatSystem({
+      eventBus,
+      logger: createLogger(),
+      config: { seed: 5 },
+      navigation,
+    });
+    combat.initializeEnemySpawner();
+    eventBus.emit('player:move', { x: 300, y: 60 });
+    const goblin = combat.createEnemy('goblin', 100, 60);
+    combat.addEnemy(goblin);
+
+    for (let frame = 0; frame < 400; frame++) {
+      navigation.update(50);
+      combat.updateEnemyAI(goblin, 50);
+      combat.updateEnemyPosition(goblin, 50);
+      expect(navigation.isWalkable(goblin)).toBe(true);
+      if (combat.getDistance(goblin, { x: 300, y: 60 }) <= 30) break;
+    }
+
+    expect(combat.getDistance(goblin, { x: 300, y: 60 })).toBeLessThanOrEqual(
+      30
+    );
+
+    combat.removeEnemy(goblin.id);
+    expect(navigation.routes.has(goblin.id)).toBe(false);
+    combat.cleanup();
+    navigation.cleanup();
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * RNGService Tests
+ */
+
+import {
+  RNGService,
+  RandomStream,
+  DEFAULT_STREAMS,
+} from '../src/core/RNGService.js';
+import { ProceduralAreaSystem } from '../src/systems/ProceduralAreaSystem.js';
+import { ItemizationSystem } from '../src/systems/ItemizationSystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+
+const take = (stream, count) =>
+  Array.from({ length: count }, () => stream.next());
+
+describe('RandomStream', () => {
+  test('should produce the same sequence for the same seed', () => {
+    expect(take(new RandomStream(1234), 20)).toEqual(
+      take(new RandomStream(1234), 20)
+    );
+    expect(take(new RandomStream(1234), 20)).not.toEqual(
+      take(new RandomStream(1235), 20)
+    );
+  });
+
+  test('should keep values within requested ranges', () => {
+    const stream = new RandomStream('ranges');
+
+    for (let i = 0; i < 1000; i++) {
+      const float = stream.next();
+      const int = stream.nextInt(3, 7);
+      expect(float).toBeGreaterThanOrEqual(0);
+      expect(float).toBeLessThan(1);
+      expect(int).toBeGreaterThanOrEqual(3);
+      expect(int).toBeLessThanOrEqual(7);
+      expect(Number.isInteger(int)).toBe(true);
+    }
+  });
+
+  test('should cover the whole integer range roughly evenly', () => {
+    const stream = new RandomStream(99);
+    const counts = [0, 0, 0, 0];
+
+    for (let i = 0; i < 4000; i++) {
+      counts[stream.nextInt(0, 3)]++;
+    }
+
+    counts.forEach((count) => {
+      expect(count).toBeGreaterThan(850);
+      expect(count).toBeLessThan(1150);
+    });
+  });
+
+  test('should fork by name independently of stream position', () => {
+    const a = new RandomStream(7);
+    const b = new RandomStream(7);
+    take(b, 50);
+
+    expect(take(a.fork('area_1'), 10)).toEqual(take(b.fork('area_1'), 10));
+    expect(take(a.fork('area_1'), 10)).not.toEqual(take(a.fork('area_2'), 10));
+  });
+
+  test('should shuffle without mutating the input', () => {
+    const input = [1, 2, 3, 4, 5, 6];
+    const shuffled = new RandomStream(5).shuffle(input);
+
+    expect(input).toEqual([1, 2, 3, 4, 5, 6]);
+    expect([...shuffled].sort()).toEqual(input);
+  });
+
+  test('should reject invalid state', () => {
+    expect(() => new RandomStream(1).setState([1, 2])).toThrow('invalid state');
+  });
+});
+
+describe('RNGService', () => {
+  test('should create the default named streams', () => {
+    const rng = new RNGService({ seed: 1 });
+    expect([...rng.streams.keys()]).toEqual(DEFAULT_STREAMS);
+  });
+
+  test('should give each named stream its own sequence', () => {
+    const rng = new RNGService({ seed: 1 });
+    expect(take(rng.stream('loot'), 5)).not.toEqual(
+      take(rng.stream('combat'), 5)
+    );
+  });
+
+  test('should restore stream positions from a snapshot', () => {
+    const rng = new RNGService({ seed: 'snapshot' });
+    const loot = rng.stream('loot');
+    take(loot, 3);
+
+    const snapshot = rng.getState();
+    const expected = take(loot, 5);
+
+    rng.reseed('other');
+    rng.setState(snapshot);
+
+    // Existing stream references are updated in place
+    expect(take(loot, 5)).toEqual(expected);
+  });
+
+  test('should reseed existing streams in place', () => {
+    const rng = new RNGService({ seed: 10 });
+    const world = rng.stream('world');
+    const first = take(world, 3);
+
+    take(world, 10);
+    rng.reseed(10);
+
+    expect(take(world, 3)).toEqual(first);
+  });
+
+  test('should generate identical areas and items from the same seed', async () => {
+    const createSystems = () => {
+      const dependencies = {
+        eventBus: new EventBus(),
+        logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+        config: {},
+        rng: new RNGService({ seed: 2024 }),
+      };
+      return {
+        procedural: new ProceduralAreaSystem(dependencies),
+        itemization: new ItemizationSystem(dependencies),
+      };
+    };
+
+    const first = createSystems();
+    const second = createSystems();
+
+    const areaA = await first.procedural.generateArea('forest', 100, 200);
+    const areaB = await second.procedural.generateArea('forest', 100, 200);
+    const rarities = (system) =>
+      Array.from({ length: 20 }, () => system.determineRarity());
+
+    expect(areaA.terrain).toEqual(areaB.terrain);
+    expect(areaA.dungeons).toEqual(areaB.dungeons);
+    expect(rarities(first.itemization)).toEqual(rarities(second.itemization));
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * ReplayManager Tests
+ */
+
+import { ReplayManager, REPLAY_VERSION } from '../src/core/ReplayManager.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { RNGService } from '../src/core/RNGService.js';
+import { GameRefactored } from '../src/GameRefactored.js';
+import { Player } from '../src/objects/Player.js';
+
+// Minimal game whose state depends only on input and frame deltas
+const createGame = (eventBus) => {
+  const game = {
+    gameState: {
+      isRunning: true,
+      isPaused: false,
+      score: 0,
+      currentLevel: 1,
+      lastUpdateTime: 1000,
+      velocity: 0,
+      position: 0,
+    },
+    inputManager: {
+      isEnabled: true,
+      enable: jest.fn(function () {
+        this.isEnabled = true;
+      }),
+      disable: jest.fn(function () {
+        this.isEnabled = false;
+      }),
+    },
+    update: jest.fn((currentTime) => {
+      const deltaTime = currentTime - game.gameState.lastUpdateTime;
+      game.gameState.lastUpdateTime = currentTime;
+      if (game.replayManager.isRecording()) {
+        game.replayManager.captureFrame(currentTime);
+      }
+      game.gameState.position += game.gameState.velocity * deltaTime;
+    }),
+    handleInput: jest.fn((type, data) => {
+      eventBus.emit('game:input', { type, data, timestamp: Date.now() });
+      if (type === 'keyDown' && data.key === 'Space') {
+        game.gameState.score += 10;
+      }
+    }),
+  };
+
+  eventBus.on('input:keyDown', (data) => {
+    if (data.key === 'ArrowRight') game.gameState.velocity = 0.1;
+  });
+  eventBus.on('input:keyUp', (data) => {
+    if (data.key === 'ArrowRight') game.gameState.velocity = 0;
+  });
+
+  return game;
+};
+
+describe('ReplayManager', () => {
+  let eventBus;
+  let mockLogger;
+  let game;
+  let replayManager;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+    };
+    game = createGame(eventBus);
+    replayManager = new ReplayManager({
+      eventBus,
+      logger: mockLogger,
+      config: {},
+      game,
+    });
+    game.replayManager = replayManager;
+  });
+
+  const recordSession = () => {
+    replayManager.startRecording({ seeds: { world: 42 } });
+    eventBus.emit('input:keyDown', { key: 'ArrowRight' });
+    game.update(1016);
+    game.update(1033);
+    game.handleInput('keyDown', { key: 'Space' });
+    eventBus.emit('input:keyUp', { key: 'ArrowRight' });
+    game.update(1050);
+    eventBus.emit('ui:update', { type: 'score' });
+    return replayManager.stopRecording();
+  };
+
+  test('should require eventBus and logger', () => {
+    expect(() => new ReplayManager({ logger: mockLogger })).toThrow(
+      'ReplayManager requires eventBus dependency'
+    );
+    expect(() => new ReplayManager({ eventBus })).toThrow(
+      'ReplayManager requires logger dependency'
+    );
+  });
+
+  test('should record input events with frame numbers and seeds', () => {
+    const replay = recordSession();
+
+    expect(replay.version).toBe(REPLAY_VERSION);
+    expect(replay.seeds).toEqual({ world: 42 });
+    expect(replay.frames).toEqual([16, 33, 50]);
+    expect(replay.events.map((entry) => [entry.frame, entry.event])).toEqual([
+      [0, 'input:keyDown'],
+      [2, 'game:input'],
+      [2, 'input:keyUp'],
+    ]);
+  });
+
+  test('should record events that have no listeners', () => {
+    replayManager.startRecording();
+    eventBus.emit('input:wheel', { delta: 3 });
+    const replay = replayManager.stopRecording();
+
+    expect(replay.events).toHaveLength(1);
+    expect(replay.events[0].data).toEqual({ delta: 3 });
+  });
+
+  test('should reproduce the recorded game state on playback', () => {
+    const replay = recordSession();
+    const recordedPosition = game.gameState.position;
+
+    game.gameState.score = 0;
+    game.gameState.position = 0;
+    game.gameState.velocity = 0;
+
+    const result = replayManager.play(replay);
+
+    expect(result.matches).toBe(true);
+    expect(game.gameState.score).toBe(10);
+    expect(game.gameState.position).toBeCloseTo(recordedPosition);
+    expect(game.update).toHaveBeenCalledTimes(6);
+  });
+
+  test('should report divergence from the recorded state', () => {
+    const replay = recordSession();
+    replay.finalState.score = 999;
+
+    const result = replayManager.play(replay);
+
+    expect(result.matches).toBe(false);
+    expect(mockLogger.warn).toHaveBeenCalled();
+  });
+
+  test('should disable live input during playback', () => {
+    const replay = recordSession();
+    game.update.mockImplementationOnce(() => {
+      expect(game.inputManager.isEnabled).toBe(false);
+      expect(replayManager.isPlaying()).toBe(true);
+    });
+
+    replayManager.play(replay);
+
+    expect(game.inputManager.isEnabled).toBe(true);
+    expect(replayManager.isPlaying()).toBe(false);
+  });
+
+  test('should export and import replays as JSON', () => {
+    const replay = recordSession();
+    const json = replayManager.exportReplay(replay);
+    const imported = replayManager.importReplay(json);
+
+    expect(imported).toEqual(JSON.parse(JSON.stringify(replay)));
+  });
+
+  test('should reject unknown formats and newer versions', () => {
+    const replay = recordSession();
+
+    expect(() =>
+      replayManager.importReplay({ ...replay, format: 'other' })
+    ).toThrow('unknown replay format');
+    expect(() =>
+      replayManager.importReplay({ ...replay, version: REPLAY_VERSION + 1 })
+    ).toThrow('unsupported replay version');
+    expect(() => replayManager.importReplay('{not json')).toThrow(
+      'invalid replay JSON'
+    );
+  });
+
+  test('should record RNG state and restore it for playback', () => {
+    const rng = new RNGService({ seed: 7 });
+    const recorder = new ReplayManager({
+      eventBus,
+      logger: mockLogger,
+      rng,
+      game,
+    });
+    game.replayManager = recorder;
+    game.update.mockImplementation((currentTime) => {
+      recorder.captureFrame(currentTime);
+      game.gameState.score += rng.stream('loot').nextInt(1, 100);
+    });
+
+    recorder.startRecording();
+    game.update(1016);
+    game.update(1033);
+    const replay = recorder.stopRecording();
+
+    expect(replay.seeds.seed).toBe(7);
+    expect(Object.keys(replay.seeds.streams)).toContain('loot');
+
+    const recordedScore = game.gameState.score;
+    const result = recorder.play(replay);
+
+    expect(result.matches).toBe(true);
+    expect(game.gameState.score).toBe(recordedScore);
+  });
+
+  test('should drop functions and DOM events from recorded data', () => {
+    replayManager.startRecording();
+    eventBus.emit('input:action', {
+      action: 'jump',
+      event: new window.Event('keydown'),
+      callback: () => {},
+      keys: new Map([['Space', true]]),
+    });
+    const replay = replayManager.stopRecording();
+
+    expect(replay.events[0].data).toEqual({
+      action: 'jump',
+      keys: { Space: true },
+    });
+  });
+});
+
+describe('ReplayManager with GameRefactored', () => {
+  let game;
+
+  beforeAll(() => {
+    // tests/setup.js stubs these; the game's UI needs jsdom's own
+    [
+      'createElement',
+      'querySelector',
+      'querySelectorAll',
+      'getElementById',
+      'getElementsByClassName',
+      'getElementsByTagName',
+    ].forEach((method) => delete document[method]);
+  });
+
+  beforeEach(() => {
+    game = new GameRefactored({
+      seed: 7,
+      enableAchievements: false,
+      enableDailyChallenges: false,
+      enableAccessibility: false,
+    });
+    game.gameState.isRunning = true;
+    game.gameState.lastUpdateTime = 0;
+  });
+
+  afterEach(() => {
+    game.destroy();
+  });
+
+  test('should restore nested state before playing back', () => {
+    const player = new Player({ x: 100, y: 100, logger: game.logger });
+    game.gameState.player = player;
+    game.eventBus.emit('powerup:activated', { type: 'speed' });
+
+    game.startReplayRecording();
+    let time = 0;
+    for (let frame = 0; frame < 20; frame++) {
+      if (frame === 5) game.handleInput('keyDown', { key: 'Space' });
+      time += 16;
+      game.update(time);
+    }
+    const replay = game.stopReplayRecording();
+    const recordedY = player.y;
+
+    // Keep playing after the recording ends
+    for (let frame = 0; frame < 20; frame++) {
+      time += 16;
+      game.update(time);
+    }
+    game.eventBus.emit('powerup:expired', { type: 'speed' });
+    game.addGameObject({ type: 'coin', x: 10, y: 10 });
+    expect(player.y).not.toBe(recordedY);
+
+    const result = game.playReplay(JSON.stringify(replay));
+
+    expect(result.matches).toBe(true);
+    expect(game.gameState.player).toBe(player);
+    expect(player.y).toBe(recordedY);
+    expect([...game.gameState.activePowerUps.keys()]).toEqual(['speed']);
+    expect(game.gameState.gameObjects).toEqual([]);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * SaveBundle Tests
+ */
+
+import {
+  BUNDLE_FORMAT,
+  createBundle,
+  readBundle,
+  signBundle,
+  getBundleFileName,
+} from '../src/core/SaveBundle.js';
+import { PersistenceManager } from '../src/core/PersistenceManager.js';
+import { MemoryStorage } from '../src/core/HeadlessHost.js';
+import { addField } from '../src/core/MigrationRegistry.js';
+import { EventBus } from '../src/core/EventBus.js';
+
+const createPlayerStorage = () =>
+  new MemoryStorage({
+    save_1: '{"format":"tottrots-save","data":"AAA"}',
+    save_1_meta: JSON.stringify({ slotNumber: 1, timestamp: 1000 }),
+    gameConfig: JSON.stringify({ game: { masterVolume: 0.5 } }),
+    achievementData: JSON.stringify({ unlocked: ['first_blood'] }),
+    tutorialData: JSON.stringify({ completed: ['movement'] }),
+    endgameData: JSON.stringify({ paragonLevel: 4 }),
+    analyticsConsent: 'true',
+  });
+
+const createPersistence = (storage) =>
+  new PersistenceManager({
+    eventBus: new EventBus(),
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    config: {},
+    storage,
+  });
+
+describe('SaveBundle', () => {
+  test('should export every section with a manifest and signature', async () => {
+    const persistence = createPersistence(createPlayerStorage());
+    const bundle = JSON.parse(await persistence.exportBundle());
+
+    expect(bundle.format).toBe(BUNDLE_FORMAT);
+    expect(bundle.signature.algorithm).toBe('HMAC-SHA-256');
+    expect(bundle.manifest.sections.saves).toEqual({
+      version: '1.0.0',
+      keys: ['save_1', 'save_1_meta'],
+    });
+    expect(Object.keys(bundle.sections)).toEqual([
+      'saves',
+      'settings',
+      'achievements',
+      'tutorial',
+      'endgame',
+    ]);
+    expect(JSON.stringify(bundle)).not.toContain('analyticsConsent');
+  });
+
+  test('should move all data into a fresh browser', async () => {
+    const source = createPlayerStorage();
+    const text = await createPersistence(source).exportBundle();
+    const target = new MemoryStorage();
+    const persistence = createPersistence(target);
+    const imported = jest.fn();
+    persistence.eventBus.on('persistence:bundleImported', imported);
+
+    const result = await persistence.importBundle(text);
+
+    expect(result.success).toBe(true);
+    expect(result.applied).toHaveLength(6);
+    expect(target.getItem('endgameData')).toBe(source.getItem('endgameData'));
+    expect(target.getItem('save_1')).toBe(source.getItem('save_1'));
+    expect(target.getItem('analyticsConsent')).toBeNull();
+    expect(imported).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject modified bundles without writing anything', async () => {
+    const bundle = JSON.parse(
+      await createPersistence(createPlayerStorage()).exportBundle()
+    );
+    bundle.sections.endgame.endgameData = JSON.stringify({ paragonLevel: 999 });
+    const target = new MemoryStorage();
+
+    const result = await createPersistence(target).importBundle(
+      JSON.stringify(bundle)
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('signature mismatch');
+    expect(target.length).toBe(0);
+  });
+
+  test('should require the passphrase for protected bundles', async () => {
+    const persistence = createPersistence(createPlayerStorage());
+    const text = await persistence.exportBundle({ passphrase: 'moon' });
+
+    await expect(readBundle(text)).rejects.toThrow('passphrase protected');
+    await expect(readBundle(text, { passphrase: 'sun' })).rejects.toThrow(
+      'signature mismatch'
+    );
+    expect((await readBundle(text, { passphrase: 'moon' })).format).toBe(
+      BUNDLE_FORMAT
+    );
+  });
+
+  test('should preview changes and only overwrite when asked', async () => {
+    const text = await createPersistence(createPlayerStorage()).exportBundle();
+    const target = new MemoryStorage({
+      achievementData: JSON.stringify({ unlocked: [], progress: {} }),
+      tutorialData: JSON.stringify({ completed: ['movement'] }),
+    });
+    const persistence = createPersistence(target);
+
+    const preview = await persistence.previewBundle(text);
+    const achievements = preview.changes.find(
+      (change) => change.key === 'achievementData'
+    );
+
+    expect(preview.summary).toEqual({ added: 4, changed: 1, unchanged: 1 });
+    expect(achievements.fields).toEqual([
+      { field: 'unlocked', status: 'changed' },
+      { field: 'progress', status: 'removed' },
+      { field: 'totalUnlocked', status: 'added' },
+    ]);
+    expect(target.getItem('save_1')).toBeNull();
+
+    const first = await persistence.importBundle(text);
+    expect(first.skipped).toEqual(['achievementData']);
+    expect(JSON.parse(target.getItem('achievementData')).unlocked).toEqual([]);
+
+    // Stored achievement data is exported as 1.0.0 and upgraded on import
+    const second = await persistence.importBundle(text, { overwrite: true });
+    expect(second.applied).toEqual(['achievementData']);
+    expect(JSON.parse(target.getItem('achievementData'))).toEqual({
+      unlocked: ['first_blood'],
+      totalUnlocked: 1,
+    });
+  });
+
+  test('should migrate older sections through migrateData', async () => {
+    const bundle = await createBundle({
+      tutorial: { tutorialData: JSON.stringify({ completed: ['movement'] }) },
+    });
+    bundle.manifest.sections.tutorial.version = '0.9.0';
+    bundle.signature.value = await signBundle(bundle);
+
+    const target = new MemoryStorage();
+    const persistence = createPersistence(target);
+    persistence.migrations.register('tutorialData', {
+      from: '0.9.0',
+      to: '1.0.0',
+      steps: [addField('skipped', [])],
+    });
+
+    await persistence.importBundle(bundle);
+
+    expect(JSON.parse(target.getItem('tutorialData'))).toEqual({
+      completed: ['movement'],
+      skipped: [],
+    });
+  });
+
+  test('should reject sections from a newer version', async () => {
+    const bundle = await createBundle({ endgame: { endgameData: '{}' } });
+    bundle.manifest.sections.endgame.version = '2.0.0';
+    bundle.signature.value = await signBundle(bundle);
+
+    await expect(
+      createPersistence(new MemoryStorage()).previewBundle(bundle)
+    ).rejects.toThrow('newer version');
+  });
+
+  test('should roll back a partially written import', async () => {
+    const text = await createPersistence(createPlayerStorage()).exportBundle();
+    const target = new MemoryStorage({ save_1: 'old' });
+    const persistence = createPersistence(target);
+    const setItem = target.setItem.bind(target);
+    target.setItem = (key, value) => {
+      if (key === 'tutorialData') throw new Error('QuotaExceededError');
+      setItem(key, value);
+    };
+
+    const result = await persistence.importBundle(text, { overwrite: true });
+
+    expect(result.success).toBe(false);
+    expect(target.getItem('save_1')).toBe('old');
+    expect(target.getItem('save_1_meta')).toBeNull();
+  });
+
+  test('should name bundle files with the .tottrots extension', () => {
+    expect(getBundleFileName(new Date('2024-03-05T12:00:00Z'))).toBe(
+      'tottrots-2024-03-05.tottrots'
+    );
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * SaveCodec Tests
+ */
+
+import { CompressionStream, DecompressionStream } from 'stream/web';
+import {
+  SaveCodec,
+  SAVE_CODEC_VERSION,
+  lzCompress,
+  lzDecompress,
+} from '../src/core/SaveCodec.js';
+import { SaveSystem } from '../src/systems/SaveSystem.js';
+import { PersistenceManager } from '../src/core/PersistenceManager.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { MemoryStorage } from '../src/core/HeadlessHost.js';
+import { createLogger } from './helpers.js';
+
+const createSaveText = () =>
+  JSON.stringify({
+    version: '1.0.0',
+    timestamp: Date.now(),
+    player: { name: 'Åsa', level: 12, position: { x: 10, y: 20 } },
+    inventory: Array.from({ length: 50 }, (_, i) => ({
+      id: `item_${i}`,
+      type: 'weapon',
+      rarity: i % 5 === 0 ? 'rare' : 'common',
+    })),
+  });
+
+// Fast key derivation keeps the suite quick
+const ITERATIONS = 1000;
+
+describe('SaveCodec', () => {
+  test('should round trip bytes through the LZ codec', () => {
+    const text = createSaveText();
+    const bytes = new TextEncoder().encode(text);
+    const compressed = lzCompress(bytes);
+
+    expect(compressed.length).toBeLessThan(bytes.length / 2);
+    expect(new TextDecoder().decode(lzDecompress(compressed))).toBe(text);
+    expect(lzDecompress(lzCompress(new Uint8Array(0)))).toHaveLength(0);
+  });
+
+  test('should reject corrupt LZ data', () => {
+    expect(() => lzDecompress(Uint8Array.from([0x80, 0, 5]))).toThrow(
+      'invalid LZ back reference'
+    );
+    expect(() => lzDecompress(Uint8Array.from([5, 1, 2]))).toThrow(
+      'truncated LZ literal run'
+    );
+  });
+
+  test('should fall back to the LZ codec without CompressionStream', async () => {
+    const codec = new SaveCodec();
+    const text = createSaveText();
+    const stored = await codec.compress(text);
+    const envelope = SaveCodec.parseEnvelope(stored);
+
+    expect(envelope.codec).toBe('lz');
+    expect(envelope.version).toBe(SAVE_CODEC_VERSION);
+    expect(stored.length).toBeLessThan(text.length);
+    expect(await codec.decompress(stored)).toBe(text);
+  });
+
+  test('should use deflate through CompressionStream when available', async () => {
+    Object.assign(globalThis, { CompressionStream, DecompressionStream });
+    try {
+      const codec = new SaveCodec();
+      const text = createSaveText();
+      const stored = await codec.compress(text);
+
+      expect(SaveCodec.parseEnvelope(stored).codec).toBe('deflate');
+      expect(await codec.decompress(stored)).toBe(text);
+    } finally {
+      delete globalThis.CompressionStream;
+      delete globalThis.DecompressionStream;
+    }
+  });
+
+  test('should encrypt with a passphrase and reject the wrong one', async () => {
+    const codec = new SaveCodec({ iterations: ITERATIONS });
+    const text = createSaveText();
+    const stored = await codec.encode(text, { passphrase: 'hunter2' });
+    const envelope = SaveCodec.parseEnvelope(stored);
+
+    expect(envelope.encryption).toMatchObject({
+      algorithm: 'AES-GCM',
+      kdf: 'PBKDF2',
+      iterations: ITERATIONS,
+    });
+    expect(stored).not.toContain('item_');
+    expect(await codec.decode(stored, { passphrase: 'hunter2' })).toBe(text);
+    await expect(codec.decode(stored, { passphrase: 'wrong' })).rejects.toThrow(
+      'decryption failed'
+    );
+    await expect(codec.decode(stored)).rejects.toThrow('passphrase required');
+  });
+
+  test('should reject tampered ciphertext and headers', async () => {
+    const codec = new SaveCodec({ iterations: ITERATIONS });
+    const stored = await codec.encode('secret', { passphrase: 'key' });
+    const envelope = JSON.parse(stored);
+
+    const flipped = envelope.data[0] === 'A' ? 'B' : 'A';
+    const tamperedData = JSON.stringify({
+      ...envelope,
+      data: flipped + envelope.data.slice(1),
+    });
+    const tamperedCodec = JSON.stringify({ ...envelope, codec: 'none' });
+
+    await expect(
+      codec.decode(tamperedData, { passphrase: 'key' })
+    ).rejects.toThrow('decryption failed');
+    await expect(
+      codec.decode(tamperedCodec, { passphrase: 'key' })
+    ).rejects.toThrow('decryption failed');
+  });
+
+  test('should pass plain data through and reject newer envelopes', async () => {
+    const codec = new SaveCodec();
+    const plain = createSaveText();
+
+    expect(SaveCodec.isEnvelope(plain)).toBe(false);
+    expect(await codec.decode(plain)).toBe(plain);
+    expect(() =>
+      SaveCodec.parseEnvelope(
+        JSON.stringify({
+          format: 'tottrots-save',
+          version: SAVE_CODEC_VERSION + 1,
+          codec: 'lz',
+        })
+      )
+    ).toThrow('unsupported save codec version');
+  });
+});
+
+describe('SaveSystem save encoding', () => {
+  let saveSystem;
+  let stored;
+
+  beforeEach(() => {
+    stored = new Map();
+    saveSystem = new SaveSystem({
+      eventBus: new EventBus(),
+      logger: createLogger(),
+      config: {},
+    });
+    saveSystem.storage = {
+      save: jest.fn(async (key, data) => stored.set(key, data)),
+      load: jest.fn(async (key) => stored.get(key) ?? null),
+    };
+  });
+
+  const gameData = () => JSON.parse(createSaveText());
+
+  test('should compress saves and record the codec', async () => {
+    expect(await saveSystem.saveGame(1, gameData())).toBe(true);
+
+    const metadata = stored.get('save_1_meta');
+    expect(metadata.codec).toBe('lz');
+    expect(metadata.codecVersion).toBe(SAVE_CODEC_VERSION);
+    expect(metadata.storedSize).toBeLessThan(metadata.size);
+    expect((await saveSystem.loadGame(1)).player.name).toBe('Åsa');
+  });
+
+  test('should encrypt saves with the configured passphrase', async () => {
+    saveSystem.setEncryptionEnabled(true, 'correct horse');
+    saveSystem.encryptor.codec.iterations = ITERATIONS;
+
+    expect(await saveSystem.saveGame(2, gameData())).toBe(true);
+    expect(SaveCodec.isEncrypted(stored.get('save_2'))).toBe(true);
+    expect((await saveSystem.loadGame(2)).player.level).toBe(12);
+
+    saveSystem.setEncryptionPassphrase('battery staple');
+    expect(await saveSystem.loadGame(2)).toBeNull();
+  });
+
+  test('should still load plain saves written before the codec', async () => {
+    const raw = createSaveText();
+    stored.set('save_3', raw);
+    stored.set(
+      'save_3_meta',
+      JSON.stringify({
+        checksum: await saveSystem.calculateChecksum(raw),
+        compressed: true,
+        encrypted: false,
+      })
+    );
+
+    expect((await saveSystem.loadGame(3)).inventory).toHaveLength(50);
+  });
+
+  test('should reject tampered saves by checksum', async () => {
+    await saveSystem.saveGame(4, gameData());
+    const envelope = JSON.parse(stored.get('save_4'));
+    stored.set('save_4', JSON.stringify({ ...envelope, codec: 'none' }));
+
+    expect(await saveSystem.loadGame(4)).toBeNull();
+    expect(saveSystem.logger.error).toHaveBeenCalledWith(
+      'Failed to load game:',
+      expect.objectContaining({
+        message: 'Save data checksum validation failed',
+      })
+    );
+  });
+});
+
+describe('PersistenceManager encoding', () => {
+  let persistence;
+
+  beforeEach(() => {
+    persistence = new PersistenceManager({
+      eventBus: new EventBus(),
+      logger: createLogger(),
+      config: {},
+    });
+  });
+
+  test('should round trip data through the codec envelope', async () => {
+    const text = createSaveText();
+    const compressed = await persistence.compressData(text);
+
+    expect(SaveCodec.isEnvelope(compressed)).toBe(true);
+    expect(compressed.length).toBeLessThan(text.length);
+    expect(await persistence.decompressData(compressed)).toBe(text);
+  });
+
+  test('should decode legacy base64 data', async () => {
+    const text = JSON.stringify({ data: { level: 3 }, version: '1.0.0' });
+    expect(await persistence.decompressData(btoa(text))).toBe(text);
+  });
+
+  test('should require a passphrase when encryption is enabled', async () => {
+    persistence.storageConfig.encryption = true;
+    await expect(persistence.compressData('{}')).rejects.toThrow(
+      'requires a passphrase'
+    );
+
+    persistence.storageConfig.passphrase = 'pm-secret';
+    persistence.codec.iterations = ITERATIONS;
+    const encrypted = await persistence.compressData('{"a":1}');
+
+    expect(SaveCodec.isEncrypted(encrypted)).toBe(true);
+    expect(await persistence.decompressData(encrypted)).toBe('{"a":1}');
+  });
+
+  test('should encrypt without compression and load saves whatever the settings', async () => {
+    const storage = new MemoryStorage();
+    persistence = new PersistenceManager({
+      eventBus: new EventBus(),
+      logger: createLogger(),
+      config: {},
+      storage,
+    });
+    persistence.codec.iterations = ITERATIONS;
+    Object.assign(persistence.storageConfig, {
+      compression: false,
+      encryption: true,
+      passphrase: 'pm-secret',
+    });
+
+    await persistence.save('progress', { level: 3 }, { createBackup: false });
+    const stored = storage.getItem(persistence.getStorageKey('progress'));
+    expect(SaveCodec.isEncrypted(stored)).toBe(true);
+    expect(JSON.parse(stored).codec).toBe('none');
+    expect(stored).not.toContain('level');
+
+    // Saves written under other settings still load
+    persistence.storageConfig.encryption = false;
+    await persistence.save('plain', { level: 4 }, { createBackup: false });
+    persistence.storageConfig.compression = true;
+    await persistence.save('packed', { level: 5 }, { createBackup: false });
+    persistence.storageConfig.compression = false;
+
+    expect(await persistence.load('progress')).toEqual({ level: 3 });
+    expect(await persistence.load('plain')).toEqual({ level: 4 });
+    expect(await persistence.load('packed')).toEqual({ level: 5 });
+  });
+});
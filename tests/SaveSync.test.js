@@ -0,0 +1,447 @@
+/**
+ * Save Sync Tests
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileSaveStore } from '../server/SaveSyncStore.js';
+import { request } from 'http';
+import express from 'express';
+import {
+  SaveSyncService,
+  createSaveSyncRouter,
+  parsePlayerTokens,
+} from '../server/SaveSyncService.js';
+import { SaveSystem } from '../src/systems/SaveSystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+
+// Routes CloudProvider requests straight to the service
+const createServiceFetch = (service, owner = 'default') =>
+  jest.fn(async (url, init) => {
+    const slot = Number(url.split('/').pop());
+    const conditions = {
+      ifMatch: init.headers['If-Match'],
+      ifNoneMatch: init.headers['If-None-Match'],
+    };
+
+    let result;
+    if (init.method === 'GET') {
+      result = await service.getSlot(owner, slot, conditions);
+    } else if (init.method === 'PUT') {
+      result = await service.putSlot(
+        owner,
+        slot,
+        JSON.parse(init.body),
+        conditions
+      );
+    } else {
+      result = await service.deleteSlot(owner, slot, conditions);
+    }
+
+    return {
+      status: result.status,
+      ok: result.status >= 200 && result.status < 300,
+      headers: { get: (name) => (name === 'ETag' ? result.etag : null) },
+      json: async () => JSON.parse(JSON.stringify(result.body)),
+    };
+  });
+
+const createMemoryAdapter = () => {
+  const data = new Map();
+  return {
+    data,
+    save: async (key, value) =>
+      data.set(
+        key,
+        typeof value === 'string' ? value : JSON.parse(JSON.stringify(value))
+      ),
+    load: async (key) => (data.has(key) ? data.get(key) : null),
+    delete: async (key) => data.delete(key),
+  };
+};
+
+describe('SaveSyncService', () => {
+  let directory;
+  let service;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'save-sync-'));
+    service = new SaveSyncService({
+      store: new FileSaveStore({ directory }),
+    });
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should create, read and overwrite slots with ETags', async () => {
+    const created = await service.putSlot('p1', 1, {
+      data: 'a',
+      metadata: { timestamp: 1 },
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.revision).toBe(1);
+
+    const read = await service.getSlot('p1', 1);
+    expect(read.etag).toBe(created.etag);
+    expect(read.body.data).toBe('a');
+    expect(
+      (await service.getSlot('p1', 1, { ifNoneMatch: created.etag })).status
+    ).toBe(304);
+
+    const updated = await service.putSlot(
+      'p1',
+      1,
+      { data: 'b' },
+      { ifMatch: created.etag }
+    );
+    expect(updated.status).toBe(200);
+    expect(updated.etag).not.toBe(created.etag);
+    expect((await service.getSlot('p2', 1)).status).toBe(404);
+  });
+
+  test('should reject stale and unconditional overwrites', async () => {
+    const first = await service.putSlot('p1', 1, { data: 'a' });
+    await service.putSlot('p1', 1, { data: 'b' }, { ifMatch: first.etag });
+
+    const stale = await service.putSlot(
+      'p1',
+      1,
+      { data: 'c' },
+      { ifMatch: first.etag }
+    );
+    expect(stale.status).toBe(412);
+    expect(stale.body.current.data).toBe('b');
+
+    expect((await service.putSlot('p1', 1, { data: 'c' })).status).toBe(428);
+    // A stale ETag in If-None-Match is no way around If-Match
+    expect(
+      (
+        await service.putSlot(
+          'p1',
+          1,
+          { data: 'c' },
+          { ifNoneMatch: first.etag }
+        )
+      ).status
+    ).toBe(400);
+    expect(
+      (await service.putSlot('p1', 1, { data: 'c' }, { ifNoneMatch: '*' }))
+        .status
+    ).toBe(412);
+    expect((await service.putSlot('p1', 1, { data: 5 })).status).toBe(400);
+  });
+
+  test('should let only one of two concurrent writers win', async () => {
+    const { etag } = await service.putSlot('p1', 1, { data: 'base' });
+
+    const results = await Promise.all([
+      service.putSlot('p1', 1, { data: 'x' }, { ifMatch: etag }),
+      service.putSlot('p1', 1, { data: 'y' }, { ifMatch: etag }),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual([200, 412]);
+    expect((await service.getSlot('p1', 1)).body.revision).toBe(2);
+  });
+
+  test('should list and delete slots', async () => {
+    const { etag } = await service.putSlot('p1', 2, { data: 'a' });
+    await service.putSlot('p1', 1, { data: 'b' });
+
+    const list = await service.listSlots('p1');
+    expect(list.body.saves.map((save) => save.slot)).toEqual([1, 2]);
+    expect(list.body.saves[0].data).toBeUndefined();
+
+    expect((await service.deleteSlot('p1', 2)).status).toBe(428);
+    expect(
+      (await service.deleteSlot('p1', 2, { ifMatch: '"0-stale"' })).status
+    ).toBe(412);
+    expect((await service.deleteSlot('p1', 2, { ifMatch: etag })).status).toBe(
+      204
+    );
+    expect((await service.deleteSlot('p1', 2)).status).toBe(404);
+  });
+});
+
+describe('Save sync router', () => {
+  let directory;
+  let server;
+
+  const call = (method, path, headers = {}, body) =>
+    new Promise((resolve, reject) => {
+      const req = request(
+        {
+          port: server.address().port,
+          path,
+          method,
+          headers: { 'Content-Type': 'application/json', ...headers },
+        },
+        (res) => {
+          let text = '';
+          res.on('data', (chunk) => {
+            text += chunk;
+          });
+          res.on('end', () =>
+            resolve({ status: res.statusCode, body: text && JSON.parse(text) })
+          );
+        }
+      );
+      req.on('error', reject);
+      req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+
+  beforeEach(async () => {
+    directory = mkdtempSync(join(tmpdir(), 'save-sync-'));
+    const app = express();
+    app.use(
+      '/api/saves',
+      createSaveSyncRouter({
+        store: new FileSaveStore({ directory }),
+        tokens: parsePlayerTokens('alice:alice-secret, bob:bob-secret'),
+      })
+    );
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should refuse to run without player tokens', () => {
+    expect(() =>
+      createSaveSyncRouter({ store: new FileSaveStore({ directory }) })
+    ).toThrow('Save sync requires at least one player token');
+    expect(parsePlayerTokens('')).toEqual({});
+  });
+
+  test('should scope saves to the player the token belongs to', async () => {
+    const alice = { Authorization: 'Bearer alice-secret' };
+    const bob = { Authorization: 'Bearer bob-secret', 'X-Player-Id': 'alice' };
+
+    expect((await call('GET', '/api/saves')).status).toBe(401);
+    expect(
+      (await call('GET', '/api/saves', { Authorization: 'Bearer guess' }))
+        .status
+    ).toBe(401);
+    expect(
+      (await call('PUT', '/api/saves/1', alice, { data: 'alice save' })).status
+    ).toBe(201);
+
+    // Claiming to be alice does not reach her saves
+    expect((await call('GET', '/api/saves/1', bob)).status).toBe(404);
+    expect((await call('GET', '/api/saves', bob)).body.saves).toEqual([]);
+    expect((await call('GET', '/api/saves/1', alice)).body.data).toBe(
+      'alice save'
+    );
+  });
+});
+
+describe('SaveSystem cloud sync', () => {
+  let directory;
+  let service;
+  let now;
+
+  const gameData = (overrides = {}) => ({
+    version: '1.0.0',
+    timestamp: now,
+    player: { name: 'Hero', level: 1 },
+    settings: { volume: 0.5 },
+    ...overrides,
+  });
+
+  const createClient = async () => {
+    const saveSystem = new SaveSystem({
+      eventBus: new EventBus(),
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      config: {},
+    });
+    saveSystem.storage = createMemoryAdapter();
+    saveSystem.saveConfig.cloudConfig = {
+      fetch: createServiceFetch(service),
+    };
+    await saveSystem.setCloudSyncEnabled(true);
+    return saveSystem;
+  };
+
+  const saveAndSync = async (client, data) => {
+    now += 1000;
+    await client.saveGame(1, data);
+    return client.syncToCloud(1);
+  };
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    directory = mkdtempSync(join(tmpdir(), 'save-sync-'));
+    service = new SaveSyncService({
+      store: new FileSaveStore({ directory }),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should upload saves and download them on another device', async () => {
+    const a = await createClient();
+    const b = await createClient();
+
+    expect(await saveAndSync(a, gameData())).toBe('uploaded');
+    expect(await b.syncToCloud(1)).toBe('downloaded');
+    expect((await b.loadGame(1)).player.name).toBe('Hero');
+    expect(await a.syncToCloud(1)).toBe('unchanged');
+    expect(b.getSaveSlotInfo(1).cloudSynced).toBe(true);
+  });
+
+  test('should leave a slot empty on both sides unchanged', async () => {
+    const a = await createClient();
+
+    expect(await a.syncToCloud(2)).toBe('unchanged');
+    expect(a.logger.error).not.toHaveBeenCalled();
+  });
+
+  test('should keep the newest save when both sides changed', async () => {
+    const a = await createClient();
+    const b = await createClient();
+    await saveAndSync(a, gameData());
+    await b.syncToCloud(1);
+
+    await saveAndSync(b, gameData({ player: { name: 'Hero', level: 2 } }));
+    now += 1000;
+    await a.saveGame(1, gameData({ player: { name: 'Hero', level: 3 } }));
+
+    expect(await a.syncToCloud(1)).toBe('uploaded');
+    expect(await b.syncToCloud(1)).toBe('downloaded');
+    expect((await b.loadGame(1)).player.level).toBe(3);
+  });
+
+  test('should let one side always win under the local and remote policies', async () => {
+    const a = await createClient();
+    const b = await createClient();
+    await saveAndSync(a, gameData());
+    await b.syncToCloud(1);
+
+    await saveAndSync(b, gameData({ player: { name: 'Hero', level: 2 } }));
+    now += 1000;
+    await a.saveGame(1, gameData({ player: { name: 'Hero', level: 3 } }));
+    a.setConflictPolicy('remote');
+
+    expect(await a.syncToCloud(1)).toBe('downloaded');
+    expect((await a.loadGame(1)).player.level).toBe(2);
+
+    await saveAndSync(a, gameData({ player: { name: 'Hero', level: 4 } }));
+    await b.saveGame(1, gameData({ player: { name: 'Hero', level: 5 } }));
+    b.setConflictPolicy('local');
+    expect(await b.syncToCloud(1)).toBe('uploaded');
+    expect(() => b.setConflictPolicy('coin-flip')).toThrow(
+      'Unknown conflict policy: coin-flip'
+    );
+  });
+
+  test('should hold conflicts for a manual pick', async () => {
+    const a = await createClient();
+    const b = await createClient();
+    await saveAndSync(a, gameData());
+    await b.syncToCloud(1);
+    await saveAndSync(b, gameData({ player: { name: 'Remote', level: 1 } }));
+
+    a.setConflictPolicy('manual');
+    const conflicts = [];
+    a.eventBus.on('save:conflict', (data) => conflicts.push(data));
+    now += 1000;
+    await a.saveGame(1, gameData({ player: { name: 'Local', level: 1 } }));
+
+    expect(await a.syncToCloud(1)).toBe('conflict');
+    expect(conflicts).toHaveLength(1);
+    expect((await a.loadGame(1)).player.name).toBe('Local');
+
+    expect(await a.resolveCloudConflict(1, 'remote')).toBe('downloaded');
+    expect((await a.loadGame(1)).player.name).toBe('Remote');
+    await expect(a.resolveCloudConflict(1, 'local')).rejects.toThrow(
+      'No cloud conflict'
+    );
+  });
+
+  test('should merge fields changed on different devices', async () => {
+    const a = await createClient();
+    const b = await createClient();
+    await saveAndSync(a, gameData());
+    await b.syncToCloud(1);
+
+    await saveAndSync(b, gameData({ settings: { volume: 0.9 } }));
+    a.setConflictPolicy('merge');
+    now += 1000;
+    await a.saveGame(1, gameData({ player: { name: 'Hero', level: 7 } }));
+
+    expect(await a.syncToCloud(1)).toBe('merged');
+    expect(await b.syncToCloud(1)).toBe('downloaded');
+
+    const merged = await b.loadGame(1);
+    expect(merged.player.level).toBe(7);
+    expect(merged.settings.volume).toBe(0.9);
+  });
+
+  test('should merge without a base by preferring the newer side', () => {
+    const saveSystem = new SaveSystem({
+      eventBus: new EventBus(),
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    });
+    const base = { a: 1, b: { c: 1, d: 1 }, e: [1] };
+    const local = { a: 2, b: { c: 1, d: 2 }, e: [1] };
+    const remote = { a: 1, b: { c: 3, d: 3 }, e: [1, 2], f: true };
+
+    expect(saveSystem.mergeSaveData(base, local, remote, true)).toEqual({
+      a: 2,
+      b: { c: 3, d: 2 },
+      e: [1, 2],
+      f: true,
+    });
+  });
+
+  test('should retry once when another client writes mid-sync', async () => {
+    const a = await createClient();
+    const b = await createClient();
+    await saveAndSync(a, gameData());
+    await b.syncToCloud(1);
+
+    now += 1000;
+    await a.saveGame(1, gameData({ player: { name: 'Hero', level: 5 } }));
+
+    // B uploads after A has downloaded but before A uploads
+    const fetch = a.cloudProvider.fetch;
+    a.cloudProvider.fetch = async (url, init) => {
+      if (init.method === 'PUT' && !b.raced) {
+        b.raced = true;
+        await saveAndSync(b, gameData({ settings: { volume: 0.1 } }));
+      }
+      return fetch(url, init);
+    };
+    a.setConflictPolicy('merge');
+
+    expect(await a.syncToCloud(1)).toBe('merged');
+    expect((await service.getSlot('default', 1)).body.revision).toBe(3);
+
+    const merged = await a.loadGame(1);
+    expect(merged.player.level).toBe(5);
+    expect(merged.settings.volume).toBe(0.1);
+  });
+
+  test('should disable cloud sync for unsupported providers', async () => {
+    const saveSystem = new SaveSystem({
+      eventBus: new EventBus(),
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    });
+    saveSystem.saveConfig.cloudProvider = 'firebase';
+
+    await saveSystem.setCloudSyncEnabled(true);
+
+    expect(saveSystem.saveState.cloudSyncEnabled).toBe(false);
+    expect(await saveSystem.syncToCloud(1)).toBeNull();
+  });
+});
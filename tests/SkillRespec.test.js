@@ -0,0 +1,294 @@
+/**
+ * Skill Respec, Loadout and Build Code Tests
+ */
+
+import { encodeBuild, decodeBuild } from '../src/core/BuildCode.js';
+import { ARPGUISystem } from '../src/systems/ARPGUISystem.js';
+import { TradingSystem } from '../src/systems/TradingSystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger } from './helpers.js';
+
+const created = [];
+
+const createUI = (gold = 1000) => {
+  const eventBus = new EventBus();
+  const trading = new TradingSystem({
+    eventBus,
+    logger: createLogger(),
+    storage: { getItem: () => null, setItem: () => {} },
+  });
+  trading.addCurrency('player', 'gold', gold);
+  const ui = new ARPGUISystem({
+    eventBus,
+    logger: createLogger(),
+    config: {},
+    currency: trading,
+  });
+  ui.createUIElements();
+  created.push(ui);
+  return { ui, trading };
+};
+
+// Learns from the combat tab, leaving no unspent points
+const learn = (ui, skillId, times = 1) => {
+  ui.character.skillPoints += 100;
+  for (let i = 0; i < times; i++) ui.learnSkill(skillId);
+  ui.character.skillPoints = 0;
+};
+
+beforeAll(() => {
+  // tests/setup.js stubs these; learning skills updates jsdom's own panel
+  [
+    'createElement',
+    'querySelector',
+    'querySelectorAll',
+    'getElementById',
+    'getElementsByClassName',
+    'getElementsByTagName',
+  ].forEach((method) => delete document[method]);
+});
+
+afterEach(() => {
+  created.splice(0).forEach((ui) => ui.clearUIElements());
+});
+
+describe('BuildCode', () => {
+  const createTree = () => ({
+    combat: {
+      nodes: [
+        { id: 'a', name: 'A', maxLevel: 5, level: 3 },
+        { id: 'b', name: 'B', maxLevel: 1, level: 1 },
+        { id: 'c', name: 'C', maxLevel: 3, level: 0 },
+      ],
+    },
+    utility: { nodes: [{ id: 'd', name: 'D', maxLevel: 3, level: 2 }] },
+  });
+
+  test('should round-trip node levels through a URL-safe code', () => {
+    const tree = createTree();
+    const code = encodeBuild(tree);
+
+    expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(
+      decodeBuild(tree, code).map(({ tree: name, node, level }) => [
+        name,
+        node.id,
+        level,
+      ])
+    ).toEqual([
+      ['combat', 'a', 3],
+      ['combat', 'b', 1],
+      ['combat', 'c', 0],
+      ['utility', 'd', 2],
+    ]);
+  });
+
+  test('should refuse codes that do not fit the tree', () => {
+    const tree = createTree();
+    const code = encodeBuild(tree);
+
+    expect(() => decodeBuild(tree, 'not a code!')).toThrow(
+      'Build code is not valid'
+    );
+    expect(() => decodeBuild(tree, code.slice(0, 4))).toThrow(
+      'Build code is too short'
+    );
+
+    const changed = createTree();
+    changed.utility.nodes.push({ id: 'e', name: 'E', maxLevel: 1, level: 0 });
+    expect(() => decodeBuild(changed, code)).toThrow(
+      'Build code was made for a different skill tree'
+    );
+
+    const capped = createTree();
+    capped.combat.nodes[0].maxLevel = 2;
+    capped.combat.nodes[0].level = 2;
+    const tampered = encodeBuild(capped, (node) => (node.id === 'a' ? 3 : 0));
+    expect(() => decodeBuild(capped, tampered)).toThrow(
+      'Build code sets A to level 3 of 2'
+    );
+  });
+});
+
+describe('Skill respec', () => {
+  test('should refund points for currency and remove their stats', () => {
+    const { ui, trading } = createUI();
+    learn(ui, 'basic_attack', 2);
+    learn(ui, 'weapon_mastery');
+    expect(ui.character.stats.damage).toBe(40.5);
+
+    expect(ui.refundSkill('weapon_mastery')).toBe(true);
+
+    expect(ui.character.skillPoints).toBe(2);
+    expect(ui.character.skills.has('weapon_mastery')).toBe(false);
+    expect(ui.character.stats.damage).toBe(36);
+    expect(trading.getBalance('player', 'gold')).toBe(980);
+  });
+
+  test('should block refunds that would strand dependent nodes', () => {
+    const { ui, trading } = createUI();
+    learn(ui, 'basic_attack');
+    learn(ui, 'weapon_mastery');
+    learn(ui, 'critical_strike');
+
+    expect(ui.refundSkill('basic_attack')).toBe(false);
+    expect(ui.logger.warn).toHaveBeenCalledWith(
+      'Cannot refund Basic Attack: Weapon Mastery, Critical Strike depend on it'
+    );
+    expect(ui.findSkillById('basic_attack').level).toBe(1);
+    expect(trading.getBalance('player', 'gold')).toBe(1000);
+
+    // A node above level 1 can still give back its extra levels
+    learn(ui, 'basic_attack');
+    expect(ui.refundSkill('basic_attack')).toBe(true);
+  });
+
+  test('should refund everything at the full respec rate', () => {
+    const { ui, trading } = createUI();
+    const events = [];
+    ui.eventBus.on('character:skillsRespecced', (data) => events.push(data));
+    learn(ui, 'basic_attack', 3);
+    learn(ui, 'critical_strike', 2);
+
+    expect(ui.respecAll()).toBe(true);
+
+    expect(ui.character.skillPoints).toBe(7);
+    expect(ui.character.skills.size).toBe(0);
+    expect(trading.getBalance('player', 'gold')).toBe(965);
+    expect(events[0]).toMatchObject({
+      reason: 'respec',
+      cost: { currency: 'gold', amount: 35 },
+    });
+    expect(ui.character.stats).toMatchObject({
+      damage: 30,
+      criticalChance: 0.15,
+    });
+  });
+
+  test('should refund only whole levels, and plan within each maxLevel', () => {
+    const { ui, trading } = createUI();
+    learn(ui, 'basic_attack', 2);
+    const basicAttack = ui.findSkillById('basic_attack');
+
+    expect(ui.refundSkill('basic_attack', -3)).toBe(false);
+    expect(ui.refundSkill('basic_attack', 0)).toBe(false);
+    expect(ui.refundSkill('basic_attack', 1.5)).toBe(false);
+    expect(basicAttack.level).toBe(2);
+    expect(ui.character.skillPoints).toBe(0);
+    expect(trading.getBalance('player', 'gold')).toBe(1000);
+
+    expect(
+      ui.planSkillLevels(new Map([[basicAttack, 99]])).changes
+    ).toMatchObject([{ skillId: 'basic_attack', from: 2, to: 5 }]);
+    expect(
+      ui.planSkillLevels(new Map([[basicAttack, -4]])).refundedPoints
+    ).toBe(2);
+  });
+
+  test('should not refund without enough currency', () => {
+    const { ui, trading } = createUI(15);
+    learn(ui, 'basic_attack', 2);
+
+    expect(ui.refundSkill('basic_attack', 2)).toBe(false);
+    expect(ui.findSkillById('basic_attack').level).toBe(2);
+    expect(trading.getBalance('player', 'gold')).toBe(15);
+  });
+});
+
+describe('Loadouts and build codes', () => {
+  test('should preview an imported build before applying it', () => {
+    const { ui: author } = createUI();
+    learn(author, 'basic_attack', 2);
+    learn(author, 'critical_strike', 2);
+    const code = author.exportBuild();
+
+    const { ui, trading } = createUI();
+    learn(ui, 'basic_attack');
+    learn(ui, 'weapon_mastery');
+    ui.character.skillPoints = 10;
+
+    const preview = ui.previewBuild(code);
+    expect(preview.errors).toEqual([]);
+    expect(
+      preview.changes.map(({ skillId, from, to }) => [skillId, from, to])
+    ).toEqual([
+      ['basic_attack', 1, 2],
+      ['weapon_mastery', 1, 0],
+      ['critical_strike', 0, 2],
+    ]);
+    expect(preview).toMatchObject({
+      refundedPoints: 2,
+      spentPoints: 5,
+      cost: { currency: 'gold', amount: 20 },
+    });
+    expect(preview.statChanges).toEqual({
+      damage: { from: 37.5, to: 36 },
+      criticalChance: { from: 0.15, to: 0.25 },
+    });
+    // Previewing changes nothing
+    expect(ui.findSkillById('critical_strike').level).toBe(0);
+
+    expect(ui.importBuild(code)).toBe(true);
+    expect(ui.exportBuild()).toBe(code);
+    expect(ui.character.skillPoints).toBe(7);
+    expect(trading.getBalance('player', 'gold')).toBe(980);
+  });
+
+  test('should report builds that cannot be afforded in points', () => {
+    const { ui: author } = createUI();
+    learn(author, 'basic_attack', 5);
+    const { ui } = createUI();
+
+    expect(ui.previewBuild(author.exportBuild()).errors).toEqual([
+      'Needs 5 skill points, 0 available',
+    ]);
+    expect(ui.importBuild('garbage!')).toBe(false);
+    expect(ui.logger.warn).toHaveBeenCalledWith(
+      'Cannot import build: Build code is not valid'
+    );
+  });
+
+  test('should save, switch between and delete named loadouts', () => {
+    const { ui } = createUI();
+    learn(ui, 'basic_attack');
+    learn(ui, 'critical_strike');
+    ui.saveLoadout(' Crit ');
+
+    ui.respecAll();
+    learn(ui, 'basic_attack', 3);
+    ui.saveLoadout('Damage');
+
+    expect(ui.getLoadouts().map((loadout) => loadout.name)).toEqual([
+      'Crit',
+      'Damage',
+    ]);
+    expect(ui.applyLoadout('Crit')).toBe(true);
+    expect(ui.character.skills).toEqual(
+      new Map([
+        ['basic_attack', 1],
+        ['critical_strike', 1],
+      ])
+    );
+
+    expect(ui.deleteLoadout('Damage')).toBe(true);
+    expect(ui.applyLoadout('Damage')).toBe(false);
+    expect(ui.saveLoadout('  ')).toBeNull();
+  });
+
+  test('should restore tree levels and loadouts from a saved character', async () => {
+    const { ui } = createUI();
+    learn(ui, 'basic_attack', 2);
+    ui.saveLoadout('Saved');
+    ui.saveCharacterData();
+
+    const { ui: loaded } = createUI();
+    await loaded.loadCharacterData();
+    localStorage.removeItem('arpgCharacter');
+
+    expect(loaded.findSkillById('basic_attack').level).toBe(2);
+    expect(loaded.exportBuild()).toBe(ui.exportBuild());
+    expect(loaded.getLoadouts()[0].name).toBe('Saved');
+    // Four bits per node keeps codes short enough to paste into chat
+    expect(loaded.exportBuild().length).toBeLessThan(80);
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * StatModifierPipeline Tests
+ */
+
+import {
+  StatModifierPipeline,
+  describeBreakdown,
+} from '../src/core/StatModifierPipeline.js';
+import { StatusEffectEngine } from '../src/core/StatusEffectEngine.js';
+import { ARPGUISystem } from '../src/systems/ARPGUISystem.js';
+import { CombatSystem } from '../src/systems/CombatSystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger } from './helpers.js';
+
+describe('StatModifierPipeline', () => {
+  test('should apply flat, increased and more modifiers in order', () => {
+    const pipeline = new StatModifierPipeline({ base: { damage: 10 } });
+
+    pipeline.setSource('sword', {
+      name: 'Iron Sword',
+      modifiers: [{ stat: 'damage', type: 'flat', value: 10 }],
+    });
+    pipeline.setSource('mastery', {
+      name: 'Weapon Mastery',
+      modifiers: [
+        { stat: 'damage', type: 'increased', value: 0.3 },
+        { stat: 'damage', type: 'increased', value: 0.2 },
+      ],
+    });
+    const changed = pipeline.setSource('legend', {
+      name: 'Weapon Legend',
+      modifiers: [
+        { stat: 'damage', type: 'more', value: 0.5 },
+        { stat: 'damage', type: 'more', value: -0.2 },
+      ],
+    });
+
+    // (10 + 10) * (1 + 0.5) * 1.5 * 0.8
+    expect(changed).toEqual({ damage: 36 });
+    expect(pipeline.getStat('damage')).toBe(36);
+    expect(describeBreakdown(pipeline.getBreakdown('damage'))).toEqual([
+      'Base: 10',
+      '+10 from Iron Sword',
+      '+30% increased from Weapon Mastery',
+      '+20% increased from Weapon Mastery',
+      '50% more from Weapon Legend',
+      '20% less from Weapon Legend',
+      'Total: 36',
+    ]);
+  });
+
+  test('should convert after scaling and share out excess conversion', () => {
+    const pipeline = new StatModifierPipeline({
+      base: { damage: 100, fireDamage: 10 },
+    });
+
+    pipeline.setSource('brand', {
+      name: 'Flame Brand',
+      modifiers: [
+        { stat: 'damage', type: 'conversion', value: 0.5, to: 'fireDamage' },
+        { stat: 'fireDamage', type: 'increased', value: 1 },
+      ],
+    });
+    // Converted damage is not scaled by fire damage increases
+    expect(pipeline.getStats()).toEqual({ damage: 50, fireDamage: 70 });
+    expect(describeBreakdown(pipeline.getBreakdown('fireDamage'))).toContain(
+      '+50 converted from damage by Flame Brand'
+    );
+
+    pipeline.setSource('frost', {
+      name: 'Frost Brand',
+      modifiers: [
+        { stat: 'damage', type: 'conversion', value: 1.5, to: 'iceDamage' },
+      ],
+    });
+    expect(pipeline.getStats()).toEqual({
+      damage: 0,
+      fireDamage: 45,
+      iceDamage: 75,
+    });
+  });
+
+  test('should only report stats that changed', () => {
+    const pipeline = new StatModifierPipeline({
+      base: { armor: 10, damage: 5 },
+    });
+
+    expect(pipeline.setBase({ armor: 10, damage: 5 })).toEqual({});
+    expect(
+      pipeline.replaceSources('item', [
+        {
+          id: 'item:armor',
+          name: 'Plate',
+          kind: 'item',
+          modifiers: [{ stat: 'armor', value: 15 }],
+        },
+      ])
+    ).toEqual({ armor: 25 });
+    expect(pipeline.replaceSources('item', [])).toEqual({ armor: 10 });
+    expect(pipeline.removeSource('missing')).toEqual({});
+  });
+
+  test('should reject malformed modifiers', () => {
+    const pipeline = new StatModifierPipeline();
+
+    expect(() =>
+      pipeline.setSource('bad', {
+        modifiers: [{ stat: 'damage', type: 'double', value: 2 }],
+      })
+    ).toThrow('Unknown modifier type in bad: double');
+    expect(() =>
+      pipeline.setSource('bad', {
+        modifiers: [{ stat: 'damage', type: 'conversion', value: 0.5 }],
+      })
+    ).toThrow('needs a target stat');
+    expect(() =>
+      pipeline.setSource('bad', { modifiers: [{ stat: 'damage' }] })
+    ).toThrow('needs a numeric value');
+  });
+});
+
+describe('Character stats', () => {
+  let ui;
+
+  beforeAll(() => {
+    // tests/setup.js stubs these; the character panel needs jsdom's own
+    [
+      'createElement',
+      'querySelector',
+      'querySelectorAll',
+      'getElementById',
+      'getElementsByClassName',
+      'getElementsByTagName',
+    ].forEach((method) => delete document[method]);
+  });
+
+  beforeEach(() => {
+    ui = new ARPGUISystem({
+      eventBus: new EventBus(),
+      logger: createLogger(),
+      config: {},
+    });
+    ui.createUIElements();
+  });
+
+  afterEach(() => {
+    ui.clearUIElements();
+  });
+
+  const learn = (skillId, times = 1, tree = 'combat') => {
+    ui.switchSkillTree(tree);
+    ui.character.skillPoints += 100;
+    for (let i = 0; i < times; i++) ui.learnSkill(skillId);
+  };
+
+  test('should derive base stats from attributes', () => {
+    expect(ui.character.stats).toMatchObject({
+      maxHealth: 200,
+      damage: 30,
+      criticalChance: 0.15,
+      health: 100,
+    });
+  });
+
+  test('should turn learned skill nodes into stat modifiers', () => {
+    const changes = [];
+    ui.eventBus.on('character:statsChanged', (data) =>
+      changes.push(data.changed)
+    );
+
+    learn('basic_attack');
+    learn('critical_strike', 3);
+
+    expect(ui.character.stats.damage).toBe(33);
+    expect(ui.character.stats.criticalChance).toBe(0.3);
+    expect(changes).toEqual([
+      { damage: 33 },
+      { criticalChance: 0.2 },
+      { criticalChance: 0.25 },
+      { criticalChance: 0.3 },
+    ]);
+    expect(ui.getStatBreakdown('criticalChance')).toContain(
+      '+0.15 from Critical Strike'
+    );
+  });
+
+  test('should add equipped items and their socketed gems', () => {
+    const sword = {
+      id: 'item_1',
+      name: 'Flame Sword',
+      finalStats: {
+        damage: { min: 10, max: 20 },
+        attack_speed: 0.1,
+        fire_damage: 12,
+      },
+    };
+
+    ui.handleItemEquipped({ slot: 'weapon', item: sword });
+    expect(ui.character.stats).toMatchObject({
+      damage: 45,
+      fireDamage: 12,
+      attackSpeed: 1.32,
+    });
+
+    ui.handleGemSocketed({
+      item: { ...sword },
+      gem: {
+        id: 'ember',
+        name: 'Ember',
+        modifiers: [
+          { stat: 'damage', type: 'conversion', value: 0.2, to: 'fireDamage' },
+        ],
+      },
+    });
+    expect(ui.character.stats).toMatchObject({ damage: 36, fireDamage: 21 });
+
+    ui.handleItemUnequipped({ slot: 'weapon', item: sword });
+    expect(ui.character.stats).toMatchObject({ damage: 30, fireDamage: 0 });
+  });
+
+  test('should apply buffs on the character while they last', () => {
+    const engine = new StatusEffectEngine({
+      eventBus: ui.eventBus,
+      logger: createLogger(),
+    });
+
+    engine.apply(ui.character, 'damage_boost');
+    expect(ui.character.stats.damage).toBe(36);
+    expect(ui.getStatBreakdown('damage')).toContain(
+      '20% more from Damage Boost'
+    );
+
+    engine.update(5000);
+    expect(ui.character.stats.damage).toBe(30);
+  });
+
+  test('should scale buffs on the player entity by their stacks', () => {
+    const engine = new StatusEffectEngine({
+      eventBus: ui.eventBus,
+      logger: createLogger(),
+    });
+    engine.define('battle_fury', {
+      duration: 5000,
+      stacking: 'independent',
+      maxStacks: 3,
+      harmful: false,
+      modifiers: { damageMultiplier: 1.1 },
+    });
+    const player = { id: 'player', stats: {} };
+
+    engine.apply(player, 'battle_fury');
+    engine.update(2000);
+    engine.apply(player, 'battle_fury');
+    expect(ui.character.stats.damage).toBe(36);
+
+    engine.update(3000);
+    expect(ui.character.stats.damage).toBe(33);
+    engine.update(2000);
+    expect(ui.character.stats.damage).toBe(30);
+
+    engine.apply({ id: 'goblin_1', stats: {} }, 'battle_fury');
+    expect(ui.character.stats.damage).toBe(30);
+  });
+
+  test('should show the breakdown in the character panel', () => {
+    learn('health_boost', 2, 'defense');
+
+    const breakdown = document.querySelector(
+      '[data-stat-breakdown="maxHealth"]'
+    );
+    expect(breakdown.innerHTML).toContain('+30% increased from Health Boost');
+    expect(document.querySelector('[data-stat="maxHealth"]').textContent).toBe(
+      '260'
+    );
+  });
+
+  test('should feed stats to the damage calculator', () => {
+    const combat = new CombatSystem({
+      eventBus: ui.eventBus,
+      logger: createLogger(),
+      config: { seed: 1 },
+    });
+    jest.spyOn(combat.rng, 'chance').mockReturnValue(false);
+    learn('armor_mastery', 1, 'defense');
+    learn('damage_reduction', 4, 'defense');
+    const target = { stats: ui.character.stats };
+    const attacker = { stats: { damage: 100 } };
+
+    // 6 armor reduces by 6/106, then 20% damage reduction
+    expect(combat.damageCalculator.calculateDamage(attacker, target, {})).toBe(
+      75
+    );
+    combat.cleanup();
+  });
+
+  test('should take enemy hits on the character with its defenses', () => {
+    const combat = new CombatSystem({
+      eventBus: ui.eventBus,
+      logger: createLogger(),
+      config: { seed: 1 },
+    });
+    jest.spyOn(combat.rng, 'chance').mockReturnValue(false);
+    combat.setPlayerStats(ui.character.stats);
+    learn('armor_mastery', 1, 'defense');
+    learn('damage_reduction', 4, 'defense');
+    ui.eventBus.emit('player:move', { x: 100, y: 100 });
+    const enemy = {
+      id: 'goblin_1',
+      x: 110,
+      y: 100,
+      stats: { damage: 100 },
+      lastAttackTime: 0,
+      attackCooldown: 0,
+    };
+
+    const target = combat.findNearestPlayer(enemy);
+    combat.enemyAttack(enemy, target);
+
+    expect(target).toBe(combat.player);
+    expect(ui.character.stats.health).toBe(25);
+    combat.cleanup();
+  });
+
+  test('should hit harder in combat with an equipped damage modifier', () => {
+    const combat = new CombatSystem({
+      eventBus: ui.eventBus,
+      logger: createLogger(),
+      config: { seed: 1 },
+    });
+    jest.spyOn(combat.rng, 'chance').mockReturnValue(false);
+    combat.setPlayerStats(ui.character.stats);
+    const dummy = { id: 'dummy', health: 1000, stats: {} };
+    const hits = [];
+    ui.eventBus.on('combat:damage', (data) => hits.push(data.damage));
+    const attack = () =>
+      ui.eventBus.emit('player:ability', {
+        ability: { id: 'basic_attack' },
+        target: dummy,
+      });
+
+    attack();
+    ui.handleItemEquipped({
+      slot: 'weapon',
+      item: {
+        id: 'item_1',
+        name: 'Iron Sword',
+        finalStats: { damage: { min: 10, max: 20 } },
+      },
+    });
+    attack();
+
+    expect(hits).toEqual([30, 45]);
+    combat.cleanup();
+  });
+});
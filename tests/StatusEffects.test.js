@@ -0,0 +1,234 @@
+/**
+ * StatusEffectEngine Tests
+ */
+
+import { StatusEffectEngine } from '../src/core/StatusEffectEngine.js';
+import { CombatSystem } from '../src/systems/CombatSystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger } from './helpers.js';
+
+const createEngine = (options = {}) => {
+  const damage = [];
+  const engine = new StatusEffectEngine({
+    eventBus: new EventBus(),
+    logger: createLogger(),
+    rng: options.rng,
+    dealDamage: (target, amount) => {
+      target.health -= amount;
+      damage.push(amount);
+    },
+  });
+  return { engine, damage };
+};
+
+const createTarget = (extra = {}) => ({
+  health: 1000,
+  velocityX: 50,
+  velocityY: 0,
+  ...extra,
+});
+
+describe('StatusEffectEngine', () => {
+  test('should tick on schedule instead of every frame', () => {
+    const { engine, damage } = createEngine();
+    const target = createTarget();
+
+    engine.apply(target, 'burning');
+    for (let frame = 0; frame < 30; frame++) {
+      engine.update(16);
+    }
+    expect(damage).toEqual([]);
+
+    engine.update(20);
+    expect(damage).toEqual([5]);
+
+    // A long frame runs every tick it covers, but none past the duration
+    engine.update(10000);
+    expect(damage).toHaveLength(6);
+    expect(target.statusEffects.has('burning')).toBe(false);
+  });
+
+  test('should stack by refresh, intensify and independent rules', () => {
+    const { engine, damage } = createEngine();
+    const target = createTarget();
+
+    engine.apply(target, 'burning');
+    engine.update(2000);
+    engine.apply(target, 'burning');
+    expect(engine.getStacks(target, 'burning')).toBe(2);
+    expect(engine.getEffects(target)[0].remaining).toBe(3000);
+
+    for (let i = 0; i < 10; i++) engine.apply(target, 'burning');
+    expect(engine.getStacks(target, 'burning')).toBe(5);
+    damage.length = 0;
+    engine.update(500);
+    expect(damage).toEqual([25]);
+
+    engine.apply(target, 'slowed');
+    engine.update(1000);
+    engine.apply(target, 'slowed');
+    expect(engine.getStacks(target, 'slowed')).toBe(1);
+    expect(
+      engine.getEffects(target).find((effect) => effect.type === 'slowed')
+        .remaining
+    ).toBe(3000);
+
+    engine.define('bleeding', {
+      duration: 1000,
+      tickInterval: 1000,
+      stacking: 'independent',
+      maxStacks: 2,
+      tickDamage: 4,
+    });
+    engine.apply(target, 'bleeding');
+    engine.update(500);
+    engine.apply(target, 'bleeding');
+    engine.apply(target, 'bleeding');
+    expect(engine.getStacks(target, 'bleeding')).toBe(2);
+  });
+
+  test('should cancel frozen and burning against each other', () => {
+    const { engine } = createEngine();
+    const target = createTarget();
+    const interactions = [];
+    engine.eventBus.on('status:interaction', (data) => interactions.push(data));
+
+    engine.apply(target, 'frozen');
+    expect(target.speedMultiplier).toBe(0.1);
+
+    expect(engine.apply(target, 'burning')).toBeNull();
+    expect(engine.getEffects(target)).toEqual([]);
+    expect(target.statusEffects.size).toBe(0);
+    expect(target.speedMultiplier).toBe(1);
+    expect(interactions[0].effects).toEqual(['frozen', 'burning']);
+  });
+
+  test('should grant immunities from skill nodes', () => {
+    const { engine } = createEngine();
+    const resisted = [];
+    engine.eventBus.on('status:resisted', (data) => resisted.push(data.type));
+
+    const immovable = createTarget({ skills: new Map([['immovable', 1]]) });
+    expect(engine.apply(immovable, 'stunned')).toBeNull();
+    expect(engine.isImmune(immovable, 'knockback')).toBe(true);
+    expect(engine.apply(immovable, 'slowed')).not.toBeNull();
+
+    const ironWill = createTarget({ skills: { iron_will: 1 } });
+    expect(engine.apply(ironWill, 'feared')).toBeNull();
+    expect(engine.apply(ironWill, 'charmed')).toBeNull();
+    expect(engine.apply(ironWill, 'stunned')).not.toBeNull();
+
+    const unstoppable = createTarget({ skills: { unstoppable_force: 1 } });
+    ['stunned', 'frozen', 'slowed', 'feared'].forEach((type) => {
+      expect(engine.apply(unstoppable, type)).toBeNull();
+    });
+    expect(engine.apply(unstoppable, 'burning')).not.toBeNull();
+
+    expect(resisted).toHaveLength(7);
+  });
+
+  test('should shorten harmful effects with resilience', () => {
+    const { engine } = createEngine();
+    const target = createTarget({ skills: { resilience: 3 } });
+
+    expect(engine.apply(target, 'poisoned').remaining).toBe(2500);
+    expect(engine.apply(target, 'damage_boost').remaining).toBe(5000);
+
+    const lessResilient = createTarget({ skills: { resilience: 1 } });
+    expect(engine.apply(lessResilient, 'slowed').remaining).toBe(2500);
+  });
+
+  test('should stun shocked targets with the injected random stream', () => {
+    const rng = { chance: jest.fn(() => true) };
+    const { engine } = createEngine({ rng });
+    const target = createTarget();
+
+    engine.apply(target, 'shocked');
+
+    expect(rng.chance).toHaveBeenCalledWith(0.3);
+    expect(Array.from(target.statusEffects)).toEqual(['shocked', 'stunned']);
+    expect(target.velocityX).toBe(0);
+  });
+
+  test('should reject invalid definitions', () => {
+    const { engine } = createEngine();
+
+    expect(() =>
+      engine.define('rot', { duration: 1000, stacking: 'stack' })
+    ).toThrow('Unknown stack behavior for rot: stack');
+    expect(() => engine.define('rot', { duration: 0 })).toThrow(
+      'needs a positive duration'
+    );
+    expect(() => engine.apply(createTarget(), 'rot')).toThrow(
+      'Unknown status effect: rot'
+    );
+  });
+});
+
+describe('Status effects in combat', () => {
+  let combat;
+
+  beforeEach(() => {
+    combat = new CombatSystem({
+      eventBus: new EventBus(),
+      logger: createLogger(),
+      config: { seed: 3 },
+    });
+  });
+
+  afterEach(() => {
+    combat.cleanup();
+  });
+
+  test('should apply ability effects through the engine', () => {
+    const enemy = combat.createEnemy('goblin', 0, 0);
+    const hits = [];
+    combat.eventBus.on('combat:damage', (data) => hits.push(data.damage));
+    combat.applyAbilityEffects(combat.abilities.fireball, enemy);
+    combat.applyAbilityEffects(combat.abilities.fireball, enemy);
+
+    expect(combat.statusEffects.getStacks(enemy, 'burning')).toBe(2);
+    expect(combat.combatState.effects.size).toBe(1);
+
+    combat.updateEffects(500);
+    expect(hits).toEqual([10]);
+  });
+
+  test('should expire buffs and restore the stats they changed', () => {
+    const caster = { x: 0, y: 0 };
+    combat.useBuffAbility(caster, combat.abilities.berserker_rage, caster);
+
+    expect(caster.damageMultiplier).toBe(1.2);
+    expect(caster.speedMultiplier).toBe(1.2);
+
+    combat.updateEffects(15000);
+    expect(caster.damageMultiplier).toBe(1);
+    expect(caster.speedMultiplier).toBe(1);
+  });
+
+  test('should modify the multipliers a target already has and put them back', () => {
+    const elite = { ...combat.createEnemy('goblin', 0, 0), speedMultiplier: 2 };
+    const caster = { id: 'player', x: 0, y: 0 };
+
+    combat.applyAbilityEffects({ effects: ['slowed'] }, elite, caster);
+    expect(elite.speedMultiplier).toBe(1);
+    expect(combat.statusEffects.getEffects(elite)[0].source).toBe(caster);
+
+    combat.updateEffects(15000);
+    expect(elite.speedMultiplier).toBe(2);
+  });
+
+  test('should end running effects when an immunity is learned', () => {
+    const character = { skills: new Map() };
+    combat.applyStatusEffect(character, 'stunned');
+    combat.applyStatusEffect(character, 'poisoned');
+
+    character.skills.set('immovable', 1);
+    combat.eventBus.emit('character:skillLearned', {
+      skillId: 'immovable',
+      character,
+    });
+
+    expect(Array.from(character.statusEffects)).toEqual(['poisoned']);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Trading Tests
+ */
+
+import { TradingSystem } from '../src/systems/TradingSystem.js';
+import { InventorySystem } from '../src/systems/InventorySystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { createLogger, createStorage, has } from './helpers.js';
+
+const player = (id) => ({ id, online: true, areaId: 'town' });
+const alice = player('alice');
+const bob = player('bob');
+
+const sword = {
+  id: 'sword_1',
+  name: 'Sword',
+  type: 'weapon',
+  slot: 'main_hand',
+};
+const potion = {
+  id: 'potion_1',
+  name: 'Health Potion',
+  type: 'consumable',
+  rarity: 'common',
+};
+
+const createMarket = (bags = {}) => {
+  const eventBus = new EventBus();
+  const storage = createStorage();
+  const trading = new TradingSystem({
+    eventBus,
+    logger: createLogger(),
+    storage,
+  });
+  const inventories = {};
+  ['alice', 'bob'].forEach((id) => {
+    inventories[id] = new InventorySystem({
+      eventBus,
+      logger: createLogger(),
+      storage,
+      config: { inventory: bags[id] },
+    });
+    trading.registerInventory(id, inventories[id]);
+  });
+
+  inventories.alice.addItem({ ...sword });
+  inventories.bob.addItem({ ...potion }, 10);
+  trading.addCurrency('alice', 'gold', 100);
+  trading.addCurrency('bob', 'gold', 500);
+  return { eventBus, storage, trading, inventories };
+};
+
+// Open a trade of alice's sword for 300 of bob's gold, both locked
+const lockedTrade = (trading) => {
+  const { trade } = trading.initiateTrade({
+    fromPlayer: alice,
+    toPlayer: bob,
+    items: [{ itemId: 'sword_1' }],
+    channel: 'global',
+  });
+  trading.modifyTrade({
+    tradeId: trade.id,
+    playerId: 'bob',
+    currency: { gold: 300 },
+  });
+  trading.lockTrade({ tradeId: trade.id, playerId: 'alice' });
+  trading.lockTrade({ tradeId: trade.id, playerId: 'bob' });
+  return trade;
+};
+
+describe('TradingSystem trades', () => {
+  test('should hold offers in escrow and swap them once both players confirm', () => {
+    const { eventBus, trading, inventories } = createMarket();
+    const completed = jest.fn();
+    eventBus.on('trade:completed', completed);
+
+    const trade = lockedTrade(trading);
+    expect(trade.status).toBe('locked');
+    expect(has(inventories.alice, 'sword_1')).toBe(false);
+    expect(trading.getBalance('bob', 'gold')).toBe(200);
+
+    trading.acceptTrade({ tradeId: trade.id, playerId: 'alice' });
+    expect(trade.status).toBe('locked');
+    expect(
+      trading.acceptTrade({ tradeId: trade.id, playerId: 'bob' }).success
+    ).toBe(true);
+
+    expect(trade.status).toBe('committed');
+    expect(has(inventories.bob, 'sword_1')).toBe(true);
+    // The global channel's 5% tax comes out of what alice received
+    expect(trading.getBalance('alice', 'gold')).toBe(385);
+    expect(trading.getBalance('bob', 'gold')).toBe(200);
+    expect(completed).toHaveBeenCalledTimes(1);
+    expect(trading.getActiveTrades()).toEqual([]);
+
+    const [history] = trading.getTradeHistory('bob');
+    expect(history).toMatchObject({
+      tradeId: trade.id,
+      players: ['alice', 'bob'],
+      status: 'committed',
+    });
+    expect(history.entries.map((entry) => entry.type)).toEqual([
+      'proposed',
+      'escrowed',
+      'escrowed',
+      'locked',
+      'locked',
+      'confirmed',
+      'confirmed',
+      'committed',
+    ]);
+    expect(history.entries[7].taxes).toEqual({ alice: { gold: 15 } });
+    expect(history.entries[7].transfers).toEqual([
+      {
+        from: 'alice',
+        to: 'bob',
+        items: [{ item: sword, quantity: 1 }],
+        currency: {},
+      },
+      { from: 'bob', to: 'alice', items: [], currency: { gold: 300 } },
+    ]);
+  });
+
+  test('should undo both locks and confirmations when an offer changes', () => {
+    const { trading, inventories } = createMarket();
+    const trade = lockedTrade(trading);
+    trading.acceptTrade({ tradeId: trade.id, playerId: 'alice' });
+
+    expect(
+      trading.modifyTrade({
+        tradeId: trade.id,
+        playerId: 'bob',
+        items: [{ itemId: 'potion_1', quantity: 4 }],
+        currency: { gold: 250 },
+      }).success
+    ).toBe(true);
+    expect(trade.status).toBe('proposed');
+    expect(trade.locked).toEqual({ alice: false, bob: false });
+    expect(trade.confirmed).toEqual({ alice: false, bob: false });
+    expect(trading.getBalance('bob', 'gold')).toBe(250);
+    expect(inventories.bob.bag.entries.get('potion_1').quantity).toBe(6);
+
+    expect(trading.acceptTrade({ tradeId: trade.id, playerId: 'bob' })).toEqual(
+      { success: false, error: 'Both offers must be locked first' }
+    );
+    expect(
+      trading.modifyTrade({
+        tradeId: trade.id,
+        playerId: 'carol',
+        currency: { gold: 1 },
+      }).error
+    ).toBe('carol is not part of this trade');
+  });
+
+  test('should leave offers untouched when a new offer cannot be escrowed', () => {
+    const { eventBus, trading, inventories } = createMarket();
+    const failed = jest.fn();
+    eventBus.on('trade:failed', failed);
+    const trade = lockedTrade(trading);
+
+    expect(
+      trading.modifyTrade({
+        tradeId: trade.id,
+        playerId: 'bob',
+        items: [{ itemId: 'potion_1' }],
+        currency: { gold: 900 },
+      })
+    ).toEqual({
+      success: false,
+      error: 'Insufficient gold: bob has 500, needs 900',
+    });
+    expect(failed).toHaveBeenCalledWith(
+      expect.objectContaining({ tradeId: trade.id, action: 'modify' }),
+      expect.anything()
+    );
+
+    // The old offer is back in escrow and nothing else left the bag
+    expect(trade.offers.bob).toEqual({ items: [], currency: { gold: 300 } });
+    expect(trading.getBalance('bob', 'gold')).toBe(200);
+    expect(inventories.bob.bag.entries.get('potion_1').quantity).toBe(10);
+  });
+
+  test('should commit nothing when a bag has no room and return escrow on cancel', () => {
+    const { trading, inventories } = createMarket({
+      bob: { bagWidth: 1, bagHeight: 3 },
+    });
+    inventories.bob.addItem({ id: 'ring_1', name: 'Ring', slot: 'ring' });
+    const trade = lockedTrade(trading);
+
+    trading.acceptTrade({ tradeId: trade.id, playerId: 'alice' });
+    expect(trading.acceptTrade({ tradeId: trade.id, playerId: 'bob' })).toEqual(
+      {
+        success: false,
+        error: 'bob has no room in their bag for the traded items',
+      }
+    );
+    expect(trade.status).toBe('locked');
+    expect(trade.confirmed).toEqual({ alice: false, bob: false });
+    expect(trading.getBalance('alice', 'gold')).toBe(100);
+    expect(trading.getBalance('bob', 'gold')).toBe(200);
+
+    expect(
+      trading.cancelTrade({ tradeId: trade.id, playerId: 'bob' }).success
+    ).toBe(true);
+    expect(has(inventories.alice, 'sword_1')).toBe(true);
+    expect(trading.getBalance('bob', 'gold')).toBe(500);
+    expect(trading.getTradeHistory('alice')[0].status).toBe('cancelled');
+    expect(trading.rollbackTrade({ tradeId: trade.id }).error).toBe(
+      `Trade ${trade.id} has no committed transfers to roll back`
+    );
+  });
+
+  test('should save escrow it cannot give back on cleanup', async () => {
+    const { trading, storage, eventBus, inventories } = createMarket({
+      alice: { bagWidth: 1, bagHeight: 3 },
+    });
+    const trade = lockedTrade(trading);
+    inventories.alice.addItem({ id: 'ring_1', name: 'Ring', slot: 'ring' });
+
+    trading.cleanup();
+    const restored = new TradingSystem({
+      eventBus,
+      logger: createLogger(),
+      storage,
+    });
+    await restored.loadTradingData();
+    expect(restored.getActiveTrades()).toEqual([
+      expect.objectContaining({ id: trade.id, offers: trade.offers }),
+    ]);
+    expect(restored.getBalance('bob', 'gold')).toBe(200);
+
+    inventories.alice.removeItem('ring_1');
+    restored.registerInventory('alice', inventories.alice);
+    restored.registerInventory('bob', inventories.bob);
+    restored.timeoutTrade(restored.getActiveTrades()[0]);
+    expect(has(inventories.alice, 'sword_1')).toBe(true);
+    expect(restored.getBalance('bob', 'gold')).toBe(500);
+  });
+
+  test('should roll a committed trade back from the ledger, or not at all', () => {
+    const { trading, inventories } = createMarket();
+    const trade = lockedTrade(trading);
+    trading.acceptTrade({ tradeId: trade.id, playerId: 'alice' });
+    trading.acceptTrade({ tradeId: trade.id, playerId: 'bob' });
+
+    // Alice spent the gold, so there is nothing to give back yet; she
+    // owes what she kept after tax, and bob gets the tax back
+    trading.spendCurrency('alice', 'gold', 350);
+    expect(trading.rollbackTrade({ tradeId: trade.id }).error).toBe(
+      'alice no longer has 285 gold'
+    );
+    expect(has(inventories.bob, 'sword_1')).toBe(true);
+
+    trading.addCurrency('alice', 'gold', 350);
+    expect(
+      trading.rollbackTrade({ tradeId: trade.id, reason: 'scam report' })
+        .success
+    ).toBe(true);
+    expect(has(inventories.alice, 'sword_1')).toBe(true);
+    expect(has(inventories.bob, 'sword_1')).toBe(false);
+    expect(trading.getBalance('alice', 'gold')).toBe(100);
+    expect(trading.getBalance('bob', 'gold')).toBe(500);
+    expect(trading.getTradeHistory('alice')[0].status).toBe('rolled_back');
+    expect(trading.rollbackTrade({ tradeId: trade.id }).success).toBe(false);
+  });
+
+  test('should keep the ledger unchangeable and saved with trading data', async () => {
+    const { trading, storage, eventBus } = createMarket();
+    const trade = lockedTrade(trading);
+    const [proposed] = trading.getTradeLedger(trade.id);
+
+    trade.offers.alice.items[0].item.name = 'Renamed Sword';
+    expect(trading.getTradeLedger(trade.id)[1].items[0].item.name).toBe(
+      'Sword'
+    );
+    expect(() => {
+      proposed.players.push('mallory');
+    }).toThrow();
+
+    trading.saveTradingData();
+    const restored = new TradingSystem({
+      eventBus,
+      logger: createLogger(),
+      storage,
+    });
+    await restored.loadTradingData();
+    expect(restored.getTradeLedger()).toEqual(trading.getTradeLedger());
+    expect(restored.getTradeHistory('alice')[0].status).toBe('locked');
+  });
+});
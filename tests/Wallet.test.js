@@ -0,0 +1,298 @@
+/**
+ * Wallet and Currency Exchange Tests
+ */
+
+import { TradingSystem } from '../src/systems/TradingSystem.js';
+import { AnalyticsSystem } from '../src/systems/AnalyticsSystem.js';
+import { EventBus } from '../src/core/EventBus.js';
+import { HeadlessHost } from '../src/core/HeadlessHost.js';
+import { createLogger, createStorage } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const createTrading = (config = {}) => {
+  const eventBus = new EventBus();
+  const storage = createStorage();
+  const trading = new TradingSystem({
+    eventBus,
+    logger: createLogger(),
+    storage,
+    config: { trading: config },
+  });
+  return { eventBus, storage, trading };
+};
+
+describe('TradingSystem wallets', () => {
+  test('should refuse overdrafts and record why each balance changed', async () => {
+    const { eventBus, storage, trading } = createTrading();
+
+    trading.addCurrency('alice', 'gold', 100, 'loot');
+    expect(() =>
+      trading.addCurrency('alice', 'gold', -150, 'crafting')
+    ).toThrow('Insufficient gold: alice has 100, needs 150');
+    expect(trading.spendCurrency('alice', 'gold', 40, 'respec')).toBe(true);
+    expect(trading.spendCurrency('alice', 'gold', 100, 'respec')).toBe(false);
+    trading.addCurrency('alice', 'gold', -10, 'escrow');
+    trading.addCurrency('bob', 'platinum', 2);
+
+    expect(trading.getBalance('alice', 'gold')).toBe(50);
+    expect(
+      trading
+        .getWalletTransactions({ playerId: 'alice' })
+        .map(({ amount, balance, reason, flow }) => ({
+          amount,
+          balance,
+          reason,
+          flow,
+        }))
+    ).toEqual([
+      { amount: 100, balance: 100, reason: 'loot', flow: 'source' },
+      { amount: -40, balance: 60, reason: 'respec', flow: 'sink' },
+      { amount: -10, balance: 50, reason: 'escrow', flow: 'transfer' },
+    ]);
+    expect(trading.getWalletTransactions({ flow: 'source' })).toEqual([
+      expect.objectContaining({ playerId: 'alice', value: 100 }),
+      expect.objectContaining({ playerId: 'bob', reason: 'grant', value: 20 }),
+    ]);
+
+    trading.saveTradingData();
+    const restored = new TradingSystem({
+      eventBus,
+      logger: createLogger(),
+      storage,
+    });
+    await restored.loadTradingData();
+    expect(restored.getBalance('alice', 'gold')).toBe(50);
+    expect(restored.getBalance('bob', 'platinum')).toBe(2);
+  });
+});
+
+describe('TradingSystem rewards', () => {
+  test('should pay achievement, dungeon and loot gold into the player wallet', () => {
+    const { eventBus, trading } = createTrading();
+
+    eventBus.emit('achievement:rewardGiven', { type: 'gold', amount: 50 });
+    eventBus.emit('achievement:rewardGiven', { type: 'experience', amount: 9 });
+    eventBus.emit('dungeon:rewards', { rewards: { gold: 150, items: [] } });
+    eventBus.emit('combat:lootDropped', { loot: { gold: 7, items: [] } });
+    eventBus.emit('combat:lootDropped', { loot: { gold: 0, items: [] } });
+
+    expect(trading.getBalance('player', 'gold')).toBe(207);
+    expect(
+      trading
+        .getWalletTransactions({ playerId: 'player' })
+        .map(({ amount, reason, flow }) => [amount, reason, flow])
+    ).toEqual([
+      [50, 'achievement', 'source'],
+      [150, 'dungeon', 'source'],
+      [7, 'loot', 'source'],
+    ]);
+  });
+});
+
+describe('TradingSystem currency exchange', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should exchange at the base rates less the spread, as a fee', () => {
+    const { eventBus, trading } = createTrading({
+      exchangeSpreads: { gems: 0.05 },
+    });
+    const exchanged = jest.fn();
+    eventBus.on('currency:exchanged', exchanged);
+    trading.addCurrency('alice', 'gold', 2000);
+
+    expect(trading.getExchangeQuote('gold', 'silver', 100)).toEqual({
+      from: 'gold',
+      to: 'silver',
+      amount: 100,
+      fee: 2,
+      received: 980,
+      rate: 10,
+      spread: 0.02,
+      value: 100,
+    });
+
+    eventBus.emit('currency:exchange', {
+      playerId: 'alice',
+      from: 'gold',
+      to: 'silver',
+      amount: 100,
+    });
+    expect(exchanged).toHaveBeenCalledTimes(1);
+    expect(trading.getBalance('alice', 'gold')).toBe(1900);
+    expect(trading.getBalance('alice', 'silver')).toBe(980);
+    expect(
+      trading
+        .getWalletTransactions({ playerId: 'alice' })
+        .slice(1)
+        .map(({ currency, amount, flow }) => [currency, amount, flow])
+    ).toEqual([
+      ['gold', -98, 'exchange'],
+      ['gold', -2, 'sink'],
+      ['silver', 980, 'exchange'],
+    ]);
+
+    // The gems spread applies, and half a gem does not convert
+    const { order } = trading.exchangeCurrency({
+      playerId: 'alice',
+      from: 'gold',
+      to: 'gems',
+      amount: 1000,
+    });
+    expect(order).toMatchObject({ received: 9, fee: 100, spread: 0.05 });
+    expect(trading.getBalance('alice', 'gold')).toBe(900);
+    expect(trading.getBalance('alice', 'gems')).toBe(9);
+    expect(trading.getExchangeOrders('alice')).toHaveLength(2);
+
+    // Only the most recent exchanges are kept
+    trading.tradingConfig.exchangeOrderLimit = 2;
+    trading.exchangeCurrency({
+      playerId: 'alice',
+      from: 'gold',
+      to: 'silver',
+      amount: 10,
+    });
+    expect(trading.getExchangeOrders('alice').map((entry) => entry.to)).toEqual(
+      ['gems', 'silver']
+    );
+
+    expect(
+      trading.exchangeCurrency({
+        playerId: 'bob',
+        from: 'gold',
+        to: 'silver',
+        amount: 10,
+      })
+    ).toEqual({
+      success: false,
+      error: 'Insufficient gold: bob has 0, needs 10',
+    });
+    expect(trading.getExchangeQuote.bind(trading, 'gold', 'gold', 1)).toThrow(
+      'Cannot exchange a currency for itself'
+    );
+  });
+
+  test('should hold each player to a daily exchange limit', () => {
+    const { trading } = createTrading({ exchangeDailyLimit: 1500 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10 * DAY + 1000);
+    trading.addCurrency('alice', 'gold', 3000);
+    const exchange = (amount) =>
+      trading.exchangeCurrency({
+        playerId: 'alice',
+        from: 'gold',
+        to: 'silver',
+        amount,
+      });
+
+    expect(exchange(1200).success).toBe(true);
+    expect(exchange(500)).toEqual({
+      success: false,
+      error:
+        'Daily exchange limit reached: alice can exchange 300 more gold worth today',
+    });
+    expect(trading.getBalance('alice', 'gold')).toBe(1800);
+    expect(trading.getExchangeAllowance('alice')).toEqual({
+      limit: 1500,
+      used: 1200,
+      remaining: 300,
+    });
+
+    now.mockReturnValue(11 * DAY);
+    expect(exchange(500).success).toBe(true);
+    expect(trading.getExchangeAllowance('alice').used).toBe(500);
+  });
+
+  test('should keep exchange orders and the daily limit across a reload', async () => {
+    const { eventBus, storage, trading } = createTrading({
+      exchangeDailyLimit: 1500,
+    });
+    jest.spyOn(Date, 'now').mockReturnValue(10 * DAY + 1000);
+    trading.addCurrency('alice', 'gold', 3000);
+    trading.exchangeCurrency({
+      playerId: 'alice',
+      from: 'gold',
+      to: 'silver',
+      amount: 1200,
+    });
+
+    trading.saveTradingData();
+    const restored = new TradingSystem({
+      eventBus,
+      logger: createLogger(),
+      storage,
+      config: { trading: { exchangeDailyLimit: 1500 } },
+    });
+    await restored.loadTradingData();
+    expect(restored.getExchangeOrders('alice')).toEqual(
+      trading.getExchangeOrders('alice')
+    );
+    expect(restored.getExchangeAllowance('alice').remaining).toBe(300);
+  });
+});
+
+describe('AnalyticsSystem economy telemetry', () => {
+  test('should tally currency sources and sinks, leaving transfers out', () => {
+    const { eventBus, trading } = createTrading();
+    const analytics = new AnalyticsSystem({
+      eventBus,
+      logger: createLogger(),
+    });
+    analytics.acceptConsent();
+
+    trading.addCurrency('alice', 'gold', 500, 'loot');
+    trading.addCurrency('bob', 'gold', 300, 'quest');
+    trading.spendCurrency('alice', 'gold', 50, 'crafting');
+    trading.addCurrency('alice', 'gold', -100, 'escrow');
+    trading.addCurrency('bob', 'gold', 100, 'trade');
+    trading.exchangeCurrency({
+      playerId: 'bob',
+      from: 'gold',
+      to: 'silver',
+      amount: 100,
+    });
+
+    expect(analytics.getEconomyReport()).toEqual({
+      sources: { gold: { loot: 500, quest: 300 } },
+      sinks: { gold: { crafting: 50, exchange_fee: 2 } },
+      net: { gold: 748 },
+    });
+    expect(analytics.getEvents()).toEqual([
+      expect.objectContaining({ type: 'economy', name: 'Currency Source' }),
+      expect.objectContaining({ type: 'economy', name: 'Currency Source' }),
+      expect.objectContaining({
+        name: 'Currency Sink',
+        properties: expect.objectContaining({
+          playerId: 'alice',
+          amount: 50,
+          reason: 'crafting',
+        }),
+      }),
+      expect.objectContaining({ name: 'Currency Sink' }),
+    ]);
+  });
+});
+
+describe('ARPGIntegration economy telemetry', () => {
+  test('should report loot gold paid into the wallet', async () => {
+    // Consent was given in an earlier session; events are posted on cleanup
+    localStorage.setItem('analyticsConsent', 'true');
+    fetch.mockResolvedValueOnce({ ok: true });
+    const host = new HeadlessHost({ config: { enableAnalytics: true } });
+    await host.start();
+    const analytics = host.getSystem('analytics');
+
+    host.integration.eventBus.emit('combat:lootDropped', {
+      loot: { gold: 12, items: [] },
+    });
+    expect(host.getSystem('trading').getBalance('player', 'gold')).toBe(12);
+    expect(analytics.getEconomyReport().sources).toEqual({
+      gold: { loot: 12 },
+    });
+
+    host.destroy();
+    expect(fetch).toHaveBeenCalledTimes(1);
+    localStorage.removeItem('analyticsConsent');
+  });
+});
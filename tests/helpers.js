@@ -0,0 +1,30 @@
+/**
+ * Test helpers shared by the system tests
+ */
+
+/**
+ * Create a logger whose every level is a mock
+ */
+export const createLogger = () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+});
+
+/**
+ * Create a storage with the getItem and setItem of localStorage, kept in
+ * memory for the test
+ */
+export const createStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, value),
+  };
+};
+
+/**
+ * Whether an inventory system's bag holds an item
+ */
+export const has = (inventory, itemId) => inventory.bag.entries.has(itemId);
@@ -2,6 +2,9 @@
  * Jest test setup file
  */
 
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+
 // Mock localStorage
 const localStorageMock = {
   getItem: jest.fn(),
@@ -29,6 +32,13 @@ global.sessionStorage = sessionStorageMock;
 // Mock fetch
 global.fetch = jest.fn();
 
+// jsdom does not expose WebCrypto or the text encoders, so use Node's
+Object.assign(global, { TextEncoder, TextDecoder });
+Object.defineProperty(global, 'crypto', {
+  value: webcrypto,
+  configurable: true,
+});
+
 // Mock performance
 global.performance = {
   now: jest.fn(() => Date.now()),